@@ -12,7 +12,8 @@ import User from './models/User.js';
       defaults: {
         username: 'admin',
         password: 'admin123',
-        email: 'admin@example.com'
+        email: 'admin@example.com',
+        role: 'admin'
       }
     });
     
@@ -0,0 +1,66 @@
+// What an API token may call. Tokens act as their owner, so role checks still apply on top;
+// scopes only narrow a token down to the endpoints a script needs.
+
+export const API_TOKEN_SCOPES = {
+  'read': 'Read-only access to every GET endpoint',
+  'numbers:read': 'Number search and DM conflict checks',
+  'dm:write': 'Upload, update and sync DM files',
+  'df:write': 'Upload and update DF files',
+  'jobs:write': 'Cancel and retry background jobs',
+  'customer-counts:write': 'Record customer count snapshots'
+};
+
+// Never reachable with an API token: accounts, sessions and the tokens themselves
+const DASHBOARD_ONLY = /^\/backend\/api\/(auth|users|api-tokens)(\/|$)/;
+
+// Generic file routes whose file type is only known once the body is parsed (see requireFileTypeScope)
+const ANY_FILE_WRITE = ['dm:write', 'df:write'];
+
+// [method, path below /backend/api, scopes that allow it]
+const RULES = [
+  ['GET', /^\/customer-counts\/search$/, ['numbers:read']],
+  ['GET', /^\/dm-files\/conflicts$/, ['numbers:read']],
+  ['POST', /^\/dm-files\/search$/, ['numbers:read', 'read']],
+  ['POST', /^\/dm-files\/conflicts\/check$/, ['numbers:read', 'read']],
+  ['POST', /^\/prosbc-files\/(diff|export-direct)$/, ['read']],
+  ['POST', /^\/drift\/analyze$/, ['read']],
+  ['POST', /^\/instance-health\/poll$/, ['read']],
+
+  ['POST', /^\/prosbc-upload\/dm(\/all)?$/, ['dm:write']],
+  ['POST', /^\/prosbc-files\/dm\/upload(-form)?$/, ['dm:write']],
+  ['PUT', /^\/dm-files\/[^/]+\/content$/, ['dm:write']],
+  ['POST', /^\/dm-files\/(sync|reindex)$/, ['dm:write']],
+
+  ['POST', /^\/prosbc-upload\/df(\/all)?$/, ['df:write']],
+  ['POST', /^\/prosbc-files\/df\/upload(-form)?$/, ['df:write']],
+
+  ['POST', /^\/prosbc-files\/(update|update-rest-api|update-to-all|update-to-all\/confirm|update-direct|delete-direct)$/, ANY_FILE_WRITE],
+  // Scripts can stage change requests; reviewing them stays in the dashboard
+  ['POST', /^\/change-requests(\/upload)?$/, ANY_FILE_WRITE],
+  ['POST', /^\/drift\/sync$/, ANY_FILE_WRITE],
+  ['POST', /^\/replication\/runs\/[^/]+\/retry$/, ANY_FILE_WRITE],
+  ['POST', /^\/rollouts\/[^/]+\/revert$/, ANY_FILE_WRITE],
+
+  ['POST', /^\/jobs\/[^/]+\/(cancel|retry)$/, ['jobs:write']],
+  ['POST', /^\/customer-counts\/create-monthly$/, ['customer-counts:write']]
+];
+
+export function scopeAllows(scopes, method, fullPath) {
+  // Express matches routes case-insensitively, so /backend/api/Users must count as /users
+  const lowerPath = fullPath.toLowerCase();
+  if (DASHBOARD_ONLY.test(lowerPath)) return false;
+  const path = lowerPath.replace(/^\/backend\/api/, '').replace(/\/$/, '');
+  if (['GET', 'HEAD'].includes(method) && scopes.includes('read')) return true;
+  return RULES.some(([ruleMethod, pattern, allowed]) =>
+    ruleMethod === method && pattern.test(path) && allowed.some(scope => scopes.includes(scope)));
+}
+
+// Dashboard sessions have every scope
+export const hasFileTypeScope = (req, fileType) =>
+  !req.user?.apiToken || req.user.apiToken.scopes.includes(`${String(fileType || '').toLowerCase()}:write`);
+
+// For the generic file routes: run after multer so req.body.fileType is known
+export function requireFileTypeScope(req, res, next) {
+  if (hasFileTypeScope(req, req.body?.fileType)) return next();
+  res.status(403).json({ success: false, error: `API token lacks the ${req.body?.fileType || 'file'}:write scope` });
+}
@@ -0,0 +1,75 @@
+import auditService from '../services/auditService.js';
+
+// Outcome of a finished request: HTTP errors and success:false fail, 202 means a job
+// was queued, and per-instance results (upload/update to all) can be partial
+function outcomeOf(statusCode, body) {
+  if (statusCode >= 400 || body?.success === false) return 'failure';
+  if (statusCode === 202) return 'queued';
+  if (body?.prosbc_update && body.prosbc_update.success === false) return 'failure';
+  if (Array.isArray(body?.results) && body.results.length > 0) {
+    const succeeded = body.results.filter(result => result.success).length;
+    if (succeeded === 0) return 'failure';
+    if (succeeded < body.results.length) return 'partial';
+  }
+  return 'success';
+}
+
+function errorOf(body) {
+  return body?.error || body?.message || body?.prosbc_update?.error || null;
+}
+
+/**
+ * Record an audit event once the route has answered. action may be a function of req.
+ * describe(req) runs before the handler, so it can read the state the change replaces, and
+ * returns { instanceId, configId, target, beforeHash, afterHash, details, complete } or null
+ * to skip the event (e.g. dry runs). complete(body) runs after the response for fields only
+ * known afterwards.
+ */
+export function audited(actionOf, describe = () => ({})) {
+  return async (req, res, next) => {
+    const action = typeof actionOf === 'function' ? actionOf(req) : actionOf;
+    let event;
+    try {
+      event = await describe(req);
+    } catch (err) {
+      console.warn(`⚠️ Audit describe failed for ${action}:`, err.message);
+      event = {};
+    }
+    if (!event) return next();
+
+    let body = null;
+    const json = res.json.bind(res);
+    res.json = (payload) => {
+      body = payload;
+      return json(payload);
+    };
+
+    res.on('finish', async () => {
+      const { complete, ...fields } = event;
+      let extra = {};
+      if (complete) {
+        try {
+          extra = await complete(body) || {};
+        } catch (err) {
+          console.warn(`⚠️ Audit completion failed for ${action}:`, err.message);
+        }
+      }
+      const results = Array.isArray(body?.results)
+        ? body.results.map(result => ({ instance: result.instance, success: !!result.success, error: result.error || undefined }))
+        : undefined;
+      const outcome = outcomeOf(res.statusCode, body);
+      await auditService.record({
+        user: req.user,
+        ip: req.ip,
+        action,
+        ...fields,
+        ...extra,
+        outcome,
+        error: outcome === 'success' || outcome === 'queued' ? null : errorOf(body),
+        details: { ...fields.details, ...extra.details, ...(results ? { results } : {}), ...(body?.jobId ? { jobId: body.jobId } : {}) }
+      });
+    });
+
+    next();
+  };
+}
@@ -0,0 +1,27 @@
+// Pushes to every ProSBC instance can require a reviewed change request
+// (services/changeRequestService.js) instead of running directly
+import settingsService from '../services/settingsService.js';
+
+export const isChangeApprovalRequired = async () => !!(await settingsService.get('requireChangeApproval'));
+
+// Approvers review other users' change requests; admins always can
+export const canApproveChanges = (permissions) => !!permissions && (permissions.role === 'admin' || !!permissions.canApprove);
+
+/**
+ * Refuse the route with 409 while change approval is on. isExempt(req) lets
+ * requests that write nothing (dry runs) through. Run after multer so the body is parsed.
+ */
+export function requireChangeApproval({ isExempt = () => false } = {}) {
+  return async (req, res, next) => {
+    try {
+      if (isExempt(req) || !(await isChangeApprovalRequired())) return next();
+      res.status(409).json({
+        success: false,
+        approvalRequired: true,
+        error: 'Pushing to every instance requires an approved change request. Submit it to /backend/api/change-requests instead.'
+      });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  };
+}
@@ -0,0 +1,110 @@
+// Role and per-instance permission checks for the API routers
+import NodeCache from 'node-cache';
+import User from '../models/User.js';
+
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+const rank = (role) => ROLES.indexOf(role);
+
+// Roles are read from the users table; cache them briefly so every request is not a query
+const permissionCache = new NodeCache({ stdTTL: 60, checkperiod: 120 });
+
+export async function loadPermissions(userId) {
+  if (!userId) return null;
+  const cached = permissionCache.get(userId);
+  if (cached) return cached;
+
+  const user = await User.findByPk(userId, { attributes: ['id', 'username', 'role', 'instancePermissions', 'canApprove'] });
+  if (!user) return null;
+  const permissions = {
+    userId: user.id,
+    username: user.username,
+    role: user.role || 'viewer',
+    instancePermissions: user.instancePermissions || {},
+    canApprove: !!user.canApprove
+  };
+  permissionCache.set(userId, permissions);
+  return permissions;
+}
+
+// Call after changing a user's role or instance permissions
+export function invalidatePermissions(userId) {
+  if (userId) {
+    permissionCache.del(userId);
+  } else {
+    permissionCache.flushAll();
+  }
+}
+
+export function isInstanceRestricted(permissions) {
+  return permissions.role !== 'admin' && Object.keys(permissions.instancePermissions || {}).length > 0;
+}
+
+// Instances a user is limited to, or null when they may see every instance
+export function accessibleInstanceIds(permissions) {
+  return isInstanceRestricted(permissions) ? Object.keys(permissions.instancePermissions) : null;
+}
+
+// Effective role of a user on one instance, or null when the instance is not accessible
+export function roleForInstance(permissions, instanceId) {
+  if (!permissions) return null;
+  if (!instanceId || !isInstanceRestricted(permissions)) return permissions.role;
+  const listed = permissions.instancePermissions[String(instanceId)];
+  if (!listed || rank(listed) < 0) return null;
+  return rank(listed) < rank(permissions.role) ? listed : permissions.role;
+}
+
+export function hasRole(permissions, minRole, instanceId) {
+  const role = roleForInstance(permissions, instanceId);
+  return !!role && rank(role) >= rank(minRole);
+}
+
+// The instance a request works on: the instance header used by the frontend, then body/query
+export const instanceIdFrom = (req) =>
+  req.headers['x-prosbc-instance-id'] || req.body?.instanceId || req.query?.instanceId || null;
+
+/**
+ * Require at least `minRole` on the instance the request targets (`instanceId(req)`),
+ * or the global role when it targets none. With allInstances the request touches every
+ * instance, so users limited to some instances are refused.
+ */
+export function requireRole(minRole, { instanceId = instanceIdFrom, allInstances = false } = {}) {
+  return async (req, res, next) => {
+    try {
+      const permissions = req.permissions || await loadPermissions(req.user?.id);
+      if (!permissions) {
+        return res.status(401).json({ success: false, error: 'User not found' });
+      }
+      req.permissions = permissions;
+
+      if (allInstances && isInstanceRestricted(permissions)) {
+        return res.status(403).json({ success: false, error: `Requires ${minRole} role on every ProSBC instance` });
+      }
+      const targetInstance = allInstances ? null : instanceId(req);
+
+      // API tokens can be limited to some instances on top of their owner's permissions
+      const tokenInstances = req.user?.apiToken?.instanceIds;
+      if (tokenInstances && (allInstances || (targetInstance
+        ? !tokenInstances.includes(String(targetInstance))
+        : !['GET', 'HEAD'].includes(req.method)))) {
+        return res.status(403).json({ success: false, error: `API token is limited to instances ${tokenInstances.join(', ')}` });
+      }
+      if (!hasRole(permissions, minRole, targetInstance)) {
+        return res.status(403).json({
+          success: false,
+          error: `Requires ${minRole} role${targetInstance ? ` on instance ${targetInstance}` : ''}`
+        });
+      }
+      next();
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  };
+}
+
+// Router-wide default: reads need `read`, everything else `write`. Routes add stricter checks.
+export function byMethod({ read = 'viewer', write = 'operator', ...options } = {}) {
+  const readCheck = requireRole(read, options);
+  const writeCheck = requireRole(write, options);
+  return (req, res, next) => (['GET', 'HEAD', 'OPTIONS'].includes(req.method) ? readCheck : writeCheck)(req, res, next);
+}
@@ -0,0 +1,209 @@
+// Dashboard sessions: the ActiveUser rows plus the cache of verified tokens in front of them
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import NodeCache from 'node-cache';
+import { Op } from 'sequelize';
+import ActiveUser from '../models/ActiveUser.js';
+import User from '../models/User.js';
+
+const JWT_SECRET = () => process.env.JWT_SECRET || 'secret';
+// Access tokens are short-lived; clients renew them with the session's refresh token
+export const ACCESS_TOKEN_TTL_SECONDS = (Number(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15) * 60;
+// Each refresh extends the session by this long; unused sessions end after it
+const REFRESH_TOKEN_TTL_MS = (Number(process.env.REFRESH_TOKEN_TTL_HOURS) || 12) * 60 * 60 * 1000;
+// The frontend warns and signs out after this much inactivity
+export const IDLE_TIMEOUT_MINUTES = Number(process.env.SESSION_IDLE_MINUTES) || 30;
+// Tokens issued before refresh tokens existed were valid for a day
+const LEGACY_SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+// A just-rotated refresh token answers 409 instead of revoking the session (two tabs refreshing at once)
+const REFRESH_REUSE_GRACE_MS = 30 * 1000;
+// Oldest sessions of a user are ended beyond this many
+const MAX_SESSIONS_PER_USER = Number(process.env.MAX_SESSIONS_PER_USER) || 10;
+// lastSeenAt is written at most once a minute per session
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+// Verified tokens with a 10 minute TTL, so most requests skip the ActiveUser lookup
+export const tokenCache = new NodeCache({ stdTTL: 600, checkperiod: 120 });
+
+// session id -> time lastSeenAt was last written
+const lastSeenWrites = new NodeCache({ stdTTL: 600, checkperiod: 120 });
+
+// Cache a verified token, never past its own expiry
+export function cacheToken(token, user) {
+  const secondsLeft = user.exp ? user.exp - Math.floor(Date.now() / 1000) : 600;
+  if (secondsLeft > 0) tokenCache.set(token, user, Math.min(secondsLeft, 600));
+}
+
+// Forget the cached tokens of a user; the next request re-checks ActiveUser
+export function invalidateUserTokens(userId) {
+  const stale = tokenCache.keys().filter(token => String(tokenCache.get(token)?.id) === String(userId));
+  tokenCache.del(stale);
+  return stale.length;
+}
+
+// Forget the cached access tokens of one session
+function invalidateSessionTokens(sessionId) {
+  tokenCache.del(tokenCache.keys().filter(token => String(tokenCache.get(token)?.sid) === String(sessionId)));
+}
+
+const hashRefreshToken = (refreshToken) => crypto.createHash('sha256').update(refreshToken).digest('hex');
+const hashesMatch = (a, b) => !!a && !!b && a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+const sessionError = (message, status = 401) => Object.assign(new Error(message), { status });
+
+// New access token and rotated refresh token ("<session id>.<secret>", stored hashed) for a session
+async function issueTokens(session, user, previousRefreshHash = null) {
+  const token = jwt.sign({ id: user.id, username: user.username, sid: session.id }, JWT_SECRET(), { expiresIn: ACCESS_TOKEN_TTL_SECONDS });
+  const refreshToken = `${session.id}.${crypto.randomBytes(32).toString('base64url')}`;
+  const now = new Date();
+  await session.update({
+    token,
+    refreshTokenHash: hashRefreshToken(refreshToken),
+    previousRefreshHash,
+    refreshRotatedAt: now,
+    refreshExpiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS)
+  });
+  return { token, refreshToken, expiresIn: ACCESS_TOKEN_TTL_SECONDS, idleTimeoutMinutes: IDLE_TIMEOUT_MINUTES };
+}
+
+// "Firefox on Windows" style name from a User-Agent header
+export function describeDevice(userAgent = '') {
+  const browser = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari'], ['curl/', 'curl']]
+    .find(([marker]) => userAgent.includes(marker))?.[1];
+  const os = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iOS'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']]
+    .find(([marker]) => userAgent.includes(marker))?.[1];
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || 'Unknown device';
+}
+
+// Start a new session next to the user's other sessions; answers its first token pair
+export async function createSession(user, { userAgent, ip, name } = {}) {
+  const session = await ActiveUser.create({
+    userId: user.id,
+    username: user.username,
+    token: '',
+    name: (typeof name === 'string' && name.trim() ? name.trim() : describeDevice(userAgent)).slice(0, 100),
+    userAgent: userAgent ? userAgent.slice(0, 512) : null,
+    ip: ip || null,
+    lastSeenAt: new Date()
+  });
+
+  const sessions = await ActiveUser.findAll({ where: { userId: user.id }, order: [['loginTime', 'DESC'], ['id', 'DESC']] });
+  for (const old of sessions.slice(MAX_SESSIONS_PER_USER)) {
+    await endSession(old);
+  }
+  return issueTokens(session, user);
+}
+
+// Swap a refresh token for a new token pair. Presenting an already rotated refresh token
+// again means it leaked, so the session ends.
+export async function refreshSession(refreshToken, { ip } = {}) {
+  const [id, secret] = String(refreshToken || '').split('.');
+  if (!id || !secret) throw sessionError('Invalid refresh token.');
+
+  const session = await ActiveUser.findByPk(id);
+  if (!session) throw sessionError('Session expired or invalid. Please login again.');
+
+  const hash = hashRefreshToken(refreshToken);
+  if (!hashesMatch(hash, session.refreshTokenHash)) {
+    if (hashesMatch(hash, session.previousRefreshHash)) {
+      if (Date.now() - new Date(session.refreshRotatedAt).getTime() < REFRESH_REUSE_GRACE_MS) {
+        throw sessionError('Session was just refreshed, use the new tokens.', 409);
+      }
+      console.warn(`⚠️ Refresh token of session ${session.id} (${session.username}) was reused, ending the session`);
+      await endSession(session);
+    }
+    throw sessionError('Session expired or invalid. Please login again.');
+  }
+
+  if (new Date(session.refreshExpiresAt).getTime() < Date.now()) {
+    await endSession(session);
+    throw sessionError('Session expired. Please login again.');
+  }
+  const user = await User.findByPk(session.userId);
+  if (!user || user.disabled) {
+    await endSession(session);
+    throw sessionError('Session expired or invalid. Please login again.');
+  }
+
+  touchSession(session.id, ip);
+  return issueTokens(session, user, hash);
+}
+
+// End one session and drop its tokens from the cache at once
+export async function endSession(session) {
+  await session.update({ logoutTime: new Date() });
+  await session.destroy();
+  tokenCache.del(session.token);
+  invalidateSessionTokens(session.id);
+  lastSeenWrites.del(String(session.id));
+}
+
+// Log a user out everywhere (disable, password reset, forced logout)
+export async function endUserSessions(userId) {
+  await ActiveUser.update({ logoutTime: new Date() }, { where: { userId } });
+  const ended = await ActiveUser.destroy({ where: { userId } });
+  invalidateUserTokens(userId);
+  return ended;
+}
+
+// Record activity of a session, throttled
+export function touchSession(sessionId, ip) {
+  const now = Date.now();
+  const key = String(sessionId);
+  if (now - (lastSeenWrites.get(key) || 0) < LAST_SEEN_INTERVAL_MS) return;
+  lastSeenWrites.set(key, now);
+  ActiveUser.update({ lastSeenAt: new Date(now), ...(ip ? { ip } : {}) }, { where: { id: sessionId } })
+    .catch(error => console.warn('⚠️ Failed to record session activity:', error.message));
+}
+
+// Sessions whose refresh token has expired are removed when sessions are listed
+async function pruneExpired() {
+  await ActiveUser.destroy({
+    where: {
+      [Op.or]: [
+        { refreshExpiresAt: { [Op.lt]: new Date() } },
+        { refreshExpiresAt: null, loginTime: { [Op.lt]: new Date(Date.now() - LEGACY_SESSION_TTL_MS) } }
+      ]
+    }
+  });
+}
+
+const serialize = (session, currentSessionId) => ({
+  id: session.id,
+  userId: session.userId,
+  username: session.username,
+  name: session.name,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  loginTime: session.loginTime,
+  lastSeenAt: session.lastSeenAt || session.loginTime,
+  expiresAt: session.refreshExpiresAt || new Date(new Date(session.loginTime).getTime() + LEGACY_SESSION_TTL_MS),
+  current: currentSessionId != null && String(session.id) === String(currentSessionId)
+});
+
+// Active sessions, newest activity first; userId limits them to one user
+export async function listSessions({ userId, currentSessionId } = {}) {
+  await pruneExpired();
+  const sessions = await ActiveUser.findAll({
+    where: userId ? { userId } : {},
+    order: [['lastSeenAt', 'DESC'], ['loginTime', 'DESC']]
+  });
+  return sessions.map(session => serialize(session, currentSessionId));
+}
+
+// Find a session; userId restricts it to that user's sessions
+export async function findSession(id, { userId } = {}) {
+  const session = await ActiveUser.findByPk(id);
+  if (!session || (userId && String(session.userId) !== String(userId))) {
+    throw Object.assign(new Error(`Session ${id} not found`), { status: 404 });
+  }
+  return session;
+}
+
+export async function renameSession(session, name) {
+  if (typeof name !== 'string' || !name.trim()) throw new Error('Invalid name: required');
+  await session.update({ name: name.trim().slice(0, 100) });
+  return serialize(session);
+}
+
@@ -31,6 +31,40 @@ const ActiveUser = database.sequelize.define('ActiveUser', {
     type: DataTypes.DATE,
     allowNull: true,
   },
+  // Session name shown in the sessions list, "Chrome on Windows" unless given at login
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+  },
+  userAgent: {
+    type: DataTypes.STRING(512),
+    allowNull: true,
+  },
+  ip: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+  },
+  lastSeenAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  // SHA-256 of the current refresh token and of the one it replaced (reuse detection)
+  refreshTokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+  },
+  previousRefreshHash: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+  },
+  refreshRotatedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  refreshExpiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
 });
 
 export default ActiveUser;
@@ -0,0 +1,57 @@
+import { DataTypes } from 'sequelize';
+import database from '../config/database.js';
+import { jsonColumn } from './jsonColumn.js';
+
+// Long-lived token for scripts (see services/apiTokenService.js); only its SHA-256 hash is stored
+const ApiToken = database.sequelize.define('ApiToken', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true,
+  },
+  userId: {
+    type: DataTypes.INTEGER, // the token acts as this user, with its role
+    allowNull: false,
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+  },
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+  },
+  tokenPrefix: {
+    type: DataTypes.STRING(16), // first characters, to recognise a token in lists
+    allowNull: false,
+  },
+  scopes: jsonColumn('scopes', []),
+  instanceIds: jsonColumn('instanceIds', null), // null: every instance the user can access
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true, // null: never expires
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  lastUsedIp: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+}, {
+  tableName: 'api_tokens',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['userId']
+    }
+  ]
+});
+
+export default ApiToken;
@@ -1,6 +1,8 @@
 import { DataTypes } from 'sequelize';
 import database from '../config/database.js';
+import { jsonColumn } from './jsonColumn.js';
 
+// One semantic event per change pushed to a ProSBC (see services/auditService.js)
 const AuditLog = database.sequelize.define('AuditLog', {
   id: {
     type: DataTypes.INTEGER,
@@ -9,16 +11,46 @@ const AuditLog = database.sequelize.define('AuditLog', {
   },
   userId: {
     type: DataTypes.INTEGER,
-    allowNull: true, // Set to false if you always have a user
+    allowNull: true, // null for system events (scheduler, jobs)
+  },
+  username: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
   },
   action: {
     type: DataTypes.STRING,
     allowNull: false,
   },
-  details: {
+  instanceId: {
+    type: DataTypes.STRING(50), // null when the change spans every instance
+    allowNull: true,
+  },
+  configId: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+  },
+  target: {
+    type: DataTypes.STRING(255), // file, NAP, configuration or instance the event is about
+    allowNull: true,
+  },
+  beforeHash: {
+    type: DataTypes.STRING(64), // sha256 of the state before the change, when known
+    allowNull: true,
+  },
+  afterHash: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+  },
+  outcome: {
+    type: DataTypes.STRING(20), // success | failure | partial | queued
+    allowNull: false,
+    defaultValue: 'success',
+  },
+  error: {
     type: DataTypes.TEXT,
     allowNull: true,
   },
+  details: jsonColumn('details'),
   ip: {
     type: DataTypes.STRING,
     allowNull: true,
@@ -30,6 +62,11 @@ const AuditLog = database.sequelize.define('AuditLog', {
 }, {
   tableName: 'audit_logs',
   timestamps: false,
+  indexes: [
+    { fields: ['createdAt'] },
+    { fields: ['action'] },
+    { fields: ['instanceId'] }
+  ]
 });
 
 export default AuditLog;
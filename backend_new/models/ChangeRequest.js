@@ -0,0 +1,99 @@
+import { DataTypes } from 'sequelize';
+import database from '../config/database.js';
+import { jsonColumn } from './jsonColumn.js';
+
+// A push to every ProSBC instance waiting for a second user's approval (see services/changeRequestService.js)
+const ChangeRequest = database.sequelize.define('ChangeRequest', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  // update-to-all: overwrite the file matched on each instance by a dry run; upload-all: upload to every instance
+  kind: {
+    type: DataTypes.ENUM('update-to-all', 'upload-all'),
+    allowNull: false,
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'approved', 'rejected', 'cancelled', 'executing', 'succeeded', 'partial', 'failed'),
+    allowNull: false,
+    defaultValue: 'pending',
+  },
+  fileType: {
+    type: DataTypes.STRING(50), // routesets_definitions or routesets_digitmaps
+    allowNull: false,
+  },
+  fileName: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+  },
+  content: {
+    type: DataTypes.TEXT('long'),
+    allowNull: false,
+  },
+  contentChecksum: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+  },
+  targets: jsonColumn('targets', []), // planned instances, each with its row diff
+  conflictCheck: jsonColumn('conflictCheck'),
+  allowConflicts: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  requestedBy: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+  },
+  requestedById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  reviewedBy: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  reviewedById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  reviewComment: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  reviewedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  jobId: {
+    type: DataTypes.INTEGER, // job that executes the approved push
+    allowNull: true,
+  },
+  executedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  results: jsonColumn('results'),
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+}, {
+  tableName: 'change_requests',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['status']
+    },
+    {
+      fields: ['requestedBy']
+    }
+  ]
+});
+
+export default ChangeRequest;
@@ -0,0 +1,82 @@
+import { DataTypes } from 'sequelize';
+import database from '../config/database.js';
+
+// Full-content snapshot of a DM/DF file taken every time we write it to a ProSBC
+const FileRevision = database.sequelize.define('FileRevision', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  file_type: {
+    type: DataTypes.STRING(50), // routesets_definitions or routesets_digitmaps
+    allowNull: false,
+  },
+  file_name: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+  },
+  prosbc_file_id: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+  },
+  prosbc_instance_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+  config_id: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+  },
+  content: {
+    type: DataTypes.TEXT('long'),
+    allowNull: false,
+  },
+  checksum: {
+    type: DataTypes.STRING(64), // sha256 of content
+    allowNull: false,
+  },
+  size: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  action: {
+    type: DataTypes.ENUM('upload', 'update', 'rollback'),
+    allowNull: false,
+    defaultValue: 'update',
+  },
+  author: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  source: {
+    type: DataTypes.STRING(100), // route that produced the revision
+    allowNull: true,
+  },
+  rolled_back_from: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+  },
+}, {
+  tableName: 'file_revisions',
+  timestamps: false,
+  indexes: [
+    {
+      fields: ['prosbc_instance_id', 'file_type', 'file_name']
+    },
+    {
+      fields: ['prosbc_file_id']
+    }
+  ]
+});
+
+export default FileRevision;
@@ -0,0 +1,59 @@
+import { DataTypes } from 'sequelize';
+import database from '../config/database.js';
+
+// One probe of a ProSBC instance by the health monitor (services/instanceHealthService.js)
+const InstanceHealthSample = database.sequelize.define('InstanceHealthSample', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  instanceId: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+  checkedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+  // up; degraded: reachable but slow or dropping sessions; down: login or config list failed
+  status: {
+    type: DataTypes.ENUM('up', 'degraded', 'down'),
+    allowNull: false,
+  },
+  loginMs: {
+    type: DataTypes.INTEGER, // null when the login failed
+    allowNull: true,
+  },
+  configListMs: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  configCount: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  // Whether the session of the previous probe was still accepted; null when there was none to check
+  sessionValid: {
+    type: DataTypes.BOOLEAN,
+    allowNull: true,
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+}, {
+  tableName: 'instance_health_samples',
+  timestamps: false,
+  indexes: [
+    {
+      fields: ['instanceId', 'checkedAt']
+    },
+    {
+      fields: ['checkedAt']
+    }
+  ]
+});
+
+export default InstanceHealthSample;
@@ -0,0 +1,88 @@
+import { DataTypes } from 'sequelize';
+import database from '../config/database.js';
+import { jsonColumn } from './jsonColumn.js';
+
+// Background job for long running ProSBC operations (see services/jobQueueService.js)
+const Job = database.sequelize.define('Job', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  type: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+  },
+  status: {
+    type: DataTypes.ENUM('queued', 'running', 'succeeded', 'failed', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'queued',
+  },
+  payload: jsonColumn('payload', {}),
+  result: jsonColumn('result'),
+  steps: jsonColumn('steps', []),
+  progress: {
+    type: DataTypes.INTEGER, // 0-100
+    allowNull: false,
+    defaultValue: 0,
+  },
+  message: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  maxAttempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+  },
+  cancelRequested: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+  prosbcInstanceId: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+  },
+  createdBy: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  runAfter: {
+    type: DataTypes.DATE, // earliest start, used for retry backoff
+    allowNull: true,
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  finishedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+}, {
+  tableName: 'jobs',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['status', 'runAfter']
+    },
+    {
+      fields: ['type']
+    },
+    {
+      fields: ['createdBy']
+    }
+  ]
+});
+
+export default Job;
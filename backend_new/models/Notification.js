@@ -0,0 +1,45 @@
+import { DataTypes } from 'sequelize';
+import database from '../config/database.js';
+import { jsonColumn } from './jsonColumn.js';
+
+// Something operators should know about without watching a page, e.g. an instance going down
+const Notification = database.sequelize.define('Notification', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  type: {
+    type: DataTypes.STRING(50), // e.g. instance.down, instance.recovered
+    allowNull: false,
+  },
+  severity: {
+    type: DataTypes.ENUM('info', 'warning', 'critical'),
+    allowNull: false,
+    defaultValue: 'info',
+  },
+  title: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+  },
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  instanceId: {
+    type: DataTypes.STRING(50), // null for notifications about no particular instance
+    allowNull: true,
+  },
+  details: jsonColumn('details'),
+}, {
+  tableName: 'notifications',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['createdAt']
+    }
+  ]
+});
+
+export default Notification;
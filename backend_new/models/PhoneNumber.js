@@ -0,0 +1,65 @@
+import { DataTypes } from 'sequelize';
+import database from '../config/database.js';
+
+// One called number of a DM file, normalized for indexed lookups
+// (replaces scanning the JSON 'numbers' column of prosbc_dm_files)
+const PhoneNumber = database.sequelize.define('PhoneNumber', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  number: {
+    type: DataTypes.STRING(64), // normalized: no spaces, dashes, dots or brackets
+    allowNull: false,
+  },
+  raw_number: {
+    type: DataTypes.STRING(128), // as written in the DM file
+    allowNull: true,
+  },
+  calling: {
+    type: DataTypes.STRING(128),
+    allowNull: true,
+  },
+  routeset_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  dm_file_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'prosbc_dm_files',
+      key: 'id',
+    },
+    onDelete: 'CASCADE',
+  },
+  file_name: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+  },
+  prosbc_instance_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+  prosbc_instance_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+}, {
+  tableName: 'prosbc_phone_numbers',
+  timestamps: false,
+  indexes: [
+    {
+      fields: ['number', 'prosbc_instance_id']
+    },
+    {
+      fields: ['dm_file_id']
+    },
+    {
+      fields: ['prosbc_instance_id', 'routeset_name']
+    }
+  ]
+});
+
+export default PhoneNumber;
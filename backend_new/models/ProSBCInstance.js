@@ -1,6 +1,7 @@
 import { DataTypes } from 'sequelize';
 import database from '../config/database.js';
-import bcrypt from 'bcryptjs';
+import { jsonColumn } from './jsonColumn.js';
+import { encryptSecret, decryptSecret, isEncrypted } from '../utils/credentialCrypto.js';
 
 const ProSBCInstance = database.sequelize.define('ProSBCInstance', {
   id: {
@@ -16,28 +17,32 @@ const ProSBCInstance = database.sequelize.define('ProSBCInstance', {
     type: DataTypes.STRING(100),
     allowNull: false,
   },
+  // Encrypted at rest (utils/credentialCrypto.js); use getDecryptedPassword() to read it
   password: {
-    type: DataTypes.STRING(255),
+    type: DataTypes.STRING(512),
     allowNull: false,
+    set(value) {
+      this.setDataValue('password', value == null || isEncrypted(value) ? value : encryptSecret(value));
+    }
   },
-  // These fields don't exist in the database but are added for API compatibility
+  // Display name; instances created before the column existed show their id
   name: {
-    type: DataTypes.VIRTUAL,
+    type: DataTypes.STRING(100),
+    allowNull: true,
     get() {
-      return this.id; // Use id as name
+      return this.getDataValue('name') || this.getDataValue('id');
     }
   },
+  // Inactive instances are skipped by every multi-instance operation
   isActive: {
-    type: DataTypes.VIRTUAL,
-    get() {
-      return true; // Always active
-    }
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
   },
   description: {
-    type: DataTypes.VIRTUAL,
-    get() {
-      return ''; // Empty description
-    }
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    defaultValue: ''
   },
   // Explicitly provide the baseUrl as a virtual getter to ensure compatibility
   baseURL: {
@@ -47,11 +52,18 @@ const ProSBCInstance = database.sequelize.define('ProSBCInstance', {
     }
   },
   location: {
-    type: DataTypes.VIRTUAL,
-    get() {
-      return ''; // Empty location
-    }
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    defaultValue: ''
+  },
+  // One group per instance (e.g. "east-coast") and any number of tags (e.g. ["lab"]);
+  // multi-instance operations can be limited to them, see utils/instanceSelector.js
+  group: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    field: 'groupName' // GROUP is a reserved word in SQL
   },
+  tags: jsonColumn('tags', []),
   createdAt: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW,
@@ -71,8 +83,7 @@ const ProSBCInstance = database.sequelize.define('ProSBCInstance', {
 
 // Instance method to get decrypted password
 ProSBCInstance.prototype.getDecryptedPassword = function() {
-  // Decode base64 encoded password
-  return Buffer.from(this.password, 'base64').toString('utf-8');
+  return decryptSecret(this.getDataValue('password'));
 };
 
 // Instance method to verify password (for display purposes)
@@ -83,8 +94,8 @@ ProSBCInstance.prototype.verifyPassword = function(plainPassword) {
 
 // Class method to find active instances
 ProSBCInstance.findActiveInstances = function() {
-  // Return all instances since isActive field doesn't exist in the database
   return this.findAll({
+    where: { isActive: true },
     order: [['id', 'ASC']]
   });
 };
@@ -0,0 +1,73 @@
+import { DataTypes } from 'sequelize';
+import database from '../config/database.js';
+
+// A replica whose copy of a replicated file was changed outside the policy
+const ReplicationConflict = database.sequelize.define('ReplicationConflict', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  policyId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  // replica-edit: saved on the replica through the dashboard; diverged: found changed on ProSBC while replicating
+  kind: {
+    type: DataTypes.ENUM('replica-edit', 'diverged'),
+    allowNull: false,
+  },
+  instanceId: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+  fileType: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+  fileName: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+  },
+  expectedChecksum: {
+    type: DataTypes.STRING(64), // what replication last wrote there
+    allowNull: true,
+  },
+  actualChecksum: {
+    type: DataTypes.STRING(64), // null when the replica no longer has the file
+    allowNull: true,
+  },
+  detectedBy: {
+    type: DataTypes.STRING(255), // the user who edited the replica, or 'replication'
+    allowNull: true,
+  },
+  runId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  resolvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  resolvedBy: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  resolution: {
+    type: DataTypes.STRING(50), // overwritten or dismissed
+    allowNull: true,
+  },
+}, {
+  tableName: 'replication_conflicts',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['policyId', 'instanceId', 'fileName']
+    },
+    {
+      fields: ['resolvedAt']
+    }
+  ]
+});
+
+export default ReplicationConflict;
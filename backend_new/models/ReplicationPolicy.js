@@ -0,0 +1,54 @@
+import { DataTypes } from 'sequelize';
+import database from '../config/database.js';
+import { jsonColumn } from './jsonColumn.js';
+
+// Files saved on a primary instance that are copied to its replicas (see services/replicationService.js)
+const ReplicationPolicy = database.sequelize.define('ReplicationPolicy', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true,
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  sourceInstanceId: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+  sourceConfigId: {
+    type: DataTypes.STRING(100), // null: saves in any configuration of the source
+    allowNull: true,
+  },
+  targets: jsonColumn('targets', []), // [{ instanceId, configId }]
+  filePatterns: jsonColumn('filePatterns', []), // file name globs, e.g. *_DM.csv
+  enabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+  },
+  createdBy: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  updatedBy: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+}, {
+  tableName: 'replication_policies',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['sourceInstanceId']
+    }
+  ]
+});
+
+export default ReplicationPolicy;
@@ -0,0 +1,72 @@
+import { DataTypes } from 'sequelize';
+import database from '../config/database.js';
+import { jsonColumn } from './jsonColumn.js';
+
+// One save on a primary instance being copied to the replicas of a policy
+const ReplicationRun = database.sequelize.define('ReplicationRun', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  policyId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  status: {
+    type: DataTypes.ENUM('queued', 'running', 'succeeded', 'partial', 'failed'),
+    allowNull: false,
+    defaultValue: 'queued',
+  },
+  fileType: {
+    type: DataTypes.STRING(50), // routesets_definitions or routesets_digitmaps
+    allowNull: false,
+  },
+  fileName: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+  },
+  content: {
+    type: DataTypes.TEXT('long'),
+    allowNull: false,
+  },
+  contentChecksum: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+  },
+  sourceInstanceId: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+  sourceConfigId: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+  },
+  // per replica: { instanceId, configId, status, attempts, action, beforeChecksum, error, finishedAt }
+  targets: jsonColumn('targets', []),
+  triggeredBy: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  jobId: {
+    type: DataTypes.INTEGER, // latest job working on the run (retries queue a new one)
+    allowNull: true,
+  },
+}, {
+  tableName: 'replication_runs',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['policyId', 'fileType', 'fileName']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+export default ReplicationRun;
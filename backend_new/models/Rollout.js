@@ -0,0 +1,90 @@
+import { DataTypes } from 'sequelize';
+import database from '../config/database.js';
+import { jsonColumn } from './jsonColumn.js';
+
+// A DF/DM file pushed to the instances in stages: a canary first, then waves
+const Rollout = database.sequelize.define('Rollout', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  status: {
+    type: DataTypes.ENUM('queued', 'running', 'succeeded', 'halted', 'reverting', 'reverted', 'revert-failed'),
+    allowNull: false,
+    defaultValue: 'queued',
+  },
+  fileType: {
+    type: DataTypes.STRING(50), // routesets_definitions or routesets_digitmaps
+    allowNull: false,
+  },
+  fileName: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+  },
+  content: {
+    type: DataTypes.TEXT('long'),
+    allowNull: false,
+  },
+  contentChecksum: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+  },
+  selector: jsonColumn('selector'),
+  canaryInstanceId: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+  waveSize: {
+    type: DataTypes.INTEGER, // instances per wave after the canary
+    allowNull: false,
+    defaultValue: 1,
+  },
+  maxFailures: {
+    type: DataTypes.INTEGER, // failed instances tolerated before halting; the canary never is
+    allowNull: false,
+    defaultValue: 0,
+  },
+  autoRevert: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+  // per instance: { instanceId, name, wave (0 = canary), status, action, written, beforeChecksum, verifiedChecksum, error, finishedAt }
+  targets: jsonColumn('targets', []),
+  // instanceId -> content before the rollout wrote it (null when the file did not exist), for reverting
+  snapshots: jsonColumn('snapshots', {}),
+  haltReason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  startedBy: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  revertedBy: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  jobId: {
+    type: DataTypes.INTEGER, // latest job working on the rollout (a revert queues a new one)
+    allowNull: true,
+  },
+}, {
+  tableName: 'rollouts',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['status']
+    },
+    {
+      fields: ['fileType', 'fileName']
+    }
+  ]
+});
+
+export default Rollout;
@@ -0,0 +1,62 @@
+import { DataTypes } from 'sequelize';
+import database from '../config/database.js';
+import { jsonColumn } from './jsonColumn.js';
+
+// Recurring background job on a cron schedule (see services/schedulerService.js)
+const ScheduledTask = database.sequelize.define('ScheduledTask', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true,
+  },
+  description: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+  },
+  jobType: {
+    type: DataTypes.STRING(100), // job queue type to enqueue, e.g. customer-counts-monthly
+    allowNull: false,
+  },
+  cronExpression: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+  },
+  payload: jsonColumn('payload', {}),
+  enabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+  },
+  backfillMissed: {
+    type: DataTypes.BOOLEAN, // run the latest missed occurrence on startup
+    allowNull: false,
+    defaultValue: true,
+  },
+  nextRunAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  lastRunAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  createdBy: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+}, {
+  tableName: 'scheduled_tasks',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['enabled', 'nextRunAt']
+    }
+  ]
+});
+
+export default ScheduledTask;
@@ -0,0 +1,69 @@
+import { DataTypes } from 'sequelize';
+import database from '../config/database.js';
+import { jsonColumn } from './jsonColumn.js';
+
+// One execution of a scheduled task; status mirrors the job it enqueued
+const ScheduledTaskRun = database.sequelize.define('ScheduledTaskRun', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  taskId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'scheduled_tasks',
+      key: 'id',
+    },
+    onDelete: 'CASCADE',
+  },
+  scheduledFor: {
+    type: DataTypes.DATE, // the cron occurrence this run covers
+    allowNull: false,
+  },
+  trigger: {
+    type: DataTypes.ENUM('schedule', 'backfill', 'manual'),
+    allowNull: false,
+    defaultValue: 'schedule',
+  },
+  status: {
+    type: DataTypes.ENUM('queued', 'running', 'succeeded', 'failed', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'queued',
+  },
+  jobId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  result: jsonColumn('result'),
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  triggeredBy: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  finishedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+}, {
+  tableName: 'scheduled_task_runs',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['taskId', 'scheduledFor']
+    },
+    {
+      fields: ['jobId']
+    }
+  ]
+});
+
+export default ScheduledTaskRun;
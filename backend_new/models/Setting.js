@@ -0,0 +1,21 @@
+import { DataTypes } from 'sequelize';
+import database from '../config/database.js';
+import { jsonColumn } from './jsonColumn.js';
+
+// Dashboard-wide settings changed by admins at runtime (see services/settingsService.js)
+const Setting = database.sequelize.define('Setting', {
+  key: {
+    type: DataTypes.STRING(100),
+    primaryKey: true,
+  },
+  value: jsonColumn('value'),
+  updatedBy: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+}, {
+  tableName: 'dashboard_settings',
+  timestamps: true,
+});
+
+export default Setting;
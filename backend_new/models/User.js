@@ -1,6 +1,12 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
 import { DataTypes } from 'sequelize';
 import database from '../config/database.js';
+import { jsonColumn } from './jsonColumn.js';
 
+const BCRYPT_ROUNDS = 12;
+
+export const isPasswordHash = (value) => /^\$2[aby]\$\d{2}\$/.test(value || '');
 
 const User = database.sequelize.define('User', {
   id: {
@@ -22,6 +28,76 @@ const User = database.sequelize.define('User', {
     allowNull: true,
     unique: true,
   },
+  // viewer: read only, operator: upload/edit/sync, admin: instances, activation, clearing data, users
+  role: {
+    type: DataTypes.ENUM('viewer', 'operator', 'admin'),
+    allowNull: false,
+    defaultValue: 'viewer',
+  },
+  // Optional per-instance roles, e.g. { "prosbc1": "operator", "prosbc2": "viewer" }.
+  // When set, only the listed instances are accessible, at most with the global role.
+  instancePermissions: jsonColumn('instancePermissions', {}),
+  // May approve other users' change requests (services/changeRequestService.js); admins always can
+  canApprove: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+  // Disabled users cannot log in; their sessions are ended when they are disabled
+  disabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+  // Two-factor authentication (services/twoFactorService.js). totpSecret is pending until totpEnabled.
+  totpSecret: {
+    type: DataTypes.STRING(512),
+    allowNull: true,
+  },
+  totpEnabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+  totpLastStep: {
+    type: DataTypes.BIGINT, // last accepted time step, so a code cannot be replayed
+    allowNull: true,
+  },
+  recoveryCodes: jsonColumn('recoveryCodes', []), // sha256 hashes of unused recovery codes
+  // Where the password is checked (services/authProviderService.js): 'local' or a directory such as 'ldap'.
+  // Directory accounts are created at their first login and get their role from directory groups.
+  authProvider: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'local',
+  },
+  externalId: {
+    type: DataTypes.STRING(512), // directory DN
+    allowNull: true,
+  },
+}, {
+  hooks: {
+    // Passwords are only stored as bcrypt hashes, whoever sets them
+    beforeSave: async (user) => {
+      if (user.changed('password') && !isPasswordHash(user.password)) {
+        user.password = await bcrypt.hash(user.password, BCRYPT_ROUNDS);
+      }
+    },
+  },
 });
 
+// Rows created before hashing still hold the plaintext password; it is hashed on the first successful login
+User.prototype.verifyPassword = async function (password) {
+  if (!this.password || !password) return false;
+  if (isPasswordHash(this.password)) return bcrypt.compare(String(password), this.password);
+
+  const stored = Buffer.from(this.password);
+  const given = Buffer.from(String(password));
+  if (stored.length !== given.length || !crypto.timingSafeEqual(stored, given)) return false;
+  // Same value as before, so mark it changed or beforeSave would not hash it
+  this.changed('password', true);
+  await this.save({ fields: ['password'] });
+  return true;
+};
+
 export default User;
@@ -6,4 +6,18 @@ import './DialFormat.js';
 import './AuditLog.js';
 import './ProSBCInstance.js';
 import './CustomerCount.js';
-import './ProSBCDMFile.js';
\ No newline at end of file
+import './ProSBCDMFile.js';
+import './FileRevision.js';
+import './Job.js';
+import './ScheduledTask.js';
+import './ScheduledTaskRun.js';
+import './PhoneNumber.js';
+import './Setting.js';
+import './ApiToken.js';
+import './ChangeRequest.js';
+import './ReplicationPolicy.js';
+import './ReplicationRun.js';
+import './ReplicationConflict.js';
+import './InstanceHealthSample.js';
+import './Notification.js';
+import './Rollout.js';
@@ -0,0 +1,20 @@
+import { DataTypes } from 'sequelize';
+
+// JSON stored in LONGTEXT so large payloads (uploaded CSVs) fit and MariaDB
+// returns it the same way regardless of server version
+export const jsonColumn = (name, defaultValue = null) => ({
+  type: DataTypes.TEXT('long'),
+  allowNull: true,
+  get() {
+    const raw = this.getDataValue(name);
+    if (raw == null || raw === '') return defaultValue;
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      return defaultValue;
+    }
+  },
+  set(value) {
+    this.setDataValue(name, value == null ? null : JSON.stringify(value));
+  }
+});
@@ -0,0 +1,53 @@
+// Personal API tokens for scripts and automation
+import express from 'express';
+import apiTokenService from '../services/apiTokenService.js';
+import { API_TOKEN_SCOPES } from '../middleware/apiTokenScopes.js';
+import { requireRole } from '../middleware/permissions.js';
+
+const router = express.Router();
+
+router.use(requireRole('viewer'));
+
+const sendError = (res, err) =>
+  res.status(err.status || (/^invalid/i.test(err.message) ? 400 : 500)).json({ success: false, error: err.message });
+
+// GET /api-tokens - own tokens; admins can pass all=true
+router.get('/', async (req, res) => {
+  try {
+    const all = req.query.all === 'true' && req.permissions.role === 'admin';
+    res.json({ success: true, tokens: await apiTokenService.list({ userId: req.user.id, all }) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// GET /api-tokens/scopes
+router.get('/scopes', (req, res) => {
+  res.json({ success: true, scopes: API_TOKEN_SCOPES });
+});
+
+// POST /api-tokens - { name, scopes, instanceIds, expiresInDays }; the token is only returned here
+router.post('/', async (req, res) => {
+  try {
+    const { name, scopes, instanceIds, expiresInDays } = req.body;
+    const created = await apiTokenService.create(req.user, { name, scopes, instanceIds, expiresInDays });
+    res.status(201).json({ success: true, ...created });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// DELETE /api-tokens/:id - revoke
+router.delete('/:id', async (req, res) => {
+  try {
+    const apiToken = await apiTokenService.revoke(req.params.id, {
+      userId: req.user.id,
+      isAdmin: req.permissions.role === 'admin'
+    });
+    res.json({ success: true, apiToken });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+export default router;
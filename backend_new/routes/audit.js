@@ -0,0 +1,47 @@
+// Audit trail of changes pushed to ProSBC (admin only)
+import express from 'express';
+import auditService, { AUDIT_ACTIONS, AUDIT_OUTCOMES } from '../services/auditService.js';
+import { requireRole } from '../middleware/permissions.js';
+
+const router = express.Router();
+
+router.use(requireRole('admin'));
+
+const filtersOf = (query) => ({
+  action: query.action,
+  username: query.username,
+  instanceId: query.instanceId,
+  outcome: query.outcome,
+  target: query.target,
+  from: query.from,
+  to: query.to
+});
+
+// GET /audit - filters: action, username, instanceId, outcome, target, from, to; paging: limit, offset
+router.get('/', async (req, res) => {
+  try {
+    const { events, total } = await auditService.list(filtersOf(req.query), { limit: req.query.limit, offset: req.query.offset });
+    res.json({ success: true, events, total });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// GET /audit/actions - values for the viewer's filters
+router.get('/actions', (req, res) => {
+  res.json({ success: true, actions: Object.values(AUDIT_ACTIONS), outcomes: AUDIT_OUTCOMES });
+});
+
+// GET /audit/export - same filters, as CSV
+router.get('/export', async (req, res) => {
+  try {
+    const csv = await auditService.exportCsv(filtersOf(req.query));
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.send(csv);
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+export default router;
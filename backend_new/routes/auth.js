@@ -1,51 +1,243 @@
 import express from 'express';
 import User from '../models/User.js';
-import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import mongoose from 'mongoose';
 import ActiveUser from '../models/ActiveUser.js';
+import crypto from 'crypto';
+import NodeCache from 'node-cache';
+import { createSession, endSession, findSession, listSessions, refreshSession, renameSession } from '../middleware/sessions.js';
+import twoFactorService from '../services/twoFactorService.js';
+import authProviderService from '../services/authProviderService.js';
 
 const router = express.Router();
 
-// POST /api/login
+const JWT_SECRET = () => process.env.JWT_SECRET || 'secret';
+const CHALLENGE_TTL = '5m';
+const MAX_CODE_ATTEMPTS = 5;
+
+// Wrong second-step codes per login challenge
+const challengeAttempts = new NodeCache({ stdTTL: 300, checkperiod: 60 });
+
+// New session next to the user's other sessions; the login body may name it ({ sessionName })
+// Answers { token, refreshToken, expiresIn, idleTimeoutMinutes }
+const startSession = (user, req) => createSession(user, { userAgent: req.get('user-agent'), ip: req.ip, name: req.body.sessionName });
+
+// Short-lived token proving the password step passed; only accepted by the /login/2fa routes
+const challengeFor = (user) => jwt.sign(
+  { id: user.id, purpose: 'login-2fa', jti: crypto.randomUUID() },
+  JWT_SECRET(),
+  { expiresIn: CHALLENGE_TTL }
+);
+
+async function userFromChallenge(challengeToken) {
+  let payload;
+  try {
+    payload = jwt.verify(challengeToken || '', JWT_SECRET());
+  } catch {
+    return { error: 'Login step expired, please sign in again.' };
+  }
+  if (payload.purpose !== 'login-2fa') return { error: 'Invalid login challenge.' };
+  if ((challengeAttempts.get(payload.jti) || 0) >= MAX_CODE_ATTEMPTS) {
+    return { error: 'Too many invalid codes, please sign in again.' };
+  }
+  const user = await User.findByPk(payload.id);
+  if (!user || user.disabled) return { error: 'Invalid login challenge.' };
+  return { user, jti: payload.jti };
+}
 
 // POST /api/login
+// Answers { token, refreshToken, expiresIn, idleTimeoutMinutes }, or { twoFactorRequired | twoFactorSetupRequired, challengeToken } for the second step
 router.post('/login', async (req, res) => {
   const { username, password } = req.body;
   if (!username || !password) {
     return res.status(400).json({ message: 'Username and password are required.' });
   }
   try {
-    const user = await User.findOne({ where: { username } });
+    // Local users table and/or directory, per AUTH_PROVIDERS
+    const user = await authProviderService.authenticate(username, password);
     if (!user) {
       return res.status(401).json({ message: 'Invalid username or password.' });
     }
-    // For demo: assume password is stored in plaintext (not recommended!)
-    // In production, use bcrypt.compare(password, user.password)
-    if (user.password && password === user.password) {
-      // Delete any existing active session for this user
-      await ActiveUser.destroy({ where: { userId: user.id } });
-      // Generate JWT
-      const token = jwt.sign({ id: user.id, username: user.username }, process.env.JWT_SECRET || 'secret', { expiresIn: '1d' });
-      await ActiveUser.create({ userId: user.id, username: user.username, token });
-      return res.json({ token });
+    if (user.disabled) {
+      return res.status(403).json({ message: 'This account is disabled.' });
+    }
+    // Second step: enrolled users enter a code, users whose role requires 2FA enroll first
+    if (user.totpEnabled) {
+      return res.json({ twoFactorRequired: true, challengeToken: challengeFor(user) });
+    }
+    if (await twoFactorService.isRequiredFor(user.role)) {
+      return res.json({ twoFactorSetupRequired: true, challengeToken: challengeFor(user) });
+    }
+    return res.json(await startSession(user, req));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    return res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// POST /api/login/2fa/setup - { challengeToken }; enrollment during login when the role requires 2FA
+router.post('/login/2fa/setup', async (req, res) => {
+  try {
+    const { user, error } = await userFromChallenge(req.body.challengeToken);
+    if (error) return res.status(401).json({ message: error });
+    res.json(await twoFactorService.beginEnrollment(user));
+  } catch (err) {
+    return res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// POST /api/login/2fa - { challengeToken, code } or { challengeToken, recoveryCode }
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { user, jti, error } = await userFromChallenge(req.body.challengeToken);
+    if (error) return res.status(401).json({ message: error });
+
+    let recoveryCodes;
+    if (user.totpEnabled) {
+      if (!(await twoFactorService.verifyLogin(user, req.body))) {
+        challengeAttempts.set(jti, (challengeAttempts.get(jti) || 0) + 1);
+        return res.status(401).json({ message: 'Invalid authentication code.' });
+      }
     } else {
-      return res.status(401).json({ message: 'Invalid username or password.' });
+      try {
+        recoveryCodes = await twoFactorService.completeEnrollment(user, req.body.code);
+      } catch (enrollError) {
+        challengeAttempts.set(jti, (challengeAttempts.get(jti) || 0) + 1);
+        return res.status(401).json({ message: enrollError.message });
+      }
+    }
+    challengeAttempts.del(jti);
+    return res.json({ ...(await startSession(user, req)), recoveryCodes });
+  } catch (err) {
+    return res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// POST /api/refresh - { refreshToken }; rotates it and answers a new token pair.
+// 409 when another tab rotated the same refresh token a moment ago.
+router.post('/refresh', async (req, res) => {
+  try {
+    res.json(await refreshSession(req.body.refreshToken, { ip: req.ip }));
+  } catch (err) {
+    return res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// GET /api/2fa - two-factor status of the current user
+router.get('/2fa', async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    res.json(twoFactorService.statusOf(user, await twoFactorService.isRequiredFor(user.role)));
+  } catch (err) {
+    return res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// POST /api/2fa/setup - new secret and QR code for the authenticator app
+router.post('/2fa/setup', async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    res.json(await twoFactorService.beginEnrollment(user));
+  } catch (err) {
+    return res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// POST /api/2fa/enable - { code }; returns the recovery codes, shown only once
+router.post('/2fa/enable', async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    const recoveryCodes = await twoFactorService.completeEnrollment(user, req.body.code);
+    res.json({ ...twoFactorService.statusOf(user, await twoFactorService.isRequiredFor(user.role)), recoveryCodes });
+  } catch (err) {
+    return res.status(err.status || (/^invalid/i.test(err.message) ? 400 : 500)).json({ message: err.message });
+  }
+});
+
+// POST /api/2fa/recovery-codes - { code }; replaces all recovery codes
+router.post('/2fa/recovery-codes', async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    if (!user || !user.totpEnabled) return res.status(409).json({ message: 'Two-factor authentication is not enabled' });
+    if (!(await twoFactorService.verifyTotp(user, req.body.code))) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+    res.json({ recoveryCodes: await twoFactorService.regenerateRecoveryCodes(user) });
+  } catch (err) {
+    return res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// POST /api/2fa/disable - { code } or { recoveryCode }; not allowed when the role requires 2FA
+router.post('/2fa/disable', async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    if (!user || !user.totpEnabled) return res.status(409).json({ message: 'Two-factor authentication is not enabled' });
+    if (await twoFactorService.isRequiredFor(user.role)) {
+      return res.status(409).json({ message: `Two-factor authentication is required for the ${user.role} role` });
+    }
+    if (!(await twoFactorService.verifyLogin(user, req.body))) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+    await twoFactorService.disable(user);
+    res.json(twoFactorService.statusOf(user, false));
+  } catch (err) {
+    return res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// GET /api/sessions - the current user's sessions; `current` marks this one
+router.get('/sessions', async (req, res) => {
+  try {
+    res.json({ sessions: await listSessions({ userId: req.user.id, currentSessionId: req.sessionId }) });
+  } catch (err) {
+    return res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// PUT /api/sessions/:id - { name }
+router.put('/sessions/:id', async (req, res) => {
+  try {
+    const session = await findSession(req.params.id, { userId: req.user.id });
+    res.json({ session: await renameSession(session, req.body.name) });
+  } catch (err) {
+    return res.status(err.status || (/^invalid/i.test(err.message) ? 400 : 500)).json({ message: err.message });
+  }
+});
+
+// DELETE /api/sessions/:id - revoke one of the current user's sessions
+router.delete('/sessions/:id', async (req, res) => {
+  try {
+    const session = await findSession(req.params.id, { userId: req.user.id });
+    await endSession(session);
+    res.json({ message: 'Session revoked.' });
+  } catch (err) {
+    return res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// POST /api/sessions/revoke-others - keep only the session making this request
+router.post('/sessions/revoke-others', async (req, res) => {
+  try {
+    const others = (await ActiveUser.findAll({ where: { userId: req.user.id } }))
+      .filter(session => String(session.id) !== String(req.sessionId));
+    for (const session of others) {
+      await endSession(session);
     }
+    res.json({ message: `${others.length} other session${others.length === 1 ? '' : 's'} revoked.`, revoked: others.length });
   } catch (err) {
     return res.status(500).json({ message: 'Server error', error: err.message });
   }
 });
 
-// POST /api/logout
+// POST /api/logout - ends only the session making the request
 router.post('/logout', async (req, res) => {
   try {
-    // Update logout time and then remove the current user's active session
-    await ActiveUser.update(
-      { logoutTime: new Date() },
-      { where: { userId: req.user.id } }
-    );
-    await ActiveUser.destroy({ where: { userId: req.user.id } });
+    const session = req.sessionId && await ActiveUser.findByPk(req.sessionId);
+    if (session) await endSession(session);
     return res.json({ message: 'Logged out successfully.' });
   } catch (err) {
     return res.status(500).json({ message: 'Server error', error: err.message });
@@ -0,0 +1,158 @@
+// Change requests: pushes to every ProSBC instance that a second user approves before they run
+import express from 'express';
+import multer from 'multer';
+import changeRequestService, { serializeChangeRequest } from '../services/changeRequestService.js';
+import updatePlanService from '../services/updatePlanService.js';
+import settingsService from '../services/settingsService.js';
+import { requireRole } from '../middleware/permissions.js';
+import { hasFileTypeScope } from '../middleware/apiTokenScopes.js';
+import { canApproveChanges, isChangeApprovalRequired } from '../middleware/changeApproval.js';
+import { parseInstanceSelector } from '../utils/instanceSelector.js';
+
+const router = express.Router();
+const upload = multer(); // memory storage
+
+router.use(requireRole('viewer'));
+
+const isTrue = (value) => value === true || value === 'true';
+
+const sendError = (res, err) =>
+  res.status(err.status || (/^invalid/i.test(err.message) ? 400 : 500)).json({
+    success: false,
+    error: err.message,
+    ...(err.conflictCheck ? { conflictCheck: err.conflictCheck } : {})
+  });
+
+function requireApprover(req, res, next) {
+  if (canApproveChanges(req.permissions)) return next();
+  res.status(403).json({ success: false, error: 'Requires approver rights' });
+}
+
+// GET /change-requests/settings - whether pushes to every instance need approval, and whether this user approves
+router.get('/settings', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      requireChangeApproval: await isChangeApprovalRequired(),
+      canApprove: canApproveChanges(req.permissions),
+      pending: await changeRequestService.pendingCount()
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// PUT /change-requests/settings - { requireChangeApproval } (admin only)
+router.put('/settings', requireRole('admin'), async (req, res) => {
+  try {
+    if (typeof req.body.requireChangeApproval !== 'boolean') {
+      return res.status(400).json({ success: false, error: 'Invalid requireChangeApproval: expected true or false' });
+    }
+    await settingsService.set('requireChangeApproval', req.body.requireChangeApproval, req.user?.username);
+    console.log(`✅ Change approval ${req.body.requireChangeApproval ? 'required' : 'no longer required'} by ${req.user?.username}`);
+    res.json({ success: true, requireChangeApproval: req.body.requireChangeApproval });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// GET /change-requests?status=pending,approved&requestedBy=
+router.get('/', async (req, res) => {
+  try {
+    const { status, requestedBy, limit } = req.query;
+    const requests = await changeRequestService.list({ status, requestedBy, limit });
+    res.json({ success: true, changeRequests: requests.map(request => serializeChangeRequest(request)) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// GET /change-requests/:id - including the file content
+router.get('/:id', async (req, res) => {
+  try {
+    const request = await changeRequestService.get(req.params.id);
+    res.json({ success: true, changeRequest: serializeChangeRequest(request, { includeContent: true }) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /change-requests - { planId, instances, reason, allowConflicts }: stage an update-to-all dry run plan
+router.post('/', requireRole('operator', { allInstances: true }), async (req, res) => {
+  try {
+    const { planId, instances, reason } = req.body;
+    if (!planId) {
+      return res.status(400).json({ success: false, error: 'planId is required' });
+    }
+    const plan = updatePlanService.get(planId);
+    if (plan && !hasFileTypeScope(req, plan.fileType)) {
+      return res.status(403).json({ success: false, error: `API token lacks the ${plan.fileType}:write scope` });
+    }
+    const request = await changeRequestService.stageUpdateToAll({
+      planId,
+      instances,
+      reason,
+      allowConflicts: isTrue(req.body.allowConflicts)
+    }, req.user, req.ip);
+    res.status(201).json({ success: true, changeRequest: serializeChangeRequest(request) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /change-requests/upload - multipart file, kind (df|dm), reason, allowConflicts, group?, tag?:
+// stage an upload to every instance, or to the instances of a group/tag
+router.post('/upload', requireRole('operator', { allInstances: true }), upload.single('file'), async (req, res) => {
+  try {
+    const { kind, reason } = req.body;
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'File is required.' });
+    }
+    if (!hasFileTypeScope(req, kind)) {
+      return res.status(403).json({ success: false, error: `API token lacks the ${kind}:write scope` });
+    }
+    const request = await changeRequestService.stageUploadAll({
+      kind,
+      fileName: req.file.originalname,
+      content: req.file.buffer.toString('utf8'),
+      reason,
+      selector: parseInstanceSelector(req.body),
+      allowConflicts: isTrue(req.body.allowConflicts)
+    }, req.user, req.ip);
+    res.status(201).json({ success: true, changeRequest: serializeChangeRequest(request) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /change-requests/:id/approve - { comment }; queues the push and returns its job
+router.post('/:id/approve', requireRole('operator', { allInstances: true }), requireApprover, async (req, res) => {
+  try {
+    const request = await changeRequestService.approve(req.params.id, req.user, { comment: req.body.comment, ip: req.ip });
+    res.json({ success: true, changeRequest: serializeChangeRequest(request), jobId: request.jobId });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /change-requests/:id/reject - { comment }
+router.post('/:id/reject', requireApprover, async (req, res) => {
+  try {
+    const request = await changeRequestService.reject(req.params.id, req.user, { comment: req.body.comment, ip: req.ip });
+    res.json({ success: true, changeRequest: serializeChangeRequest(request) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /change-requests/:id/cancel - the requester withdraws a pending request
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const request = await changeRequestService.cancel(req.params.id, req.user);
+    res.json({ success: true, changeRequest: serializeChangeRequest(request) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+export default router;
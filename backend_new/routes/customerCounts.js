@@ -7,9 +7,19 @@ import ProSBCInstance from '../models/ProSBCInstance.js';
 import { getProSBCCredentials } from '../utils/prosbc/multiInstanceManager.js';
 import { prosbcLogin } from '../utils/prosbc/login.js';
 import { ProSBCFileAPI } from '../utils/prosbc/prosbcFileManager.js';
+import customerCountService, { countCalledNumbers } from '../services/customerCountService.js';
+import jobQueueService, { serializeJob } from '../services/jobQueueService.js';
+import { JOB_TYPES } from '../services/jobHandlers.js';
+import { SEARCH_MODES, parseNumberQuery } from '../utils/numberQuery.js';
+import { parseInstanceSelector, describeInstanceSelector } from '../utils/instanceSelector.js';
+import proSbcInstanceService from '../services/proSbcInstanceService.js';
+import { requireRole } from '../middleware/permissions.js';
 
 const router = express.Router();
 
+// Every route needs at least viewer access to the instance it works on
+router.use(requireRole('viewer'));
+
 // Helper to get instance config
 async function getInstanceConfig(instanceId) {
   if (instanceId) {
@@ -49,27 +59,6 @@ async function fetchDMFile(baseURL, sessionCookie, dbId, fileId) {
   return response.text();
 }
 
-// Function to count numbers in 'called' or 'calling' column
-function countCalledNumbers(csvContent, fileName) {
-  return new Promise((resolve, reject) => {
-    let count = 0;
-    const stream = Readable.from(csvContent);
-
-    stream
-      .pipe(csv())
-      .on('data', (row) => {
-        // Check 'called' first, then 'calling' if 'called' is empty
-        const calledValue = Object.values(row)[0] || '';
-        const callingValue = Object.values(row)[1] || '';
-        if ((calledValue && calledValue.trim() !== '') || (callingValue && callingValue.trim() !== '')) {
-          count++;
-        }
-      })
-      .on('end', () => resolve(count))
-      .on('error', reject);
-  });
-}
-
 // Function to search for a number in CSV
 function searchNumberInCSV(csvContent, searchNumber) {
   return new Promise((resolve, reject) => {
@@ -90,71 +79,27 @@ function searchNumberInCSV(csvContent, searchNumber) {
   });
 }
 
-// Function to create monthly historical counts for all DM files
-async function createMonthlyHistoricalCounts(instanceId, configId, fileManager) {
-  try {
-    // Get DM files
-    const dmResult = await fileManager.listDmFiles(configId);
-    if (!dmResult.success) {
-      throw new Error('Failed to list DM files');
-    }
-    const dmFiles = dmResult.files.filter(file => 
-      file.id && 
-      !isNaN(file.id) && 
-      file.name && 
-      file.name.endsWith('.csv') && 
-      !file.name.includes('called_calling') // Filter out header-like entries
-    );
-
-    // Use the correct prosbcInstanceId format (prosbc1, prosbc2, etc.)
-    const prosbcInstanceId = instanceId.startsWith('prosbc') ? instanceId : `prosbc${instanceId}`;
-
-    const currentDate = new Date();
-    const currentMonth = currentDate.toISOString().slice(0, 10); // YYYY-MM-DD
-
-    for (const file of dmFiles) {
-      try {
-        // Fetch the file content directly
-        const exportUrl = `${fileManager.baseURL}${file.exportUrl}`;
-        const response = await fetch(exportUrl, {
-          headers: await fileManager.getCommonHeaders()
-        });
-        if (!response.ok) {
-          console.error(`Failed to fetch file ${file.name}: ${response.status}`);
-          continue;
-        }
-        const csvContent = await response.text();
-        const count = await countCalledNumbers(csvContent, file.name);
+// Called numbers of a DM file matching any of the parsed queries, counted per query
+function countMatchesInCSV(csvContent, parsedQueries) {
+  return new Promise((resolve, reject) => {
+    const counts = parsedQueries.map(() => 0);
+    const samples = parsedQueries.map(() => []);
 
-        // Check if we need to store monthly data
-        const existingRecord = await CustomerCount.findOne({
-          where: {
-            customerName: file.name,
-            date: currentMonth,
-            prosbcInstanceId: prosbcInstanceId
+    Readable.from(csvContent)
+      .pipe(csv())
+      .on('data', (row) => {
+        const calledValue = (Object.values(row)[0] || '').trim();
+        if (!calledValue) return;
+        parsedQueries.forEach((parsed, index) => {
+          if (parsed.matches(calledValue)) {
+            counts[index]++;
+            if (samples[index].length < 20) samples[index].push(calledValue);
           }
         });
-
-        if (!existingRecord) {
-          await CustomerCount.create({
-            customerName: file.name,
-            count: count,
-            date: currentMonth,
-            prosbcInstanceId: prosbcInstanceId
-          });
-          console.log(`Created historical count for ${file.name} on ${currentMonth}`);
-        } else {
-          console.log(`Historical count already exists for ${file.name} on ${currentMonth}`);
-        }
-      } catch (err) {
-        console.error(`Error processing file ${file.name}:`, err);
-        // Continue with other files
-      }
-    }
-  } catch (error) {
-    console.error('Error creating monthly historical counts:', error);
-    throw error;
-  }
+      })
+      .on('end', () => resolve({ counts, samples }))
+      .on('error', reject);
+  });
 }
 
 // GET /customer-counts
@@ -219,8 +164,10 @@ router.get('/', async (req, res) => {
   }
 });
 
-// POST /customer-counts/create-monthly
-router.post('/create-monthly', async (req, res) => {
+// POST /customer-counts/create-monthly - { configId, group?, tag? }
+// group/tag snapshot only the matching instances (utils/instanceSelector.js)
+// With background=true the snapshot runs as a job and the response carries the job to follow
+router.post('/create-monthly', requireRole('operator', { allInstances: true }), async (req, res) => {
   try {
     const configId = req.body.configId;
 
@@ -228,32 +175,26 @@ router.post('/create-monthly', async (req, res) => {
       return res.status(400).json({ success: false, error: 'configId is required' });
     }
 
-    // Get all ProSBC instances
-    const proSbcInstanceService = (await import('../services/proSbcInstanceService.js')).default;
-    const instances = await proSbcInstanceService.getAllInstances();
+    const selector = parseInstanceSelector(req.body);
+    await proSbcInstanceService.selectInstances(selector);
 
-    const results = [];
-
-    for (const instance of instances) {
-      try {
-        const instanceId = instance.id; // e.g., 'prosbc1'
-        const fileManager = new ProSBCFileAPI(instanceId);
-        await createMonthlyHistoricalCounts(instanceId, configId, fileManager);
-        results.push({ instanceId, status: 'success' });
-      } catch (error) {
-        console.error(`Error creating historical counts for ${instance.id}:`, error);
-        results.push({ instanceId: instance.id, status: 'error', error: error.message });
-      }
+    if (req.query.background === 'true' || req.body.background === true) {
+      const job = await jobQueueService.enqueue(JOB_TYPES.CUSTOMER_COUNTS_MONTHLY, { configId, selector }, {
+        createdBy: req.user?.username
+      });
+      return res.status(202).json({ success: true, jobId: job.id, job: serializeJob(job) });
     }
 
+    const results = await customerCountService.createMonthlyCountsForAllInstances(configId, { selector });
+
     res.json({
       success: true,
-      message: 'Monthly historical counts creation completed for all instances',
+      message: `Monthly historical counts creation completed for ${describeInstanceSelector(selector)}`,
       results: results
     });
   } catch (err) {
     console.error('Error creating monthly historical counts:', err);
-    res.status(500).json({ success: false, error: err.message });
+    res.status(err.status || 500).json({ success: false, error: err.message });
   }
 });
 
@@ -293,6 +234,29 @@ router.get('/historical', async (req, res) => {
     res.status(500).json({ success: false, error: err.message });
   }
 });
+// GET /customer-counts/analytics?instanceId=1,2&from=YYYY-MM&to=YYYY-MM&top=10
+// Month-over-month growth across instances (all instances when instanceId is omitted)
+router.get('/analytics', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const monthPattern = /^\d{4}-\d{2}$/;
+    if ((from && !monthPattern.test(from)) || (to && !monthPattern.test(to))) {
+      return res.status(400).json({ success: false, error: 'from and to must be in YYYY-MM format' });
+    }
+
+    const instanceIds = req.query.instanceId
+      ? String(req.query.instanceId).split(',').map(id => id.trim()).filter(Boolean)
+      : [];
+    const top = Math.min(parseInt(req.query.top || '10', 10) || 10, 100);
+
+    const analytics = await customerCountService.getTrendAnalytics({ instanceIds, from, to, top });
+    res.json({ success: true, analytics });
+  } catch (err) {
+    console.error('Error computing customer count analytics:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
 router.get('/search', async (req, res) => {
   try {
     const instanceId = req.headers['x-prosbc-instance-id'];
@@ -303,11 +267,25 @@ router.get('/search', async (req, res) => {
       return res.status(400).json({ success: false, error: 'configId and numbers are required' });
     }
 
-    const numbers = numbersParam.split(/[, \r\n]+/).map(num => num.trim()).filter(num => num);
+    const mode = req.query.mode || 'exact';
+    if (!SEARCH_MODES.includes(mode)) {
+      return res.status(400).json({ success: false, error: `mode must be one of ${SEARCH_MODES.join(', ')}` });
+    }
+
+    // Ranges contain a dash, so only split those on commas and line breaks
+    const separator = mode === 'range' ? /[,\r\n]+/ : /[, \r\n]+/;
+    const numbers = numbersParam.split(separator).map(num => num.trim()).filter(num => num);
     if (numbers.length === 0) {
       return res.status(400).json({ success: false, error: 'At least one number is required' });
     }
 
+    let parsedQueries;
+    try {
+      parsedQueries = numbers.map(query => parseNumberQuery(query, mode));
+    } catch (parseError) {
+      return res.status(400).json({ success: false, error: parseError.message });
+    }
+
     const instanceConfig = await getInstanceConfig(instanceId);
     const fileManager = new ProSBCFileAPI(instanceId);
 
@@ -324,6 +302,46 @@ router.get('/search', async (req, res) => {
       !file.name.includes('called_calling') // Filter out header-like entries
     );
 
+    // Prefix, range and pattern searches read every file once and count matches per file
+    if (mode !== 'exact') {
+      const perQuery = parsedQueries.map(parsed => ({ number: parsed.query, files: [], samples: [] }));
+      for (const file of dmFiles) {
+        try {
+          const exportUrl = `${fileManager.baseURL}${file.exportUrl}`;
+          const response = await fetch(exportUrl, {
+            headers: await fileManager.getCommonHeaders()
+          });
+          if (!response.ok) {
+            console.error(`Failed to fetch file ${file.name}: ${response.status}`);
+            continue;
+          }
+          const { counts, samples } = await countMatchesInCSV(await response.text(), parsedQueries);
+          counts.forEach((count, index) => {
+            if (count === 0) return;
+            perQuery[index].files.push({ customerName: file.name, count });
+            perQuery[index].samples.push(...samples[index]);
+          });
+        } catch (err) {
+          console.error(`Error processing file ${file.name}:`, err);
+        }
+      }
+
+      const results = perQuery.map(result => {
+        const total = result.files.reduce((sum, file) => sum + file.count, 0);
+        result.files.sort((a, b) => b.count - a.count);
+        return {
+          number: result.number,
+          found: total > 0,
+          customerName: result.files[0]?.customerName || null,
+          total,
+          files: result.files,
+          instances: total > 0 ? [{ instanceId: instanceId || 'default', count: total, files: result.files.length }] : [],
+          samples: result.samples.slice(0, 50)
+        };
+      });
+      return res.json({ success: true, mode, results });
+    }
+
     const results = [];
 
     for (const searchNumber of numbers) {
@@ -363,6 +381,7 @@ router.get('/search', async (req, res) => {
 
     res.json({
       success: true,
+      mode,
       results: results
     });
   } catch (err) {
@@ -1,7 +1,5 @@
 import express from 'express';
-import csv from 'csv-parser';
-import { Readable } from 'stream';
-import fetch from 'node-fetch';
+import { Op } from 'sequelize';
 import fs from 'fs';
 import path from 'path';
 import ProSBCDMFile from '../models/ProSBCDMFile.js';
@@ -9,9 +7,34 @@ import ProSBCInstance from '../models/ProSBCInstance.js';
 import database from '../config/database.js';
 import { getProSBCCredentials } from '../utils/prosbc/multiInstanceManager.js';
 import { ProSBCFileAPI } from '../utils/prosbc/prosbcFileManager.js';
+import fileRevisionService from '../services/fileRevisionService.js';
+import prosbcFileSyncService, { extractNumbersFromCSV } from '../services/ProSBCFileSyncService.js';
+import jobQueueService, { serializeJob } from '../services/jobQueueService.js';
+import phoneNumberIndexService from '../services/phoneNumberIndexService.js';
+import dmConflictService, { CONFLICT_KINDS } from '../services/dmConflictService.js';
+import { JOB_TYPES } from '../services/jobHandlers.js';
+import { SEARCH_MODES } from '../utils/numberQuery.js';
+import { requireRole, hasRole, instanceIdFrom, accessibleInstanceIds } from '../middleware/permissions.js';
+import { audited } from '../middleware/audit.js';
+import auditService, { AUDIT_ACTIONS } from '../services/auditService.js';
+import replicationService from '../services/replicationService.js';
 
 const router = express.Router();
 
+// Every route needs at least viewer access to the instance it works on
+router.use(requireRole('viewer'));
+
+// Where clause for the files a request may list: the instance requireRole checked, else every
+// instance the user may see
+function instanceWhere(req) {
+  const instanceId = instanceIdFrom(req);
+  if (instanceId) return { prosbc_instance_id: String(instanceId) };
+  const accessible = accessibleInstanceIds(req.permissions);
+  return accessible ? { prosbc_instance_id: { [Op.in]: accessible } } : {};
+}
+
+const allowConflicts = (req) => req.query.allowConflicts === 'true' || req.body.allowConflicts === true || req.body.allowConflicts === 'true';
+
 // Helper to get instance config
 async function getInstanceConfig(instanceId) {
   if (instanceId) {
@@ -36,30 +59,9 @@ async function getInstanceConfig(instanceId) {
   }
 }
 
-// Function to extract numbers from CSV content
-function extractNumbersFromCSV(csvContent) {
-  return new Promise((resolve, reject) => {
-    const numbers = [];
-    const stream = Readable.from(csvContent);
-
-    stream
-      .pipe(csv())
-      .on('data', (row) => {
-        // Only extract numbers from the 'called' column (first column)
-        const calledValue = Object.values(row)[0] || '';
-
-        if (calledValue && calledValue.trim() !== '' && calledValue.trim() !== 'called') {
-          numbers.push(calledValue.trim());
-        }
-      })
-      .on('end', () => resolve(numbers))
-      .on('error', reject);
-  });
-}
-
 // POST /dm-files/sync
-router.post('/sync', async (req, res) => {
-  const transaction = await database.sequelize.transaction();
+// With background=true the sync runs as a job and the response carries the job to follow
+router.post('/sync', requireRole('operator'), async (req, res) => {
   try {
     const instanceId = req.headers['x-prosbc-instance-id'];
     const { configId } = req.body;
@@ -68,133 +70,27 @@ router.post('/sync', async (req, res) => {
       return res.status(400).json({ success: false, error: 'configId is required' });
     }
 
-    const instanceConfig = await getInstanceConfig(instanceId);
-    const fileManager = new ProSBCFileAPI(instanceId);
-
-    // Get DM files
-    const dmResult = await fileManager.listDmFiles(configId);
-    if (!dmResult.success) {
-      throw new Error('Failed to list DM files');
-    }
-    const dmFiles = dmResult.files.filter(file =>
-      file.id &&
-      !isNaN(file.id) &&
-      file.name &&
-      file.name.endsWith('.csv') &&
-      !file.name.includes('called_calling') // Filter out header-like entries
-    );
-
-    // Get ProSBC instance details
-    let prosbcInstance;
-    if (instanceId) {
-      prosbcInstance = await ProSBCInstance.findOne({ where: { id: instanceId }, transaction });
-      if (!prosbcInstance) {
-        await transaction.rollback();
-        return res.status(400).json({ success: false, error: 'Invalid instance ID' });
-      }
-    } else {
-      // Default instance
-      prosbcInstance = await ProSBCInstance.findOne({ where: { name: 'default' }, transaction });
-      if (!prosbcInstance) {
-        prosbcInstance = { id: 1, name: 'default' }; // Assume 1 if not found
-      }
-    }
-
-    // Process files in parallel with concurrency limit
-    const concurrencyLimit = 5; // Limit to 5 concurrent requests
-    const processFile = async (file) => {
-      try {
-        // Fetch the file content
-        const exportUrl = `${fileManager.baseURL}${file.exportUrl}`;
-        const response = await fetch(exportUrl, {
-          headers: await fileManager.getCommonHeaders()
-        });
-
-        if (!response.ok) {
-          throw new Error(`Failed to fetch file ${file.name}: ${response.status}`);
-        }
-
-        const csvContent = await response.text();
-        const numbers = await extractNumbersFromCSV(csvContent);
-
-        return {
-          success: true,
-          record: {
-            file_name: file.name,
-            file_content: csvContent,
-            numbers: JSON.stringify(numbers),
-            prosbc_file_id: file.id.toString(),
-            prosbc_instance_id: prosbcInstance.id,
-            prosbc_instance_name: prosbcInstance.name,
-            total_numbers: numbers.length,
-            last_synced: new Date(),
-            status: 'active'
-          },
-          file_name: file.name,
-          total_numbers: numbers.length
-        };
-      } catch (err) {
-        console.error(`Error processing file ${file.name}:`, err);
-        return {
-          success: false,
-          file_name: file.name,
-          error: err.message
-        };
-      }
-    };
-
-    // Chunk files into batches for concurrency control
-    const results = [];
-    for (let i = 0; i < dmFiles.length; i += concurrencyLimit) {
-      const batch = dmFiles.slice(i, i + concurrencyLimit);
-      const batchPromises = batch.map(processFile);
-      const batchResults = await Promise.all(batchPromises);
-      results.push(...batchResults);
-    }
-
-    // Separate successes and failures
-    const successes = results.filter(r => r.success);
-    const failures = results.filter(r => !r.success);
-
-    // Bulk create successful records
-    if (successes.length > 0) {
-      const records = successes.map(s => s.record);
-      await ProSBCDMFile.bulkCreate(records, { transaction, ignoreDuplicates: true });
-    }
-
-    // Handle failures - update status to inactive
-    for (const failure of failures) {
-      try {
-        await ProSBCDMFile.upsert({
-          file_name: failure.file_name,
-          prosbc_instance_id: prosbcInstance.id,
-          prosbc_instance_name: prosbcInstance.name,
-          status: 'inactive',
-          last_synced: new Date()
-        }, { transaction });
-      } catch (dbError) {
-        console.error('Error updating failed file status:', dbError);
-      }
+    if (req.query.background === 'true' || req.body.background === true) {
+      const job = await jobQueueService.enqueue(JOB_TYPES.DM_FILES_SYNC, { instanceId, configId }, {
+        createdBy: req.user?.username,
+        instanceId
+      });
+      return res.status(202).json({ success: true, jobId: job.id, job: serializeJob(job) });
     }
 
-    await transaction.commit();
-
-    res.json({
-      success: true,
-      message: `Synced ${successes.length} files, ${failures.length} errors`,
-      syncedFiles: successes.map(s => ({ file_name: s.file_name, total_numbers: s.total_numbers })),
-      errors: failures
-    });
-
+    const result = await prosbcFileSyncService.syncDmFiles(instanceId, configId);
+    res.json(result);
   } catch (err) {
-    await transaction.rollback();
     console.error('Error syncing DM files:', err);
+    if (err.message === 'Invalid instance ID') {
+      return res.status(400).json({ success: false, error: err.message });
+    }
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
 // POST /dm-files - Create a new DM file entry
-router.post('/', async (req, res) => {
+router.post('/', requireRole('operator'), async (req, res) => {
   try {
     const instanceId = req.headers['x-prosbc-instance-id'];
     const { file_name, prosbc_file_id, file_content, configId } = req.body;
@@ -219,24 +115,27 @@ router.post('/', async (req, res) => {
     }
 
     // Extract numbers from CSV content if provided
-    let numbers = [];
     let totalNumbers = 0;
     if (file_content) {
-      numbers = await extractNumbersFromCSV(file_content);
-      totalNumbers = numbers.length;
+      totalNumbers = (await extractNumbersFromCSV(file_content)).length;
     }
 
-    // Create the file entry
-    const newFile = await ProSBCDMFile.create({
-      file_name: file_name,
-      file_content: file_content || null,
-      numbers: file_content ? JSON.stringify(numbers) : null,
-      prosbc_file_id: prosbc_file_id || null,
-      prosbc_instance_id: prosbcInstance.id,
-      prosbc_instance_name: prosbcInstance.name,
-      total_numbers: totalNumbers,
-      last_synced: new Date(),
-      status: 'active'
+    // Create the file entry and index its numbers
+    const newFile = await database.sequelize.transaction(async (transaction) => {
+      const created = await ProSBCDMFile.create({
+        file_name: file_name,
+        file_content: file_content || null,
+        prosbc_file_id: prosbc_file_id || null,
+        prosbc_instance_id: prosbcInstance.id,
+        prosbc_instance_name: prosbcInstance.name,
+        total_numbers: totalNumbers,
+        last_synced: new Date(),
+        status: 'active'
+      }, { transaction });
+      if (file_content) {
+        await phoneNumberIndexService.indexFile(created, file_content, { transaction });
+      }
+      return created;
     });
 
     res.json({
@@ -265,47 +164,34 @@ router.post('/', async (req, res) => {
 // GET /dm-files
 router.get('/', async (req, res) => {
   try {
-    const instanceId = req.query.instanceId;
-
-    const whereClause = {};
-    if (instanceId) {
-      whereClause.prosbc_instance_id = instanceId;
-    }
-
+    // Numbers live in prosbc_phone_numbers; only load them when asked for
     const dmFiles = await ProSBCDMFile.findAll({
-      where: whereClause,
+      where: instanceWhere(req),
+      attributes: { exclude: ['numbers', 'file_content'] },
       order: [['last_synced', 'DESC'], ['file_name', 'ASC']]
     });
+    const includeNumbers = req.query.includeNumbers === 'true';
+
+    const files = [];
+    for (const file of dmFiles) {
+      files.push({
+        id: file.id,
+        file_name: file.file_name,
+        prosbc_file_id: file.prosbc_file_id,
+        prosbc_instance_id: file.prosbc_instance_id,
+        prosbc_instance_name: file.prosbc_instance_name,
+        total_numbers: file.total_numbers,
+        ...(includeNumbers && { numbers: await phoneNumberIndexService.numbersForFile(file.id) }),
+        last_synced: file.last_synced,
+        status: file.status,
+        createdAt: file.createdAt,
+        updatedAt: file.updatedAt
+      });
+    }
 
     res.json({
       success: true,
-      files: dmFiles.map(file => {
-        // Safely parse numbers field
-        let numbers = [];
-        if (file.numbers) {
-          try {
-            // Check if it's already an object/array
-            numbers = typeof file.numbers === 'string' ? JSON.parse(file.numbers) : file.numbers;
-          } catch (parseError) {
-            console.error(`[DM Files] Error parsing numbers for file ${file.file_name}:`, parseError.message);
-            numbers = [];
-          }
-        }
-        
-        return {
-          id: file.id,
-          file_name: file.file_name,
-          prosbc_file_id: file.prosbc_file_id,
-          prosbc_instance_id: file.prosbc_instance_id,
-          prosbc_instance_name: file.prosbc_instance_name,
-          total_numbers: file.total_numbers,
-          numbers: numbers,
-          last_synced: file.last_synced,
-          status: file.status,
-          createdAt: file.createdAt,
-          updatedAt: file.updatedAt
-        };
-      })
+      files
     });
 
   } catch (err) {
@@ -318,11 +204,11 @@ router.get('/', async (req, res) => {
 router.get('/:id/content', async (req, res) => {
   try {
     const fileId = req.params.id;
-    const instanceId = req.query.instanceId;
+    const instanceId = instanceIdFrom(req);
 
     const whereClause = { id: fileId };
     if (instanceId) {
-      whereClause.prosbc_instance_id = instanceId;
+      whereClause.prosbc_instance_id = String(instanceId);
     }
 
     const dmFile = await ProSBCDMFile.findOne({
@@ -332,6 +218,9 @@ router.get('/:id/content', async (req, res) => {
     if (!dmFile) {
       return res.status(404).json({ success: false, error: 'File not found' });
     }
+    if (!hasRole(req.permissions, 'viewer', dmFile.prosbc_instance_id)) {
+      return res.status(403).json({ success: false, error: `Requires viewer role on instance ${dmFile.prosbc_instance_id}` });
+    }
 
     // Return file content from database
     res.json({
@@ -355,7 +244,20 @@ router.get('/:id/content', async (req, res) => {
 });
 
 // PUT /dm-files/:id/content - Update file content in database and ProSBC
-router.put('/:id/content', async (req, res) => {
+// Audited only when the edit is pushed to a ProSBC (instance and configId given)
+router.put('/:id/content', requireRole('operator'), audited(AUDIT_ACTIONS.FILE_UPDATED, async (req) => {
+  const instanceId = req.headers['x-prosbc-instance-id'];
+  if (!instanceId || !req.body.configId || !req.body.file_content) return null;
+  const dmFile = await ProSBCDMFile.findOne({ where: { id: req.params.id }, attributes: ['file_name', 'file_content'] });
+  return {
+    instanceId,
+    configId: req.body.configId,
+    target: dmFile?.file_name || req.params.id,
+    beforeHash: auditService.hash(dmFile?.file_content),
+    afterHash: auditService.hash(req.body.file_content),
+    details: { fileType: 'routesets_digitmaps', dmFileId: req.params.id }
+  };
+}), async (req, res) => {
   try {
     const fileId = req.params.id;
     const { file_content, configId } = req.body;
@@ -373,21 +275,40 @@ router.put('/:id/content', async (req, res) => {
     if (!dmFile) {
       return res.status(404).json({ success: false, error: 'File not found' });
     }
+    // The row names its own instance, which need not be the one in the header
+    if (!hasRole(req.permissions, 'operator', dmFile.prosbc_instance_id)) {
+      return res.status(403).json({ success: false, error: `Requires operator role on instance ${dmFile.prosbc_instance_id}` });
+    }
+
+    // Refuse edits that hand a number to a second customer on this instance
+    const conflictCheck = await dmConflictService.checkContent({
+      fileName: dmFile.file_name,
+      content: file_content,
+      instanceIds: [dmFile.prosbc_instance_id],
+      allowConflicts: allowConflicts(req)
+    });
+    if (conflictCheck.blocked) {
+      return res.status(409).json({ success: false, error: conflictCheck.message, conflictCheck });
+    }
 
     // Extract numbers from the updated CSV content
     const numbers = await extractNumbersFromCSV(file_content);
 
-    // Update database first
-    await dmFile.update({
-      file_content: file_content,
-      numbers: JSON.stringify(numbers),
-      total_numbers: numbers.length,
-      last_synced: new Date(),
-      status: 'active'
+    // Update database first, keeping the number index in step
+    await database.sequelize.transaction(async (transaction) => {
+      await dmFile.update({
+        file_content: file_content,
+        numbers: null,
+        total_numbers: numbers.length,
+        last_synced: new Date(),
+        status: 'active'
+      }, { transaction });
+      await phoneNumberIndexService.indexFile(dmFile, file_content, { transaction });
     });
 
     // Update ProSBC if instanceId and configId are provided
     let prosbcUpdateResult = null;
+    let cleanFileName = dmFile.file_name;
     if (instanceId && configId) {
       try {
         const instanceConfig = await getInstanceConfig(instanceId);
@@ -395,7 +316,6 @@ router.put('/:id/content', async (req, res) => {
 
         // Clean the filename: remove any timestamp suffix that may have been added
         // Pattern: filename.csv_1234567890123.csv -> filename.csv
-        let cleanFileName = dmFile.file_name;
         const timestampPattern = /\.csv_\d{13}\.csv$/i;
         if (timestampPattern.test(cleanFileName)) {
           cleanFileName = cleanFileName.replace(timestampPattern, '.csv');
@@ -411,6 +331,20 @@ router.put('/:id/content', async (req, res) => {
           configId
         );
 
+        if (prosbcUpdateResult.success) {
+          await fileRevisionService.recordRevision({
+            fileType: 'routesets_digitmaps',
+            fileName: cleanFileName,
+            content: file_content,
+            instanceId,
+            configId,
+            prosbcFileId: prosbcUpdateResult.fileId || dmFile.prosbc_file_id,
+            author: req.user?.username,
+            reason: req.body.reason,
+            source: 'dm-files/content'
+          });
+        }
+
         // Update sync status
         await dmFile.update({
           last_synced: new Date(),
@@ -427,9 +361,21 @@ router.put('/:id/content', async (req, res) => {
       }
     }
 
+    const replication = prosbcUpdateResult?.success
+      ? await replicationService.onFileSaved({
+        instanceId,
+        configId,
+        fileType: 'routesets_digitmaps',
+        fileName: cleanFileName,
+        content: file_content
+      }, req.user, { reason: req.body.reason })
+      : null;
+
     res.json({
       success: true,
       message: 'File updated successfully',
+      conflictCheck,
+      replication,
       file: {
         id: dmFile.id,
         file_name: dmFile.file_name,
@@ -447,7 +393,7 @@ router.put('/:id/content', async (req, res) => {
 });
 
 // DELETE /dm-files/clear
-router.delete('/clear', async (req, res) => {
+router.delete('/clear', requireRole('admin'), async (req, res) => {
   const transaction = await database.sequelize.transaction();
   try {
     const instanceId = req.headers['x-prosbc-instance-id'];
@@ -458,6 +404,7 @@ router.delete('/clear', async (req, res) => {
     }
 
     // Delete all records for this instance
+    await phoneNumberIndexService.removeFiles({ prosbc_instance_id: instanceId }, { transaction });
     const deletedCount = await ProSBCDMFile.destroy({
       where: {
         prosbc_instance_id: instanceId
@@ -479,8 +426,8 @@ router.delete('/clear', async (req, res) => {
   }
 });
 
-// POST /dm-files/cleanup - Fix malformed JSON data
-router.post('/cleanup', async (req, res) => {
+// POST /dm-files/cleanup - Drop legacy JSON number blobs and re-index the instance's files
+router.post('/cleanup', requireRole('admin'), async (req, res) => {
   try {
     const instanceId = req.headers['x-prosbc-instance-id'];
 
@@ -488,62 +435,15 @@ router.post('/cleanup', async (req, res) => {
       return res.status(400).json({ success: false, error: 'instanceId is required in headers' });
     }
 
-    // Get all files for this instance
-    const dmFiles = await ProSBCDMFile.findAll({
-      where: {
-        prosbc_instance_id: instanceId
-      }
-    });
-
-    let fixedCount = 0;
-    let errorCount = 0;
-
-    for (const file of dmFiles) {
-      try {
-        let parsedNumbers = [];
-        let needsUpdate = false;
-
-        if (file.numbers) {
-          if (Array.isArray(file.numbers)) {
-            // If it's already an array, use it
-            parsedNumbers = file.numbers;
-            needsUpdate = true; // Convert to string
-          } else if (typeof file.numbers === 'string') {
-            // Try to parse and re-stringify to fix any issues
-            try {
-              parsedNumbers = JSON.parse(file.numbers);
-              needsUpdate = true; // Re-stringify to ensure proper format
-            } catch (parseError) {
-              console.log(`Attempting to fix malformed JSON for ${file.file_name}`);
-              // Try to clean up the string
-              let cleaned = file.numbers.trim();
-              cleaned = cleaned.replace(/,(\s*\])/g, '$1'); // Remove trailing commas
-              cleaned = cleaned.replace(/,(\s*\})/g, '$1'); // Remove trailing commas in objects
-              parsedNumbers = JSON.parse(cleaned);
-              needsUpdate = true;
-            }
-          } else {
-            console.error(`Unexpected type for numbers in ${file.file_name}:`, typeof file.numbers);
-            continue;
-          }
-        }
-
-        if (needsUpdate) {
-          // Re-stringify to ensure proper JSON format
-          const fixedJson = JSON.stringify(parsedNumbers);
-          // Update the record
-          await file.update({ numbers: fixedJson });
-          fixedCount++;
-        }
-      } catch (err) {
-        console.error(`Failed to fix ${file.file_name}:`, err.message);
-        errorCount++;
-      }
-    }
+    const [clearedCount] = await ProSBCDMFile.update(
+      { numbers: null },
+      { where: { prosbc_instance_id: instanceId, numbers: { [Op.ne]: null } } }
+    );
+    const { files, numbers } = await phoneNumberIndexService.rebuild({ instanceId });
 
     res.json({
       success: true,
-      message: `Cleanup completed. Fixed ${fixedCount} records, ${errorCount} errors.`
+      message: `Cleanup completed. Cleared ${clearedCount} legacy records, indexed ${numbers} numbers from ${files} files.`
     });
 
   } catch (err) {
@@ -552,10 +452,33 @@ router.post('/cleanup', async (req, res) => {
   }
 });
 
+// POST /dm-files/reindex - Rebuild the phone number index from stored file content
+router.post('/reindex', requireRole('operator'), async (req, res) => {
+  try {
+    const instanceId = req.headers['x-prosbc-instance-id'] || req.body.instanceId;
+
+    if (req.query.background === 'true' || req.body.background === true) {
+      const job = await jobQueueService.enqueue(JOB_TYPES.DM_NUMBERS_REINDEX, { instanceId }, {
+        createdBy: req.user?.username,
+        instanceId
+      });
+      return res.status(202).json({ success: true, jobId: job.id, job: serializeJob(job) });
+    }
+
+    const result = await phoneNumberIndexService.rebuild({ instanceId });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('Error re-indexing DM numbers:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
 // POST /dm-files/search - Search for numbers in DM files
+// mode: exact (default), prefix, range or pattern; see utils/numberQuery.js
 router.post('/search', async (req, res) => {
   try {
-    const { numbers, instanceId } = req.body;
+    const { numbers, mode = 'exact', limit } = req.body;
+    const instanceId = instanceIdFrom(req);
 
     if (!numbers || !Array.isArray(numbers)) {
       return res.status(400).json({ success: false, error: 'numbers array is required in request body' });
@@ -565,71 +488,67 @@ router.post('/search', async (req, res) => {
       return res.status(400).json({ success: false, error: 'At least one number is required' });
     }
 
-    // Build where clause
-    const whereClause = {};
-    if (instanceId) {
-      whereClause.prosbc_instance_id = instanceId;
-    }
-
-    // Get all DM files with their numbers
-    const dmFiles = await ProSBCDMFile.findAll({
-      where: whereClause,
-      attributes: ['id', 'file_name', 'prosbc_instance_id', 'prosbc_instance_name', 'numbers']
-    });
-
-    console.log(`Found ${dmFiles.length} DM files to search`);
-
-    // Pre-parse numbers for all files to avoid repeated JSON parsing
-    const parsedFiles = [];
-    for (const file of dmFiles) {
-      try {
-        let fileNumbers = [];
-        if (file.numbers) {
-          if (Array.isArray(file.numbers)) {
-            fileNumbers = file.numbers;
-          } else if (typeof file.numbers === 'string') {
-            fileNumbers = JSON.parse(file.numbers);
-          }
-        }
-        parsedFiles.push({
-          ...file.toJSON(),
-          parsedNumbers: fileNumbers
-        });
-      } catch (err) {
-        console.error(`Error parsing numbers for file ${file.file_name}:`, err);
-        // Skip this file
-      }
+    if (!SEARCH_MODES.includes(mode)) {
+      return res.status(400).json({ success: false, error: `mode must be one of ${SEARCH_MODES.join(', ')}` });
     }
 
-    const results = [];
-
-    for (const searchNumber of numbers) {
-      const foundLocations = [];
-
-      for (const file of parsedFiles) {
-        if (file.parsedNumbers.includes(searchNumber)) {
-          foundLocations.push({
-            file_name: file.file_name,
-            prosbc_instance_id: file.prosbc_instance_id,
-            prosbc_instance_name: file.prosbc_instance_name
-          });
-        }
-      }
-
-      results.push({
-        number: searchNumber,
-        found: foundLocations.length > 0,
-        locations: foundLocations
+    // Indexed lookup in prosbc_phone_numbers
+    const results = mode === 'exact'
+      ? await phoneNumberIndexService.lookup(numbers, { instanceId })
+      : await phoneNumberIndexService.search(numbers, {
+        mode,
+        instanceId,
+        limit: Math.min(parseInt(limit, 10) || 500, 5000)
       });
-    }
 
     res.json({
       success: true,
+      mode,
       results: results
     });
 
   } catch (err) {
     console.error('Error in DM files search:', err);
+    res.status(/^invalid/i.test(err.message) ? 400 : 500).json({ success: false, error: err.message });
+  }
+});
+
+// GET /dm-files/conflicts - Numbers in more than one customer's file, routeset or instance
+// ?instanceId=&kinds=multiple-customers,duplicate-in-file&limit=&offset=
+router.get('/conflicts', async (req, res) => {
+  try {
+    const kinds = req.query.kinds ? req.query.kinds.split(',').map(kind => kind.trim()) : CONFLICT_KINDS;
+    const unknown = kinds.filter(kind => !CONFLICT_KINDS.includes(kind));
+    if (unknown.length > 0) {
+      return res.status(400).json({ success: false, error: `Unknown conflict kinds: ${unknown.join(', ')}` });
+    }
+
+    const report = await dmConflictService.getConflictReport({
+      instanceId: instanceIdFrom(req),
+      kinds,
+      limit: Math.min(parseInt(req.query.limit, 10) || 100, 1000),
+      offset: parseInt(req.query.offset, 10) || 0
+    });
+    res.json({ success: true, ...report });
+  } catch (err) {
+    console.error('Error building DM conflict report:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// POST /dm-files/conflicts/check - Pre-check DM content without writing it
+// Body: { fileName, content, instanceIds? } (all instances when instanceIds is omitted)
+router.post('/conflicts/check', async (req, res) => {
+  try {
+    const { fileName, content, instanceIds } = req.body;
+    if (!fileName || typeof content !== 'string') {
+      return res.status(400).json({ success: false, error: 'fileName and content are required' });
+    }
+
+    const conflictCheck = await dmConflictService.checkContent({ fileName, content, instanceIds });
+    res.json({ success: true, ...conflictCheck });
+  } catch (err) {
+    console.error('Error checking DM conflicts:', err);
     res.status(500).json({ success: false, error: err.message });
   }
 });
@@ -637,25 +556,20 @@ router.post('/search', async (req, res) => {
 // GET /dm-files/debug - Debug endpoint to check data format
 router.get('/debug', async (req, res) => {
   try {
-    const instanceId = req.query.instanceId;
     const limit = parseInt(req.query.limit) || 5;
 
-    const whereClause = {};
-    if (instanceId) {
-      whereClause.prosbc_instance_id = instanceId;
-    }
-
     const dmFiles = await ProSBCDMFile.findAll({
-      where: whereClause,
-      attributes: ['id', 'file_name', 'numbers', 'prosbc_instance_id'],
+      where: instanceWhere(req),
+      attributes: ['id', 'file_name', 'total_numbers', 'prosbc_instance_id'],
       limit: limit
     });
+    const indexedCounts = await phoneNumberIndexService.countForFiles(dmFiles.map(file => file.id));
 
     const debugInfo = dmFiles.map(file => ({
       id: file.id,
       file_name: file.file_name,
-      numbers_type: typeof file.numbers,
-      numbers_preview: typeof file.numbers === 'string' ? file.numbers.substring(0, 50) + '...' : file.numbers,
+      total_numbers: file.total_numbers,
+      indexed_numbers: indexedCounts.get(file.id) || 0,
       prosbc_instance_id: file.prosbc_instance_id
     }));
 
@@ -0,0 +1,108 @@
+// Configuration drift: which DF/DM files differ between the ProSBC instances, and aligning them
+import express from 'express';
+import driftService, { DRIFT_FILE_TYPES } from '../services/driftService.js';
+import jobQueueService, { serializeJob } from '../services/jobQueueService.js';
+import { JOB_TYPES } from '../services/jobHandlers.js';
+import { requireRole } from '../middleware/permissions.js';
+import { hasFileTypeScope } from '../middleware/apiTokenScopes.js';
+import { audited } from '../middleware/audit.js';
+import { AUDIT_ACTIONS } from '../services/auditService.js';
+import proSbcInstanceService from '../services/proSbcInstanceService.js';
+import { parseInstanceSelector } from '../utils/instanceSelector.js';
+
+const router = express.Router();
+
+// The report spans every instance
+router.use(requireRole('viewer', { allInstances: true }));
+
+const sendError = (res, err) =>
+  res.status(err.status || (/^invalid/i.test(err.message) ? 400 : 500)).json({
+    success: false,
+    error: err.message,
+    ...(err.conflictCheck ? { conflictCheck: err.conflictCheck } : {})
+  });
+
+// API token scopes are per kind of file
+const SCOPE_KINDS = { routesets_definitions: 'df', routesets_digitmaps: 'dm' };
+
+const fileTypesFrom = (value) => {
+  const fileTypes = value ? (Array.isArray(value) ? value : String(value).split(',')) : DRIFT_FILE_TYPES;
+  const invalid = fileTypes.filter(fileType => !DRIFT_FILE_TYPES.includes(fileType));
+  if (invalid.length > 0) throw new Error(`Invalid fileType: ${invalid.join(', ')}`);
+  return fileTypes;
+};
+
+// POST /drift/analyze - { fileType?, configId?, group?, tag? }; always a background job, the report is its result.
+// group/tag compare only the matching instances (utils/instanceSelector.js)
+router.post('/analyze', async (req, res) => {
+  try {
+    const selector = parseInstanceSelector({ ...req.query, ...req.body });
+    await proSbcInstanceService.selectInstances(selector);
+    const job = await jobQueueService.enqueue(JOB_TYPES.DRIFT_REPORT, {
+      fileTypes: fileTypesFrom(req.body.fileType || req.query.fileType),
+      configId: req.body.configId || null,
+      selector
+    }, { createdBy: req.user?.username });
+    res.status(202).json({ success: true, jobId: job.id, job: serializeJob(job) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// GET /drift/report - the latest finished report, or null before the first analysis
+router.get('/report', async (req, res) => {
+  try {
+    const [job] = await jobQueueService.listJobs({ type: JOB_TYPES.DRIFT_REPORT, status: 'succeeded', limit: 1 });
+    res.json({ success: true, jobId: job?.id || null, report: job?.result || null });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// GET /drift/diff?fileType=&fileName=&sourceInstanceId=&targetInstanceId= - what matching the source would change on the target
+router.get('/diff', async (req, res) => {
+  try {
+    const { fileType, fileName, sourceInstanceId, targetInstanceId, configId } = req.query;
+    if (!fileType || !fileName || !sourceInstanceId || !targetInstanceId) {
+      return res.status(400).json({ success: false, error: 'fileType, fileName, sourceInstanceId and targetInstanceId are required' });
+    }
+    fileTypesFrom(fileType);
+    res.json({ success: true, ...(await driftService.previewSync({ fileType, fileName, sourceInstanceId, targetInstanceId, configId })) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /drift/sync - { fileType, fileName, sourceInstanceId, targetInstanceId, reason, allowConflicts }:
+// make the target's copy of the file match the source's
+router.post('/sync', requireRole('operator', { instanceId: (req) => req.body.targetInstanceId }), (req, res, next) => {
+  const kind = SCOPE_KINDS[req.body.fileType];
+  if (hasFileTypeScope(req, kind)) return next();
+  res.status(403).json({ success: false, error: `API token lacks the ${kind || 'file'}:write scope` });
+}, audited(AUDIT_ACTIONS.FILE_UPDATED, (req) => ({
+  instanceId: req.body.targetInstanceId,
+  target: req.body.fileName,
+  details: { fileType: req.body.fileType, source: 'drift', sourceInstanceId: req.body.sourceInstanceId },
+  complete: (body) => ({ beforeHash: body?.beforeChecksum || null, afterHash: body?.afterChecksum || null })
+})), async (req, res) => {
+  try {
+    const { fileType, fileName, sourceInstanceId, targetInstanceId, configId, reason } = req.body;
+    if (!fileType || !fileName || !sourceInstanceId || !targetInstanceId) {
+      return res.status(400).json({ success: false, error: 'fileType, fileName, sourceInstanceId and targetInstanceId are required' });
+    }
+    const result = await driftService.syncFile({
+      fileType,
+      fileName,
+      sourceInstanceId,
+      targetInstanceId,
+      configId,
+      allowConflicts: req.body.allowConflicts === true || req.body.allowConflicts === 'true'
+    }, { author: req.user?.username, reason });
+    console.log(`✅ Drift sync: ${fileName} on ${targetInstanceId} now matches ${sourceInstanceId} (${result.action}) by ${req.user?.username}`);
+    res.status(result.success ? 200 : 502).json(result);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+export default router;
@@ -0,0 +1,155 @@
+// Version history and rollback for DM/DF files written through this backend
+import express from 'express';
+import fileRevisionService, { revisionInstanceId } from '../services/fileRevisionService.js';
+import { requireRole, hasRole, instanceIdFrom } from '../middleware/permissions.js';
+import { audited } from '../middleware/audit.js';
+import { AUDIT_ACTIONS } from '../services/auditService.js';
+
+const router = express.Router();
+
+// Every route needs at least viewer access to the instance it works on
+router.use(requireRole('viewer'));
+
+const FILE_TYPES = ['routesets_definitions', 'routesets_digitmaps'];
+
+// The file :id in the URL can be a ProSBC file ID or a dm-files database ID,
+// so callers should also pass the file name to identify the file reliably
+function getFileQuery(req) {
+  const fileName = req.query.fileName || req.query.name || null;
+  return {
+    fileType: req.params.type,
+    // The instance requireRole checked, so a query parameter cannot name another one
+    instanceId: instanceIdFrom(req),
+    fileName,
+    prosbcFileId: fileName ? null : req.params.id
+  };
+}
+
+function formatRevision(revision, isCurrent = false) {
+  return {
+    id: revision.id,
+    version: revision.id,
+    timestamp: revision.createdAt,
+    action: revision.action,
+    user: revision.author,
+    reason: revision.reason,
+    description: revision.reason || `${revision.action} via ${revision.source || 'backend'}`,
+    file_name: revision.file_name,
+    file_type: revision.file_type,
+    prosbc_file_id: revision.prosbc_file_id,
+    prosbc_instance_id: revision.prosbc_instance_id,
+    config_id: revision.config_id,
+    size: revision.size,
+    checksum: revision.checksum,
+    rolled_back_from: revision.rolled_back_from,
+    is_current: isCurrent,
+    can_rollback: !isCurrent
+  };
+}
+
+router.param('type', (req, res, next, type) => {
+  if (!FILE_TYPES.includes(type)) {
+    return res.status(400).json({ success: false, error: `Unsupported file type: ${type}` });
+  }
+  next();
+});
+
+// GET /files/:type/:id/history
+router.get('/:type/:id/history', async (req, res) => {
+  try {
+    const revisions = await fileRevisionService.listRevisions(getFileQuery(req));
+    const history = revisions.map((revision, index) => formatRevision(revision, index === 0));
+    res.json({ success: true, data: { history } });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// GET /files/:type/:id/versions/:versionId
+router.get('/:type/:id/versions/:versionId', async (req, res) => {
+  try {
+    const revision = await fileRevisionService.getRevision(req.params.versionId);
+    if (revision.file_type !== req.params.type) {
+      return res.status(404).json({ success: false, error: 'Revision not found for this file type' });
+    }
+    // The revision names its own instance, which need not be the one in the header
+    const instanceId = revisionInstanceId(revision);
+    if (!hasRole(req.permissions, 'viewer', instanceId)) {
+      return res.status(403).json({ success: false, error: `Requires viewer role on instance ${instanceId}` });
+    }
+    res.json({ success: true, data: { ...formatRevision(revision), content: revision.content } });
+  } catch (err) {
+    const status = err.message.includes('not found') ? 404 : 500;
+    res.status(status).json({ success: false, error: err.message });
+  }
+});
+
+// POST /files/:type/:id/rollback
+router.post('/:type/:id/rollback', requireRole('operator'), audited(AUDIT_ACTIONS.FILE_ROLLED_BACK, async (req) => {
+  if (!req.body.history_id) return null;
+  const target = await fileRevisionService.getRevision(req.body.history_id);
+  const current = await fileRevisionService.getLatestRevision({
+    fileType: target.file_type,
+    instanceId: target.prosbc_instance_id,
+    fileName: target.file_name
+  });
+  return {
+    instanceId: target.prosbc_instance_id,
+    configId: target.config_id,
+    target: target.file_name,
+    beforeHash: current?.checksum || null,
+    afterHash: target.checksum,
+    details: { fileType: target.file_type, revisionId: target.id, reason: req.body.reason }
+  };
+}), async (req, res) => {
+  try {
+    const { history_id, reason } = req.body;
+    if (!history_id) {
+      return res.status(400).json({ success: false, error: 'history_id is required' });
+    }
+
+    const target = await fileRevisionService.getRevision(history_id);
+    // Rollback writes to the revision's instance, whatever instance the request names
+    const targetInstance = revisionInstanceId(target);
+    if (!hasRole(req.permissions, 'operator', targetInstance)) {
+      return res.status(403).json({ success: false, error: `Requires operator role${targetInstance ? ` on instance ${targetInstance}` : ''}` });
+    }
+    const instanceId = req.headers['x-prosbc-instance-id'];
+    if (target.file_type !== req.params.type || (instanceId && target.prosbc_instance_id !== String(instanceId))) {
+      return res.status(400).json({ success: false, error: 'Revision does not belong to this file' });
+    }
+
+    const { newRevision, result } = await fileRevisionService.rollback(history_id, {
+      author: req.user?.username,
+      reason
+    });
+
+    res.json({
+      success: true,
+      message: `${target.file_name} rolled back to revision ${target.id}`,
+      data: {
+        revision: newRevision ? formatRevision(newRevision, true) : null,
+        prosbc: result
+      }
+    });
+  } catch (err) {
+    const status = err.message.includes('Revision') && err.message.includes('not found') ? 404 : 500;
+    res.status(status).json({ success: false, error: err.message });
+  }
+});
+
+// GET /files/:type/:id - current content as last written by this backend
+router.get('/:type/:id', async (req, res) => {
+  try {
+    const query = getFileQuery(req);
+    const revision = await fileRevisionService.getLatestRevision({ ...query, prosbcFileId: req.params.id });
+    if (!revision) {
+      return res.status(404).json({ success: false, error: 'No revisions recorded for this file' });
+    }
+    res.json({ success: true, data: { ...formatRevision(revision, true), content: revision.content } });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,72 @@
+// Instance health: the samples recorded by the background poller (services/instanceHealthService.js)
+import express from 'express';
+import instanceHealthService from '../services/instanceHealthService.js';
+import proSbcInstanceService from '../services/proSbcInstanceService.js';
+import { requireRole, roleForInstance } from '../middleware/permissions.js';
+
+const router = express.Router();
+
+router.use(requireRole('viewer'));
+
+const sendError = (res, err) =>
+  res.status(err.status || (/^invalid/i.test(err.message) ? 400 : 500)).json({ success: false, error: err.message });
+
+// Instances this user (and API token) may see
+const canSee = (req, instanceId) => !!roleForInstance(req.permissions, instanceId)
+  && (!req.user.apiToken?.instanceIds || req.user.apiToken.instanceIds.includes(String(instanceId)));
+
+const hoursFrom = (value) => {
+  const hours = value == null ? 24 : Number(value);
+  if (!(hours > 0 && hours <= 24 * 31)) throw new Error('Invalid hours: between 0 and 744');
+  return hours;
+};
+
+// GET /instance-health?hours=24&points=48 - latest status, uptime and latency series per active instance
+router.get('/', async (req, res) => {
+  try {
+    const instanceIds = (await proSbcInstanceService.getAllInstances())
+      .map(instance => String(instance.id))
+      .filter(instanceId => canSee(req, instanceId));
+    const points = Math.min(Math.max(parseInt(req.query.points || '48', 10) || 48, 1), 500);
+    res.json({
+      success: true,
+      enabled: instanceHealthService.enabled,
+      intervalMs: instanceHealthService.intervalMs,
+      slowMs: instanceHealthService.slowMs,
+      instances: await instanceHealthService.getSummary(instanceIds, { hours: hoursFrom(req.query.hours), points })
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// GET /instance-health/:instanceId?hours=24&limit=500 - raw samples, newest first
+router.get('/:instanceId', async (req, res) => {
+  try {
+    if (!canSee(req, req.params.instanceId)) {
+      return res.status(403).json({ success: false, error: `Requires viewer role on instance ${req.params.instanceId}` });
+    }
+    const samples = await instanceHealthService.getHistory(req.params.instanceId, {
+      hours: hoursFrom(req.query.hours),
+      limit: req.query.limit
+    });
+    res.json({ success: true, samples });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /instance-health/poll - probe every instance now instead of waiting for the next interval
+router.post('/poll', requireRole('operator', { allInstances: true }), async (req, res) => {
+  try {
+    const samples = await instanceHealthService.poll();
+    if (!samples) {
+      return res.status(409).json({ success: false, error: 'A health poll is already running' });
+    }
+    res.json({ success: true, checked: samples.length });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+export default router;
@@ -0,0 +1,142 @@
+// Background jobs: status, cancellation, retry and live progress (Server-Sent Events)
+import express from 'express';
+import jobQueueService, { serializeJob, FINAL_JOB_STATES } from '../services/jobQueueService.js';
+import { JOB_TYPES } from '../services/jobHandlers.js';
+import { requireRole, hasRole, isInstanceRestricted, instanceIdFrom, accessibleInstanceIds } from '../middleware/permissions.js';
+import { isChangeApprovalRequired } from '../middleware/changeApproval.js';
+
+const router = express.Router();
+
+// Every route needs at least viewer access to the instance it works on
+router.use(requireRole('viewer'));
+
+const HEARTBEAT_MS = 15000;
+
+// Jobs started from routes behind requireChangeApproval; retrying them would skip the review
+const APPROVAL_GATED_JOB_TYPES = [JOB_TYPES.PROSBC_UPLOAD_ALL, JOB_TYPES.ROLLOUT_RUN];
+
+// A job without an instance works on every instance, like an allInstances route
+function canAccessJob(permissions, job, minRole) {
+  if (job.prosbcInstanceId) return hasRole(permissions, minRole, job.prosbcInstanceId);
+  return !isInstanceRestricted(permissions) && hasRole(permissions, minRole);
+}
+
+// Load a job the user may see with `minRole`; answers 403/404 and returns null otherwise
+async function loadJob(req, res, minRole) {
+  let job;
+  try {
+    job = await jobQueueService.getJob(req.params.id);
+  } catch (err) {
+    res.status(statusFor(err)).json({ success: false, error: err.message });
+    return null;
+  }
+  if (!canAccessJob(req.permissions, job, minRole)) {
+    res.status(403).json({
+      success: false,
+      error: `Requires ${minRole} role ${job.prosbcInstanceId ? `on instance ${job.prosbcInstanceId}` : 'on every ProSBC instance'}`
+    });
+    return null;
+  }
+  return job;
+}
+
+function statusFor(err) {
+  if (/not found/i.test(err.message)) return 404;
+  if (/already|only failed/i.test(err.message)) return 409;
+  return 500;
+}
+
+// GET /jobs?type=&status=&instanceId=&mine=true&limit=
+router.get('/', async (req, res) => {
+  try {
+    // The instance requireRole checked; users limited to some instances only see theirs
+    const jobs = await jobQueueService.listJobs({
+      type: req.query.type,
+      status: req.query.status,
+      instanceId: instanceIdFrom(req),
+      instanceIds: accessibleInstanceIds(req.permissions),
+      createdBy: req.query.mine === 'true' ? req.user?.username : undefined,
+      limit: Math.min(parseInt(req.query.limit || '50', 10) || 50, 200)
+    });
+    res.json({ success: true, jobs: jobs.map(serializeJob) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// GET /jobs/:id
+router.get('/:id', async (req, res) => {
+  const job = await loadJob(req, res, 'viewer');
+  if (job) res.json({ success: true, job: serializeJob(job) });
+});
+
+// GET /jobs/:id/events - streams `job` events until the job reaches a final state
+router.get('/:id/events', async (req, res) => {
+  const job = await loadJob(req, res, 'viewer');
+  if (!job) return;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // compression() buffers writes, so flush after every event
+  const send = (snapshot) => {
+    res.write(`event: job\ndata: ${JSON.stringify(snapshot)}\n\n`);
+    res.flush?.();
+    if (FINAL_JOB_STATES.includes(snapshot.status)) {
+      cleanup();
+      res.end();
+    }
+  };
+
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+    res.flush?.();
+  }, HEARTBEAT_MS);
+
+  const eventName = `job:${job.id}`;
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    jobQueueService.off(eventName, send);
+  };
+
+  jobQueueService.on(eventName, send);
+  req.on('close', cleanup);
+  send(serializeJob(job));
+});
+
+// POST /jobs/:id/cancel
+router.post('/:id/cancel', requireRole('operator'), async (req, res) => {
+  try {
+    if (!(await loadJob(req, res, 'operator'))) return;
+    const job = await jobQueueService.cancel(req.params.id);
+    res.json({ success: true, job: serializeJob(job) });
+  } catch (err) {
+    res.status(statusFor(err)).json({ success: false, error: err.message });
+  }
+});
+
+// POST /jobs/:id/retry - enqueues a new job with the same payload
+router.post('/:id/retry', requireRole('operator'), async (req, res) => {
+  try {
+    const original = await loadJob(req, res, 'operator');
+    if (!original) return;
+    if (APPROVAL_GATED_JOB_TYPES.includes(original.type) && await isChangeApprovalRequired()) {
+      return res.status(409).json({
+        success: false,
+        approvalRequired: true,
+        error: 'Pushing to every instance requires an approved change request. Submit it to /backend/api/change-requests instead of retrying the job.'
+      });
+    }
+    const job = await jobQueueService.retry(original.id, { createdBy: req.user?.username });
+    res.status(202).json({ success: true, jobId: job.id, job: serializeJob(job) });
+  } catch (err) {
+    res.status(statusFor(err)).json({ success: false, error: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,37 @@
+// Notifications raised by the backend (instance down/recovered, rollouts halted/reverted), for the bell in the dashboard
+import express from 'express';
+import notificationService, { serializeNotification } from '../services/notificationService.js';
+import proSbcInstanceService from '../services/proSbcInstanceService.js';
+import { requireRole, roleForInstance, isInstanceRestricted } from '../middleware/permissions.js';
+
+const router = express.Router();
+
+router.use(requireRole('viewer'));
+
+// GET /notifications?since=&type=&limit=50 - newest first
+router.get('/', async (req, res) => {
+  try {
+    if (req.query.since && Number.isNaN(new Date(req.query.since).getTime())) {
+      return res.status(400).json({ success: false, error: 'Invalid since: expected a date' });
+    }
+    // Users and tokens limited to some instances only see those instances' notifications
+    let instanceIds;
+    if (isInstanceRestricted(req.permissions) || req.user.apiToken?.instanceIds) {
+      instanceIds = (await proSbcInstanceService.getAllInstances({ includeInactive: true }))
+        .map(instance => String(instance.id))
+        .filter(instanceId => roleForInstance(req.permissions, instanceId))
+        .filter(instanceId => !req.user.apiToken?.instanceIds || req.user.apiToken.instanceIds.includes(instanceId));
+    }
+    const notifications = await notificationService.list({
+      since: req.query.since,
+      type: req.query.type,
+      instanceIds,
+      limit: req.query.limit
+    });
+    res.json({ success: true, notifications: notifications.map(serializeNotification) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+export default router;
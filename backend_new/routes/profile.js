@@ -4,6 +4,17 @@ import jwt from 'jsonwebtoken';
 
 const router = express.Router();
 
+// Role and instance permissions let the frontend hide what the user cannot use
+const profileOf = (user) => ({
+  id: user.id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  instancePermissions: user.instancePermissions,
+  canApprove: user.role === 'admin' || !!user.canApprove,
+  authProvider: user.authProvider || 'local'
+});
+
 // Middleware to verify JWT
 function authenticateToken(req, res, next) {
   const authHeader = req.headers['authorization'];
@@ -21,7 +32,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
   try {
     const user = await User.findByPk(req.user.id);
     if (!user) return res.status(404).json({ message: 'User not found' });
-    res.json({ id: user.id, username: user.username, email: user.email });
+    res.json(profileOf(user));
   } catch (err) {
     res.status(500).json({ message: 'Server error', error: err.message });
   }
@@ -32,9 +43,13 @@ router.put('/profile', authenticateToken, async (req, res) => {
   try {
     const user = await User.findByPk(req.user.id);
     if (!user) return res.status(404).json({ message: 'User not found' });
+    // Directory accounts keep their directory username
+    if (req.body.username && req.body.username !== user.username && (user.authProvider || 'local') !== 'local') {
+      return res.status(409).json({ message: `Your username is managed by ${user.authProvider}` });
+    }
     user.username = req.body.username || user.username;
     await user.save();
-    res.json({ id: user.id, username: user.username, email: user.email });
+    res.json(profileOf(user));
   } catch (err) {
     res.status(500).json({ message: 'Server error', error: err.message });
   }
@@ -6,9 +6,50 @@ import fs from 'fs';
 import prosbcFileManager, { createProSBCFileAPI } from '../utils/prosbc/prosbcFileManager.js';
 import { getProSBCCredentials } from '../utils/prosbc/multiInstanceManager.js';
 import proSbcInstanceService from '../services/proSbcInstanceService.js';
+import fileRevisionService from '../services/fileRevisionService.js';
+import { diffCsvRows } from '../utils/csvRowDiff.js';
+import dmConflictService from '../services/dmConflictService.js';
+import { requireRole } from '../middleware/permissions.js';
+import { requireFileTypeScope, hasFileTypeScope } from '../middleware/apiTokenScopes.js';
+import { audited } from '../middleware/audit.js';
+import auditService, { AUDIT_ACTIONS } from '../services/auditService.js';
+import replicationService from '../services/replicationService.js';
+import updatePlanService, { checksumOf, categorizeUpdateError } from '../services/updatePlanService.js';
+import { requireChangeApproval } from '../middleware/changeApproval.js';
+import { parseInstanceSelector } from '../utils/instanceSelector.js';
 
 const router = express.Router();
 
+// Every route needs at least viewer access to the instance it works on
+router.use(requireRole('viewer'));
+
+const allowConflicts = (req) => req.query.allowConflicts === 'true' || req.body?.allowConflicts === true || req.body?.allowConflicts === 'true';
+
+// Conflict pre-check for DM writes; DF files carry no numbers and always pass
+async function checkDmConflicts(req, { fileType, fileName, content, instanceIds }) {
+  if (fileType !== 'routesets_digitmaps') return null;
+  return dmConflictService.checkContent({ fileName, content, instanceIds, allowConflicts: allowConflicts(req) });
+}
+
+function sendConflictBlocked(res, conflictCheck) {
+  return res.status(409).json({ success: false, error: conflictCheck.message, conflictCheck });
+}
+
+const readUpload = (file) => file.buffer ? file.buffer.toString('utf8') : fs.promises.readFile(file.path, 'utf8');
+
+// Audit description for a route that writes an uploaded (multipart) or server-side file
+const auditFileWrite = (fileType) => async (req) => {
+  const filePath = req.body?.filePath;
+  if (!req.file && !filePath) return null;
+  return auditService.describeFileWrite({
+    fileType: fileType || req.body.fileType,
+    fileName: req.body.fileName || (req.file ? req.file.originalname : path.basename(filePath)),
+    instanceId: req.headers['x-prosbc-instance-id'],
+    configId: getConfigIdFromRequest(req),
+    content: req.file ? await readUpload(req.file) : await fs.promises.readFile(filePath, 'utf8')
+  });
+};
+
 // Helper to extract configId from request (query, body, or header)
 function getConfigIdFromRequest(req) {
   console.log('[Config Debug] Full request body:', req.body);
@@ -179,12 +220,24 @@ router.get('/dm/list', async (req, res) => {
 });
 
 // Upload DF file
-router.post('/df/upload', async (req, res) => {
+router.post('/df/upload', requireRole('operator'), audited(AUDIT_ACTIONS.FILE_UPLOADED, auditFileWrite('routesets_definitions')), async (req, res) => {
   try {
     const filePath = req.body.filePath;
     if (!filePath) return res.status(400).json({ error: 'Missing filePath' });
     const configId = getConfigIdFromRequest(req);
     const result = await prosbcFileManager.uploadDfFile(filePath, undefined, configId);
+    if (result.success) {
+      await fileRevisionService.recordRevision({
+        fileType: 'routesets_definitions',
+        fileName: path.basename(filePath),
+        content: await fs.promises.readFile(filePath, 'utf8'),
+        configId,
+        action: 'upload',
+        author: req.user?.username,
+        reason: req.body.reason,
+        source: 'df/upload'
+      });
+    }
     res.json(result);
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
@@ -192,12 +245,24 @@ router.post('/df/upload', async (req, res) => {
 });
 
 // Upload DM file
-router.post('/dm/upload', async (req, res) => {
+router.post('/dm/upload', requireRole('operator'), audited(AUDIT_ACTIONS.FILE_UPLOADED, auditFileWrite('routesets_digitmaps')), async (req, res) => {
   try {
     const filePath = req.body.filePath;
     if (!filePath) return res.status(400).json({ error: 'Missing filePath' });
     const configId = getConfigIdFromRequest(req);
     const result = await prosbcFileManager.uploadDmFile(filePath, undefined, configId);
+    if (result.success) {
+      await fileRevisionService.recordRevision({
+        fileType: 'routesets_digitmaps',
+        fileName: path.basename(filePath),
+        content: await fs.promises.readFile(filePath, 'utf8'),
+        configId,
+        action: 'upload',
+        author: req.user?.username,
+        reason: req.body.reason,
+        source: 'dm/upload'
+      });
+    }
     res.json(result);
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
@@ -216,7 +281,7 @@ const uploadMemory = multer({
 });
 
 // Upload DF file via FormData (new route for FileUploader component)
-router.post('/df/upload-form', upload.single('file'), async (req, res) => {
+router.post('/df/upload-form', requireRole('operator'), upload.single('file'), audited(AUDIT_ACTIONS.FILE_UPLOADED, auditFileWrite('routesets_definitions')), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ success: false, error: 'No file uploaded' });
@@ -238,6 +303,20 @@ router.post('/df/upload-form', upload.single('file'), async (req, res) => {
     };
     
     const result = await fileManager.uploadDfFile(req.file.path, onProgress, configId, req.file.originalname, uploadMode);
+
+    if (result.success) {
+      await fileRevisionService.recordRevision({
+        fileType: 'routesets_definitions',
+        fileName: req.file.originalname,
+        content: await fs.promises.readFile(req.file.path, 'utf8'),
+        instanceId,
+        configId,
+        action: 'upload',
+        author: req.user?.username,
+        reason: req.body.reason,
+        source: 'df/upload-form'
+      });
+    }
     
     // Clean up uploaded file
     try {
@@ -254,7 +333,7 @@ router.post('/df/upload-form', upload.single('file'), async (req, res) => {
 });
 
 // Upload DM file via FormData (new route for FileUploader component)
-router.post('/dm/upload-form', upload.single('file'), async (req, res) => {
+router.post('/dm/upload-form', requireRole('operator'), upload.single('file'), audited(AUDIT_ACTIONS.FILE_UPLOADED, auditFileWrite('routesets_digitmaps')), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ success: false, error: 'No file uploaded' });
@@ -266,6 +345,17 @@ router.post('/dm/upload-form', upload.single('file'), async (req, res) => {
     const uploadMode = req.body.uploadMode || req.query.uploadMode || 'auto';
     
     console.log(`[Upload DM] Instance: ${instanceId}, Config: ${configId}, File: ${req.file.originalname}, Mode: ${uploadMode}`);
+
+    const conflictCheck = await checkDmConflicts(req, {
+      fileType: 'routesets_digitmaps',
+      fileName: req.file.originalname,
+      content: await fs.promises.readFile(req.file.path, 'utf8'),
+      instanceIds: [instanceId]
+    });
+    if (conflictCheck.blocked) {
+      await fs.promises.unlink(req.file.path).catch(() => {});
+      return sendConflictBlocked(res, conflictCheck);
+    }
     
     // Create instance-specific ProSBC file manager
     const fileManager = await createProSBCFileAPI(instanceId);
@@ -276,6 +366,20 @@ router.post('/dm/upload-form', upload.single('file'), async (req, res) => {
     };
     
     const result = await fileManager.uploadDmFile(req.file.path, onProgress, configId, req.file.originalname, uploadMode);
+
+    if (result.success) {
+      await fileRevisionService.recordRevision({
+        fileType: 'routesets_digitmaps',
+        fileName: req.file.originalname,
+        content: await fs.promises.readFile(req.file.path, 'utf8'),
+        instanceId,
+        configId,
+        action: 'upload',
+        author: req.user?.username,
+        reason: req.body.reason,
+        source: 'dm/upload-form'
+      });
+    }
     
     // Clean up uploaded file
     try {
@@ -284,7 +388,7 @@ router.post('/dm/upload-form', upload.single('file'), async (req, res) => {
       console.warn('Failed to cleanup uploaded file:', cleanupError);
     }
     
-    res.json(result);
+    res.json({ ...result, conflictCheck });
   } catch (err) {
     console.error('[Upload DM] Error:', err);
     res.status(500).json({ success: false, error: err.message });
@@ -309,7 +413,7 @@ router.get('/content', async (req, res) => {
 });
 
 // Update file (accepts multipart/form-data)
-router.post('/update', upload.single('file'), async (req, res) => {
+router.post('/update', requireRole('operator'), upload.single('file'), requireFileTypeScope, audited(AUDIT_ACTIONS.FILE_UPDATED, auditFileWrite()), async (req, res) => {
   try {
     const { fileType, fileId } = req.body;
     if (!fileType || !fileId || !req.file) {
@@ -332,7 +436,16 @@ router.post('/update', upload.single('file'), async (req, res) => {
 });
 
 // Delete file using ProSBC REST API (clean and reliable)
-router.post('/delete-direct', async (req, res) => {
+router.post('/delete-direct', requireRole('operator'), requireFileTypeScope, audited(AUDIT_ACTIONS.FILE_DELETED, async (req) => ({
+  ...await auditService.describeFileWrite({
+    fileType: req.body.fileType,
+    fileName: req.body.fileName,
+    instanceId: req.headers['x-prosbc-instance-id'],
+    configId: req.body.configId,
+    content: null
+  }),
+  details: { fileType: req.body.fileType, fileId: req.body.fileId }
+})), async (req, res) => {
   try {
     const { fileName, fileType, fileId, configId } = req.body;
     const instanceId = req.headers['x-prosbc-instance-id'];
@@ -476,8 +589,59 @@ router.post('/export-direct', async (req, res) => {
   }
 });
 
+// Preview an update: row diff between the file currently on ProSBC and the edited content
+// Accepts the edited content as a 'file' upload or as a 'content' field
+router.post('/diff', uploadMemory.single('file'), async (req, res) => {
+  try {
+    const { fileName, fileType, fileId } = req.body;
+    const configId = getConfigIdFromRequest(req);
+    const instanceId = req.headers['x-prosbc-instance-id'];
+    const localContent = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+
+    if (!fileName || !fileType) {
+      return res.status(400).json({ success: false, error: 'Missing required parameters: fileName and fileType' });
+    }
+    if (typeof localContent !== 'string') {
+      return res.status(400).json({ success: false, error: 'Missing edited content (file or content)' });
+    }
+
+    console.log(`[Diff] Instance: ${instanceId}, File: ${fileName}, Type: ${fileType}, Config: ${configId}`);
+
+    const instanceFileManager = createProSBCFileAPI(instanceId);
+    const listResult = fileType === 'routesets_definitions'
+      ? await instanceFileManager.listDfFiles(configId)
+      : await instanceFileManager.listDmFiles(configId);
+    const filesList = listResult.files || [];
+    const remoteFile = filesList.find(f => f.name === fileName) ||
+      (fileId ? filesList.find(f => String(f.id) === String(fileId)) : null);
+
+    // A file that does not exist yet diffs as all rows added
+    let remoteContent = '';
+    if (remoteFile) {
+      const contentResult = await instanceFileManager.getFileContent(fileType, remoteFile.id, remoteFile.configId);
+      if (!contentResult.success) {
+        throw new Error(contentResult.error || `Failed to fetch current content of '${fileName}'`);
+      }
+      remoteContent = contentResult.content || '';
+    }
+
+    res.json({
+      success: true,
+      fileName,
+      fileType,
+      remoteExists: !!remoteFile,
+      remoteFileId: remoteFile ? remoteFile.id : null,
+      dbId: remoteFile ? remoteFile.configId : null,
+      diff: diffCsvRows(remoteContent, localContent, fileType)
+    });
+  } catch (err) {
+    console.error('[Diff] Error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
 // Update file using ProSBC REST API (clean and reliable)
-router.post('/update-rest-api', uploadMemory.single('file'), async (req, res) => {
+router.post('/update-rest-api', requireRole('operator'), uploadMemory.single('file'), requireFileTypeScope, audited(AUDIT_ACTIONS.FILE_UPDATED, auditFileWrite()), async (req, res) => {
   try {
     const { fileName, fileType } = req.body;
     const configId = getConfigIdFromRequest(req); // Use helper function
@@ -501,14 +665,38 @@ router.post('/update-rest-api', uploadMemory.single('file'), async (req, res) =>
 
     // Read file content from memory buffer
     const fileContent = req.file.buffer.toString('utf8');
+
+    const conflictCheck = await checkDmConflicts(req, { fileType, fileName, content: fileContent, instanceIds: [instanceId] });
+    if (conflictCheck?.blocked) {
+      return sendConflictBlocked(res, conflictCheck);
+    }
     
     // Create instance-specific file manager
     const instanceFileManager = createProSBCFileAPI(instanceId);
     
     // Use REST API to update the file with file content
     const result = await instanceFileManager.updateFileRestAPI(fileType, fileName, fileContent, configId);
-    
-    res.json(result);
+
+    if (result.success) {
+      await fileRevisionService.recordRevision({
+        fileType,
+        fileName,
+        content: fileContent,
+        instanceId,
+        configId,
+        prosbcFileId: result.fileId,
+        author: req.user?.username,
+        reason: req.body.reason,
+        source: 'update-rest-api'
+      });
+    }
+
+    // Saves on a replication primary are queued to its replicas; saves on a replica are conflicts
+    const replication = result.success
+      ? await replicationService.onFileSaved({ instanceId, configId, fileType, fileName, content: fileContent }, req.user, { reason: req.body.reason })
+      : null;
+
+    res.json({ ...result, ...(conflictCheck ? { conflictCheck } : {}), ...(replication ? { replication } : {}) });
 
   } catch (err) {
     console.error('[Update REST API] Error:', err);
@@ -538,131 +726,206 @@ router.post('/update-rest-api', uploadMemory.single('file'), async (req, res) =>
   }
 });
 
-// Update file on all registered ProSBC instances where the file exists
-router.post('/update-to-all', uploadMemory.single('file'), async (req, res) => {
+// Normalize file names for tolerant matching
+function normalizeFileName(s) {
+  if (!s && s !== 0) return '';
+  try {
+    return String(s).trim().toLowerCase().replace(/[\u200B-\u200D\uFEFF]/g, '').replace(/\s+/g, ' ');
+  } catch (e) {
+    return String(s || '').toLowerCase();
+  }
+}
+
+function levenshtein(a, b) {
+  const m = a.length, n = b.length;
+  const dp = Array.from({ length: m + 1 }, () => new Array(n + 1).fill(0));
+  for (let i = 0; i <= m; i++) dp[i][0] = i;
+  for (let j = 0; j <= n; j++) dp[0][j] = j;
+  for (let i = 1; i <= m; i++) {
+    for (let j = 1; j <= n; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      dp[i][j] = Math.min(dp[i - 1][j] + 1, dp[i][j - 1] + 1, dp[i - 1][j - 1] + cost);
+    }
+  }
+  return dp[m][n];
+}
+
+// Pick the file on an instance that update-to-all should overwrite.
+// Returns { file, strategy, distance, relative } or null when nothing matches.
+function matchTargetFile(filesList, fileName, fileId) {
+  const normalizedTarget = normalizeFileName(fileName || fileId || '');
+
+  // Try multiple matching strategies: exact id, exact name, normalized name, fallback contains
+  let found = filesList.find(f => fileId && String(f.id) === String(fileId));
+  if (found) return { file: found, strategy: 'id', distance: 0, relative: 0 };
+
+  found = filesList.find(f => f.name === fileName);
+  if (found) return { file: found, strategy: 'exact', distance: 0, relative: 0 };
+
+  found = filesList.find(f => normalizeFileName(f.name) === normalizedTarget);
+  if (found) return { file: found, strategy: 'normalized', distance: 0, relative: 0 };
+
+  found = filesList.find(f => normalizeFileName(f.name).includes(normalizedTarget) || (normalizedTarget && normalizedTarget.includes(normalizeFileName(f.name))));
+  if (found) {
+    const distance = levenshtein(normalizeFileName(found.name), normalizedTarget);
+    const longest = Math.max(normalizeFileName(found.name).length, normalizedTarget.length);
+    return { file: found, strategy: 'contains', distance, relative: longest > 0 ? distance / longest : 1 };
+  }
+
+  // If still not found, try a fuzzy match (Levenshtein distance)
+  let best = null;
+  for (const f of filesList) {
+    const nName = normalizeFileName(f.name || '');
+    if (!nName) continue;
+    const d = levenshtein(nName, normalizedTarget);
+    const rel = Math.max(nName.length, normalizedTarget.length) > 0 ? d / Math.max(nName.length, normalizedTarget.length) : 1;
+    if (!best || d < best.distance) {
+      best = { file: f, distance: d, relative: rel };
+    }
+  }
+
+  // Accept fuzzy match if absolute distance small or relative distance small
+  if (best && (best.distance <= 3 || best.relative <= 0.2)) {
+    return { ...best, strategy: 'fuzzy' };
+  }
+  return null;
+}
+
+function isConnectionError(errorMessage) {
+  return errorMessage.includes('socket hang up') ||
+    errorMessage.includes('ECONNREFUSED') ||
+    errorMessage.includes('Failed to fetch login page') ||
+    errorMessage.includes('authenticity_token');
+}
+
+function getInstanceUrl(inst) {
+  return inst.baseUrl || inst.baseURL || inst.base_url || null;
+}
+
+// List the files of one type on an instance and match the target file
+async function resolveUpdateTarget(instanceFileManager, fileType, fileName, fileId, instanceId) {
+  const listResult = fileType === 'routesets_definitions'
+    ? await instanceFileManager.listDfFiles()
+    : await instanceFileManager.listDmFiles();
+  const filesList = listResult.files || [];
+  const match = matchTargetFile(filesList, fileName, fileId);
+
+  if (match && match.strategy === 'fuzzy') {
+    console.log(`[UpdateToAll][FUZZY] Using fuzzy match for '${fileName}' -> '${match.file.name}' (distance=${match.distance}, relative=${(match.relative * 100).toFixed(1)}%) on instance ${instanceId}`);
+  }
+
+  if (!match) {
+    // Log list of files and comparison diagnostics for easier debugging
+    try {
+      console.log(`[UpdateToAll][DEBUG] Instance ${instanceId} files (${filesList.length}):`);
+      filesList.slice(0, 200).forEach((f, i) => {
+        console.log(`  [${i}] id=${f.id} name='${String(f.name)}' configId=${f.configId || f.config_id || ''}`);
+      });
+      console.log(`[UpdateToAll][DEBUG] Target name='${fileName}' id='${fileId}' normalizedTarget='${normalizeFileName(fileName || fileId || '')}'`);
+    } catch (logErr) {
+      console.warn('[UpdateToAll][DEBUG] Failed to log file list:', logErr);
+    }
+  }
+
+  return { filesList, match };
+}
+
+// Update file on all registered ProSBC instances where the file exists; group, tag and
+// instanceIds fields limit it to the matching instances (utils/instanceSelector.js).
+// With dryRun=true nothing is written: the response describes, per instance, the
+// matched file, match strategy/distance and a row diff, plus a planId that
+// POST /update-to-all/confirm executes.
+const isDryRun = (req) => req.body.dryRun === true || req.body.dryRun === 'true' || req.query.dryRun === 'true';
+
+router.post('/update-to-all', requireRole('operator', { allInstances: true }), uploadMemory.single('file'), requireFileTypeScope, requireChangeApproval({ isExempt: isDryRun }), audited(AUDIT_ACTIONS.FILE_UPDATED, (req) => (
+  isDryRun(req) || !req.file ? null : {
+    target: req.body.fileName,
+    afterHash: auditService.hash(req.file.buffer.toString('utf8')),
+    details: { fileType: req.body.fileType, allInstances: true, selector: parseInstanceSelector(req.body) || undefined }
+  }
+)), async (req, res) => {
   try {
     const { fileType, fileName, fileId } = req.body;
     if (!fileType || !fileName || !req.file) {
       return res.status(400).json({ success: false, error: 'Missing required parameters: fileType, fileName and file' });
     }
 
+    const dryRun = isDryRun(req);
     const fileContent = req.file.buffer.toString('utf8');
 
-    // Get all active instances
-    const instances = await proSbcInstanceService.getAllInstances();
+    // Every active instance, or those matching the group/tag/instanceIds fields
+    const selector = parseInstanceSelector(req.body);
+    const instances = await proSbcInstanceService.selectInstances(selector);
+
+    // A real run writes to every selected instance; a dry run reports conflicts once the targets are known
+    let conflictCheck = null;
+    if (!dryRun) {
+      conflictCheck = await checkDmConflicts(req, {
+        fileType,
+        fileName,
+        content: fileContent,
+        instanceIds: selector ? instances.map(inst => String(inst.id)) : undefined
+      });
+      if (conflictCheck?.blocked) {
+        return sendConflictBlocked(res, conflictCheck);
+      }
+    }
+
     const results = [];
+    const planTargets = [];
 
     for (const inst of instances) {
       const instanceId = inst.id;
+      const url = getInstanceUrl(inst);
       try {
-        console.log(`[UpdateToAll] Processing instance: ${instanceId}`);
+        console.log(`[UpdateToAll] Processing instance: ${instanceId}${dryRun ? ' (dry run)' : ''}`);
         const instanceFileManager = createProSBCFileAPI(instanceId);
 
-        // List files on the instance and try to find this file by name or id
-        let listResult;
+        let resolved;
         try {
-          if (fileType === 'routesets_definitions') {
-            listResult = await instanceFileManager.listDfFiles();
-          } else {
-            listResult = await instanceFileManager.listDmFiles();
-          }
+          resolved = await resolveUpdateTarget(instanceFileManager, fileType, fileName, fileId, instanceId);
         } catch (listError) {
           // Handle specific connection and login errors
           const errorMessage = listError.message || listError.toString();
-          if (errorMessage.includes('socket hang up') || 
-              errorMessage.includes('ECONNREFUSED') || 
-              errorMessage.includes('Failed to fetch login page') ||
-              errorMessage.includes('authenticity_token')) {
+          if (isConnectionError(errorMessage)) {
             console.warn(`[UpdateToAll] Connection/login error for instance ${instanceId}: ${errorMessage}`);
-            results.push({ 
-              instance: instanceId, 
-              url: inst.baseUrl || inst.baseURL || inst.base_url || null, 
-              success: false, 
-              error: `Connection failed: ${errorMessage}`,
-              errorType: 'connection'
-            });
+            results.push({ instance: instanceId, url, success: false, error: `Connection failed: ${errorMessage}`, errorType: 'connection' });
             continue;
           }
           // Re-throw other errors to be handled by the outer catch
           throw listError;
         }
 
-        // Helper to normalize file names for tolerant matching
-        const normalize = (s) => {
-          if (!s && s !== 0) return '';
-          try {
-            return String(s).trim().toLowerCase().replace(/[\u200B-\u200D\uFEFF]/g, '').replace(/\s+/g, ' ');
-          } catch (e) {
-            return String(s || '').toLowerCase();
-          }
-        };
-
-        const normalizedTarget = normalize(fileName || fileId || '');
-        const filesList = (listResult.files || []);
-
-        // Try multiple matching strategies: exact id, exact name, normalized name, fallback contains
-        let found = filesList.find(f => fileId && String(f.id) === String(fileId));
-        if (!found) {
-          found = filesList.find(f => f.name === fileName);
-        }
-        if (!found) {
-          found = filesList.find(f => normalize(f.name) === normalizedTarget);
-        }
-        if (!found) {
-          // fallback: contains
-          found = filesList.find(f => normalize(f.name).includes(normalizedTarget) || (normalizedTarget && normalize(normalizedTarget).includes(normalize(f.name))));
-        }
-
-        // If still not found, try a fuzzy match (Levenshtein distance)
-        if (!found && filesList.length > 0) {
-          const levenshtein = (a, b) => {
-            const m = a.length, n = b.length;
-            const dp = Array.from({ length: m + 1 }, () => new Array(n + 1).fill(0));
-            for (let i = 0; i <= m; i++) dp[i][0] = i;
-            for (let j = 0; j <= n; j++) dp[0][j] = j;
-            for (let i = 1; i <= m; i++) {
-              for (let j = 1; j <= n; j++) {
-                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
-                dp[i][j] = Math.min(dp[i - 1][j] + 1, dp[i][j - 1] + 1, dp[i - 1][j - 1] + cost);
-              }
-            }
-            return dp[m][n];
-          };
-
-          let best = null;
-          for (const f of filesList) {
-            const nName = normalize(f.name || '');
-            if (!nName) continue;
-            const d = levenshtein(nName, normalizedTarget);
-            const rel = Math.max(nName.length, normalizedTarget.length) > 0 ? d / Math.max(nName.length, normalizedTarget.length) : 1;
-            if (!best || d < best.distance) {
-              best = { file: f, distance: d, relative: rel };
-            }
-          }
-
-          // Accept fuzzy match if absolute distance small or relative distance small
-          if (best && (best.distance <= 3 || best.relative <= 0.2)) {
-            console.log(`[UpdateToAll][FUZZY] Using fuzzy match for '${fileName}' -> '${best.file.name}' (distance=${best.distance}, relative=${(best.relative*100).toFixed(1)}%) on instance ${instanceId}`);
-            found = best.file;
-            // mark diagnostics for transparency
-            if (!found._diagnostics) found._diagnostics = {};
-            found._diagnostics.fuzzy = { distance: best.distance, relative: best.relative };
-          }
+        const { filesList, match } = resolved;
+        if (!match) {
+          results.push({ instance: instanceId, url, success: false, message: 'File not found on this instance', diagnostics: { filesCount: filesList.length } });
+          continue;
         }
 
-        if (!found) {
-          // Log list of files and comparison diagnostics for easier debugging
-          try {
-            console.log(`[UpdateToAll][DEBUG] Instance ${instanceId} files (${filesList.length}):`);
-            filesList.slice(0, 200).forEach((f, i) => {
-              console.log(`  [${i}] id=${f.id} name='${String(f.name)}' configId=${f.configId || f.config_id || ''}`);
-            });
-            console.log(`[UpdateToAll][DEBUG] Target name='${fileName}' id='${fileId}' normalizedTarget='${normalizedTarget}'`);
-          } catch (logErr) {
-            console.warn('[UpdateToAll][DEBUG] Failed to log file list:', logErr);
-          }
-
-          results.push({ instance: instanceId, url: inst.baseUrl || inst.baseURL || inst.base_url || null, success: false, message: 'File not found on this instance', diagnostics: { filesCount: filesList.length } });
+        const found = match.file;
+        const matchInfo = { strategy: match.strategy, distance: match.distance, relative: match.relative };
+
+        if (dryRun) {
+          const contentResult = await instanceFileManager.getFileContent(fileType, found.id, found.configId);
+          const remoteContent = contentResult.content || '';
+          const diff = diffCsvRows(remoteContent, fileContent, fileType);
+          planTargets.push({
+            instanceId,
+            url,
+            target: { id: found.id, name: found.name, configId: found.configId || null },
+            match: matchInfo,
+            remoteChecksum: checksumOf(remoteContent),
+            diff
+          });
+          results.push({
+            instance: instanceId,
+            url,
+            success: true,
+            willUpdate: true,
+            target: { id: found.id, name: found.name, configId: found.configId || null },
+            match: matchInfo,
+            diff
+          });
           continue;
         }
 
@@ -670,42 +933,136 @@ router.post('/update-to-all', uploadMemory.single('file'), async (req, res) => {
         const configId = found.configId || null;
         const updateResult = await instanceFileManager.updateFileRestAPI(fileType, fileName, fileContent, configId);
 
-        results.push({ instance: instanceId, url: inst.baseUrl || inst.baseURL || inst.base_url || null, success: !!updateResult.success, message: updateResult.message || null, details: updateResult });
+        if (updateResult.success) {
+          await fileRevisionService.recordRevision({
+            fileType,
+            fileName,
+            content: fileContent,
+            instanceId,
+            configId,
+            prosbcFileId: updateResult.fileId || found.id,
+            author: req.user?.username,
+            reason: req.body.reason,
+            source: 'update-to-all'
+          });
+        }
+
+        results.push({ instance: instanceId, url, success: !!updateResult.success, message: updateResult.message || null, match: matchInfo, details: updateResult });
       } catch (err) {
         const errorMessage = err.message || err.toString();
         console.error(`[UpdateToAll] Instance ${inst.id} error:`, errorMessage);
-        
-        // Categorize the error type for better client handling
-        let errorType = 'unknown';
-        if (errorMessage.includes('hasRoutesetSection') || errorMessage.includes('before initialization')) {
-          errorType = 'initialization';
-        } else if (errorMessage.includes('socket hang up') || errorMessage.includes('ECONNREFUSED') || errorMessage.includes('Failed to fetch')) {
-          errorType = 'connection';
-        } else if (errorMessage.includes('authenticity_token') || errorMessage.includes('login')) {
-          errorType = 'authentication';
-        } else if (errorMessage.includes('timeout')) {
-          errorType = 'timeout';
-        }
-        
-        results.push({ 
-          instance: inst.id, 
-          url: inst.baseUrl || inst.baseURL || inst.base_url || null, 
-          success: false, 
-          error: errorMessage,
-          errorType: errorType
-        });
+        results.push({ instance: inst.id, url, success: false, error: errorMessage, errorType: categorizeUpdateError(errorMessage) });
       }
     }
 
-    res.json({ success: true, results });
+    if (!dryRun) {
+      return res.json({ success: true, results, conflictCheck });
+    }
+
+    conflictCheck = await checkDmConflicts(req, {
+      fileType,
+      fileName,
+      content: fileContent,
+      instanceIds: planTargets.map(target => target.instanceId)
+    });
+
+    const { planId, expiresAt } = updatePlanService.save({
+      fileType,
+      fileName,
+      content: fileContent,
+      contentChecksum: checksumOf(fileContent),
+      targets: planTargets,
+      createdBy: req.user?.username || null,
+      createdAt: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      dryRun: true,
+      planId,
+      expiresAt,
+      selector,
+      fileType,
+      fileName,
+      contentChecksum: checksumOf(fileContent),
+      conflictCheck,
+      results
+    });
   } catch (err) {
     console.error('[UpdateToAll] Error:', err);
-    res.status(500).json({ success: false, error: err.message });
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// Execute a plan produced by update-to-all?dryRun=true. Only the files matched
+// during the dry run are written, and an instance is skipped when its file
+// changed on ProSBC since the preview. Plans are single use.
+router.post('/update-to-all/confirm', requireRole('operator', { allInstances: true }), requireChangeApproval(), audited(AUDIT_ACTIONS.FILE_UPDATED, (req) => {
+  const plan = updatePlanService.get(req.body.planId);
+  return plan ? {
+    target: plan.fileName,
+    afterHash: plan.contentChecksum,
+    details: {
+      fileType: plan.fileType,
+      planId: plan.planId,
+      // what each instance held when the dry run looked at it
+      beforeHashes: Object.fromEntries(plan.targets.map(target => [target.instanceId, target.remoteChecksum]))
+    }
+  } : null;
+}), async (req, res) => {
+  try {
+    const { planId, instances, reason } = req.body;
+    if (!planId) {
+      return res.status(400).json({ success: false, error: 'planId is required' });
+    }
+
+    const preview = updatePlanService.get(planId);
+    if (preview && !hasFileTypeScope(req, preview.fileType)) {
+      return res.status(403).json({ success: false, error: `API token lacks the ${preview.fileType}:write scope` });
+    }
+    // Claimed before the first await, so a concurrent confirm of the same plan gets 409
+    const plan = updatePlanService.claim(planId);
+    if (!plan) {
+      return res.status(404).json({ success: false, error: 'Update plan not found or expired. Run the dry run again.' });
+    }
+
+    // Optional subset of the planned instances
+    const selected = updatePlanService.selectTargets(plan, instances);
+
+    // Numbers may have moved since the dry run, so check again; a blocked plan stays usable with allowConflicts
+    let conflictCheck;
+    try {
+      conflictCheck = await checkDmConflicts(req, {
+        fileType: plan.fileType,
+        fileName: plan.fileName,
+        content: plan.content,
+        instanceIds: selected.map(target => target.instanceId)
+      });
+    } catch (err) {
+      updatePlanService.release(plan);
+      throw err;
+    }
+    if (conflictCheck?.blocked) {
+      updatePlanService.release(plan);
+      return sendConflictBlocked(res, conflictCheck);
+    }
+
+    const results = await updatePlanService.execute(plan, selected, {
+      author: req.user?.username,
+      reason,
+      source: 'update-to-all/confirm',
+      logPrefix: `[UpdateToAll][Confirm] Plan ${planId}:`
+    });
+
+    res.json({ success: true, planId, results, conflictCheck });
+  } catch (err) {
+    console.error('[UpdateToAll][Confirm] Error:', err);
+    res.status(err.status || 500).json({ success: false, error: err.message });
   }
 });
 
 // Update file using direct ProSBC URL
-router.post('/update-direct', upload.single('file'), async (req, res) => {
+router.post('/update-direct', requireRole('operator'), upload.single('file'), requireFileTypeScope, audited(AUDIT_ACTIONS.FILE_UPDATED, auditFileWrite()), async (req, res) => {
   try {
     const { updateUrl, fileName, fileType, fileId, configId, uploadFileName } = req.body;
     const instanceId = req.headers['x-prosbc-instance-id'];
@@ -807,7 +1164,7 @@ router.post('/update-direct', upload.single('file'), async (req, res) => {
 });
 
 // Debug route specifically for ProSBC1 configuration analysis
-router.get('/debug/prosbc1', async (req, res) => {
+router.get('/debug/prosbc1', requireRole('admin'), async (req, res) => {
   try {
     const instanceId = req.headers['x-prosbc-instance-id'] || 'ProSBC1';
     
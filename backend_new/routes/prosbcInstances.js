@@ -1,32 +1,71 @@
 import express from 'express';
 import proSbcInstanceService from '../services/proSbcInstanceService.js';
+import ProSBCInstance from '../models/ProSBCInstance.js';
+import { requireRole, roleForInstance } from '../middleware/permissions.js';
+import { audited } from '../middleware/audit.js';
+import auditService, { AUDIT_ACTIONS } from '../services/auditService.js';
 
 const router = express.Router();
 
+// Every route needs at least viewer access to the instance it works on
+router.use(requireRole('viewer'));
+
+const instanceFromParams = (req) => req.params.id;
+
+const CREDENTIAL_FIELDS = ['baseUrl', 'username', 'password'];
+
+// Hash of an instance's settings without the password; password changes are only named in details
+async function instanceFingerprint(id) {
+  const instance = id ? await ProSBCInstance.findByPk(id) : null;
+  if (!instance) return null;
+  const { name, baseUrl, username, location, description, isActive, group, tags } = instance.get({ plain: true });
+  return auditService.hash({ name, baseUrl, username, location, description, isActive, group, tags });
+}
+
+// Instance as sent to the frontend, without the password
+const toSafeInstance = (instance) => ({
+  id: instance.id,
+  name: instance.name,
+  baseUrl: instance.get({ plain: true }).baseUrl,
+  username: instance.username,
+  location: instance.location,
+  description: instance.description,
+  isActive: instance.isActive,
+  group: instance.group || null,
+  tags: instance.tags,
+  createdAt: instance.createdAt,
+  updatedAt: instance.updatedAt
+});
+
+// Fields an admin may set on create/update
+const EDITABLE_FIELDS = ['name', 'baseUrl', 'username', 'password', 'location', 'description', 'isActive', 'group', 'tags'];
+
+const auditInstanceChange = (action) => audited(action, async (req) => ({
+  instanceId: req.params.id,
+  target: req.params.id || req.body.name,
+  beforeHash: await instanceFingerprint(req.params.id),
+  details: { changedFields: Object.keys(req.body || {}).filter(key => req.body[key] !== undefined) },
+  complete: async (body) => ({
+    instanceId: req.params.id || body?.instance?.id,
+    afterHash: await instanceFingerprint(req.params.id || body?.instance?.id)
+  })
+}));
+
 // GET /backend/api/prosbc-instances - Get all ProSBC instances
 router.get('/', async (req, res) => {
   try {
     console.log('[ProSBC Instances] Fetching all instances...');
-    const instances = await proSbcInstanceService.getAllInstances();
+    // Only the instances this user has access to; inactive ones too so they can be reactivated
+    const instances = (await proSbcInstanceService.getAllInstances({ includeInactive: true }))
+      .filter(instance => roleForInstance(req.permissions, instance.id))
+      .filter(instance => !req.user.apiToken?.instanceIds || req.user.apiToken.instanceIds.includes(String(instance.id)));
     console.log(`[ProSBC Instances] Found ${instances.length} instances`);
     
     // Don't send passwords to frontend
-    const safeInstances = instances.map(instance => {
-      // Get the raw instance data to access exact database fields
-      const rawInstance = instance.get({ plain: true });
-      
-      return {
-        id: instance.id,
-        name: instance.id, // Use ID as name for now
-        baseUrl: rawInstance.baseUrl, // Use the lowercase baseUrl field
-        username: instance.username,
-        location: '',
-        description: '',
-        isActive: true,
-        createdAt: instance.createdAt,
-        updatedAt: instance.updatedAt
-      };
-    });
+    const safeInstances = instances.map(instance => ({
+      ...toSafeInstance(instance),
+      role: roleForInstance(req.permissions, instance.id)
+    }));
     res.json({ success: true, instances: safeInstances });
   } catch (error) {
     console.error('[ProSBC Instances] Error fetching instances:', error);
@@ -36,23 +75,10 @@ router.get('/', async (req, res) => {
 });
 
 // GET /backend/api/prosbc-instances/:id - Get specific ProSBC instance
-router.get('/:id', async (req, res) => {
+router.get('/:id', requireRole('viewer', { instanceId: instanceFromParams }), async (req, res) => {
   try {
     const instance = await proSbcInstanceService.getInstanceById(req.params.id);
-    // Get the raw instance data to access exact database fields
-    const rawInstance = instance.get({ plain: true });
-    
-    const safeInstance = {
-      id: instance.id,
-      name: instance.id, // Use ID as name for now
-      baseUrl: rawInstance.baseURL, // Get from raw database record
-      username: instance.username,
-      location: '',
-      description: '',
-      isActive: true,
-      createdAt: instance.createdAt,
-      updatedAt: instance.updatedAt
-    };
+    const safeInstance = toSafeInstance(instance);
     res.json({ success: true, instance: safeInstance });
   } catch (error) {
     res.status(404).json({ success: false, error: error.message });
@@ -60,9 +86,9 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /backend/api/prosbc-instances - Create new ProSBC instance
-router.post('/', async (req, res) => {
+router.post('/', requireRole('admin'), auditInstanceChange(AUDIT_ACTIONS.INSTANCE_CREATED), async (req, res) => {
   try {
-    const { name, baseUrl, username, password, location, description } = req.body;
+    const { name, baseUrl, username, password } = req.body;
     
     if (!name || !baseUrl || !username || !password) {
       return res.status(400).json({ 
@@ -71,27 +97,13 @@ router.post('/', async (req, res) => {
       });
     }
 
-    const instanceData = {
-      name,
-      baseUrl,
-      username,
-      password,
-      location: location || '',
-      description: description || '',
-      isActive: true
-    };
+    const instanceData = { id: req.body.id, isActive: true };
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) instanceData[field] = req.body[field];
+    }
 
     const instance = await proSbcInstanceService.createInstance(instanceData);
-    
-    const safeInstance = {
-      id: instance.id,
-      name: instance.name,
-      baseUrl: instance.baseUrl,
-      username: instance.username,
-      location: instance.location,
-      description: instance.description,
-      isActive: instance.isActive
-    };
+    const safeInstance = toSafeInstance(instance);
 
     res.status(201).json({ success: true, instance: safeInstance });
   } catch (error) {
@@ -100,30 +112,17 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /backend/api/prosbc-instances/:id - Update ProSBC instance
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireRole('admin'), auditInstanceChange((req) => (
+  CREDENTIAL_FIELDS.some(field => req.body[field] !== undefined) ? AUDIT_ACTIONS.INSTANCE_CREDENTIALS_CHANGED : AUDIT_ACTIONS.INSTANCE_UPDATED
+)), async (req, res) => {
   try {
-    const { name, baseUrl, username, password, location, description, isActive } = req.body;
-    
     const updateData = {};
-    if (name !== undefined) updateData.name = name;
-    if (baseUrl !== undefined) updateData.baseUrl = baseUrl;
-    if (username !== undefined) updateData.username = username;
-    if (password !== undefined) updateData.password = password;
-    if (location !== undefined) updateData.location = location;
-    if (description !== undefined) updateData.description = description;
-    if (isActive !== undefined) updateData.isActive = isActive;
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    }
 
     const instance = await proSbcInstanceService.updateInstance(req.params.id, updateData);
-    
-    const safeInstance = {
-      id: instance.id,
-      name: instance.name,
-      baseUrl: instance.baseUrl,
-      username: instance.username,
-      location: instance.location,
-      description: instance.description,
-      isActive: instance.isActive
-    };
+    const safeInstance = toSafeInstance(instance);
 
     res.json({ success: true, instance: safeInstance });
   } catch (error) {
@@ -132,7 +131,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE /backend/api/prosbc-instances/:id - Delete ProSBC instance
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireRole('admin'), auditInstanceChange(AUDIT_ACTIONS.INSTANCE_DELETED), async (req, res) => {
   try {
     const result = await proSbcInstanceService.deleteInstance(req.params.id);
     res.json({ success: true, message: result.message });
@@ -142,7 +141,7 @@ router.delete('/:id', async (req, res) => {
 });
 
 // POST /backend/api/prosbc-instances/:id/toggle - Toggle active status
-router.post('/:id/toggle', async (req, res) => {
+router.post('/:id/toggle', requireRole('admin'), auditInstanceChange(AUDIT_ACTIONS.INSTANCE_UPDATED), async (req, res) => {
   try {
     const instance = await proSbcInstanceService.toggleActiveStatus(req.params.id);
     res.json({ 
@@ -156,7 +155,7 @@ router.post('/:id/toggle', async (req, res) => {
 });
 
 // POST /backend/api/prosbc-instances/:id/test - Test connection
-router.post('/:id/test', async (req, res) => {
+router.post('/:id/test', requireRole('operator', { instanceId: instanceFromParams }), async (req, res) => {
   try {
     const result = await proSbcInstanceService.testConnection(req.params.id);
     res.json(result);
@@ -166,7 +165,7 @@ router.post('/:id/test', async (req, res) => {
 });
 
 // POST /backend/api/prosbc-instances/initialize - Initialize default instances
-router.post('/initialize', async (req, res) => {
+router.post('/initialize', requireRole('admin'), async (req, res) => {
   try {
     await proSbcInstanceService.initializeDefaultInstances();
     res.json({ success: true, message: 'Default instances initialized' });
@@ -3,16 +3,84 @@ import express from 'express';
 import multer from 'multer';
 import path from 'path';
 import { uploadDfFileToProSBC, uploadDmFileToProSBC } from '../utils/prosbc/fileUpload.js';
+import prosbcUploadService from '../services/prosbcUploadService.js';
 import proSbcInstanceService from '../services/proSbcInstanceService.js';
+import jobQueueService, { serializeJob } from '../services/jobQueueService.js';
+import { JOB_TYPES } from '../services/jobHandlers.js';
 import { prosbcLogin } from '../utils/prosbc/login.js';
+import fileRevisionService from '../services/fileRevisionService.js';
+import dmConflictService from '../services/dmConflictService.js';
 import dotenv from 'dotenv';
+import { requireRole } from '../middleware/permissions.js';
+import { audited } from '../middleware/audit.js';
+import { requireChangeApproval } from '../middleware/changeApproval.js';
+import auditService, { AUDIT_ACTIONS } from '../services/auditService.js';
+import { parseInstanceSelector } from '../utils/instanceSelector.js';
+import rolloutService, { parseRolloutOptions, serializeRollout } from '../services/rolloutService.js';
 dotenv.config();
 
 const router = express.Router();
+
+// Every route needs at least viewer access to the instance it works on
+router.use(requireRole('viewer'));
 const upload = multer(); // memory storage
 
+const isBackground = (req) => req.query.background === 'true' || req.body.background === 'true';
+const allowConflicts = (req) => req.query.allowConflicts === 'true' || req.body.allowConflicts === 'true';
+const isRollout = (req) => (req.query.mode || req.body.mode) === 'rollout';
+
+// Audit description of an upload; the single-instance routes write to the env configured ProSBC
+const auditUpload = (fileType, { allInstances = false } = {}) => audited(AUDIT_ACTIONS.FILE_UPLOADED, (req) => {
+  if (!req.file) return null;
+  if (allInstances) {
+    return {
+      target: req.file.originalname,
+      afterHash: auditService.hash(req.file.buffer.toString('utf8')),
+      details: { fileType, allInstances: true, selector: parseInstanceSelector(req.body) || undefined, rollout: isRollout(req) || undefined }
+    };
+  }
+  return auditService.describeFileWrite({ fileType, fileName: req.file.originalname, content: req.file.buffer.toString('utf8') });
+});
+
+// Pre-check a DM upload against the numbers of every instance; answers 409 and returns null when blocked
+async function checkDmConflicts(req, res) {
+  const conflictCheck = await dmConflictService.checkContent({
+    fileName: req.file.originalname,
+    content: req.file.buffer.toString('utf8'),
+    allowConflicts: allowConflicts(req)
+  });
+  if (conflictCheck.blocked) {
+    res.status(409).json({ success: false, message: conflictCheck.message, error: conflictCheck.message, conflictCheck });
+    return null;
+  }
+  return conflictCheck;
+}
+
+// Queue an upload-to-all job; the file travels base64 encoded in the job payload
+async function enqueueUploadAll(req, res, kind, selector) {
+  const job = await jobQueueService.enqueue(JOB_TYPES.PROSBC_UPLOAD_ALL, {
+    kind,
+    selector,
+    fileName: req.file.originalname,
+    content: req.file.buffer.toString('base64'),
+    reason: req.body.reason
+  }, { createdBy: req.user?.username });
+  res.status(202).json({ success: true, jobId: job.id, job: serializeJob(job) });
+}
+
+// Queue a staged rollout instead of the parallel upload: canary, then waves (services/rolloutService.js)
+async function startRollout(req, res, kind, selector) {
+  const { rollout, job } = await rolloutService.start(kind, req.file.buffer, req.file.originalname, {
+    ...parseRolloutOptions(req.body),
+    selector,
+    author: req.user?.username,
+    reason: req.body.reason
+  });
+  res.status(202).json({ success: true, jobId: job.id, job: serializeJob(job), rollout: serializeRollout(rollout) });
+}
+
 // POST /prosbc-upload/df
-router.post('/df', upload.single('file'), async (req, res) => {
+router.post('/df', requireRole('operator'), upload.single('file'), auditUpload('routesets_definitions'), async (req, res) => {
   const file = req.file;
   if (!file) {
     return res.status(400).json({ success: false, message: 'File is required.' });
@@ -25,6 +93,17 @@ router.post('/df', upload.single('file'), async (req, res) => {
       process.env.PROSBC_PASSWORD
     );
     const result = await uploadDfFileToProSBC(file.buffer, file.originalname, sessionCookie);
+    if (result.success) {
+      await fileRevisionService.recordRevision({
+        fileType: 'routesets_definitions',
+        fileName: file.originalname,
+        content: file.buffer.toString('utf8'),
+        action: 'upload',
+        author: req.user?.username,
+        reason: req.body.reason,
+        source: 'prosbc-upload/df'
+      });
+    }
     res.json(result);
   } catch (err) {
     res.status(500).json({ success: false, message: err.message });
@@ -32,54 +111,45 @@ router.post('/df', upload.single('file'), async (req, res) => {
 });
 
 // POST /prosbc-upload/df/all (Optimized with parallel processing - 80% faster)
-router.post('/df/all', upload.single('file'), async (req, res) => {
+// group, tag and instanceIds fields limit the upload to the matching instances (utils/instanceSelector.js)
+// With background=true the upload runs as a job; follow it via /backend/api/jobs/:id/events.
+// mode=rollout (with canaryInstanceId, waveSize, maxFailures, autoRevert) stages it instead, see /rollouts
+router.post('/df/all', requireRole('operator', { allInstances: true }), upload.single('file'), requireChangeApproval(), auditUpload('routesets_definitions', { allInstances: true }), async (req, res) => {
   const file = req.file;
   if (!file) {
     return res.status(400).json({ success: false, message: 'File is required.' });
   }
   try {
-    const instances = await proSbcInstanceService.getAllInstances();
-    
-    // Process all instances in parallel using Promise.allSettled
-    const results = await Promise.allSettled(
-      instances.map(async (instance) => {
-        try {
-          const sessionCookie = await prosbcLogin(instance.baseUrl, instance.username, instance.password);
-          const result = await uploadDfFileToProSBC(file.buffer, file.originalname, sessionCookie, instance.baseUrl, instance.id);
-          return { 
-            instance: instance.name, 
-            success: result.success, 
-            details: result 
-          };
-        } catch (err) {
-          return { 
-            instance: instance.name, 
-            success: false, 
-            error: err.message 
-          };
-        }
-      })
-    );
-    
-    // Format results from Promise.allSettled
-    const formattedResults = results.map(r => 
-      r.status === 'fulfilled' ? r.value : 
-      { instance: 'unknown', success: false, error: r.reason?.message || 'Unknown error' }
-    );
-    
-    res.json({ success: true, results: formattedResults });
+    const selector = parseInstanceSelector(req.body);
+    // Refuse a selector that matches nothing before queueing anything
+    await proSbcInstanceService.selectInstances(selector);
+    if (isRollout(req)) {
+      return await startRollout(req, res, 'df', selector);
+    }
+    if (isBackground(req)) {
+      return await enqueueUploadAll(req, res, 'df', selector);
+    }
+    const results = await prosbcUploadService.uploadToAllInstances('df', file.buffer, file.originalname, {
+      selector,
+      author: req.user?.username,
+      reason: req.body.reason,
+      source: 'prosbc-upload/df/all'
+    });
+    res.json({ success: true, results });
   } catch (err) {
-    res.status(500).json({ success: false, message: err.message });
+    res.status(err.status || 500).json({ success: false, message: err.message });
   }
 });
 
 // POST /prosbc-upload/dm
-router.post('/dm', upload.single('file'), async (req, res) => {
+router.post('/dm', requireRole('operator'), upload.single('file'), auditUpload('routesets_digitmaps'), async (req, res) => {
   const file = req.file;
   if (!file) {
     return res.status(400).json({ success: false, message: 'File is required.' });
   }
   try {
+    const conflictCheck = await checkDmConflicts(req, res);
+    if (!conflictCheck) return;
     // Get session cookie automatically
     const sessionCookie = await prosbcLogin(
       process.env.PROSBC_BASE_URL,
@@ -87,51 +157,53 @@ router.post('/dm', upload.single('file'), async (req, res) => {
       process.env.PROSBC_PASSWORD
     );
     const result = await uploadDmFileToProSBC(file.buffer, file.originalname, sessionCookie);
-    res.json(result);
+    if (result.success) {
+      await fileRevisionService.recordRevision({
+        fileType: 'routesets_digitmaps',
+        fileName: file.originalname,
+        content: file.buffer.toString('utf8'),
+        action: 'upload',
+        author: req.user?.username,
+        reason: req.body.reason,
+        source: 'prosbc-upload/dm'
+      });
+    }
+    res.json({ ...result, conflictCheck });
   } catch (err) {
     res.status(500).json({ success: false, message: err.message });
   }
 });
 
 // POST /prosbc-upload/dm/all (Optimized with parallel processing - 80% faster)
-router.post('/dm/all', upload.single('file'), async (req, res) => {
+// group, tag and instanceIds fields limit the upload to the matching instances
+// With background=true the upload runs as a job; follow it via /backend/api/jobs/:id/events.
+// mode=rollout stages it instead, as for DF files
+router.post('/dm/all', requireRole('operator', { allInstances: true }), upload.single('file'), requireChangeApproval(), auditUpload('routesets_digitmaps', { allInstances: true }), async (req, res) => {
   const file = req.file;
   if (!file) {
     return res.status(400).json({ success: false, message: 'File is required.' });
   }
   try {
-    const instances = await proSbcInstanceService.getAllInstances();
-    
-    // Process all instances in parallel using Promise.allSettled
-    const results = await Promise.allSettled(
-      instances.map(async (instance) => {
-        try {
-          const sessionCookie = await prosbcLogin(instance.baseUrl, instance.username, instance.password);
-          const result = await uploadDmFileToProSBC(file.buffer, file.originalname, sessionCookie, instance.baseUrl, instance.id);
-          return { 
-            instance: instance.name, 
-            success: result.success, 
-            details: result 
-          };
-        } catch (err) {
-          return { 
-            instance: instance.name, 
-            success: false, 
-            error: err.message 
-          };
-        }
-      })
-    );
-    
-    // Format results from Promise.allSettled
-    const formattedResults = results.map(r => 
-      r.status === 'fulfilled' ? r.value : 
-      { instance: 'unknown', success: false, error: r.reason?.message || 'Unknown error' }
-    );
-    
-    res.json({ success: true, results: formattedResults });
+    const conflictCheck = await checkDmConflicts(req, res);
+    if (!conflictCheck) return;
+    const selector = parseInstanceSelector(req.body);
+    // Refuse a selector that matches nothing before queueing anything
+    await proSbcInstanceService.selectInstances(selector);
+    if (isRollout(req)) {
+      return await startRollout(req, res, 'dm', selector);
+    }
+    if (isBackground(req)) {
+      return await enqueueUploadAll(req, res, 'dm', selector);
+    }
+    const results = await prosbcUploadService.uploadToAllInstances('dm', file.buffer, file.originalname, {
+      selector,
+      author: req.user?.username,
+      reason: req.body.reason,
+      source: 'prosbc-upload/dm/all'
+    });
+    res.json({ success: true, results, conflictCheck });
   } catch (err) {
-    res.status(500).json({ success: false, message: err.message });
+    res.status(err.status || 500).json({ success: false, message: err.message });
   }
 });
 
@@ -0,0 +1,129 @@
+// Replication policies: files saved on a primary instance are copied to its replicas
+import express from 'express';
+import replicationService, { serializeRun } from '../services/replicationService.js';
+import { requireRole, hasRole } from '../middleware/permissions.js';
+
+const router = express.Router();
+
+router.use(requireRole('viewer'));
+
+const isTrue = (value) => value === true || value === 'true';
+
+const sendError = (res, err) =>
+  res.status(err.status || (/^invalid/i.test(err.message) ? 400 : 500)).json({ success: false, error: err.message });
+
+// GET /replication/policies
+router.get('/policies', async (req, res) => {
+  try {
+    const policies = await replicationService.listPolicies();
+    res.json({ success: true, policies, openConflicts: await replicationService.openConflictCount() });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /replication/policies - { name, description, sourceInstanceId, sourceConfigId, targets, filePatterns, enabled } (admin only)
+router.post('/policies', requireRole('admin'), async (req, res) => {
+  try {
+    const policy = await replicationService.createPolicy(req.body, req.user, req.ip);
+    res.status(201).json({ success: true, policy });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// PUT /replication/policies/:id - same fields, all optional (admin only)
+router.put('/policies/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const policy = await replicationService.updatePolicy(req.params.id, req.body, req.user, req.ip);
+    res.json({ success: true, policy });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// DELETE /replication/policies/:id (admin only)
+router.delete('/policies/:id', requireRole('admin'), async (req, res) => {
+  try {
+    await replicationService.deletePolicy(req.params.id, req.user, req.ip);
+    res.json({ success: true });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// GET /replication/runs?policyId=&status=failed,partial - per-replica status, without file content
+router.get('/runs', async (req, res) => {
+  try {
+    const { policyId, status, limit } = req.query;
+    const runs = await replicationService.listRuns({ policyId, status, limit });
+    res.json({ success: true, runs: runs.map(run => serializeRun(run)) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// GET /replication/runs/:id - including the replicated content
+router.get('/runs/:id', async (req, res) => {
+  try {
+    const run = await replicationService.getRun(req.params.id);
+    // The content was read from the primary, so it needs access there
+    if (!hasRole(req.permissions, 'viewer', run.sourceInstanceId)) {
+      return res.status(403).json({ success: false, error: `Requires viewer role on instance ${run.sourceInstanceId}` });
+    }
+    res.json({ success: true, run: serializeRun(run, { includeContent: true }) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /replication/runs/:id/retry - { instanceId?, force?, allowConflicts? }: queue the failed or
+// conflicting replicas (or the one named) again; force overwrites replicas changed outside replication
+router.post('/runs/:id/retry', requireRole('operator'), async (req, res) => {
+  try {
+    const run = await replicationService.getRun(req.params.id);
+    const targets = replicationService.retryableTargets(run, req.body.instanceId);
+    const denied = targets.filter(target => !hasRole(req.permissions, 'operator', target.instanceId));
+    if (denied.length > 0) {
+      return res.status(403).json({ success: false, error: `Requires operator on ${denied.map(target => target.instanceId).join(', ')}` });
+    }
+    const retried = await replicationService.retry(run.id, {
+      instanceId: req.body.instanceId,
+      force: isTrue(req.body.force),
+      allowConflicts: isTrue(req.body.allowConflicts)
+    }, req.user);
+    res.status(202).json({ success: true, run: serializeRun(retried), jobId: retried.jobId });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// GET /replication/conflicts?policyId=&all=true - replicas changed outside replication (open ones by default)
+router.get('/conflicts', async (req, res) => {
+  try {
+    const conflicts = await replicationService.listConflicts({
+      policyId: req.query.policyId,
+      open: !isTrue(req.query.all),
+      limit: req.query.limit
+    });
+    res.json({ success: true, conflicts });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /replication/conflicts/:id/dismiss - keep the replica's content; replication compares against it from now on
+router.post('/conflicts/:id/dismiss', requireRole('operator'), async (req, res) => {
+  try {
+    const { instanceId } = await replicationService.getConflict(req.params.id);
+    if (!hasRole(req.permissions, 'operator', instanceId)) {
+      return res.status(403).json({ success: false, error: `Requires operator on ${instanceId}` });
+    }
+    const conflict = await replicationService.dismissConflict(req.params.id, req.user);
+    res.json({ success: true, conflict });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+export default router;
@@ -0,0 +1,45 @@
+// Staged rollouts started with mode=rollout on /prosbc-upload/{df,dm}/all, and reverting them
+import express from 'express';
+import rolloutService, { serializeRollout } from '../services/rolloutService.js';
+import { serializeJob } from '../services/jobQueueService.js';
+import { requireRole } from '../middleware/permissions.js';
+
+const router = express.Router();
+
+// A rollout spans the selected instances, like the upload to all it replaces
+router.use(requireRole('viewer', { allInstances: true }));
+
+const sendError = (res, err) =>
+  res.status(err.status || (/^invalid/i.test(err.message) ? 400 : 500)).json({ success: false, error: err.message });
+
+// GET /rollouts?status=&limit= - newest first, without the file content
+router.get('/', async (req, res) => {
+  try {
+    const rollouts = await rolloutService.listRollouts({ status: req.query.status, limit: req.query.limit });
+    res.json({ success: true, rollouts: rollouts.map(rollout => serializeRollout(rollout)) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// GET /rollouts/:id - per-instance status, including the rolled out content
+router.get('/:id', async (req, res) => {
+  try {
+    const rollout = await rolloutService.getRollout(req.params.id);
+    res.json({ success: true, rollout: serializeRollout(rollout, { includeContent: true }) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /rollouts/:id/revert - restore the previous content on every instance the rollout wrote to
+router.post('/:id/revert', requireRole('operator', { allInstances: true }), async (req, res) => {
+  try {
+    const { rollout, job } = await rolloutService.requestRevert(req.params.id, req.user);
+    res.status(202).json({ success: true, jobId: job.id, job: serializeJob(job), rollout: serializeRollout(rollout) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+export default router;
@@ -4,12 +4,38 @@
 
 import express from 'express';
 import routesetService from '../utils/prosbc/routesetMappingService.js';
+import jobQueueService, { serializeJob } from '../services/jobQueueService.js';
+import { JOB_TYPES } from '../services/jobHandlers.js';
+import { requireRole, instanceIdFrom } from '../middleware/permissions.js';
+import { audited } from '../middleware/audit.js';
+import auditService, { AUDIT_ACTIONS } from '../services/auditService.js';
 const router = express.Router();
 
+// Every route needs at least viewer access to the instance it works on
+router.use(requireRole('viewer'));
+
+// Always the instance requireRole checked (header, then body, then query)
+const instanceOf = instanceIdFrom;
+
+const auditNapMapping = audited(AUDIT_ACTIONS.NAP_MAPPING_CHANGED, (req) => ({
+  instanceId: instanceOf(req),
+  configId: req.query.configId,
+  target: req.params.napName,
+  afterHash: auditService.hash(req.body),
+  details: { mapping: req.body }
+}));
+
+const auditActivation = audited(AUDIT_ACTIONS.CONFIG_ACTIVATED, (req) => ({
+  instanceId: instanceOf(req),
+  configId: req.params.id,
+  target: req.params.id,
+  details: { systemId: req.query.systemId || '1' }
+}));
+
 // GET /api/routeset-mappings
 router.get('/mappings', async (req, res) => {
   try {
-    const instanceId = req.headers['x-prosbc-instance-id'] || req.query.instanceId;
+    const instanceId = instanceOf(req);
     const configId = req.query.configId;
     const mappings = await routesetService.getRoutesetMappings(configId, instanceId);
     res.json({ success: true, mappings });
@@ -21,7 +47,7 @@ router.get('/mappings', async (req, res) => {
 // GET /api/routeset-mapping/nap-edit-data/:napName
 router.get('/nap-edit-data/:napName', async (req, res) => {
   try {
-    const instanceId = req.headers['x-prosbc-instance-id'] || req.query.instanceId;
+    const instanceId = instanceOf(req);
     const configId = req.query.configId;
     const data = await routesetService.getNapEditData(req.params.napName, configId, instanceId);
     res.json(data);
@@ -29,9 +55,9 @@ router.get('/nap-edit-data/:napName', async (req, res) => {
     res.status(500).json({ success: false, error: err.message });
   }
 });
-router.post('/activate-configuration/:id', async (req, res) => {
+router.post('/activate-configuration/:id', requireRole('admin'), auditActivation, async (req, res) => {
   try {
-    const instanceId = req.headers['x-prosbc-instance-id'];
+    const instanceId = instanceOf(req);
     const result = await routesetService.activateConfiguration(req.params.id, '1', instanceId);
     res.json(result);
   } catch (err) {
@@ -40,9 +66,9 @@ router.post('/activate-configuration/:id', async (req, res) => {
 });
 
 // POST /api/routeset-mapping/validate-configuration/:id
-router.post('/validate-configuration/:id', async (req, res) => {
+router.post('/validate-configuration/:id', requireRole('operator'), async (req, res) => {
   try {
-    const instanceId = req.headers['x-prosbc-instance-id'];
+    const instanceId = instanceOf(req);
     const result = await routesetService.validateConfiguration(req.params.id, '1', instanceId);
     res.json(result);
   } catch (err) {
@@ -60,7 +86,7 @@ router.get('/mappings/:napName', async (req, res) => {
 });
 
 // PUT /api/routeset-mappings/:napName
-router.put('/mappings/:napName', async (req, res) => {
+router.put('/mappings/:napName', requireRole('operator'), auditNapMapping, async (req, res) => {
   try {
     const result = await routesetService.updateNapMapping(req.params.napName, req.body);
     res.json(result);
@@ -72,7 +98,7 @@ router.put('/mappings/:napName', async (req, res) => {
 // GET /api/routeset-files
 router.get('/files', async (req, res) => {
   try {
-    const instanceId = req.headers['x-prosbc-instance-id'] || req.query.instanceId;
+    const instanceId = instanceOf(req);
     const configId = req.query.configId;
     const files = await routesetService.getAvailableFiles(configId, instanceId);
     res.json({ success: true, ...files });
@@ -82,9 +108,10 @@ router.get('/files', async (req, res) => {
 });
 
 // POST /api/routeset-mapping/update-nap-mapping/:napName
-router.post('/update-nap-mapping/:napName', async (req, res) => {
+router.post('/update-nap-mapping/:napName', requireRole('operator'), auditNapMapping, async (req, res) => {
   try {
-    const { configId, instanceId } = req.query;
+    const { configId } = req.query;
+    const instanceId = instanceOf(req);
     console.log(`[RoutesetMapping API] Update NAP mapping request:`, {
       napName: req.params.napName,
       configId,
@@ -95,12 +122,8 @@ router.post('/update-nap-mapping/:napName', async (req, res) => {
         'x-prosbc-instance-id': req.headers['x-prosbc-instance-id']
       }
     });
-    
-    // Try to get instanceId from multiple sources
-    const finalInstanceId = instanceId || req.headers['x-prosbc-instance-id'] || req.body.instanceId;
-    console.log(`[RoutesetMapping API] Using instanceId: ${finalInstanceId}`);
-    
-    const result = await routesetService.updateNapMapping(req.params.napName, req.body, configId, finalInstanceId);
+
+    const result = await routesetService.updateNapMapping(req.params.napName, req.body, configId, instanceId);
     res.json(result);
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
@@ -108,10 +131,20 @@ router.post('/update-nap-mapping/:napName', async (req, res) => {
 });
 
 // POST /api/routeset-mapping/generate-database
-router.post('/generate-database', async (req, res) => {
+router.post('/generate-database', requireRole('operator'), audited(AUDIT_ACTIONS.ROUTING_DB_GENERATED, (req) => ({
+  instanceId: instanceOf(req),
+  details: { systemId: req.query.systemId || '1' }
+})), async (req, res) => {
   try {
     const systemId = req.query.systemId || '1';
-    const instanceId = req.headers['x-prosbc-instance-id'] || req.query.instanceId;
+    const instanceId = instanceOf(req);
+    if (req.query.background === 'true' || req.body?.background === true) {
+      const job = await jobQueueService.enqueue(JOB_TYPES.GENERATE_ROUTING_DATABASE, { systemId, instanceId }, {
+        createdBy: req.user?.username,
+        instanceId
+      });
+      return res.status(202).json({ success: true, jobId: job.id, job: serializeJob(job) });
+    }
     const result = await routesetService.generateRoutingDatabase(systemId, instanceId);
     res.json(result);
   } catch (err) {
@@ -122,7 +155,7 @@ router.post('/generate-database', async (req, res) => {
 router.get('/configurations', async (req, res) => {
   try {
     const systemId = req.query.systemId || '1';
-    const instanceId = req.headers['x-prosbc-instance-id'] || req.query.instanceId;
+    const instanceId = instanceOf(req);
     const configs = await routesetService.getAvailableConfigurations(systemId, instanceId);
     res.json({ success: true, configurations: configs });
   } catch (err) {
@@ -131,10 +164,10 @@ router.get('/configurations', async (req, res) => {
 });
 
 // POST /api/routeset-configurations/:id/activate
-router.post('/configurations/:id/activate', async (req, res) => {
+router.post('/configurations/:id/activate', requireRole('admin'), auditActivation, async (req, res) => {
   try {
     const systemId = req.query.systemId || '1';
-    const instanceId = req.headers['x-prosbc-instance-id'] || req.query.instanceId;
+    const instanceId = instanceOf(req);
     const result = await routesetService.activateConfiguration(req.params.id, systemId, instanceId);
     res.json(result);
   } catch (err) {
@@ -143,10 +176,10 @@ router.post('/configurations/:id/activate', async (req, res) => {
 });
 
 // POST /api/routeset-configurations/:id/validate
-router.post('/configurations/:id/validate', async (req, res) => {
+router.post('/configurations/:id/validate', requireRole('operator'), async (req, res) => {
   try {
-    const { systemId = '1', instanceId } = req.query;
-    const result = await routesetService.validateConfiguration(req.params.id, systemId, instanceId);
+    const { systemId = '1' } = req.query;
+    const result = await routesetService.validateConfiguration(req.params.id, systemId, instanceOf(req));
     res.json(result);
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
@@ -156,7 +189,7 @@ router.post('/configurations/:id/validate', async (req, res) => {
 // GET /api/routeset-mapping/available-files
 router.get('/available-files', async (req, res) => {
   try {
-    const instanceId = req.headers['x-prosbc-instance-id'] || req.query.instanceId;
+    const instanceId = instanceOf(req);
     const configId = req.query.configId;
     const files = await routesetService.getAvailableFiles(configId, instanceId);
     res.json(files);
@@ -0,0 +1,109 @@
+// Cron schedules for recurring background jobs and their run history
+import express from 'express';
+import schedulerService from '../services/schedulerService.js';
+import { getNextRun } from '../utils/cronExpression.js';
+import { requireRole } from '../middleware/permissions.js';
+
+const router = express.Router();
+
+// Every route needs at least viewer access to the instance it works on
+router.use(requireRole('viewer'));
+
+function statusFor(err) {
+  if (/not found/i.test(err.message)) return 404;
+  if (/^invalid/i.test(err.message)) return 400;
+  if (err.name === 'SequelizeUniqueConstraintError') return 409;
+  return 500;
+}
+
+// GET /schedules
+router.get('/', async (req, res) => {
+  try {
+    const tasks = await schedulerService.listTasks();
+    res.json({ success: true, tasks });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// GET /schedules/preview?cron= - next occurrences of an expression, for the editor
+router.get('/preview', async (req, res) => {
+  try {
+    schedulerService.validateTask({ cronExpression: req.query.cron });
+    const runs = [];
+    let from = new Date();
+    for (let i = 0; i < 5; i++) {
+      from = getNextRun(req.query.cron, from);
+      if (!from) break;
+      runs.push(from);
+    }
+    res.json({ success: true, nextRuns: runs });
+  } catch (err) {
+    res.status(statusFor(err)).json({ success: false, error: err.message });
+  }
+});
+
+// POST /schedules
+router.post('/', requireRole('admin'), async (req, res) => {
+  try {
+    const task = await schedulerService.createTask(req.body, req.user?.username);
+    res.status(201).json({ success: true, task });
+  } catch (err) {
+    res.status(statusFor(err)).json({ success: false, error: err.message });
+  }
+});
+
+// GET /schedules/:id
+router.get('/:id', async (req, res) => {
+  try {
+    const task = await schedulerService.getTask(req.params.id);
+    res.json({ success: true, task });
+  } catch (err) {
+    res.status(statusFor(err)).json({ success: false, error: err.message });
+  }
+});
+
+// PUT /schedules/:id
+router.put('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const task = await schedulerService.updateTask(req.params.id, req.body);
+    res.json({ success: true, task });
+  } catch (err) {
+    res.status(statusFor(err)).json({ success: false, error: err.message });
+  }
+});
+
+// DELETE /schedules/:id
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    await schedulerService.deleteTask(req.params.id);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(statusFor(err)).json({ success: false, error: err.message });
+  }
+});
+
+// POST /schedules/:id/run - run now, outside the schedule
+router.post('/:id/run', requireRole('operator'), async (req, res) => {
+  try {
+    const run = await schedulerService.runNow(req.params.id, req.user?.username);
+    res.status(202).json({ success: true, run, jobId: run.jobId });
+  } catch (err) {
+    res.status(statusFor(err)).json({ success: false, error: err.message });
+  }
+});
+
+// GET /schedules/:id/runs?limit=
+router.get('/:id/runs', async (req, res) => {
+  try {
+    const task = await schedulerService.getTask(req.params.id);
+    const runs = await schedulerService.listRuns(task.id, {
+      limit: Math.min(parseInt(req.query.limit || '50', 10) || 50, 200)
+    });
+    res.json({ success: true, runs });
+  } catch (err) {
+    res.status(statusFor(err)).json({ success: false, error: err.message });
+  }
+});
+
+export default router;
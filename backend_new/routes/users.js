@@ -0,0 +1,333 @@
+// Dashboard user administration: accounts, roles and per-instance permissions
+import express from 'express';
+import { Op } from 'sequelize';
+import User from '../models/User.js';
+import ProSBCInstance from '../models/ProSBCInstance.js';
+import { requireRole, invalidatePermissions, ROLES } from '../middleware/permissions.js';
+import { endSession, endUserSessions, findSession, listSessions } from '../middleware/sessions.js';
+import twoFactorService from '../services/twoFactorService.js';
+import apiTokenService from '../services/apiTokenService.js';
+
+const router = express.Router();
+
+router.use(requireRole('admin'));
+
+const serializeUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  instancePermissions: user.instancePermissions,
+  canApprove: !!user.canApprove,
+  disabled: user.disabled,
+  totpEnabled: user.totpEnabled,
+  authProvider: user.authProvider || 'local',
+  activeSessions: user.activeSessions || 0,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt
+});
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Directory accounts (services/authProviderService.js) take username, password and role from the directory
+const isDirectoryUser = (user) => (user.authProvider || 'local') !== 'local';
+
+const managedByDirectory = (res, user, what) =>
+  res.status(409).json({ success: false, error: `The ${what} of ${user.username} is managed by ${user.authProvider}` });
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Invalid password: at least ${MIN_PASSWORD_LENGTH} characters required`);
+  }
+}
+
+async function validateAccount({ username, email }, userId = null) {
+  if (username !== undefined && (typeof username !== 'string' || !username.trim())) {
+    throw new Error('Invalid username: required');
+  }
+  const taken = [];
+  if (username) taken.push({ username: username.trim() });
+  if (email) taken.push({ email });
+  if (taken.length === 0) return;
+  const existing = await User.findOne({
+    where: { [Op.or]: taken, ...(userId ? { id: { [Op.ne]: userId } } : {}) }
+  });
+  if (existing) {
+    const error = new Error(existing.username === username?.trim() ? `Username ${username} is already taken` : `Email ${email} is already in use`);
+    error.status = 409;
+    throw error;
+  }
+}
+
+async function validatePermissions({ role, instancePermissions }) {
+  if (role !== undefined && !ROLES.includes(role)) {
+    throw new Error(`Invalid role "${role}", expected one of ${ROLES.join(', ')}`);
+  }
+  if (instancePermissions !== undefined && instancePermissions !== null) {
+    if (typeof instancePermissions !== 'object' || Array.isArray(instancePermissions)) {
+      throw new Error('Invalid instancePermissions: expected an object of instanceId -> role');
+    }
+    const instanceIds = (await ProSBCInstance.findAll({ attributes: ['id'], raw: true })).map(instance => String(instance.id));
+    for (const [instanceId, instanceRole] of Object.entries(instancePermissions)) {
+      if (!instanceIds.includes(String(instanceId))) {
+        throw new Error(`Invalid instancePermissions: unknown instance ${instanceId}`);
+      }
+      if (!ROLES.includes(instanceRole)) {
+        throw new Error(`Invalid role "${instanceRole}" for instance ${instanceId}`);
+      }
+    }
+  }
+}
+
+async function findUser(req, res) {
+  const user = await User.findByPk(req.params.id);
+  if (!user) {
+    res.status(404).json({ success: false, error: `User ${req.params.id} not found` });
+  }
+  return user;
+}
+
+// Keep at least one enabled admin so the dashboard stays manageable
+async function isLastAdmin(user) {
+  if (user.role !== 'admin' || user.disabled) return false;
+  const admins = await User.count({ where: { role: 'admin', disabled: false } });
+  return admins <= 1;
+}
+
+const isSelf = (req, user) => String(req.user?.id) === String(user.id);
+
+const sendError = (res, err) =>
+  res.status(err.status || (/^invalid/i.test(err.message) ? 400 : 500)).json({ success: false, error: err.message });
+
+// GET /users
+router.get('/', async (req, res) => {
+  try {
+    const users = await User.findAll({ order: [['username', 'ASC']] });
+    const sessionCounts = {};
+    (await listSessions()).forEach(session => { sessionCounts[session.userId] = (sessionCounts[session.userId] || 0) + 1; });
+    users.forEach(user => { user.activeSessions = sessionCounts[user.id] || 0; });
+    res.json({ success: true, users: users.map(serializeUser), roles: ROLES, minPasswordLength: MIN_PASSWORD_LENGTH });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// GET /users/security-policy
+router.get('/security-policy', async (req, res) => {
+  try {
+    res.json({ success: true, policy: await twoFactorService.getPolicy() });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// PUT /users/security-policy - { requireTwoFactorRoles: ['operator', 'admin'] }
+router.put('/security-policy', async (req, res) => {
+  try {
+    const policy = await twoFactorService.setPolicy(req.body, req.user?.username);
+    console.log(`✅ 2FA required for [${policy.requireTwoFactorRoles.join(', ')}] by ${req.user?.username}`);
+    res.json({ success: true, policy });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// GET /users/sessions - every active dashboard session; userId limits it to one user
+router.get('/sessions', async (req, res) => {
+  try {
+    res.json({ success: true, sessions: await listSessions({ userId: req.query.userId, currentSessionId: req.sessionId }) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// DELETE /users/sessions/:sessionId - revoke any user's session
+router.delete('/sessions/:sessionId', async (req, res) => {
+  try {
+    const session = await findSession(req.params.sessionId);
+    await endSession(session);
+    console.log(`⚠️ Session ${session.id} of ${session.username} revoked by ${req.user?.username}`);
+    res.json({ success: true, message: `Session of ${session.username} revoked` });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /users - { username, password, email, role, instancePermissions }
+router.post('/', async (req, res) => {
+  try {
+    const { username, password, email, role = 'viewer', instancePermissions = {} } = req.body;
+    await validateAccount({ username: username ?? '', email });
+    validatePassword(password);
+    await validatePermissions({ role, instancePermissions });
+
+    const user = await User.create({
+      username: username.trim(),
+      password,
+      email: email || null,
+      role,
+      instancePermissions: instancePermissions || {}
+    });
+    console.log(`✅ User ${user.username} created by ${req.user?.username}`);
+    res.status(201).json({ success: true, user: serializeUser(user) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// PUT /users/:id - { username, email }
+router.put('/:id', async (req, res) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) return;
+    const { username, email } = req.body;
+    if (username !== undefined && username.trim?.() !== user.username && isDirectoryUser(user)) {
+      return managedByDirectory(res, user, 'username');
+    }
+    await validateAccount({ username, email }, user.id);
+
+    if (username !== undefined) user.username = username.trim();
+    if (email !== undefined) user.email = email || null;
+    await user.save();
+    invalidatePermissions(user.id);
+    res.json({ success: true, user: serializeUser(user) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// PUT /users/:id/permissions - { role, instancePermissions, canApprove }
+router.put('/:id/permissions', async (req, res) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) return;
+    const { role, instancePermissions, canApprove } = req.body;
+    await validatePermissions({ role, instancePermissions });
+    if (canApprove !== undefined && typeof canApprove !== 'boolean') {
+      return res.status(400).json({ success: false, error: 'Invalid canApprove: expected true or false' });
+    }
+    if (role !== undefined && role !== user.role && isDirectoryUser(user)) {
+      return managedByDirectory(res, user, 'role');
+    }
+
+    if (role !== undefined && role !== 'admin' && await isLastAdmin(user)) {
+      return res.status(409).json({ success: false, error: 'Cannot remove the role of the last admin' });
+    }
+
+    if (role !== undefined) user.role = role;
+    if (instancePermissions !== undefined) user.instancePermissions = instancePermissions || {};
+    if (canApprove !== undefined) user.canApprove = canApprove;
+    await user.save();
+    invalidatePermissions(user.id);
+    res.json({ success: true, user: serializeUser(user) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /users/:id/disable - block logins and end the user's sessions
+router.post('/:id/disable', async (req, res) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) return;
+    if (isSelf(req, user)) {
+      return res.status(409).json({ success: false, error: 'You cannot disable your own account' });
+    }
+    if (await isLastAdmin(user)) {
+      return res.status(409).json({ success: false, error: 'Cannot disable the last admin' });
+    }
+
+    user.disabled = true;
+    await user.save();
+    invalidatePermissions(user.id);
+    apiTokenService.forgetUser(user.id);
+    const sessionsEnded = await endUserSessions(user.id);
+    console.log(`⚠️ User ${user.username} disabled by ${req.user?.username}`);
+    res.json({ success: true, user: serializeUser(user), sessionsEnded });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /users/:id/enable
+router.post('/:id/enable', async (req, res) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) return;
+    user.disabled = false;
+    await user.save();
+    invalidatePermissions(user.id);
+    res.json({ success: true, user: serializeUser(user) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /users/:id/reset-password - { password }; the user has to log in again
+router.post('/:id/reset-password', async (req, res) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) return;
+    if (isDirectoryUser(user)) return managedByDirectory(res, user, 'password');
+    validatePassword(req.body.password);
+
+    user.password = req.body.password;
+    await user.save();
+    const sessionsEnded = await endUserSessions(user.id);
+    console.log(`✅ Password of ${user.username} reset by ${req.user?.username}`);
+    res.json({ success: true, user: serializeUser(user), sessionsEnded });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /users/:id/reset-2fa - for a lost authenticator; the user enrolls again at next login if required
+router.post('/:id/reset-2fa', async (req, res) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) return;
+    await twoFactorService.disable(user);
+    const sessionsEnded = await endUserSessions(user.id);
+    console.log(`⚠️ Two-factor authentication of ${user.username} reset by ${req.user?.username}`);
+    res.json({ success: true, user: serializeUser(user), sessionsEnded });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /users/:id/logout - end every active session of the user
+router.post('/:id/logout', async (req, res) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) return;
+    const sessionsEnded = await endUserSessions(user.id);
+    res.json({ success: true, sessionsEnded });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// DELETE /users/:id
+router.delete('/:id', async (req, res) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) return;
+    if (isSelf(req, user)) {
+      return res.status(409).json({ success: false, error: 'You cannot delete your own account' });
+    }
+    if (await isLastAdmin(user)) {
+      return res.status(409).json({ success: false, error: 'Cannot delete the last admin' });
+    }
+
+    await endUserSessions(user.id);
+    await apiTokenService.deleteForUser(user.id);
+    await user.destroy();
+    invalidatePermissions(user.id);
+    console.log(`⚠️ User ${user.username} deleted by ${req.user?.username}`);
+    res.json({ success: true, message: `User ${user.username} deleted` });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+export default router;
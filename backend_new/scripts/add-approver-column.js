@@ -0,0 +1,33 @@
+import 'dotenv/config';
+import database from '../config/database.js';
+
+// Usage: node scripts/add-approver-column.js
+// Adds the approver column (may approve change requests) to the Users table.
+const COLUMNS = {
+  canApprove: 'TINYINT(1) NOT NULL DEFAULT 0'
+};
+
+(async () => {
+  try {
+    console.log('🚀 Adding approver column to Users table...');
+    await database.connect();
+
+    const queryInterface = database.sequelize.getQueryInterface();
+    const columns = await queryInterface.describeTable('Users');
+
+    for (const [name, definition] of Object.entries(COLUMNS)) {
+      if (columns[name]) {
+        console.log(`📝 ${name} column already exists.`);
+        continue;
+      }
+      await database.sequelize.query(`ALTER TABLE Users ADD COLUMN ${name} ${definition};`);
+      console.log(`✅ ${name} column added.`);
+    }
+
+    await database.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Failed to add approver column:', error);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,61 @@
+import 'dotenv/config';
+import database from '../config/database.js';
+import '../models/AuditLog.js';
+
+// Usage: node scripts/add-audit-log-columns.js [--scrub-logs]
+// Adds the semantic audit columns to audit_logs (or creates the table).
+// --scrub-logs also redacts passwords, tokens and 2FA codes that the old request
+// logger wrote into the logs table.
+const COLUMNS = {
+  username: 'VARCHAR(255) NULL',
+  instanceId: 'VARCHAR(50) NULL',
+  configId: 'VARCHAR(100) NULL',
+  target: 'VARCHAR(255) NULL',
+  beforeHash: 'VARCHAR(64) NULL',
+  afterHash: 'VARCHAR(64) NULL',
+  outcome: "VARCHAR(20) NOT NULL DEFAULT 'success'",
+  error: 'TEXT NULL'
+};
+
+const SECRET_FIELD = `"([A-Za-z_]*([Pp]assword|[Ss]ecret|[Tt]oken|[Cc]ode))":"[^"]*"`;
+
+(async () => {
+  try {
+    console.log('🚀 Updating audit_logs table...');
+    await database.connect();
+
+    const queryInterface = database.sequelize.getQueryInterface();
+    const tables = (await queryInterface.showAllTables()).map(table => (typeof table === 'string' ? table : table.tableName));
+
+    if (!tables.includes('audit_logs')) {
+      await database.sequelize.models.AuditLog.sync();
+      console.log('✅ audit_logs table created.');
+    } else {
+      const columns = await queryInterface.describeTable('audit_logs');
+      for (const [name, definition] of Object.entries(COLUMNS)) {
+        if (columns[name]) {
+          console.log(`📝 ${name} column already exists.`);
+          continue;
+        }
+        await database.sequelize.query(`ALTER TABLE audit_logs ADD COLUMN ${name} ${definition};`);
+        console.log(`✅ ${name} column added.`);
+      }
+      // details now holds JSON
+      await database.sequelize.query('ALTER TABLE audit_logs MODIFY COLUMN details LONGTEXT NULL;');
+      console.log('✅ details column is LONGTEXT.');
+    }
+
+    if (process.argv.includes('--scrub-logs')) {
+      const [result] = await database.sequelize.query(
+        `UPDATE logs SET description = REGEXP_REPLACE(description, '${SECRET_FIELD}', '"\\\\1":"[redacted]"') WHERE description REGEXP '${SECRET_FIELD}';`
+      );
+      console.log(`✅ Redacted secrets in ${result.affectedRows ?? 0} log rows.`);
+    }
+
+    await database.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Failed to update audit_logs table:', error);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,34 @@
+import 'dotenv/config';
+import database from '../config/database.js';
+
+// Usage: node scripts/add-auth-provider-columns.js
+// Adds the auth provider columns (local or directory account) to the Users table.
+const COLUMNS = {
+  authProvider: "VARCHAR(20) NOT NULL DEFAULT 'local'",
+  externalId: 'VARCHAR(512) NULL'
+};
+
+(async () => {
+  try {
+    console.log('🚀 Adding auth provider columns to Users table...');
+    await database.connect();
+
+    const queryInterface = database.sequelize.getQueryInterface();
+    const columns = await queryInterface.describeTable('Users');
+
+    for (const [name, definition] of Object.entries(COLUMNS)) {
+      if (columns[name]) {
+        console.log(`📝 ${name} column already exists.`);
+        continue;
+      }
+      await database.sequelize.query(`ALTER TABLE Users ADD COLUMN ${name} ${definition};`);
+      console.log(`✅ ${name} column added.`);
+    }
+
+    await database.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Failed to add auth provider columns:', error);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,39 @@
+import 'dotenv/config';
+import database from '../config/database.js';
+
+// Usage: node scripts/add-instance-columns.js
+// Adds name, location, description, active flag, group and tags to the prosbc_instances table.
+// Existing instances stay active and keep showing their id as name.
+const COLUMNS = {
+  name: 'VARCHAR(100) NULL',
+  location: "VARCHAR(100) NOT NULL DEFAULT ''",
+  description: "VARCHAR(255) NOT NULL DEFAULT ''",
+  isActive: 'TINYINT(1) NOT NULL DEFAULT 1',
+  groupName: 'VARCHAR(50) NULL',
+  tags: 'LONGTEXT NULL'
+};
+
+(async () => {
+  try {
+    console.log('🚀 Adding instance columns to prosbc_instances table...');
+    await database.connect();
+
+    const queryInterface = database.sequelize.getQueryInterface();
+    const columns = await queryInterface.describeTable('prosbc_instances');
+
+    for (const [name, definition] of Object.entries(COLUMNS)) {
+      if (columns[name]) {
+        console.log(`📝 ${name} column already exists.`);
+        continue;
+      }
+      await database.sequelize.query(`ALTER TABLE prosbc_instances ADD COLUMN ${name} ${definition};`);
+      console.log(`✅ ${name} column added.`);
+    }
+
+    await database.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Failed to add instance columns:', error);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,41 @@
+import 'dotenv/config';
+import database from '../config/database.js';
+
+// Usage: node scripts/add-session-columns.js
+// Adds the device, IP and last-seen columns used by the sessions list, and the
+// refresh token columns, to ActiveUsers.
+const COLUMNS = {
+  name: 'VARCHAR(100) NULL',
+  userAgent: 'VARCHAR(512) NULL',
+  ip: 'VARCHAR(64) NULL',
+  lastSeenAt: 'DATETIME NULL',
+  refreshTokenHash: 'VARCHAR(64) NULL',
+  previousRefreshHash: 'VARCHAR(64) NULL',
+  refreshRotatedAt: 'DATETIME NULL',
+  refreshExpiresAt: 'DATETIME NULL'
+};
+
+(async () => {
+  try {
+    console.log('🚀 Adding session columns to ActiveUsers table...');
+    await database.connect();
+
+    const queryInterface = database.sequelize.getQueryInterface();
+    const columns = await queryInterface.describeTable('ActiveUsers');
+
+    for (const [name, definition] of Object.entries(COLUMNS)) {
+      if (columns[name]) {
+        console.log(`📝 ${name} column already exists.`);
+        continue;
+      }
+      await database.sequelize.query(`ALTER TABLE ActiveUsers ADD COLUMN ${name} ${definition};`);
+      console.log(`✅ ${name} column added.`);
+    }
+
+    await database.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Failed to add session columns:', error);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,36 @@
+import 'dotenv/config';
+import database from '../config/database.js';
+
+// Usage: node scripts/add-two-factor-columns.js
+// Adds the two-factor authentication columns to the Users table.
+const COLUMNS = {
+  totpSecret: 'VARCHAR(512) NULL',
+  totpEnabled: 'TINYINT(1) NOT NULL DEFAULT 0',
+  totpLastStep: 'BIGINT NULL',
+  recoveryCodes: 'LONGTEXT NULL'
+};
+
+(async () => {
+  try {
+    console.log('🚀 Adding two-factor columns to Users table...');
+    await database.connect();
+
+    const queryInterface = database.sequelize.getQueryInterface();
+    const columns = await queryInterface.describeTable('Users');
+
+    for (const [name, definition] of Object.entries(COLUMNS)) {
+      if (columns[name]) {
+        console.log(`📝 ${name} column already exists.`);
+        continue;
+      }
+      await database.sequelize.query(`ALTER TABLE Users ADD COLUMN ${name} ${definition};`);
+      console.log(`✅ ${name} column added.`);
+    }
+
+    await database.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Failed to add two-factor columns:', error);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,53 @@
+import 'dotenv/config';
+import database from '../config/database.js';
+
+// Usage: node scripts/add-user-roles.js [admin-username]
+// Adds the role and instancePermissions columns to Users and makes one user admin
+// (default "admin"); everyone else starts as viewer.
+const adminUsername = process.argv[2] || 'admin';
+
+(async () => {
+  try {
+    console.log('🚀 Adding role columns to Users table...');
+    await database.connect();
+
+    const queryInterface = database.sequelize.getQueryInterface();
+    const columns = await queryInterface.describeTable('Users');
+
+    if (!columns.role) {
+      await database.sequelize.query(`
+        ALTER TABLE Users
+        ADD COLUMN role ENUM('viewer', 'operator', 'admin') NOT NULL DEFAULT 'viewer';
+      `);
+      console.log('✅ role column added.');
+    } else {
+      console.log('📝 role column already exists.');
+    }
+
+    if (!columns.instancePermissions) {
+      await database.sequelize.query(`
+        ALTER TABLE Users
+        ADD COLUMN instancePermissions LONGTEXT NULL;
+      `);
+      console.log('✅ instancePermissions column added.');
+    } else {
+      console.log('📝 instancePermissions column already exists.');
+    }
+
+    const [result] = await database.sequelize.query(
+      'UPDATE Users SET role = \'admin\' WHERE username = ?',
+      { replacements: [adminUsername] }
+    );
+    if (result.affectedRows > 0) {
+      console.log(`✅ ${adminUsername} is now admin.`);
+    } else {
+      console.warn(`⚠️ User ${adminUsername} not found; pass an existing username to make it admin.`);
+    }
+
+    await database.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Failed to add role columns:', error);
+    process.exit(1);
+  }
+})();
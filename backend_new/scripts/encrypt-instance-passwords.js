@@ -0,0 +1,70 @@
+import 'dotenv/config';
+import database from '../config/database.js';
+import {
+  encryptSecret,
+  decryptSecret,
+  isEncrypted,
+  keyVersionOf,
+  currentKeyVersion,
+  needsReencryption
+} from '../utils/credentialCrypto.js';
+
+// Usage: node scripts/encrypt-instance-passwords.js [--legacy=plain|base64] [--dry-run]
+// Encrypts unencrypted prosbc_instances passwords with the current PROSBC_CREDENTIAL_KEY and
+// re-encrypts rows written with an older key version (run it after adding a new key to
+// PROSBC_CREDENTIAL_KEYS). --legacy says how unencrypted rows are stored (default plain).
+const legacyArg = process.argv.find(arg => arg.startsWith('--legacy='));
+const legacyEncoding = legacyArg ? legacyArg.split('=')[1] : 'plain';
+const dryRun = process.argv.includes('--dry-run');
+
+const decodeLegacy = (value) =>
+  (legacyEncoding === 'base64' ? Buffer.from(value, 'base64').toString('utf-8') : value);
+
+(async () => {
+  try {
+    if (!['plain', 'base64'].includes(legacyEncoding)) {
+      throw new Error(`Unknown --legacy=${legacyEncoding}, expected plain or base64`);
+    }
+    const version = currentKeyVersion();
+    if (!version) {
+      throw new Error('Set PROSBC_CREDENTIAL_KEY or PROSBC_CREDENTIAL_KEYS before running this script');
+    }
+
+    console.log(`🚀 Encrypting ProSBC instance passwords with key version ${version}${dryRun ? ' (dry run)' : ''}...`);
+    await database.connect();
+
+    // Encrypted values are longer than the old VARCHAR(255)
+    const queryInterface = database.sequelize.getQueryInterface();
+    const columns = await queryInterface.describeTable('prosbc_instances');
+    if (!dryRun && !/varchar\(512\)/i.test(columns.password.type)) {
+      await database.sequelize.query('ALTER TABLE prosbc_instances MODIFY COLUMN password VARCHAR(512) NOT NULL;');
+      console.log('✅ password column widened to VARCHAR(512).');
+    }
+
+    const [rows] = await database.sequelize.query('SELECT id, password FROM prosbc_instances');
+    let changed = 0;
+    for (const row of rows) {
+      if (!needsReencryption(row.password)) {
+        console.log(`📝 ${row.id}: already encrypted with key version ${version}`);
+        continue;
+      }
+      const plaintext = isEncrypted(row.password) ? decryptSecret(row.password) : decodeLegacy(row.password);
+      const from = isEncrypted(row.password) ? `key version ${keyVersionOf(row.password)}` : `${legacyEncoding} text`;
+      if (!dryRun) {
+        await database.sequelize.query(
+          'UPDATE prosbc_instances SET password = ? WHERE id = ?',
+          { replacements: [encryptSecret(plaintext), row.id] }
+        );
+      }
+      changed++;
+      console.log(`✅ ${row.id}: ${dryRun ? 'would re-encrypt' : 're-encrypted'} from ${from}`);
+    }
+
+    console.log(`✅ ${changed} of ${rows.length} instance password(s) ${dryRun ? 'need encryption' : 'encrypted'}.`);
+    await database.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Failed to encrypt instance passwords:', error);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,49 @@
+import 'dotenv/config';
+import database from '../config/database.js';
+import User, { isPasswordHash } from '../models/User.js';
+
+// Usage: node scripts/hash-user-passwords.js [--now]
+// Adds the disabled column to Users. Plaintext passwords are hashed on each user's next
+// login; pass --now to hash all of them immediately.
+const hashNow = process.argv.includes('--now');
+
+(async () => {
+  try {
+    console.log('🚀 Preparing Users table for hashed passwords...');
+    await database.connect();
+
+    const queryInterface = database.sequelize.getQueryInterface();
+    const columns = await queryInterface.describeTable('Users');
+
+    if (!columns.disabled) {
+      await database.sequelize.query(`
+        ALTER TABLE Users
+        ADD COLUMN disabled TINYINT(1) NOT NULL DEFAULT 0;
+      `);
+      console.log('✅ disabled column added.');
+    } else {
+      console.log('📝 disabled column already exists.');
+    }
+
+    const users = await User.findAll();
+    const plaintext = users.filter(user => !isPasswordHash(user.password));
+    if (plaintext.length === 0) {
+      console.log('✅ All passwords are already hashed.');
+    } else if (hashNow) {
+      for (const user of plaintext) {
+        // The beforeSave hook hashes the value
+        user.changed('password', true);
+        await user.save({ fields: ['password'] });
+        console.log(`✅ Hashed password of ${user.username}`);
+      }
+    } else {
+      console.log(`📝 ${plaintext.length} plaintext password(s) will be hashed on next login: ${plaintext.map(user => user.username).join(', ')}`);
+    }
+
+    await database.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Failed to migrate user passwords:', error);
+    process.exit(1);
+  }
+})();
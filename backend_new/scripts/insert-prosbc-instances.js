@@ -21,7 +21,11 @@ async function insertProSBCInstances() {
           id: instance.id,
           baseUrl: instance.baseURL, // Note: using baseUrl (database field name)
           username: instance.username,
-          password: instance.password
+          password: instance.password,
+          name: instance.name,
+          location: instance.location || '',
+          group: instance.group || null,
+          tags: instance.tags || []
         }
       });
       
@@ -0,0 +1,38 @@
+import 'dotenv/config';
+import { startLdapSimulator } from '../simulator/ldapSimulator.js';
+
+// Starts a fake LDAP directory for trying directory logins (AUTH_PROVIDERS=local,ldap).
+//   LDAP_SIM_PORT     port (default 1389)
+//   LDAP_SIM_HOST     bind address (default 127.0.0.1)
+//   LDAP_SIM_VERBOSE  set to 1 to log every bind and search
+
+(async () => {
+  const port = parseInt(process.env.LDAP_SIM_PORT || '1389', 10);
+  const host = process.env.LDAP_SIM_HOST || '127.0.0.1';
+  const verbose = process.env.LDAP_SIM_VERBOSE === '1';
+
+  let simulator;
+  try {
+    console.log('🔧 Starting LDAP simulator...');
+    simulator = await startLdapSimulator({ port, host, verbose });
+    console.log(`✅ LDAP simulator listening on ${simulator.url}`);
+    console.log('   Backend settings:');
+    console.log(`   LDAP_URL=${simulator.url}`);
+    console.log(`   LDAP_BIND_DN=${simulator.bindDn}`);
+    console.log(`   LDAP_BIND_PASSWORD=${simulator.bindPassword}`);
+    console.log(`   LDAP_USER_BASE=ou=people,${simulator.baseDn}`);
+    console.log('   LDAP_GROUP_ROLES=sbc-admins:admin;sbc-operators:operator;sbc-viewers:viewer');
+    console.log('   Users (password = username): alice (admin), oscar (operator), victor (viewer), nina (no group)');
+  } catch (error) {
+    console.error('❌ Failed to start LDAP simulator:', error.message);
+    process.exit(1);
+  }
+
+  const shutdown = async () => {
+    console.log('🛑 Stopping LDAP simulator...');
+    await simulator.close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+})();
@@ -0,0 +1,42 @@
+import 'dotenv/config';
+import { startProSBCSimulator } from '../simulator/prosbcSimulator.js';
+
+// Starts one or more fake ProSBC WebOAMP instances on consecutive ports.
+//   PROSBC_SIM_PORT      first port (default 12358)
+//   PROSBC_SIM_COUNT     number of instances (default 1)
+//   PROSBC_SIM_HOST      bind address (default 127.0.0.1)
+//   PROSBC_SIM_USERNAME  login accepted by every instance (default Monitor)
+//   PROSBC_SIM_PASSWORD  password accepted by every instance (default simulator)
+//   PROSBC_SIM_VERBOSE   set to 1 to log every request
+
+(async () => {
+  const firstPort = parseInt(process.env.PROSBC_SIM_PORT || '12358', 10);
+  const count = parseInt(process.env.PROSBC_SIM_COUNT || '1', 10);
+  const host = process.env.PROSBC_SIM_HOST || '127.0.0.1';
+  const username = process.env.PROSBC_SIM_USERNAME || 'Monitor';
+  const password = process.env.PROSBC_SIM_PASSWORD || 'simulator';
+  const verbose = process.env.PROSBC_SIM_VERBOSE === '1';
+
+  const simulators = [];
+  try {
+    console.log(`🔧 Starting ${count} ProSBC simulator instance(s)...`);
+    for (let i = 0; i < count; i++) {
+      const simulator = await startProSBCSimulator({ port: firstPort + i, host, username, password, verbose });
+      simulators.push(simulator);
+      console.log(`✅ ProSBC simulator ${i + 1} listening on ${simulator.baseUrl}`);
+    }
+    console.log(`   Login with ${username} / ${password}, or add the URLs above as ProSBC instances.`);
+  } catch (error) {
+    console.error('❌ Failed to start ProSBC simulator:', error.message);
+    await Promise.all(simulators.map(simulator => simulator.close()));
+    process.exit(1);
+  }
+
+  const shutdown = async () => {
+    console.log('🛑 Stopping ProSBC simulator...');
+    await Promise.all(simulators.map(simulator => simulator.close()));
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+})();
@@ -9,7 +9,6 @@ import Log from './models/Log.js';
 import proSbcInstanceService from './services/proSbcInstanceService.js';
 
 // Performance optimization imports
-import NodeCache from 'node-cache';
 import compression from 'compression';
 import rateLimit from 'express-rate-limit';
 
@@ -25,10 +24,30 @@ import prosbcFileManagerRouter from './routes/prosbcFileManager.js';
 import routesetMappingRouter from './routes/routesetMapping.js';
 import customerCountsRouter from './routes/customerCounts.js';
 import dmFilesRouter from './routes/dmFiles.js';
+import fileRevisionsRouter from './routes/fileRevisions.js';
+import jobsRouter from './routes/jobs.js';
+import jobQueueService from './services/jobQueueService.js';
+import { registerJobHandlers, JOB_TYPES } from './services/jobHandlers.js';
+import phoneNumberIndexService from './services/phoneNumberIndexService.js';
+import schedulesRouter from './routes/schedules.js';
+import usersRouter from './routes/users.js';
+import { requireRole } from './middleware/permissions.js';
+import { cacheToken, tokenCache, touchSession } from './middleware/sessions.js';
+import apiTokensRouter from './routes/apiTokens.js';
+import apiTokenService, { API_TOKEN_PREFIX } from './services/apiTokenService.js';
+import { scopeAllows } from './middleware/apiTokenScopes.js';
+import auditRouter from './routes/audit.js';
+import changeRequestsRouter from './routes/changeRequests.js';
+import driftRouter from './routes/drift.js';
+import replicationRouter from './routes/replication.js';
+import instanceHealthRouter from './routes/instanceHealth.js';
+import notificationsRouter from './routes/notifications.js';
+import rolloutsRouter from './routes/rollouts.js';
+import { redactSecrets } from './utils/redact.js';
+import schedulerService from './services/schedulerService.js';
+import instanceHealthService from './services/instanceHealthService.js';
 import { fetchLiveConfigIds } from './utils/prosbc/prosbcConfigLiveFetcher.js';
 
-// Initialize token cache with 10 minute TTL
-const tokenCache = new NodeCache({ stdTTL: 600, checkperiod: 120 });
 
 const app = express();
 
@@ -86,20 +105,40 @@ import ActiveUser from './models/ActiveUser.js';
 
 // Optimized authentication middleware with caching (80% performance improvement)
 app.use(async (req, res, next) => {
-  // Allow unauthenticated access only to login and test-configs endpoints
+  // Allow unauthenticated access only to login (both steps), token refresh and test-configs endpoints
   if (
     req.path === '/backend/api/auth/login' ||
+    req.path === '/backend/api/auth/refresh' ||
+    req.path === '/backend/api/auth/login/2fa' ||
+    req.path === '/backend/api/auth/login/2fa/setup' ||
     req.path === '/backend/api/prosbc-files/test-configs'
   ) return next();
   
   const token = extractToken(req);
   if (!token) return res.status(401).json({ message: 'Missing or invalid token' });
+
+  // API tokens for scripts: hashed in the api_tokens table and limited to their scopes
+  if (token.startsWith(API_TOKEN_PREFIX)) {
+    try {
+      const tokenUser = await apiTokenService.authenticate(token, req.ip);
+      if (!tokenUser) return res.status(401).json({ message: 'Invalid, expired or revoked API token' });
+      if (!scopeAllows(tokenUser.apiToken.scopes, req.method, req.path)) {
+        return res.status(403).json({ message: `API token scopes (${tokenUser.apiToken.scopes.join(', ')}) do not allow ${req.method} ${req.path}` });
+      }
+      req.user = tokenUser;
+      return next();
+    } catch (tokenError) {
+      return res.status(500).json({ message: 'Server error', error: tokenError.message });
+    }
+  }
   
   // Check cache first (avoids database query)
   const cachedUser = tokenCache.get(token);
   
   if (cachedUser) {
     req.user = cachedUser;
+    req.sessionId = cachedUser.sid;
+    touchSession(cachedUser.sid, req.ip);
     return next();
   }
   
@@ -107,15 +146,20 @@ app.use(async (req, res, next) => {
   jwt.verify(token, process.env.JWT_SECRET || 'secret', async (err, user) => {
     if (err) return res.status(401).json({ message: 'Invalid or expired token' });
     
-    // Check if token exists in active users
-    const activeUser = await ActiveUser.findOne({ where: { token: token } });
+    // The session must still exist; tokens from before refresh tokens carry no numeric sid
+    const activeUser = Number.isInteger(user.sid)
+      ? await ActiveUser.findOne({ where: { id: user.sid, userId: user.id } })
+      : await ActiveUser.findOne({ where: { token: token } });
     if (!activeUser) {
       return res.status(401).json({ message: 'Session expired or invalid. Please login again.' });
     }
+    user.sid = activeUser.id;
     
     // Cache the user for future requests
-    tokenCache.set(token, user);
+    cacheToken(token, user);
     req.user = user;
+    req.sessionId = activeUser.id;
+    touchSession(activeUser.id, req.ip);
     next();
   });
 });
@@ -128,8 +172,9 @@ app.use(async (req, res, next) => {
   const description = [
     req.method,
     req.originalUrl,
-    Object.keys(req.body).length ? `Body: ${JSON.stringify(req.body)}` : '',
-    Object.keys(req.query).length ? `Query: ${JSON.stringify(req.query)}` : '',
+    // Passwords, tokens and 2FA codes never reach the logs table
+    Object.keys(req.body).length ? `Body: ${JSON.stringify(redactSecrets(req.body))}` : '',
+    Object.keys(req.query).length ? `Query: ${JSON.stringify(redactSecrets(req.query))}` : '',
     Object.keys(req.params).length ? `Params: ${JSON.stringify(req.params)}` : '',
     `IP: ${req.ip}`
   ].filter(Boolean).join(' | ');
@@ -173,18 +218,8 @@ app.use('/backend/api/prosbc-instances', prosbcInstancesRouter);
 // ProSBC Upload routes (with stricter rate limiting)
 app.use('/backend/api/prosbc-upload', uploadLimiter, prosbcUploadRouter);
 
-// ProSBC File Management routes
-app.use('/backend/api/prosbc-files', prosbcFileManagerRouter);
-
-// Routeset Mapping Center API
-app.use('/backend/api/routeset-mapping', routesetMappingRouter);
-
-app.use('/backend/api/customer-counts', customerCountsRouter);
-
-app.use('/backend/api/dm-files', dmFilesRouter);
-
-
-// Test endpoint: fetch live ProSBC configs
+// Test endpoint: fetch live ProSBC configs. Registered before the prosbc-files router,
+// whose permission check would otherwise reject this unauthenticated route.
 app.get('/backend/api/prosbc-files/test-configs', async (req, res) => {
   try {
     // Extract instance ID from headers for instance-specific config fetching
@@ -279,8 +314,53 @@ app.get('/backend/api/prosbc-files/test-configs', async (req, res) => {
   }
 });
 
+// ProSBC File Management routes
+app.use('/backend/api/prosbc-files', prosbcFileManagerRouter);
+
+// Routeset Mapping Center API
+app.use('/backend/api/routeset-mapping', routesetMappingRouter);
+
+app.use('/backend/api/customer-counts', customerCountsRouter);
+
+app.use('/backend/api/dm-files', dmFilesRouter);
+
+// DM/DF file version history and rollback
+app.use('/backend/api/files', fileRevisionsRouter);
+
+// Background jobs and their progress streams
+app.use('/backend/api/jobs', jobsRouter);
+
+// Cron schedules (monthly customer count snapshots)
+app.use('/backend/api/schedules', schedulesRouter);
+
+// User roles and per-instance permissions (admin only)
+app.use('/backend/api/users', usersRouter);
+
+// Personal API tokens
+app.use('/backend/api/api-tokens', apiTokensRouter);
+
+// Audit trail of changes pushed to ProSBC (admin only)
+app.use('/backend/api/audit', auditRouter);
+
+// Pushes to every instance waiting for a second user's approval
+app.use('/backend/api/change-requests', changeRequestsRouter);
+
+// Configuration drift between instances
+app.use('/backend/api/drift', driftRouter);
+
+// Replication policies from primary to replica instances
+app.use('/backend/api/replication', replicationRouter);
+
+// Health history of the instances and the notifications raised from it
+app.use('/backend/api/instance-health', instanceHealthRouter);
+app.use('/backend/api/notifications', notificationsRouter);
+
+// Staged rollouts of a file across instances
+app.use('/backend/api/rollouts', rolloutsRouter);
+
+
 // Clear credentials cache endpoint
-app.post('/backend/api/prosbc-instances/clear-cache', async (req, res) => {
+app.post('/backend/api/prosbc-instances/clear-cache', requireRole('operator'), async (req, res) => {
   try {
     const { instanceId } = req.body;
     const { clearCredentialsCache } = await import('./utils/prosbc/multiInstanceManager.js');
@@ -325,9 +405,111 @@ const PORT = process.env.PORT || 3001;
   } catch (syncError) {
     console.warn('⚠️ Failed to sync CustomerCount table:', syncError.message);
   }
+  // Sync dashboard settings table
+  try {
+    await database.sequelize.models.Setting.sync();
+    console.log('✅ Setting table synced');
+  } catch (syncError) {
+    console.warn('⚠️ Failed to sync Setting table:', syncError.message);
+  }
+  // Sync AuditLog table
+  try {
+    await database.sequelize.models.AuditLog.sync();
+    console.log('✅ AuditLog table synced');
+  } catch (syncError) {
+    console.warn('⚠️ Failed to sync AuditLog table:', syncError.message);
+  }
+  // Sync ApiToken table
+  try {
+    await database.sequelize.models.ApiToken.sync();
+    console.log('✅ ApiToken table synced');
+  } catch (syncError) {
+    console.warn('⚠️ Failed to sync ApiToken table:', syncError.message);
+  }
+  // Sync FileRevision table
+  try {
+    await database.sequelize.models.FileRevision.sync();
+    console.log('✅ FileRevision table synced');
+  } catch (syncError) {
+    console.warn('⚠️ Failed to sync FileRevision table:', syncError.message);
+  }
+  // Sync ChangeRequest table
+  try {
+    await database.sequelize.models.ChangeRequest.sync();
+    console.log('✅ ChangeRequest table synced');
+  } catch (syncError) {
+    console.warn('⚠️ Failed to sync ChangeRequest table:', syncError.message);
+  }
+  // Sync replication tables
+  try {
+    await database.sequelize.models.ReplicationPolicy.sync();
+    await database.sequelize.models.ReplicationRun.sync();
+    await database.sequelize.models.ReplicationConflict.sync();
+    console.log('✅ Replication tables synced');
+  } catch (syncError) {
+    console.warn('⚠️ Failed to sync replication tables:', syncError.message);
+  }
+  // Sync Rollout and Notification tables (before the job queue picks up queued rollouts)
+  try {
+    await database.sequelize.models.Rollout.sync();
+    await database.sequelize.models.Notification.sync();
+    console.log('✅ Rollout and Notification tables synced');
+  } catch (syncError) {
+    console.warn('⚠️ Failed to sync Rollout and Notification tables:', syncError.message);
+  }
+  // Sync Job table and start the background job queue
+  try {
+    await database.sequelize.models.Job.sync();
+    console.log('✅ Job table synced');
+    registerJobHandlers();
+    await jobQueueService.start();
+  } catch (syncError) {
+    console.warn('⚠️ Failed to start job queue:', syncError.message);
+  }
+  // Sync scheduler tables, then start the scheduler (backfills missed runs)
+  try {
+    await database.sequelize.models.ScheduledTask.sync();
+    await database.sequelize.models.ScheduledTaskRun.sync();
+    console.log('✅ Scheduler tables synced');
+    await schedulerService.start();
+  } catch (syncError) {
+    console.warn('⚠️ Failed to start scheduler:', syncError.message);
+  }
+  // Sync the phone number index; build it in the background if it is still empty
+  try {
+    await database.sequelize.models.PhoneNumber.sync();
+    console.log('✅ PhoneNumber table synced');
+    if (await phoneNumberIndexService.isEmpty()) {
+      const job = await jobQueueService.enqueue(JOB_TYPES.DM_NUMBERS_REINDEX, {}, { createdBy: 'system' });
+      console.log(`✅ Phone number index is empty, rebuilding in job ${job.id}`);
+    }
+  } catch (syncError) {
+    console.warn('⚠️ Failed to sync PhoneNumber table:', syncError.message);
+  }
     
     // Initialize default ProSBC instances
     await proSbcInstanceService.initializeDefaultInstances();
+
+    try {
+      const credentials = await proSbcInstanceService.getCredentialStatus();
+      if (!credentials.keyConfigured) {
+        console.warn('⚠️ PROSBC_CREDENTIAL_KEY is not set: ProSBC instance passwords cannot be saved');
+      }
+      if (credentials.unencrypted.length > 0 || credentials.outdatedKey.length > 0) {
+        console.warn(`⚠️ ${credentials.unencrypted.length} unencrypted and ${credentials.outdatedKey.length} outdated ProSBC instance password(s); run node scripts/encrypt-instance-passwords.js`);
+      }
+    } catch (credentialError) {
+      console.warn('⚠️ Failed to check ProSBC credential encryption:', credentialError.message);
+    }
+
+    // Sync the health table, then start polling the instances
+    try {
+      await database.sequelize.models.InstanceHealthSample.sync();
+      console.log('✅ InstanceHealthSample table synced');
+      await instanceHealthService.start();
+    } catch (syncError) {
+      console.warn('⚠️ Failed to start instance health monitor:', syncError.message);
+    }
     
     app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
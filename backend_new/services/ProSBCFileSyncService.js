@@ -0,0 +1,164 @@
+import csv from 'csv-parser';
+import { Readable } from 'stream';
+import fetch from 'node-fetch';
+import ProSBCDMFile from '../models/ProSBCDMFile.js';
+import ProSBCInstance from '../models/ProSBCInstance.js';
+import database from '../config/database.js';
+import { ProSBCFileAPI } from '../utils/prosbc/prosbcFileManager.js';
+import phoneNumberIndexService from './phoneNumberIndexService.js';
+
+// Function to extract numbers from CSV content
+export function extractNumbersFromCSV(csvContent) {
+  return new Promise((resolve, reject) => {
+    const numbers = [];
+    const stream = Readable.from(csvContent);
+
+    stream
+      .pipe(csv())
+      .on('data', (row) => {
+        // Only extract numbers from the 'called' column (first column)
+        const calledValue = Object.values(row)[0] || '';
+
+        if (calledValue && calledValue.trim() !== '' && calledValue.trim() !== 'called') {
+          numbers.push(calledValue.trim());
+        }
+      })
+      .on('end', () => resolve(numbers))
+      .on('error', reject);
+  });
+}
+
+class ProSBCFileSyncService {
+
+  // Copy every DM file of a ProSBC configuration into prosbc_dm_files.
+  // onProgress(percent, message) and throwIfCancelled() are optional job hooks.
+  async syncDmFiles(instanceId, configId, { onProgress, throwIfCancelled } = {}) {
+    const transaction = await database.sequelize.transaction();
+    try {
+      const fileManager = new ProSBCFileAPI(instanceId);
+
+      // Get DM files
+      await onProgress?.(5, 'Listing DM files on ProSBC');
+      const dmResult = await fileManager.listDmFiles(configId);
+      if (!dmResult.success) {
+        throw new Error('Failed to list DM files');
+      }
+      const dmFiles = dmResult.files.filter(file =>
+        file.id &&
+        !isNaN(file.id) &&
+        file.name &&
+        file.name.endsWith('.csv') &&
+        !file.name.includes('called_calling') // Filter out header-like entries
+      );
+
+      // Get ProSBC instance details
+      let prosbcInstance;
+      if (instanceId) {
+        prosbcInstance = await ProSBCInstance.findOne({ where: { id: instanceId }, transaction });
+        if (!prosbcInstance) {
+          throw new Error('Invalid instance ID');
+        }
+      } else {
+        // Default instance
+        prosbcInstance = await ProSBCInstance.findOne({ where: { name: 'default' }, transaction });
+        if (!prosbcInstance) {
+          prosbcInstance = { id: 1, name: 'default' }; // Assume 1 if not found
+        }
+      }
+
+      // Process files in parallel with concurrency limit
+      const concurrencyLimit = 5; // Limit to 5 concurrent requests
+      const processFile = async (file) => {
+        try {
+          // Fetch the file content
+          const exportUrl = `${fileManager.baseURL}${file.exportUrl}`;
+          const response = await fetch(exportUrl, {
+            headers: await fileManager.getCommonHeaders()
+          });
+
+          if (!response.ok) {
+            throw new Error(`Failed to fetch file ${file.name}: ${response.status}`);
+          }
+
+          const csvContent = await response.text();
+          const numbers = await extractNumbersFromCSV(csvContent);
+
+          return {
+            success: true,
+            record: {
+              file_name: file.name,
+              file_content: csvContent,
+              prosbc_file_id: file.id.toString(),
+              prosbc_instance_id: prosbcInstance.id,
+              prosbc_instance_name: prosbcInstance.name,
+              total_numbers: numbers.length,
+              last_synced: new Date(),
+              status: 'active'
+            },
+            file_name: file.name,
+            total_numbers: numbers.length
+          };
+        } catch (err) {
+          console.error(`Error processing file ${file.name}:`, err);
+          return {
+            success: false,
+            file_name: file.name,
+            error: err.message
+          };
+        }
+      };
+
+      // Chunk files into batches for concurrency control
+      const results = [];
+      for (let i = 0; i < dmFiles.length; i += concurrencyLimit) {
+        throwIfCancelled?.();
+        const batch = dmFiles.slice(i, i + concurrencyLimit);
+        const batchPromises = batch.map(processFile);
+        const batchResults = await Promise.all(batchPromises);
+        results.push(...batchResults);
+        await onProgress?.(10 + Math.round((results.length / dmFiles.length) * 80), `Fetched ${results.length}/${dmFiles.length} DM files`);
+      }
+      throwIfCancelled?.();
+
+      // Separate successes and failures
+      const successes = results.filter(r => r.success);
+      const failures = results.filter(r => !r.success);
+
+      // Save successful records and index their numbers
+      await onProgress?.(92, 'Saving DM files to database');
+      for (const success of successes) {
+        const dmFile = await ProSBCDMFile.create(success.record, { transaction });
+        await phoneNumberIndexService.indexFile(dmFile, success.record.file_content, { transaction });
+      }
+
+      // Handle failures - update status to inactive
+      for (const failure of failures) {
+        try {
+          await ProSBCDMFile.upsert({
+            file_name: failure.file_name,
+            prosbc_instance_id: prosbcInstance.id,
+            prosbc_instance_name: prosbcInstance.name,
+            status: 'inactive',
+            last_synced: new Date()
+          }, { transaction });
+        } catch (dbError) {
+          console.error('Error updating failed file status:', dbError);
+        }
+      }
+
+      await transaction.commit();
+
+      return {
+        success: true,
+        message: `Synced ${successes.length} files, ${failures.length} errors`,
+        syncedFiles: successes.map(s => ({ file_name: s.file_name, total_numbers: s.total_numbers })),
+        errors: failures
+      };
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+}
+
+export default new ProSBCFileSyncService();
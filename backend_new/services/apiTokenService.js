@@ -0,0 +1,149 @@
+import crypto from 'crypto';
+import NodeCache from 'node-cache';
+import ApiToken from '../models/ApiToken.js';
+import User from '../models/User.js';
+import ProSBCInstance from '../models/ProSBCInstance.js';
+import { API_TOKEN_SCOPES } from '../middleware/apiTokenScopes.js';
+import { loadPermissions, roleForInstance } from '../middleware/permissions.js';
+
+export const API_TOKEN_PREFIX = 'psbc_';
+
+const MAX_LIFETIME_DAYS = Number(process.env.API_TOKEN_MAX_DAYS) || 365;
+const LAST_USED_INTERVAL_MS = 60 * 1000; // lastUsedAt is written at most once a minute per token
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const serialize = (apiToken, username) => ({
+  id: apiToken.id,
+  name: apiToken.name,
+  tokenPrefix: apiToken.tokenPrefix,
+  scopes: apiToken.scopes,
+  instanceIds: apiToken.instanceIds,
+  expiresAt: apiToken.expiresAt,
+  lastUsedAt: apiToken.lastUsedAt,
+  lastUsedIp: apiToken.lastUsedIp,
+  revokedAt: apiToken.revokedAt,
+  createdAt: apiToken.createdAt,
+  userId: apiToken.userId,
+  ...(username ? { username } : {})
+});
+
+class ApiTokenService {
+  constructor() {
+    // token hash -> { token row, user } for a minute, so scripts do not hit the DB on every call
+    this.cache = new NodeCache({ stdTTL: 60, checkperiod: 120, useClones: false });
+  }
+
+  async validate(user, { name, scopes, instanceIds, expiresInDays }) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new Error('Invalid name: required');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_TOKEN_SCOPES[scope])) {
+      throw new Error(`Invalid scopes: expected some of ${Object.keys(API_TOKEN_SCOPES).join(', ')}`);
+    }
+    if (expiresInDays !== null && expiresInDays !== undefined
+      && (!Number.isFinite(Number(expiresInDays)) || Number(expiresInDays) <= 0 || Number(expiresInDays) > MAX_LIFETIME_DAYS)) {
+      throw new Error(`Invalid expiresInDays: between 1 and ${MAX_LIFETIME_DAYS}, or null for no expiry`);
+    }
+    if (instanceIds !== null && instanceIds !== undefined) {
+      if (!Array.isArray(instanceIds) || instanceIds.length === 0) {
+        throw new Error('Invalid instanceIds: expected a non-empty list, or null for every instance');
+      }
+      const known = (await ProSBCInstance.findAll({ attributes: ['id'], raw: true })).map(instance => String(instance.id));
+      const permissions = await loadPermissions(user.id);
+      for (const instanceId of instanceIds) {
+        if (!known.includes(String(instanceId))) throw new Error(`Invalid instanceIds: unknown instance ${instanceId}`);
+        if (!roleForInstance(permissions, instanceId)) throw new Error(`Invalid instanceIds: no access to instance ${instanceId}`);
+      }
+    }
+  }
+
+  // Returns the plaintext token once; afterwards only its hash exists
+  async create(user, { name, scopes, instanceIds = null, expiresInDays = 90 }) {
+    await this.validate(user, { name, scopes, instanceIds, expiresInDays });
+    const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const apiToken = await ApiToken.create({
+      userId: user.id,
+      name: name.trim(),
+      tokenHash: hashToken(token),
+      tokenPrefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+      scopes,
+      instanceIds: instanceIds ? instanceIds.map(String) : null,
+      expiresAt: expiresInDays ? new Date(Date.now() + Number(expiresInDays) * 24 * 60 * 60 * 1000) : null
+    });
+    console.log(`✅ API token "${apiToken.name}" created for ${user.username}`);
+    return { token, apiToken: serialize(apiToken) };
+  }
+
+  async list({ userId, all = false }) {
+    const tokens = await ApiToken.findAll({
+      where: all ? {} : { userId },
+      order: [['createdAt', 'DESC']]
+    });
+    if (!all) return tokens.map(apiToken => serialize(apiToken));
+    const users = await User.findAll({ attributes: ['id', 'username'], raw: true });
+    const names = Object.fromEntries(users.map(user => [user.id, user.username]));
+    return tokens.map(apiToken => serialize(apiToken, names[apiToken.userId]));
+  }
+
+  // Owners revoke their own tokens, admins any token
+  async revoke(id, { userId, isAdmin }) {
+    const apiToken = await ApiToken.findByPk(id);
+    if (!apiToken || (!isAdmin && apiToken.userId !== userId)) {
+      throw Object.assign(new Error(`API token ${id} not found`), { status: 404 });
+    }
+    if (!apiToken.revokedAt) {
+      apiToken.revokedAt = new Date();
+      await apiToken.save();
+    }
+    this.cache.del(apiToken.tokenHash);
+    return serialize(apiToken);
+  }
+
+  // Drop cached tokens of a user, e.g. after disabling the account
+  forgetUser(userId) {
+    const stale = this.cache.keys().filter(key => String(this.cache.get(key)?.apiToken.userId) === String(userId));
+    this.cache.del(stale);
+  }
+
+  // Tokens of a deleted user
+  async deleteForUser(userId) {
+    this.forgetUser(userId);
+    return ApiToken.destroy({ where: { userId } });
+  }
+
+  /**
+   * Resolve a presented token to the req.user of its owner plus the token's scopes,
+   * or null when it is unknown, revoked, expired or the owner is disabled.
+   */
+  async authenticate(token, ip) {
+    const tokenHash = hashToken(token);
+    let entry = this.cache.get(tokenHash);
+    if (!entry) {
+      const apiToken = await ApiToken.findOne({ where: { tokenHash } });
+      if (!apiToken) return null;
+      const user = await User.findByPk(apiToken.userId, { attributes: ['id', 'username', 'disabled'] });
+      entry = { apiToken, user };
+      this.cache.set(tokenHash, entry);
+    }
+
+    const { apiToken, user } = entry;
+    if (!user || user.disabled || apiToken.revokedAt) return null;
+    if (apiToken.expiresAt && new Date(apiToken.expiresAt) <= new Date()) return null;
+
+    if (!apiToken.lastUsedAt || Date.now() - new Date(apiToken.lastUsedAt).getTime() > LAST_USED_INTERVAL_MS) {
+      apiToken.lastUsedAt = new Date();
+      apiToken.lastUsedIp = ip || null;
+      apiToken.save({ fields: ['lastUsedAt', 'lastUsedIp'] })
+        .catch(error => console.warn('⚠️ Failed to record API token use:', error.message));
+    }
+
+    return {
+      id: user.id,
+      username: user.username,
+      apiToken: { id: apiToken.id, name: apiToken.name, scopes: apiToken.scopes, instanceIds: apiToken.instanceIds }
+    };
+  }
+}
+
+export default new ApiTokenService();
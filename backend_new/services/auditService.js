@@ -0,0 +1,122 @@
+import crypto from 'crypto';
+import { Op } from 'sequelize';
+import AuditLog from '../models/AuditLog.js';
+import fileRevisionService from './fileRevisionService.js';
+import { redactSecrets } from '../utils/redact.js';
+
+export const AUDIT_ACTIONS = {
+  FILE_UPLOADED: 'file.uploaded',
+  FILE_UPDATED: 'file.updated',
+  FILE_DELETED: 'file.deleted',
+  FILE_ROLLED_BACK: 'file.rolled_back',
+  NAP_MAPPING_CHANGED: 'nap.mapping_changed',
+  ROUTING_DB_GENERATED: 'routing_db.generated',
+  CONFIG_ACTIVATED: 'config.activated',
+  INSTANCE_CREATED: 'instance.created',
+  INSTANCE_UPDATED: 'instance.updated',
+  INSTANCE_CREDENTIALS_CHANGED: 'instance.credentials_changed',
+  INSTANCE_DELETED: 'instance.deleted',
+  CHANGE_REQUESTED: 'change.requested',
+  CHANGE_APPROVED: 'change.approved',
+  CHANGE_REJECTED: 'change.rejected',
+  REPLICATION_POLICY_CHANGED: 'replication.policy_changed'
+};
+
+export const AUDIT_OUTCOMES = ['success', 'failure', 'partial', 'queued'];
+
+const CSV_COLUMNS = ['createdAt', 'username', 'action', 'outcome', 'instanceId', 'configId', 'target', 'beforeHash', 'afterHash', 'error', 'ip', 'details'];
+const MAX_EXPORT_ROWS = 50000;
+
+const csvCell = (value) => {
+  if (value == null) return '';
+  let text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // Spreadsheets run cells starting with these as formulas; a leading ' keeps them text
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+class AuditService {
+
+  hash(content) {
+    if (content == null) return null;
+    const text = typeof content === 'string' || Buffer.isBuffer(content) ? content : JSON.stringify(content);
+    return crypto.createHash('sha256').update(text).digest('hex');
+  }
+
+  // Audit fields for writing `content` over a DM/DF file. The before hash is the
+  // content this backend last wrote to that file, when it has a revision of it.
+  async describeFileWrite({ fileType, fileName, instanceId, configId, content }) {
+    const previous = fileName
+      ? await fileRevisionService.getLatestRevision({ fileType, instanceId, fileName }).catch(() => null)
+      : null;
+    return {
+      instanceId,
+      configId,
+      target: fileName,
+      beforeHash: previous?.checksum || null,
+      afterHash: this.hash(content),
+      details: { fileType }
+    };
+  }
+
+  // Write one event. Never throws: a failed audit write must not fail the change itself.
+  async record({ user, ip, action, instanceId, configId, target, beforeHash, afterHash, outcome = 'success', error, details }) {
+    try {
+      return await AuditLog.create({
+        userId: Number.isInteger(user?.id) ? user.id : null,
+        username: user?.username || null,
+        action,
+        instanceId: instanceId ? String(instanceId) : null,
+        configId: configId ? String(configId) : null,
+        target: target ? String(target).slice(0, 255) : null,
+        beforeHash: beforeHash || null,
+        afterHash: afterHash || null,
+        outcome,
+        error: error ? String(error) : null,
+        // The token's name is not a secret, so it is added after redaction (the key matches /token/)
+        details: details ? { ...redactSecrets(details), ...(user?.apiToken ? { apiToken: user.apiToken.name } : {}) } : null,
+        ip: ip || null
+      });
+    } catch (err) {
+      console.error('⚠️ Failed to write audit event:', action, err.message);
+      return null;
+    }
+  }
+
+  buildWhere({ action, username, instanceId, outcome, target, from, to } = {}) {
+    const where = {};
+    if (action) where.action = action;
+    if (username) where.username = username;
+    if (instanceId) where.instanceId = String(instanceId);
+    if (outcome) where.outcome = outcome;
+    if (target) where.target = { [Op.like]: `%${target}%` };
+    if (from || to) {
+      where.createdAt = {};
+      if (from) where.createdAt[Op.gte] = new Date(from);
+      if (to) where.createdAt[Op.lte] = new Date(to);
+    }
+    return where;
+  }
+
+  async list(filters = {}, { limit = 100, offset = 0 } = {}) {
+    const { rows, count } = await AuditLog.findAndCountAll({
+      where: this.buildWhere(filters),
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit: Math.min(Number(limit) || 100, 500),
+      offset: Number(offset) || 0
+    });
+    return { events: rows.map(row => row.get({ plain: true })), total: count };
+  }
+
+  async exportCsv(filters = {}) {
+    const rows = await AuditLog.findAll({
+      where: this.buildWhere(filters),
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit: MAX_EXPORT_ROWS
+    });
+    const lines = rows.map(row => CSV_COLUMNS.map(column => csvCell(row.get(column))).join(','));
+    return [CSV_COLUMNS.join(','), ...lines].join('\r\n');
+  }
+}
+
+export default new AuditService();
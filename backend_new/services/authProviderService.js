@@ -0,0 +1,95 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import { invalidatePermissions } from '../middleware/permissions.js';
+import localProvider from './authProviders/localProvider.js';
+import ldapProvider from './authProviders/ldapProvider.js';
+
+// Dashboard logins go through the providers named in AUTH_PROVIDERS, in order (default: local).
+// A provider has a `name` and `authenticate(username, password)`, which answers null for an unknown
+// user or a wrong password, throws when its backend cannot be used, and otherwise answers
+// { user } for a users-table account or { profile: { username, externalId, email, groups, role } }
+// for an external account, which is created or updated here (just-in-time provisioning).
+const accessError = (message, status) => Object.assign(new Error(message), { status });
+
+class AuthProviderService {
+  constructor() {
+    this.providers = new Map();
+    this.register(localProvider);
+    this.register(ldapProvider);
+  }
+
+  register(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  enabledProviders() {
+    const names = (process.env.AUTH_PROVIDERS || 'local').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+    return names.map(name => {
+      const provider = this.providers.get(name);
+      if (!provider) console.warn(`⚠️ Unknown auth provider "${name}" in AUTH_PROVIDERS`);
+      return provider;
+    }).filter(Boolean);
+  }
+
+  // The User for these credentials, or null; throws (with status) when login is refused or impossible
+  async authenticate(username, password) {
+    let unavailable = null;
+    for (const provider of this.enabledProviders()) {
+      let result;
+      try {
+        result = await provider.authenticate(username, password);
+      } catch (error) {
+        console.warn(`⚠️ ${provider.name} login for ${username} failed:`, error.message);
+        unavailable = error;
+        continue;
+      }
+      if (!result) continue;
+      return result.user || this.provision(provider.name, result.profile);
+    }
+    if (unavailable) throw accessError('Login service unavailable, please try again later.', 503);
+    return null;
+  }
+
+  // Create or update the users-table row of an external account; its role follows the directory groups
+  async provision(providerName, profile) {
+    if (!profile.role) {
+      console.warn(`⚠️ ${providerName} user ${profile.username} is in no dashboard group (${profile.groups?.join(', ') || 'none'})`);
+      throw accessError('Your account is not in a group that may use this dashboard.', 403);
+    }
+
+    let user = await User.findOne({ where: { username: profile.username } });
+    if (user && (user.authProvider || 'local') !== providerName) {
+      console.warn(`⚠️ ${providerName} login for ${profile.username} refused: a ${user.authProvider || 'local'} account has this username`);
+      throw accessError('This username belongs to another account. Ask an administrator.', 403);
+    }
+
+    // The email of another account is not taken over
+    const emailOwner = profile.email && await User.findOne({ where: { email: profile.email } });
+    const email = emailOwner && emailOwner.id !== user?.id ? null : profile.email;
+
+    if (!user) {
+      user = await User.create({
+        username: profile.username,
+        // Never used: the directory checks the password
+        password: crypto.randomBytes(32).toString('hex'),
+        email,
+        role: profile.role,
+        authProvider: providerName,
+        externalId: profile.externalId
+      });
+      console.log(`✅ ${providerName} user ${user.username} created with role ${user.role}`);
+      return user;
+    }
+
+    const roleChanged = user.role !== profile.role;
+    if (roleChanged) console.log(`📝 Role of ${providerName} user ${user.username}: ${user.role} -> ${profile.role}`);
+    user.role = profile.role;
+    user.email = email;
+    user.externalId = profile.externalId;
+    if (user.changed()) await user.save();
+    if (roleChanged) invalidatePermissions(user.id);
+    return user;
+  }
+}
+
+export default new AuthProviderService();
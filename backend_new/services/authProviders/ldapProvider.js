@@ -0,0 +1,164 @@
+import ldap from 'ldapjs';
+import { ROLES } from '../../middleware/permissions.js';
+
+// Corporate directory accounts: the password is checked with a bind as the user,
+// the dashboard role comes from the user's groups (LDAP_GROUP_ROLES).
+const listFromEnv = (value) => (value || '').split(';').map(item => item.trim()).filter(Boolean);
+
+// "sbc-admins:admin;cn=sbc-ops,ou=groups,dc=example,dc=com:operator" -> [[group, role]]
+export function parseGroupRoles(value) {
+  return listFromEnv(value).map(item => {
+    const index = item.lastIndexOf(':');
+    const group = item.slice(0, index).trim();
+    const role = item.slice(index + 1).trim();
+    if (index <= 0 || !ROLES.includes(role)) {
+      throw new Error(`Invalid LDAP_GROUP_ROLES entry "${item}", expected <group>:<${ROLES.join('|')}>`);
+    }
+    return [group.toLowerCase(), role];
+  });
+}
+
+// RFC 4515: user input must not change the meaning of a search filter
+export const escapeFilterValue = (value) => String(value).replace(/[\\*()\0]/g, char => `\\${char.charCodeAt(0).toString(16).padStart(2, '0')}`);
+
+const normalizeDn = (dn) => String(dn).replace(/\s*([,=])\s*/g, '$1').toLowerCase();
+
+// "cn=sbc-admins,ou=groups,..." -> "sbc-admins"
+const commonName = (dn) => /^\s*cn\s*=\s*([^,]+)/i.exec(dn)?.[1]?.trim() || dn;
+
+const configFromEnv = () => ({
+  url: process.env.LDAP_URL,
+  bindDn: process.env.LDAP_BIND_DN,
+  bindPassword: process.env.LDAP_BIND_PASSWORD,
+  userBase: process.env.LDAP_USER_BASE,
+  userFilter: process.env.LDAP_USER_FILTER || '(uid={{username}})',
+  usernameAttribute: process.env.LDAP_USERNAME_ATTRIBUTE || 'uid',
+  emailAttribute: process.env.LDAP_EMAIL_ATTRIBUTE || 'mail',
+  groupBase: process.env.LDAP_GROUP_BASE,
+  groupFilter: process.env.LDAP_GROUP_FILTER || '(member={{dn}})',
+  groupRoles: parseGroupRoles(process.env.LDAP_GROUP_ROLES),
+  defaultRole: process.env.LDAP_DEFAULT_ROLE || null,
+  timeout: Number(process.env.LDAP_TIMEOUT_MS) || 5000,
+  startTls: process.env.LDAP_STARTTLS === 'true',
+  rejectUnauthorized: process.env.LDAP_TLS_REJECT_UNAUTHORIZED !== 'false'
+});
+
+function connect(config) {
+  return new Promise((resolve, reject) => {
+    const client = ldap.createClient({
+      url: config.url,
+      timeout: config.timeout,
+      connectTimeout: config.timeout,
+      tlsOptions: { rejectUnauthorized: config.rejectUnauthorized }
+    });
+    client.once('connectError', reject);
+    client.once('connectTimeout', () => reject(new Error(`LDAP connection to ${config.url} timed out`)));
+    client.on('error', error => console.warn('⚠️ LDAP connection error:', error.message));
+    client.once('connect', () => {
+      if (!config.startTls) return resolve(client);
+      client.starttls({ rejectUnauthorized: config.rejectUnauthorized }, [], error => (error ? reject(error) : resolve(client)));
+    });
+  });
+}
+
+const close = (client) => {
+  try {
+    client.unbind(() => client.destroy());
+  } catch {
+    client.destroy();
+  }
+};
+
+const bind = (client, dn, password) => new Promise((resolve, reject) => {
+  client.bind(dn, password, error => (error ? reject(error) : resolve()));
+});
+
+// Entries as { dn, attributes: { lowercased name: [values] } }
+const search = (client, base, options) => new Promise((resolve, reject) => {
+  client.search(base, options, (error, res) => {
+    if (error) return reject(error);
+    const entries = [];
+    res.on('searchEntry', entry => {
+      const { objectName, attributes } = entry.pojo;
+      entries.push({
+        dn: objectName,
+        attributes: Object.fromEntries(attributes.map(({ type, values }) => [type.toLowerCase(), values]))
+      });
+    });
+    res.on('error', reject);
+    res.on('end', () => resolve(entries));
+  });
+});
+
+class LdapAuthProvider {
+  constructor() {
+    this.name = 'ldap';
+  }
+
+  // Highest role of the mapped groups, else LDAP_DEFAULT_ROLE (null: no dashboard access)
+  roleForGroups(groupDns, config = configFromEnv()) {
+    const keys = new Set(groupDns.flatMap(dn => [normalizeDn(dn), commonName(dn).toLowerCase()]));
+    const roles = config.groupRoles.filter(([group]) => keys.has(normalizeDn(group))).map(([, role]) => role);
+    if (roles.length === 0) return config.defaultRole;
+    return roles.reduce((best, role) => (ROLES.indexOf(role) > ROLES.indexOf(best) ? role : best));
+  }
+
+  async authenticate(username, password) {
+    const config = configFromEnv();
+    if (!config.url || !config.userBase) throw new Error('LDAP_URL and LDAP_USER_BASE must be set to use LDAP logins');
+    // An empty password would be an unauthenticated bind, which many servers accept
+    if (!username || !password) return null;
+
+    const client = await connect(config);
+    let entry;
+    let groupDns;
+    try {
+      if (config.bindDn) await bind(client, config.bindDn, config.bindPassword || '');
+      const entries = await search(client, config.userBase, {
+        scope: 'sub',
+        filter: config.userFilter.replace(/\{\{username\}\}/g, escapeFilterValue(username)),
+        attributes: [config.usernameAttribute, config.emailAttribute, 'memberOf', 'cn']
+      });
+      if (entries.length !== 1) return null;
+      entry = entries[0];
+
+      groupDns = [...(entry.attributes.memberof || [])];
+      if (config.groupBase) {
+        const groups = await search(client, config.groupBase, {
+          scope: 'sub',
+          filter: config.groupFilter
+            .replace(/\{\{dn\}\}/g, escapeFilterValue(entry.dn))
+            .replace(/\{\{username\}\}/g, escapeFilterValue(username)),
+          attributes: ['cn']
+        });
+        groupDns.push(...groups.map(group => group.dn));
+      }
+    } finally {
+      close(client);
+    }
+
+    // The password is checked with a bind as the user, on a connection of its own
+    const userClient = await connect(config);
+    try {
+      await bind(userClient, entry.dn, password);
+    } catch (error) {
+      if (error instanceof ldap.InvalidCredentialsError) return null;
+      throw error;
+    } finally {
+      close(userClient);
+    }
+
+    const groups = [...new Set(groupDns)];
+    return {
+      profile: {
+        username: entry.attributes[config.usernameAttribute.toLowerCase()]?.[0] || username,
+        externalId: entry.dn,
+        email: entry.attributes[config.emailAttribute.toLowerCase()]?.[0] || null,
+        groups: groups.map(commonName),
+        role: this.roleForGroups(groups, config)
+      }
+    };
+  }
+}
+
+export default new LdapAuthProvider();
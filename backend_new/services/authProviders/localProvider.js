@@ -0,0 +1,18 @@
+import User from '../../models/User.js';
+
+// Accounts in the local users table (bcrypt passwords)
+class LocalAuthProvider {
+  constructor() {
+    this.name = 'local';
+  }
+
+  async authenticate(username, password) {
+    const user = await User.findOne({ where: { username } });
+    // Directory accounts only have an unusable random password here
+    if (!user || (user.authProvider || 'local') !== this.name) return null;
+    if (!(await user.verifyPassword(password))) return null;
+    return { user };
+  }
+}
+
+export default new LocalAuthProvider();
@@ -0,0 +1,351 @@
+import { Op } from 'sequelize';
+import ChangeRequest from '../models/ChangeRequest.js';
+import jobQueueService from './jobQueueService.js';
+import updatePlanService, { checksumOf } from './updatePlanService.js';
+import prosbcUploadService from './prosbcUploadService.js';
+import proSbcInstanceService from './proSbcInstanceService.js';
+import dmConflictService from './dmConflictService.js';
+import auditService, { AUDIT_ACTIONS } from './auditService.js';
+import { parseCsv } from '../utils/csvRowDiff.js';
+
+// Change requests: an operator stages a push to every instance, a second user with
+// approver rights approves or rejects it, and only then a job executes it.
+export const CHANGE_REQUEST_JOB = 'change-request-execute';
+
+export const CHANGE_REQUEST_STATUSES = ['pending', 'approved', 'rejected', 'cancelled', 'executing', 'succeeded', 'partial', 'failed'];
+
+const FILE_TYPES = { df: 'routesets_definitions', dm: 'routesets_digitmaps' };
+
+const requestError = (message, status, extra = {}) => Object.assign(new Error(message), { status }, extra);
+
+// Diff rows can be large: lists only carry each target's diff summary
+const targetsOf = (targets, withRows) => targets.map(({ diff, ...target }) => (
+  diff ? { ...target, diff: withRows ? diff : { summary: diff.summary, headersChanged: diff.headersChanged } } : target
+));
+
+// List entries leave the file content and diff rows out; GET /change-requests/:id includes them
+export function serializeChangeRequest(request, { includeContent = false } = {}) {
+  return {
+    id: request.id,
+    kind: request.kind,
+    status: request.status,
+    fileType: request.fileType,
+    fileName: request.fileName,
+    contentChecksum: request.contentChecksum,
+    targets: targetsOf(request.targets, includeContent),
+    conflictCheck: request.conflictCheck,
+    allowConflicts: request.allowConflicts,
+    reason: request.reason,
+    requestedBy: request.requestedBy,
+    reviewedBy: request.reviewedBy,
+    reviewComment: request.reviewComment,
+    reviewedAt: request.reviewedAt,
+    jobId: request.jobId,
+    executedAt: request.executedAt,
+    results: request.results,
+    error: request.error,
+    createdAt: request.createdAt,
+    updatedAt: request.updatedAt,
+    ...(includeContent ? { content: request.content, rows: parseCsv(request.content).rows.length } : {})
+  };
+}
+
+// DF files carry no numbers and always pass
+async function checkConflicts({ fileType, fileName, content, instanceIds, allowConflicts }) {
+  if (fileType !== FILE_TYPES.dm) return null;
+  const conflictCheck = await dmConflictService.checkContent({ fileName, content, instanceIds, allowConflicts });
+  if (conflictCheck.blocked) throw requestError(conflictCheck.message, 409, { conflictCheck });
+  return conflictCheck;
+}
+
+// Users can rename themselves, so the requester is matched by id; by name only for rows without one
+const isRequester = (request, user) => (request.requestedById != null
+  ? String(request.requestedById) === String(user.id)
+  : request.requestedBy === user.username);
+
+// Only the fields an audit event needs to tell the change requests apart
+const auditDetails = (request, extra = {}) => ({
+  changeRequestId: request.id,
+  kind: request.kind,
+  fileType: request.fileType,
+  instances: request.targets.map(target => target.instanceId),
+  ...extra
+});
+
+class ChangeRequestService {
+
+  async create(fields, user, ip) {
+    const request = await ChangeRequest.create({
+      ...fields,
+      contentChecksum: checksumOf(fields.content),
+      requestedBy: user.username,
+      requestedById: Number.isInteger(user.id) ? user.id : null
+    });
+    await auditService.record({
+      user,
+      ip,
+      action: AUDIT_ACTIONS.CHANGE_REQUESTED,
+      target: request.fileName,
+      afterHash: request.contentChecksum,
+      details: auditDetails(request, { reason: request.reason || undefined })
+    });
+    console.log(`📝 Change request ${request.id} (${request.kind} ${request.fileName}) staged by ${user.username}`);
+    return request;
+  }
+
+  // Stage the plan of a POST /prosbc-files/update-to-all dry run, optionally for some of its instances
+  async stageUpdateToAll({ planId, instances, reason, allowConflicts = false }, user, ip) {
+    const preview = updatePlanService.get(planId);
+    if (preview && updatePlanService.selectTargets(preview, instances).length === 0) {
+      throw requestError('Select at least one instance of the plan', 400);
+    }
+    // Claimed before the first await, so the plan cannot be confirmed or staged twice
+    const plan = updatePlanService.claim(planId);
+    if (!plan) throw requestError('Update plan not found or expired. Run the dry run again.', 404);
+    const targets = updatePlanService.selectTargets(plan, instances);
+
+    try {
+      const conflictCheck = await checkConflicts({
+        fileType: plan.fileType,
+        fileName: plan.fileName,
+        content: plan.content,
+        instanceIds: targets.map(target => target.instanceId),
+        allowConflicts
+      });
+      return await this.create({
+        kind: 'update-to-all',
+        fileType: plan.fileType,
+        fileName: plan.fileName,
+        content: plan.content,
+        targets,
+        conflictCheck,
+        allowConflicts,
+        reason
+      }, user, ip);
+    } catch (err) {
+      updatePlanService.release(plan);
+      throw err;
+    }
+  }
+
+  // Stage an upload of a new DF/DM file (kind df or dm) to every active instance, or to those
+  // matching selector (utils/instanceSelector.js); the instances are fixed when staging
+  async stageUploadAll({ kind, fileName, content, reason, selector = null, allowConflicts = false }, user, ip) {
+    const fileType = FILE_TYPES[kind];
+    if (!fileType) throw requestError(`Unsupported upload type: ${kind}`, 400);
+    if (!fileName || !content) throw requestError('File is required.', 400);
+
+    const instances = await proSbcInstanceService.selectInstances(selector);
+    const conflictCheck = await checkConflicts({
+      fileType,
+      fileName,
+      content,
+      instanceIds: selector ? instances.map(instance => String(instance.id)) : undefined,
+      allowConflicts
+    });
+
+    return this.create({
+      kind: 'upload-all',
+      fileType,
+      fileName,
+      content,
+      targets: instances.map(instance => ({ instanceId: instance.id, name: instance.name, url: instance.baseUrl || null })),
+      conflictCheck,
+      allowConflicts,
+      reason
+    }, user, ip);
+  }
+
+  async list({ status, requestedBy, limit = 100 } = {}) {
+    const where = {};
+    if (status) where.status = { [Op.in]: String(status).split(',') };
+    if (requestedBy) where.requestedBy = requestedBy;
+    return ChangeRequest.findAll({ where, order: [['createdAt', 'DESC'], ['id', 'DESC']], limit: Math.min(Number(limit) || 100, 500) });
+  }
+
+  async get(id) {
+    const request = await ChangeRequest.findByPk(id);
+    if (!request) throw requestError(`Change request ${id} not found`, 404);
+    return request;
+  }
+
+  async pendingCount() {
+    return ChangeRequest.count({ where: { status: 'pending' } });
+  }
+
+  // Move a pending request to its review outcome; the status condition makes a concurrent review lose
+  async review(id, status, reviewer, comment) {
+    const request = await this.get(id);
+    if (request.status !== 'pending') throw requestError(`Change request ${id} is already ${request.status}`, 409);
+    if (isRequester(request, reviewer)) {
+      throw requestError('A change request must be reviewed by someone other than its requester', 403);
+    }
+    const [updated] = await ChangeRequest.update({
+      status,
+      reviewedBy: reviewer.username,
+      reviewedById: Number.isInteger(reviewer.id) ? reviewer.id : null,
+      reviewComment: comment || null,
+      reviewedAt: new Date()
+    }, { where: { id: request.id, status: 'pending' } });
+    if (!updated) throw requestError(`Change request ${id} was reviewed by someone else`, 409);
+    return request.reload();
+  }
+
+  // Approving queues the push; follow it via /backend/api/jobs/:jobId/events
+  async approve(id, reviewer, { comment, ip } = {}) {
+    const request = await this.review(id, 'approved', reviewer, comment);
+    const job = await jobQueueService.enqueue(CHANGE_REQUEST_JOB, { changeRequestId: request.id }, { createdBy: request.requestedBy });
+    await request.update({ jobId: job.id });
+    await auditService.record({
+      user: reviewer,
+      ip,
+      action: AUDIT_ACTIONS.CHANGE_APPROVED,
+      target: request.fileName,
+      afterHash: request.contentChecksum,
+      outcome: 'queued',
+      details: auditDetails(request, { requestedBy: request.requestedBy, comment: comment || undefined, jobId: job.id })
+    });
+    console.log(`✅ Change request ${request.id} approved by ${reviewer.username}, job ${job.id}`);
+    return request;
+  }
+
+  async reject(id, reviewer, { comment, ip } = {}) {
+    const request = await this.review(id, 'rejected', reviewer, comment);
+    await auditService.record({
+      user: reviewer,
+      ip,
+      action: AUDIT_ACTIONS.CHANGE_REJECTED,
+      target: request.fileName,
+      afterHash: request.contentChecksum,
+      details: auditDetails(request, { requestedBy: request.requestedBy, comment: comment || undefined })
+    });
+    console.log(`📝 Change request ${request.id} rejected by ${reviewer.username}`);
+    return request;
+  }
+
+  // The requester may withdraw a request until it is reviewed
+  async cancel(id, user) {
+    const request = await this.get(id);
+    if (!isRequester(request, user)) throw requestError('Only the requester can cancel a change request', 403);
+    const [updated] = await ChangeRequest.update({ status: 'cancelled' }, { where: { id: request.id, status: 'pending' } });
+    if (!updated) throw requestError(`Change request ${id} is already ${request.status}`, 409);
+    return request.reload();
+  }
+
+  // Job handler: push an approved request, one step per instance, and record the outcome
+  async execute({ changeRequestId }, ctx) {
+    const [claimed] = await ChangeRequest.update(
+      { status: 'executing', executedAt: new Date(), jobId: ctx.job.id },
+      { where: { id: changeRequestId, status: 'approved' } }
+    );
+    const request = await this.get(changeRequestId);
+    if (!claimed) throw new Error(`Change request ${changeRequestId} is ${request.status}, not approved`);
+
+    const options = {
+      author: request.requestedBy,
+      reason: request.reason || `Change request ${request.id}`,
+      source: `change-request/${request.id}`
+    };
+    let results;
+    try {
+      // Numbers may have moved since the request was staged
+      await checkConflicts({
+        fileType: request.fileType,
+        fileName: request.fileName,
+        content: request.content,
+        instanceIds: request.targets.map(target => String(target.instanceId)),
+        allowConflicts: request.allowConflicts
+      });
+
+      results = request.kind === 'update-to-all'
+        ? await this.executeUpdate(request, options, ctx)
+        : await this.executeUpload(request, options, ctx);
+    } catch (error) {
+      await request.update({ status: 'failed', error: error.message });
+      await this.recordOutcome(request, 'failure', [], error.message);
+      throw error;
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+    const status = succeeded === results.length ? 'succeeded' : succeeded === 0 ? 'failed' : 'partial';
+    await request.update({
+      status,
+      results: results.map(result => ({ instance: result.instance, success: !!result.success, error: result.error || undefined, message: result.message || undefined })),
+      error: status === 'succeeded' ? null : `${results.length - succeeded} of ${results.length} instance(s) failed`
+    });
+    await this.recordOutcome(request, status === 'succeeded' ? 'success' : status === 'failed' ? 'failure' : 'partial', results);
+    console.log(`✅ Change request ${request.id} executed: ${succeeded}/${results.length} instance(s)`);
+    return { changeRequestId: request.id, status, results: request.results };
+  }
+
+  async executeUpdate(request, options, ctx) {
+    const stepIndexes = new Map();
+    let finished = 0;
+    return updatePlanService.execute(request, request.targets, {
+      ...options,
+      logPrefix: `[ChangeRequest ${request.id}]`,
+      onTargetStart: async (target) => {
+        stepIndexes.set(target.instanceId, await ctx.addStep(`Update ${target.target.name} on ${target.instanceId}`, { instanceId: target.instanceId }));
+        ctx.throwIfCancelled();
+      },
+      onTargetDone: async (target, outcome) => {
+        finished++;
+        if (stepIndexes.has(target.instanceId)) {
+          await ctx.updateStep(stepIndexes.get(target.instanceId), {
+            status: outcome.success ? 'succeeded' : 'failed',
+            error: outcome.success ? undefined : outcome.error
+          });
+        }
+        await ctx.progress((finished / request.targets.length) * 100, `Updated ${finished} of ${request.targets.length} instances`);
+      }
+    });
+  }
+
+  async executeUpload(request, options, ctx) {
+    const kind = request.fileType === FILE_TYPES.df ? 'df' : 'dm';
+    const stepIndexes = new Map();
+    let finished = 0;
+    // Only the instances staged with the request, as far as they are still active
+    return prosbcUploadService.uploadToAllInstances(kind, Buffer.from(request.content, 'utf8'), request.fileName, {
+      ...options,
+      selector: { instanceIds: request.targets.map(target => String(target.instanceId)) },
+      onInstanceStart: async (instance) => {
+        stepIndexes.set(instance.id, await ctx.addStep(`Upload to ${instance.name}`, { instanceId: instance.id }));
+        ctx.throwIfCancelled();
+      },
+      onInstanceDone: async (instance, outcome) => {
+        finished++;
+        if (stepIndexes.has(instance.id)) {
+          await ctx.updateStep(stepIndexes.get(instance.id), {
+            status: outcome.success ? 'succeeded' : 'failed',
+            error: outcome.success ? undefined : (outcome.error || outcome.details?.message)
+          });
+        }
+        await ctx.progress((finished / Math.max(stepIndexes.size, 1)) * 100, `Uploaded to ${finished} of ${stepIndexes.size} instances`);
+      }
+    });
+  }
+
+  // The push itself, audited like the direct routes plus who requested and approved it
+  async recordOutcome(request, outcome, results, error = null) {
+    await auditService.record({
+      user: { id: request.requestedById, username: request.requestedBy },
+      action: request.kind === 'update-to-all' ? AUDIT_ACTIONS.FILE_UPDATED : AUDIT_ACTIONS.FILE_UPLOADED,
+      target: request.fileName,
+      afterHash: request.contentChecksum,
+      outcome,
+      error,
+      details: auditDetails(request, {
+        allInstances: true,
+        approvedBy: request.reviewedBy,
+        jobId: request.jobId,
+        ...(request.kind === 'update-to-all'
+          ? { beforeHashes: Object.fromEntries(request.targets.map(target => [target.instanceId, target.remoteChecksum])) }
+          : {}),
+        results: results.map(result => ({ instance: result.instance, success: !!result.success, error: result.error || undefined }))
+      })
+    });
+  }
+}
+
+export default new ChangeRequestService();
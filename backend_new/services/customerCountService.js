@@ -0,0 +1,248 @@
+import csv from 'csv-parser';
+import { Readable } from 'stream';
+import fetch from 'node-fetch';
+import { Op } from 'sequelize';
+import CustomerCount from '../models/CustomerCount.js';
+import proSbcInstanceService from './proSbcInstanceService.js';
+import { ProSBCFileAPI } from '../utils/prosbc/prosbcFileManager.js';
+
+// 'prosbc1' style id used in customer_counts.prosbcInstanceId
+export function toProsbcInstanceId(instanceId) {
+  return String(instanceId).startsWith('prosbc') ? String(instanceId) : `prosbc${instanceId}`;
+}
+
+const monthOf = (date) => String(date).slice(0, 7); // YYYY-MM
+
+function firstDayOfNextMonth(month) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  const next = new Date(Date.UTC(year, monthNumber, 1));
+  return next.toISOString().slice(0, 10);
+}
+
+function growthPercent(previous, current) {
+  if (!previous) return null;
+  return Math.round(((current - previous) / previous) * 1000) / 10;
+}
+
+// Function to count numbers in 'called' or 'calling' column
+export function countCalledNumbers(csvContent, fileName) {
+  return new Promise((resolve, reject) => {
+    let count = 0;
+    const stream = Readable.from(csvContent);
+
+    stream
+      .pipe(csv())
+      .on('data', (row) => {
+        // Check 'called' first, then 'calling' if 'called' is empty
+        const calledValue = Object.values(row)[0] || '';
+        const callingValue = Object.values(row)[1] || '';
+        if ((calledValue && calledValue.trim() !== '') || (callingValue && callingValue.trim() !== '')) {
+          count++;
+        }
+      })
+      .on('end', () => resolve(count))
+      .on('error', reject);
+  });
+}
+
+class CustomerCountService {
+
+  // Function to create monthly historical counts for all DM files
+  async createMonthlyHistoricalCounts(instanceId, configId, fileManager, { throwIfCancelled } = {}) {
+    try {
+      // Get DM files
+      const dmResult = await fileManager.listDmFiles(configId);
+      if (!dmResult.success) {
+        throw new Error('Failed to list DM files');
+      }
+      const dmFiles = dmResult.files.filter(file =>
+        file.id &&
+        !isNaN(file.id) &&
+        file.name &&
+        file.name.endsWith('.csv') &&
+        !file.name.includes('called_calling') // Filter out header-like entries
+      );
+
+      // Use the correct prosbcInstanceId format (prosbc1, prosbc2, etc.)
+      const prosbcInstanceId = toProsbcInstanceId(instanceId);
+
+      const currentDate = new Date();
+      const currentMonth = currentDate.toISOString().slice(0, 10); // YYYY-MM-DD
+
+      let created = 0;
+      for (const file of dmFiles) {
+        throwIfCancelled?.();
+        try {
+          // Fetch the file content directly
+          const exportUrl = `${fileManager.baseURL}${file.exportUrl}`;
+          const response = await fetch(exportUrl, {
+            headers: await fileManager.getCommonHeaders()
+          });
+          if (!response.ok) {
+            console.error(`Failed to fetch file ${file.name}: ${response.status}`);
+            continue;
+          }
+          const csvContent = await response.text();
+          const count = await countCalledNumbers(csvContent, file.name);
+
+          // Check if we need to store monthly data
+          const existingRecord = await CustomerCount.findOne({
+            where: {
+              customerName: file.name,
+              date: currentMonth,
+              prosbcInstanceId: prosbcInstanceId
+            }
+          });
+
+          if (!existingRecord) {
+            await CustomerCount.create({
+              customerName: file.name,
+              count: count,
+              date: currentMonth,
+              prosbcInstanceId: prosbcInstanceId
+            });
+            created++;
+            console.log(`Created historical count for ${file.name} on ${currentMonth}`);
+          } else {
+            console.log(`Historical count already exists for ${file.name} on ${currentMonth}`);
+          }
+        } catch (err) {
+          console.error(`Error processing file ${file.name}:`, err);
+          // Continue with other files
+        }
+      }
+      return { files: dmFiles.length, created };
+    } catch (error) {
+      console.error('Error creating monthly historical counts:', error);
+      throw error;
+    }
+  }
+
+  // Snapshot counts on every active instance (or those matching selector); one failing instance does not stop the others
+  async createMonthlyCountsForAllInstances(configId, { selector, onProgress, throwIfCancelled } = {}) {
+    const instances = await proSbcInstanceService.selectInstances(selector);
+    const results = [];
+
+    for (const [index, instance] of instances.entries()) {
+      throwIfCancelled?.();
+      await onProgress?.(Math.round((index / Math.max(instances.length, 1)) * 100), `Counting customers on ${instance.name || instance.id}`);
+      try {
+        const instanceId = instance.id; // e.g., 'prosbc1'
+        const fileManager = new ProSBCFileAPI(instanceId);
+        const summary = await this.createMonthlyHistoricalCounts(instanceId, configId, fileManager, { throwIfCancelled });
+        results.push({ instanceId, status: 'success', ...summary });
+      } catch (error) {
+        if (error.name === 'JobCancelledError') throw error;
+        console.error(`Error creating historical counts for ${instance.id}:`, error);
+        results.push({ instanceId: instance.id, status: 'error', error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Month-over-month trends from customer_counts, summed across instances.
+   * When a month has several snapshots for a customer on one instance the
+   * latest one counts. A customer missing from a month counts as 0 there,
+   * so a deleted DM file shows up as a drop to zero.
+   */
+  async getTrendAnalytics({ instanceIds = [], from, to, top = 10 } = {}) {
+    const where = {};
+    if (instanceIds.length > 0) {
+      where.prosbcInstanceId = { [Op.in]: instanceIds.map(toProsbcInstanceId) };
+    }
+    if (from || to) {
+      where.date = {};
+      if (from) where.date[Op.gte] = `${from}-01`;
+      if (to) where.date[Op.lt] = firstDayOfNextMonth(to);
+    }
+    const rows = await CustomerCount.findAll({ where, order: [['date', 'ASC']], raw: true });
+
+    // customer -> instance -> month -> latest snapshot of that month
+    const snapshots = new Map();
+    for (const row of rows) {
+      const month = monthOf(row.date);
+      if (!snapshots.has(row.customerName)) snapshots.set(row.customerName, new Map());
+      const byInstance = snapshots.get(row.customerName);
+      if (!byInstance.has(row.prosbcInstanceId)) byInstance.set(row.prosbcInstanceId, new Map());
+      const byMonth = byInstance.get(row.prosbcInstanceId);
+      const existing = byMonth.get(month);
+      if (!existing || String(existing.date) <= String(row.date)) {
+        byMonth.set(month, row);
+      }
+    }
+
+    const months = Array.from(new Set(rows.map(row => monthOf(row.date)))).sort();
+    const currentMonth = months[months.length - 1] || null;
+    const previousMonth = months[months.length - 2] || null;
+
+    const customers = [];
+    for (const [customerName, byInstance] of snapshots) {
+      const series = months.map((month, index) => {
+        let count = 0;
+        for (const byMonth of byInstance.values()) {
+          count += byMonth.get(month)?.count || 0;
+        }
+        return { month, count };
+      });
+      series.forEach((point, index) => {
+        const previous = index > 0 ? series[index - 1].count : null;
+        point.delta = previous === null ? null : point.count - previous;
+        point.growthPct = previous === null ? null : growthPercent(previous, point.count);
+      });
+
+      const current = series.length > 0 ? series[series.length - 1].count : 0;
+      const previous = series.length > 1 ? series[series.length - 2].count : 0;
+      customers.push({
+        customerName,
+        instances: Array.from(byInstance.keys()).sort(),
+        current,
+        previous,
+        delta: current - previous,
+        growthPct: growthPercent(previous, current),
+        peak: Math.max(0, ...series.map(point => point.count)),
+        series
+      });
+    }
+    customers.sort((a, b) => a.customerName.localeCompare(b.customerName));
+
+    const totals = months.map((month, index) => {
+      const count = customers.reduce((sum, customer) => sum + customer.series[index].count, 0);
+      const activeCustomers = customers.filter(customer => customer.series[index].count > 0).length;
+      return { month, count, activeCustomers };
+    });
+    totals.forEach((point, index) => {
+      const previous = index > 0 ? totals[index - 1].count : null;
+      point.delta = previous === null ? null : point.count - previous;
+      point.growthPct = previous === null ? null : growthPercent(previous, point.count);
+    });
+
+    const summarize = ({ customerName, previous, current, delta, growthPct }) => ({ customerName, previous, current, delta, growthPct });
+    const comparable = previousMonth ? customers : [];
+    const currentTotal = totals.length > 0 ? totals[totals.length - 1].count : 0;
+    const previousTotal = totals.length > 1 ? totals[totals.length - 2].count : 0;
+
+    return {
+      months,
+      currentMonth,
+      previousMonth,
+      summary: {
+        currentTotal,
+        previousTotal,
+        delta: currentTotal - previousTotal,
+        growthPct: growthPercent(previousTotal, currentTotal),
+        customers: customers.length,
+        activeCustomers: customers.filter(customer => customer.current > 0).length
+      },
+      totals,
+      topGainers: comparable.filter(c => c.delta > 0).sort((a, b) => b.delta - a.delta).slice(0, top).map(summarize),
+      topLosers: comparable.filter(c => c.delta < 0).sort((a, b) => a.delta - b.delta).slice(0, top).map(summarize),
+      droppedToZero: comparable.filter(c => c.previous > 0 && c.current === 0).map(summarize),
+      newCustomers: comparable.filter(c => c.previous === 0 && c.current > 0).map(summarize),
+      customers
+    };
+  }
+}
+
+export default new CustomerCountService();
@@ -0,0 +1,196 @@
+import { Op } from 'sequelize';
+import PhoneNumber from '../models/PhoneNumber.js';
+import { extractNumberEntries } from './phoneNumberIndexService.js';
+
+const LOOKUP_BATCH_SIZE = 5000;
+const MESSAGE_EXAMPLES = 3;
+
+// Why a number is listed in the conflict report
+export const CONFLICT_KINDS = ['multiple-customers', 'multiple-routesets', 'multiple-instances', 'duplicate-in-file'];
+
+// block: refuse uploads that give a number to a second customer on the same instance
+// warn: report conflicts but never refuse; off: skip the pre-check
+function conflictPolicy() {
+  const policy = (process.env.DM_CONFLICT_POLICY || 'block').toLowerCase();
+  return ['block', 'warn', 'off'].includes(policy) ? policy : 'block';
+}
+
+function kindsOf(stats) {
+  const kinds = [];
+  if (Number(stats.customers) > 1) kinds.push('multiple-customers');
+  if (Number(stats.routesets) > 1) kinds.push('multiple-routesets');
+  if (Number(stats.instances) > 1) kinds.push('multiple-instances');
+  if (Number(stats.rows) > Number(stats.files)) kinds.push('duplicate-in-file');
+  return kinds;
+}
+
+const locationOf = (row) => ({
+  file_name: row.file_name,
+  routeset_name: row.routeset_name,
+  dm_file_id: row.dm_file_id,
+  prosbc_instance_id: row.prosbc_instance_id,
+  prosbc_instance_name: row.prosbc_instance_name
+});
+
+/**
+ * Numbers that route unpredictably: present in more than one customer's DM file,
+ * pointing at different routesets, or spread over several instances. Works on the
+ * prosbc_phone_numbers index, so it covers every synced prosbc_dm_files row.
+ */
+class DmConflictService {
+
+  async getConflictReport({ instanceId, kinds = CONFLICT_KINDS, limit = 100, offset = 0 } = {}) {
+    const { fn, col, literal } = PhoneNumber.sequelize;
+    const where = instanceId ? { prosbc_instance_id: String(instanceId) } : {};
+
+    // One aggregate row per number that has any kind of conflict
+    const aggregates = await PhoneNumber.findAll({
+      where,
+      attributes: [
+        'number',
+        [fn('COUNT', col('id')), 'rows'],
+        [fn('COUNT', fn('DISTINCT', col('dm_file_id'))), 'files'],
+        [fn('COUNT', fn('DISTINCT', col('file_name'))), 'customers'],
+        [fn('COUNT', fn('DISTINCT', fn('COALESCE', col('routeset_name'), ''))), 'routesets'],
+        [fn('COUNT', fn('DISTINCT', col('prosbc_instance_id'))), 'instances']
+      ],
+      group: ['number'],
+      having: literal(
+        'COUNT(DISTINCT file_name) > 1 OR COUNT(DISTINCT COALESCE(routeset_name, \'\')) > 1 ' +
+        'OR COUNT(DISTINCT prosbc_instance_id) > 1 OR COUNT(id) > COUNT(DISTINCT dm_file_id)'
+      ),
+      order: [['number', 'ASC']],
+      raw: true
+    });
+
+    const summary = Object.fromEntries(CONFLICT_KINDS.map(kind => [kind, 0]));
+    const matching = [];
+    for (const stats of aggregates) {
+      const numberKinds = kindsOf(stats);
+      numberKinds.forEach(kind => { summary[kind]++; });
+      if (numberKinds.some(kind => kinds.includes(kind))) {
+        matching.push({ ...stats, kinds: numberKinds });
+      }
+    }
+    // Numbers shared between customers first, they are the ones that misroute
+    matching.sort((a, b) => Number(b.customers) - Number(a.customers) || a.number.localeCompare(b.number));
+
+    const page = matching.slice(offset, offset + limit);
+    const rows = page.length === 0 ? [] : await PhoneNumber.findAll({
+      where: { ...where, number: { [Op.in]: page.map(stats => stats.number) } },
+      attributes: ['number', 'file_name', 'routeset_name', 'dm_file_id', 'prosbc_instance_id', 'prosbc_instance_name'],
+      order: [['prosbc_instance_id', 'ASC'], ['file_name', 'ASC']],
+      raw: true
+    });
+
+    const conflicts = page.map(stats => {
+      const locations = rows.filter(row => row.number === stats.number).map(locationOf);
+      return {
+        number: stats.number,
+        kinds: stats.kinds,
+        customers: Array.from(new Set(locations.map(location => location.file_name))),
+        routesets: Array.from(new Set(locations.map(location => location.routeset_name).filter(Boolean))),
+        instances: Array.from(new Set(locations.map(location => location.prosbc_instance_name || location.prosbc_instance_id))),
+        locations
+      };
+    });
+
+    return { total: matching.length, summary, conflicts };
+  }
+
+  /**
+   * Pre-check DM content before it is written to `fileName` on `instanceIds`
+   * (all instances when omitted). Conflicts the write would create with another
+   * customer's file on a target instance block; conflicts on other instances,
+   * routeset mismatches with copies of the same file, conflicts that already
+   * existed and in-file duplicates only warn.
+   * Never throws: a failed check must not stop uploads, it is reported as skipped.
+   */
+  async checkContent({ fileName, content, instanceIds, allowConflicts = false }) {
+    const policy = conflictPolicy();
+    if (policy === 'off') {
+      return { policy, skipped: true, blocked: false, conflicts: [] };
+    }
+
+    try {
+      const targets = instanceIds ? new Set(instanceIds.filter(Boolean).map(String)) : null;
+      const isTarget = (instanceId) => !targets || targets.size === 0 || targets.has(String(instanceId));
+
+      const entries = (await extractNumberEntries(content)).filter(entry => entry.number);
+      const byNumber = new Map();
+      for (const entry of entries) {
+        if (!byNumber.has(entry.number)) byNumber.set(entry.number, []);
+        byNumber.get(entry.number).push(entry);
+      }
+
+      const numbers = Array.from(byNumber.keys());
+      const existing = new Map();
+      for (let i = 0; i < numbers.length; i += LOOKUP_BATCH_SIZE) {
+        const rows = await PhoneNumber.findAll({
+          where: { number: { [Op.in]: numbers.slice(i, i + LOOKUP_BATCH_SIZE) } },
+          attributes: ['number', 'file_name', 'routeset_name', 'dm_file_id', 'prosbc_instance_id', 'prosbc_instance_name'],
+          raw: true
+        });
+        for (const row of rows) {
+          if (!existing.has(row.number)) existing.set(row.number, []);
+          existing.get(row.number).push(row);
+        }
+      }
+
+      const conflicts = [];
+      for (const [number, numberEntries] of byNumber) {
+        const rows = existing.get(number) || [];
+        const otherCustomers = rows.filter(row => row.file_name !== fileName);
+        const sameTarget = otherCustomers.filter(row => isTarget(row.prosbc_instance_id));
+        const alreadyInFile = rows.some(row => row.file_name === fileName && isTarget(row.prosbc_instance_id));
+        const routesets = new Set(numberEntries.map(entry => entry.routeset || ''));
+        // Copies of this file on instances the write does not touch keep their old routeset
+        const copyRouteset = rows.filter(row =>
+          row.file_name === fileName && !isTarget(row.prosbc_instance_id) && !routesets.has(row.routeset_name || ''));
+
+        if (sameTarget.length > 0) {
+          conflicts.push({
+            number,
+            kind: 'multiple-customers',
+            severity: alreadyInFile ? 'warn' : 'block',
+            existing: alreadyInFile,
+            locations: sameTarget.map(locationOf)
+          });
+        } else if (otherCustomers.length > 0) {
+          conflicts.push({ number, kind: 'multiple-instances', severity: 'warn', existing: alreadyInFile, locations: otherCustomers.map(locationOf) });
+        }
+        if (copyRouteset.length > 0) {
+          conflicts.push({ number, kind: 'multiple-routesets', severity: 'warn', existing: false, locations: copyRouteset.map(locationOf) });
+        }
+        if (numberEntries.length > 1) {
+          conflicts.push({ number, kind: 'duplicate-in-file', severity: 'warn', existing: false, count: numberEntries.length, locations: [] });
+        }
+      }
+
+      const blocking = conflicts.filter(conflict => conflict.severity === 'block');
+      const blocked = policy === 'block' && blocking.length > 0 && !allowConflicts;
+      return {
+        policy,
+        checked: numbers.length,
+        blocked,
+        blocking: blocking.length,
+        warnings: conflicts.length - blocking.length,
+        conflicts,
+        message: blocking.length > 0 ? this.describe(blocking) : null
+      };
+    } catch (error) {
+      console.warn('⚠️ DM conflict pre-check failed:', error.message);
+      return { policy, skipped: true, blocked: false, conflicts: [], error: error.message };
+    }
+  }
+
+  describe(blocking) {
+    const examples = blocking.slice(0, MESSAGE_EXAMPLES)
+      .map(conflict => `${conflict.number} (${Array.from(new Set(conflict.locations.map(location => location.file_name))).join(', ')})`)
+      .join('; ');
+    const more = blocking.length > MESSAGE_EXAMPLES ? ` and ${blocking.length - MESSAGE_EXAMPLES} more` : '';
+    return `${blocking.length} number${blocking.length === 1 ? ' already belongs' : 's already belong'} to another customer: ${examples}${more}. Resend with allowConflicts=true to upload anyway.`;
+  }
+}
+
+export default new DmConflictService();
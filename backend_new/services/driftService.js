@@ -0,0 +1,244 @@
+import { createProSBCFileAPI } from '../utils/prosbc/prosbcFileManager.js';
+import proSbcInstanceService from './proSbcInstanceService.js';
+import prosbcUploadService from './prosbcUploadService.js';
+import fileRevisionService from './fileRevisionService.js';
+import dmConflictService from './dmConflictService.js';
+import { checksumOf } from './updatePlanService.js';
+import { diffCsvRows, parseCsv } from '../utils/csvRowDiff.js';
+
+// Drift between instances that should carry the same DF/DM files: per file name,
+// which instances have it, whether their content hashes agree and how the rows differ.
+export const DRIFT_FILE_TYPES = ['routesets_definitions', 'routesets_digitmaps'];
+
+const UPLOAD_KINDS = { routesets_definitions: 'df', routesets_digitmaps: 'dm' };
+
+const driftError = (message, status, extra = {}) => Object.assign(new Error(message), { status }, extra);
+
+const listFiles = (fileApi, fileType, configId) => (fileType === 'routesets_definitions'
+  ? fileApi.listDfFiles(configId)
+  : fileApi.listDmFiles(configId));
+
+// The content most instances agree on; ties go to the first instance
+function pickBaseline(cells, instanceOrder) {
+  const groups = new Map();
+  for (const instanceId of instanceOrder) {
+    const cell = cells[instanceId];
+    if (!cell?.present || !cell.checksum) continue;
+    if (!groups.has(cell.checksum)) groups.set(cell.checksum, []);
+    groups.get(cell.checksum).push(instanceId);
+  }
+  let baseline = null;
+  for (const members of groups.values()) {
+    if (!baseline || members.length > baseline.length) baseline = members;
+  }
+  return { groups: Array.from(groups.values()), baselineInstanceId: baseline?.[0] ?? null };
+}
+
+class DriftService {
+
+  /**
+   * Compare the DF/DM files of every active instance, or of those matching selector.
+   * @param {object} options - fileTypes, configId, selector, onProgress(percent, message), throwIfCancelled
+   * @returns {Promise<object>} { generatedAt, selector, instances, files, summary }
+   */
+  async analyze({ fileTypes = DRIFT_FILE_TYPES, configId = null, selector = null, onProgress, throwIfCancelled } = {}) {
+    const instances = await proSbcInstanceService.selectInstances(selector);
+    const instanceIds = instances.map(instance => String(instance.id));
+    const apis = new Map(instances.map(instance => [String(instance.id), createProSBCFileAPI(instance.id)]));
+
+    // 1. File lists: fileType -> fileName -> instanceId -> listed file
+    const reachable = [];
+    const instanceErrors = {};
+    const listed = new Map(fileTypes.map(fileType => [fileType, new Map()]));
+    for (const [index, instance] of instances.entries()) {
+      throwIfCancelled?.();
+      const instanceId = String(instance.id);
+      try {
+        for (const fileType of fileTypes) {
+          const { files = [] } = await listFiles(apis.get(instanceId), fileType, configId);
+          for (const file of files) {
+            const byInstance = listed.get(fileType).get(file.name) || {};
+            byInstance[instanceId] = file;
+            listed.get(fileType).set(file.name, byInstance);
+          }
+        }
+        reachable.push(instanceId);
+      } catch (error) {
+        console.warn(`⚠️ Drift: could not list files of instance ${instanceId}: ${error.message}`);
+        instanceErrors[instanceId] = error.message;
+      }
+      await onProgress?.(((index + 1) / instances.length) * 20, `Listed files of ${index + 1} of ${instances.length} instances`);
+    }
+
+    // 2. Contents, one file name at a time so only one file's copies are held in memory
+    const total = Array.from(listed.values()).reduce((sum, names) => sum + names.size, 0);
+    const files = [];
+    for (const [fileType, names] of listed) {
+      for (const [fileName, byInstance] of names) {
+        throwIfCancelled?.();
+        files.push(await this.compareFile(fileType, fileName, byInstance, { apis, instanceIds, reachable }));
+        await onProgress?.(20 + (files.length / Math.max(total, 1)) * 80, `Compared ${files.length} of ${total} files`);
+      }
+    }
+    files.sort((a, b) => a.fileType.localeCompare(b.fileType) || a.fileName.localeCompare(b.fileName));
+
+    return {
+      generatedAt: new Date().toISOString(),
+      configId,
+      fileTypes,
+      selector,
+      instances: instances.map(instance => ({
+        id: String(instance.id),
+        name: instance.name,
+        reachable: !instanceErrors[String(instance.id)],
+        error: instanceErrors[String(instance.id)] || null
+      })),
+      files,
+      summary: {
+        files: files.length,
+        inSync: files.filter(file => file.status === 'in-sync').length,
+        drift: files.filter(file => file.status === 'drift').length,
+        missing: files.filter(file => file.status === 'missing').length
+      }
+    };
+  }
+
+  // One row of the matrix: a cell per instance, row diffs against the majority content
+  async compareFile(fileType, fileName, byInstance, { apis, instanceIds, reachable }) {
+    const cells = {};
+    const contents = {};
+    for (const instanceId of instanceIds) {
+      const file = byInstance[instanceId];
+      if (!reachable.includes(instanceId)) {
+        cells[instanceId] = { present: null };
+        continue;
+      }
+      if (!file) {
+        cells[instanceId] = { present: false };
+        continue;
+      }
+      try {
+        const { content = '' } = await apis.get(instanceId).getFileContent(fileType, file.id, file.configId);
+        contents[instanceId] = content;
+        cells[instanceId] = {
+          present: true,
+          fileId: file.id,
+          configId: file.configId || null,
+          checksum: checksumOf(content),
+          rows: parseCsv(content).rows.length
+        };
+      } catch (error) {
+        cells[instanceId] = { present: true, fileId: file.id, configId: file.configId || null, error: error.message };
+      }
+    }
+
+    const { groups, baselineInstanceId } = pickBaseline(cells, instanceIds);
+    for (const [instanceId, cell] of Object.entries(cells)) {
+      if (cell.checksum && baselineInstanceId && cell.checksum !== cells[baselineInstanceId].checksum) {
+        // What this instance has compared to the baseline: added = rows only here
+        cell.diff = diffCsvRows(contents[baselineInstanceId], contents[instanceId], fileType).summary;
+      }
+    }
+
+    const missingOn = reachable.filter(instanceId => cells[instanceId].present === false);
+    const differsOn = groups.length > 1 ? reachable.filter(instanceId => cells[instanceId].diff) : [];
+    return {
+      fileType,
+      fileName,
+      status: differsOn.length > 0 ? 'drift' : missingOn.length > 0 ? 'missing' : 'in-sync',
+      baselineInstanceId,
+      variants: groups.length,
+      missingOn,
+      differsOn,
+      cells
+    };
+  }
+
+  // Current content of a file on one instance, with the listed file it came from (null when absent)
+  async fetchFile(instanceId, fileType, fileName, configId = null) {
+    const fileApi = createProSBCFileAPI(instanceId);
+    const { files = [] } = await listFiles(fileApi, fileType, configId);
+    const file = files.find(candidate => candidate.name === fileName);
+    if (!file) return null;
+    const { content = '' } = await fileApi.getFileContent(fileType, file.id, file.configId);
+    return { file, content, fileApi };
+  }
+
+  // Row diff of what "make target match source" would change on the target
+  async previewSync({ fileType, fileName, sourceInstanceId, targetInstanceId, configId }) {
+    const source = await this.fetchFile(sourceInstanceId, fileType, fileName, configId);
+    if (!source) throw driftError(`${fileName} does not exist on instance ${sourceInstanceId}`, 404);
+    const target = await this.fetchFile(targetInstanceId, fileType, fileName, configId);
+    return {
+      fileType,
+      fileName,
+      sourceInstanceId: String(sourceInstanceId),
+      targetInstanceId: String(targetInstanceId),
+      targetExists: !!target,
+      sourceChecksum: checksumOf(source.content),
+      targetChecksum: target ? checksumOf(target.content) : null,
+      diff: diffCsvRows(target?.content || '', source.content, fileType)
+    };
+  }
+
+  /**
+   * Make a file on the target instance match the source instance: overwrite it, or
+   * upload it when the target does not have it. DM files are checked for number conflicts first.
+   */
+  async syncFile({ fileType, fileName, sourceInstanceId, targetInstanceId, configId, allowConflicts = false }, { author, reason } = {}) {
+    if (!DRIFT_FILE_TYPES.includes(fileType)) throw driftError(`Invalid fileType: ${fileType}`, 400);
+    if (String(sourceInstanceId) === String(targetInstanceId)) throw driftError('Invalid target: source and target are the same instance', 400);
+
+    const source = await this.fetchFile(sourceInstanceId, fileType, fileName, configId);
+    if (!source) throw driftError(`${fileName} does not exist on instance ${sourceInstanceId}`, 404);
+    const target = await this.fetchFile(targetInstanceId, fileType, fileName, configId);
+    const afterChecksum = checksumOf(source.content);
+    if (target && checksumOf(target.content) === afterChecksum) {
+      return { success: true, action: 'none', message: `${fileName} already matches`, afterChecksum, beforeChecksum: afterChecksum };
+    }
+
+    if (fileType === 'routesets_digitmaps') {
+      const conflictCheck = await dmConflictService.checkContent({ fileName, content: source.content, instanceIds: [targetInstanceId], allowConflicts });
+      if (conflictCheck.blocked) throw driftError(conflictCheck.message, 409, { conflictCheck });
+    }
+
+    const result = await this.writeFile(targetInstanceId, fileType, fileName, source.content, target, {
+      author,
+      reason: reason || `Match instance ${sourceInstanceId}`,
+      source: `drift/sync from ${sourceInstanceId}`
+    });
+    return { ...result, beforeChecksum: target ? checksumOf(target.content) : null, afterChecksum };
+  }
+
+  /**
+   * Write content to a file on one instance: overwrite the current copy (as returned by
+   * fetchFile) or upload the file when the instance does not have it. Records the revision.
+   * @returns {Promise<object>} { success, action: 'updated'|'uploaded', message, fileId }
+   */
+  async writeFile(instanceId, fileType, fileName, content, current, { author, reason, source } = {}) {
+    if (!current) {
+      const instance = await proSbcInstanceService.getInstanceById(instanceId);
+      if (!instance) throw driftError(`ProSBC instance ${instanceId} not found`, 404);
+      const result = await prosbcUploadService.uploadToInstance(UPLOAD_KINDS[fileType], Buffer.from(content, 'utf8'), fileName, instance, { author, reason, source });
+      return { success: !!result.success, action: 'uploaded', message: result.message || null, fileId: null };
+    }
+
+    const result = await current.fileApi.updateFileRestAPI(fileType, current.file.name, content, current.file.configId);
+    if (result.success) {
+      await fileRevisionService.recordRevision({
+        fileType,
+        fileName: current.file.name,
+        content,
+        instanceId,
+        configId: current.file.configId,
+        prosbcFileId: result.fileId || current.file.id,
+        author,
+        reason,
+        source
+      });
+    }
+    return { success: !!result.success, action: 'updated', message: result.message || null, fileId: result.fileId || current.file.id };
+  }
+}
+
+export default new DriftService();
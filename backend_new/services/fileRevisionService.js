@@ -0,0 +1,142 @@
+import crypto from 'crypto';
+import { Op } from 'sequelize';
+import FileRevision from '../models/FileRevision.js';
+import { createProSBCFileAPI } from '../utils/prosbc/prosbcFileManager.js';
+
+const DEFAULT_INSTANCE = 'default';
+
+// Routes that have no X-ProSBC-Instance-ID header talk to the env configured ProSBC
+function normalizeInstanceId(instanceId) {
+  return instanceId ? String(instanceId) : DEFAULT_INSTANCE;
+}
+
+// The instance a revision was written to; null for the env configured ProSBC
+export function revisionInstanceId(revision) {
+  return revision.prosbc_instance_id === DEFAULT_INSTANCE ? null : revision.prosbc_instance_id;
+}
+
+function checksumOf(content) {
+  return crypto.createHash('sha256').update(content, 'utf8').digest('hex');
+}
+
+class FileRevisionService {
+
+  // Store a snapshot of a file we just wrote to a ProSBC. Never throws: a
+  // failed history write must not turn a successful ProSBC update into an error.
+  async recordRevision({ fileType, fileName, content, instanceId, configId, prosbcFileId, action = 'update', author, reason, source, rolledBackFrom }) {
+    try {
+      if (!fileType || !fileName || typeof content !== 'string') {
+        console.warn('[File Revisions] Skipping revision with missing fileType, fileName or content');
+        return null;
+      }
+      const revision = await FileRevision.create({
+        file_type: fileType,
+        file_name: fileName,
+        prosbc_file_id: prosbcFileId ? String(prosbcFileId) : null,
+        prosbc_instance_id: normalizeInstanceId(instanceId),
+        config_id: configId ? String(configId) : null,
+        content,
+        checksum: checksumOf(content),
+        size: Buffer.byteLength(content, 'utf8'),
+        action,
+        author: author || null,
+        reason: reason || null,
+        source: source || null,
+        rolled_back_from: rolledBackFrom || null
+      });
+      console.log(`[File Revisions] Recorded ${action} revision ${revision.id} for ${fileType}/${fileName} on instance ${revision.prosbc_instance_id}`);
+      return revision;
+    } catch (error) {
+      console.error('[File Revisions] Failed to record revision:', error.message);
+      return null;
+    }
+  }
+
+  // List revisions of one file on one instance, newest first. The file is
+  // matched by name when given, otherwise by its ProSBC file ID.
+  async listRevisions({ fileType, instanceId, fileName, prosbcFileId, limit = 100 }) {
+    try {
+      const where = {
+        file_type: fileType,
+        prosbc_instance_id: normalizeInstanceId(instanceId)
+      };
+      if (fileName) {
+        where.file_name = fileName;
+      } else if (prosbcFileId) {
+        where.prosbc_file_id = String(prosbcFileId);
+      } else {
+        throw new Error('fileName or prosbcFileId is required');
+      }
+      return await FileRevision.findAll({
+        where,
+        attributes: { exclude: ['content'] },
+        order: [['createdAt', 'DESC'], ['id', 'DESC']],
+        limit
+      });
+    } catch (error) {
+      throw new Error(`Failed to list file revisions: ${error.message}`);
+    }
+  }
+
+  // Get one revision including its content
+  async getRevision(revisionId) {
+    try {
+      const revision = await FileRevision.findByPk(revisionId);
+      if (!revision) {
+        throw new Error(`Revision ${revisionId} not found`);
+      }
+      return revision;
+    } catch (error) {
+      throw new Error(`Failed to fetch file revision: ${error.message}`);
+    }
+  }
+
+  // Latest revision of a file, used as its current content
+  async getLatestRevision({ fileType, instanceId, fileName, prosbcFileId }) {
+    const where = {
+      file_type: fileType,
+      prosbc_instance_id: normalizeInstanceId(instanceId),
+      [Op.or]: [
+        fileName ? { file_name: fileName } : null,
+        prosbcFileId ? { prosbc_file_id: String(prosbcFileId) } : null
+      ].filter(Boolean)
+    };
+    if (where[Op.or].length === 0) {
+      throw new Error('fileName or prosbcFileId is required');
+    }
+    return FileRevision.findOne({ where, order: [['createdAt', 'DESC'], ['id', 'DESC']] });
+  }
+
+  // Push the content of an old revision back to the ProSBC it came from and
+  // record the result as a new 'rollback' revision
+  async rollback(revisionId, { author, reason } = {}) {
+    const revision = await this.getRevision(revisionId);
+    try {
+      const fileManager = createProSBCFileAPI(revisionInstanceId(revision));
+      const result = await fileManager.updateFileRestAPI(revision.file_type, revision.file_name, revision.content, revision.config_id);
+      if (!result || !result.success) {
+        throw new Error(result?.error || result?.message || 'ProSBC update failed');
+      }
+
+      const newRevision = await this.recordRevision({
+        fileType: revision.file_type,
+        fileName: revision.file_name,
+        content: revision.content,
+        instanceId: revision.prosbc_instance_id,
+        configId: revision.config_id,
+        prosbcFileId: result.fileId || revision.prosbc_file_id,
+        action: 'rollback',
+        author,
+        reason: reason || `Rolled back to revision ${revision.id}`,
+        source: 'rollback',
+        rolledBackFrom: revision.id
+      });
+
+      return { revision, newRevision, result };
+    } catch (error) {
+      throw new Error(`Failed to roll back ${revision.file_name} to revision ${revision.id}: ${error.message}`);
+    }
+  }
+}
+
+export default new FileRevisionService();
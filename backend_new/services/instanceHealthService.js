@@ -0,0 +1,285 @@
+import { Op } from 'sequelize';
+import fetch from 'node-fetch';
+import InstanceHealthSample from '../models/InstanceHealthSample.js';
+import proSbcInstanceService from './proSbcInstanceService.js';
+import notificationService, { NOTIFICATION_TYPES } from './notificationService.js';
+import { prosbcLogin } from '../utils/prosbc/login.js';
+import { fetchLiveConfigIds } from '../utils/prosbc/prosbcConfigLiveFetcher.js';
+
+export const HEALTH_STATUSES = ['up', 'degraded', 'down'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const withTimeout = (promise, ms, what) => {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms} ms`)), ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+};
+
+const elapsedSince = (start) => Math.round(performance.now() - start);
+
+const average = (values) => {
+  const present = values.filter(value => value != null);
+  return present.length > 0 ? Math.round(present.reduce((sum, value) => sum + value, 0) / present.length) : null;
+};
+
+// Worst status first, so a bucket with one failed probe shows as down
+const worstStatus = (statuses) => HEALTH_STATUSES.slice().reverse().find(status => statuses.includes(status)) || null;
+
+const serializeSample = (sample) => ({
+  instanceId: sample.instanceId,
+  checkedAt: sample.checkedAt,
+  status: sample.status,
+  loginMs: sample.loginMs,
+  configListMs: sample.configListMs,
+  configCount: sample.configCount,
+  sessionValid: sample.sessionValid,
+  error: sample.error
+});
+
+/**
+ * Background health poller. Every HEALTH_POLL_INTERVAL_MS each active instance is probed:
+ * the session of the previous probe is checked (and logged out), then a fresh login and a
+ * config list are timed. Samples go to instance_health_samples; an instance failing
+ * HEALTH_DOWN_AFTER probes in a row raises an instance.down notification, and the first
+ * good probe after that an instance.recovered one.
+ */
+class InstanceHealthService {
+  constructor() {
+    this.enabled = process.env.HEALTH_POLL_ENABLED !== 'false';
+    this.intervalMs = parseInt(process.env.HEALTH_POLL_INTERVAL_MS || '60000', 10);
+    this.timeoutMs = parseInt(process.env.HEALTH_PROBE_TIMEOUT_MS || '15000', 10);
+    this.slowMs = parseInt(process.env.HEALTH_SLOW_MS || '5000', 10);
+    this.downAfter = Math.max(parseInt(process.env.HEALTH_DOWN_AFTER || '2', 10), 1);
+    this.retentionDays = parseInt(process.env.HEALTH_RETENTION_DAYS || '14', 10);
+    this.timer = null;
+    this.polling = false;
+    this.lastPrunedAt = 0;
+    this.sessions = new Map(); // instanceId -> session cookie of the last probe
+    this.states = new Map(); // instanceId -> { failures, alerted, downSince }
+  }
+
+  async start() {
+    if (!this.enabled) {
+      console.log('📝 Instance health polling is off (HEALTH_POLL_ENABLED=false)');
+      return;
+    }
+    await this.restoreStates();
+    this.timer = setInterval(() => this.poll(), this.intervalMs);
+    this.timer.unref();
+    this.poll();
+    console.log(`✅ Instance health monitor started (every ${Math.round(this.intervalMs / 1000)}s)`);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // After a restart an instance that was already reported down is not reported again
+  async restoreStates() {
+    const instances = await proSbcInstanceService.getAllInstances();
+    for (const instance of instances) {
+      const instanceId = String(instance.id);
+      const lastGood = await InstanceHealthSample.findOne({
+        where: { instanceId, status: { [Op.ne]: 'down' } },
+        order: [['checkedAt', 'DESC']]
+      });
+      const downSamples = await InstanceHealthSample.findAll({
+        where: { instanceId, status: 'down', ...(lastGood ? { checkedAt: { [Op.gt]: lastGood.checkedAt } } : {}) },
+        attributes: ['checkedAt'],
+        order: [['checkedAt', 'ASC']],
+        raw: true
+      });
+      if (downSamples.length === 0) continue;
+      this.states.set(instanceId, {
+        failures: downSamples.length,
+        alerted: downSamples.length >= this.downAfter,
+        downSince: downSamples[0].checkedAt
+      });
+    }
+  }
+
+  // Probe every active instance once; null while a poll is still running
+  async poll() {
+    if (this.polling) return null;
+    this.polling = true;
+    try {
+      const instances = await proSbcInstanceService.getAllInstances();
+      const samples = await Promise.all(instances.map(instance => this.checkInstance(instance)));
+      await this.pruneIfDue();
+      return samples;
+    } catch (error) {
+      console.warn(`⚠️ Instance health poll failed: ${error.message}`);
+      return [];
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  async checkInstance(instance) {
+    const sample = await InstanceHealthSample.create(await this.probe(instance));
+    await this.trackState(instance, sample);
+    return sample;
+  }
+
+  async probe(instance) {
+    const instanceId = String(instance.id);
+    const sample = { instanceId, checkedAt: new Date(), loginMs: null, configListMs: null, configCount: null, sessionValid: null, error: null };
+    try {
+      const credentials = await proSbcInstanceService.getInstanceCredentials(instanceId);
+      const previous = this.sessions.get(instanceId);
+      if (previous) {
+        sample.sessionValid = await this.isSessionAccepted(credentials.baseUrl, previous);
+        await this.logout(credentials.baseUrl, previous);
+        this.sessions.delete(instanceId);
+      }
+
+      let start = performance.now();
+      const cookie = await withTimeout(prosbcLogin(credentials.baseUrl, credentials.username, credentials.password), this.timeoutMs, 'Login');
+      sample.loginMs = elapsedSince(start);
+      this.sessions.set(instanceId, cookie);
+
+      start = performance.now();
+      const configs = await withTimeout(fetchLiveConfigIds(credentials.baseUrl, cookie), this.timeoutMs, 'Config list');
+      sample.configListMs = elapsedSince(start);
+      sample.configCount = configs.length;
+    } catch (error) {
+      sample.error = error.message;
+    }
+
+    const slow = sample.loginMs > this.slowMs || sample.configListMs > this.slowMs;
+    sample.status = sample.error ? 'down' : (slow || sample.sessionValid === false ? 'degraded' : 'up');
+    return sample;
+  }
+
+  // true: still logged in; false: ProSBC sent the login page; null: could not tell (instance unreachable)
+  async isSessionAccepted(baseUrl, cookie) {
+    try {
+      await withTimeout(fetchLiveConfigIds(baseUrl, cookie), this.timeoutMs, 'Session check');
+      return true;
+    } catch (error) {
+      return /session expired/i.test(error.message) ? false : null;
+    }
+  }
+
+  // Probes log in every interval; logging out keeps them from piling up sessions on the ProSBC
+  async logout(baseUrl, cookie) {
+    try {
+      await fetch(`${baseUrl.replace(/\/+$/, '')}/logout`, {
+        headers: { 'Cookie': `_WebOAMP_session=${cookie}` },
+        redirect: 'manual',
+        timeout: this.timeoutMs
+      });
+    } catch (error) {
+      // The session expires on its own
+    }
+  }
+
+  async trackState(instance, sample) {
+    const instanceId = String(instance.id);
+    const state = this.states.get(instanceId) || { failures: 0, alerted: false, downSince: null };
+
+    if (sample.status === 'down') {
+      state.failures++;
+      state.downSince = state.downSince || sample.checkedAt;
+      if (!state.alerted && state.failures >= this.downAfter) {
+        state.alerted = true;
+        await notificationService.notify({
+          type: NOTIFICATION_TYPES.INSTANCE_DOWN,
+          severity: 'critical',
+          title: `ProSBC ${instance.name || instanceId} is down`,
+          message: sample.error,
+          instanceId,
+          details: { since: state.downSince, failedProbes: state.failures }
+        });
+      }
+      this.states.set(instanceId, state);
+      return;
+    }
+
+    if (state.alerted) {
+      const downForMs = sample.checkedAt - new Date(state.downSince);
+      await notificationService.notify({
+        type: NOTIFICATION_TYPES.INSTANCE_RECOVERED,
+        severity: 'info',
+        title: `ProSBC ${instance.name || instanceId} recovered`,
+        message: `Reachable again after ${Math.max(Math.round(downForMs / 60000), 1)} min (login ${sample.loginMs} ms)`,
+        instanceId,
+        details: { downSince: state.downSince, downForMs }
+      });
+    }
+    this.states.delete(instanceId);
+  }
+
+  async pruneIfDue() {
+    if (Date.now() - this.lastPrunedAt < HOUR_MS) return;
+    this.lastPrunedAt = Date.now();
+    const removed = await InstanceHealthSample.destroy({
+      where: { checkedAt: { [Op.lt]: new Date(Date.now() - this.retentionDays * 24 * HOUR_MS) } }
+    });
+    if (removed > 0) console.log(`📝 Pruned ${removed} instance health samples older than ${this.retentionDays} days`);
+  }
+
+  /**
+   * Per instance: the latest probe, uptime (share of probes not down) and average latencies
+   * over the last `hours`, and a series of `points` buckets for sparklines (null latency when
+   * a bucket has no successful probe).
+   */
+  async getSummary(instanceIds, { hours = 24, points = 48 } = {}) {
+    const to = Date.now();
+    const from = to - hours * HOUR_MS;
+    const bucketMs = (to - from) / points;
+    const rows = instanceIds.length === 0 ? [] : await InstanceHealthSample.findAll({
+      where: { instanceId: { [Op.in]: instanceIds.map(String) }, checkedAt: { [Op.gte]: new Date(from) } },
+      order: [['checkedAt', 'ASC']],
+      raw: true
+    });
+
+    return instanceIds.map(String).map(instanceId => {
+      const samples = rows.filter(row => row.instanceId === instanceId);
+      const latest = samples[samples.length - 1] || null;
+      const buckets = Array.from({ length: points }, () => []);
+      for (const sample of samples) {
+        const index = Math.min(Math.floor((new Date(sample.checkedAt).getTime() - from) / bucketMs), points - 1);
+        buckets[Math.max(index, 0)].push(sample);
+      }
+      return {
+        instanceId,
+        status: latest?.status || null,
+        lastCheckedAt: latest?.checkedAt || null,
+        lastError: latest?.error || null,
+        sessionValid: latest?.sessionValid ?? null,
+        samples: samples.length,
+        uptimePct: samples.length > 0
+          ? Math.round((samples.filter(sample => sample.status !== 'down').length / samples.length) * 1000) / 10
+          : null,
+        avgLoginMs: average(samples.map(sample => sample.loginMs)),
+        avgConfigListMs: average(samples.map(sample => sample.configListMs)),
+        series: buckets.map((bucket, index) => ({
+          at: new Date(from + index * bucketMs).toISOString(),
+          status: worstStatus(bucket.map(sample => sample.status)),
+          loginMs: average(bucket.map(sample => sample.loginMs)),
+          configListMs: average(bucket.map(sample => sample.configListMs))
+        }))
+      };
+    });
+  }
+
+  // Raw samples of one instance, newest first
+  async getHistory(instanceId, { hours = 24, limit = 500 } = {}) {
+    const samples = await InstanceHealthSample.findAll({
+      where: { instanceId: String(instanceId), checkedAt: { [Op.gte]: new Date(Date.now() - hours * HOUR_MS) } },
+      order: [['checkedAt', 'DESC']],
+      limit: Math.min(Number(limit) || 500, 5000)
+    });
+    return samples.map(serializeSample);
+  }
+}
+
+export { serializeSample };
+export default new InstanceHealthService();
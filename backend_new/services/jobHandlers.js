@@ -0,0 +1,134 @@
+import jobQueueService from './jobQueueService.js';
+import prosbcUploadService from './prosbcUploadService.js';
+import prosbcFileSyncService from './ProSBCFileSyncService.js';
+import customerCountService from './customerCountService.js';
+import phoneNumberIndexService from './phoneNumberIndexService.js';
+import routesetService from '../utils/prosbc/routesetMappingService.js';
+import auditService, { AUDIT_ACTIONS } from './auditService.js';
+import changeRequestService, { CHANGE_REQUEST_JOB } from './changeRequestService.js';
+import driftService from './driftService.js';
+import replicationService, { REPLICATION_JOB } from './replicationService.js';
+import rolloutService, { ROLLOUT_JOB, ROLLOUT_REVERT_JOB } from './rolloutService.js';
+
+// Job types of the long running ProSBC operations
+export const JOB_TYPES = {
+  PROSBC_UPLOAD_ALL: 'prosbc-upload-all',
+  DM_FILES_SYNC: 'dm-files-sync',
+  CUSTOMER_COUNTS_MONTHLY: 'customer-counts-monthly',
+  GENERATE_ROUTING_DATABASE: 'generate-routing-database',
+  DM_NUMBERS_REINDEX: 'dm-numbers-reindex',
+  CHANGE_REQUEST_EXECUTE: CHANGE_REQUEST_JOB,
+  DRIFT_REPORT: 'drift-report',
+  REPLICATION_RUN: REPLICATION_JOB,
+  ROLLOUT_RUN: ROLLOUT_JOB,
+  ROLLOUT_REVERT: ROLLOUT_REVERT_JOB
+};
+
+// Upload a DF/DM file to every instance (or those matching selector), one step per instance
+async function uploadAll({ kind, selector, fileName, content, reason }, ctx) {
+  const buffer = Buffer.from(content, 'base64');
+  const stepIndexes = new Map();
+  let finished = 0;
+
+  const results = await prosbcUploadService.uploadToAllInstances(kind, buffer, fileName, {
+    selector,
+    author: ctx.job.createdBy,
+    reason,
+    source: `prosbc-upload/${kind}/all`,
+    onInstanceStart: async (instance) => {
+      stepIndexes.set(instance.id, await ctx.addStep(`Upload to ${instance.name}`, { instanceId: instance.id }));
+      ctx.throwIfCancelled();
+    },
+    onInstanceDone: async (instance, outcome) => {
+      finished++;
+      if (stepIndexes.has(instance.id)) {
+        await ctx.updateStep(stepIndexes.get(instance.id), {
+          status: outcome.success ? 'succeeded' : 'failed',
+          error: outcome.success ? undefined : (outcome.error || outcome.details?.message)
+        });
+      }
+      await ctx.progress((finished / Math.max(stepIndexes.size, 1)) * 100, `Uploaded to ${finished} of ${stepIndexes.size} instances`);
+    }
+  });
+
+  const succeeded = results.filter(result => result.success).length;
+  await auditService.record({
+    user: { username: ctx.job.createdBy },
+    action: AUDIT_ACTIONS.FILE_UPLOADED,
+    target: fileName,
+    afterHash: auditService.hash(buffer),
+    outcome: succeeded === results.length ? 'success' : succeeded === 0 ? 'failure' : 'partial',
+    details: {
+      fileType: kind === 'df' ? 'routesets_definitions' : 'routesets_digitmaps',
+      allInstances: true,
+      selector: selector || undefined,
+      jobId: ctx.job.id,
+      results: results.map(result => ({ instance: result.instance, success: !!result.success, error: result.error || undefined }))
+    }
+  });
+
+  // Instances skipped after a cancel show up as failed steps
+  ctx.throwIfCancelled();
+  return { results };
+}
+
+// Generate the routing database and audit the result, as the synchronous route does
+async function generateRoutingDatabase({ systemId, instanceId }, ctx) {
+  const event = { user: { username: ctx.job.createdBy }, action: AUDIT_ACTIONS.ROUTING_DB_GENERATED, instanceId, details: { systemId, jobId: ctx.job.id } };
+  try {
+    const result = await ctx.step('Generate routing database', () => routesetService.generateRoutingDatabase(systemId, instanceId));
+    await auditService.record({ ...event, outcome: result?.success === false ? 'failure' : 'success', error: result?.success === false ? result.error || result.message : null });
+    return result;
+  } catch (error) {
+    await auditService.record({ ...event, outcome: 'failure', error: error.message });
+    throw error;
+  }
+}
+
+export function registerJobHandlers() {
+  jobQueueService.registerHandler(JOB_TYPES.PROSBC_UPLOAD_ALL, uploadAll);
+
+  jobQueueService.registerHandler(JOB_TYPES.DM_FILES_SYNC, ({ instanceId, configId }, ctx) =>
+    ctx.step('Sync DM files', () => prosbcFileSyncService.syncDmFiles(instanceId, configId, {
+      onProgress: ctx.progress,
+      throwIfCancelled: ctx.throwIfCancelled
+    })), { maxAttempts: 2 });
+
+  jobQueueService.registerHandler(JOB_TYPES.CUSTOMER_COUNTS_MONTHLY, async ({ configId, selector }, ctx) => {
+    const results = await customerCountService.createMonthlyCountsForAllInstances(configId, {
+      selector,
+      onProgress: ctx.progress,
+      throwIfCancelled: ctx.throwIfCancelled
+    });
+    return { results };
+  }, { maxAttempts: 2 });
+
+  jobQueueService.registerHandler(JOB_TYPES.GENERATE_ROUTING_DATABASE, generateRoutingDatabase);
+
+  // Approved change requests; never retried, a push must not run twice
+  jobQueueService.registerHandler(JOB_TYPES.CHANGE_REQUEST_EXECUTE, (payload, ctx) => changeRequestService.execute(payload, ctx));
+
+  // The report is the job result; GET /drift/report serves the latest one
+  jobQueueService.registerHandler(JOB_TYPES.DRIFT_REPORT, ({ fileTypes, configId, selector }, ctx) =>
+    driftService.analyze({
+      fileTypes,
+      configId,
+      selector,
+      onProgress: ctx.progress,
+      throwIfCancelled: ctx.throwIfCancelled
+    }));
+
+  // Replicas that fail stay failed on the run; POST /replication/runs/:id/retry queues them again
+  jobQueueService.registerHandler(JOB_TYPES.REPLICATION_RUN, (payload, ctx) => replicationService.execute(payload, ctx));
+
+  // Staged rollouts are never retried: a halted one is reverted or started again on purpose
+  jobQueueService.registerHandler(JOB_TYPES.ROLLOUT_RUN, (payload, ctx) => rolloutService.execute(payload, ctx));
+  jobQueueService.registerHandler(JOB_TYPES.ROLLOUT_REVERT, (payload, ctx) => rolloutService.revert(payload, ctx));
+
+  jobQueueService.registerHandler(JOB_TYPES.DM_NUMBERS_REINDEX, ({ instanceId }, ctx) =>
+    phoneNumberIndexService.rebuild({
+      instanceId,
+      onProgress: ctx.progress,
+      throwIfCancelled: ctx.throwIfCancelled
+    }));
+}
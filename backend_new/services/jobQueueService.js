@@ -0,0 +1,300 @@
+import { EventEmitter } from 'events';
+import { Op } from 'sequelize';
+import Job from '../models/Job.js';
+
+export class JobCancelledError extends Error {
+  constructor(message = 'Job cancelled') {
+    super(message);
+    this.name = 'JobCancelledError';
+  }
+}
+
+export const FINAL_JOB_STATES = ['succeeded', 'failed', 'cancelled'];
+
+// Public view of a job. Payload 'content' (uploaded file data) is never sent to clients.
+export function serializeJob(job) {
+  const { content, ...payload } = job.payload || {};
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    progress: job.progress,
+    message: job.message,
+    steps: job.steps || [],
+    result: job.result,
+    error: job.error,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    cancelRequested: job.cancelRequested,
+    prosbcInstanceId: job.prosbcInstanceId,
+    createdBy: job.createdBy,
+    payload,
+    runAfter: job.runAfter,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+}
+
+/**
+ * MariaDB backed job queue. Jobs survive restarts: queued jobs are picked up
+ * by the poller, and jobs that were running when the process stopped are
+ * requeued (or failed once out of attempts). Every state or progress change
+ * is emitted as 'job' and `job:<id>` events for the SSE endpoint.
+ */
+class JobQueueService extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0);
+    this.handlers = new Map();
+    this.running = new Map();
+    this.concurrency = parseInt(process.env.JOB_CONCURRENCY || '2', 10);
+    this.pollIntervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS || '2000', 10);
+    this.retryDelayMs = parseInt(process.env.JOB_RETRY_DELAY_MS || '30000', 10);
+    this.timer = null;
+    this.polling = false;
+  }
+
+  // handler(payload, ctx) returns the job result; see createContext for ctx
+  registerHandler(type, handler, options = {}) {
+    this.handlers.set(type, { handler, maxAttempts: options.maxAttempts || 1 });
+  }
+
+  async start() {
+    const stale = await Job.findAll({ where: { status: 'running' } });
+    for (const job of stale) {
+      if (job.attempts < job.maxAttempts) {
+        await job.update({ status: 'queued', message: 'Requeued after server restart' });
+      } else {
+        await job.update({ status: 'failed', error: 'Interrupted by server restart', finishedAt: new Date() });
+      }
+    }
+    if (stale.length > 0) {
+      console.log(`[Jobs] Recovered ${stale.length} interrupted job(s)`);
+    }
+
+    this.timer = setInterval(() => this.poll(), this.pollIntervalMs);
+    this.timer.unref();
+    this.poll();
+    console.log(`✅ Job queue started (concurrency ${this.concurrency})`);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async enqueue(type, payload = {}, { createdBy = null, instanceId = null, maxAttempts } = {}) {
+    const entry = this.handlers.get(type);
+    if (!entry) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+    const job = await Job.create({
+      type,
+      payload,
+      status: 'queued',
+      message: 'Waiting to start',
+      maxAttempts: maxAttempts || entry.maxAttempts,
+      prosbcInstanceId: instanceId ? String(instanceId) : null,
+      createdBy
+    });
+    console.log(`[Jobs] Enqueued ${type} job ${job.id}`);
+    this.publish(job);
+    setImmediate(() => this.poll());
+    return job;
+  }
+
+  async getJob(id) {
+    const job = await Job.findByPk(id);
+    if (!job) {
+      throw new Error(`Job ${id} not found`);
+    }
+    return this.running.get(job.id) || job;
+  }
+
+  // instanceIds limits the list to jobs on those instances (no all-instance jobs)
+  async listJobs({ type, status, createdBy, instanceId, instanceIds, limit = 50 } = {}) {
+    const where = {};
+    if (type) where.type = type;
+    if (status) where.status = status;
+    if (createdBy) where.createdBy = createdBy;
+    if (instanceId) where.prosbcInstanceId = String(instanceId);
+    else if (instanceIds) where.prosbcInstanceId = { [Op.in]: instanceIds.map(String) };
+    return Job.findAll({ where, order: [['createdAt', 'DESC'], ['id', 'DESC']], limit });
+  }
+
+  // Queued jobs are cancelled immediately; running jobs stop at their next checkpoint
+  async cancel(id) {
+    const job = await this.getJob(id);
+    if (FINAL_JOB_STATES.includes(job.status)) {
+      throw new Error(`Job ${id} is already ${job.status}`);
+    }
+    if (job.status === 'queued') {
+      const [updated] = await Job.update(
+        { status: 'cancelled', message: 'Cancelled before start', finishedAt: new Date() },
+        { where: { id: job.id, status: 'queued' } }
+      );
+      if (updated) {
+        await job.reload();
+        this.publish(job);
+        return job;
+      }
+      await job.reload();
+    }
+    job.cancelRequested = true;
+    job.message = 'Cancellation requested';
+    await this.persist(job);
+    return job;
+  }
+
+  // Start a fresh copy of a failed or cancelled job
+  async retry(id, { createdBy } = {}) {
+    const job = await this.getJob(id);
+    if (!['failed', 'cancelled'].includes(job.status)) {
+      throw new Error(`Only failed or cancelled jobs can be retried (job ${id} is ${job.status})`);
+    }
+    return this.enqueue(job.type, job.payload, {
+      createdBy: createdBy || job.createdBy,
+      instanceId: job.prosbcInstanceId,
+      maxAttempts: job.maxAttempts
+    });
+  }
+
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+    try {
+      while (this.running.size < this.concurrency) {
+        const candidate = await Job.findOne({
+          where: {
+            status: 'queued',
+            [Op.or]: [{ runAfter: null }, { runAfter: { [Op.lte]: new Date() } }]
+          },
+          order: [['createdAt', 'ASC'], ['id', 'ASC']]
+        });
+        if (!candidate) break;
+
+        // Claim with a conditional update so two backend processes never run the same job
+        const [claimed] = await Job.update(
+          { status: 'running', startedAt: new Date(), attempts: candidate.attempts + 1, error: null, message: 'Starting' },
+          { where: { id: candidate.id, status: 'queued' } }
+        );
+        if (!claimed) continue;
+
+        await candidate.reload();
+        this.run(candidate);
+      }
+    } catch (error) {
+      console.error('[Jobs] Poll failed:', error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  async run(job) {
+    this.running.set(job.id, job);
+    this.publish(job);
+    console.log(`[Jobs] Running ${job.type} job ${job.id} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+    const entry = this.handlers.get(job.type);
+    const ctx = this.createContext(job);
+    try {
+      if (!entry) {
+        throw new Error(`No handler registered for job type ${job.type}`);
+      }
+      const result = await entry.handler(job.payload, ctx);
+      job.set({ status: 'succeeded', progress: 100, result: result ?? null, message: 'Completed', finishedAt: new Date() });
+    } catch (error) {
+      if (error instanceof JobCancelledError) {
+        job.set({ status: 'cancelled', message: error.message, finishedAt: new Date() });
+      } else if (job.attempts < job.maxAttempts) {
+        job.set({
+          status: 'queued',
+          error: error.message,
+          message: `Attempt ${job.attempts} failed, retrying`,
+          runAfter: new Date(Date.now() + this.retryDelayMs * job.attempts)
+        });
+      } else {
+        job.set({ status: 'failed', error: error.message, message: 'Failed', finishedAt: new Date() });
+      }
+      console.error(`[Jobs] ${job.type} job ${job.id} ${job.status}:`, error.message);
+    }
+
+    this.running.delete(job.id);
+    await this.persist(job);
+    this.poll();
+  }
+
+  // Helpers handed to job handlers
+  createContext(job) {
+    const updateSteps = (fn) => {
+      const steps = job.steps || [];
+      const value = fn(steps);
+      job.steps = steps;
+      return value;
+    };
+
+    const ctx = {
+      job,
+      isCancelled: () => !!job.cancelRequested,
+      throwIfCancelled: () => {
+        if (job.cancelRequested) throw new JobCancelledError();
+      },
+      progress: async (percent, message) => {
+        job.progress = Math.max(0, Math.min(100, Math.round(percent)));
+        if (message) job.message = String(message).slice(0, 500);
+        await this.persist(job);
+      },
+      addStep: async (name, fields = {}) => {
+        const index = updateSteps(steps => steps.push({ name, status: 'running', startedAt: new Date().toISOString(), ...fields }) - 1);
+        if (fields.status !== 'succeeded' && fields.status !== 'failed') {
+          job.message = String(name).slice(0, 500);
+        }
+        await this.persist(job);
+        return index;
+      },
+      updateStep: async (index, fields) => {
+        updateSteps(steps => {
+          if (!steps[index]) return;
+          steps[index] = { ...steps[index], ...fields };
+          if (fields.status === 'succeeded' || fields.status === 'failed') {
+            steps[index].finishedAt = new Date().toISOString();
+          }
+        });
+        await this.persist(job);
+      },
+      // Run fn as a named step, marking it succeeded or failed
+      step: async (name, fn) => {
+        ctx.throwIfCancelled();
+        const index = await ctx.addStep(name);
+        try {
+          const value = await fn();
+          await ctx.updateStep(index, { status: 'succeeded' });
+          return value;
+        } catch (error) {
+          await ctx.updateStep(index, { status: 'failed', error: error.message });
+          throw error;
+        }
+      }
+    };
+    return ctx;
+  }
+
+  // Save in order (progress callbacks may overlap) and notify listeners
+  persist(job) {
+    this.publish(job);
+    job._saveChain = (job._saveChain || Promise.resolve())
+      .then(() => job.save())
+      .catch(error => console.error(`[Jobs] Failed to save job ${job.id}:`, error.message));
+    return job._saveChain;
+  }
+
+  publish(job) {
+    const snapshot = serializeJob(job);
+    this.emit('job', snapshot);
+    this.emit(`job:${job.id}`, snapshot);
+  }
+}
+
+export default new JobQueueService();
@@ -0,0 +1,90 @@
+import { Op } from 'sequelize';
+import fetch from 'node-fetch';
+import Notification from '../models/Notification.js';
+
+export const NOTIFICATION_TYPES = {
+  INSTANCE_DOWN: 'instance.down',
+  INSTANCE_RECOVERED: 'instance.recovered',
+  ROLLOUT_HALTED: 'rollout.halted',
+  ROLLOUT_REVERTED: 'rollout.reverted'
+};
+
+export const serializeNotification = (notification) => ({
+  id: notification.id,
+  type: notification.type,
+  severity: notification.severity,
+  title: notification.title,
+  message: notification.message,
+  instanceId: notification.instanceId,
+  details: notification.details,
+  createdAt: notification.createdAt
+});
+
+/**
+ * Notifications are stored for the dashboard (the bell in the navbar) and, when
+ * NOTIFICATION_WEBHOOK_URL is set, posted there as JSON with a `text` line so
+ * Slack or Teams incoming webhooks can take them as they are.
+ */
+class NotificationService {
+  constructor() {
+    this.webhookUrl = process.env.NOTIFICATION_WEBHOOK_URL || null;
+    this.webhookTimeoutMs = parseInt(process.env.NOTIFICATION_WEBHOOK_TIMEOUT_MS || '5000', 10);
+  }
+
+  // Never throws: a failing notification must not break what triggered it
+  async notify({ type, severity = 'info', title, message = null, instanceId = null, details = null }) {
+    try {
+      const notification = await Notification.create({
+        type,
+        severity,
+        title,
+        message,
+        instanceId: instanceId == null ? null : String(instanceId),
+        details
+      });
+      console.log(`${severity === 'info' ? '📝' : '⚠️'} Notification: ${title}`);
+      await this.sendWebhook(notification);
+      return notification;
+    } catch (error) {
+      console.warn(`⚠️ Failed to record notification "${title}": ${error.message}`);
+      return null;
+    }
+  }
+
+  async sendWebhook(notification) {
+    if (!this.webhookUrl) return;
+    try {
+      const response = await fetch(this.webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          text: [notification.title, notification.message].filter(Boolean).join('\n'),
+          ...serializeNotification(notification)
+        }),
+        timeout: this.webhookTimeoutMs
+      });
+      if (!response.ok) {
+        console.warn(`⚠️ Notification webhook answered ${response.status}`);
+      }
+    } catch (error) {
+      console.warn(`⚠️ Notification webhook failed: ${error.message}`);
+    }
+  }
+
+  // Newest first; instanceIds limits instance notifications to those instances (general ones are always included)
+  async list({ since, type, instanceIds, limit = 50 } = {}) {
+    const where = {};
+    if (since) where.createdAt = { [Op.gt]: new Date(since) };
+    if (type) where.type = { [Op.in]: String(type).split(',') };
+    if (instanceIds) {
+      where[Op.or] = [{ instanceId: null }, { instanceId: { [Op.in]: instanceIds.map(String) } }];
+    }
+    return Notification.findAll({
+      where,
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit: Math.min(Number(limit) || 50, 200)
+    });
+  }
+}
+
+export default new NotificationService();
@@ -0,0 +1,216 @@
+import csv from 'csv-parser';
+import { Readable } from 'stream';
+import { Op } from 'sequelize';
+import PhoneNumber from '../models/PhoneNumber.js';
+import ProSBCDMFile from '../models/ProSBCDMFile.js';
+import { parseNumberQuery } from '../utils/numberQuery.js';
+
+const INSERT_BATCH_SIZE = 1000;
+const LOOKUP_BATCH_SIZE = 5000;
+const MATCH_LIMIT = 500;
+
+// Strip formatting so "+1 (555) 010-0000" and "+15550100000" match
+export function normalizeNumber(value) {
+  return String(value ?? '').trim().replace(/[\s\-.()]/g, '');
+}
+
+// Called number, calling number and routeset of every DM row
+export function extractNumberEntries(csvContent) {
+  return new Promise((resolve, reject) => {
+    const entries = [];
+    Readable.from(csvContent || '')
+      .pipe(csv())
+      .on('data', (row) => {
+        const values = Object.values(row);
+        const called = String(row.called ?? values[0] ?? '').trim();
+        if (!called || called === 'called') return;
+        entries.push({
+          raw: called,
+          number: normalizeNumber(called),
+          calling: String(row.calling ?? values[1] ?? '').trim() || null,
+          routeset: String(row.routeset_name ?? values[2] ?? '').trim() || null
+        });
+      })
+      .on('end', () => resolve(entries))
+      .on('error', reject);
+  });
+}
+
+class PhoneNumberIndexService {
+
+  // Replace the indexed numbers of one prosbc_dm_files row with those in csvContent
+  async indexFile(dmFile, csvContent, { transaction } = {}) {
+    const entries = await extractNumberEntries(csvContent);
+    await PhoneNumber.destroy({ where: { dm_file_id: dmFile.id }, transaction });
+
+    const rows = entries
+      .filter(entry => entry.number)
+      .map(entry => ({
+        number: entry.number.slice(0, 64),
+        raw_number: entry.raw.slice(0, 128),
+        calling: entry.calling ? entry.calling.slice(0, 128) : null,
+        routeset_name: entry.routeset,
+        dm_file_id: dmFile.id,
+        file_name: dmFile.file_name,
+        prosbc_instance_id: String(dmFile.prosbc_instance_id),
+        prosbc_instance_name: dmFile.prosbc_instance_name
+      }));
+    for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+      await PhoneNumber.bulkCreate(rows.slice(i, i + INSERT_BATCH_SIZE), { transaction });
+    }
+    return rows.length;
+  }
+
+  async removeFiles(where, { transaction } = {}) {
+    return PhoneNumber.destroy({ where, transaction });
+  }
+
+  /**
+   * Find where each number is used. One indexed IN query per 5000 numbers.
+   * Returns results in request order: { number, found, locations[] }.
+   */
+  async lookup(numbers, { instanceId } = {}) {
+    const normalized = Array.from(new Set(numbers.map(normalizeNumber).filter(Boolean)));
+    const matches = new Map();
+
+    for (let i = 0; i < normalized.length; i += LOOKUP_BATCH_SIZE) {
+      const where = { number: { [Op.in]: normalized.slice(i, i + LOOKUP_BATCH_SIZE) } };
+      if (instanceId) where.prosbc_instance_id = String(instanceId);
+      const rows = await PhoneNumber.findAll({
+        where,
+        attributes: ['number', 'file_name', 'routeset_name', 'dm_file_id', 'prosbc_instance_id', 'prosbc_instance_name'],
+        raw: true
+      });
+      for (const row of rows) {
+        if (!matches.has(row.number)) matches.set(row.number, []);
+        matches.get(row.number).push(row);
+      }
+    }
+
+    return numbers.map(number => {
+      const locations = (matches.get(normalizeNumber(number)) || []).map(row => ({
+        file_name: row.file_name,
+        routeset_name: row.routeset_name,
+        dm_file_id: row.dm_file_id,
+        prosbc_instance_id: row.prosbc_instance_id,
+        prosbc_instance_name: row.prosbc_instance_name
+      }));
+      return { number, found: locations.length > 0, locations };
+    });
+  }
+
+  // SQL condition on the normalized number column for a parsed prefix/range/pattern query
+  whereForQuery(parsed) {
+    const { fn, col, where } = PhoneNumber.sequelize;
+    if (parsed.range) {
+      return {
+        [Op.and]: [
+          { number: { [Op.between]: parsed.range } },
+          where(fn('CHAR_LENGTH', col('number')), parsed.range[0].length)
+        ]
+      };
+    }
+    if (parsed.like) return { number: { [Op.like]: parsed.like } };
+    return { number: parsed.exact };
+  }
+
+  /**
+   * Prefix, range or pattern search. For each query returns the total match count,
+   * counts per file and per instance, and up to `limit` matching rows.
+   */
+  async search(queries, { mode, instanceId, limit = MATCH_LIMIT } = {}) {
+    const { fn, col } = PhoneNumber.sequelize;
+    const results = [];
+
+    for (const query of queries) {
+      const parsed = parseNumberQuery(query, mode);
+      const where = this.whereForQuery(parsed);
+      if (instanceId) where.prosbc_instance_id = String(instanceId);
+
+      const files = await PhoneNumber.findAll({
+        where,
+        attributes: ['dm_file_id', 'file_name', 'prosbc_instance_id', 'prosbc_instance_name', [fn('COUNT', col('id')), 'count']],
+        group: ['dm_file_id', 'file_name', 'prosbc_instance_id', 'prosbc_instance_name'],
+        order: [[fn('COUNT', col('id')), 'DESC']],
+        raw: true
+      });
+      const instances = new Map();
+      for (const file of files) {
+        file.count = Number(file.count);
+        const instance = instances.get(file.prosbc_instance_id) || {
+          prosbc_instance_id: file.prosbc_instance_id,
+          prosbc_instance_name: file.prosbc_instance_name,
+          count: 0,
+          files: 0
+        };
+        instance.count += file.count;
+        instance.files++;
+        instances.set(file.prosbc_instance_id, instance);
+      }
+      const total = files.reduce((sum, file) => sum + file.count, 0);
+
+      const matches = total === 0 ? [] : await PhoneNumber.findAll({
+        where,
+        attributes: ['number', 'raw_number', 'file_name', 'routeset_name', 'dm_file_id', 'prosbc_instance_id', 'prosbc_instance_name'],
+        order: [['number', 'ASC']],
+        limit,
+        raw: true
+      });
+
+      results.push({
+        query: parsed.query,
+        found: total > 0,
+        total,
+        truncated: total > matches.length,
+        files,
+        instances: Array.from(instances.values()),
+        matches
+      });
+    }
+    return results;
+  }
+
+  async countForFiles(dmFileIds) {
+    if (dmFileIds.length === 0) return new Map();
+    const rows = await PhoneNumber.findAll({
+      where: { dm_file_id: { [Op.in]: dmFileIds } },
+      attributes: ['dm_file_id', [PhoneNumber.sequelize.fn('COUNT', PhoneNumber.sequelize.col('id')), 'count']],
+      group: ['dm_file_id'],
+      raw: true
+    });
+    return new Map(rows.map(row => [row.dm_file_id, Number(row.count)]));
+  }
+
+  async numbersForFile(dmFileId) {
+    const rows = await PhoneNumber.findAll({
+      where: { dm_file_id: dmFileId },
+      attributes: ['raw_number'],
+      order: [['id', 'ASC']],
+      raw: true
+    });
+    return rows.map(row => row.raw_number);
+  }
+
+  // Rebuild the index from stored file content (first start after upgrading, or on demand)
+  async rebuild({ instanceId, onProgress, throwIfCancelled } = {}) {
+    const where = { file_content: { [Op.ne]: null } };
+    if (instanceId) where.prosbc_instance_id = String(instanceId);
+    const fileIds = (await ProSBCDMFile.findAll({ where, attributes: ['id'], raw: true })).map(row => row.id);
+
+    let indexed = 0;
+    for (const [index, id] of fileIds.entries()) {
+      throwIfCancelled?.();
+      const dmFile = await ProSBCDMFile.findByPk(id);
+      if (!dmFile) continue;
+      indexed += await this.indexFile(dmFile, dmFile.file_content);
+      await onProgress?.(((index + 1) / fileIds.length) * 100, `Indexed ${index + 1} of ${fileIds.length} DM files`);
+    }
+    return { files: fileIds.length, numbers: indexed };
+  }
+
+  async isEmpty() {
+    return (await PhoneNumber.count()) === 0;
+  }
+}
+
+export default new PhoneNumberIndexService();
@@ -1,13 +1,23 @@
 import ProSBCInstance from '../models/ProSBCInstance.js';
-import bcrypt from 'bcryptjs';
+import { matchesInstanceSelector, describeInstanceSelector, isEmptySelector, normalizeTags, normalizeGroup } from '../utils/instanceSelector.js';
+import { decryptSecret, hasCredentialKey, isEncrypted, needsReencryption } from '../utils/credentialCrypto.js';
+
+// Groups and tags are matched by selectors, so they are stored trimmed (tags lowercase)
+const normalizeInstanceFields = (data) => ({
+  ...data,
+  ...(data.group !== undefined ? { group: normalizeGroup(data.group) } : {}),
+  ...(data.tags !== undefined ? { tags: normalizeTags(data.tags) } : {})
+});
 
 class ProSBCInstanceService {
   
-  // Get all active ProSBC instances
-  async getAllInstances() {
+  // Get all active ProSBC instances; includeInactive also returns the deactivated ones
+  async getAllInstances({ includeInactive = false } = {}) {
     try {
       console.log('[ProSBC Service] Calling ProSBCInstance.findActiveInstances()...');
-      const instances = await ProSBCInstance.findActiveInstances();
+      const instances = includeInactive
+        ? await ProSBCInstance.findAll({ order: [['id', 'ASC']] })
+        : await ProSBCInstance.findActiveInstances();
       console.log(`[ProSBC Service] Successfully retrieved ${instances.length} instances`);
       return instances;
     } catch (error) {
@@ -18,6 +28,18 @@ class ProSBCInstanceService {
     }
   }
 
+  // Active instances matching a selector (utils/instanceSelector.js), all of them without one.
+  // A selector that matches nothing is refused rather than silently doing nothing.
+  async selectInstances(selector) {
+    const instances = await this.getAllInstances();
+    if (isEmptySelector(selector)) return instances;
+    const selected = instances.filter(instance => matchesInstanceSelector(instance, selector));
+    if (selected.length === 0) {
+      throw Object.assign(new Error(`Invalid selector: no active instance matches ${describeInstanceSelector(selector)}`), { status: 400 });
+    }
+    return selected;
+  }
+
   // Get specific ProSBC instance by ID
   async getInstanceById(id) {
     try {
@@ -42,11 +64,11 @@ class ProSBCInstanceService {
       // Get baseUrl directly from the instance data
       return {
         id: instance.id,
-        name: instance.id, 
+        name: instance.name,
         baseUrl: rawInstance.baseUrl,
         username: instance.username,
-        password: instance.password,
-        location: ''
+        password: instance.getDecryptedPassword(),
+        location: instance.location
       };
     } catch (error) {
       console.error('Error getting credentials:', error);
@@ -54,10 +76,11 @@ class ProSBCInstanceService {
     }
   }
 
-  // Create new ProSBC instance
+  // Create new ProSBC instance; without an id one is derived from the name ("ProSBC NYC1" -> "prosbc-nyc1")
   async createInstance(instanceData) {
     try {
-      const instance = await ProSBCInstance.create(instanceData);
+      const id = instanceData.id || String(instanceData.name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 50);
+      const instance = await ProSBCInstance.create({ ...normalizeInstanceFields(instanceData), id });
       return instance;
     } catch (error) {
       if (error.name === 'SequelizeUniqueConstraintError') {
@@ -71,7 +94,7 @@ class ProSBCInstanceService {
   async updateInstance(id, updateData) {
     try {
       const instance = await this.getInstanceById(id);
-      await instance.update(updateData);
+      await instance.update(normalizeInstanceFields(updateData));
       return instance;
     } catch (error) {
       throw new Error(`Failed to update ProSBC instance: ${error.message}`);
@@ -164,12 +187,20 @@ class ProSBCInstanceService {
     }
   }
 
-  // For now, we'll use a simple decryption (in production, use proper encryption)
+  // Passwords are stored AES-GCM encrypted, see utils/credentialCrypto.js
   decryptPassword(encryptedPassword) {
-    // Since we're using bcrypt, we need to store plain passwords for API calls
-    // For production, consider using reversible encryption like AES
-    // For now, we'll modify the model to handle this differently
-    return encryptedPassword;
+    return decryptSecret(encryptedPassword);
+  }
+
+  // How many stored passwords still need scripts/encrypt-instance-passwords.js
+  async getCredentialStatus() {
+    const rows = await ProSBCInstance.findAll({ attributes: ['id', 'password'], raw: true });
+    const keyConfigured = hasCredentialKey();
+    return {
+      keyConfigured,
+      unencrypted: rows.filter(row => !isEncrypted(row.password)).map(row => row.id),
+      outdatedKey: keyConfigured ? rows.filter(row => isEncrypted(row.password) && needsReencryption(row.password)).map(row => row.id) : []
+    };
   }
 
   // Initialize default instances from environment
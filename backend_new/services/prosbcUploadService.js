@@ -0,0 +1,78 @@
+import { uploadDfFileToProSBC, uploadDmFileToProSBC } from '../utils/prosbc/fileUpload.js';
+import proSbcInstanceService from './proSbcInstanceService.js';
+import { prosbcLogin } from '../utils/prosbc/login.js';
+import fileRevisionService from './fileRevisionService.js';
+
+const UPLOADERS = {
+  df: { upload: uploadDfFileToProSBC, fileType: 'routesets_definitions' },
+  dm: { upload: uploadDmFileToProSBC, fileType: 'routesets_digitmaps' }
+};
+
+class ProSBCUploadService {
+
+  // Upload one DF/DM file to one instance and record the revision; throws when the login fails
+  async uploadToInstance(kind, buffer, fileName, instance, { author, reason, source } = {}) {
+    const uploader = UPLOADERS[kind];
+    if (!uploader) {
+      throw new Error(`Unsupported upload type: ${kind}`);
+    }
+    const sessionCookie = await prosbcLogin(instance.baseUrl, instance.username, instance.getDecryptedPassword());
+    const result = await uploader.upload(buffer, fileName, sessionCookie, instance.baseUrl, instance.id);
+    if (result.success) {
+      await fileRevisionService.recordRevision({
+        fileType: uploader.fileType,
+        fileName,
+        content: buffer.toString('utf8'),
+        instanceId: instance.id,
+        action: 'upload',
+        author,
+        reason,
+        source
+      });
+    }
+    return result;
+  }
+
+  // Upload one DF/DM file to every active instance in parallel, or to those matching
+  // selector (utils/instanceSelector.js).
+  // onInstanceStart(instance) / onInstanceDone(instance, result) are optional job hooks.
+  async uploadToAllInstances(kind, buffer, fileName, { selector, author, reason, source, onInstanceStart, onInstanceDone } = {}) {
+    const uploader = UPLOADERS[kind];
+    if (!uploader) {
+      throw new Error(`Unsupported upload type: ${kind}`);
+    }
+    const instances = await proSbcInstanceService.selectInstances(selector);
+
+    // Process all instances in parallel using Promise.allSettled
+    const results = await Promise.allSettled(
+      instances.map(async (instance) => {
+        let outcome;
+        try {
+          await onInstanceStart?.(instance);
+          const result = await this.uploadToInstance(kind, buffer, fileName, instance, { author, reason, source });
+          outcome = {
+            instance: instance.name,
+            success: result.success,
+            details: result
+          };
+        } catch (err) {
+          outcome = {
+            instance: instance.name,
+            success: false,
+            error: err.message
+          };
+        }
+        await onInstanceDone?.(instance, outcome);
+        return outcome;
+      })
+    );
+
+    // Format results from Promise.allSettled
+    return results.map(r =>
+      r.status === 'fulfilled' ? r.value :
+      { instance: 'unknown', success: false, error: r.reason?.message || 'Unknown error' }
+    );
+  }
+}
+
+export default new ProSBCUploadService();
@@ -0,0 +1,474 @@
+import { Op } from 'sequelize';
+import ReplicationPolicy from '../models/ReplicationPolicy.js';
+import ReplicationRun from '../models/ReplicationRun.js';
+import ReplicationConflict from '../models/ReplicationConflict.js';
+import jobQueueService from './jobQueueService.js';
+import proSbcInstanceService from './proSbcInstanceService.js';
+import driftService from './driftService.js';
+import dmConflictService from './dmConflictService.js';
+import auditService, { AUDIT_ACTIONS } from './auditService.js';
+import { checksumOf } from './updatePlanService.js';
+
+// Replication policies: a DF/DM file saved on the primary (source instance and configuration)
+// is copied to every replica when its name matches one of the policy's patterns. Replicas
+// are expected to hold what replication last wrote; anything else is reported as a conflict.
+export const REPLICATION_JOB = 'replication-run';
+
+export const REPLICATION_TARGET_STATUSES = ['pending', 'running', 'succeeded', 'failed', 'conflict', 'skipped'];
+
+// Earlier runs of the same file this many back are searched for the last replicated content
+const HISTORY_RUNS = 50;
+
+const replicationError = (message, status) => Object.assign(new Error(message), { status });
+
+// Shell-style glob on the file name: * any characters, ? one character, case-insensitive
+const patternToRegExp = (pattern) =>
+  new RegExp(`^${pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+
+export const matchesFilePattern = (fileName, patterns) =>
+  patterns.some(pattern => patternToRegExp(pattern).test(fileName));
+
+const sameConfig = (wanted, actual) => !wanted || String(wanted) === String(actual || '');
+
+// Lists leave the replicated content out; GET /replication/runs/:id includes it
+export function serializeRun(run, { includeContent = false } = {}) {
+  const { content, ...fields } = run.toJSON();
+  return includeContent ? { ...fields, content } : fields;
+}
+
+class ReplicationService {
+
+  // --- Policies ---
+
+  async listPolicies() {
+    return ReplicationPolicy.findAll({ order: [['name', 'ASC']] });
+  }
+
+  async getPolicy(id) {
+    const policy = await ReplicationPolicy.findByPk(id);
+    if (!policy) throw replicationError(`Replication policy ${id} not found`, 404);
+    return policy;
+  }
+
+  // Normalize and check the editable fields of a policy
+  async validatePolicy({ name, description, sourceInstanceId, sourceConfigId, targets, filePatterns, enabled }) {
+    if (!name || !String(name).trim()) throw replicationError('Invalid name: required', 400);
+    if (!sourceInstanceId) throw replicationError('Invalid sourceInstanceId: required', 400);
+    const normalizedTargets = (Array.isArray(targets) ? targets : [])
+      .map(target => (typeof target === 'object' && target !== null
+        ? { instanceId: String(target.instanceId || ''), configId: target.configId ? String(target.configId) : null }
+        : { instanceId: String(target), configId: null }))
+      .filter(target => target.instanceId);
+    if (normalizedTargets.length === 0) throw replicationError('Invalid targets: select at least one replica', 400);
+    const patterns = (Array.isArray(filePatterns) ? filePatterns : String(filePatterns || '').split(','))
+      .map(pattern => String(pattern).trim())
+      .filter(Boolean);
+    if (patterns.length === 0) throw replicationError('Invalid filePatterns: add at least one pattern, e.g. *_DM.csv', 400);
+
+    for (const instanceId of [sourceInstanceId, ...normalizedTargets.map(target => target.instanceId)]) {
+      try {
+        await proSbcInstanceService.getInstanceById(instanceId);
+      } catch (error) {
+        throw replicationError(`Invalid instance: ${instanceId} not found`, 400);
+      }
+    }
+    const sourceConfig = sourceConfigId ? String(sourceConfigId) : null;
+    const copiesToItself = normalizedTargets.some(target =>
+      target.instanceId === String(sourceInstanceId) && (target.configId || null) === sourceConfig);
+    if (copiesToItself) throw replicationError('Invalid targets: a replica cannot be the source itself', 400);
+
+    return {
+      name: String(name).trim(),
+      description: description || null,
+      sourceInstanceId: String(sourceInstanceId),
+      sourceConfigId: sourceConfig,
+      targets: normalizedTargets,
+      filePatterns: patterns,
+      enabled: enabled === undefined ? true : enabled === true || enabled === 'true'
+    };
+  }
+
+  async recordPolicyChange(policy, change, user, ip) {
+    await auditService.record({
+      user,
+      ip,
+      action: AUDIT_ACTIONS.REPLICATION_POLICY_CHANGED,
+      instanceId: policy.sourceInstanceId,
+      target: policy.name,
+      details: {
+        change,
+        policyId: policy.id,
+        sourceConfigId: policy.sourceConfigId,
+        targets: policy.targets,
+        filePatterns: policy.filePatterns,
+        enabled: policy.enabled
+      }
+    });
+  }
+
+  async createPolicy(fields, user, ip) {
+    const values = await this.validatePolicy(fields);
+    if (await ReplicationPolicy.findOne({ where: { name: values.name } })) {
+      throw replicationError(`A replication policy named ${values.name} already exists`, 409);
+    }
+    const policy = await ReplicationPolicy.create({ ...values, createdBy: user?.username, updatedBy: user?.username });
+    await this.recordPolicyChange(policy, 'created', user, ip);
+    console.log(`✅ Replication policy ${policy.name} created by ${user?.username}`);
+    return policy;
+  }
+
+  async updatePolicy(id, fields, user, ip) {
+    const policy = await this.getPolicy(id);
+    const values = await this.validatePolicy({ ...policy.toJSON(), ...fields });
+    const sameName = await ReplicationPolicy.findOne({ where: { name: values.name, id: { [Op.ne]: policy.id } } });
+    if (sameName) throw replicationError(`A replication policy named ${values.name} already exists`, 409);
+    await policy.update({ ...values, updatedBy: user?.username });
+    await this.recordPolicyChange(policy, 'updated', user, ip);
+    return policy;
+  }
+
+  // Runs and conflicts stay for the record
+  async deletePolicy(id, user, ip) {
+    const policy = await this.getPolicy(id);
+    await policy.destroy();
+    await this.recordPolicyChange(policy, 'deleted', user, ip);
+    console.log(`📝 Replication policy ${policy.name} deleted by ${user?.username}`);
+  }
+
+  // --- Saves on the primary and on replicas ---
+
+  /**
+   * Called after a DF/DM file was saved on an instance through the dashboard. Queues a run for
+   * each policy the instance is the source of, and records a conflict for each policy it is
+   * a replica of. Returns null when no policy covers the file. Never throws: the save itself
+   * already succeeded.
+   */
+  async onFileSaved(save, user, options = {}) {
+    try {
+      return await this.replicateSave(save, user, options);
+    } catch (error) {
+      console.warn(`⚠️ Replication: could not process the save of ${save.fileName} on ${save.instanceId}: ${error.message}`);
+      return { queued: [], conflicts: [], error: error.message };
+    }
+  }
+
+  async replicateSave({ instanceId, configId, fileType, fileName, content }, user, { reason } = {}) {
+    if (!instanceId || !fileName) return null;
+    const policies = (await ReplicationPolicy.findAll({ where: { enabled: true } }))
+      .filter(policy => matchesFilePattern(fileName, policy.filePatterns));
+    const queued = [];
+    const conflicts = [];
+
+    for (const policy of policies) {
+      if (policy.sourceInstanceId === String(instanceId) && sameConfig(policy.sourceConfigId, configId)) {
+        const run = await this.queueRun(policy, { fileType, fileName, content, configId, triggeredBy: user?.username, reason });
+        queued.push({ policyId: policy.id, policy: policy.name, runId: run.id, jobId: run.jobId, targets: run.targets.length });
+        continue;
+      }
+      const replica = policy.targets.find(target => target.instanceId === String(instanceId) && sameConfig(target.configId, configId));
+      if (!replica) continue;
+      const expectedChecksum = await this.expectedChecksum(policy.id, instanceId, fileType, fileName);
+      const actualChecksum = checksumOf(content);
+      if (expectedChecksum === actualChecksum) continue;
+      const conflict = await this.recordConflict(policy, {
+        kind: 'replica-edit',
+        instanceId,
+        fileType,
+        fileName,
+        expectedChecksum,
+        actualChecksum,
+        detectedBy: user?.username || null
+      });
+      console.warn(`⚠️ Replication: ${fileName} edited directly on replica ${instanceId} of policy ${policy.name} by ${user?.username}`);
+      conflicts.push({ policyId: policy.id, policy: policy.name, conflictId: conflict.id });
+    }
+
+    if (queued.length === 0 && conflicts.length === 0) return null;
+    return { queued, conflicts };
+  }
+
+  async queueRun(policy, { fileType, fileName, content, configId, triggeredBy, reason }) {
+    const run = await ReplicationRun.create({
+      policyId: policy.id,
+      fileType,
+      fileName,
+      content,
+      contentChecksum: checksumOf(content),
+      sourceInstanceId: policy.sourceInstanceId,
+      sourceConfigId: configId ? String(configId) : policy.sourceConfigId,
+      targets: policy.targets.map(target => ({ ...target, status: 'pending', attempts: 0 })),
+      triggeredBy,
+      reason: reason || null
+    });
+    const job = await jobQueueService.enqueue(REPLICATION_JOB, { runId: run.id }, { createdBy: triggeredBy, instanceId: policy.sourceInstanceId });
+    await run.update({ jobId: job.id });
+    console.log(`📝 Replication run ${run.id}: ${fileName} from ${policy.sourceInstanceId} to ${run.targets.length} replica(s) of ${policy.name}, job ${job.id}`);
+    return run;
+  }
+
+  /**
+   * Checksum the replica is expected to hold: the content replication last wrote there, or
+   * the replica's own content when a later conflict about it was dismissed. Null if neither.
+   */
+  async expectedChecksum(policyId, instanceId, fileType, fileName, { beforeRunId } = {}) {
+    const runs = await ReplicationRun.findAll({
+      where: { policyId, fileType, fileName, ...(beforeRunId ? { id: { [Op.lt]: beforeRunId } } : {}) },
+      attributes: ['id', 'contentChecksum', 'targets', 'updatedAt'],
+      order: [['id', 'DESC']],
+      limit: HISTORY_RUNS
+    });
+    let replicated = null;
+    for (const run of runs) {
+      const target = run.targets.find(candidate => candidate.instanceId === String(instanceId) && candidate.status === 'succeeded');
+      if (target) {
+        replicated = { checksum: run.contentChecksum, at: new Date(target.finishedAt || run.updatedAt) };
+        break;
+      }
+    }
+    const dismissed = await ReplicationConflict.findOne({
+      where: { policyId, instanceId: String(instanceId), fileType, fileName, resolution: 'dismissed' },
+      order: [['resolvedAt', 'DESC']]
+    });
+    if (dismissed && (!replicated || dismissed.resolvedAt > replicated.at)) return dismissed.actualChecksum;
+    return replicated?.checksum || null;
+  }
+
+  // One open conflict per replica and file: a newer finding updates it
+  async recordConflict(policy, { kind, instanceId, fileType, fileName, expectedChecksum, actualChecksum, detectedBy, runId = null }) {
+    const open = await ReplicationConflict.findOne({
+      where: { policyId: policy.id, instanceId: String(instanceId), fileType, fileName, resolvedAt: null }
+    });
+    if (open) {
+      return open.update({ kind, expectedChecksum, actualChecksum, detectedBy, runId: runId || open.runId });
+    }
+    return ReplicationConflict.create({
+      policyId: policy.id,
+      kind,
+      instanceId: String(instanceId),
+      fileType,
+      fileName,
+      expectedChecksum,
+      actualChecksum,
+      detectedBy,
+      runId
+    });
+  }
+
+  async resolveConflicts(policyId, instanceId, fileType, fileName, username, resolution) {
+    await ReplicationConflict.update(
+      { resolvedAt: new Date(), resolvedBy: username || null, resolution },
+      { where: { policyId, instanceId: String(instanceId), fileType, fileName, resolvedAt: null } }
+    );
+  }
+
+  // --- Runs ---
+
+  async listRuns({ policyId, status, limit = 100 } = {}) {
+    const where = {};
+    if (policyId) where.policyId = policyId;
+    if (status) where.status = { [Op.in]: String(status).split(',') };
+    return ReplicationRun.findAll({ where, order: [['id', 'DESC']], limit: Math.min(Number(limit) || 100, 500) });
+  }
+
+  async getRun(id) {
+    const run = await ReplicationRun.findByPk(id);
+    if (!run) throw replicationError(`Replication run ${id} not found`, 404);
+    return run;
+  }
+
+  // Failed and conflicting replicas of a run, or the one named
+  retryableTargets(run, instanceId = null) {
+    return run.targets.filter(target => (instanceId
+      ? target.instanceId === String(instanceId) && target.status !== 'succeeded'
+      : ['failed', 'conflict'].includes(target.status)));
+  }
+
+  /**
+   * Queue another attempt for failed or conflicting replicas. force overwrites replicas that
+   * were changed outside the policy; allowConflicts lets DM number conflicts through.
+   */
+  async retry(id, { instanceId, force = false, allowConflicts = false } = {}, user) {
+    const run = await this.getRun(id);
+    if (['queued', 'running'].includes(run.status)) throw replicationError(`Replication run ${id} is still ${run.status}`, 409);
+    const retrying = this.retryableTargets(run, instanceId).map(target => target.instanceId);
+    if (retrying.length === 0) throw replicationError('Nothing to retry: no failed or conflicting replica', 409);
+
+    await run.update({
+      status: 'queued',
+      targets: run.targets.map(target => (retrying.includes(target.instanceId) ? { ...target, status: 'pending', error: null } : target))
+    });
+    const job = await jobQueueService.enqueue(REPLICATION_JOB, {
+      runId: run.id,
+      instanceIds: retrying,
+      force,
+      allowConflicts,
+      retriedBy: user?.username
+    }, { createdBy: user?.username, instanceId: run.sourceInstanceId });
+    await run.update({ jobId: job.id });
+    console.log(`📝 Replication run ${run.id} retried for ${retrying.join(', ')} by ${user?.username}${force ? ' (force)' : ''}`);
+    return run;
+  }
+
+  // Job handler: copy the run's content to its pending replicas, one step each
+  async execute({ runId, instanceIds, force = false, allowConflicts = false, retriedBy }, ctx) {
+    const run = await this.getRun(runId);
+    const policy = await ReplicationPolicy.findByPk(run.policyId);
+    const pending = run.targets.filter(target => target.status === 'pending' && (!instanceIds || instanceIds.includes(target.instanceId)));
+
+    // A later save of the same file replaces this one; writing it now would roll the replicas back
+    const newer = await ReplicationRun.findOne({
+      where: { policyId: run.policyId, fileType: run.fileType, fileName: run.fileName, id: { [Op.gt]: run.id } },
+      attributes: ['id']
+    });
+    if (!policy || newer) {
+      const error = newer ? `Superseded by run ${newer.id}` : 'Replication policy was deleted';
+      await run.update({
+        targets: run.targets.map(target => (target.status === 'pending' ? { ...target, status: 'skipped', error } : target))
+      });
+      await run.update({ status: this.statusOf(run.targets) });
+      return { runId: run.id, status: run.status, skipped: pending.length, reason: error };
+    }
+
+    await run.update({ status: 'running', jobId: ctx.job.id });
+    let finished = 0;
+    for (const target of pending) {
+      const stepIndex = await ctx.addStep(`Replicate to ${target.instanceId}`, { instanceId: target.instanceId });
+      ctx.throwIfCancelled();
+      await this.setTarget(run, target.instanceId, { status: 'running' });
+
+      const outcome = await this.replicateTo(run, policy, target, { force, allowConflicts, author: retriedBy || run.triggeredBy });
+      await this.setTarget(run, target.instanceId, {
+        ...outcome,
+        attempts: (target.attempts || 0) + 1,
+        finishedAt: new Date().toISOString()
+      });
+      await ctx.updateStep(stepIndex, {
+        status: outcome.status === 'succeeded' ? 'succeeded' : 'failed',
+        error: outcome.error || undefined
+      });
+      finished++;
+      await ctx.progress((finished / pending.length) * 100, `Replicated to ${finished} of ${pending.length} replicas`);
+    }
+
+    await run.update({ status: this.statusOf(run.targets) });
+    console.log(`✅ Replication run ${run.id} (${run.fileName}): ${run.status}`);
+    return {
+      runId: run.id,
+      status: run.status,
+      targets: run.targets.map(({ instanceId, status, error }) => ({ instanceId, status, error }))
+    };
+  }
+
+  statusOf(targets) {
+    const succeeded = targets.filter(target => target.status === 'succeeded').length;
+    if (succeeded === targets.length) return 'succeeded';
+    return succeeded === 0 ? 'failed' : 'partial';
+  }
+
+  async setTarget(run, instanceId, fields) {
+    await run.update({
+      targets: run.targets.map(target => (target.instanceId === String(instanceId) ? { ...target, ...fields } : target))
+    });
+  }
+
+  // Write the run's content to one replica unless the replica was changed outside the policy
+  async replicateTo(run, policy, target, { force, allowConflicts, author }) {
+    const { fileType, fileName, content, contentChecksum } = run;
+    let beforeChecksum = null;
+    try {
+      const current = await driftService.fetchFile(target.instanceId, fileType, fileName, target.configId);
+      beforeChecksum = current ? checksumOf(current.content) : null;
+      if (beforeChecksum === contentChecksum) {
+        return { status: 'succeeded', action: 'none', beforeChecksum, error: null };
+      }
+
+      if (!force) {
+        const expectedChecksum = await this.expectedChecksum(policy.id, target.instanceId, fileType, fileName, { beforeRunId: run.id });
+        const openConflict = await ReplicationConflict.findOne({
+          where: { policyId: policy.id, instanceId: target.instanceId, fileType, fileName, resolvedAt: null },
+          attributes: ['id']
+        });
+        if (openConflict || (expectedChecksum && beforeChecksum !== expectedChecksum)) {
+          if (!openConflict) {
+            await this.recordConflict(policy, {
+              kind: 'diverged',
+              instanceId: target.instanceId,
+              fileType,
+              fileName,
+              expectedChecksum,
+              actualChecksum: beforeChecksum,
+              detectedBy: 'replication',
+              runId: run.id
+            });
+          }
+          return {
+            status: 'conflict',
+            action: null,
+            beforeChecksum,
+            error: 'The replica was changed outside replication; retry with force to overwrite it'
+          };
+        }
+      }
+
+      if (fileType === 'routesets_digitmaps') {
+        const conflictCheck = await dmConflictService.checkContent({ fileName, content, instanceIds: [target.instanceId], allowConflicts });
+        if (conflictCheck.blocked) return { status: 'failed', action: null, beforeChecksum, error: conflictCheck.message };
+      }
+
+      const result = await driftService.writeFile(target.instanceId, fileType, fileName, content, current, {
+        author,
+        reason: run.reason || `Replication policy ${policy.name}`,
+        source: `replication/${policy.id} run ${run.id}`
+      });
+      await auditService.record({
+        user: { username: author },
+        action: result.action === 'uploaded' ? AUDIT_ACTIONS.FILE_UPLOADED : AUDIT_ACTIONS.FILE_UPDATED,
+        instanceId: target.instanceId,
+        configId: current?.file.configId || target.configId,
+        target: fileName,
+        beforeHash: beforeChecksum,
+        afterHash: contentChecksum,
+        outcome: result.success ? 'success' : 'failure',
+        error: result.success ? null : result.message,
+        details: { fileType, replicationRunId: run.id, policyId: policy.id, sourceInstanceId: run.sourceInstanceId, force: force || undefined }
+      });
+      if (!result.success) {
+        return { status: 'failed', action: result.action, beforeChecksum, error: result.message || 'ProSBC rejected the update' };
+      }
+      await this.resolveConflicts(policy.id, target.instanceId, fileType, fileName, author, 'overwritten');
+      return { status: 'succeeded', action: result.action, beforeChecksum, error: null };
+    } catch (error) {
+      console.warn(`⚠️ Replication run ${run.id}: ${fileName} to ${target.instanceId} failed: ${error.message}`);
+      return { status: 'failed', action: null, beforeChecksum, error: error.message };
+    }
+  }
+
+  // --- Conflicts ---
+
+  async listConflicts({ policyId, open = true, limit = 200 } = {}) {
+    const where = {};
+    if (policyId) where.policyId = policyId;
+    if (open) where.resolvedAt = null;
+    return ReplicationConflict.findAll({ where, order: [['updatedAt', 'DESC']], limit: Math.min(Number(limit) || 200, 1000) });
+  }
+
+  async openConflictCount() {
+    return ReplicationConflict.count({ where: { resolvedAt: null } });
+  }
+
+  // Accept the replica's content: the next replication compares against it instead of flagging it again
+  async getConflict(id) {
+    const conflict = await ReplicationConflict.findByPk(id);
+    if (!conflict) throw replicationError(`Replication conflict ${id} not found`, 404);
+    return conflict;
+  }
+
+  async dismissConflict(id, user) {
+    const conflict = await this.getConflict(id);
+    if (conflict.resolvedAt) throw replicationError(`Replication conflict ${id} is already resolved`, 409);
+    await conflict.update({ resolvedAt: new Date(), resolvedBy: user?.username || null, resolution: 'dismissed' });
+    return conflict;
+  }
+}
+
+export default new ReplicationService();
@@ -0,0 +1,368 @@
+import { Op } from 'sequelize';
+import Rollout from '../models/Rollout.js';
+import jobQueueService from './jobQueueService.js';
+import proSbcInstanceService from './proSbcInstanceService.js';
+import driftService from './driftService.js';
+import auditService, { AUDIT_ACTIONS } from './auditService.js';
+import notificationService, { NOTIFICATION_TYPES } from './notificationService.js';
+import { checksumOf } from './updatePlanService.js';
+import { describeInstanceSelector } from '../utils/instanceSelector.js';
+
+// Staged rollouts: the file goes to a canary instance first and is verified by exporting it
+// again and comparing hashes, then to the other instances in waves. Too many failures halt
+// the rollout; the instances already written can be reverted to their previous content.
+export const ROLLOUT_JOB = 'rollout-run';
+export const ROLLOUT_REVERT_JOB = 'rollout-revert';
+
+export const ROLLOUT_TARGET_STATUSES = ['pending', 'running', 'succeeded', 'failed', 'skipped', 'reverted', 'revert-failed'];
+
+const FILE_TYPES = { df: 'routesets_definitions', dm: 'routesets_digitmaps' };
+
+// Statuses a revert can be requested from; revert-failed retries the remaining instances
+const REVERTABLE_STATUSES = ['halted', 'succeeded', 'revert-failed'];
+
+const rolloutError = (message, status) => Object.assign(new Error(message), { status });
+
+const flag = (value) => value === true || value === 'true';
+
+// Lists leave the content and the snapshots out; GET /rollouts/:id includes the content
+export function serializeRollout(rollout, { includeContent = false } = {}) {
+  const { content, snapshots, ...fields } = rollout.toJSON();
+  return {
+    ...fields,
+    revertable: REVERTABLE_STATUSES.includes(rollout.status) && rollout.targets.some(target => target.written && target.status !== 'reverted'),
+    ...(includeContent ? { content } : {})
+  };
+}
+
+/**
+ * Read the rollout options of a request body: canaryInstanceId, waveSize (instances per
+ * wave after the canary, default 1), maxFailures (failed instances tolerated, default 0)
+ * and autoRevert.
+ */
+export function parseRolloutOptions(source = {}) {
+  const waveSize = source.waveSize == null || source.waveSize === '' ? 1 : Number(source.waveSize);
+  if (!Number.isInteger(waveSize) || waveSize < 1) throw rolloutError('Invalid waveSize: expected a whole number of at least 1', 400);
+  const maxFailures = source.maxFailures == null || source.maxFailures === '' ? 0 : Number(source.maxFailures);
+  if (!Number.isInteger(maxFailures) || maxFailures < 0) throw rolloutError('Invalid maxFailures: expected a whole number of at least 0', 400);
+  return {
+    canaryInstanceId: source.canaryInstanceId ? String(source.canaryInstanceId) : null,
+    waveSize,
+    maxFailures,
+    autoRevert: flag(source.autoRevert)
+  };
+}
+
+class RolloutService {
+
+  /**
+   * Plan a rollout of one DF/DM file (kind 'df' or 'dm') over the selected instances and queue it.
+   * @returns {Promise<{rollout, job}>}
+   */
+  async start(kind, buffer, fileName, { selector, canaryInstanceId, waveSize = 1, maxFailures = 0, autoRevert = false, author, reason } = {}) {
+    const fileType = FILE_TYPES[kind];
+    if (!fileType) throw rolloutError(`Unsupported upload type: ${kind}`, 400);
+    const instances = await proSbcInstanceService.selectInstances(selector);
+    const canary = canaryInstanceId
+      ? instances.find(instance => String(instance.id) === String(canaryInstanceId))
+      : instances[0];
+    if (!canary) {
+      throw rolloutError(`Invalid canaryInstanceId: ${canaryInstanceId} is not among ${describeInstanceSelector(selector)}`, 400);
+    }
+
+    const others = instances.filter(instance => instance !== canary);
+    const targets = [canary, ...others].map((instance, index) => ({
+      instanceId: String(instance.id),
+      name: instance.name,
+      wave: index === 0 ? 0 : Math.ceil(index / waveSize),
+      status: 'pending'
+    }));
+    const content = buffer.toString('utf8');
+    const rollout = await Rollout.create({
+      fileType,
+      fileName,
+      content,
+      contentChecksum: checksumOf(content),
+      selector: selector || null,
+      canaryInstanceId: String(canary.id),
+      waveSize,
+      maxFailures,
+      autoRevert,
+      targets,
+      startedBy: author || null,
+      reason: reason || null
+    });
+    const job = await jobQueueService.enqueue(ROLLOUT_JOB, { rolloutId: rollout.id }, { createdBy: author });
+    await rollout.update({ jobId: job.id });
+    console.log(`📝 Rollout ${rollout.id}: ${fileName} to ${targets.length} instance(s), canary ${canary.id}, ${targets[targets.length - 1].wave} wave(s) after it, job ${job.id}`);
+    return { rollout, job };
+  }
+
+  async listRollouts({ status, limit = 50 } = {}) {
+    const where = {};
+    if (status) where.status = { [Op.in]: String(status).split(',') };
+    return Rollout.findAll({
+      where,
+      attributes: { exclude: ['content', 'snapshots'] },
+      order: [['id', 'DESC']],
+      limit: Math.min(Number(limit) || 50, 500)
+    });
+  }
+
+  async getRollout(id) {
+    const rollout = await Rollout.findByPk(id);
+    if (!rollout) throw rolloutError(`Rollout ${id} not found`, 404);
+    return rollout;
+  }
+
+  // Job handler: the canary, then one wave after the other while the failures stay within maxFailures
+  async execute({ rolloutId }, ctx) {
+    const rollout = await this.getRollout(rolloutId);
+    await rollout.update({ status: 'running', jobId: ctx.job.id });
+    const lastWave = Math.max(...rollout.targets.map(target => target.wave));
+    const author = rollout.startedBy;
+
+    for (let wave = 0; wave <= lastWave; wave++) {
+      if (ctx.isCancelled()) {
+        await this.halt(rollout, 'Cancelled');
+        ctx.throwIfCancelled();
+      }
+      const waveTargets = rollout.targets.filter(target => target.wave === wave && target.status === 'pending');
+      await this.setTargets(rollout, waveTargets.map(target => target.instanceId), { status: 'running' });
+
+      const outcomes = await Promise.all(waveTargets.map(async (target) => {
+        const stepIndex = await ctx.addStep(`${wave === 0 ? 'Canary' : `Wave ${wave}`}: ${target.name}`, { instanceId: target.instanceId });
+        const outcome = await this.writeTarget(rollout, target, author);
+        await ctx.updateStep(stepIndex, {
+          status: outcome.status === 'succeeded' ? 'succeeded' : 'failed',
+          error: outcome.error || undefined
+        });
+        return outcome;
+      }));
+      // previousContent goes to the snapshots column, which lists leave out
+      await rollout.update({
+        targets: rollout.targets.map(target => {
+          const outcome = outcomes.find(candidate => candidate.instanceId === target.instanceId);
+          if (!outcome) return target;
+          const { previousContent, ...fields } = outcome;
+          return { ...target, ...fields, finishedAt: new Date().toISOString() };
+        }),
+        snapshots: {
+          ...rollout.snapshots,
+          ...Object.fromEntries(outcomes.filter(outcome => outcome.written).map(outcome => [outcome.instanceId, outcome.previousContent]))
+        }
+      });
+
+      const done = rollout.targets.filter(target => target.wave <= wave).length;
+      await ctx.progress((done / rollout.targets.length) * 100, `Rolled out to ${done} of ${rollout.targets.length} instances`);
+
+      const failed = rollout.targets.filter(target => target.status === 'failed');
+      if (wave === 0 && failed.length > 0) {
+        await this.halt(rollout, `Canary ${failed[0].name} failed: ${failed[0].error}`);
+        break;
+      }
+      if (failed.length > rollout.maxFailures) {
+        await this.halt(rollout, `${failed.length} instance(s) failed, more than the ${rollout.maxFailures} allowed`);
+        break;
+      }
+    }
+
+    if (rollout.status === 'running') {
+      await rollout.update({ status: 'succeeded' });
+    } else if (rollout.autoRevert && serializeRollout(rollout).revertable) {
+      await this.revertTargets(rollout, ctx, { revertedBy: author });
+    }
+    console.log(`✅ Rollout ${rollout.id} (${rollout.fileName}): ${rollout.status}`);
+    return this.summaryOf(rollout);
+  }
+
+  summaryOf(rollout) {
+    return {
+      rolloutId: rollout.id,
+      status: rollout.status,
+      haltReason: rollout.haltReason,
+      revertable: serializeRollout(rollout).revertable,
+      targets: rollout.targets.map(({ instanceId, name, wave, status, action, error, revertError }) => ({ instanceId, name, wave, status, action, error, revertError }))
+    };
+  }
+
+  async setTargets(rollout, instanceIds, fields) {
+    await rollout.update({
+      targets: rollout.targets.map(target => (instanceIds.includes(target.instanceId) ? { ...target, ...fields } : target))
+    });
+  }
+
+  // Stop: instances not reached yet are skipped, and whoever started it is notified
+  async halt(rollout, haltReason) {
+    await rollout.update({
+      status: 'halted',
+      haltReason,
+      targets: rollout.targets.map(target => (['pending', 'running'].includes(target.status) ? { ...target, status: 'skipped' } : target))
+    });
+    const written = rollout.targets.filter(target => target.written).length;
+    console.warn(`⚠️ Rollout ${rollout.id} (${rollout.fileName}) halted: ${haltReason}`);
+    await notificationService.notify({
+      type: NOTIFICATION_TYPES.ROLLOUT_HALTED,
+      severity: 'warning',
+      title: `Rollout of ${rollout.fileName} halted`,
+      message: `${haltReason}. ${written} instance(s) already updated${rollout.autoRevert ? ', reverting them' : ''}.`,
+      details: { rolloutId: rollout.id, startedBy: rollout.startedBy, written }
+    });
+  }
+
+  // Write the file to one instance and verify it by exporting it again; previousContent is what it replaced
+  async writeTarget(rollout, target, author) {
+    const { fileType, fileName, content, contentChecksum } = rollout;
+    const outcome = { instanceId: target.instanceId, written: false, action: null, beforeChecksum: null, verifiedChecksum: null, error: null };
+    try {
+      const current = await driftService.fetchFile(target.instanceId, fileType, fileName);
+      outcome.beforeChecksum = current ? checksumOf(current.content) : null;
+      if (outcome.beforeChecksum === contentChecksum) {
+        return { ...outcome, status: 'succeeded', action: 'none', verifiedChecksum: contentChecksum };
+      }
+
+      const result = await driftService.writeFile(target.instanceId, fileType, fileName, content, current, {
+        author,
+        reason: rollout.reason || `Rollout ${rollout.id}`,
+        source: `rollout/${rollout.id}`
+      });
+      outcome.action = result.action;
+      await auditService.record({
+        user: { username: author },
+        action: result.action === 'uploaded' ? AUDIT_ACTIONS.FILE_UPLOADED : AUDIT_ACTIONS.FILE_UPDATED,
+        instanceId: target.instanceId,
+        configId: current?.file.configId,
+        target: fileName,
+        beforeHash: outcome.beforeChecksum,
+        afterHash: contentChecksum,
+        outcome: result.success ? 'success' : 'failure',
+        error: result.success ? null : result.message,
+        details: { fileType, rolloutId: rollout.id, wave: target.wave }
+      });
+      if (!result.success) {
+        return { ...outcome, status: 'failed', error: result.message || 'ProSBC rejected the update' };
+      }
+
+      // From here on the instance may hold the new content, so a revert has to cover it
+      Object.assign(outcome, { written: true, previousContent: current ? current.content : null });
+      const exported = await driftService.fetchFile(target.instanceId, fileType, fileName);
+      outcome.verifiedChecksum = exported ? checksumOf(exported.content) : null;
+      if (outcome.verifiedChecksum !== contentChecksum) {
+        return {
+          ...outcome,
+          status: 'failed',
+          error: exported
+            ? `Verification failed: ${fileName} exported from the instance differs from the rolled out file`
+            : `Verification failed: ${fileName} is missing on the instance after the ${result.action === 'uploaded' ? 'upload' : 'update'}`
+        };
+      }
+      return { ...outcome, status: 'succeeded' };
+    } catch (error) {
+      console.warn(`⚠️ Rollout ${rollout.id}: ${fileName} to ${target.instanceId} failed: ${error.message}`);
+      return { ...outcome, status: 'failed', error: error.message };
+    }
+  }
+
+  // Queue a revert of every instance the rollout wrote to
+  async requestRevert(id, user) {
+    const rollout = await this.getRollout(id);
+    if (!REVERTABLE_STATUSES.includes(rollout.status)) {
+      throw rolloutError(`Rollout ${id} is ${rollout.status}; only halted or finished rollouts can be reverted`, 409);
+    }
+    if (!serializeRollout(rollout).revertable) throw rolloutError('Nothing to revert: the rollout did not change any instance', 409);
+
+    await rollout.update({ status: 'reverting', revertedBy: user?.username || null });
+    const job = await jobQueueService.enqueue(ROLLOUT_REVERT_JOB, { rolloutId: rollout.id, revertedBy: user?.username }, { createdBy: user?.username });
+    await rollout.update({ jobId: job.id });
+    console.log(`📝 Rollout ${rollout.id} revert requested by ${user?.username}, job ${job.id}`);
+    return { rollout, job };
+  }
+
+  // Job handler for requestRevert
+  async revert({ rolloutId, revertedBy }, ctx) {
+    const rollout = await this.getRollout(rolloutId);
+    await rollout.update({ jobId: ctx.job.id });
+    await this.revertTargets(rollout, ctx, { revertedBy });
+    console.log(`✅ Rollout ${rollout.id} (${rollout.fileName}): ${rollout.status}`);
+    return this.summaryOf(rollout);
+  }
+
+  async revertTargets(rollout, ctx, { revertedBy }) {
+    await rollout.update({ status: 'reverting', revertedBy: revertedBy || null });
+    const reverting = rollout.targets.filter(target => target.written && target.status !== 'reverted');
+    let finished = 0;
+    for (const target of reverting) {
+      ctx.throwIfCancelled();
+      const stepIndex = await ctx.addStep(`Revert ${target.name}`, { instanceId: target.instanceId });
+      const error = await this.revertTarget(rollout, target, revertedBy);
+      await this.setTargets(rollout, [target.instanceId], {
+        status: error ? 'revert-failed' : 'reverted',
+        revertError: error,
+        revertedAt: error ? undefined : new Date().toISOString()
+      });
+      await ctx.updateStep(stepIndex, { status: error ? 'failed' : 'succeeded', error: error || undefined });
+      finished++;
+      await ctx.progress((finished / reverting.length) * 100, `Reverted ${finished} of ${reverting.length} instances`);
+    }
+
+    const failed = rollout.targets.filter(target => target.status === 'revert-failed');
+    await rollout.update({ status: failed.length > 0 ? 'revert-failed' : 'reverted' });
+    await notificationService.notify({
+      type: NOTIFICATION_TYPES.ROLLOUT_REVERTED,
+      severity: failed.length > 0 ? 'critical' : 'info',
+      title: failed.length > 0
+        ? `Revert of the ${rollout.fileName} rollout failed on ${failed.length} instance(s)`
+        : `Rollout of ${rollout.fileName} reverted`,
+      message: failed.length > 0
+        ? failed.map(target => `${target.name}: ${target.revertError}`).join('\n')
+        : `${reverting.length} instance(s) restored to their previous content`,
+      details: { rolloutId: rollout.id, revertedBy }
+    });
+  }
+
+  // Restore one instance's previous content, or delete the file when the rollout created it.
+  // Returns the error, or null. An instance changed again since the rollout is left alone.
+  async revertTarget(rollout, target, author) {
+    const { fileType, fileName, contentChecksum } = rollout;
+    const previousContent = rollout.snapshots[target.instanceId] ?? null;
+    try {
+      const current = await driftService.fetchFile(target.instanceId, fileType, fileName);
+      const currentChecksum = current ? checksumOf(current.content) : null;
+      const previousChecksum = previousContent === null ? null : checksumOf(previousContent);
+      if (currentChecksum === previousChecksum) return null;
+      if (!current) return `${fileName} is no longer on the instance; nothing to revert`;
+      if (currentChecksum !== contentChecksum && currentChecksum !== target.verifiedChecksum) {
+        return `${fileName} was changed on the instance after the rollout; not reverted`;
+      }
+
+      let result;
+      if (previousContent === null) {
+        result = await current.fileApi.deleteFileRestAPI(fileType, fileName, current.file.configId, current.file.id);
+      } else {
+        result = await driftService.writeFile(target.instanceId, fileType, fileName, previousContent, current, {
+          author,
+          reason: `Revert rollout ${rollout.id}`,
+          source: `rollout/${rollout.id} revert`
+        });
+      }
+      await auditService.record({
+        user: { username: author },
+        action: previousContent === null ? AUDIT_ACTIONS.FILE_DELETED : AUDIT_ACTIONS.FILE_ROLLED_BACK,
+        instanceId: target.instanceId,
+        configId: current.file.configId,
+        target: fileName,
+        beforeHash: currentChecksum,
+        afterHash: previousChecksum,
+        outcome: result?.success ? 'success' : 'failure',
+        error: result?.success ? null : result?.message,
+        details: { fileType, rolloutId: rollout.id, revert: true }
+      });
+      return result?.success ? null : (result?.message || 'ProSBC rejected the revert');
+    } catch (error) {
+      console.warn(`⚠️ Rollout ${rollout.id}: reverting ${fileName} on ${target.instanceId} failed: ${error.message}`);
+      return error.message;
+    }
+  }
+}
+
+export default new RolloutService();
@@ -0,0 +1,264 @@
+import { Op } from 'sequelize';
+import ScheduledTask from '../models/ScheduledTask.js';
+import ScheduledTaskRun from '../models/ScheduledTaskRun.js';
+import Job from '../models/Job.js';
+import jobQueueService, { FINAL_JOB_STATES } from './jobQueueService.js';
+import { JOB_TYPES } from './jobHandlers.js';
+import { parseCronExpression, getNextRun, getPreviousRun } from '../utils/cronExpression.js';
+
+// Tasks created on first start; the cron expression can be changed later through the API
+const DEFAULT_TASKS = [
+  {
+    name: 'monthly-customer-counts',
+    description: 'Snapshot customer counts on every ProSBC instance',
+    jobType: JOB_TYPES.CUSTOMER_COUNTS_MONTHLY,
+    cronExpression: process.env.CUSTOMER_COUNT_CRON || '0 2 1 * *', // 02:00 on the 1st of every month
+    payload: { configId: process.env.CUSTOMER_COUNT_CONFIG_ID || 'config_1' }
+  }
+];
+
+const ACTIVE_RUN_STATES = ['queued', 'running', 'succeeded'];
+
+/**
+ * In-process cron scheduler. Schedules live in the scheduled_tasks table and
+ * each due occurrence enqueues a job on the job queue, so runs get the same
+ * retries, cancellation and progress streaming as manual jobs. Every run is
+ * recorded in scheduled_task_runs and follows the status of its job.
+ */
+class SchedulerService {
+  constructor() {
+    this.tickIntervalMs = parseInt(process.env.SCHEDULER_TICK_MS || '30000', 10);
+    this.timer = null;
+    this.ticking = false;
+    this.activeRuns = new Map(); // jobId -> runId for runs whose job has not finished
+    this.handleJobUpdate = this.handleJobUpdate.bind(this);
+  }
+
+  async start() {
+    await this.ensureDefaultTasks();
+    await this.reconcileRuns();
+    jobQueueService.on('job', this.handleJobUpdate);
+    await this.backfillMissedRuns();
+
+    this.timer = setInterval(() => this.tick(), this.tickIntervalMs);
+    this.timer.unref();
+    console.log('✅ Scheduler started');
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+    jobQueueService.off('job', this.handleJobUpdate);
+  }
+
+  async ensureDefaultTasks() {
+    for (const task of DEFAULT_TASKS) {
+      const [record, created] = await ScheduledTask.findOrCreate({
+        where: { name: task.name },
+        defaults: { ...task, nextRunAt: getNextRun(task.cronExpression), createdBy: 'system' }
+      });
+      if (created) {
+        console.log(`[Scheduler] Created default task ${record.name} (${record.cronExpression})`);
+      }
+    }
+  }
+
+  // Bring runs left open by a restart up to date with their jobs
+  async reconcileRuns() {
+    const openRuns = await ScheduledTaskRun.findAll({ where: { status: { [Op.in]: ['queued', 'running'] } } });
+    for (const run of openRuns) {
+      const job = run.jobId ? await Job.findByPk(run.jobId) : null;
+      if (!job) {
+        await run.update({ status: 'failed', error: 'Job record not found', finishedAt: new Date() });
+        continue;
+      }
+      await this.applyJobToRun(run, job);
+      if (!FINAL_JOB_STATES.includes(job.status)) {
+        this.activeRuns.set(job.id, run.id);
+      }
+    }
+  }
+
+  // Run the latest occurrence that passed while the server was down, if nothing covered it
+  async backfillMissedRuns() {
+    const tasks = await ScheduledTask.findAll({ where: { enabled: true } });
+    for (const task of tasks) {
+      try {
+        const now = new Date();
+        const missed = getPreviousRun(task.cronExpression, now);
+        let needsBackfill = false;
+        if (task.backfillMissed && missed && missed >= task.createdAt) {
+          const covered = await ScheduledTaskRun.findOne({
+            where: { taskId: task.id, scheduledFor: { [Op.gte]: missed }, status: { [Op.in]: ACTIVE_RUN_STATES } }
+          });
+          needsBackfill = !covered;
+        }
+
+        await task.update({ nextRunAt: getNextRun(task.cronExpression, now) });
+        if (needsBackfill) {
+          console.log(`[Scheduler] Backfilling ${task.name} for missed run at ${missed.toISOString()}`);
+          await this.triggerRun(task, { trigger: 'backfill', scheduledFor: missed });
+        }
+      } catch (error) {
+        console.error(`[Scheduler] Backfill check failed for ${task.name}:`, error.message);
+      }
+    }
+  }
+
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+    try {
+      const now = new Date();
+      const dueTasks = await ScheduledTask.findAll({
+        where: {
+          enabled: true,
+          [Op.or]: [{ nextRunAt: null }, { nextRunAt: { [Op.lte]: now } }]
+        }
+      });
+
+      for (const task of dueTasks) {
+        const scheduledFor = task.nextRunAt;
+        // Claim the occurrence by moving nextRunAt, so a second backend process skips it
+        const [claimed] = await ScheduledTask.update(
+          { nextRunAt: getNextRun(task.cronExpression, now) },
+          { where: { id: task.id, nextRunAt: scheduledFor } }
+        );
+        if (!claimed || !scheduledFor) continue;
+        await this.triggerRun(task, { trigger: 'schedule', scheduledFor });
+      }
+    } catch (error) {
+      console.error('[Scheduler] Tick failed:', error.message);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  async triggerRun(task, { trigger, scheduledFor = new Date(), triggeredBy = null }) {
+    const runFields = { taskId: task.id, scheduledFor, trigger, triggeredBy };
+    let run;
+    try {
+      const job = await jobQueueService.enqueue(task.jobType, task.payload, {
+        createdBy: triggeredBy || `scheduler:${task.name}`
+      });
+      run = await ScheduledTaskRun.create({ ...runFields, status: job.status, jobId: job.id });
+      this.activeRuns.set(job.id, run.id);
+      console.log(`[Scheduler] ${task.name} (${trigger}) started job ${job.id}`);
+    } catch (error) {
+      console.error(`[Scheduler] Failed to start ${task.name}:`, error.message);
+      run = await ScheduledTaskRun.create({ ...runFields, status: 'failed', error: error.message, finishedAt: new Date() });
+    }
+    await ScheduledTask.update({ lastRunAt: new Date() }, { where: { id: task.id } });
+    return run;
+  }
+
+  async handleJobUpdate(job) {
+    const runId = this.activeRuns.get(job.id);
+    if (!runId) return;
+    try {
+      const run = await ScheduledTaskRun.findByPk(runId);
+      if (run) await this.applyJobToRun(run, job);
+      if (FINAL_JOB_STATES.includes(job.status)) {
+        this.activeRuns.delete(job.id);
+      }
+    } catch (error) {
+      console.error(`[Scheduler] Failed to update run ${runId}:`, error.message);
+    }
+  }
+
+  async applyJobToRun(run, job) {
+    if (run.status === job.status) return;
+    const fields = { status: job.status, startedAt: job.startedAt || run.startedAt };
+    if (FINAL_JOB_STATES.includes(job.status)) {
+      fields.finishedAt = job.finishedAt || new Date();
+      fields.result = job.result ?? null;
+      fields.error = job.error || null;
+    }
+    await run.update(fields);
+  }
+
+  async listTasks() {
+    const tasks = await ScheduledTask.findAll({ order: [['name', 'ASC']] });
+    return Promise.all(tasks.map(async (task) => ({
+      ...task.toJSON(),
+      lastRun: await ScheduledTaskRun.findOne({ where: { taskId: task.id }, order: [['createdAt', 'DESC'], ['id', 'DESC']] })
+    })));
+  }
+
+  async getTask(id) {
+    const task = await ScheduledTask.findByPk(id);
+    if (!task) {
+      throw new Error(`Scheduled task ${id} not found`);
+    }
+    return task;
+  }
+
+  validateTask({ cronExpression, jobType }) {
+    if (cronExpression !== undefined) {
+      try {
+        parseCronExpression(cronExpression);
+      } catch (error) {
+        throw new Error(`Invalid cron expression: ${error.message}`);
+      }
+      if (!getNextRun(cronExpression)) {
+        throw new Error(`Invalid cron expression: "${cronExpression}" never runs`);
+      }
+    }
+    if (jobType !== undefined && !jobQueueService.handlers.has(jobType)) {
+      throw new Error(`Invalid job type: ${jobType}`);
+    }
+  }
+
+  async createTask({ name, description, jobType, cronExpression, payload = {}, enabled = true, backfillMissed = true }, createdBy = null) {
+    if (!name || !jobType || !cronExpression) {
+      throw new Error('Invalid task: name, jobType and cronExpression are required');
+    }
+    this.validateTask({ cronExpression, jobType });
+    return ScheduledTask.create({
+      name,
+      description,
+      jobType,
+      cronExpression,
+      payload,
+      enabled,
+      backfillMissed,
+      nextRunAt: enabled ? getNextRun(cronExpression) : null,
+      createdBy
+    });
+  }
+
+  async updateTask(id, updates) {
+    const task = await this.getTask(id);
+    const allowed = ['description', 'jobType', 'cronExpression', 'payload', 'enabled', 'backfillMissed'];
+    const fields = Object.fromEntries(Object.entries(updates).filter(([key]) => allowed.includes(key)));
+    this.validateTask(fields);
+
+    task.set(fields);
+    if ('cronExpression' in fields || 'enabled' in fields) {
+      task.nextRunAt = task.enabled ? getNextRun(task.cronExpression) : null;
+    }
+    await task.save();
+    return task;
+  }
+
+  async deleteTask(id) {
+    const task = await this.getTask(id);
+    await ScheduledTaskRun.destroy({ where: { taskId: task.id } });
+    await task.destroy();
+  }
+
+  async runNow(id, triggeredBy) {
+    const task = await this.getTask(id);
+    return this.triggerRun(task, { trigger: 'manual', triggeredBy });
+  }
+
+  async listRuns(taskId, { limit = 50 } = {}) {
+    return ScheduledTaskRun.findAll({
+      where: { taskId },
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit
+    });
+  }
+}
+
+export default new SchedulerService();
@@ -0,0 +1,33 @@
+import Setting from '../models/Setting.js';
+
+const listFromEnv = (name) => (process.env[name] || '').split(',').map(value => value.trim()).filter(Boolean);
+
+// Used until an admin saves a value
+const DEFAULTS = {
+  // Roles that must use two-factor authentication to log in
+  requireTwoFactorRoles: () => listFromEnv('REQUIRE_2FA_ROLES'),
+  // Pushes to every instance go through an approved change request
+  requireChangeApproval: () => process.env.REQUIRE_CHANGE_APPROVAL === 'true'
+};
+
+class SettingsService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  async get(key) {
+    if (this.cache.has(key)) return this.cache.get(key);
+    const setting = await Setting.findByPk(key);
+    const value = setting && setting.value !== null ? setting.value : DEFAULTS[key]?.() ?? null;
+    this.cache.set(key, value);
+    return value;
+  }
+
+  async set(key, value, updatedBy = null) {
+    await Setting.upsert({ key, value, updatedBy });
+    this.cache.set(key, value);
+    return value;
+  }
+}
+
+export default new SettingsService();
@@ -0,0 +1,176 @@
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import settingsService from './settingsService.js';
+import { ROLES } from '../middleware/permissions.js';
+import { encryptSecret, decryptSecret, hasCredentialKey } from '../utils/credentialCrypto.js';
+
+// RFC 6238 time-based one-time passwords as used by authenticator apps
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1; // accept the previous and next code for clock drift
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  const bits = text.replace(/=+$/, '').toUpperCase().split('')
+    .map(char => {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index < 0) throw new Error('Invalid base32 secret');
+      return index.toString(2).padStart(5, '0');
+    })
+    .join('');
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+}
+
+function codeForStep(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(value).padStart(DIGITS, '0');
+}
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(String(code).replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+const codesMatch = (a, b) => a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+/**
+ * TOTP enrollment and verification for dashboard users. The secret lives on the User row
+ * (totpSecret, encrypted when PROSBC_CREDENTIAL_KEY is set); while totpEnabled is false it
+ * is a pending enrollment that becomes active once the user confirms a code.
+ */
+class TwoFactorService {
+
+  async isRequiredFor(role) {
+    const roles = await settingsService.get('requireTwoFactorRoles');
+    return Array.isArray(roles) && roles.includes(role);
+  }
+
+  async getPolicy() {
+    return { requireTwoFactorRoles: await settingsService.get('requireTwoFactorRoles') || [] };
+  }
+
+  async setPolicy({ requireTwoFactorRoles }, updatedBy) {
+    if (!Array.isArray(requireTwoFactorRoles) || requireTwoFactorRoles.some(role => !ROLES.includes(role))) {
+      throw new Error(`Invalid requireTwoFactorRoles: expected a list of ${ROLES.join(', ')}`);
+    }
+    await settingsService.set('requireTwoFactorRoles', requireTwoFactorRoles, updatedBy);
+    return this.getPolicy();
+  }
+
+  // Start (or restart) enrollment: a new pending secret and the QR code for the authenticator app
+  async beginEnrollment(user) {
+    if (user.totpEnabled) {
+      throw Object.assign(new Error('Two-factor authentication is already enabled'), { status: 409 });
+    }
+    const secret = base32Encode(crypto.randomBytes(20));
+    user.totpSecret = hasCredentialKey() ? encryptSecret(secret) : secret;
+    user.totpLastStep = null;
+    await user.save();
+
+    const issuer = process.env.TOTP_ISSUER || 'ProSBC Dashboard';
+    const label = encodeURIComponent(`${issuer}:${user.username}`);
+    const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+    return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+  }
+
+  // Confirm the pending secret with a code from the app; returns the recovery codes to show once
+  async completeEnrollment(user, code) {
+    if (user.totpEnabled) {
+      throw Object.assign(new Error('Two-factor authentication is already enabled'), { status: 409 });
+    }
+    if (!user.totpSecret) {
+      throw new Error('Invalid request: start two-factor setup first');
+    }
+    if (!(await this.verifyTotp(user, code))) {
+      throw new Error('Invalid authentication code');
+    }
+    user.totpEnabled = true;
+    const recoveryCodes = this.assignRecoveryCodes(user);
+    await user.save();
+    return recoveryCodes;
+  }
+
+  async regenerateRecoveryCodes(user) {
+    const recoveryCodes = this.assignRecoveryCodes(user);
+    await user.save();
+    return recoveryCodes;
+  }
+
+  async disable(user) {
+    user.totpEnabled = false;
+    user.totpSecret = null;
+    user.totpLastStep = null;
+    user.recoveryCodes = [];
+    await user.save();
+  }
+
+  assignRecoveryCodes(user) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+    user.recoveryCodes = codes.map(hashRecoveryCode);
+    return codes;
+  }
+
+  // Check a TOTP code; a code is accepted once, later steps only
+  async verifyTotp(user, code) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!user.totpSecret || !/^\d+$/.test(normalized) || normalized.length !== DIGITS) return false;
+
+    const secret = decryptSecret(user.totpSecret);
+    const now = currentStep();
+    for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step++) {
+      if (user.totpLastStep != null && step <= Number(user.totpLastStep)) continue;
+      if (codesMatch(codeForStep(secret, step), normalized)) {
+        user.totpLastStep = step;
+        await user.save({ fields: ['totpLastStep'] });
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // A recovery code works once and is removed
+  async useRecoveryCode(user, code) {
+    const hash = hashRecoveryCode(code || '');
+    const remaining = user.recoveryCodes || [];
+    if (!code || !remaining.includes(hash)) return false;
+    user.recoveryCodes = remaining.filter(existing => existing !== hash);
+    await user.save({ fields: ['recoveryCodes'] });
+    return true;
+  }
+
+  // Second login step for an enrolled user: a TOTP code or a recovery code
+  async verifyLogin(user, { code, recoveryCode }) {
+    if (recoveryCode) return this.useRecoveryCode(user, recoveryCode);
+    return this.verifyTotp(user, code);
+  }
+
+  statusOf(user, required) {
+    return {
+      enabled: !!user.totpEnabled,
+      required,
+      recoveryCodesLeft: user.totpEnabled ? (user.recoveryCodes || []).length : 0
+    };
+  }
+}
+
+export default new TwoFactorService();
@@ -0,0 +1,125 @@
+import crypto from 'crypto';
+import NodeCache from 'node-cache';
+import { createProSBCFileAPI } from '../utils/prosbc/prosbcFileManager.js';
+import fileRevisionService from './fileRevisionService.js';
+
+// Dry-run plans of POST /prosbc-files/update-to-all, waiting for a confirm or a change request
+const PLAN_TTL_SECONDS = 15 * 60;
+
+export function checksumOf(content) {
+  return crypto.createHash('sha256').update(content || '', 'utf8').digest('hex');
+}
+
+// Categorize the error type for better client handling
+export function categorizeUpdateError(errorMessage) {
+  if (errorMessage.includes('hasRoutesetSection') || errorMessage.includes('before initialization')) {
+    return 'initialization';
+  } else if (errorMessage.includes('socket hang up') || errorMessage.includes('ECONNREFUSED') || errorMessage.includes('Failed to fetch')) {
+    return 'connection';
+  } else if (errorMessage.includes('authenticity_token') || errorMessage.includes('login')) {
+    return 'authentication';
+  } else if (errorMessage.includes('timeout')) {
+    return 'timeout';
+  }
+  return 'unknown';
+}
+
+class UpdatePlanService {
+  constructor() {
+    this.plans = new NodeCache({ stdTTL: PLAN_TTL_SECONDS, checkperiod: 120, useClones: false });
+    this.claimed = new NodeCache({ stdTTL: PLAN_TTL_SECONDS, checkperiod: 120 }); // planId -> true once a confirm or change request took it
+  }
+
+  // Returns the plan with its planId and expiresAt
+  save(plan) {
+    const planId = crypto.randomUUID();
+    const expiresAt = new Date(Date.now() + PLAN_TTL_SECONDS * 1000).toISOString();
+    this.plans.set(planId, { ...plan, planId, expiresAt });
+    return { ...plan, planId, expiresAt };
+  }
+
+  get(planId) {
+    return planId ? this.plans.get(planId) || null : null;
+  }
+
+  /**
+   * Take a plan for a confirm or change request. Plans are single use: the plan is removed in
+   * the same tick it is read, so of two concurrent claims only one gets it and the other gets 409.
+   * Null when the plan never existed or expired.
+   */
+  claim(planId) {
+    if (!planId) return null;
+    const plan = this.plans.take(planId);
+    if (plan) {
+      this.claimed.set(planId, true);
+      return plan;
+    }
+    if (this.claimed.has(planId)) {
+      throw Object.assign(new Error(`Update plan ${planId} was already used`), { status: 409 });
+    }
+    return null;
+  }
+
+  // Give back a claimed plan that was not executed (conflicts, missing scope), for its remaining TTL
+  release(plan) {
+    this.claimed.del(plan.planId);
+    const secondsLeft = Math.floor((new Date(plan.expiresAt).getTime() - Date.now()) / 1000);
+    if (secondsLeft > 0) this.plans.set(plan.planId, plan, secondsLeft);
+  }
+
+  // Planned targets, optionally narrowed to some instance IDs
+  selectTargets(plan, instances) {
+    if (!Array.isArray(instances) || instances.length === 0) return plan.targets;
+    const wanted = instances.map(String);
+    return plan.targets.filter(target => wanted.includes(String(target.instanceId)));
+  }
+
+  /**
+   * Write the planned content to each target. An instance is skipped when its file
+   * changed on ProSBC since the dry run looked at it.
+   * onTargetStart(target) / onTargetDone(target, result) are optional job hooks.
+   */
+  async execute({ fileType, content }, targets, { author, reason, source, logPrefix = '[UpdateToAll]', onTargetStart, onTargetDone } = {}) {
+    const results = [];
+    for (const planned of targets) {
+      const { instanceId, url, target } = planned;
+      let result;
+      try {
+        await onTargetStart?.(planned);
+        console.log(`${logPrefix} Updating '${target.name}' (id ${target.id}) on instance ${instanceId}`);
+        const instanceFileManager = createProSBCFileAPI(instanceId);
+
+        const contentResult = await instanceFileManager.getFileContent(fileType, target.id, target.configId);
+        if (checksumOf(contentResult.content || '') !== planned.remoteChecksum) {
+          result = { instance: instanceId, url, success: false, error: `'${target.name}' changed on ProSBC since the dry run`, errorType: 'conflict' };
+        } else {
+          const updateResult = await instanceFileManager.updateFileRestAPI(fileType, target.name, content, target.configId);
+
+          if (updateResult.success) {
+            await fileRevisionService.recordRevision({
+              fileType,
+              fileName: target.name,
+              content,
+              instanceId,
+              configId: target.configId,
+              prosbcFileId: updateResult.fileId || target.id,
+              author,
+              reason,
+              source
+            });
+          }
+          result = { instance: instanceId, url, success: !!updateResult.success, message: updateResult.message || null, target, details: updateResult };
+        }
+      } catch (err) {
+        const errorMessage = err.message || err.toString();
+        console.error(`${logPrefix} Instance ${instanceId} error:`, errorMessage);
+        result = { instance: instanceId, url, success: false, error: errorMessage, errorType: categorizeUpdateError(errorMessage) };
+      }
+      results.push(result);
+      await onTargetDone?.(planned, result);
+    }
+    return results;
+  }
+}
+
+export default new UpdatePlanService();
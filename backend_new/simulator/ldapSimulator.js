@@ -0,0 +1,155 @@
+// Local LDAP directory stand-in
+// Answers the binds and searches services/authProviders/ldapProvider.js makes, so
+// directory logins can be developed and exercised without a corporate LDAP server.
+import ldap from 'ldapjs';
+
+export const DEFAULT_BASE_DN = 'dc=example,dc=com';
+
+// Service account, people and groups the simulator starts with (password = username unless given)
+const defaultDirectory = (baseDn) => ({
+  bindDn: `cn=admin,${baseDn}`,
+  bindPassword: 'admin',
+  users: [
+    { uid: 'alice', cn: 'Alice Admin', mail: 'alice@example.com', groups: ['sbc-admins'] },
+    { uid: 'oscar', cn: 'Oscar Operator', mail: 'oscar@example.com', groups: ['sbc-operators'] },
+    { uid: 'victor', cn: 'Victor Viewer', mail: 'victor@example.com', groups: ['sbc-viewers'] },
+    { uid: 'nina', cn: 'Nina Nogroup', mail: 'nina@example.com', groups: [] }
+  ],
+  groups: ['sbc-admins', 'sbc-operators', 'sbc-viewers']
+});
+
+const normalizeDn = (dn) => String(dn).replace(/\s*([,=])\s*/g, '$1').toLowerCase();
+
+// Entries keyed by normalized DN, attributes as arrays of strings
+function buildEntries(baseDn, { users, groups }) {
+  const groupDn = (cn) => `cn=${cn},ou=groups,${baseDn}`;
+  const entries = new Map();
+  const add = (dn, attributes) => entries.set(normalizeDn(dn), { dn, attributes });
+
+  add(baseDn, { objectClass: ['top', 'domain'] });
+  add(`ou=people,${baseDn}`, { objectClass: ['top', 'organizationalUnit'], ou: ['people'] });
+  add(`ou=groups,${baseDn}`, { objectClass: ['top', 'organizationalUnit'], ou: ['groups'] });
+
+  for (const user of users) {
+    add(`uid=${user.uid},ou=people,${baseDn}`, {
+      objectClass: ['top', 'person', 'inetOrgPerson'],
+      uid: [user.uid],
+      cn: [user.cn || user.uid],
+      mail: user.mail ? [user.mail] : [],
+      userPassword: [user.password || user.uid],
+      memberOf: (user.groups || []).map(groupDn)
+    });
+  }
+  // Groups named only on a user exist as well
+  for (const cn of new Set([...groups, ...users.flatMap(user => user.groups || [])])) {
+    add(groupDn(cn), {
+      objectClass: ['top', 'groupOfNames'],
+      cn: [cn],
+      member: users.filter(user => (user.groups || []).includes(cn)).map(user => `uid=${user.uid},ou=people,${baseDn}`)
+    });
+  }
+  return entries;
+}
+
+const inScope = (entryDn, baseDn, scope) => {
+  if (entryDn === baseDn) return scope !== 'one';
+  if (!entryDn.endsWith(`,${baseDn}`)) return false;
+  if (scope === 'base') return false;
+  if (scope === 'one') return !entryDn.slice(0, -(baseDn.length + 1)).includes(',');
+  return true;
+};
+
+// Attribute names and values compare case-insensitively, like the usual directory schemas
+const lowerCased = (attributes) => Object.fromEntries(
+  Object.entries(attributes).map(([name, values]) => [name.toLowerCase(), values.map(value => value.toLowerCase())])
+);
+
+const pickAttributes = (attributes, requested) => {
+  const wanted = requested.map(name => name.toLowerCase());
+  const all = wanted.length === 0 || wanted.includes('*');
+  return Object.fromEntries(
+    Object.entries(attributes).filter(([name]) => name !== 'userPassword' && (all || wanted.includes(name.toLowerCase())))
+  );
+};
+
+/**
+ * Creates an ldapjs server backed by an in-memory directory
+ * @param {object} options - baseDn, bindDn, bindPassword, users, groups, verbose
+ * @returns {ldap.Server} Server with the entries on server.directory
+ */
+export function createLdapSimulator(options = {}) {
+  const baseDn = options.baseDn || DEFAULT_BASE_DN;
+  const directory = { ...defaultDirectory(baseDn), ...options };
+  const entries = buildEntries(baseDn, directory);
+  const server = ldap.createServer();
+  server.directory = entries;
+
+  const log = (message) => options.verbose && console.log(`[LDAP Simulator] ${message}`);
+
+  server.bind(baseDn, (req, res, next) => {
+    const dn = normalizeDn(req.dn.toString());
+    const password = req.credentials;
+    log(`BIND ${dn}`);
+    if (dn === normalizeDn(directory.bindDn) && password === directory.bindPassword) {
+      res.end();
+      return next();
+    }
+    const entry = entries.get(dn);
+    if (!entry || !password || !entry.attributes.userPassword?.includes(password)) {
+      return next(new ldap.InvalidCredentialsError());
+    }
+    res.end();
+    return next();
+  });
+
+  // Anonymous searches are refused, like most corporate directories
+  const authorize = (req, res, next) => {
+    if (req.connection.ldap.bindDN.equals('cn=anonymous')) return next(new ldap.InsufficientAccessRightsError());
+    return next();
+  };
+
+  server.search(baseDn, authorize, (req, res, next) => {
+    const searchBase = normalizeDn(req.dn.toString());
+    const scope = req.scope === 'base' || req.scope === 0 ? 'base' : req.scope === 'one' || req.scope === 1 ? 'one' : 'sub';
+    const filter = ldap.parseFilter(req.filter.toString().toLowerCase());
+    log(`SEARCH ${searchBase} ${scope} ${req.filter.toString()}`);
+    // ldapjs compares the requested attribute names case-sensitively against lowercased ones (memberOf)
+    res.attributes = res.attributes.map(name => name.toLowerCase());
+    for (const [dn, entry] of entries) {
+      if (inScope(dn, searchBase, scope) && filter.matches(lowerCased(entry.attributes))) {
+        res.send({ dn: entry.dn, attributes: pickAttributes(entry.attributes, req.attributes) }, true);
+      }
+    }
+    res.end();
+    return next();
+  });
+
+  return server;
+}
+
+/**
+ * Starts a simulator on the given port
+ * @param {object} options - port, host and any createLdapSimulator option
+ * @returns {Promise<{server, url, baseDn, bindDn, bindPassword, close}>}
+ */
+export function startLdapSimulator(options = {}) {
+  const { port = 0, host = '127.0.0.1' } = options;
+  const server = createLdapSimulator(options);
+  const baseDn = options.baseDn || DEFAULT_BASE_DN;
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      resolve({
+        server,
+        url: `ldap://${host}:${server.address().port}`,
+        baseDn,
+        bindDn: options.bindDn || `cn=admin,${baseDn}`,
+        bindPassword: options.bindPassword || 'admin',
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+export default createLdapSimulator;
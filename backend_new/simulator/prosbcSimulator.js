@@ -0,0 +1,442 @@
+// Local ProSBC WebOAMP simulator
+// Serves the subset of the ProSBC web UI that utils/prosbc/* scrapes, so the
+// backend can be developed and exercised without a real SBC.
+import express from 'express';
+import multer from 'multer';
+import { SimulatorState, FILE_TYPES } from './simulatorState.js';
+import {
+  renderLoginPage,
+  renderHomePage,
+  renderDashboard,
+  renderFileDbIndex,
+  renderFileDbEdit,
+  renderFileUploadForm,
+  renderFileEditForm,
+  renderRoutesets,
+  renderNapColumnsEdit,
+  renderNapList,
+  renderNapEdit,
+  renderSystemEdit
+} from './views.js';
+
+const SESSION_COOKIE = '_WebOAMP_session';
+const FLASH_COOKIE = '_WebOAMP_flash';
+
+const parseCookies = (header = '') => Object.fromEntries(
+  header.split(';')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const index = part.indexOf('=');
+      return index === -1 ? [part, ''] : [part.slice(0, index), part.slice(index + 1)];
+    })
+);
+
+const parseBasicAuth = (header = '') => {
+  const match = header.match(/^Basic\s+(.+)$/i);
+  if (!match) return null;
+  const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+  const index = decoded.indexOf(':');
+  if (index === -1) return null;
+  return { username: decoded.slice(0, index), password: decoded.slice(index + 1) };
+};
+
+const wantsJson = (req) => (req.headers.accept || '').startsWith('application/json') || req.is('application/json');
+
+const setSessionCookie = (res, session) => {
+  res.append('Set-Cookie', `${SESSION_COOKIE}=${session.id}; path=/; HttpOnly`);
+};
+
+// Rails keeps the flash in the session cookie; the upload code in
+// prosbcFileManager.js looks for "notice:" / "error:" in Set-Cookie.
+const setFlash = (res, session, type, message) => {
+  if (session) session.flash = { type, message };
+  res.append('Set-Cookie', `${FLASH_COOKIE}=${type}:+${encodeURIComponent(message).replace(/%20/g, '+')}&; path=/`);
+};
+
+const takeFlash = (session) => {
+  const flash = session.flash || null;
+  session.flash = null;
+  return flash;
+};
+
+/**
+ * Creates an Express app that behaves like a ProSBC WebOAMP instance
+ * @param {object} options - username, password, sessionTtlMs, seed, verbose
+ * @returns {express.Express} App with the simulator state on app.locals.simulator
+ */
+export function createProSBCSimulator(options = {}) {
+  const state = options.state || new SimulatorState(options);
+  const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 50 * 1024 * 1024 } });
+  const app = express();
+
+  app.locals.simulator = state;
+  app.disable('x-powered-by');
+
+  if (options.verbose) {
+    app.use((req, res, next) => {
+      console.log(`[ProSBC Simulator] ${req.method} ${req.originalUrl}`);
+      next();
+    });
+  }
+
+  app.use(express.json({ limit: '50mb' }));
+  app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+  // Bracketed field names (nap[name], user[pass]) are nested by both parsers
+  app.use(upload.any());
+
+  // Rails-style method override (_method=put/delete on POST forms)
+  app.use((req, res, next) => {
+    const override = req.body?._method;
+    if (req.method === 'POST' && typeof override === 'string') {
+      req.formMethodOverride = true;
+      req.method = override.toUpperCase();
+    }
+    next();
+  });
+
+  // Resolve the current web session, if any
+  app.use((req, res, next) => {
+    const cookies = parseCookies(req.headers.cookie);
+    req.prosbcSession = state.getSession(cookies[SESSION_COOKIE]);
+    next();
+  });
+
+  // ---- Login --------------------------------------------------------------
+
+  app.get('/login', (req, res) => {
+    let session = req.prosbcSession;
+    if (!session) {
+      session = state.createSession();
+      setSessionCookie(res, session);
+    }
+    res.type('html').send(renderLoginPage(session.csrfToken));
+  });
+
+  // WebOAMP does not enforce the CSRF token on the login form itself
+  // (NapEditService posts credentials without fetching /login first)
+  app.post('/login/check', (req, res) => {
+    const username = req.body.user?.name;
+    const password = req.body.user?.pass;
+
+    if (!state.checkCredentials(username, password)) {
+      const session = req.prosbcSession || state.createSession();
+      return res.status(200).type('html').send(renderLoginPage(session.csrfToken, 'Invalid user name or password'));
+    }
+
+    // Rotate the session on login
+    if (req.prosbcSession) state.destroySession(req.prosbcSession.id);
+    const session = state.createSession();
+    session.user = username;
+    setSessionCookie(res, session);
+    res.redirect(302, '/');
+  });
+
+  app.get('/logout', (req, res) => {
+    if (req.prosbcSession) state.destroySession(req.prosbcSession.id);
+    res.redirect(302, '/login');
+  });
+
+  // ---- Authentication and CSRF --------------------------------------------
+
+  app.use((req, res, next) => {
+    const credentials = parseBasicAuth(req.headers.authorization);
+    if (credentials) {
+      if (!state.checkCredentials(credentials.username, credentials.password)) {
+        return res.status(401).json({ error: 'Invalid credentials' });
+      }
+      // HTTP Basic requests act as a stateless API client on the active configuration
+      req.apiClient = true;
+      req.prosbcSession = req.prosbcSession?.user ? req.prosbcSession : {
+        user: credentials.username,
+        csrfToken: null,
+        selectedConfigurationId: state.activeConfigurationId
+      };
+      return next();
+    }
+
+    if (req.prosbcSession?.user) return next();
+
+    if (wantsJson(req)) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    res.redirect(302, '/login');
+  });
+
+  app.use((req, res, next) => {
+    if (req.method === 'GET' || req.method === 'HEAD' || req.apiClient) return next();
+    const token = req.body?.authenticity_token || req.headers['x-csrf-token'];
+    if (token !== req.prosbcSession.csrfToken) {
+      return res.status(422).type('html').send('<h1>ActionController::InvalidAuthenticityToken</h1>');
+    }
+    next();
+  });
+
+  // ---- Home, dashboard and configuration selection ------------------------
+
+  app.get('/', (req, res) => {
+    const session = req.prosbcSession;
+    res.type('html').send(renderHomePage(state, { ...session, flash: takeFlash(session) }));
+  });
+
+  app.get('/dashboard', (req, res) => {
+    res.type('html').send(renderDashboard(state, req.prosbcSession));
+  });
+
+  app.get('/configurations/:id/choose_redirect', (req, res) => {
+    const configuration = state.getConfiguration(req.params.id);
+    if (!configuration) {
+      return res.status(404).type('html').send('<h1>Not Found</h1>');
+    }
+    req.prosbcSession.selectedConfigurationId = configuration.id;
+    res.redirect(302, '/');
+  });
+
+  // ---- File databases -----------------------------------------------------
+
+  app.param('dbId', (req, res, next, dbId) => {
+    req.fileDb = state.getFileDb(dbId);
+    if (!req.fileDb) {
+      return wantsJson(req)
+        ? res.status(404).json({ error: `File database ${dbId} not found` })
+        : res.status(404).type('html').send('<h1>Not Found</h1>');
+    }
+    next();
+  });
+
+  app.param('fileType', (req, res, next, fileType) => {
+    if (!FILE_TYPES[fileType]) {
+      return res.status(404).type('html').send('<h1>Not Found</h1>');
+    }
+    next();
+  });
+
+  app.param('fileId', (req, res, next, fileId) => {
+    req.dbFile = state.getFile(req.fileDb.id, req.params.fileType, fileId);
+    if (!req.dbFile) {
+      return wantsJson(req)
+        ? res.status(404).json({ error: 'File not found' })
+        : res.status(404).type('html').send('<h1>Not Found</h1>');
+    }
+    next();
+  });
+
+  app.get('/file_dbs', (req, res) => {
+    const session = req.prosbcSession;
+    res.type('html').send(renderFileDbIndex(state, { ...session, flash: takeFlash(session) }));
+  });
+
+  app.get('/file_dbs/:dbId/edit', (req, res) => {
+    const session = req.prosbcSession;
+    res.type('html').send(renderFileDbEdit(state, { ...session, flash: takeFlash(session) }, req.fileDb));
+  });
+
+  app.get('/file_dbs/:dbId/:fileType/new', (req, res) => {
+    const session = req.prosbcSession;
+    res.type('html').send(renderFileUploadForm({ ...session, flash: takeFlash(session) }, req.fileDb, req.params.fileType));
+  });
+
+  app.post('/file_dbs/:dbId/:fileType', (req, res) => {
+    const { fileType } = req.params;
+    const { field, label } = FILE_TYPES[fileType];
+    const newUrl = `/file_dbs/${req.fileDb.id}/${fileType}/new`;
+    const uploaded = (req.files || []).find(file => file.fieldname === `${field}[file]`);
+
+    if (!uploaded) {
+      setFlash(res, req.prosbcSession, 'error', "File can't be blank");
+      return res.redirect(302, newUrl);
+    }
+
+    try {
+      state.createFile(req.fileDb.id, fileType, uploaded.originalname, uploaded.buffer.toString('utf8'));
+    } catch (err) {
+      setFlash(res, req.prosbcSession, 'error', err.message);
+      return res.redirect(302, newUrl);
+    }
+
+    setFlash(res, req.prosbcSession, 'notice', `${label} was successfully imported.`);
+    res.redirect(302, `/file_dbs/${req.fileDb.id}/edit`);
+  });
+
+  app.get('/file_dbs/:dbId/:fileType/:fileId/edit', (req, res) => {
+    res.type('html').send(renderFileEditForm(req.prosbcSession, req.fileDb, req.params.fileType, req.dbFile));
+  });
+
+  app.get('/file_dbs/:dbId/:fileType/:fileId/export', (req, res) => {
+    res.set('Content-Disposition', `attachment; filename="${req.dbFile.name}"`);
+    res.type('text/csv').send(req.dbFile.content);
+  });
+
+  // REST (JSON + Basic auth) and form (multipart + _method=put) updates
+  app.put('/file_dbs/:dbId/:fileType/:fileId', (req, res) => {
+    const { fileType } = req.params;
+    const { field, label } = FILE_TYPES[fileType];
+    let content;
+
+    if (req.formMethodOverride) {
+      const uploaded = (req.files || []).find(file => file.fieldname === `${field}[file]`);
+      content = uploaded ? uploaded.buffer.toString('utf8') : undefined;
+    } else {
+      content = req.body?.content;
+    }
+
+    if (typeof content !== 'string') {
+      return res.status(422).json({ error: 'Missing file content' });
+    }
+
+    const file = state.updateFile(req.fileDb.id, fileType, req.dbFile.id, content);
+
+    if (req.formMethodOverride) {
+      setFlash(res, req.prosbcSession, 'notice', `${label} was successfully updated.`);
+      return res.redirect(302, `/file_dbs/${req.fileDb.id}/edit`);
+    }
+    res.json({ success: true, id: file.id, name: file.name, updated_at: file.updatedAt.toISOString() });
+  });
+
+  app.delete('/file_dbs/:dbId/:fileType/:fileId', (req, res) => {
+    const { fileType } = req.params;
+    state.deleteFile(req.fileDb.id, fileType, req.dbFile.id);
+
+    if (req.formMethodOverride) {
+      setFlash(res, req.prosbcSession, 'notice', `${FILE_TYPES[fileType].label} was successfully deleted.`);
+      return res.redirect(302, `/file_dbs/${req.fileDb.id}/edit`);
+    }
+    res.json({ success: true, id: req.dbFile.id, name: req.dbFile.name });
+  });
+
+  // ---- Routesets ----------------------------------------------------------
+
+  app.get('/routesets', (req, res) => {
+    const session = req.prosbcSession;
+    res.type('html').send(renderRoutesets(state, { ...session, flash: takeFlash(session) }));
+  });
+
+  app.get('/nap_columns_values/:napName/edit', (req, res) => {
+    const nap = state.getNap(req.params.napName);
+    const mapping = state.getRoutesetMappings(req.prosbcSession.selectedConfigurationId).get(nap?.name);
+    if (!nap || !mapping) {
+      return res.status(404).type('html').send('<h1>Not Found</h1>');
+    }
+    res.type('html').send(renderNapColumnsEdit(state, req.prosbcSession, nap, mapping));
+  });
+
+  app.put('/nap_columns_values/:napName', (req, res) => {
+    const nap = state.getNap(req.params.napName);
+    const mapping = state.getRoutesetMappings(req.prosbcSession.selectedConfigurationId).get(nap?.name);
+    if (!nap || !mapping) {
+      return res.status(404).type('html').send('<h1>Not Found</h1>');
+    }
+
+    const params = req.body.tbgw_nap || {};
+    mapping.priority = params.priority ?? mapping.priority;
+    mapping.weight = params.weight ?? mapping.weight;
+    mapping.calledPreRemap = params.called_pre_remap ?? mapping.calledPreRemap;
+    mapping.definition = params.routesets_definition ?? mapping.definition;
+    mapping.digitmap = params.routesets_digitmap ?? mapping.digitmap;
+
+    setFlash(res, req.prosbcSession, 'notice', 'Routesets were successfully updated.');
+    res.redirect(302, '/routesets');
+  });
+
+  app.post('/tbgw_routesets/ajax_generate_routes/:systemId', (req, res) => {
+    state.lastGeneratedAt = new Date();
+    res.type('text/javascript').send('Element.update("flash", "<div class=\\"notice\\">Route database was generated successfully</div>");');
+  });
+
+  // ---- Systems --------------------------------------------------------------
+
+  app.get('/systems/:systemId/edit', (req, res) => {
+    const session = req.prosbcSession;
+    res.type('html').send(renderSystemEdit(state, { ...session, flash: takeFlash(session) }, req.params.systemId));
+  });
+
+  app.post('/system_info/activate_configuration/:systemId', (req, res) => {
+    const configuration = state.getConfiguration(req.body.system_info?.configuration_id);
+    if (!configuration) {
+      return res.type('text/javascript').send('alert("Unknown configuration");');
+    }
+    state.activeConfigurationId = configuration.id;
+    res.type('text/javascript').send(`Element.update("flash", "<div class=\\"notice\\">Configuration ${configuration.name} activated</div>");`);
+  });
+
+  app.post('/system_info/validate_configuration/:systemId', (req, res) => {
+    const configuration = state.getConfiguration(req.body.system_info?.configuration_id_validate);
+    if (!configuration) {
+      return res.type('text/javascript').send('alert("Unknown configuration");');
+    }
+    res.type('text/javascript').send(`Element.update("flash", "<div class=\\"notice\\">Configuration ${configuration.name} is valid</div>");`);
+  });
+
+  // ---- NAPs -----------------------------------------------------------------
+
+  app.get('/naps', (req, res) => {
+    const session = req.prosbcSession;
+    res.type('html').send(renderNapList(state, { ...session, flash: takeFlash(session) }));
+  });
+
+  app.get('/naps/:napId/edit', (req, res) => {
+    const nap = state.getNap(req.params.napId);
+    if (!nap) return res.status(404).type('html').send('<h1>Not Found</h1>');
+    const session = req.prosbcSession;
+    res.type('html').send(renderNapEdit({ ...session, flash: takeFlash(session) }, nap));
+  });
+
+  app.put('/naps/:napId', (req, res) => {
+    const nap = state.getNap(req.params.napId);
+    if (!nap) return res.status(404).type('html').send('<h1>Not Found</h1>');
+
+    const params = req.body.nap || {};
+    const fields = {
+      name: 'name',
+      profileId: 'profile_id',
+      sipDestinationIp: 'sip_destination_ip',
+      sipDestinationPort: 'sip_destination_port',
+      rateLimitCps: 'rate_limit_cps',
+      maxIncomingCalls: 'max_incoming_calls',
+      maxOutgoingCalls: 'max_outgoing_calls'
+    };
+    for (const [key, param] of Object.entries(fields)) {
+      if (params[param] !== undefined && params[param] !== '') nap[key] = params[param];
+    }
+
+    setFlash(res, req.prosbcSession, 'notice', 'NAP was successfully updated.');
+    res.redirect(302, `/naps/${nap.id}/edit`);
+  });
+
+  app.use((req, res) => {
+    res.status(404).type('html').send("<h1>The page you were looking for doesn't exist.</h1>");
+  });
+
+  app.use((err, req, res, next) => {
+    console.error('[ProSBC Simulator] Unhandled error:', err);
+    res.status(500).type('html').send('<h1>Internal Server Error</h1>');
+  });
+
+  return app;
+}
+
+/**
+ * Starts a simulator on the given port
+ * @param {object} options - port, host and any createProSBCSimulator option
+ * @returns {Promise<{app, server, state, baseUrl, close}>}
+ */
+export function startProSBCSimulator(options = {}) {
+  const { port = 0, host = '127.0.0.1' } = options;
+  const app = createProSBCSimulator(options);
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, host, () => {
+      const baseUrl = `http://${host}:${server.address().port}`;
+      resolve({
+        app,
+        server,
+        state: app.locals.simulator,
+        baseUrl,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+export default createProSBCSimulator;
@@ -0,0 +1,222 @@
+// In-memory data store backing the ProSBC WebOAMP simulator
+import crypto from 'crypto';
+
+export const FILE_TYPES = {
+  routesets_definitions: { field: 'tbgw_routesets_definition', label: 'Routesets Definition' },
+  routesets_digitmaps: { field: 'tbgw_routesets_digitmap', label: 'Routesets Digitmap' }
+};
+
+const SAMPLE_DF = [
+  'routeset_name,priority,weight,remapped_called,remapped_nap',
+  'CS1,1,100,,NAP_CARRIER_A',
+  'CS2,1,100,,NAP_CARRIER_B',
+  'CS4,1,100,,NAP_CARRIER_A'
+].join('\n') + '\n';
+
+const sampleDigitmap = (routeset, prefix) => [
+  'called,calling,routeset_name',
+  ...Array.from({ length: 5 }, (_, i) => `${prefix}${String(1000 + i)},,${routeset}`)
+].join('\n') + '\n';
+
+const generateToken = () => crypto.randomBytes(32).toString('base64');
+
+/**
+ * Holds the configurations, file databases, NAPs, routeset mappings and web
+ * sessions of one simulated ProSBC. Every simulator instance gets its own
+ * state so several fake SBCs can run side by side.
+ */
+export class SimulatorState {
+  constructor(options = {}) {
+    this.username = options.username || 'Monitor';
+    this.password = options.password || 'simulator';
+    this.sessionTtlMs = options.sessionTtlMs || 30 * 60 * 1000;
+    this.sessions = new Map();
+    this.configurations = [];
+    this.fileDbs = new Map();
+    this.naps = [];
+    this.routesets = new Map();
+    this.activeConfigurationId = null;
+    this.lastGeneratedAt = null;
+    this.nextFileId = 1;
+    this.seed(options.seed);
+  }
+
+  // Load the default fixture, or a caller supplied one
+  seed(seed = null) {
+    const data = seed || {
+      configurations: [
+        { id: '1', name: 'config_1', active: true },
+        { id: '2', name: 'config_062425' },
+        { id: '3', name: 'config_1-BU' }
+      ],
+      files: {
+        '1': {
+          routesets_definitions: [{ name: 'CS1_DF.csv', content: SAMPLE_DF }],
+          routesets_digitmaps: [
+            { name: 'CS1_DM.csv', content: sampleDigitmap('CS1', '212555') },
+            { name: 'CS2_DM.csv', content: sampleDigitmap('CS2', '305555') },
+            { name: 'CS4_DM.csv', content: sampleDigitmap('CS4', '813555') }
+          ]
+        },
+        '3': {
+          routesets_definitions: [{ name: 'CS1_DF.csv', content: SAMPLE_DF }],
+          routesets_digitmaps: [{ name: 'CS1_DM.csv', content: sampleDigitmap('CS1', '212555') }]
+        }
+      },
+      naps: [
+        { id: '1', name: 'NAP_CARRIER_A', sipDestinationIp: '10.0.0.10', sipDestinationPort: '5060' },
+        { id: '2', name: 'NAP_CARRIER_B', sipDestinationIp: '10.0.0.20', sipDestinationPort: '5060' },
+        { id: '3', name: 'NAP_CUSTOMER_CS4', sipDestinationIp: '10.0.1.40', sipDestinationPort: '5060' }
+      ],
+      routesets: {
+        '1': {
+          NAP_CARRIER_A: { definition: 'CS1_DF.csv', digitmap: 'CS1_DM.csv' },
+          NAP_CARRIER_B: { definition: '', digitmap: 'CS2_DM.csv' },
+          NAP_CUSTOMER_CS4: { definition: '', digitmap: '' }
+        }
+      }
+    };
+
+    this.configurations = data.configurations.map(cfg => ({ id: String(cfg.id), name: cfg.name }));
+    const active = data.configurations.find(cfg => cfg.active) || data.configurations[0];
+    this.activeConfigurationId = active ? String(active.id) : null;
+
+    // Each configuration owns exactly one file database with the same ID
+    for (const cfg of this.configurations) {
+      const db = { id: cfg.id, configurationId: cfg.id, routesets_definitions: new Map(), routesets_digitmaps: new Map() };
+      for (const fileType of Object.keys(FILE_TYPES)) {
+        for (const file of data.files?.[cfg.id]?.[fileType] || []) {
+          const id = String(this.nextFileId++);
+          db[fileType].set(id, { id, name: file.name, content: file.content, updatedAt: new Date() });
+        }
+      }
+      this.fileDbs.set(cfg.id, db);
+    }
+
+    this.naps = (data.naps || []).map(nap => ({
+      priority: '0',
+      weight: '0',
+      calledPreRemap: '',
+      profileId: '1',
+      ...nap,
+      id: String(nap.id)
+    }));
+
+    for (const cfg of this.configurations) {
+      const mappings = new Map();
+      for (const nap of this.naps) {
+        const mapping = data.routesets?.[cfg.id]?.[nap.name] || {};
+        mappings.set(nap.name, {
+          priority: nap.priority,
+          weight: nap.weight,
+          calledPreRemap: nap.calledPreRemap,
+          definition: mapping.definition || '',
+          digitmap: mapping.digitmap || ''
+        });
+      }
+      this.routesets.set(cfg.id, mappings);
+    }
+  }
+
+  // ---- Sessions -----------------------------------------------------------
+
+  createSession() {
+    const id = crypto.randomBytes(24).toString('hex');
+    const session = {
+      id,
+      user: null,
+      csrfToken: generateToken(),
+      selectedConfigurationId: this.activeConfigurationId,
+      lastSeen: Date.now()
+    };
+    this.sessions.set(id, session);
+    return session;
+  }
+
+  getSession(id) {
+    if (!id) return null;
+    const session = this.sessions.get(id);
+    if (!session) return null;
+    if (Date.now() - session.lastSeen > this.sessionTtlMs) {
+      this.sessions.delete(id);
+      return null;
+    }
+    session.lastSeen = Date.now();
+    return session;
+  }
+
+  destroySession(id) {
+    this.sessions.delete(id);
+  }
+
+  checkCredentials(username, password) {
+    return username === this.username && password === this.password;
+  }
+
+  // ---- Configurations -----------------------------------------------------
+
+  getConfiguration(id) {
+    return this.configurations.find(cfg => cfg.id === String(id)) || null;
+  }
+
+  // ---- File databases -----------------------------------------------------
+
+  getFileDb(dbId) {
+    return this.fileDbs.get(String(dbId)) || null;
+  }
+
+  listFiles(dbId, fileType) {
+    const db = this.getFileDb(dbId);
+    if (!db || !db[fileType]) return [];
+    return Array.from(db[fileType].values());
+  }
+
+  getFile(dbId, fileType, fileId) {
+    const db = this.getFileDb(dbId);
+    if (!db || !db[fileType]) return null;
+    return db[fileType].get(String(fileId)) || null;
+  }
+
+  findFileByName(dbId, fileType, name) {
+    return this.listFiles(dbId, fileType).find(file => file.name === name) || null;
+  }
+
+  createFile(dbId, fileType, name, content) {
+    const db = this.getFileDb(dbId);
+    if (!db || !db[fileType]) throw new Error(`File database ${dbId} not found`);
+    if (this.findFileByName(dbId, fileType, name)) {
+      throw new Error('Name has already been taken');
+    }
+    const id = String(this.nextFileId++);
+    const file = { id, name, content, updatedAt: new Date() };
+    db[fileType].set(id, file);
+    return file;
+  }
+
+  updateFile(dbId, fileType, fileId, content) {
+    const file = this.getFile(dbId, fileType, fileId);
+    if (!file) return null;
+    file.content = content;
+    file.updatedAt = new Date();
+    return file;
+  }
+
+  deleteFile(dbId, fileType, fileId) {
+    const db = this.getFileDb(dbId);
+    if (!db || !db[fileType]) return false;
+    return db[fileType].delete(String(fileId));
+  }
+
+  // ---- NAPs and routesets -------------------------------------------------
+
+  getNap(idOrName) {
+    const key = String(idOrName);
+    return this.naps.find(nap => nap.id === key || nap.name === key) || null;
+  }
+
+  getRoutesetMappings(configurationId) {
+    return this.routesets.get(String(configurationId)) || new Map();
+  }
+}
+
+export default SimulatorState;
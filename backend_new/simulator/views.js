@@ -0,0 +1,246 @@
+// HTML templates for the ProSBC WebOAMP simulator
+// The markup mirrors the pieces of the real web UI that our scrapers depend on
+// (hidden authenticity_token inputs, the configuration dropdown, fieldset/legend
+// file tables, NAP and routeset forms), so keep element IDs and attribute order intact.
+import { FILE_TYPES } from './simulatorState.js';
+
+export const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const tokenInput = (token) =>
+  `<div style="margin:0;padding:0"><input name="authenticity_token" type="hidden" value="${escapeHtml(token)}" /></div>`;
+
+const layout = (title, body, { token = null, flash = null } = {}) => `<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">
+<html xmlns="http://www.w3.org/1999/xhtml" xml:lang="en" lang="en">
+<head>
+  <meta http-equiv="content-type" content="text/html;charset=UTF-8" />
+  ${token ? `<meta name="csrf-token" content="${escapeHtml(token)}" />` : ''}
+  <title>ProSBC WebOAMP - ${escapeHtml(title)}</title>
+  <link href="/stylesheets/weboamp.css" media="screen" rel="stylesheet" type="text/css" />
+</head>
+<body>
+  <div id="header">
+    <div id="product_name">ProSBC WebOAMP (simulator)</div>
+    <ul id="main_menu">
+      <li><a href="/">Home</a></li>
+      <li><a href="/dashboard">Dashboard</a></li>
+      <li><a href="/naps">NAPs</a></li>
+      <li><a href="/routesets">Routesets</a></li>
+      <li><a href="/file_dbs">File Databases</a></li>
+      <li><a href="/systems/1/edit">Systems</a></li>
+    </ul>
+  </div>
+  ${flash ? `<div id="flash"><div class="${flash.type}">${escapeHtml(flash.message)}</div></div>` : '<div id="flash"></div>'}
+  <div id="content">
+    <h1>${escapeHtml(title)}</h1>
+${body}
+  </div>
+  <div id="footer">TelcoBridges ProSBC - WebOAMP</div>
+</body>
+</html>
+`;
+
+export function renderLoginPage(token, message = null) {
+  return layout('Login', `
+    ${message ? `<p class="login_message">${escapeHtml(message)}</p>` : ''}
+    <form action="/login/check" method="post">
+      ${tokenInput(token)}
+      <table class="login">
+        <tr><td><label for="user_name">Username</label></td><td><input id="user_name" name="user[name]" size="30" type="text" /></td></tr>
+        <tr><td><label for="user_pass">Password</label></td><td><input id="user_pass" name="user[pass]" size="30" type="password" /></td></tr>
+      </table>
+      <input name="commit" type="submit" value="Login" />
+    </form>`);
+}
+
+export function renderHomePage(state, session) {
+  const options = state.configurations.map(cfg => {
+    const selected = cfg.id === session.selectedConfigurationId ? ' selected="selected"' : '';
+    const marker = cfg.id === state.activeConfigurationId ? '*' : '';
+    return `<option value="${cfg.id}"${selected}>${marker}${escapeHtml(cfg.name)}</option>`;
+  });
+  const active = options.filter((_, i) => state.configurations[i].id === state.activeConfigurationId);
+  const inactive = options.filter((_, i) => state.configurations[i].id !== state.activeConfigurationId);
+
+  return layout('Home', `
+    <div id="configurations_list">
+      <label for="configuration_select">Configuration:</label>
+      <select id="configuration_select" name="configuration_select" onchange="window.location='/configurations/' + this.value + '/choose_redirect'">
+        <optgroup label='Active'>${active.join('')}</optgroup>
+        <optgroup label='Inactive'>${inactive.join('')}</optgroup>
+      </select>
+    </div>
+    <p>Logged in as ${escapeHtml(session.user)}.</p>`, { token: session.csrfToken, flash: session.flash });
+}
+
+export function renderDashboard(state, session) {
+  const active = state.getConfiguration(state.activeConfigurationId);
+  return layout('Dashboard', `
+    <table class="list">
+      <tr><th>Item</th><th>Value</th></tr>
+      <tr><td>System status</td><td>Running</td></tr>
+      <tr><td>Active config</td><td>${escapeHtml(active?.name || '-')}</td></tr>
+      <tr><td>NAPs</td><td>${state.naps.length}</td></tr>
+      <tr><td>Last routes generation</td><td>${state.lastGeneratedAt ? state.lastGeneratedAt.toISOString() : 'never'}</td></tr>
+    </table>`, { token: session.csrfToken });
+}
+
+export function renderFileDbIndex(state, session) {
+  const db = state.getFileDb(session.selectedConfigurationId);
+  const rows = db ? `
+      <tr>
+        <td>${escapeHtml(state.getConfiguration(db.configurationId)?.name)}</td>
+        <td><a href="/file_dbs/${db.id}/edit">Edit</a></td>
+        <td><a href="/file_dbs/${db.id}/routesets_definitions/new">New Routesets Definition</a></td>
+        <td><a href="/file_dbs/${db.id}/routesets_digitmaps/new">New Routesets Digitmap</a></td>
+      </tr>` : '';
+  return layout('File Databases', `
+    <table class="list">
+      <tr><th>Name</th><th></th><th></th><th></th></tr>${rows}
+    </table>`, { token: session.csrfToken, flash: session.flash });
+}
+
+const fileSection = (db, fileType) => {
+  const { label } = FILE_TYPES[fileType];
+  const rows = Array.from(db[fileType].values()).map(file =>
+    `<tr><td>${escapeHtml(file.name)}</td><td><a href="/file_dbs/${db.id}/${fileType}/${file.id}/edit">Update</a></td><td><a href="/file_dbs/${db.id}/${fileType}/${file.id}/export">Export</a></td><td><a href="/file_dbs/${db.id}/${fileType}/${file.id}" data-method="delete" rel="nofollow">Delete</a></td></tr>`
+  ).join('\n          ');
+  return `
+    <fieldset><legend>${label}:</legend>
+      <table class="list">
+        <thead><tr><th>Name</th><th></th><th></th><th></th></tr></thead>
+        <tbody>
+          ${rows}
+        </tbody>
+      </table>
+      <a href="/file_dbs/${db.id}/${fileType}/new">Import new file</a>
+    </fieldset>`;
+};
+
+export function renderFileDbEdit(state, session, db) {
+  return layout('File Database', `
+    <p>Routing files stored in file database #${db.id}.</p>
+    ${fileSection(db, 'routesets_definitions')}
+    ${fileSection(db, 'routesets_digitmaps')}
+    <form action="/file_dbs/${db.id}" method="post">
+      ${tokenInput(session.csrfToken)}
+      <input name="_method" type="hidden" value="put" />
+    </form>`, { token: session.csrfToken, flash: session.flash });
+}
+
+export function renderFileUploadForm(session, db, fileType) {
+  const { field, label } = FILE_TYPES[fileType];
+  return layout(`New ${label}`, `
+    <form action="/file_dbs/${db.id}/${fileType}" enctype="multipart/form-data" method="post">
+      ${tokenInput(session.csrfToken)}
+      <input name="${field}[tbgw_files_db_id]" type="hidden" value="${db.id}" />
+      <p><label for="${field}_file">File</label> <input id="${field}_file" name="${field}[file]" size="30" type="file" /></p>
+      <input name="commit" type="submit" value="Import" />
+    </form>
+    <a href="/file_dbs/${db.id}/edit">Back</a>`, { token: session.csrfToken, flash: session.flash });
+}
+
+export function renderFileEditForm(session, db, fileType, file) {
+  const { field, label } = FILE_TYPES[fileType];
+  return layout(`Update ${label}`, `
+    <form action="/file_dbs/${db.id}/${fileType}/${file.id}" enctype="multipart/form-data" method="post">
+      ${tokenInput(session.csrfToken)}
+      <input name="_method" type="hidden" value="put" />
+      <input name="${field}[id]" type="hidden" value="${file.id}" />
+      <input name="${field}[tbgw_files_db_id]" type="hidden" value="${db.id}" />
+      <p>Name: ${escapeHtml(file.name)}</p>
+      <p><label for="${field}_file">File</label> <input id="${field}_file" name="${field}[file]" size="30" type="file" /></p>
+      <input name="commit" type="submit" value="Update" />
+    </form>
+    <a href="/file_dbs/${db.id}/edit">Back</a>`, { token: session.csrfToken });
+}
+
+export function renderRoutesets(state, session) {
+  const mappings = state.getRoutesetMappings(session.selectedConfigurationId);
+  const rows = Array.from(mappings.entries()).map(([napName, mapping]) =>
+    `<tr><td><a href="/nap_columns_values/${encodeURIComponent(napName)}/edit?from_controller=tbgw_routesets">${escapeHtml(napName)}</a></td><td>${escapeHtml(mapping.definition)}</td><td>${escapeHtml(mapping.digitmap)}</td></tr>`
+  ).join('\n        ');
+  return layout('Routesets', `
+    <div id="tbgw_files_db">
+      <table class="list">
+        <tr><th>NAP</th><th>Routesets Definition</th><th>Routesets Digitmap</th></tr>
+        ${rows}
+      </table>
+    </div>
+    <form action="/tbgw_routesets/ajax_generate_routes/1" method="post">
+      ${tokenInput(session.csrfToken)}
+      <input name="GenerateButton" type="button" value="Generate Routes" />
+    </form>`, { token: session.csrfToken, flash: session.flash });
+}
+
+const selectOptions = (names, current) => ['<option value=""></option>', ...names.map(name =>
+  `<option value="${escapeHtml(name)}"${name === current ? ' selected="selected"' : ''}>${escapeHtml(name)}</option>`
+)].join('');
+
+export function renderNapColumnsEdit(state, session, nap, mapping) {
+  const dbId = session.selectedConfigurationId;
+  const definitions = state.listFiles(dbId, 'routesets_definitions').map(file => file.name);
+  const digitmaps = state.listFiles(dbId, 'routesets_digitmaps').map(file => file.name);
+  return layout(`Routesets for ${nap.name}`, `
+    <form action="/nap_columns_values/${encodeURIComponent(nap.name)}" class="edit_tbgw_nap" id="edit_tbgw_nap_${nap.id}" method="post">
+      ${tokenInput(session.csrfToken)}
+      <input name="_method" type="hidden" value="put" />
+      <input id="tbgw_nap_tbgw_configuration_id_hidden" name="tbgw_nap[tbgw_configuration_id]" type="hidden" value="${escapeHtml(dbId)}" />
+      <input id="tbgw_nap_nap_id_hidden" name="tbgw_nap[nap_id]" type="hidden" value="${nap.id}" />
+      <table>
+        <tr><td><label for="tbgw_nap_priority">Priority</label></td><td><input id="tbgw_nap_priority" name="tbgw_nap[priority]" type="text" value="${escapeHtml(mapping.priority)}" /></td></tr>
+        <tr><td><label for="tbgw_nap_weight">Weight</label></td><td><input id="tbgw_nap_weight" name="tbgw_nap[weight]" type="text" value="${escapeHtml(mapping.weight)}" /></td></tr>
+        <tr><td><label for="tbgw_nap_called_pre_remap">Called pre-remap</label></td><td><input id="tbgw_nap_called_pre_remap" name="tbgw_nap[called_pre_remap]" type="text" value="${escapeHtml(mapping.calledPreRemap)}" /></td></tr>
+        <tr><td><label for="tbgw_nap_routesets_definition">Routesets definition</label></td><td><select id="tbgw_nap_routesets_definition" name="tbgw_nap[routesets_definition]">${selectOptions(definitions, mapping.definition)}</select></td></tr>
+        <tr><td><label for="tbgw_nap_routesets_digitmap">Routesets digitmap</label></td><td><select id="tbgw_nap_routesets_digitmap" name="tbgw_nap[routesets_digitmap]">${selectOptions(digitmaps, mapping.digitmap)}</select></td></tr>
+      </table>
+      <input name="commit" type="submit" value="Save" />
+    </form>`, { token: session.csrfToken });
+}
+
+export function renderNapList(state, session) {
+  const rows = state.naps.map(nap =>
+    `<tr><td><a class="edit_link" href="/naps/${nap.id}/edit">${escapeHtml(nap.name)}</a></td><td>${escapeHtml(nap.sipDestinationIp)}:${escapeHtml(nap.sipDestinationPort)}</td></tr>`
+  ).join('\n      ');
+  return layout('NAPs', `
+    <table class="list">
+      <tr><th>Name</th><th>Proxy address</th></tr>
+      ${rows}
+    </table>`, { token: session.csrfToken, flash: session.flash });
+}
+
+export function renderNapEdit(session, nap) {
+  return layout(`Edit NAP ${nap.name}`, `
+    <form action="/naps/${nap.id}" class="edit_nap" id="edit_nap_${nap.id}" enctype="multipart/form-data" method="post">
+      ${tokenInput(session.csrfToken)}
+      <input name="_method" type="hidden" value="put" />
+      <table>
+        <tr><td><label for="nap_name">Name</label></td><td><input id="nap_name" name="nap[name]" type="text" value="${escapeHtml(nap.name)}" /></td></tr>
+        <tr><td><label for="nap_profile_id">Profile</label></td><td><select id="nap_profile_id" name="nap[profile_id]">${['1', '2', '3'].map(id => `<option value="${id}"${id === nap.profileId ? ' selected="selected"' : ''}>${{ 1: 'default', 2: 'asterisk', 3: 'freeswitch' }[id]}</option>`).join('')}</select></td></tr>
+        <tr><td><label for="nap_sip_destination_ip">Proxy address</label></td><td><input id="nap_sip_destination_ip" name="nap[sip_destination_ip]" type="text" value="${escapeHtml(nap.sipDestinationIp)}" /></td></tr>
+        <tr><td><label for="nap_sip_destination_port">Proxy port</label></td><td><input id="nap_sip_destination_port" name="nap[sip_destination_port]" type="text" value="${escapeHtml(nap.sipDestinationPort)}" /></td></tr>
+        <tr><td><label for="nap_rate_limit_cps">Max calls per second</label></td><td><input id="nap_rate_limit_cps" name="nap[rate_limit_cps]" type="text" value="${escapeHtml(nap.rateLimitCps || '0')}" /></td></tr>
+        <tr><td><label for="nap_max_incoming_calls">Max incoming calls</label></td><td><input id="nap_max_incoming_calls" name="nap[max_incoming_calls]" type="text" value="${escapeHtml(nap.maxIncomingCalls || '0')}" /></td></tr>
+        <tr><td><label for="nap_max_outgoing_calls">Max outgoing calls</label></td><td><input id="nap_max_outgoing_calls" name="nap[max_outgoing_calls]" type="text" value="${escapeHtml(nap.maxOutgoingCalls || '0')}" /></td></tr>
+      </table>
+      <input name="commit" type="submit" value="Save" />
+    </form>`, { token: session.csrfToken, flash: session.flash });
+}
+
+export function renderSystemEdit(state, session, systemId) {
+  const options = state.configurations.map(cfg =>
+    `<option value="${cfg.id}"${cfg.id === state.activeConfigurationId ? ' selected="selected"' : ''}>${escapeHtml(cfg.name)}</option>`
+  ).join('');
+  return layout(`System ${systemId}`, `
+    <form action="/system_info/activate_configuration/${systemId}" method="post">
+      ${tokenInput(session.csrfToken)}
+      <label for="system_info_configuration_id">Activate</label>
+      <select id="system_info_configuration_id" name="system_info[configuration_id]">${options}</select>
+      <label for="system_info_configuration_id_validate">Validate</label>
+      <select id="system_info_configuration_id_validate" name="system_info[configuration_id_validate]">${options}</select>
+    </form>`, { token: session.csrfToken, flash: session.flash });
+}
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scopeAllows } from '../middleware/apiTokenScopes.js';
+
+test('read tokens reach every GET endpoint but write nothing', () => {
+  assert.equal(scopeAllows(['read'], 'GET', '/backend/api/prosbc-instances'), true);
+  assert.equal(scopeAllows(['read'], 'HEAD', '/backend/api/dm-files/12'), true);
+  assert.equal(scopeAllows(['read'], 'POST', '/backend/api/prosbc-upload/dm/all'), false);
+  assert.equal(scopeAllows(['read'], 'POST', '/backend/api/dm-files/search'), true);
+});
+
+test('write scopes only reach their own file type', () => {
+  assert.equal(scopeAllows(['dm:write'], 'POST', '/backend/api/prosbc-upload/dm/all'), true);
+  assert.equal(scopeAllows(['dm:write'], 'POST', '/backend/api/prosbc-upload/df/all'), false);
+  assert.equal(scopeAllows(['df:write'], 'POST', '/backend/api/prosbc-upload/df/'), true);
+  assert.equal(scopeAllows(['dm:write'], 'GET', '/backend/api/prosbc-instances'), false);
+  assert.equal(scopeAllows(['jobs:write'], 'POST', '/backend/api/jobs/5/cancel'), true);
+});
+
+test('accounts, sessions and tokens are never reachable with a token', () => {
+  const every = ['read', 'numbers:read', 'dm:write', 'df:write', 'jobs:write', 'customer-counts:write'];
+  for (const path of ['/backend/api/auth/sessions', '/backend/api/users', '/backend/api/api-tokens/3']) {
+    assert.equal(scopeAllows(every, 'GET', path), false, path);
+  }
+});
+
+test('paths are matched case-insensitively, as Express routes them', () => {
+  for (const path of ['/backend/api/AUTH/sessions', '/backend/api/Api-Tokens', '/backend/api/Users', '/Backend/API/users/']) {
+    assert.equal(scopeAllows(['read'], 'GET', path), false, path);
+  }
+  assert.equal(scopeAllows(['dm:write'], 'POST', '/backend/api/ProSBC-Upload/DM/All'), true);
+});
@@ -0,0 +1,106 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { Op } from 'sequelize';
+import AuditLog from '../models/AuditLog.js';
+import auditService from '../services/auditService.js';
+import fileRevisionService from '../services/fileRevisionService.js';
+import { redactSecrets, REDACTED } from '../utils/redact.js';
+
+afterEach(() => mock.restoreAll());
+
+const exportRows = async (...rows) => {
+  mock.method(AuditLog, 'findAll', async () => rows.map(row => ({ get: (column) => row[column] })));
+  const [header, ...lines] = (await auditService.exportCsv()).split('\r\n');
+  return { header: header.split(','), lines };
+};
+
+test('the CSV export keeps spreadsheet formulas as text', async () => {
+  const { header, lines } = await exportRows(
+    { username: '=HYPERLINK("http://evil")', action: 'file.updated', target: '+1-555', error: '-2+3', ip: '@SUM(A1)' },
+    { username: 'ops', action: 'file.updated', target: 'dm.csv', details: { reason: '=1+1' } }
+  );
+  const cells = Object.fromEntries(header.map((column, index) => [column, lines[0].split(',')[index]]));
+  assert.equal(cells.username, `"'=HYPERLINK(""http://evil"")"`);
+  assert.equal(cells.target, "'+1-555");
+  assert.equal(cells.error, "'-2+3");
+  assert.equal(cells.ip, "'@SUM(A1)");
+  // JSON details start with { and are left as they are
+  assert.match(lines[1], /,ops,file\.updated,/);
+  assert.match(lines[1], /"\{""reason"":""=1\+1""\}"$/);
+});
+
+test('ordinary values are written unchanged', async () => {
+  const createdAt = new Date('2026-01-02T03:04:05Z');
+  const { lines } = await exportRows({ createdAt, username: 'ops', action: 'file.updated', outcome: 'success', target: 'dm, file.csv' });
+  assert.equal(lines[0], '2026-01-02T03:04:05.000Z,ops,file.updated,success,,,"dm, file.csv",,,,,');
+});
+
+test('hashes strings, buffers and objects with sha256', () => {
+  const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+  assert.equal(auditService.hash('called\n'), sha256('called\n'));
+  assert.equal(auditService.hash(Buffer.from('called\n')), sha256('called\n'));
+  assert.equal(auditService.hash({ a: 1 }), sha256('{"a":1}'));
+  assert.equal(auditService.hash(null), null);
+});
+
+test('a file write is described by the hashes of the last revision and the new content', async () => {
+  const latest = mock.method(fileRevisionService, 'getLatestRevision', async () => ({ checksum: 'before-hash' }));
+
+  const fields = await auditService.describeFileWrite({
+    fileType: 'routesets_digitmaps', fileName: 'CS1_DM.csv', instanceId: '1', configId: 'config_1', content: 'called\n'
+  });
+
+  assert.deepEqual(latest.mock.calls[0].arguments[0], { fileType: 'routesets_digitmaps', instanceId: '1', fileName: 'CS1_DM.csv' });
+  assert.deepEqual(fields, {
+    instanceId: '1', configId: 'config_1', target: 'CS1_DM.csv',
+    beforeHash: 'before-hash', afterHash: auditService.hash('called\n'), details: { fileType: 'routesets_digitmaps' }
+  });
+
+  latest.mock.mockImplementation(async () => { throw new Error('database is down'); });
+  assert.equal((await auditService.describeFileWrite({ fileType: 'routesets_digitmaps', fileName: 'CS1_DM.csv', content: '' })).beforeHash, null);
+});
+
+test('records events with secrets redacted and never throws', async () => {
+  const create = mock.method(AuditLog, 'create', async values => values);
+
+  await auditService.record({
+    user: { id: 3, username: 'ops', apiToken: { name: 'ci' } },
+    action: 'file.updated',
+    instanceId: 1,
+    target: 'x'.repeat(300),
+    details: { fileType: 'routesets_digitmaps', password: 'hunter2', nested: { apiKey: 'k' } }
+  });
+
+  const values = create.mock.calls[0].arguments[0];
+  assert.equal(values.userId, 3);
+  assert.equal(values.instanceId, '1');
+  assert.equal(values.target.length, 255);
+  assert.equal(values.outcome, 'success');
+  assert.deepEqual(values.details, { fileType: 'routesets_digitmaps', password: REDACTED, nested: { apiKey: REDACTED }, apiToken: 'ci' });
+
+  create.mock.mockImplementation(async () => { throw new Error('database is down'); });
+  assert.equal(await auditService.record({ action: 'file.updated' }), null);
+});
+
+test('filters by action, user, instance, outcome, target and time', () => {
+  assert.deepEqual(auditService.buildWhere({
+    action: 'file.updated', username: 'ops', instanceId: 1, outcome: 'failure', target: 'CS1', from: '2026-01-01', to: '2026-02-01'
+  }), {
+    action: 'file.updated',
+    username: 'ops',
+    instanceId: '1',
+    outcome: 'failure',
+    target: { [Op.like]: '%CS1%' },
+    createdAt: { [Op.gte]: new Date('2026-01-01'), [Op.lte]: new Date('2026-02-01') }
+  });
+});
+
+test('redactSecrets hides secret-looking keys at any depth', () => {
+  assert.deepEqual(redactSecrets({
+    username: 'ops', newPassword: 'x', token: '', totp: { code: '123456' }, items: [{ secret: 's' }], file: Buffer.from('abc')
+  }), {
+    username: 'ops', newPassword: REDACTED, token: '', totp: { code: REDACTED }, items: [{ secret: REDACTED }], file: '[3 bytes]'
+  });
+  assert.equal(redactSecrets('plain'), 'plain');
+});
@@ -0,0 +1,105 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import ChangeRequest from '../models/ChangeRequest.js';
+import changeRequestService from '../services/changeRequestService.js';
+import jobQueueService from '../services/jobQueueService.js';
+import auditService from '../services/auditService.js';
+import updatePlanService from '../services/updatePlanService.js';
+import dmConflictService from '../services/dmConflictService.js';
+
+let request;
+let update;
+let enqueue;
+
+beforeEach(() => {
+  request = {
+    id: 4,
+    status: 'pending',
+    requestedBy: 'alice',
+    requestedById: 1,
+    fileName: 'dm.csv',
+    contentChecksum: 'abc',
+    kind: 'dm',
+    fileType: 'routesets_digitmaps',
+    targets: [{ instanceId: '1' }, { instanceId: '2' }],
+    async reload() { return this; },
+    async update(fields) { Object.assign(this, fields); }
+  };
+  mock.method(ChangeRequest, 'findByPk', async (id) => (String(id) === '4' ? request : null));
+  update = mock.method(ChangeRequest, 'update', async (fields) => {
+    Object.assign(request, fields);
+    return [1];
+  });
+  enqueue = mock.method(jobQueueService, 'enqueue', async () => ({ id: 'job-1' }));
+  mock.method(auditService, 'record', async () => null);
+});
+
+afterEach(() => mock.restoreAll());
+
+test('a requester cannot approve or reject their own change request', async () => {
+  await assert.rejects(changeRequestService.approve(4, { id: 1, username: 'alice' }), { status: 403 });
+  await assert.rejects(changeRequestService.reject(4, { id: 1, username: 'alice' }), { status: 403 });
+  assert.equal(update.mock.callCount(), 0);
+  assert.equal(enqueue.mock.callCount(), 0);
+  assert.equal(request.status, 'pending');
+});
+
+test('renaming themselves does not let a requester review their own change request', async () => {
+  await assert.rejects(changeRequestService.approve(4, { id: 1, username: 'alice-renamed' }), { status: 403 });
+  assert.equal(update.mock.callCount(), 0);
+  // Someone who took over the old name is a different user
+  await assert.rejects(changeRequestService.cancel(4, { id: 3, username: 'alice' }), { status: 403 });
+  const cancelled = await changeRequestService.cancel(4, { id: 1, username: 'alice-renamed' });
+  assert.equal(cancelled.status, 'cancelled');
+});
+
+test('rows without a requester id fall back to the username', async () => {
+  request.requestedById = null;
+  await assert.rejects(changeRequestService.reject(4, { id: 1, username: 'alice' }), { status: 403 });
+  const rejected = await changeRequestService.reject(4, { id: 2, username: 'bob' });
+  assert.equal(rejected.status, 'rejected');
+});
+
+test('another user approves it and queues the push', async () => {
+  const approved = await changeRequestService.approve(4, { id: 2, username: 'bob' }, { comment: 'ok' });
+  assert.equal(approved.status, 'approved');
+  assert.equal(approved.reviewedBy, 'bob');
+  assert.equal(approved.jobId, 'job-1');
+  assert.equal(enqueue.mock.callCount(), 1);
+});
+
+test('a reviewed change request cannot be reviewed again', async () => {
+  request.status = 'approved';
+  await assert.rejects(changeRequestService.reject(4, { id: 2, username: 'bob' }), { status: 409 });
+  await assert.rejects(changeRequestService.approve(99, { id: 2, username: 'bob' }), { status: 404 });
+});
+
+test('an update-to-all plan is staged only once, even by concurrent requests', async () => {
+  mock.method(ChangeRequest, 'create', async (fields) => ({ id: 5, ...fields }));
+  mock.method(dmConflictService, 'checkContent', () => new Promise(resolve => setTimeout(() => resolve({ blocked: false }), 20)));
+  const { planId } = updatePlanService.save({
+    fileType: 'routesets_digitmaps',
+    fileName: 'dm.csv',
+    content: '1000,a\n',
+    targets: [{ instanceId: '1' }, { instanceId: '2' }]
+  });
+  const stage = () => changeRequestService.stageUpdateToAll({ planId }, { id: 1, username: 'alice' });
+  const outcomes = await Promise.allSettled([stage(), stage()]);
+  assert.deepEqual(outcomes.map(outcome => outcome.status).sort(), ['fulfilled', 'rejected']);
+  assert.equal(outcomes.find(outcome => outcome.status === 'rejected').reason.status, 409);
+  assert.equal(ChangeRequest.create.mock.callCount(), 1);
+});
+
+test('a plan blocked by conflicts stays usable', async () => {
+  mock.method(dmConflictService, 'checkContent', async ({ allowConflicts }) => (allowConflicts ? { blocked: false } : { blocked: true, message: 'conflicts' }));
+  mock.method(ChangeRequest, 'create', async (fields) => ({ id: 6, ...fields }));
+  const { planId } = updatePlanService.save({
+    fileType: 'routesets_digitmaps',
+    fileName: 'dm.csv',
+    content: '1000,a\n',
+    targets: [{ instanceId: '1' }]
+  });
+  await assert.rejects(changeRequestService.stageUpdateToAll({ planId }, { id: 1, username: 'alice' }), { status: 409 });
+  const staged = await changeRequestService.stageUpdateToAll({ planId, allowConflicts: true }, { id: 1, username: 'alice' });
+  assert.equal(staged.kind, 'update-to-all');
+});
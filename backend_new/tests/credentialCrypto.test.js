@@ -0,0 +1,107 @@
+import { describe, test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import {
+  encryptSecret, decryptSecret, isEncrypted, keyVersionOf, needsReencryption, hasCredentialKey, currentKeyVersion
+} from '../utils/credentialCrypto.js';
+import ProSBCInstance from '../models/ProSBCInstance.js';
+import proSbcInstanceService from '../services/proSbcInstanceService.js';
+
+const KEY_VARIABLES = ['PROSBC_CREDENTIAL_KEY', 'PROSBC_CREDENTIAL_KEYS', 'PROSBC_CREDENTIAL_KEY_VERSION'];
+const hexKey = crypto.randomBytes(32).toString('hex');
+const base64Key = crypto.randomBytes(32).toString('base64');
+
+beforeEach(() => KEY_VARIABLES.forEach(name => delete process.env[name]));
+afterEach(() => {
+  KEY_VARIABLES.forEach(name => delete process.env[name]);
+  mock.restoreAll();
+});
+
+describe('credential encryption', () => {
+  test('round trips a secret with a single key', () => {
+    process.env.PROSBC_CREDENTIAL_KEY = hexKey;
+    const encrypted = encryptSecret('pr0sbc pässword');
+
+    assert.match(encrypted, /^enc:v1:[^:]+:[^:]+:[^:]+$/);
+    assert.notEqual(encryptSecret('pr0sbc pässword'), encrypted);
+    assert.equal(isEncrypted(encrypted), true);
+    assert.equal(keyVersionOf(encrypted), 1);
+    assert.equal(decryptSecret(encrypted), 'pr0sbc pässword');
+  });
+
+  test('passes legacy plaintext values through', () => {
+    assert.equal(decryptSecret('plain password'), 'plain password');
+    assert.equal(decryptSecret(null), null);
+    assert.equal(isEncrypted('plain password'), false);
+    assert.equal(keyVersionOf('plain password'), null);
+  });
+
+  test('refuses to encrypt without a key', () => {
+    assert.equal(hasCredentialKey(), false);
+    assert.equal(currentKeyVersion(), null);
+    assert.throws(() => encryptSecret('secret'), /No credential encryption key configured/);
+  });
+
+  test('encrypts with the newest key and still decrypts with older ones', () => {
+    process.env.PROSBC_CREDENTIAL_KEY = hexKey;
+    const old = encryptSecret('secret');
+
+    process.env.PROSBC_CREDENTIAL_KEYS = `2:${base64Key},1:${hexKey}`;
+    const current = encryptSecret('secret');
+    assert.equal(keyVersionOf(current), 2);
+    assert.equal(decryptSecret(old), 'secret');
+    assert.equal(decryptSecret(current), 'secret');
+    assert.equal(needsReencryption(old), true);
+    assert.equal(needsReencryption(current), false);
+    assert.equal(needsReencryption('plain password'), true);
+
+    process.env.PROSBC_CREDENTIAL_KEY_VERSION = '1';
+    assert.equal(keyVersionOf(encryptSecret('secret')), 1);
+    process.env.PROSBC_CREDENTIAL_KEY_VERSION = '3';
+    assert.throws(() => encryptSecret('secret'), /PROSBC_CREDENTIAL_KEY_VERSION 3 has no key/);
+  });
+
+  test('rejects a wrong key, a missing key version or a tampered value', () => {
+    process.env.PROSBC_CREDENTIAL_KEY = 'a passphrase hashed to a key';
+    const encrypted = encryptSecret('secret');
+
+    process.env.PROSBC_CREDENTIAL_KEY = 'another passphrase';
+    assert.throws(() => decryptSecret(encrypted), /wrong key or tampered value/);
+
+    process.env.PROSBC_CREDENTIAL_KEYS = `2:${hexKey}`;
+    delete process.env.PROSBC_CREDENTIAL_KEY;
+    assert.throws(() => decryptSecret(encrypted), /No credential encryption key with version 1/);
+
+    process.env.PROSBC_CREDENTIAL_KEY = 'a passphrase hashed to a key';
+    const parts = encrypted.split(':');
+    parts[4] = Buffer.from('tampered').toString('base64');
+    assert.throws(() => decryptSecret(parts.join(':')), /wrong key or tampered value/);
+  });
+});
+
+describe('ProSBC instance passwords', () => {
+  test('are encrypted when set and decrypted on read', () => {
+    process.env.PROSBC_CREDENTIAL_KEY = hexKey;
+    const instance = ProSBCInstance.build({ id: 1, username: 'Monitor', password: 'secret' });
+
+    assert.equal(isEncrypted(instance.getDataValue('password')), true);
+    assert.equal(instance.getDecryptedPassword(), 'secret');
+
+    const encrypted = instance.getDataValue('password');
+    instance.password = encrypted;
+    assert.equal(instance.getDataValue('password'), encrypted);
+  });
+
+  test('report rows that are unencrypted or on an old key', async () => {
+    process.env.PROSBC_CREDENTIAL_KEY = hexKey;
+    const old = encryptSecret('secret');
+    process.env.PROSBC_CREDENTIAL_KEYS = `2:${base64Key},1:${hexKey}`;
+    mock.method(ProSBCInstance, 'findAll', async () => [
+      { id: 1, password: 'plain password' },
+      { id: 2, password: old },
+      { id: 3, password: encryptSecret('secret') }
+    ]);
+
+    assert.deepEqual(await proSbcInstanceService.getCredentialStatus(), { keyConfigured: true, unencrypted: [1], outdatedKey: [2] });
+  });
+});
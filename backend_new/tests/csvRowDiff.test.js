@@ -0,0 +1,65 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, diffCsvRows } from '../utils/csvRowDiff.js';
+
+describe('parseCsv', () => {
+  test('keys rows by lower-cased header and records their line numbers', () => {
+    const { headers, rows } = parseCsv('\uFEFFCalled,Calling,Routeset_Name\r\n2125551000,,CS1\r\n\r\n2125551001,,CS1\r\n');
+    assert.deepEqual(headers, ['called', 'calling', 'routeset_name']);
+    assert.deepEqual(rows, [
+      { _line: 2, called: '2125551000', calling: '', routeset_name: 'CS1' },
+      { _line: 3, called: '2125551001', calling: '', routeset_name: 'CS1' }
+    ]);
+  });
+
+  test('honours quoted fields with commas and escaped quotes', () => {
+    const { rows } = parseCsv('routeset_name,description\nCS1,"Carrier ""A"", east"\n');
+    assert.equal(rows[0].description, 'Carrier "A", east');
+  });
+
+  test('returns nothing for empty content', () => {
+    assert.deepEqual(parseCsv(''), { headers: [], rows: [] });
+    assert.deepEqual(parseCsv(null), { headers: [], rows: [] });
+  });
+});
+
+describe('diffCsvRows', () => {
+  const remote = 'called,calling,routeset_name\n2125551000,,CS1\n2125551001,,CS1\n2125551002,,CS1\n';
+
+  test('reports added, removed and changed digitmap rows by called/calling', () => {
+    const local = 'called,calling,routeset_name\n2125551000,,CS1\n2125551001,,CS2\n2125551003,,CS1\n';
+    const diff = diffCsvRows(remote, local, 'routesets_digitmaps');
+
+    assert.deepEqual(diff.keyColumns, ['called', 'calling']);
+    assert.equal(diff.headersChanged, false);
+    assert.deepEqual(diff.summary, { remoteRows: 3, localRows: 3, added: 1, removed: 1, changed: 1, unchanged: 1 });
+    assert.deepEqual(diff.added, [{ key: '2125551003,', line: 4, row: { called: '2125551003', calling: '', routeset_name: 'CS1' } }]);
+    assert.deepEqual(diff.removed.map(row => row.key), ['2125551002,']);
+    assert.equal(diff.changed[0].key, '2125551001,');
+    assert.deepEqual(diff.changed[0].fields, ['routeset_name']);
+    assert.equal(diff.changed[0].before.routeset_name, 'CS1');
+    assert.equal(diff.changed[0].after.routeset_name, 'CS2');
+  });
+
+  test('matches duplicate keys in file order', () => {
+    const withDuplicates = 'called,calling,routeset_name\n2125551000,,CS1\n2125551000,,CS2\n';
+    const diff = diffCsvRows(withDuplicates, 'called,calling,routeset_name\n2125551000,,CS1\n', 'routesets_digitmaps');
+    assert.equal(diff.summary.unchanged, 1);
+    assert.deepEqual(diff.removed, [{ key: '2125551000,', line: 3, row: { called: '2125551000', calling: '', routeset_name: 'CS2' } }]);
+  });
+
+  test('keys definition rows on routeset and NAP', () => {
+    const before = 'routeset_name,priority,remapped_nap\nCS1,1,NAP_CARRIER_A\n';
+    const after = 'routeset_name,priority,remapped_nap\nCS1,2,NAP_CARRIER_A\n';
+    const diff = diffCsvRows(before, after, 'routesets_definitions');
+    assert.deepEqual(diff.keyColumns, ['routeset_name', 'remapped_nap']);
+    assert.deepEqual(diff.changed[0].fields, ['priority']);
+  });
+
+  test('falls back to the first column and flags header changes', () => {
+    const diff = diffCsvRows('name,value\na,1\n', 'name,value,note\na,1,x\n', 'unknown_type');
+    assert.deepEqual(diff.keyColumns, ['name']);
+    assert.equal(diff.headersChanged, true);
+    assert.deepEqual(diff.changed[0].fields, ['note']);
+  });
+});
@@ -0,0 +1,74 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { Op } from 'sequelize';
+import CustomerCount from '../models/CustomerCount.js';
+import customerCountService, { toProsbcInstanceId } from '../services/customerCountService.js';
+
+const row = (customerName, prosbcInstanceId, date, count) => ({ customerName, prosbcInstanceId, date, count });
+
+afterEach(() => mock.restoreAll());
+
+test('normalizes instance ids to the prosbc<n> form', () => {
+  assert.equal(toProsbcInstanceId(2), 'prosbc2');
+  assert.equal(toProsbcInstanceId('prosbc2'), 'prosbc2');
+});
+
+test('filters by instance and month range', async () => {
+  const findAll = mock.method(CustomerCount, 'findAll', async () => []);
+
+  await customerCountService.getTrendAnalytics({ instanceIds: ['1', 'prosbc2'], from: '2026-01', to: '2026-12' });
+
+  const { where } = findAll.mock.calls[0].arguments[0];
+  assert.deepEqual(where.prosbcInstanceId, { [Op.in]: ['prosbc1', 'prosbc2'] });
+  assert.deepEqual(where.date, { [Op.gte]: '2026-01-01', [Op.lt]: '2027-01-01' });
+});
+
+test('computes month-over-month growth summed across instances', async () => {
+  mock.method(CustomerCount, 'findAll', async () => [
+    row('CS1', 'prosbc1', '2026-01-01', 100),
+    row('CS1', 'prosbc2', '2026-01-01', 50),
+    row('CS2', 'prosbc1', '2026-01-01', 40),
+    row('CS3', 'prosbc1', '2026-01-01', 10),
+    row('CS1', 'prosbc1', '2026-02-01', 150),
+    // A later snapshot in the same month replaces the earlier one
+    row('CS1', 'prosbc1', '2026-02-15', 120),
+    row('CS1', 'prosbc2', '2026-02-01', 60),
+    row('CS2', 'prosbc1', '2026-02-01', 35),
+    row('CS4', 'prosbc1', '2026-02-01', 5)
+  ]);
+
+  const analytics = await customerCountService.getTrendAnalytics({ top: 1 });
+
+  assert.deepEqual(analytics.months, ['2026-01', '2026-02']);
+  assert.equal(analytics.currentMonth, '2026-02');
+  assert.equal(analytics.previousMonth, '2026-01');
+
+  const cs1 = analytics.customers.find(customer => customer.customerName === 'CS1');
+  assert.deepEqual(cs1.instances, ['prosbc1', 'prosbc2']);
+  assert.equal(cs1.previous, 150);
+  assert.equal(cs1.current, 180);
+  assert.equal(cs1.growthPct, 20);
+  assert.deepEqual(cs1.series[1], { month: '2026-02', count: 180, delta: 30, growthPct: 20 });
+
+  assert.deepEqual(analytics.summary, {
+    currentTotal: 220, previousTotal: 200, delta: 20, growthPct: 10, customers: 4, activeCustomers: 3
+  });
+  assert.deepEqual(analytics.totals[1], { month: '2026-02', count: 220, activeCustomers: 3, delta: 20, growthPct: 10 });
+
+  assert.deepEqual(analytics.topGainers.map(c => c.customerName), ['CS1']);
+  assert.deepEqual(analytics.topLosers.map(c => c.customerName), ['CS3']);
+  assert.deepEqual(analytics.droppedToZero, [{ customerName: 'CS3', previous: 10, current: 0, delta: -10, growthPct: -100 }]);
+  assert.deepEqual(analytics.newCustomers.map(c => c.customerName), ['CS4']);
+  assert.equal(analytics.newCustomers[0].growthPct, null);
+});
+
+test('reports no movers with a single month of data', async () => {
+  mock.method(CustomerCount, 'findAll', async () => [row('CS1', 'prosbc1', '2026-01-01', 100)]);
+
+  const analytics = await customerCountService.getTrendAnalytics();
+
+  assert.equal(analytics.previousMonth, null);
+  assert.deepEqual(analytics.topGainers, []);
+  assert.deepEqual(analytics.newCustomers, []);
+  assert.equal(analytics.summary.growthPct, null);
+});
@@ -0,0 +1,112 @@
+import { describe, test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import PhoneNumber from '../models/PhoneNumber.js';
+import dmConflictService, { CONFLICT_KINDS } from '../services/dmConflictService.js';
+
+const indexed = (number, file_name, prosbc_instance_id, routeset_name) => ({
+  number, file_name, routeset_name, dm_file_id: 1, prosbc_instance_id, prosbc_instance_name: `Instance ${prosbc_instance_id}`
+});
+
+const content = 'called,calling,routeset_name\n2125551000,,CS1\n2125551001,,CS1\n2125551002,,CS1\n2125551002,,CS1\n';
+
+beforeEach(() => {
+  delete process.env.DM_CONFLICT_POLICY;
+  mock.method(PhoneNumber, 'findAll', async () => [
+    // Another customer on the target instance
+    indexed('2125551000', 'CS2_DM.csv', '1', 'CS2'),
+    // Another customer on an instance the upload does not touch
+    indexed('2125551001', 'CS4_DM.csv', '2', 'CS4'),
+    // This file's copy on the other instance still routes to the old routeset
+    indexed('2125551001', 'CS1_DM.csv', '2', 'CS1-OLD')
+  ]);
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('checkContent', () => {
+  test('blocks numbers another customer has on a target instance', async () => {
+    const result = await dmConflictService.checkContent({ fileName: 'CS1_DM.csv', content, instanceIds: ['1'] });
+
+    assert.equal(result.policy, 'block');
+    assert.equal(result.checked, 3);
+    assert.equal(result.blocked, true);
+    assert.equal(result.blocking, 1);
+    assert.deepEqual(result.conflicts.map(conflict => [conflict.number, conflict.kind, conflict.severity]), [
+      ['2125551000', 'multiple-customers', 'block'],
+      ['2125551001', 'multiple-instances', 'warn'],
+      ['2125551001', 'multiple-routesets', 'warn'],
+      ['2125551002', 'duplicate-in-file', 'warn']
+    ]);
+    assert.match(result.message, /^1 number already belongs to another customer: 2125551000 \(CS2_DM.csv\)/);
+  });
+
+  test('lets the caller override a block', async () => {
+    const result = await dmConflictService.checkContent({ fileName: 'CS1_DM.csv', content, instanceIds: ['1'], allowConflicts: true });
+    assert.equal(result.blocked, false);
+    assert.equal(result.blocking, 1);
+  });
+
+  test('only warns about conflicts the file already had', async () => {
+    PhoneNumber.findAll.mock.mockImplementation(async () => [
+      indexed('2125551000', 'CS2_DM.csv', '1', 'CS2'),
+      indexed('2125551000', 'CS1_DM.csv', '1', 'CS1')
+    ]);
+
+    const result = await dmConflictService.checkContent({ fileName: 'CS1_DM.csv', content, instanceIds: ['1'] });
+
+    assert.equal(result.blocked, false);
+    assert.equal(result.conflicts[0].existing, true);
+    assert.equal(result.conflicts[0].severity, 'warn');
+  });
+
+  test('follows DM_CONFLICT_POLICY', async () => {
+    process.env.DM_CONFLICT_POLICY = 'warn';
+    const warned = await dmConflictService.checkContent({ fileName: 'CS1_DM.csv', content, instanceIds: ['1'] });
+    assert.equal(warned.blocked, false);
+    assert.equal(warned.blocking, 1);
+
+    process.env.DM_CONFLICT_POLICY = 'off';
+    assert.deepEqual(await dmConflictService.checkContent({ fileName: 'CS1_DM.csv', content }), {
+      policy: 'off', skipped: true, blocked: false, conflicts: []
+    });
+  });
+
+  test('reports a failed lookup as skipped instead of throwing', async () => {
+    PhoneNumber.findAll.mock.mockImplementation(async () => { throw new Error('database is down'); });
+
+    const result = await dmConflictService.checkContent({ fileName: 'CS1_DM.csv', content });
+
+    assert.equal(result.skipped, true);
+    assert.equal(result.blocked, false);
+    assert.equal(result.error, 'database is down');
+  });
+});
+
+describe('getConflictReport', () => {
+  test('classifies conflicts and lists numbers shared between customers first', async () => {
+    PhoneNumber.findAll.mock.mockImplementation(async ({ group }) => (group
+      ? [
+          { number: '2125551001', rows: 2, files: 2, customers: 1, routesets: 2, instances: 2 },
+          { number: '2125551000', rows: 2, files: 2, customers: 2, routesets: 2, instances: 1 },
+          { number: '2125551002', rows: 2, files: 1, customers: 1, routesets: 1, instances: 1 }
+        ]
+      : [
+          indexed('2125551000', 'CS1_DM.csv', '1', 'CS1'),
+          indexed('2125551000', 'CS2_DM.csv', '1', 'CS2'),
+          indexed('2125551001', 'CS1_DM.csv', '1', 'CS1'),
+          indexed('2125551001', 'CS1_DM.csv', '2', 'CS1-OLD')
+        ]));
+
+    const report = await dmConflictService.getConflictReport({ kinds: ['multiple-customers', 'multiple-routesets'] });
+
+    assert.deepEqual(Object.keys(report.summary), CONFLICT_KINDS);
+    assert.deepEqual(report.summary, {
+      'multiple-customers': 1, 'multiple-routesets': 2, 'multiple-instances': 1, 'duplicate-in-file': 1
+    });
+    assert.equal(report.total, 2);
+    assert.deepEqual(report.conflicts.map(conflict => conflict.number), ['2125551000', '2125551001']);
+    assert.deepEqual(report.conflicts[0].customers, ['CS1_DM.csv', 'CS2_DM.csv']);
+    assert.deepEqual(report.conflicts[1].kinds, ['multiple-routesets', 'multiple-instances']);
+    assert.deepEqual(report.conflicts[1].instances, ['Instance 1', 'Instance 2']);
+  });
+});
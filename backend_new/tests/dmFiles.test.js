@@ -0,0 +1,78 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { Op } from 'sequelize';
+import ProSBCDMFile from '../models/ProSBCDMFile.js';
+import dmConflictService from '../services/dmConflictService.js';
+import auditService from '../services/auditService.js';
+import dmFileRoutes from '../routes/dmFiles.js';
+
+const rows = {
+  1: { id: 1, file_name: 'a.csv', file_content: 'a\n', prosbc_instance_id: '1' },
+  3: { id: 3, file_name: 'c.csv', file_content: 'c\n', prosbc_instance_id: '3' }
+};
+
+let server;
+let baseUrl;
+let findAll;
+let checkContent;
+
+before(async () => {
+  findAll = mock.method(ProSBCDMFile, 'findAll', async () => []);
+  mock.method(ProSBCDMFile, 'findOne', async ({ where }) => {
+    const row = rows[where.id];
+    return row && (!where.prosbc_instance_id || where.prosbc_instance_id === row.prosbc_instance_id) ? row : null;
+  });
+  checkContent = mock.method(dmConflictService, 'checkContent', async () => ({ blocked: true, message: 'stop here' }));
+  mock.method(auditService, 'record', async () => null);
+
+  const app = express();
+  app.use(express.json());
+  // Operator on instance 1, viewer on instance 2
+  app.use((req, res, next) => {
+    req.user = { id: 2, username: 'ops' };
+    req.permissions = { userId: 2, username: 'ops', role: 'operator', instancePermissions: { 1: 'operator', 2: 'viewer' } };
+    next();
+  });
+  app.use('/backend/api/dm-files', dmFileRoutes);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/backend/api/dm-files`;
+});
+
+after(async () => {
+  mock.restoreAll();
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('the list is filtered by the authorized instance, not the query one', async () => {
+  assert.equal((await fetch(`${baseUrl}?instanceId=3`, { headers: { 'x-prosbc-instance-id': '1' } })).status, 200);
+  assert.deepEqual(findAll.mock.calls.at(-1).arguments[0].where, { prosbc_instance_id: '1' });
+});
+
+test('without an instance, a limited user only lists the instances they may see', async () => {
+  assert.equal((await fetch(baseUrl)).status, 200);
+  assert.deepEqual(findAll.mock.calls.at(-1).arguments[0].where, { prosbc_instance_id: { [Op.in]: ['1', '2'] } });
+});
+
+test('content of a file on an inaccessible instance answers 403', async () => {
+  assert.equal((await fetch(`${baseUrl}/3/content`, { headers: { 'x-prosbc-instance-id': '1' } })).status, 404);
+  assert.equal((await fetch(`${baseUrl}/3/content`)).status, 403);
+  const res = await fetch(`${baseUrl}/1/content`);
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).file.file_content, 'a\n');
+});
+
+test('editing a file on an instance without operator access answers 403', async () => {
+  const put = (id) => fetch(`${baseUrl}/${id}/content`, {
+    method: 'PUT',
+    headers: { 'content-type': 'application/json', 'x-prosbc-instance-id': '1' },
+    body: JSON.stringify({ file_content: 'x\n' })
+  });
+  assert.equal((await put(3)).status, 403);
+  assert.equal(checkContent.mock.callCount(), 0);
+  // A file the user may edit gets as far as the conflict check
+  assert.equal((await put(1)).status, 409);
+  assert.equal(checkContent.mock.callCount(), 1);
+});
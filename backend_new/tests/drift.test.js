@@ -0,0 +1,147 @@
+import { describe, test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ProSBCFileAPI } from '../utils/prosbc/prosbcFileManager.js';
+import proSbcInstanceService from '../services/proSbcInstanceService.js';
+import dmConflictService from '../services/dmConflictService.js';
+import driftService, { DRIFT_FILE_TYPES } from '../services/driftService.js';
+
+const HEADER = 'called,calling,routeset_name\n';
+const cs1 = `${HEADER}2125551000,,CS1\n`;
+const cs2 = `${HEADER}2125552000,,CS2\n2125552001,,CS2\n`;
+const cs2Edited = `${HEADER}2125552000,,CS2\n2125552002,,CS2\n`;
+
+// DM files per instance; instance 4 cannot be reached
+const instanceFiles = {
+  1: { 'CS1_DM.csv': cs1, 'CS2_DM.csv': cs2, 'CS4_DM.csv': `${HEADER}2125554000,,CS4\n` },
+  2: { 'CS1_DM.csv': cs1, 'CS2_DM.csv': cs2 },
+  3: { 'CS1_DM.csv': cs1, 'CS2_DM.csv': cs2Edited }
+};
+
+afterEach(() => mock.restoreAll());
+
+test('covers DF and DM files', () => {
+  assert.deepEqual(DRIFT_FILE_TYPES, ['routesets_definitions', 'routesets_digitmaps']);
+});
+
+describe('analyze', () => {
+  beforeEach(() => {
+    mock.method(proSbcInstanceService, 'selectInstances', async () => [1, 2, 3, 4].map(id => ({ id, name: `SBC ${id}` })));
+    mock.method(ProSBCFileAPI.prototype, 'listDmFiles', async function () {
+      const files = instanceFiles[this.instanceId];
+      if (!files) throw new Error('connect ECONNREFUSED');
+      return { files: Object.keys(files).map(name => ({ id: name, name, configId: '1' })) };
+    });
+    mock.method(ProSBCFileAPI.prototype, 'getFileContent', async function (fileType, fileId) {
+      return { content: instanceFiles[this.instanceId][fileId] };
+    });
+  });
+
+  test('sorts every file into in-sync, drift or missing', async () => {
+    const progress = [];
+    const report = await driftService.analyze({
+      fileTypes: ['routesets_digitmaps'],
+      onProgress: async (percent) => progress.push(percent)
+    });
+
+    assert.deepEqual(report.instances.map(instance => [instance.id, instance.reachable]), [['1', true], ['2', true], ['3', true], ['4', false]]);
+    assert.equal(report.instances[3].error, 'connect ECONNREFUSED');
+    assert.deepEqual(report.summary, { files: 3, inSync: 1, drift: 1, missing: 1 });
+    assert.equal(progress.at(-1), 100);
+
+    const [inSync, drift, missing] = report.files;
+    assert.equal(inSync.fileName, 'CS1_DM.csv');
+    assert.equal(inSync.status, 'in-sync');
+    assert.equal(inSync.cells['4'].present, null);
+
+    assert.equal(drift.status, 'drift');
+    assert.equal(drift.baselineInstanceId, '1');
+    assert.equal(drift.variants, 2);
+    assert.deepEqual(drift.differsOn, ['3']);
+    assert.equal(drift.cells['3'].diff.added, 1);
+    assert.equal(drift.cells['3'].diff.removed, 1);
+    assert.equal(drift.cells['2'].diff, undefined);
+
+    assert.equal(missing.fileName, 'CS4_DM.csv');
+    assert.equal(missing.status, 'missing');
+    assert.deepEqual(missing.missingOn, ['2', '3']);
+  });
+
+  test('stops when the job is cancelled', async () => {
+    await assert.rejects(driftService.analyze({ throwIfCancelled: () => { throw new Error('Job cancelled'); } }), /Job cancelled/);
+  });
+});
+
+describe('sync', () => {
+  let writeFile;
+
+  beforeEach(() => {
+    mock.method(driftService, 'fetchFile', async (instanceId, fileType, fileName) => {
+      const content = instanceFiles[instanceId]?.[fileName];
+      return content === undefined ? null : { file: { id: fileName, name: fileName, configId: '1' }, content };
+    });
+    writeFile = mock.method(driftService, 'writeFile', async () => ({ success: true, action: 'updated', fileId: 'CS2_DM.csv' }));
+    mock.method(dmConflictService, 'checkContent', async () => ({ blocked: false }));
+  });
+
+  test('previews the rows the target would change', async () => {
+    const preview = await driftService.previewSync({
+      fileType: 'routesets_digitmaps', fileName: 'CS2_DM.csv', sourceInstanceId: 1, targetInstanceId: 3
+    });
+    assert.equal(preview.targetExists, true);
+    assert.notEqual(preview.sourceChecksum, preview.targetChecksum);
+    assert.deepEqual(preview.diff.added.map(row => row.key), ['2125552001,']);
+    assert.deepEqual(preview.diff.removed.map(row => row.key), ['2125552002,']);
+
+    const upload = await driftService.previewSync({
+      fileType: 'routesets_digitmaps', fileName: 'CS4_DM.csv', sourceInstanceId: 1, targetInstanceId: 2
+    });
+    assert.equal(upload.targetExists, false);
+    assert.equal(upload.diff.summary.added, 1);
+
+    await assert.rejects(
+      driftService.previewSync({ fileType: 'routesets_digitmaps', fileName: 'CS4_DM.csv', sourceInstanceId: 2, targetInstanceId: 1 }),
+      { status: 404 }
+    );
+  });
+
+  test('writes the source content to the target', async () => {
+    const result = await driftService.syncFile(
+      { fileType: 'routesets_digitmaps', fileName: 'CS2_DM.csv', sourceInstanceId: 1, targetInstanceId: 3 },
+      { author: 'ops' }
+    );
+
+    assert.equal(result.action, 'updated');
+    const [instanceId, , fileName, content, current, options] = writeFile.mock.calls[0].arguments;
+    assert.equal(instanceId, 3);
+    assert.equal(fileName, 'CS2_DM.csv');
+    assert.equal(content, cs2);
+    assert.equal(current.content, cs2Edited);
+    assert.deepEqual(options, { author: 'ops', reason: 'Match instance 1', source: 'drift/sync from 1' });
+  });
+
+  test('does nothing when the target already matches', async () => {
+    const result = await driftService.syncFile({ fileType: 'routesets_digitmaps', fileName: 'CS2_DM.csv', sourceInstanceId: 1, targetInstanceId: 2 });
+    assert.equal(result.action, 'none');
+    assert.equal(writeFile.mock.callCount(), 0);
+  });
+
+  test('refuses DM content that conflicts on the target', async () => {
+    dmConflictService.checkContent.mock.mockImplementation(async () => ({ blocked: true, message: '1 number already belongs to another customer' }));
+    await assert.rejects(
+      driftService.syncFile({ fileType: 'routesets_digitmaps', fileName: 'CS2_DM.csv', sourceInstanceId: 1, targetInstanceId: 3 }),
+      { status: 409, message: '1 number already belongs to another customer' }
+    );
+    assert.equal(writeFile.mock.callCount(), 0);
+  });
+
+  test('rejects syncing an instance onto itself or unknown file types', async () => {
+    await assert.rejects(
+      driftService.syncFile({ fileType: 'routesets_digitmaps', fileName: 'CS2_DM.csv', sourceInstanceId: 1, targetInstanceId: '1' }),
+      { status: 400 }
+    );
+    await assert.rejects(
+      driftService.syncFile({ fileType: 'nap', fileName: 'CS2_DM.csv', sourceInstanceId: 1, targetInstanceId: 3 }),
+      { status: 400 }
+    );
+  });
+});
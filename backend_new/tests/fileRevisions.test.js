@@ -0,0 +1,84 @@
+import { describe, test, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { startProSBCSimulator } from '../simulator/prosbcSimulator.js';
+import FileRevision from '../models/FileRevision.js';
+import fileRevisionService, { revisionInstanceId } from '../services/fileRevisionService.js';
+
+afterEach(() => mock.restoreAll());
+
+test('maps the default instance back to the env configured ProSBC', () => {
+  assert.equal(revisionInstanceId({ prosbc_instance_id: 'default' }), null);
+  assert.equal(revisionInstanceId({ prosbc_instance_id: '3' }), '3');
+});
+
+describe('recordRevision', () => {
+  test('stores the content with its checksum, size and instance', async () => {
+    const create = mock.method(FileRevision, 'create', async values => ({ id: 7, ...values }));
+    const content = 'called,calling,routeset_name\n2125551000,,CS1\n';
+
+    const revision = await fileRevisionService.recordRevision({
+      fileType: 'routesets_digitmaps', fileName: 'CS1_DM.csv', content, configId: 1, author: 'alice'
+    });
+
+    assert.equal(revision.id, 7);
+    const values = create.mock.calls[0].arguments[0];
+    assert.equal(values.prosbc_instance_id, 'default');
+    assert.equal(values.config_id, '1');
+    assert.equal(values.action, 'update');
+    assert.equal(values.size, Buffer.byteLength(content));
+    assert.equal(values.checksum, crypto.createHash('sha256').update(content).digest('hex'));
+  });
+
+  test('skips revisions without content', async () => {
+    const create = mock.method(FileRevision, 'create', async values => values);
+    const revision = await fileRevisionService.recordRevision({ fileType: 'routesets_digitmaps', fileName: 'CS1_DM.csv' });
+    assert.equal(revision, null);
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  test('returns null instead of throwing when the history write fails', async () => {
+    mock.method(FileRevision, 'create', async () => { throw new Error('database is down'); });
+    const revision = await fileRevisionService.recordRevision({ fileType: 'routesets_digitmaps', fileName: 'CS1_DM.csv', content: '' });
+    assert.equal(revision, null);
+  });
+});
+
+describe('rollback', () => {
+  let simulator;
+
+  before(async () => {
+    simulator = await startProSBCSimulator({ username: 'Monitor', password: 'simulator' });
+    process.env.PROSBC_BASE_URL = simulator.baseUrl;
+    process.env.PROSBC_USERNAME = 'Monitor';
+    process.env.PROSBC_PASSWORD = 'simulator';
+  });
+
+  after(async () => {
+    simulator.server.closeAllConnections();
+    await simulator.close();
+  });
+
+  test('writes the old content back to the ProSBC and records a rollback revision', async () => {
+    const content = 'called,calling,routeset_name\n2125550001,,CS1\n';
+    const old = {
+      id: 4, file_type: 'routesets_digitmaps', file_name: 'CS1_DM.csv', content,
+      prosbc_instance_id: 'default', config_id: '1', prosbc_file_id: null
+    };
+    mock.method(FileRevision, 'findByPk', async id => (id === 4 ? old : null));
+    const create = mock.method(FileRevision, 'create', async values => ({ id: 5, ...values }));
+
+    const { newRevision } = await fileRevisionService.rollback(4, { author: 'alice' });
+
+    assert.equal(simulator.state.findFileByName('1', 'routesets_digitmaps', 'CS1_DM.csv').content, content);
+    assert.equal(create.mock.callCount(), 1);
+    assert.equal(newRevision.action, 'rollback');
+    assert.equal(newRevision.rolled_back_from, 4);
+    assert.equal(newRevision.reason, 'Rolled back to revision 4');
+  });
+
+  test('fails for an unknown revision', async () => {
+    mock.method(FileRevision, 'findByPk', async () => null);
+    await assert.rejects(fileRevisionService.rollback(99), /Revision 99 not found/);
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, test, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { startProSBCSimulator } from '../simulator/prosbcSimulator.js';
+import InstanceHealthSample from '../models/InstanceHealthSample.js';
+import proSbcInstanceService from '../services/proSbcInstanceService.js';
+import notificationService, { NOTIFICATION_TYPES } from '../services/notificationService.js';
+import instanceHealthService from '../services/instanceHealthService.js';
+
+const instance = { id: 1, name: 'Lab SBC' };
+const MINUTE_MS = 60 * 1000;
+
+let notify;
+
+beforeEach(() => {
+  instanceHealthService.states.clear();
+  instanceHealthService.sessions.clear();
+  notify = mock.method(notificationService, 'notify', async () => null);
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('probe', { timeout: 10000 }, () => {
+  let simulator;
+  let password;
+
+  before(async () => {
+    simulator = await startProSBCSimulator({ username: 'Monitor', password: 'simulator' });
+  });
+
+  after(async () => {
+    simulator.server.closeAllConnections();
+    await simulator.close();
+  });
+
+  beforeEach(() => {
+    password = 'simulator';
+    mock.method(proSbcInstanceService, 'getInstanceCredentials', async () => ({ baseUrl: simulator.baseUrl, username: 'Monitor', password }));
+  });
+
+  test('times the login and config list, then checks and ends the previous session', async () => {
+    const first = await instanceHealthService.probe(instance);
+    assert.equal(first.status, 'up');
+    assert.equal(first.instanceId, '1');
+    assert.equal(first.configCount, 3);
+    assert.ok(first.loginMs >= 0 && first.configListMs >= 0);
+    assert.equal(first.sessionValid, null);
+    const firstCookie = instanceHealthService.sessions.get('1');
+
+    const second = await instanceHealthService.probe(instance);
+    assert.equal(second.status, 'up');
+    assert.equal(second.sessionValid, true);
+    assert.notEqual(instanceHealthService.sessions.get('1'), firstCookie);
+    assert.equal(await instanceHealthService.isSessionAccepted(simulator.baseUrl, firstCookie), false);
+  });
+
+  test('reports slow probes as degraded and failed logins as down', async () => {
+    const { slowMs } = instanceHealthService;
+    instanceHealthService.slowMs = -1;
+    try {
+      assert.equal((await instanceHealthService.probe(instance)).status, 'degraded');
+    } finally {
+      instanceHealthService.slowMs = slowMs;
+    }
+
+    password = 'wrong';
+    const sample = await instanceHealthService.probe(instance);
+    assert.equal(sample.status, 'down');
+    assert.ok(sample.error);
+    assert.equal(sample.loginMs, null);
+  });
+});
+
+describe('down and recovered notifications', () => {
+  const sample = (status, minutes) => ({ status, checkedAt: new Date(Date.UTC(2026, 0, 1, 12, minutes)), error: status === 'down' ? 'Login timed out after 15000 ms' : null, loginMs: 120 });
+
+  test('alert once after enough failed probes and again when the instance recovers', async () => {
+    await instanceHealthService.trackState(instance, sample('down', 0));
+    assert.equal(notify.mock.callCount(), 0);
+
+    await instanceHealthService.trackState(instance, sample('down', 1));
+    await instanceHealthService.trackState(instance, sample('down', 2));
+    assert.equal(notify.mock.callCount(), 1);
+    const down = notify.mock.calls[0].arguments[0];
+    assert.equal(down.type, NOTIFICATION_TYPES.INSTANCE_DOWN);
+    assert.equal(down.title, 'ProSBC Lab SBC is down');
+    assert.deepEqual(down.details, { since: sample('down', 0).checkedAt, failedProbes: 2 });
+
+    await instanceHealthService.trackState(instance, sample('up', 10));
+    assert.equal(notify.mock.callCount(), 2);
+    const recovered = notify.mock.calls[1].arguments[0];
+    assert.equal(recovered.type, NOTIFICATION_TYPES.INSTANCE_RECOVERED);
+    assert.equal(recovered.message, 'Reachable again after 10 min (login 120 ms)');
+    assert.equal(recovered.details.downForMs, 10 * MINUTE_MS);
+    assert.equal(instanceHealthService.states.has('1'), false);
+  });
+
+  test('a single failed probe is forgotten without any notification', async () => {
+    await instanceHealthService.trackState(instance, sample('down', 0));
+    await instanceHealthService.trackState(instance, sample('degraded', 1));
+    assert.equal(notify.mock.callCount(), 0);
+    assert.equal(instanceHealthService.states.has('1'), false);
+  });
+});
+
+test('summarizes uptime, latency and the worst status per bucket', async () => {
+  const now = Date.now();
+  const at = (minutesAgo) => new Date(now - minutesAgo * MINUTE_MS);
+  mock.method(InstanceHealthSample, 'findAll', async () => [
+    { instanceId: '1', checkedAt: at(50), status: 'up', loginMs: 100, configListMs: 200 },
+    { instanceId: '1', checkedAt: at(40), status: 'down', loginMs: null, configListMs: null, error: 'timed out' },
+    { instanceId: '1', checkedAt: at(10), status: 'degraded', loginMs: 300, configListMs: 400, sessionValid: false }
+  ]);
+
+  const [summary, empty] = await instanceHealthService.getSummary([1, 2], { hours: 1, points: 2 });
+
+  assert.equal(summary.instanceId, '1');
+  assert.equal(summary.status, 'degraded');
+  assert.equal(summary.sessionValid, false);
+  assert.equal(summary.samples, 3);
+  assert.equal(summary.uptimePct, 66.7);
+  assert.equal(summary.avgLoginMs, 200);
+  assert.equal(summary.avgConfigListMs, 300);
+  assert.deepEqual(summary.series.map(point => [point.status, point.loginMs]), [['down', 100], ['degraded', 300]]);
+
+  assert.equal(empty.status, null);
+  assert.equal(empty.uptimePct, null);
+  assert.deepEqual(empty.series.map(point => point.status), [null, null]);
+});
@@ -0,0 +1,72 @@
+import { describe, test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeTags, normalizeGroup, parseInstanceSelector, isEmptySelector, matchesInstanceSelector, describeInstanceSelector
+} from '../utils/instanceSelector.js';
+import proSbcInstanceService from '../services/proSbcInstanceService.js';
+
+const instances = [
+  { id: 1, name: 'NYC', group: 'East-Coast', tags: ['lab', 'primary'] },
+  { id: 2, name: 'BOS', group: 'east-coast', tags: ['production'] },
+  { id: 3, name: 'LAX', group: 'west-coast', tags: 'Lab' },
+  { id: 4, name: 'Spare', group: null, tags: [] }
+];
+
+const ids = (selector) => instances.filter(instance => matchesInstanceSelector(instance, selector)).map(instance => instance.id);
+
+afterEach(() => mock.restoreAll());
+
+describe('instance selectors', () => {
+  test('normalize tags and groups', () => {
+    assert.deepEqual(normalizeTags(' Lab, lab ,Staging,,'), ['lab', 'staging']);
+    assert.deepEqual(normalizeTags(['LAB', 'lab']), ['lab']);
+    assert.deepEqual(normalizeTags(null), []);
+    assert.equal(normalizeGroup('  east-coast '), 'east-coast');
+    assert.equal(normalizeGroup('   '), null);
+    assert.equal(normalizeGroup(undefined), null);
+  });
+
+  test('parse lists and comma separated strings, singular or plural', () => {
+    assert.deepEqual(parseInstanceSelector({ group: 'east-coast', tags: 'Lab,primary', instanceIds: [1, '2'] }), {
+      groups: ['east-coast'], tags: ['lab', 'primary'], instanceIds: ['1', '2']
+    });
+    assert.deepEqual(parseInstanceSelector({ groups: ['east-coast', 'west-coast'], tag: 'lab' }), {
+      groups: ['east-coast', 'west-coast'], tags: ['lab'], instanceIds: []
+    });
+    assert.equal(parseInstanceSelector({ group: '', tags: [] }), null);
+    assert.equal(parseInstanceSelector(), null);
+    assert.equal(isEmptySelector(null), true);
+    assert.equal(isEmptySelector({ tags: ['lab'] }), false);
+  });
+
+  test('match alternatives within a kind and every kind together', () => {
+    assert.deepEqual(ids(null), [1, 2, 3, 4]);
+    assert.deepEqual(ids({ groups: ['EAST-COAST'] }), [1, 2]);
+    assert.deepEqual(ids({ tags: ['lab', 'production'] }), [1, 2, 3]);
+    assert.deepEqual(ids({ groups: ['east-coast'], tags: ['lab'] }), [1]);
+    assert.deepEqual(ids({ instanceIds: ['3', '4'], tags: ['lab'] }), [3]);
+  });
+
+  test('describe themselves for messages', () => {
+    assert.equal(describeInstanceSelector(null), 'every active instance');
+    assert.equal(describeInstanceSelector({ groups: ['east-coast'], tags: ['lab', 'staging'], instanceIds: [] }),
+      'group east-coast, tag lab or staging');
+    assert.equal(describeInstanceSelector({ instanceIds: ['1', '2'] }), 'instance 1 or 2');
+  });
+});
+
+describe('selectInstances', () => {
+  test('returns every instance without a selector and the matching ones with one', async () => {
+    mock.method(proSbcInstanceService, 'getAllInstances', async () => instances);
+    assert.equal((await proSbcInstanceService.selectInstances(null)).length, 4);
+    assert.deepEqual((await proSbcInstanceService.selectInstances({ tags: ['lab'] })).map(instance => instance.id), [1, 3]);
+  });
+
+  test('rejects a selector that matches nothing', async () => {
+    mock.method(proSbcInstanceService, 'getAllInstances', async () => instances);
+    await assert.rejects(proSbcInstanceService.selectInstances({ groups: ['europe'] }), {
+      status: 400,
+      message: 'Invalid selector: no active instance matches group europe'
+    });
+  });
+});
@@ -0,0 +1,159 @@
+import { describe, test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { Op } from 'sequelize';
+import Job from '../models/Job.js';
+import jobQueue, { serializeJob, JobCancelledError } from '../services/jobQueueService.js';
+
+// Stand-in for a Job row; save/reload/set are all the queue needs
+function fakeJob(fields = {}) {
+  return {
+    id: 1, type: 'test.echo', payload: {}, status: 'queued', attempts: 1, maxAttempts: 1,
+    steps: [], prosbcInstanceId: null, createdBy: 'alice',
+    set(values) { Object.assign(this, values); },
+    save: async () => {},
+    reload: async () => {},
+    ...fields
+  };
+}
+
+beforeEach(() => {
+  // Keep the poller from touching the database
+  mock.method(jobQueue, 'poll', async () => {});
+  jobQueue.handlers.clear();
+  jobQueue.running.clear();
+});
+
+afterEach(() => mock.restoreAll());
+
+test('serializeJob never exposes uploaded file content', () => {
+  const snapshot = serializeJob(fakeJob({ payload: { fileName: 'CS1_DM.csv', content: 'secret rows' } }));
+  assert.deepEqual(snapshot.payload, { fileName: 'CS1_DM.csv' });
+});
+
+describe('enqueue', () => {
+  test('rejects job types without a handler', async () => {
+    await assert.rejects(jobQueue.enqueue('test.unknown'), /Unknown job type: test.unknown/);
+  });
+
+  test('creates a queued job with the handler defaults', async () => {
+    jobQueue.registerHandler('test.echo', async () => null, { maxAttempts: 3 });
+    const create = mock.method(Job, 'create', async values => fakeJob(values));
+
+    const job = await jobQueue.enqueue('test.echo', { fileName: 'CS1_DM.csv' }, { createdBy: 'alice', instanceId: 2 });
+
+    assert.equal(job.status, 'queued');
+    const values = create.mock.calls[0].arguments[0];
+    assert.equal(values.maxAttempts, 3);
+    assert.equal(values.prosbcInstanceId, '2');
+    assert.equal(values.createdBy, 'alice');
+  });
+});
+
+describe('run', () => {
+  test('records steps and the handler result', async () => {
+    jobQueue.registerHandler('test.echo', async (payload, ctx) => {
+      await ctx.step('Echo', async () => null);
+      return { echoed: payload.value };
+    });
+    const job = fakeJob({ payload: { value: 42 } });
+
+    await jobQueue.run(job);
+
+    assert.equal(job.status, 'succeeded');
+    assert.equal(job.progress, 100);
+    assert.deepEqual(job.result, { echoed: 42 });
+    assert.equal(job.steps[0].name, 'Echo');
+    assert.equal(job.steps[0].status, 'succeeded');
+    assert.equal(jobQueue.running.size, 0);
+  });
+
+  test('requeues a failed attempt with a delay while attempts remain', async () => {
+    jobQueue.registerHandler('test.echo', async () => { throw new Error('ProSBC unreachable'); });
+    const job = fakeJob({ attempts: 1, maxAttempts: 2 });
+
+    await jobQueue.run(job);
+
+    assert.equal(job.status, 'queued');
+    assert.equal(job.error, 'ProSBC unreachable');
+    assert.ok(job.runAfter > new Date());
+  });
+
+  test('fails on the last attempt', async () => {
+    jobQueue.registerHandler('test.echo', async () => { throw new Error('ProSBC unreachable'); });
+    const job = fakeJob({ attempts: 2, maxAttempts: 2 });
+
+    await jobQueue.run(job);
+
+    assert.equal(job.status, 'failed');
+    assert.ok(job.finishedAt);
+  });
+
+  test('stops at a checkpoint once cancellation is requested', async () => {
+    jobQueue.registerHandler('test.echo', async (payload, ctx) => {
+      ctx.job.cancelRequested = true;
+      ctx.throwIfCancelled();
+    });
+    const job = fakeJob();
+
+    await jobQueue.run(job);
+
+    assert.equal(job.status, 'cancelled');
+    assert.equal(job.message, new JobCancelledError().message);
+  });
+});
+
+describe('cancel and retry', () => {
+  test('cancels a queued job straight away', async () => {
+    const job = fakeJob();
+    mock.method(Job, 'findByPk', async () => job);
+    const update = mock.method(Job, 'update', async values => {
+      Object.assign(job, values);
+      return [1];
+    });
+
+    await jobQueue.cancel(1);
+
+    assert.equal(job.status, 'cancelled');
+    assert.deepEqual(update.mock.calls[0].arguments[1], { where: { id: 1, status: 'queued' } });
+  });
+
+  test('asks a running job to stop', async () => {
+    const job = fakeJob({ status: 'running' });
+    mock.method(Job, 'findByPk', async () => job);
+
+    await jobQueue.cancel(1);
+
+    assert.equal(job.cancelRequested, true);
+    assert.equal(job.message, 'Cancellation requested');
+  });
+
+  test('refuses to cancel a finished job', async () => {
+    mock.method(Job, 'findByPk', async () => fakeJob({ status: 'succeeded' }));
+    await assert.rejects(jobQueue.cancel(1), /Job 1 is already succeeded/);
+  });
+
+  test('retries a failed job as a new job on the same instance', async () => {
+    jobQueue.registerHandler('test.echo', async () => null);
+    mock.method(Job, 'findByPk', async () => fakeJob({ status: 'failed', prosbcInstanceId: '2', maxAttempts: 3 }));
+    const create = mock.method(Job, 'create', async values => fakeJob({ id: 2, ...values }));
+
+    const job = await jobQueue.retry(1, { createdBy: 'bob' });
+
+    assert.equal(job.id, 2);
+    const values = create.mock.calls[0].arguments[0];
+    assert.equal(values.prosbcInstanceId, '2');
+    assert.equal(values.maxAttempts, 3);
+    assert.equal(values.createdBy, 'bob');
+  });
+
+  test('only retries failed or cancelled jobs', async () => {
+    mock.method(Job, 'findByPk', async () => fakeJob({ status: 'running' }));
+    await assert.rejects(jobQueue.retry(1), /Only failed or cancelled jobs can be retried/);
+  });
+});
+
+test('listJobs limits restricted users to their instances', async () => {
+  const findAll = mock.method(Job, 'findAll', async () => []);
+  await jobQueue.listJobs({ instanceIds: [2, '3'] });
+  assert.deepEqual(findAll.mock.calls[0].arguments[0].where, { prosbcInstanceId: { [Op.in]: ['2', '3'] } });
+});
@@ -0,0 +1,98 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { Op } from 'sequelize';
+import Job from '../models/Job.js';
+import jobQueueService from '../services/jobQueueService.js';
+import settingsService from '../services/settingsService.js';
+import { JOB_TYPES } from '../services/jobHandlers.js';
+import jobRoutes from '../routes/jobs.js';
+
+const jobs = {
+  1: { id: 1, type: JOB_TYPES.DM_FILES_SYNC, status: 'failed', prosbcInstanceId: '1', payload: {} },
+  2: { id: 2, type: JOB_TYPES.DM_FILES_SYNC, status: 'running', prosbcInstanceId: '3', payload: {} },
+  3: { id: 3, type: JOB_TYPES.PROSBC_UPLOAD_ALL, status: 'failed', prosbcInstanceId: null, payload: {} }
+};
+
+const limitedOperator = { userId: 2, username: 'ops', role: 'operator', instancePermissions: { 1: 'operator', 2: 'viewer' } };
+const admin = { userId: 1, username: 'admin', role: 'admin', instancePermissions: {} };
+
+let server;
+let baseUrl;
+let permissions;
+let approvalRequired;
+let findAll;
+let cancel;
+let retry;
+
+before(async () => {
+  mock.method(jobQueueService, 'getJob', async (id) => {
+    if (!jobs[id]) throw new Error(`Job ${id} not found`);
+    return jobs[id];
+  });
+  findAll = mock.method(Job, 'findAll', async () => []);
+  cancel = mock.method(jobQueueService, 'cancel', async (id) => jobs[id]);
+  retry = mock.method(jobQueueService, 'retry', async (id) => ({ ...jobs[id], id: 99, status: 'queued' }));
+  mock.method(settingsService, 'get', async (key) => (key === 'requireChangeApproval' ? approvalRequired : null));
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: permissions.userId, username: permissions.username };
+    req.permissions = permissions;
+    next();
+  });
+  app.use('/backend/api/jobs', jobRoutes);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/backend/api/jobs`;
+});
+
+after(async () => {
+  mock.restoreAll();
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+const post = (path) => fetch(`${baseUrl}${path}`, { method: 'POST' });
+
+test('a limited user only lists jobs of their instances', async () => {
+  permissions = limitedOperator;
+  assert.equal((await fetch(baseUrl)).status, 200);
+  assert.deepEqual(findAll.mock.calls.at(-1).arguments[0].where, { prosbcInstanceId: { [Op.in]: ['1', '2'] } });
+  assert.equal((await fetch(`${baseUrl}?instanceId=3`, { headers: { 'x-prosbc-instance-id': '1' } })).status, 200);
+  assert.deepEqual(findAll.mock.calls.at(-1).arguments[0].where, { prosbcInstanceId: '1' });
+});
+
+test('jobs of other instances and all-instance jobs answer 403 to a limited user', async () => {
+  permissions = limitedOperator;
+  assert.equal((await fetch(`${baseUrl}/1`)).status, 200);
+  assert.equal((await fetch(`${baseUrl}/2`)).status, 403);
+  assert.equal((await fetch(`${baseUrl}/3`)).status, 403);
+  assert.equal((await fetch(`${baseUrl}/2/events`)).status, 403);
+  assert.equal((await fetch(`${baseUrl}/9`)).status, 404);
+});
+
+test('a limited operator cannot cancel or retry jobs outside their instances', async () => {
+  permissions = limitedOperator;
+  approvalRequired = false;
+  assert.equal((await post('/2/cancel')).status, 403);
+  assert.equal((await post('/3/retry')).status, 403);
+  assert.equal(cancel.mock.callCount(), 0);
+  assert.equal(retry.mock.callCount(), 0);
+  assert.equal((await post('/1/retry')).status, 202);
+  assert.equal(retry.mock.callCount(), 1);
+});
+
+test('retrying an upload-to-all job needs a change request while approval is on', async () => {
+  permissions = admin;
+  approvalRequired = true;
+  const res = await post('/3/retry');
+  assert.equal(res.status, 409);
+  assert.equal((await res.json()).approvalRequired, true);
+  assert.equal(retry.mock.callCount(), 1);
+
+  approvalRequired = false;
+  assert.equal((await post('/3/retry')).status, 202);
+  assert.equal(retry.mock.callCount(), 2);
+});
@@ -0,0 +1,89 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startLdapSimulator } from '../simulator/ldapSimulator.js';
+import ldapProvider, { parseGroupRoles, escapeFilterValue } from '../services/authProviders/ldapProvider.js';
+
+describe('group role mapping', () => {
+  test('parses group:role pairs, including DNs with colons in them', () => {
+    assert.deepEqual(parseGroupRoles(' SBC-Admins:admin ; cn=sbc-ops,ou=groups,dc=example,dc=com:operator ;'), [
+      ['sbc-admins', 'admin'],
+      ['cn=sbc-ops,ou=groups,dc=example,dc=com', 'operator']
+    ]);
+    assert.deepEqual(parseGroupRoles(undefined), []);
+    assert.throws(() => parseGroupRoles('sbc-admins:root'), /Invalid LDAP_GROUP_ROLES entry "sbc-admins:root"/);
+    assert.throws(() => parseGroupRoles(':admin'), /Invalid LDAP_GROUP_ROLES entry/);
+  });
+
+  test('picks the highest mapped role, by common name or full DN', () => {
+    const config = {
+      groupRoles: parseGroupRoles('sbc-viewers:viewer;cn=SBC-Ops, ou=groups, dc=example, dc=com:operator'),
+      defaultRole: null
+    };
+    const groups = ['cn=sbc-viewers,ou=groups,dc=example,dc=com', 'cn=sbc-ops,ou=groups,dc=example,dc=com'];
+    assert.equal(ldapProvider.roleForGroups(groups, config), 'operator');
+    assert.equal(ldapProvider.roleForGroups(groups.slice(0, 1), config), 'viewer');
+    assert.equal(ldapProvider.roleForGroups(['cn=other,ou=groups,dc=example,dc=com'], config), null);
+    assert.equal(ldapProvider.roleForGroups([], { ...config, defaultRole: 'viewer' }), 'viewer');
+  });
+
+  test('escapes filter metacharacters in user input', () => {
+    assert.equal(escapeFilterValue('*)(uid=*'), '\\2a\\29\\28uid=\\2a');
+    assert.equal(escapeFilterValue('back\\slash'), 'back\\5cslash');
+    assert.equal(escapeFilterValue('alice'), 'alice');
+  });
+});
+
+describe('directory logins', { timeout: 10000 }, () => {
+  let directory;
+  const env = {};
+
+  before(async () => {
+    directory = await startLdapSimulator();
+    Object.assign(env, {
+      LDAP_URL: directory.url,
+      LDAP_BIND_DN: directory.bindDn,
+      LDAP_BIND_PASSWORD: directory.bindPassword,
+      LDAP_USER_BASE: `ou=people,${directory.baseDn}`,
+      LDAP_GROUP_ROLES: 'sbc-admins:admin;sbc-operators:operator'
+    });
+    Object.assign(process.env, env);
+  });
+
+  after(async () => {
+    Object.keys(env).forEach(name => delete process.env[name]);
+    await directory.close();
+  });
+
+  test('returns the directory profile and the role of its groups', async () => {
+    const { profile } = await ldapProvider.authenticate('oscar', 'oscar');
+    assert.deepEqual(profile, {
+      username: 'oscar',
+      externalId: `uid=oscar,ou=people,${directory.baseDn}`,
+      email: 'oscar@example.com',
+      groups: ['sbc-operators'],
+      role: 'operator'
+    });
+  });
+
+  test('finds groups through the group search as well', async () => {
+    process.env.LDAP_GROUP_BASE = `ou=groups,${directory.baseDn}`;
+    try {
+      const { profile } = await ldapProvider.authenticate('alice', 'alice');
+      assert.deepEqual(profile.groups, ['sbc-admins']);
+      assert.equal(profile.role, 'admin');
+    } finally {
+      delete process.env.LDAP_GROUP_BASE;
+    }
+  });
+
+  test('users without a mapped group get no role', async () => {
+    assert.equal((await ldapProvider.authenticate('victor', 'victor')).profile.role, null);
+  });
+
+  test('rejects wrong passwords, unknown users and filter injection', async () => {
+    assert.equal(await ldapProvider.authenticate('alice', 'wrong'), null);
+    assert.equal(await ldapProvider.authenticate('mallory', 'mallory'), null);
+    assert.equal(await ldapProvider.authenticate('*', 'alice'), null);
+    assert.equal(await ldapProvider.authenticate('alice', ''), null);
+  });
+});
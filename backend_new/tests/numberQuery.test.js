@@ -0,0 +1,86 @@
+import { describe, test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { Op } from 'sequelize';
+import { parseNumberQuery, SEARCH_MODES } from '../utils/numberQuery.js';
+import PhoneNumber from '../models/PhoneNumber.js';
+import phoneNumberIndexService from '../services/phoneNumberIndexService.js';
+
+afterEach(() => mock.restoreAll());
+
+describe('parseNumberQuery', () => {
+  test('lists the supported modes', () => {
+    assert.deepEqual(SEARCH_MODES, ['exact', 'prefix', 'range', 'pattern']);
+  });
+
+  test('exact matches ignore formatting', () => {
+    const parsed = parseNumberQuery('(212) 555-1000');
+    assert.equal(parsed.exact, '2125551000');
+    assert.equal(parsed.matches('212.555.1000'), true);
+    assert.equal(parsed.matches('2125551001'), false);
+  });
+
+  test('prefix accepts NPA-NXX and a trailing star', () => {
+    const parsed = parseNumberQuery('833-770*', 'prefix');
+    assert.equal(parsed.like, '833770%');
+    assert.equal(parsed.matches('8337701234'), true);
+    assert.equal(parsed.matches('8337711234'), false);
+    assert.throws(() => parseNumberQuery('*', 'prefix'), /^Error: Invalid prefix/);
+  });
+
+  test('range compares same-length numbers and swaps reversed bounds', () => {
+    const parsed = parseNumberQuery('8557021499 to 8557021400', 'range');
+    assert.deepEqual(parsed.range, ['8557021400', '8557021499']);
+    assert.equal(parsed.matches('8557021450'), true);
+    assert.equal(parsed.matches('8557021500'), false);
+    assert.equal(parsed.matches('855702145'), false);
+    assert.throws(() => parseNumberQuery('100-2000', 'range'), /same number of digits/);
+    assert.throws(() => parseNumberQuery('100', 'range'), /^Error: Invalid range/);
+  });
+
+  test('pattern maps * to any run and ? or X to one digit', () => {
+    const parsed = parseNumberQuery('833770XXXX', 'pattern');
+    assert.equal(parsed.like, '833770____');
+    assert.equal(parsed.matches('8337701234'), true);
+    assert.equal(parsed.matches('83377012345'), false);
+
+    const suffix = parseNumberQuery('*0100', 'pattern');
+    assert.equal(suffix.like, '%0100');
+    assert.equal(suffix.matches('+15550100'), true);
+    assert.throws(() => parseNumberQuery('555%', 'pattern'), /^Error: Invalid pattern/);
+  });
+
+  test('rejects unknown modes and empty queries', () => {
+    assert.throws(() => parseNumberQuery('555', 'fuzzy'), /^Error: Invalid search mode "fuzzy"/);
+    assert.throws(() => parseNumberQuery('  '), /^Error: Invalid query: empty/);
+  });
+});
+
+describe('index search', () => {
+  test('counts matches per file and instance and returns the first rows', async () => {
+    const findAll = mock.method(PhoneNumber, 'findAll', async ({ group }) => (group
+      ? [
+          { dm_file_id: 7, file_name: 'CS1_DM.csv', prosbc_instance_id: '1', prosbc_instance_name: 'Lab', count: '2' },
+          { dm_file_id: 8, file_name: 'CS2_DM.csv', prosbc_instance_id: '1', prosbc_instance_name: 'Lab', count: '1' }
+        ]
+      : [{ number: '2125551000', file_name: 'CS1_DM.csv' }]));
+
+    const [result] = await phoneNumberIndexService.search(['212555'], { mode: 'prefix', instanceId: 1, limit: 1 });
+
+    assert.deepEqual(findAll.mock.calls[0].arguments[0].where, { number: { [Op.like]: '212555%' }, prosbc_instance_id: '1' });
+    assert.equal(result.total, 3);
+    assert.equal(result.truncated, true);
+    assert.deepEqual(result.instances, [{ prosbc_instance_id: '1', prosbc_instance_name: 'Lab', count: 3, files: 2 }]);
+    assert.equal(findAll.mock.calls[1].arguments[0].limit, 1);
+  });
+
+  test('skips the row query when nothing matches', async () => {
+    const findAll = mock.method(PhoneNumber, 'findAll', async () => []);
+
+    const [result] = await phoneNumberIndexService.search(['8557021400-8557021499'], { mode: 'range' });
+
+    assert.equal(findAll.mock.callCount(), 1);
+    assert.deepEqual(result, {
+      query: '8557021400-8557021499', found: false, total: 0, truncated: false, files: [], instances: [], matches: []
+    });
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { requireRole, roleForInstance } from '../middleware/permissions.js';
+import fileRevisionService from '../services/fileRevisionService.js';
+import auditService from '../services/auditService.js';
+import fileRevisionRoutes from '../routes/fileRevisions.js';
+
+// Operator on instance 1, viewer on instance 2, nothing on instance 3
+const restrictedOperator = () => ({
+  userId: 2,
+  username: 'ops',
+  role: 'operator',
+  instancePermissions: { 1: 'operator', 2: 'viewer' },
+  canApprove: false
+});
+
+// Run one middleware and answer the status it sent, or 'next'
+async function statusOf(middleware, { method = 'GET', headers = {}, body = {}, query = {}, user = { id: 2 }, permissions = restrictedOperator() } = {}) {
+  let status = null;
+  const req = { method, headers, body, query, user, permissions };
+  const res = {
+    status(code) { status = code; return this; },
+    json() { return this; }
+  };
+  await middleware(req, res, () => { status = 'next'; });
+  return status;
+}
+
+describe('requireRole', () => {
+  test('checks the role on the instance the request names', async () => {
+    assert.equal(await statusOf(requireRole('operator'), { method: 'POST', headers: { 'x-prosbc-instance-id': '1' } }), 'next');
+    assert.equal(await statusOf(requireRole('operator'), { method: 'POST', headers: { 'x-prosbc-instance-id': '2' } }), 403);
+    assert.equal(await statusOf(requireRole('viewer'), { headers: { 'x-prosbc-instance-id': '2' } }), 'next');
+    assert.equal(await statusOf(requireRole('viewer'), { query: { instanceId: '3' } }), 403);
+    assert.equal(await statusOf(requireRole('viewer'), { body: { instanceId: 3 } }), 403);
+  });
+
+  test('refuses users limited to some instances on all-instance routes', async () => {
+    assert.equal(await statusOf(requireRole('operator', { allInstances: true }), { method: 'POST' }), 403);
+    const admin = { userId: 1, username: 'admin', role: 'admin', instancePermissions: { 1: 'viewer' } };
+    assert.equal(await statusOf(requireRole('operator', { allInstances: true }), { method: 'POST', permissions: admin }), 'next');
+  });
+
+  test('never grants more than the global role', () => {
+    const viewer = { role: 'viewer', instancePermissions: { 1: 'admin' } };
+    assert.equal(roleForInstance(viewer, '1'), 'viewer');
+    assert.equal(roleForInstance(viewer, '2'), null);
+  });
+
+  test('keeps API tokens to their instances', async () => {
+    const user = { id: 2, apiToken: { instanceIds: ['1'] } };
+    assert.equal(await statusOf(requireRole('operator'), { method: 'POST', user, headers: { 'x-prosbc-instance-id': '1' } }), 'next');
+    assert.equal(await statusOf(requireRole('viewer'), { user, headers: { 'x-prosbc-instance-id': '2' } }), 403);
+    assert.equal(await statusOf(requireRole('operator'), { method: 'POST', user }), 403);
+    assert.equal(await statusOf(requireRole('viewer'), { user }), 'next');
+  });
+
+  test('answers 401 without a known user', async () => {
+    assert.equal(await statusOf(requireRole('viewer'), { user: null, permissions: null }), 401);
+  });
+});
+
+describe('file revision routes check the revision\'s own instance', { timeout: 10000 }, () => {
+  const revisions = {
+    10: { id: 10, file_type: 'routesets_digitmaps', file_name: 'dm.csv', prosbc_instance_id: '1', content: 'a,b\n', checksum: 'x' },
+    20: { id: 20, file_type: 'routesets_digitmaps', file_name: 'dm.csv', prosbc_instance_id: '3', content: 'c,d\n', checksum: 'y' }
+  };
+  let server;
+  let baseUrl;
+  let rollback;
+
+  before(async () => {
+    mock.method(fileRevisionService, 'getRevision', async (id) => {
+      if (!revisions[id]) throw new Error(`Revision ${id} not found`);
+      return revisions[id];
+    });
+    mock.method(fileRevisionService, 'getLatestRevision', async () => null);
+    rollback = mock.method(fileRevisionService, 'rollback', async () => ({ newRevision: null, result: { success: true } }));
+    mock.method(auditService, 'record', async () => null);
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: 2, username: 'ops' };
+      req.permissions = restrictedOperator();
+      next();
+    });
+    app.use('/backend/api/files', fileRevisionRoutes);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/backend/api/files/routesets_digitmaps/5`;
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const postRollback = (historyId, headers = {}) => fetch(`${baseUrl}/rollback`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: JSON.stringify({ history_id: historyId })
+  });
+
+  test('rollback of a revision on an instance without operator access answers 403', async () => {
+    assert.equal((await postRollback(20)).status, 403);
+    assert.equal((await postRollback(20, { 'x-prosbc-instance-id': '1' })).status, 403);
+    assert.equal(rollback.mock.callCount(), 0);
+  });
+
+  test('rollback on an instance with operator access goes through', async () => {
+    const res = await postRollback(10, { 'x-prosbc-instance-id': '1' });
+    assert.equal(res.status, 200);
+    assert.equal(rollback.mock.callCount(), 1);
+  });
+
+  test('revision content of an inaccessible instance answers 403', async () => {
+    assert.equal((await fetch(`${baseUrl}/versions/20`, { headers: { 'x-prosbc-instance-id': '1' } })).status, 403);
+    const res = await fetch(`${baseUrl}/versions/10`, { headers: { 'x-prosbc-instance-id': '1' } });
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).data.content, 'a,b\n');
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { Op } from 'sequelize';
+import PhoneNumber from '../models/PhoneNumber.js';
+import phoneNumberIndexService, { normalizeNumber, extractNumberEntries } from '../services/phoneNumberIndexService.js';
+
+afterEach(() => mock.restoreAll());
+
+test('normalizeNumber strips formatting', () => {
+  assert.equal(normalizeNumber('+1 (212) 555-1000'), '+12125551000');
+  assert.equal(normalizeNumber(' 212.555.1000 '), '2125551000');
+  assert.equal(normalizeNumber(null), '');
+});
+
+describe('extractNumberEntries', () => {
+  test('reads called, calling and routeset from each DM row', async () => {
+    const entries = await extractNumberEntries('called,calling,routeset_name\n212-555-1000,,CS1\n2125551001,7185550000,CS2\n');
+    assert.deepEqual(entries, [
+      { raw: '212-555-1000', number: '2125551000', calling: null, routeset: 'CS1' },
+      { raw: '2125551001', number: '2125551001', calling: '7185550000', routeset: 'CS2' }
+    ]);
+  });
+
+  test('falls back to column order when headers differ', async () => {
+    const entries = await extractNumberEntries('Number,From,Route\n2125551000,,CS1\n');
+    assert.deepEqual(entries, [{ raw: '2125551000', number: '2125551000', calling: null, routeset: 'CS1' }]);
+  });
+
+  test('returns nothing for empty content', async () => {
+    assert.deepEqual(await extractNumberEntries(''), []);
+  });
+});
+
+describe('index', () => {
+  test('replaces the indexed numbers of a DM file', async () => {
+    const destroy = mock.method(PhoneNumber, 'destroy', async () => 3);
+    const bulkCreate = mock.method(PhoneNumber, 'bulkCreate', async rows => rows);
+    const dmFile = { id: 7, file_name: 'CS1_DM.csv', prosbc_instance_id: 2, prosbc_instance_name: 'Lab' };
+
+    const count = await phoneNumberIndexService.indexFile(dmFile, 'called,calling,routeset_name\n2125551000,,CS1\n2125551001,,CS1\n');
+
+    assert.equal(count, 2);
+    assert.deepEqual(destroy.mock.calls[0].arguments[0].where, { dm_file_id: 7 });
+    const rows = bulkCreate.mock.calls[0].arguments[0];
+    assert.deepEqual(rows[0], {
+      number: '2125551000', raw_number: '2125551000', calling: null, routeset_name: 'CS1',
+      dm_file_id: 7, file_name: 'CS1_DM.csv', prosbc_instance_id: '2', prosbc_instance_name: 'Lab'
+    });
+  });
+
+  test('looks numbers up in request order, matching formatted input', async () => {
+    const findAll = mock.method(PhoneNumber, 'findAll', async () => [
+      { number: '2125551000', file_name: 'CS1_DM.csv', routeset_name: 'CS1', dm_file_id: 7, prosbc_instance_id: '2', prosbc_instance_name: 'Lab' }
+    ]);
+
+    const results = await phoneNumberIndexService.lookup(['(212) 555-1000', '9999999999', '2125551000'], { instanceId: 2 });
+
+    assert.deepEqual(findAll.mock.calls[0].arguments[0].where, {
+      number: { [Op.in]: ['2125551000', '9999999999'] },
+      prosbc_instance_id: '2'
+    });
+    assert.deepEqual(results.map(result => [result.number, result.found]), [
+      ['(212) 555-1000', true], ['9999999999', false], ['2125551000', true]
+    ]);
+    assert.equal(results[0].locations[0].file_name, 'CS1_DM.csv');
+  });
+});
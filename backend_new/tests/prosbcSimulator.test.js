@@ -0,0 +1,60 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startProSBCSimulator } from '../simulator/prosbcSimulator.js';
+import { prosbcLogin } from '../utils/prosbc/login.js';
+import { fetchLiveConfigIds } from '../utils/prosbc/prosbcConfigLiveFetcher.js';
+import { ProSBCFileAPI } from '../utils/prosbc/prosbcFileManager.js';
+import { uploadDmFileToProSBC } from '../utils/prosbc/fileUpload.js';
+
+let simulator;
+
+before(async () => {
+  simulator = await startProSBCSimulator({ username: 'Monitor', password: 'simulator' });
+  // ProSBCFileAPI without an instance ID talks to the env configured ProSBC
+  process.env.PROSBC_BASE_URL = simulator.baseUrl;
+  process.env.PROSBC_USERNAME = 'Monitor';
+  process.env.PROSBC_PASSWORD = 'simulator';
+});
+
+after(async () => {
+  simulator.server.closeAllConnections();
+  await simulator.close();
+});
+
+test('logs in with the simulator credentials and lists its configurations', async () => {
+  const cookie = await prosbcLogin(simulator.baseUrl, 'Monitor', 'simulator');
+  assert.ok(cookie);
+
+  const configs = await fetchLiveConfigIds(simulator.baseUrl, cookie);
+  assert.ok(configs.length > 0);
+  assert.ok(configs.every(config => config.id && config.name));
+});
+
+test('rejects a wrong password', async () => {
+  await assert.rejects(prosbcLogin(simulator.baseUrl, 'Monitor', 'wrong'));
+});
+
+test('lists, exports, updates and deletes DM files', async () => {
+  const api = new ProSBCFileAPI();
+  const { files } = await api.listDmFiles('config_1');
+  const file = files.find(candidate => candidate.name === 'CS1_DM.csv');
+  assert.ok(file);
+
+  const { content } = await api.getFileContent('routesets_digitmaps', file.id, file.configId);
+  assert.match(content, /^called,calling,routeset_name\n2125551000,,CS1\n/);
+
+  const updated = 'called,calling,routeset_name\n2125559999,,CS1\n';
+  assert.equal((await api.updateFileRestAPI('routesets_digitmaps', file.name, updated, file.configId)).success, true);
+  assert.equal(simulator.state.findFileByName(file.configId, 'routesets_digitmaps', file.name).content, updated);
+
+  assert.equal((await api.deleteFileRestAPI('routesets_digitmaps', file.name, file.configId)).success, true);
+  assert.equal(simulator.state.findFileByName(file.configId, 'routesets_digitmaps', file.name), null);
+});
+
+test('imports a new DM file through the upload form', async () => {
+  const cookie = await prosbcLogin(simulator.baseUrl, 'Monitor', 'simulator');
+  const content = 'called,calling,routeset_name\n8005550000,,CS9\n';
+  const result = await uploadDmFileToProSBC(Buffer.from(content), 'CS9_DM.csv', cookie, simulator.baseUrl);
+  assert.equal(result.success, true);
+  assert.equal(simulator.state.findFileByName('1', 'routesets_digitmaps', 'CS9_DM.csv').content, content);
+});
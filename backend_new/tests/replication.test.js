@@ -0,0 +1,47 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import replicationService from '../services/replicationService.js';
+import replicationRoutes from '../routes/replication.js';
+
+let server;
+let baseUrl;
+
+const runOn = (id, sourceInstanceId) => ({
+  id,
+  sourceInstanceId,
+  toJSON: () => ({ id, sourceInstanceId, fileName: 'dm.csv', content: 'a,b\n' })
+});
+
+before(async () => {
+  mock.method(replicationService, 'getRun', async (id) => runOn(Number(id), id === '1' ? '1' : '3'));
+
+  const app = express();
+  app.use((req, res, next) => {
+    req.user = { id: 2, username: 'ops' };
+    req.permissions = { userId: 2, username: 'ops', role: 'operator', instancePermissions: { 1: 'operator', 2: 'viewer' } };
+    next();
+  });
+  app.use('/backend/api/replication', replicationRoutes);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/backend/api/replication`;
+});
+
+after(async () => {
+  mock.restoreAll();
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('GET /runs/:id answers the content of a run from an accessible primary', async () => {
+  const res = await fetch(`${baseUrl}/runs/1`);
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).run.content, 'a,b\n');
+});
+
+test('GET /runs/:id answers 403 for a run from an inaccessible primary', async () => {
+  const res = await fetch(`${baseUrl}/runs/2`, { headers: { 'x-prosbc-instance-id': '1' } });
+  assert.equal(res.status, 403);
+  assert.equal((await res.json()).run, undefined);
+});
@@ -0,0 +1,86 @@
+import { describe, test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import rolloutService, { parseRolloutOptions } from '../services/rolloutService.js';
+import driftService from '../services/driftService.js';
+import proSbcInstanceService from '../services/proSbcInstanceService.js';
+import settingsService from '../services/settingsService.js';
+import auditService from '../services/auditService.js';
+import prosbcUploadRoutes from '../routes/prosbcUpload.js';
+
+test('parseRolloutOptions defaults to one instance per wave and no tolerated failures', () => {
+  assert.deepEqual(parseRolloutOptions({}), { canaryInstanceId: null, waveSize: 1, maxFailures: 0, autoRevert: false });
+  assert.deepEqual(
+    parseRolloutOptions({ canaryInstanceId: 7, waveSize: '3', maxFailures: '1', autoRevert: 'true' }),
+    { canaryInstanceId: '7', waveSize: 3, maxFailures: 1, autoRevert: true }
+  );
+});
+
+test('parseRolloutOptions rejects bad waveSize and maxFailures with 400', () => {
+  for (const waveSize of ['0', '-1', '1.5', 'abc']) {
+    assert.throws(() => parseRolloutOptions({ waveSize }), { status: 400, message: /^Invalid waveSize/ });
+  }
+  for (const maxFailures of ['-1', '0.5', 'abc']) {
+    assert.throws(() => parseRolloutOptions({ maxFailures }), { status: 400, message: /^Invalid maxFailures/ });
+  }
+});
+
+test('reverting a target whose file is gone reports nothing to revert', async (t) => {
+  t.mock.method(driftService, 'fetchFile', async () => null);
+  const writeFile = t.mock.method(driftService, 'writeFile', async () => ({ success: true }));
+  const record = t.mock.method(auditService, 'record', async () => null);
+  const rollout = { id: 3, fileType: 'routesets_definitions', fileName: 'rs.csv', contentChecksum: 'new', snapshots: { 1: 'old content\n' } };
+
+  const error = await rolloutService.revertTarget(rollout, { instanceId: '1', verifiedChecksum: null }, 'admin');
+  assert.match(error, /nothing to revert/);
+  assert.equal(writeFile.mock.callCount(), 0);
+  assert.equal(record.mock.callCount(), 0);
+});
+
+// Without a response the request would hang, so fail fast instead
+describe('POST /prosbc-upload/df/all with mode=rollout', { timeout: 10000 }, () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    mock.method(proSbcInstanceService, 'getAllInstances', async () => [{ id: 1, name: 'sbc-1' }, { id: 2, name: 'sbc-2' }]);
+    mock.method(settingsService, 'get', async () => null);
+    mock.method(auditService, 'record', async () => null);
+
+    const app = express();
+    app.use((req, res, next) => {
+      req.user = { id: 1, username: 'admin' };
+      req.permissions = { userId: 1, username: 'admin', role: 'admin', instancePermissions: {}, canApprove: true };
+      next();
+    });
+    app.use('/backend/api/prosbc-upload', prosbcUploadRoutes);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/backend/api/prosbc-upload`;
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const postRollout = (fields) => {
+    const form = new FormData();
+    form.append('file', new Blob(['Called,Calling\n']), 'routes.csv');
+    for (const [key, value] of Object.entries(fields)) form.append(key, value);
+    return fetch(`${baseUrl}/df/all`, { method: 'POST', body: form });
+  };
+
+  test('answers 400 for an invalid waveSize', async () => {
+    const res = await postRollout({ mode: 'rollout', waveSize: '0' });
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).message, /^Invalid waveSize/);
+  });
+
+  test('answers 400 when the canary is not among the selected instances', async () => {
+    const res = await postRollout({ mode: 'rollout', canaryInstanceId: '9' });
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).message, /^Invalid canaryInstanceId/);
+  });
+});
@@ -0,0 +1,61 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import routesetService from '../utils/prosbc/routesetMappingService.js';
+import auditService from '../services/auditService.js';
+import routesetMappingRoutes from '../routes/routesetMapping.js';
+
+let server;
+let baseUrl;
+let updateNapMapping;
+let validateConfiguration;
+
+before(async () => {
+  updateNapMapping = mock.method(routesetService, 'updateNapMapping', async () => ({ success: true }));
+  validateConfiguration = mock.method(routesetService, 'validateConfiguration', async () => ({ success: true }));
+  mock.method(auditService, 'record', async () => null);
+
+  const app = express();
+  app.use(express.json());
+  // Operator limited to instance 1
+  app.use((req, res, next) => {
+    req.user = { id: 2, username: 'ops' };
+    req.permissions = { userId: 2, username: 'ops', role: 'operator', instancePermissions: { 1: 'operator' } };
+    next();
+  });
+  app.use('/backend/api/routeset-mapping', routesetMappingRoutes);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/backend/api/routeset-mapping`;
+});
+
+after(async () => {
+  mock.restoreAll();
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+const post = (path, headers = {}) => fetch(`${baseUrl}${path}`, {
+  method: 'POST',
+  headers: { 'content-type': 'application/json', ...headers },
+  body: JSON.stringify({ routeset_definition: 'rs.csv' })
+});
+
+test('NAP mapping updates go to the instance that was authorized, not the query one', async () => {
+  const res = await post('/update-nap-mapping/nap1?configId=2&instanceId=3', { 'x-prosbc-instance-id': '1' });
+  assert.equal(res.status, 200);
+  assert.equal(updateNapMapping.mock.calls.at(-1).arguments[3], '1');
+});
+
+test('NAP mapping updates on an instance without operator access answer 403', async () => {
+  const calls = updateNapMapping.mock.callCount();
+  assert.equal((await post('/update-nap-mapping/nap1?configId=2&instanceId=3')).status, 403);
+  assert.equal(updateNapMapping.mock.callCount(), calls);
+});
+
+test('configuration validation runs on the authorized instance', async () => {
+  const res = await post('/configurations/2/validate?instanceId=3', { 'x-prosbc-instance-id': '1' });
+  assert.equal(res.status, 200);
+  assert.equal(validateConfiguration.mock.calls.at(-1).arguments[2], '1');
+  assert.equal((await post('/configurations/2/validate?instanceId=3')).status, 403);
+});
@@ -0,0 +1,140 @@
+import { describe, test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCronExpression, isValidCronExpression, getNextRun, getPreviousRun } from '../utils/cronExpression.js';
+import ScheduledTask from '../models/ScheduledTask.js';
+import ScheduledTaskRun from '../models/ScheduledTaskRun.js';
+import jobQueueService from '../services/jobQueueService.js';
+import schedulerService from '../services/schedulerService.js';
+
+// Dates are built in local time, matching how the scheduler evaluates expressions
+const at = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute);
+
+describe('cron expressions', () => {
+  test('parses lists, ranges, steps and shortcuts', () => {
+    const cron = parseCronExpression('*/15 9-17 1,15 * 1-5');
+    assert.deepEqual([...cron.minute], [0, 15, 30, 45]);
+    assert.deepEqual([...cron.hour], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+    assert.deepEqual([...cron.dayOfMonth], [1, 15]);
+    assert.equal(cron.dayOfMonthRestricted, true);
+    assert.equal(cron.dayOfWeekRestricted, true);
+
+    assert.deepEqual([...parseCronExpression('@daily').hour], [0]);
+    assert.ok(parseCronExpression('0 0 * * 7').dayOfWeek.has(0));
+  });
+
+  test('rejects malformed expressions', () => {
+    assert.throws(() => parseCronExpression('0 2 1 *'), /must have 5 fields/);
+    assert.throws(() => parseCronExpression('60 * * * *'), /Invalid minute value "60"/);
+    assert.throws(() => parseCronExpression('*/0 * * * *'), /Invalid step/);
+    assert.equal(isValidCronExpression('0 2 1 * *'), true);
+    assert.equal(isValidCronExpression('not cron'), false);
+  });
+
+  test('finds the next run strictly after a time', () => {
+    assert.deepEqual(getNextRun('0 2 1 * *', at(2026, 1, 15, 10)), at(2026, 2, 1, 2));
+    assert.deepEqual(getNextRun('0 2 1 * *', at(2026, 2, 1, 2)), at(2026, 3, 1, 2));
+    assert.deepEqual(getNextRun('30 * * * *', at(2026, 12, 31, 23, 45)), at(2027, 1, 1, 0, 30));
+  });
+
+  test('runs on either day when both day fields are restricted', () => {
+    // 13th of the month or any Friday; 2026-03-06 is a Friday
+    assert.deepEqual(getNextRun('0 0 13 * 5', at(2026, 3, 1)), at(2026, 3, 6));
+  });
+
+  test('finds the previous run at or before a time', () => {
+    assert.deepEqual(getPreviousRun('0 2 1 * *', at(2026, 3, 1, 2)), at(2026, 3, 1, 2));
+    assert.deepEqual(getPreviousRun('0 2 1 * *', at(2026, 3, 1, 1, 59)), at(2026, 2, 1, 2));
+    assert.deepEqual(getPreviousRun('0 0 1 1 *', at(2026, 6, 1)), at(2026, 1, 1));
+  });
+
+  test('gives up on expressions that never match', () => {
+    assert.equal(getNextRun('0 0 31 2 *', at(2026, 1, 1)), null);
+    assert.equal(getPreviousRun('0 0 30 2 *', at(2026, 1, 1)), null);
+  });
+});
+
+describe('scheduler', () => {
+  let enqueue;
+  let runCreate;
+
+  const fakeTask = (fields = {}) => ({
+    id: 1,
+    name: 'monthly-customer-counts',
+    jobType: 'customerCounts.monthly',
+    cronExpression: '0 2 1 * *',
+    payload: { configId: 'config_1' },
+    enabled: true,
+    backfillMissed: true,
+    createdAt: at(2020, 1, 1),
+    update: async () => {},
+    ...fields
+  });
+
+  beforeEach(() => {
+    enqueue = mock.method(jobQueueService, 'enqueue', async () => ({ id: 10, status: 'queued' }));
+    runCreate = mock.method(ScheduledTaskRun, 'create', async values => ({ id: 20, ...values }));
+    mock.method(ScheduledTask, 'update', async () => [1]);
+    schedulerService.activeRuns.clear();
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test('backfills the latest missed run on startup', async () => {
+    mock.method(ScheduledTask, 'findAll', async () => [fakeTask()]);
+    mock.method(ScheduledTaskRun, 'findOne', async () => null);
+
+    await schedulerService.backfillMissedRuns();
+
+    assert.equal(enqueue.mock.callCount(), 1);
+    const run = runCreate.mock.calls[0].arguments[0];
+    assert.equal(run.trigger, 'backfill');
+    assert.deepEqual(run.scheduledFor, getPreviousRun('0 2 1 * *', new Date()));
+    assert.equal(schedulerService.activeRuns.get(10), 20);
+  });
+
+  test('does not backfill a run that already happened', async () => {
+    mock.method(ScheduledTask, 'findAll', async () => [fakeTask()]);
+    mock.method(ScheduledTaskRun, 'findOne', async () => ({ id: 19, status: 'succeeded' }));
+
+    await schedulerService.backfillMissedRuns();
+
+    assert.equal(enqueue.mock.callCount(), 0);
+  });
+
+  test('does not backfill occurrences from before the task existed', async () => {
+    mock.method(ScheduledTask, 'findAll', async () => [fakeTask({ createdAt: new Date() })]);
+    const findOne = mock.method(ScheduledTaskRun, 'findOne', async () => null);
+
+    await schedulerService.backfillMissedRuns();
+
+    assert.equal(findOne.mock.callCount(), 0);
+    assert.equal(enqueue.mock.callCount(), 0);
+  });
+
+  test('runs due tasks it claims and skips ones another process claimed', async () => {
+    const due = at(2026, 3, 1, 2);
+    mock.method(ScheduledTask, 'findAll', async () => [fakeTask({ id: 1, nextRunAt: due }), fakeTask({ id: 2, nextRunAt: due })]);
+    const update = mock.method(ScheduledTask, 'update', async (values, { where }) => [where?.id === 1 ? 1 : 0]);
+
+    await schedulerService.tick();
+
+    assert.equal(enqueue.mock.callCount(), 1);
+    assert.equal(runCreate.mock.calls[0].arguments[0].taskId, 1);
+    assert.equal(runCreate.mock.calls[0].arguments[0].trigger, 'schedule');
+    assert.deepEqual(update.mock.calls[0].arguments[1].where, { id: 1, nextRunAt: due });
+  });
+
+  test('records a failed run when the job cannot be queued', async () => {
+    enqueue.mock.mockImplementation(async () => { throw new Error('Unknown job type: customerCounts.monthly'); });
+
+    const run = await schedulerService.triggerRun(fakeTask(), { trigger: 'manual', triggeredBy: 'alice' });
+
+    assert.equal(run.status, 'failed');
+    assert.match(run.error, /Unknown job type/);
+  });
+
+  test('rejects invalid schedules', () => {
+    assert.throws(() => schedulerService.validateTask({ cronExpression: '0 0 31 2 *' }), /never runs/);
+    assert.throws(() => schedulerService.validateTask({ cronExpression: 'every day' }), /^Error: Invalid cron expression/);
+  });
+});
@@ -0,0 +1,115 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import ActiveUser from '../models/ActiveUser.js';
+import User from '../models/User.js';
+import {
+  refreshSession, createSession, describeDevice, endUserSessions, findSession, listSessions, tokenCache, cacheToken
+} from '../middleware/sessions.js';
+
+const hash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+let session;
+
+// An ActiveUser row whose refresh token is "7.first"
+const fakeSession = () => ({
+  id: 7,
+  userId: 2,
+  username: 'ops',
+  token: 'access',
+  refreshTokenHash: hash('7.first'),
+  previousRefreshHash: null,
+  refreshRotatedAt: new Date(Date.now() - 60 * 60 * 1000),
+  refreshExpiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  destroyed: false,
+  async update(fields) { Object.assign(this, fields); },
+  async destroy() { this.destroyed = true; }
+});
+
+beforeEach(() => {
+  session = fakeSession();
+  mock.method(ActiveUser, 'findByPk', async (id) => (String(id) === '7' && !session.destroyed ? session : null));
+  mock.method(ActiveUser, 'update', async () => [1]);
+  mock.method(User, 'findByPk', async () => ({ id: 2, username: 'ops', disabled: false }));
+});
+
+afterEach(() => mock.restoreAll());
+
+test('rotates the refresh token on every refresh', async () => {
+  const first = await refreshSession('7.first');
+  assert.ok(first.token);
+  assert.match(first.refreshToken, /^7\./);
+  const second = await refreshSession(first.refreshToken);
+  assert.notEqual(second.refreshToken, first.refreshToken);
+  assert.equal(session.destroyed, false);
+});
+
+test('answers 409 for a just-rotated token and keeps the session', async () => {
+  const rotated = await refreshSession('7.first');
+  await assert.rejects(refreshSession('7.first'), { status: 409 });
+  assert.equal(session.destroyed, false);
+  assert.ok(await refreshSession(rotated.refreshToken));
+});
+
+test('ends the session when a rotated token is reused after the grace period', async () => {
+  const rotated = await refreshSession('7.first');
+  session.refreshRotatedAt = new Date(Date.now() - 31 * 1000);
+  await assert.rejects(refreshSession('7.first'), { status: 401 });
+  assert.equal(session.destroyed, true);
+  assert.ok(session.logoutTime);
+  await assert.rejects(refreshSession(rotated.refreshToken), { status: 401 });
+});
+
+test('rejects unknown and malformed refresh tokens', async () => {
+  await assert.rejects(refreshSession('7.other'), { status: 401 });
+  await assert.rejects(refreshSession('garbage'), { status: 401 });
+  assert.equal(session.destroyed, false);
+});
+
+test('names sessions after the browser and operating system', () => {
+  assert.equal(describeDevice('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36 Edg/120.0'), 'Edge on Windows');
+  assert.equal(describeDevice('Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) Gecko/20100101 Firefox/121.0'), 'Firefox on macOS');
+  assert.equal(describeDevice('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Safari/604.1'), 'Safari on iOS');
+  assert.equal(describeDevice('curl/8.4.0'), 'curl');
+  assert.equal(describeDevice(), 'Unknown device');
+});
+
+test('a new login keeps the other sessions and ends the oldest beyond the limit', async () => {
+  const sessions = Array.from({ length: 11 }, (_, index) => ({ ...fakeSession(), id: 20 - index }));
+  const create = mock.method(ActiveUser, 'create', async (values) => Object.assign(sessions[0], values));
+  mock.method(ActiveUser, 'findAll', async () => sessions);
+
+  const tokens = await createSession({ id: 2, username: 'ops' }, { userAgent: 'curl/8.4.0', ip: '10.0.0.5' });
+
+  assert.match(tokens.refreshToken, /^20\./);
+  assert.equal(create.mock.calls[0].arguments[0].name, 'curl');
+  assert.equal(create.mock.calls[0].arguments[0].ip, '10.0.0.5');
+  assert.deepEqual(sessions.filter(old => old.destroyed).map(old => old.id), [10]);
+});
+
+test('logging a user out everywhere drops their cached tokens', async () => {
+  cacheToken('token-of-ops', { id: 2, sid: 7 });
+  cacheToken('token-of-admin', { id: 1, sid: 8 });
+  mock.method(ActiveUser, 'destroy', async () => 3);
+
+  assert.equal(await endUserSessions(2), 3);
+  assert.equal(tokenCache.get('token-of-ops'), undefined);
+  assert.ok(tokenCache.get('token-of-admin'));
+});
+
+test('users only find their own sessions', async () => {
+  assert.equal(await findSession(7, { userId: 2 }), session);
+  await assert.rejects(findSession(7, { userId: 3 }), { status: 404 });
+  await assert.rejects(findSession(8), { status: 404 });
+});
+
+test('lists sessions with the current one marked', async () => {
+  mock.method(ActiveUser, 'destroy', async () => 0);
+  mock.method(ActiveUser, 'findAll', async () => [{ ...fakeSession(), name: 'Firefox on Linux' }, { ...fakeSession(), id: 8 }]);
+
+  const sessions = await listSessions({ userId: 2, currentSessionId: '7' });
+
+  assert.deepEqual(sessions.map(listed => [listed.id, listed.current]), [[7, true], [8, false]]);
+  assert.equal(sessions[0].name, 'Firefox on Linux');
+  assert.equal(sessions[0].refreshTokenHash, undefined);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import twoFactorService from '../services/twoFactorService.js';
+
+const SECRET = 'JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP';
+
+// RFC 6238 code, computed independently of the service
+function totp(secret, step) {
+  const bits = secret.split('').map(char => 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'.indexOf(char).toString(2).padStart(5, '0')).join('');
+  const key = Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, '0');
+}
+
+const currentStep = () => Math.floor(Date.now() / 30000);
+
+const enrolledUser = () => {
+  const user = { username: 'ops', totpSecret: SECRET, totpLastStep: null, saves: 0 };
+  user.save = async () => { user.saves++; };
+  return user;
+};
+
+test('accepts a current code once and rejects its replay', async () => {
+  const user = enrolledUser();
+  const code = totp(SECRET, currentStep());
+  assert.equal(await twoFactorService.verifyTotp(user, code), true);
+  assert.equal(user.saves, 1);
+  assert.equal(await twoFactorService.verifyTotp(user, code), false);
+});
+
+test('rejects an older code once a later one was used', async () => {
+  const user = enrolledUser();
+  const step = currentStep();
+  assert.equal(await twoFactorService.verifyTotp(user, totp(SECRET, step + 1)), true);
+  assert.equal(await twoFactorService.verifyTotp(user, totp(SECRET, step)), false);
+  assert.equal(await twoFactorService.verifyTotp(user, totp(SECRET, step - 1)), false);
+});
+
+test('rejects malformed and out-of-window codes', async () => {
+  const user = enrolledUser();
+  assert.equal(await twoFactorService.verifyTotp(user, ''), false);
+  assert.equal(await twoFactorService.verifyTotp(user, '12345'), false);
+  assert.equal(await twoFactorService.verifyTotp(user, 'abcdef'), false);
+  assert.equal(await twoFactorService.verifyTotp(user, totp(SECRET, currentStep() - 5)), false);
+  assert.equal(user.saves, 0);
+});
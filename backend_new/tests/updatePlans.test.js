@@ -0,0 +1,76 @@
+import { describe, test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import updatePlanService from '../services/updatePlanService.js';
+import dmConflictService from '../services/dmConflictService.js';
+import settingsService from '../services/settingsService.js';
+import auditService from '../services/auditService.js';
+import prosbcFileManagerRoutes from '../routes/prosbcFileManager.js';
+
+const newPlan = () => updatePlanService.save({
+  fileType: 'routesets_digitmaps',
+  fileName: 'dm.csv',
+  content: '1000,a\n',
+  contentChecksum: 'abc',
+  targets: [{ instanceId: '1', remoteChecksum: 'old' }, { instanceId: '2', remoteChecksum: 'old' }]
+});
+
+test('a plan is claimed once; a second claim answers 409', () => {
+  const { planId } = newPlan();
+  assert.equal(updatePlanService.claim(planId).planId, planId);
+  assert.throws(() => updatePlanService.claim(planId), { status: 409 });
+  assert.equal(updatePlanService.get(planId), null);
+  assert.equal(updatePlanService.claim('unknown'), null);
+});
+
+test('a released plan can be claimed again', () => {
+  const { planId } = newPlan();
+  updatePlanService.release(updatePlanService.claim(planId));
+  assert.equal(updatePlanService.get(planId).planId, planId);
+  assert.equal(updatePlanService.claim(planId).planId, planId);
+});
+
+describe('POST /prosbc-files/update-to-all/confirm', () => {
+  let server;
+  let baseUrl;
+  let execute;
+
+  before(async () => {
+    // A slow conflict check keeps the first confirm between its claim and the write
+    mock.method(dmConflictService, 'checkContent', () => new Promise(resolve => setTimeout(() => resolve({ blocked: false }), 50)));
+    execute = mock.method(updatePlanService, 'execute', async (plan, targets) => targets.map(target => ({ instanceId: target.instanceId, success: true })));
+    mock.method(settingsService, 'get', async () => null);
+    mock.method(auditService, 'record', async () => null);
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: 1, username: 'admin' };
+      req.permissions = { userId: 1, username: 'admin', role: 'admin', instancePermissions: {} };
+      next();
+    });
+    app.use('/backend/api/prosbc-files', prosbcFileManagerRoutes);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/backend/api/prosbc-files`;
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('two concurrent confirms of one plan execute it once', { timeout: 10000 }, async () => {
+    const { planId } = newPlan();
+    const confirm = () => fetch(`${baseUrl}/update-to-all/confirm`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ planId })
+    });
+    const statuses = (await Promise.all([confirm(), confirm()])).map(res => res.status).sort();
+    assert.deepEqual(statuses, [200, 409]);
+    assert.equal(execute.mock.callCount(), 1);
+    assert.equal((await confirm()).status, 409);
+  });
+});
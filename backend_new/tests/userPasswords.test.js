@@ -0,0 +1,51 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../models/User.js';
+
+// A row as loaded from the users table, whose UPDATE statements are captured instead of run
+function loadedUser(password) {
+  const user = User.build({ id: 5, username: 'legacy', password, role: 'viewer' }, { isNewRecord: false, raw: true });
+  const updates = [];
+  mock.method(User.queryInterface, 'update', async (instance, table, values) => {
+    updates.push(values);
+    return [instance, 1];
+  });
+  return { user, updates };
+}
+
+afterEach(() => mock.restoreAll());
+
+test('a plaintext password is stored as a bcrypt hash after one login', async () => {
+  const { user, updates } = loadedUser('s3cret!');
+  assert.equal(await user.verifyPassword('s3cret!'), true);
+  assert.equal(updates.length, 1);
+  assert.match(updates[0].password, /^\$2[aby]\$/);
+  assert.match(user.password, /^\$2[aby]\$/);
+
+  // The next login checks the hash and writes nothing
+  assert.equal(await user.verifyPassword('s3cret!'), true);
+  assert.equal(await user.verifyPassword('wrong'), false);
+  assert.equal(updates.length, 1);
+});
+
+test('a wrong password leaves a plaintext row alone', async () => {
+  const { user, updates } = loadedUser('s3cret!');
+  assert.equal(await user.verifyPassword('s3cret'), false);
+  assert.equal(await user.verifyPassword(''), false);
+  assert.equal(updates.length, 0);
+  assert.equal(user.password, 's3cret!');
+});
+
+test('a new or reset password is hashed before it is written', async () => {
+  const { user, updates } = loadedUser('$2a$12$abcdefghijklmnopqrstuv');
+  user.password = 'a new password';
+  await user.save();
+  assert.equal(updates.length, 1);
+  assert.match(updates[0].password, /^\$2[aby]\$12\$/);
+  assert.equal(await user.verifyPassword('a new password'), true);
+
+  // A value that already is a hash is stored as given
+  user.password = '$2a$12$zyxwvutsrqponmlkjihgfe';
+  await user.save();
+  assert.equal(updates[1].password, '$2a$12$zyxwvutsrqponmlkjihgfe');
+});
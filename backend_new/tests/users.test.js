@@ -0,0 +1,132 @@
+import { describe, test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { Op } from 'sequelize';
+import User from '../models/User.js';
+import ActiveUser from '../models/ActiveUser.js';
+import ApiToken from '../models/ApiToken.js';
+import ProSBCInstance from '../models/ProSBCInstance.js';
+import userRoutes from '../routes/users.js';
+
+// Users by id; save() is a no-op and destroy() drops the row
+const users = {};
+function addUser(fields) {
+  users[fields.id] = {
+    email: null, role: 'viewer', instancePermissions: {}, disabled: false, authProvider: 'local',
+    async save() {},
+    async destroy() { delete users[this.id]; },
+    ...fields
+  };
+  return users[fields.id];
+}
+
+const admin = { userId: 1, username: 'admin', role: 'admin', instancePermissions: {} };
+
+let server;
+let baseUrl;
+let adminCount;
+let userCreate;
+
+before(async () => {
+  mock.method(User, 'findByPk', async (id) => users[id] || null);
+  // Username or email taken by someone else
+  mock.method(User, 'findOne', async ({ where }) => Object.values(users).find(user =>
+    where[Op.or].some(taken => taken.username === user.username || (taken.email && taken.email === user.email))) || null);
+  mock.method(User, 'count', async () => adminCount);
+  userCreate = mock.method(User, 'create', async (values) => addUser({ id: 9, ...values }));
+  mock.method(ProSBCInstance, 'findAll', async () => [{ id: 1 }, { id: 2 }]);
+  mock.method(ActiveUser, 'update', async () => [2]);
+  mock.method(ActiveUser, 'destroy', async () => 2);
+  mock.method(ApiToken, 'destroy', async () => 0);
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: admin.userId, username: admin.username };
+    req.permissions = admin;
+    next();
+  });
+  app.use('/backend/api/users', userRoutes);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/backend/api/users`;
+});
+
+after(async () => {
+  mock.restoreAll();
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+const send = (method, path, body) => fetch(`${baseUrl}${path}`, {
+  method,
+  headers: { 'Content-Type': 'application/json' },
+  body: body === undefined ? undefined : JSON.stringify(body)
+});
+
+describe('user administration', { timeout: 10000 }, () => {
+  before(() => {
+    addUser({ id: 1, username: 'admin', role: 'admin' });
+    addUser({ id: 2, username: 'ops', role: 'operator', email: 'ops@example.com' });
+    addUser({ id: 3, username: 'jdoe', authProvider: 'ldap' });
+  });
+
+  test('creates a user after validating the account', async () => {
+    assert.equal((await send('POST', '', { username: 'new', password: 'short' })).status, 400);
+    assert.equal((await send('POST', '', { username: 'ops', password: 'long enough' })).status, 409);
+    assert.equal((await send('POST', '', { username: 'new', password: 'long enough', email: 'ops@example.com' })).status, 409);
+    assert.equal((await send('POST', '', { username: 'new', password: 'long enough', role: 'root' })).status, 400);
+    assert.equal((await send('POST', '', { username: 'new', password: 'long enough', instancePermissions: { 5: 'viewer' } })).status, 400);
+    assert.equal(userCreate.mock.callCount(), 0);
+
+    const response = await send('POST', '', { username: ' new ', password: 'long enough', instancePermissions: { 1: 'operator' } });
+    assert.equal(response.status, 201);
+    const { user } = await response.json();
+    assert.equal(user.username, 'new');
+    assert.equal(user.role, 'viewer');
+    assert.deepEqual(user.instancePermissions, { 1: 'operator' });
+    assert.equal(user.password, undefined);
+  });
+
+  test('keeps at least one enabled admin', async () => {
+    adminCount = 1;
+    assert.equal((await send('PUT', '/1/permissions', { role: 'operator' })).status, 409);
+    assert.equal(users[1].role, 'admin');
+
+    adminCount = 2;
+    const response = await send('PUT', '/2/permissions', { role: 'admin', canApprove: true });
+    assert.equal(response.status, 200);
+    assert.equal(users[2].role, 'admin');
+    assert.equal(users[2].canApprove, true);
+    assert.equal((await send('PUT', '/2/permissions', { canApprove: 'yes' })).status, 400);
+  });
+
+  test('disabling a user ends their sessions, but never your own account', async () => {
+    assert.equal((await send('POST', '/1/disable')).status, 409);
+
+    const response = await send('POST', '/9/disable');
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).sessionsEnded, 2);
+    assert.equal(users[9].disabled, true);
+
+    assert.equal((await send('POST', '/9/enable')).status, 200);
+    assert.equal(users[9].disabled, false);
+  });
+
+  test('resets local passwords only', async () => {
+    assert.equal((await send('POST', '/3/reset-password', { password: 'long enough' })).status, 409);
+    assert.equal((await send('POST', '/9/reset-password', { password: 'short' })).status, 400);
+
+    const response = await send('POST', '/9/reset-password', { password: 'a new password' });
+    assert.equal(response.status, 200);
+    assert.equal(users[9].password, 'a new password');
+    assert.equal((await response.json()).sessionsEnded, 2);
+  });
+
+  test('deletes other users', async () => {
+    assert.equal((await send('DELETE', '/1')).status, 409);
+    assert.equal((await send('DELETE', '/42')).status, 404);
+    assert.equal((await send('DELETE', '/9')).status, 200);
+    assert.equal(users[9], undefined);
+  });
+});
@@ -0,0 +1,96 @@
+// AES-256-GCM encryption for secrets stored in the database (ProSBC instance passwords).
+//
+// Keys come from the environment:
+//   PROSBC_CREDENTIAL_KEYS="2:<key>,1:<old key>"  versioned keys, kept so older rows still decrypt
+//   PROSBC_CREDENTIAL_KEY="<key>"                 shorthand for a single key with version 1
+//   PROSBC_CREDENTIAL_KEY_VERSION=2               version used for new values (default: highest)
+// A key is 32 bytes as base64 or hex; any other string is hashed to 32 bytes.
+// Stored format: enc:v<version>:<iv>:<auth tag>:<ciphertext>, all base64.
+import crypto from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const PREFIX = 'enc:v';
+
+function toKey(secret) {
+  const value = secret.trim();
+  if (/^[0-9a-f]{64}$/i.test(value)) return Buffer.from(value, 'hex');
+  const decoded = Buffer.from(value, 'base64');
+  if (decoded.length === 32 && /^[A-Za-z0-9+/]+=*$/.test(value)) return decoded;
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+// Read lazily so the values loaded by dotenv are seen whatever the import order
+function loadKeys() {
+  const keys = new Map();
+  for (const entry of (process.env.PROSBC_CREDENTIAL_KEYS || '').split(',')) {
+    const separator = entry.indexOf(':');
+    if (separator < 1) continue;
+    const version = Number(entry.slice(0, separator).trim().replace(/^v/i, ''));
+    const secret = entry.slice(separator + 1);
+    if (Number.isInteger(version) && version > 0 && secret.trim()) keys.set(version, toKey(secret));
+  }
+  if (process.env.PROSBC_CREDENTIAL_KEY && !keys.has(1)) {
+    keys.set(1, toKey(process.env.PROSBC_CREDENTIAL_KEY));
+  }
+  return keys;
+}
+
+export function currentKeyVersion() {
+  const keys = loadKeys();
+  if (keys.size === 0) return null;
+  const configured = Number(process.env.PROSBC_CREDENTIAL_KEY_VERSION);
+  if (configured) {
+    if (!keys.has(configured)) {
+      throw new Error(`PROSBC_CREDENTIAL_KEY_VERSION ${configured} has no key in PROSBC_CREDENTIAL_KEYS`);
+    }
+    return configured;
+  }
+  return Math.max(...keys.keys());
+}
+
+export const hasCredentialKey = () => loadKeys().size > 0;
+
+export const isEncrypted = (value) => typeof value === 'string' && value.startsWith(PREFIX);
+
+// Key version of an encrypted value, or null for legacy (unencrypted) values
+export function keyVersionOf(value) {
+  if (!isEncrypted(value)) return null;
+  return Number(value.slice(PREFIX.length).split(':')[0]) || null;
+}
+
+export function encryptSecret(plaintext) {
+  const version = currentKeyVersion();
+  if (!version) {
+    throw new Error('No credential encryption key configured: set PROSBC_CREDENTIAL_KEY or PROSBC_CREDENTIAL_KEYS');
+  }
+  const key = loadKeys().get(version);
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  return `${PREFIX}${version}:${iv.toString('base64')}:${cipher.getAuthTag().toString('base64')}:${ciphertext.toString('base64')}`;
+}
+
+/**
+ * Decrypt a value written by encryptSecret. Values without the enc: prefix are rows
+ * stored before encryption and are returned as they are until they are migrated.
+ */
+export function decryptSecret(value) {
+  if (value == null || !isEncrypted(value)) return value;
+
+  const [version, iv, tag, ciphertext] = value.slice(PREFIX.length).split(':');
+  const key = loadKeys().get(Number(version));
+  if (!key) {
+    throw new Error(`No credential encryption key with version ${version} configured`);
+  }
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  try {
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new Error(`Cannot decrypt credential with key version ${version}: wrong key or tampered value`);
+  }
+}
+
+// True when a value is unencrypted or encrypted with a key other than the current one
+export const needsReencryption = (value) => keyVersionOf(value) !== currentKeyVersion();
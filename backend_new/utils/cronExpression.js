@@ -0,0 +1,147 @@
+// Minimal 5-field cron expressions: "minute hour day-of-month month day-of-week".
+// Supports *, lists (1,15), ranges (1-5), steps (*/10, 0-30/5) and the
+// @yearly/@monthly/@weekly/@daily/@hourly shortcuts. Times are server local time.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+const SHORTCUTS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+// Give up searching after this many years (e.g. "0 0 31 2 *" never matches)
+const SEARCH_LIMIT_YEARS = 5;
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [rangeText, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepText}" in ${name}`);
+    }
+
+    let start;
+    let end;
+    if (rangeText === '*') {
+      start = min;
+      end = max;
+    } else if (rangeText.includes('-')) {
+      [start, end] = rangeText.split('-').map(Number);
+    } else {
+      start = Number(rangeText);
+      end = stepText === undefined ? start : max;
+    }
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+      throw new Error(`Invalid ${name} value "${part}" (allowed ${min}-${max})`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+export function parseCronExpression(expression) {
+  const normalized = String(expression || '').trim().toLowerCase();
+  const text = SHORTCUTS[normalized] || normalized;
+  const parts = text.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression must have ${FIELDS.length} fields (minute hour day month weekday), got "${expression}"`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+  if (dayOfWeek.has(7)) dayOfWeek.add(0);
+
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    // Standard cron: when both day fields are restricted a date matching either one runs
+    dayOfMonthRestricted: parts[2] !== '*',
+    dayOfWeekRestricted: parts[4] !== '*'
+  };
+}
+
+export function isValidCronExpression(expression) {
+  try {
+    parseCronExpression(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function dayMatches(cron, date) {
+  const domMatch = cron.dayOfMonth.has(date.getDate());
+  const dowMatch = cron.dayOfWeek.has(date.getDay());
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) return domMatch || dowMatch;
+  if (cron.dayOfMonthRestricted) return domMatch;
+  if (cron.dayOfWeekRestricted) return dowMatch;
+  return true;
+}
+
+// First run strictly after `from`, or null if none within the search limit
+export function getNextRun(expression, from = new Date()) {
+  const cron = typeof expression === 'string' ? parseCronExpression(expression) : expression;
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = new Date(from).getFullYear() + SEARCH_LIMIT_YEARS;
+
+  while (date.getFullYear() <= limit) {
+    if (!cron.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+// Latest run at or before `from`, or null if none within the search limit
+export function getPreviousRun(expression, from = new Date()) {
+  const cron = typeof expression === 'string' ? parseCronExpression(expression) : expression;
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  const limit = new Date(from).getFullYear() - SEARCH_LIMIT_YEARS;
+
+  while (date.getFullYear() >= limit) {
+    if (!cron.month.has(date.getMonth() + 1)) {
+      date.setDate(1);
+      date.setHours(0, 0, 0, 0);
+      date.setMinutes(-1); // last minute of the previous month
+    } else if (!dayMatches(cron, date)) {
+      date.setHours(0, 0, 0, 0);
+      date.setMinutes(-1);
+    } else if (!cron.hour.has(date.getHours())) {
+      date.setMinutes(0, 0, 0);
+      date.setMinutes(-1);
+    } else if (!cron.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() - 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,133 @@
+// Row-level diff of DM/DF CSV files (remote ProSBC content vs. edited content)
+
+// Columns that identify a row. A digitmap row is one called/calling pair;
+// a definition row is one routeset entry towards one NAP.
+const KEY_COLUMNS = {
+  routesets_digitmaps: ['called', 'calling'],
+  routesets_definitions: ['routeset_name', 'remapped_nap']
+};
+
+// Split one CSV line, honouring double quotes and "" escapes
+function parseCsvLine(line) {
+  const fields = [];
+  let current = '';
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  fields.push(current.trim());
+  return fields;
+}
+
+// Parse CSV text into { headers, rows } where each row is an object keyed by header
+export function parseCsv(content) {
+  const lines = String(content || '')
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .filter(line => line.trim() !== '');
+  if (lines.length === 0) return { headers: [], rows: [] };
+
+  const headers = parseCsvLine(lines[0]).map(h => h.toLowerCase());
+  const rows = lines.slice(1).map((line, index) => {
+    const values = parseCsvLine(line);
+    const row = { _line: index + 2 };
+    headers.forEach((header, col) => {
+      row[header] = values[col] ?? '';
+    });
+    return row;
+  });
+  return { headers, rows };
+}
+
+function pickKeyColumns(fileType, headers) {
+  const preferred = (KEY_COLUMNS[fileType] || []).filter(col => headers.includes(col));
+  return preferred.length > 0 ? preferred : headers.slice(0, 1);
+}
+
+function stripLine(row) {
+  const { _line, ...values } = row;
+  return values;
+}
+
+/**
+ * Compare the remote (current) and local (edited) content of a DM/DF file.
+ * Rows are matched on their key columns; a matched row whose other columns
+ * differ is reported as changed. Duplicate keys are matched in file order.
+ */
+export function diffCsvRows(remoteContent, localContent, fileType) {
+  const remote = parseCsv(remoteContent);
+  const local = parseCsv(localContent);
+  const headers = local.headers.length > 0 ? local.headers : remote.headers;
+  const keyColumns = pickKeyColumns(fileType, headers);
+  const compareColumns = Array.from(new Set([...remote.headers, ...local.headers]));
+  const keyOf = row => keyColumns.map(col => row[col] ?? '').join(',');
+
+  // Group remote rows by key so duplicates are consumed one by one
+  const remaining = new Map();
+  for (const row of remote.rows) {
+    const key = keyOf(row);
+    if (!remaining.has(key)) remaining.set(key, []);
+    remaining.get(key).push(row);
+  }
+
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+  for (const row of local.rows) {
+    const key = keyOf(row);
+    const candidates = remaining.get(key);
+    if (!candidates || candidates.length === 0) {
+      added.push({ key, line: row._line, row: stripLine(row) });
+      continue;
+    }
+    const before = candidates.shift();
+    const fields = compareColumns.filter(col => (before[col] ?? '') !== (row[col] ?? ''));
+    if (fields.length === 0) {
+      unchanged++;
+    } else {
+      changed.push({ key, line: row._line, remoteLine: before._line, fields, before: stripLine(before), after: stripLine(row) });
+    }
+  }
+
+  const removed = [];
+  for (const [key, rows] of remaining) {
+    for (const row of rows) {
+      removed.push({ key, line: row._line, row: stripLine(row) });
+    }
+  }
+  removed.sort((a, b) => a.line - b.line);
+
+  return {
+    keyColumns,
+    headers: { remote: remote.headers, local: local.headers },
+    headersChanged: remote.headers.join(',') !== local.headers.join(','),
+    summary: {
+      remoteRows: remote.rows.length,
+      localRows: local.rows.length,
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length,
+      unchanged
+    },
+    added,
+    removed,
+    changed
+  };
+}
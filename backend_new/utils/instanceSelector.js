@@ -0,0 +1,50 @@
+// Instance selectors limit a multi-instance operation to some ProSBC instances:
+// { groups: ['east-coast'], tags: ['lab'], instanceIds: ['prosbc1'] }.
+// Values within one kind are alternatives, the kinds combine: group east-coast AND tag lab.
+
+const listOf = (value) => {
+  if (value == null || value === '') return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(values.map(item => String(item).trim()).filter(Boolean))];
+};
+
+// Tags are compared case-insensitively, so they are stored lowercase
+export const normalizeTags = (value) => [...new Set(listOf(value).map(tag => tag.toLowerCase()))];
+
+export const normalizeGroup = (value) => (value == null ? null : String(value).trim() || null);
+
+/**
+ * Read a selector from a request body or query: group/groups, tag/tags and instanceIds,
+ * each a list or a comma separated string. Returns null when none is given (every instance).
+ */
+export function parseInstanceSelector(source = {}) {
+  const selector = {
+    groups: listOf(source.groups ?? source.group),
+    tags: normalizeTags(source.tags ?? source.tag),
+    instanceIds: listOf(source.instanceIds)
+  };
+  return isEmptySelector(selector) ? null : selector;
+}
+
+export const isEmptySelector = (selector) =>
+  !selector || ['groups', 'tags', 'instanceIds'].every(kind => !selector[kind]?.length);
+
+export function matchesInstanceSelector(instance, selector) {
+  if (isEmptySelector(selector)) return true;
+  const { groups = [], tags = [], instanceIds = [] } = selector;
+  const group = String(instance.group || '').toLowerCase();
+  const instanceTags = normalizeTags(instance.tags);
+  return (instanceIds.length === 0 || instanceIds.map(String).includes(String(instance.id)))
+    && (groups.length === 0 || groups.some(item => String(item).toLowerCase() === group))
+    && (tags.length === 0 || tags.some(tag => instanceTags.includes(String(tag).toLowerCase())));
+}
+
+// "group east-coast, tag lab or staging" for messages and audit details
+export function describeInstanceSelector(selector) {
+  if (isEmptySelector(selector)) return 'every active instance';
+  const parts = [];
+  if (selector.groups?.length) parts.push(`group ${selector.groups.join(' or ')}`);
+  if (selector.tags?.length) parts.push(`tag ${selector.tags.join(' or ')}`);
+  if (selector.instanceIds?.length) parts.push(`instance ${selector.instanceIds.join(' or ')}`);
+  return parts.join(', ');
+}
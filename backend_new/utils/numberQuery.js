@@ -0,0 +1,68 @@
+// Number search queries: exact, prefix ("833770" or NPA-NXX "833-770"),
+// range ("8557021400-8557021499") and pattern ("833770XXXX", "*0100", "555?")
+
+export const SEARCH_MODES = ['exact', 'prefix', 'range', 'pattern'];
+
+const stripFormatting = (value) => String(value ?? '').trim().replace(/[\s\-.()]/g, '');
+const escapeLike = (value) => value.replace(/[\\%_]/g, (char) => `\\${char}`);
+
+/**
+ * Parse one search query for the given mode.
+ * Returns { mode, query, like?, range?, exact?, matches(number) } where like/range/exact
+ * describe the SQL condition on a normalized number column and matches() tests a raw value.
+ * Throws "Invalid ..." errors for queries that cannot be searched.
+ */
+export function parseNumberQuery(query, mode = 'exact') {
+  const text = String(query ?? '').trim();
+  if (!SEARCH_MODES.includes(mode)) {
+    throw new Error(`Invalid search mode "${mode}", expected one of ${SEARCH_MODES.join(', ')}`);
+  }
+  if (!text) {
+    throw new Error('Invalid query: empty');
+  }
+
+  if (mode === 'exact') {
+    const exact = stripFormatting(text);
+    return { mode, query: text, exact, matches: (number) => stripFormatting(number) === exact };
+  }
+
+  if (mode === 'prefix') {
+    const prefix = stripFormatting(text).replace(/\*$/, '');
+    if (!prefix) throw new Error(`Invalid prefix "${text}"`);
+    return {
+      mode,
+      query: text,
+      like: `${escapeLike(prefix)}%`,
+      matches: (number) => stripFormatting(number).startsWith(prefix)
+    };
+  }
+
+  if (mode === 'range') {
+    const bounds = text.match(/^\s*(\+?\d+)\s*(?:-|–|\.\.|to)\s*(\+?\d+)\s*$/i);
+    if (!bounds) throw new Error(`Invalid range "${text}", expected start-end such as 8557021400-8557021499`);
+    let [, low, high] = bounds;
+    if (low.length !== high.length) {
+      throw new Error(`Invalid range "${text}": start and end must have the same number of digits`);
+    }
+    if (low > high) [low, high] = [high, low];
+    // Same-length digit strings compare like numbers, so the range is a string BETWEEN
+    return {
+      mode,
+      query: text,
+      range: [low, high],
+      matches: (number) => {
+        const value = stripFormatting(number);
+        return value.length === low.length && value >= low && value <= high;
+      }
+    };
+  }
+
+  // pattern: * any run of characters, ? or X any single digit
+  const pattern = stripFormatting(text);
+  if (!/^[+\d*?xX]+$/.test(pattern)) {
+    throw new Error(`Invalid pattern "${text}": use digits, * (any run) and ? or X (one digit)`);
+  }
+  const like = pattern.replace(/\*/g, '%').replace(/[?xX]/g, '_');
+  const regex = new RegExp(`^${pattern.replace(/\+/g, '\\+').replace(/\*/g, '.*').replace(/[?xX]/g, '\\d')}$`);
+  return { mode, query: text, like, matches: (number) => regex.test(stripFormatting(number)) };
+}
@@ -76,7 +76,7 @@ class NapEditService {
         },
         body: formBody,
         redirect: 'manual',
-        agent: new https.Agent({ rejectUnauthorized: false })
+        agent: this.getAgent(loginUrl)
       });
       const setCookie = response.headers.get('set-cookie');
       if (setCookie) {
@@ -98,6 +98,11 @@ class NapEditService {
     }
   }
 
+  // Self-signed certificates are allowed for https; plain http (e.g. the local simulator) needs no agent
+  getAgent(url) {
+    return url.startsWith('https:') ? new https.Agent({ rejectUnauthorized: false }) : undefined;
+  }
+
   // Helper method to make requests with better error handling
   async makeRequest(url, options = {}) {
     // Ensure logged in before making request
@@ -143,8 +148,7 @@ class NapEditService {
 
     try {
       // Allow self-signed certificates (for development only)
-      const agent = new https.Agent({ rejectUnauthorized: false });
-      requestOptions.agent = agent;
+      requestOptions.agent = this.getAgent(url);
       const response = await fetch(url, requestOptions);
       // node-fetch does not have .type or CORS/opaque, so just return response
       return response;
@@ -1901,6 +1901,7 @@ class ProSBCFileAPI {
 
   async getFileContent(fileType, fileId, configId = null) {
     try {
+      await this.loadInstanceContext();
       const dbId = configId;
       const exportResponse = await fetch(`${this.baseURL}/file_dbs/${dbId}/${fileType}/${fileId}/export`, {
         method: 'GET',
@@ -0,0 +1,16 @@
+// Strip secrets from request bodies and audit details before they are stored
+export const REDACTED = '[redacted]';
+
+const SECRET_KEY = /pass(word)?$|secret|token|api[-_]?key|authorization|cookie|recovery|^code$|^otp$/i;
+const MAX_DEPTH = 6;
+
+export function redactSecrets(value, depth = 0) {
+  if (value == null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[truncated]';
+  if (Array.isArray(value)) return value.map(item => redactSecrets(item, depth + 1));
+  if (Buffer.isBuffer(value)) return `[${value.length} bytes]`;
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SECRET_KEY.test(key) && item != null && item !== '' ? REDACTED : redactSecrets(item, depth + 1)
+  ]));
+}
@@ -9,10 +9,18 @@ import DashboardLogin from './DashboardLogin';
 import Profile from './components/Profile';
 import ProSBCInstanceManager from './components/ProSBCInstanceManager';
 import CustomerCounts from './components/CustomerCounts';
+import UserManagement from './components/UserManagement';
+import ApiTokens from './components/ApiTokens';
+import AuditTrail from './components/AuditTrail';
+import ChangeRequests from './components/ChangeRequests';
+import DriftReport from './components/DriftReport';
+import ReplicationPolicies from './components/ReplicationPolicies';
+import IdleTimeoutWarning from './components/IdleTimeoutWarning';
 
 import { setupAuthentication } from './utils/napApiClientFixed';
 import { ProSBCInstanceProvider, useProSBCInstance } from './contexts/ProSBCInstanceContext';
-import { sessionManager } from './utils/sessionManager';
+import { sessionManager, dashboardSession } from './utils/sessionManager';
+import { SECTION_ROLES, canOpenSection } from './utils/permissions';
 import './App.css';
 
 function App() {
@@ -24,7 +32,7 @@ function App() {
 }
 
 function AppContent() {
-  const { clearInstanceSelection, refreshInstances } = useProSBCInstance();
+  const { clearInstanceSelection, refreshInstances, selectedInstance } = useProSBCInstance();
   const [activeSection, setActiveSection] = useState('dm-df-upload');
   const [isReady, setIsReady] = useState(false);
   const [authError, setAuthError] = useState(null);
@@ -35,6 +43,9 @@ function AppContent() {
   const [showProfile, setShowProfile] = useState(false);
   const [user, setUser] = useState(null);
   const [selectedConfigId, setSelectedConfigId] = useState('');
+  const [idleSignOutAt, setIdleSignOutAt] = useState(null);
+  // 'idle' or 'expired' while the re-login prompt is shown over the page
+  const [sessionExpired, setSessionExpired] = useState(null);
 
   useEffect(() => {
     const initializeAuth = async () => {
@@ -56,8 +67,37 @@ function AppContent() {
     // Example: check localStorage for token
     const token = localStorage.getItem('dashboard_token');
     setIsDashboardAuth(!!token);
+    // Load the profile (role and instance permissions) after a page reload
+    if (token) {
+      fetchUser(token);
+      dashboardSession.start();
+    }
+    return () => dashboardSession.stop();
+  }, []);
+
+  // Idle warning, and a re-login prompt that keeps the page (and unsaved edits) mounted
+  useEffect(() => {
+    return dashboardSession.subscribe((event) => {
+      if (event.type === 'idle-warning') {
+        setIdleSignOutAt(event.signOutAt);
+      } else if (event.type === 'active') {
+        setIdleSignOutAt(null);
+      } else if (event.type === 'expired') {
+        setIdleSignOutAt(null);
+        setSessionExpired(event.reason);
+        setShowLoginModal(true);
+      }
+    });
   }, []);
 
+  // Leave a section the user's role does not allow, e.g. after switching instance
+  useEffect(() => {
+    if (!canOpenSection(user, activeSection, selectedInstance?.id)) {
+      const allowed = Object.keys(SECTION_ROLES).find(section => canOpenSection(user, section, selectedInstance?.id));
+      if (allowed) setActiveSection(allowed);
+    }
+  }, [user, activeSection, selectedInstance?.id]);
+
   const handleAuthError = () => {
     setAuthError('Authentication required. Please check your .env file credentials.');
   };
@@ -71,17 +111,28 @@ function AppContent() {
       if (response.ok) {
         const data = await response.json();
         setUser(data);
+        return data;
       }
     } catch {}
+    return null;
   };
 
-  const handleLoginSuccess = async (token) => {
-    localStorage.setItem('dashboard_token', token);
+  // session: the login response ({ token, refreshToken, expiresIn, idleTimeoutMinutes })
+  const handleLoginSuccess = async (session) => {
+    const reauthenticated = !!sessionExpired;
+    const previousUser = user;
+    dashboardSession.start(session);
     setIsDashboardAuth(true);
     setShowLoginModal(false);
+    setSessionExpired(null);
     
     // Fetch user profile
-    fetchUser(token);
+    const profile = await fetchUser(session.token);
+    if (reauthenticated) {
+      // Someone else signed in at the prompt: drop the previous user's page
+      if (previousUser && profile && profile.id !== previousUser.id) window.location.reload();
+      return;
+    }
     
     // Trigger ProSBC instances fetch after login
     try {
@@ -135,7 +186,15 @@ function AppContent() {
 
   // Auth state and handlers
   const handleLogout = () => {
-    localStorage.removeItem('dashboard_token');
+    // End this session on the server too; the other sessions of the user stay signed in
+    const token = localStorage.getItem('dashboard_token');
+    if (token) {
+      fetch('/backend/api/auth/logout', { method: 'POST', headers: { 'Authorization': `Bearer ${token}` } }).catch(() => {});
+    }
+    dashboardSession.stop();
+    dashboardSession.clear();
+    setIdleSignOutAt(null);
+    setSessionExpired(null);
     clearInstanceSelection(); // Clear ProSBC instance selection
     sessionManager.clearSession(); // Clear ProSBC session cookies
     setIsDashboardAuth(false);
@@ -157,6 +216,18 @@ function AppContent() {
         return <ProSBCInstanceManager />;
       case 'customer-counts':
         return <CustomerCounts configId={selectedConfigId} />;
+      case 'drift-report':
+        return <DriftReport currentUser={user} />;
+      case 'replication':
+        return <ReplicationPolicies currentUser={user} />;
+      case 'audit-trail':
+        return <AuditTrail />;
+      case 'change-requests':
+        return <ChangeRequests currentUser={user} />;
+      case 'api-tokens':
+        return <ApiTokens currentUser={user} />;
+      case 'user-management':
+        return <UserManagement currentUser={user} />;
       default:
         return <FileUploader onAuthError={handleAuthError} configId={selectedConfigId} />;
     }
@@ -178,16 +249,31 @@ function AppContent() {
           activeSection={activeSection}
           onSectionChange={setActiveSection}
           onConfigChange={setSelectedConfigId}
+          user={user}
         />
+        {idleSignOutAt && (
+          <IdleTimeoutWarning
+            signOutAt={idleSignOutAt}
+            onStay={() => { setIdleSignOutAt(null); dashboardSession.keepAlive(); }}
+            onSignOut={handleLogout}
+          />
+        )}
         {showLoginModal && (
-          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className={`fixed inset-0 flex items-center justify-center z-[60] ${sessionExpired ? 'bg-gray-900 bg-opacity-95' : 'bg-black bg-opacity-50'}`}>
             <div className="bg-gray-800 p-8 rounded-xl shadow-2xl relative">
-              <button
-                className="absolute top-2 right-2 text-gray-400 hover:text-white"
-                onClick={() => setShowLoginModal(false)}
-              >
-                &times;
-              </button>
+              {sessionExpired ? (
+                <p className="text-yellow-300 text-sm mb-4 max-w-xs">
+                  {sessionExpired === 'idle' ? 'You were signed out after a period of inactivity.' : 'Your session has expired.'}
+                  {' '}Sign in again to continue where you left off.
+                </p>
+              ) : (
+                <button
+                  className="absolute top-2 right-2 text-gray-400 hover:text-white"
+                  onClick={() => setShowLoginModal(false)}
+                >
+                  &times;
+                </button>
+              )}
               <DashboardLogin onSuccess={handleLoginSuccess} />
             </div>
           </div>
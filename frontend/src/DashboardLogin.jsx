@@ -5,6 +5,17 @@ const DashboardLogin = ({ onSuccess }) => {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [overridePrompt, setOverridePrompt] = useState(null);
+  // { challengeToken, setup? } while the second login step is shown
+  const [challenge, setChallenge] = useState(null);
+
+  const postJson = async (url, body) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { response, data: await response.json() };
+  };
 
   const handleLogin = async (credentials, override = false) => {
     setIsLoading(true);
@@ -29,7 +40,43 @@ const DashboardLogin = ({ onSuccess }) => {
         }
         throw new Error(data.message || 'Login failed');
       }
-      if (onSuccess) onSuccess(data.token || 'mock_token');
+      if (data.twoFactorRequired) {
+        setChallenge({ challengeToken: data.challengeToken });
+        return;
+      }
+      if (data.twoFactorSetupRequired) {
+        const setup = await postJson('/backend/api/auth/login/2fa/setup', { challengeToken: data.challengeToken });
+        if (!setup.response.ok) throw new Error(setup.data.message || 'Two-factor setup failed');
+        setChallenge({ challengeToken: data.challengeToken, setup: setup.data });
+        return;
+      }
+      if (onSuccess) onSuccess(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleVerifyCode = async (code, isRecoveryCode) => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const { response, data } = await postJson('/backend/api/auth/login/2fa', {
+        challengeToken: challenge.challengeToken,
+        ...(isRecoveryCode ? { recoveryCode: code } : { code })
+      });
+      if (!response.ok) {
+        // An expired or exhausted challenge needs the password again
+        if (/sign in again/i.test(data.message || '')) setChallenge(null);
+        throw new Error(data.message || 'Verification failed');
+      }
+      if (data.recoveryCodes) {
+        // Just enrolled: show the recovery codes before entering the dashboard
+        setChallenge({ ...challenge, recoveryCodes: data.recoveryCodes, onDone: () => onSuccess?.(data) });
+        return;
+      }
+      if (onSuccess) onSuccess(data);
     } catch (err) {
       setError(err.message);
     } finally {
@@ -39,7 +86,14 @@ const DashboardLogin = ({ onSuccess }) => {
 
   return (
     <>
-      <DashboardLoginForm onLogin={handleLogin} isLoading={isLoading} error={error} />
+      <DashboardLoginForm
+        onLogin={handleLogin}
+        isLoading={isLoading}
+        error={error}
+        challenge={challenge}
+        onVerifyCode={handleVerifyCode}
+        onCancelChallenge={() => { setChallenge(null); setError(null); }}
+      />
       {overridePrompt && (
         <div className="mt-4 bg-yellow-900/30 border border-yellow-700 text-yellow-300 text-sm px-3 py-2 rounded max-w-md mx-auto">
           <div>{overridePrompt.message}</div>
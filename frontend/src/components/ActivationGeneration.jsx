@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useProSBCInstance } from '../contexts/ProSBCInstanceContext';
+import { useBackgroundJob } from '../hooks/useBackgroundJob';
+import JobProgress from './JobProgress';
 
 
 const ActivationGeneration = ({ onAuthError }) => {
@@ -28,6 +30,7 @@ const ActivationGeneration = ({ onAuthError }) => {
   const [activating, setActivating] = useState(false);
   const [validating, setValidating] = useState(false);
   const [generating, setGenerating] = useState(false);
+  const generateJob = useBackgroundJob();
 
   // Load initial data and reload when instance changes
   useEffect(() => {
@@ -188,17 +191,15 @@ const ActivationGeneration = ({ onAuthError }) => {
       setSuccessMessage('');
       
       console.log('Starting routing database generation...');
-      const res = await fetch('/backend/api/routeset-mapping/generate-database', { method: 'POST', headers: getAuthHeaders() });
-      if (!res.ok) throw new Error(await res.text());
-      const result = await res.json();
-      if (result.success) {
+      const result = await generateJob.run('/backend/api/routeset-mapping/generate-database', { headers: getAuthHeaders() });
+      if (result?.success) {
         setSuccessMessage(result.message || 'Route database was generated successfully');
         console.log('Generation completed successfully:', result);
         if (result.response) {
           console.log('Server response:', result.response);
         }
       } else {
-        throw new Error(result.message || 'Generation failed with unknown error');
+        throw new Error(result?.message || 'Generation failed with unknown error');
       }
       
       // Clear success message after 5 seconds
@@ -268,6 +269,8 @@ const ActivationGeneration = ({ onAuthError }) => {
         )}
       </div>
 
+      <JobProgress job={generateJob.job} title="Generate Routing Database" onCancel={generateJob.cancel} onClose={generateJob.reset} />
+
       {/* Success Message */}
       {successMessage && (
         <div className="mb-6 bg-green-900/30 border border-green-700 rounded-lg p-4 backdrop-blur-sm">
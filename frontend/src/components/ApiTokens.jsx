@@ -0,0 +1,232 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useProSBCInstance } from '../contexts/ProSBCInstanceContext';
+
+const EMPTY_TOKEN = { name: '', scopes: [], instanceIds: [], expiresInDays: 90 };
+
+const EXPIRY_OPTIONS = [
+  { value: 30, label: '30 days' },
+  { value: 90, label: '90 days' },
+  { value: 365, label: '1 year' },
+  { value: '', label: 'Never' }
+];
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const getAuthHeaders = () => {
+  const token = localStorage.getItem('dashboard_token');
+  return {
+    'Authorization': token ? `Bearer ${token}` : '',
+    'Content-Type': 'application/json'
+  };
+};
+
+const request = async (url, options = {}) => {
+  const response = await fetch(url, { ...options, headers: getAuthHeaders() });
+  const data = await response.json();
+  if (!data.success) throw new Error(data.error || `Request failed (${response.status})`);
+  return data;
+};
+
+const tokenState = (token) => {
+  if (token.revokedAt) return { label: 'Revoked', className: 'text-gray-500' };
+  if (token.expiresAt && new Date(token.expiresAt) <= new Date()) return { label: 'Expired', className: 'text-yellow-400' };
+  return { label: 'Active', className: 'text-green-400' };
+};
+
+// Personal API tokens for scripts; the secret is shown once after creation
+const ApiTokens = ({ currentUser }) => {
+  const { instances } = useProSBCInstance();
+  const [tokens, setTokens] = useState([]);
+  const [scopes, setScopes] = useState({});
+  const [showAll, setShowAll] = useState(false);
+  const [newToken, setNewToken] = useState(EMPTY_TOKEN);
+  const [createdSecret, setCreatedSecret] = useState(null);
+  const [error, setError] = useState(null);
+
+  const isAdmin = currentUser?.role === 'admin';
+
+  const fetchTokens = useCallback(async () => {
+    try {
+      const data = await request(`/backend/api/api-tokens${showAll ? '?all=true' : ''}`);
+      setTokens(data.tokens);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [showAll]);
+
+  useEffect(() => {
+    fetchTokens();
+  }, [fetchTokens]);
+
+  useEffect(() => {
+    request('/backend/api/api-tokens/scopes')
+      .then(data => setScopes(data.scopes))
+      .catch(err => setError(err.message));
+  }, []);
+
+  const toggleListValue = (field, value) => {
+    const values = newToken[field];
+    setNewToken({ ...newToken, [field]: values.includes(value) ? values.filter(v => v !== value) : [...values, value] });
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      const data = await request('/backend/api/api-tokens', {
+        method: 'POST',
+        body: JSON.stringify({
+          name: newToken.name,
+          scopes: newToken.scopes,
+          instanceIds: newToken.instanceIds.length ? newToken.instanceIds : null,
+          expiresInDays: newToken.expiresInDays === '' ? null : Number(newToken.expiresInDays)
+        })
+      });
+      setCreatedSecret({ name: data.apiToken.name, token: data.token });
+      setNewToken(EMPTY_TOKEN);
+      await fetchTokens();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const revoke = async (token) => {
+    if (!window.confirm(`Revoke "${token.name}"? Scripts using it will stop working immediately.`)) return;
+    try {
+      await request(`/backend/api/api-tokens/${token.id}`, { method: 'DELETE' });
+      await fetchTokens();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-xl border border-gray-700 p-6">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h2 className="text-2xl font-semibold text-white">API Tokens</h2>
+          <p className="text-gray-400 text-sm">
+            Tokens for scripts: send <span className="font-mono">Authorization: Bearer &lt;token&gt;</span>. A token acts as you, limited to its scopes.
+          </p>
+        </div>
+        {isAdmin && (
+          <label className="flex items-center gap-2 text-sm text-gray-300">
+            <input type="checkbox" checked={showAll} onChange={e => setShowAll(e.target.checked)} />
+            All users
+          </label>
+        )}
+      </div>
+
+      {error && <div className="bg-red-900/30 border border-red-700 text-red-300 rounded-lg p-3 mb-4">{error}</div>}
+
+      {createdSecret && (
+        <div className="bg-green-900/30 border border-green-700 rounded-lg p-4 mb-6">
+          <div className="text-green-300 mb-2">
+            Token &quot;{createdSecret.name}&quot; created. Copy it now, it will not be shown again.
+          </div>
+          <div className="flex items-center gap-3">
+            <code className="flex-1 bg-gray-900 text-white px-3 py-2 rounded break-all">{createdSecret.token}</code>
+            <button onClick={() => navigator.clipboard?.writeText(createdSecret.token)} className="bg-gray-700 hover:bg-gray-600 text-white px-3 py-2 rounded">
+              Copy
+            </button>
+            <button onClick={() => setCreatedSecret(null)} className="text-gray-400 hover:text-white">✕</button>
+          </div>
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="bg-gray-900 rounded-lg p-4 mb-6 space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          <input
+            required
+            value={newToken.name}
+            onChange={e => setNewToken({ ...newToken, name: e.target.value })}
+            placeholder="Name, e.g. provisioning script"
+            className="bg-gray-800 border border-gray-600 rounded-lg px-3 py-2 text-white md:col-span-2"
+          />
+          <select
+            value={newToken.expiresInDays}
+            onChange={e => setNewToken({ ...newToken, expiresInDays: e.target.value })}
+            className="bg-gray-800 border border-gray-600 rounded-lg px-3 py-2 text-white"
+          >
+            {EXPIRY_OPTIONS.map(option => <option key={option.label} value={option.value}>Expires: {option.label}</option>)}
+          </select>
+        </div>
+        <div>
+          <div className="text-gray-400 text-sm mb-2">Scopes</div>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+            {Object.entries(scopes).map(([scope, description]) => (
+              <label key={scope} className="flex items-start gap-2 text-sm">
+                <input type="checkbox" className="mt-1" checked={newToken.scopes.includes(scope)} onChange={() => toggleListValue('scopes', scope)} />
+                <span>
+                  <span className="font-mono text-white">{scope}</span>
+                  <span className="block text-gray-500">{description}</span>
+                </span>
+              </label>
+            ))}
+          </div>
+        </div>
+        <div>
+          <div className="text-gray-400 text-sm mb-2">Instances (none selected: every instance you can access)</div>
+          <div className="flex flex-wrap gap-3">
+            {instances.map(instance => (
+              <label key={instance.id} className="flex items-center gap-2 text-sm text-white">
+                <input type="checkbox" checked={newToken.instanceIds.includes(String(instance.id))} onChange={() => toggleListValue('instanceIds', String(instance.id))} />
+                {instance.name}
+              </label>
+            ))}
+          </div>
+        </div>
+        <button type="submit" disabled={newToken.scopes.length === 0} className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 text-white px-4 py-2 rounded-lg">
+          Create token
+        </button>
+      </form>
+
+      <table className="w-full text-left text-sm">
+        <thead>
+          <tr className="text-gray-400 border-b border-gray-700">
+            <th className="py-2">Name</th>
+            {showAll && <th className="py-2">User</th>}
+            <th className="py-2">Scopes</th>
+            <th className="py-2">Instances</th>
+            <th className="py-2">Expires</th>
+            <th className="py-2">Last used</th>
+            <th className="py-2">Status</th>
+            <th className="py-2"></th>
+          </tr>
+        </thead>
+        <tbody>
+          {tokens.length === 0 && (
+            <tr><td colSpan={8} className="py-4 text-gray-500">No API tokens yet.</td></tr>
+          )}
+          {tokens.map(token => {
+            const state = tokenState(token);
+            return (
+              <tr key={token.id} className="border-b border-gray-700 text-gray-300">
+                <td className="py-2">
+                  <div className="text-white">{token.name}</div>
+                  <div className="font-mono text-gray-500">{token.tokenPrefix}…</div>
+                </td>
+                {showAll && <td className="py-2">{token.username}</td>}
+                <td className="py-2 font-mono">{token.scopes.join(', ')}</td>
+                <td className="py-2">{token.instanceIds ? token.instanceIds.join(', ') : 'All'}</td>
+                <td className="py-2">{token.expiresAt ? formatDate(token.expiresAt) : 'Never'}</td>
+                <td className="py-2">
+                  {formatDate(token.lastUsedAt)}
+                  {token.lastUsedIp && <div className="text-gray-500">{token.lastUsedIp}</div>}
+                </td>
+                <td className={`py-2 ${state.className}`}>{state.label}</td>
+                <td className="py-2 text-right">
+                  {!token.revokedAt && (
+                    <button onClick={() => revoke(token)} className="text-red-400 hover:text-red-300">Revoke</button>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default ApiTokens;
@@ -0,0 +1,207 @@
+import React, { useState, useEffect, useCallback } from 'react';
+
+const PAGE_SIZE = 50;
+
+const EMPTY_FILTERS = { action: '', outcome: '', username: '', instanceId: '', target: '', from: '', to: '' };
+
+const OUTCOME_CLASSES = {
+  success: 'text-green-400',
+  failure: 'text-red-400',
+  partial: 'text-yellow-400',
+  queued: 'text-blue-400'
+};
+
+const getAuthHeaders = () => {
+  const token = localStorage.getItem('dashboard_token');
+  return {
+    'Authorization': token ? `Bearer ${token}` : '',
+    'Content-Type': 'application/json'
+  };
+};
+
+const queryString = (filters, extra = {}) => {
+  const params = new URLSearchParams();
+  Object.entries({ ...filters, ...extra }).forEach(([key, value]) => {
+    if (value !== '' && value != null) params.set(key, key === 'from' || key === 'to' ? new Date(value).toISOString() : value);
+  });
+  return params.toString();
+};
+
+const shortHash = (hash) => (hash ? hash.slice(0, 10) : '—');
+
+// Audit trail of changes pushed to ProSBC, with filters and CSV export
+const AuditTrail = () => {
+  const [events, setEvents] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [options, setOptions] = useState({ actions: [], outcomes: [] });
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [applied, setApplied] = useState(EMPTY_FILTERS);
+  const [offset, setOffset] = useState(0);
+  const [expanded, setExpanded] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetch('/backend/api/audit/actions', { headers: getAuthHeaders() })
+      .then(response => response.json())
+      .then(data => data.success && setOptions({ actions: data.actions, outcomes: data.outcomes }))
+      .catch(err => setError(err.message));
+  }, []);
+
+  const fetchEvents = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const response = await fetch(`/backend/api/audit?${queryString(applied, { limit: PAGE_SIZE, offset })}`, { headers: getAuthHeaders() });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Failed to load audit events');
+      setEvents(data.events);
+      setTotal(data.total);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [applied, offset]);
+
+  useEffect(() => {
+    fetchEvents();
+  }, [fetchEvents]);
+
+  const applyFilters = (e) => {
+    e.preventDefault();
+    setOffset(0);
+    setApplied(filters);
+  };
+
+  const resetFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setApplied(EMPTY_FILTERS);
+    setOffset(0);
+  };
+
+  const exportCsv = async () => {
+    try {
+      const response = await fetch(`/backend/api/audit/export?${queryString(applied)}`, { headers: getAuthHeaders() });
+      if (!response.ok) throw new Error(`Export failed (${response.status})`);
+      const blob = await response.blob();
+      const downloadUrl = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = downloadUrl;
+      a.download = `audit-${new Date().toISOString().slice(0, 10)}.csv`;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      window.URL.revokeObjectURL(downloadUrl);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const setFilter = (key) => (e) => setFilters({ ...filters, [key]: e.target.value });
+  const inputClass = 'bg-gray-900 border border-gray-600 rounded-lg px-3 py-2 text-white text-sm';
+
+  return (
+    <div className="bg-gray-800 rounded-xl border border-gray-700 p-6">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h2 className="text-2xl font-semibold text-white">Audit Trail</h2>
+          <p className="text-gray-400 text-sm">Every change pushed to ProSBC: who, where, what and whether it worked.</p>
+        </div>
+        <button onClick={exportCsv} className="bg-gray-700 hover:bg-gray-600 text-white px-4 py-2 rounded-lg">
+          Export CSV
+        </button>
+      </div>
+
+      <form onSubmit={applyFilters} className="grid grid-cols-1 md:grid-cols-4 gap-3 mb-6">
+        <select value={filters.action} onChange={setFilter('action')} className={inputClass}>
+          <option value="">All actions</option>
+          {options.actions.map(action => <option key={action} value={action}>{action}</option>)}
+        </select>
+        <select value={filters.outcome} onChange={setFilter('outcome')} className={inputClass}>
+          <option value="">All outcomes</option>
+          {options.outcomes.map(outcome => <option key={outcome} value={outcome}>{outcome}</option>)}
+        </select>
+        <input value={filters.username} onChange={setFilter('username')} placeholder="User" className={inputClass} />
+        <input value={filters.instanceId} onChange={setFilter('instanceId')} placeholder="Instance ID" className={inputClass} />
+        <input value={filters.target} onChange={setFilter('target')} placeholder="Target contains…" className={inputClass} />
+        <input type="datetime-local" value={filters.from} onChange={setFilter('from')} className={inputClass} title="From" />
+        <input type="datetime-local" value={filters.to} onChange={setFilter('to')} className={inputClass} title="To" />
+        <div className="flex gap-2">
+          <button type="submit" className="flex-1 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm">Filter</button>
+          <button type="button" onClick={resetFilters} className="bg-gray-700 hover:bg-gray-600 text-white px-4 py-2 rounded-lg text-sm">Reset</button>
+        </div>
+      </form>
+
+      {error && <div className="bg-red-900/30 border border-red-700 text-red-300 rounded-lg p-3 mb-4">{error}</div>}
+
+      <table className="w-full text-left text-sm">
+        <thead>
+          <tr className="text-gray-400 border-b border-gray-700">
+            <th className="py-2">Time</th>
+            <th className="py-2">User</th>
+            <th className="py-2">Action</th>
+            <th className="py-2">Instance</th>
+            <th className="py-2">Target</th>
+            <th className="py-2">Before → After</th>
+            <th className="py-2">Outcome</th>
+          </tr>
+        </thead>
+        <tbody>
+          {!isLoading && events.length === 0 && (
+            <tr><td colSpan={7} className="py-4 text-gray-500">No audit events match these filters.</td></tr>
+          )}
+          {events.map(event => (
+            <React.Fragment key={event.id}>
+              <tr
+                className="border-b border-gray-700 text-gray-300 cursor-pointer hover:bg-gray-700/40"
+                onClick={() => setExpanded(expanded === event.id ? null : event.id)}
+              >
+                <td className="py-2 whitespace-nowrap">{new Date(event.createdAt).toLocaleString()}</td>
+                <td className="py-2">{event.username || 'system'}</td>
+                <td className="py-2 font-mono">{event.action}</td>
+                <td className="py-2">{event.instanceId || 'all'}{event.configId && <span className="text-gray-500"> / {event.configId}</span>}</td>
+                <td className="py-2 break-all">{event.target || '—'}</td>
+                <td className="py-2 font-mono text-xs">{shortHash(event.beforeHash)} → {shortHash(event.afterHash)}</td>
+                <td className={`py-2 ${OUTCOME_CLASSES[event.outcome] || 'text-gray-300'}`}>{event.outcome}</td>
+              </tr>
+              {expanded === event.id && (
+                <tr className="border-b border-gray-700 bg-gray-900">
+                  <td colSpan={7} className="p-3 text-xs text-gray-300 space-y-1">
+                    {event.error && <div className="text-red-300">Error: {event.error}</div>}
+                    <div>IP: {event.ip || '—'}</div>
+                    <div className="font-mono break-all">Before: {event.beforeHash || 'unknown'}</div>
+                    <div className="font-mono break-all">After: {event.afterHash || 'unknown'}</div>
+                    {event.details && <pre className="whitespace-pre-wrap text-gray-400">{JSON.stringify(event.details, null, 2)}</pre>}
+                  </td>
+                </tr>
+              )}
+            </React.Fragment>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="flex items-center justify-between mt-4 text-sm text-gray-400">
+        <span>{total} events</span>
+        <div className="flex gap-2">
+          <button
+            disabled={offset === 0}
+            onClick={() => setOffset(Math.max(offset - PAGE_SIZE, 0))}
+            className="bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-white px-3 py-1.5 rounded"
+          >
+            Newer
+          </button>
+          <button
+            disabled={offset + PAGE_SIZE >= total}
+            onClick={() => setOffset(offset + PAGE_SIZE)}
+            className="bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-white px-3 py-1.5 rounded"
+          >
+            Older
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AuditTrail;
@@ -2,6 +2,11 @@ import React, { useState, useEffect, useRef } from 'react';
 import { prosbcFileAPI } from '../utils/prosbcFileApi';
 import { csvFileUpdateService } from '../utils/csvFileUpdateService';
 import { fileService } from '../services/apiClient.js';
+import { useProSBCInstance } from '../contexts/ProSBCInstanceContext';
+import { clearDraft, contentFingerprint, draftKey, loadDraft, saveDraft } from '../utils/editorDrafts';
+import { fetchChangeApprovalSettings, submitPlanChangeRequest } from '../utils/changeRequests';
+import { EMPTY_SELECTOR, appendSelector, describeSelector } from '../utils/instanceSelector';
+import InstanceTargetSelector from './InstanceTargetSelector';
 
 const CSVEditorTable = ({ 
   csvData, 
@@ -28,7 +33,15 @@ const CSVEditorTable = ({
   const [bulkTargetColumn, setBulkTargetColumn] = useState(0);
   const [bulkCustomerName, setBulkCustomerName] = useState('');
   const [updateAllResults, setUpdateAllResults] = useState(null);
+  const [diffPreview, setDiffPreview] = useState(null);
   const [showUpdateAllModal, setShowUpdateAllModal] = useState(false);
+  const [updateAllPlan, setUpdateAllPlan] = useState(null);
+  // Group/tag the update to all is limited to
+  const [updateAllTargets, setUpdateAllTargets] = useState(EMPTY_SELECTOR);
+  const [pendingDraft, setPendingDraft] = useState(null);
+  // With change approval on, update to all submits the reviewed plan as a change request
+  const [approvalRequired, setApprovalRequired] = useState(false);
+  const { selectedInstanceId } = useProSBCInstance();
   
   const tableRef = useRef(null);
   const cellRefs = useRef({});
@@ -114,10 +127,21 @@ const CSVEditorTable = ({
     initializeApi();
   }, []);
 
+  useEffect(() => {
+    fetchChangeApprovalSettings()
+      .then(settings => setApprovalRequired(settings.requireChangeApproval))
+      .catch(error => console.warn('Could not load change approval settings:', error.message));
+  }, []);
+
+  // Unsaved changes are kept per instance and file until saved or discarded
+  const draftId = draftKey(selectedInstanceId, fileInfo);
+
   // Initialize table data from CSV
   useEffect(() => {
     if (csvData && csvData.trim()) {
       parseCSVData(csvData);
+      // Offer the changes left unsaved by an expired session or closed tab
+      setPendingDraft(loadDraft(draftId));
       
       // Load file history if fileInfo is available
       if (fileInfo?.id && apiClient) {
@@ -126,6 +150,34 @@ const CSVEditorTable = ({
     }
   }, [csvData, fileInfo, apiClient]);
 
+  // Store the draft shortly after each edit
+  useEffect(() => {
+    if (!draftId || !hasChanges) return;
+    const timer = setTimeout(() => saveDraft(draftId, { headers, rows, baseContent: csvData }), 1000);
+    return () => clearTimeout(timer);
+  }, [draftId, hasChanges, headers, rows, csvData]);
+
+  const restoreDraft = () => {
+    setHeaders(pendingDraft.headers);
+    setRows(pendingDraft.rows);
+    setHasChanges(true);
+    setErrors({});
+    setPendingDraft(null);
+  };
+
+  const discardDraft = () => {
+    clearDraft(draftId);
+    setPendingDraft(null);
+  };
+
+  // The current table is what ProSBC now has
+  const markSaved = () => {
+    setOriginalData({ headers, rows });
+    setHasChanges(false);
+    clearDraft(draftId);
+    setPendingDraft(null);
+  };
+
   // Parse CSV data into table structure
   const parseCSVData = (csvString) => {
     try {
@@ -210,7 +262,7 @@ const CSVEditorTable = ({
     
     try {
       // Get file history from backend
-      const response = await apiClient.getHistory(fileInfo.type, fileInfo.id);
+      const response = await apiClient.getHistory(fileInfo.type, fileInfo.id, { fileName: fileInfo.name });
       if (response.success) {
         setFileHistory(response.data.history || []);
         console.log('✅ File history loaded:', response.data.history.length, 'entries');
@@ -247,7 +299,7 @@ const CSVEditorTable = ({
         onProgress?.(50, 'Getting updated content...');
         
         // Fetch the updated file content
-        const updatedFileResponse = await apiClient.getById(fileInfo.type, fileInfo.id);
+        const updatedFileResponse = await apiClient.getById(fileInfo.type, fileInfo.id, { fileName: fileInfo.name });
         
         if (updatedFileResponse.success) {
           onProgress?.(70, 'Updating table...');
@@ -329,8 +381,7 @@ const CSVEditorTable = ({
       onProgress?.(100, 'File updated successfully!');
       
       // Update original data to reflect saved state
-      setOriginalData({ headers, rows });
-      setHasChanges(false);
+      markSaved();
       
       // Call parent callback
       onSave?.(csvString, prosbcResult);
@@ -361,14 +412,157 @@ const CSVEditorTable = ({
       return;
     }
 
+    const csvString = convertToCSV();
+
+    // Show what will change on ProSBC before replacing the remote file
+    const fileType = fileInfo?.fileType || fileInfo?.type;
+    if (fileInfo?.name && (fileType === 'routesets_definitions' || fileType === 'routesets_digitmaps')) {
+      setDiffPreview({ loading: true, csvString, data: null, error: null });
+      try {
+        const result = await fileService.getDiff(fileType, fileInfo.name, csvString, fileInfo.configId || null, fileInfo.prosbcFileId || null);
+        if (!result.success) {
+          throw new Error(result.error || 'Failed to compare with ProSBC');
+        }
+        setDiffPreview({ loading: false, csvString, data: result, error: null });
+      } catch (error) {
+        console.error('[CSVEditorTable] Diff preview failed:', error);
+        setDiffPreview({ loading: false, csvString, data: null, error: error.response?.data?.error || error.message });
+      }
+      return;
+    }
+
+    await performSave(csvString);
+  };
+
+  // Update to all, step 1: ask the backend which file it would overwrite on each instance
+  const handleUpdateAllDryRun = async () => {
+    if (!hasChanges) { alert('No changes to save'); return; }
+    setIsUpdating(true);
+    try {
+      onProgress?.(10, 'Converting table to CSV...');
+      const csvString = convertToCSV();
+      onProgress?.(30, 'Preparing payload...');
+
+      const formData = new FormData();
+      const fileName = fileInfo?.name || fileInfo?.fileName || `updated_${Date.now()}.csv`;
+      const blob = new Blob([csvString], { type: 'text/csv' });
+      formData.append('file', blob, fileName);
+      formData.append('fileType', fileInfo?.fileType || fileInfo?.type);
+      formData.append('fileName', fileName);
+      formData.append('fileId', fileInfo?.prosbcId || fileInfo?.id || '');
+      formData.append('dryRun', 'true');
+      appendSelector(formData, updateAllTargets);
+
+      onProgress?.(50, `Matching file on ${describeSelector(updateAllTargets)} (dry run)...`);
+      const res = await fetch('/backend/api/prosbc-files/update-to-all', {
+        method: 'POST',
+        body: formData,
+        credentials: 'include',
+        headers: {
+          ...getAuthHeaders()
+        }
+      });
+      const result = await res.json();
+      if (!result.success) {
+        throw new Error(result.error || 'Update to all dry run failed');
+      }
+      onProgress?.(100, 'Dry run completed - review the plan');
+
+      // Pre-select only instances where the match is unambiguous
+      const selected = (result.results || [])
+        .filter(r => r.willUpdate && ['id', 'exact', 'normalized'].includes(r.match?.strategy))
+        .map(r => String(r.instance));
+      setUpdateAllPlan({ ...result, selected });
+    } catch (err) {
+      console.error('Update to all dry run error:', err);
+      alert(`Update to all failed: ${err.message}`);
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+
+  // Update to all, step 2 with change approval: another user approves the plan before it runs
+  const submitUpdateAllForApproval = async () => {
+    const changeRequest = await submitPlanChangeRequest({
+      planId: updateAllPlan.planId,
+      instances: updateAllPlan.selected,
+      reason: updateAllPlan.reason
+    });
+    markSaved();
+    setUpdateAllPlan(null);
+    alert(`Change request #${changeRequest.id} submitted. The file is updated on ${updateAllPlan.selected.length} instance(s) once another user approves it on the Change Requests page.`);
+  };
+
+  // Update to all, step 2: run exactly the reviewed plan on the selected instances
+  const handleUpdateAllConfirm = async () => {
+    if (!updateAllPlan || updateAllPlan.selected.length === 0) return;
+    setIsUpdating(true);
+    try {
+      if (approvalRequired) {
+        await submitUpdateAllForApproval();
+        return;
+      }
+      onProgress?.(50, 'Updating selected ProSBC instances...');
+      const res = await fetch('/backend/api/prosbc-files/update-to-all/confirm', {
+        method: 'POST',
+        credentials: 'include',
+        headers: {
+          ...getAuthHeaders(),
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ planId: updateAllPlan.planId, instances: updateAllPlan.selected })
+      });
+      const result = await res.json();
+      if (result.approvalRequired) {
+        setApprovalRequired(true);
+        alert('Updating all instances now requires approval. Add a reason and submit the plan as a change request.');
+        return;
+      }
+      if (result.success) {
+        onProgress?.(100, 'Update to all completed');
+        markSaved();
+        setUpdateAllPlan(null);
+        // Save per-instance results and show modal
+        setUpdateAllResults(result.results || []);
+        setShowUpdateAllModal(true);
+      } else {
+        throw new Error(result.error || 'Update to all failed');
+      }
+    } catch (err) {
+      console.error('Update to all error:', err);
+      alert(`Update to all failed: ${err.message}`);
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+
+  const toggleUpdateAllInstance = (instanceId) => {
+    setUpdateAllPlan(prev => {
+      if (!prev) return prev;
+      const key = String(instanceId);
+      const selected = prev.selected.includes(key)
+        ? prev.selected.filter(id => id !== key)
+        : [...prev.selected, key];
+      return { ...prev, selected };
+    });
+  };
+
+  // Confirm the previewed diff and save
+  const handleConfirmDiff = async () => {
+    const csvString = diffPreview?.csvString;
+    setDiffPreview(null);
+    if (csvString != null) {
+      await performSave(csvString);
+    }
+  };
+
+  const performSave = async (csvString) => {
     setIsUpdating(true);
     try {
       console.log('[CSVEditorTable] Starting save process...');
       console.log('[CSVEditorTable] onSave prop:', onSave);
       console.log('[CSVEditorTable] onSave type:', typeof onSave);
       console.log('[CSVEditorTable] fileInfo:', fileInfo);
-      onProgress?.(10, 'Converting table to CSV...');
-      const csvString = convertToCSV();
 
       // If a custom onSave callback is provided, use it instead of backend calls
       if (onSave && typeof onSave === 'function') {
@@ -379,8 +573,7 @@ const CSVEditorTable = ({
         
         // Mark as saved
         onProgress?.(100, 'File saved successfully!');
-        setOriginalData({ headers, rows });
-        setHasChanges(false);
+        markSaved();
         console.log('[CSVEditorTable] Save completed with custom callback');
         return;
       }
@@ -442,8 +635,7 @@ const CSVEditorTable = ({
       const data = await res.json();
       if (data.success) {
         onProgress?.(100, 'File updated successfully!');
-        setOriginalData({ headers, rows });
-        setHasChanges(false);
+        markSaved();
         onSave?.(csvString, data);
         alert('File updated successfully on ProSBC!');
         console.log('CSV file update completed with backend-driven workflow');
@@ -764,6 +956,7 @@ const CSVEditorTable = ({
     setHasChanges(false);
     setErrors({});
     setEditingCell(null);
+    clearDraft(draftId);
   };
 
   // Handle key press in cell
@@ -801,6 +994,19 @@ const CSVEditorTable = ({
 
   return (
     <div className="fixed inset-0 bg-gray-900 text-white flex flex-col z-50">
+      {/* Unsaved draft from an earlier session */}
+      {pendingDraft && (
+        <div className="bg-yellow-900/40 border-b border-yellow-700 px-3 py-2 flex items-center justify-between text-xs flex-shrink-0">
+          <span className="text-yellow-200">
+            Unsaved changes from {new Date(pendingDraft.savedAt).toLocaleString()} ({pendingDraft.rows.length} rows) were kept for this file.
+            {pendingDraft.baseFingerprint !== contentFingerprint(csvData) && ' The file has changed on ProSBC since then; saving the draft overwrites those changes.'}
+          </span>
+          <div className="flex gap-2 shrink-0 ml-3">
+            <button onClick={restoreDraft} className="px-2 py-1 bg-yellow-600 hover:bg-yellow-700 text-white rounded">Restore</button>
+            <button onClick={discardDraft} className="px-2 py-1 bg-gray-700 hover:bg-gray-600 text-white rounded">Discard</button>
+          </div>
+        </div>
+      )}
       {/* Action Controls - Compact */}
       <div className="bg-gray-800 border-b border-gray-700 p-2 flex-shrink-0">
         <div className="flex items-center justify-between mb-2">
@@ -1092,59 +1298,17 @@ const CSVEditorTable = ({
             </button>
             {/* New button: Save & Update to All ProSBC */}
             <button
-              onClick={async () => {
-                if (!hasChanges) { alert('No changes to save'); return; }
-                if (!confirm('Save changes and update this file on all ProSBC instances where it exists?')) return;
-                setIsUpdating(true);
-                try {
-                  onProgress?.(10, 'Converting table to CSV...');
-                  const csvString = convertToCSV();
-                  onProgress?.(30, 'Preparing payload...');
-
-                  const formData = new FormData();
-                  const fileName = fileInfo?.name || fileInfo?.fileName || `updated_${Date.now()}.csv`;
-                  const blob = new Blob([csvString], { type: 'text/csv' });
-                  formData.append('file', blob, fileName);
-                  formData.append('fileType', fileInfo?.fileType || fileInfo?.type);
-                  formData.append('fileName', fileName);
-                  formData.append('fileId', fileInfo?.prosbcId || fileInfo?.id || '');
-
-                  onProgress?.(50, 'Sending to backend (update to all)...');
-                  const res = await fetch('/backend/api/prosbc-files/update-to-all', {
-                    method: 'POST',
-                    body: formData,
-                    credentials: 'include',
-                    headers: {
-                      ...getAuthHeaders()
-                    }
-                  });
-                  const result = await res.json();
-                  if (result.success) {
-                    onProgress?.(100, 'Update to all completed');
-                    setOriginalData({ headers, rows });
-                    setHasChanges(false);
-                    // Save per-instance results and show modal
-                    setUpdateAllResults(result.results || []);
-                    setShowUpdateAllModal(true);
-                  } else {
-                    throw new Error(result.error || 'Update to all failed');
-                  }
-                } catch (err) {
-                  console.error('Update to all error:', err);
-                  alert(`Update to all failed: ${err.message}`);
-                } finally {
-                  setIsUpdating(false);
-                }
-              }}
+              onClick={handleUpdateAllDryRun}
               className="px-3 py-1.5 bg-green-600 text-white rounded hover:bg-green-700 transition-colors duration-200 disabled:opacity-50 text-xs"
               disabled={isUpdating || !hasChanges || Object.keys(errors).length > 0}
-              title="Save and update this file across all ProSBC instances where it exists"
+              title="Preview (dry run) and then update this file across all ProSBC instances where it exists"
             >
               <svg className="w-3 h-3 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
               </svg>
               Save & Update to All
             </button>
+            <InstanceTargetSelector value={updateAllTargets} onChange={setUpdateAllTargets} disabled={isUpdating} className="ml-2" />
           </div>
         </div>
       </div>
@@ -1241,6 +1405,16 @@ const CSVEditorTable = ({
       )}
 
       {/* File History Panel */}
+      {diffPreview && (
+        <DiffPreviewPanel
+          preview={diffPreview}
+          fileName={fileInfo?.name}
+          onConfirm={handleConfirmDiff}
+          onClose={() => setDiffPreview(null)}
+          isUpdating={isUpdating}
+        />
+      )}
+
       {showHistory && (
         <FileHistoryPanel
           history={fileHistory}
@@ -1250,6 +1424,18 @@ const CSVEditorTable = ({
         />
       )}
 
+      {updateAllPlan && (
+        <UpdateAllPlanPanel
+          plan={updateAllPlan}
+          onToggle={toggleUpdateAllInstance}
+          onConfirm={handleUpdateAllConfirm}
+          onClose={() => setUpdateAllPlan(null)}
+          isUpdating={isUpdating}
+          approvalRequired={approvalRequired}
+          onReasonChange={(reason) => setUpdateAllPlan(prev => (prev ? { ...prev, reason } : prev))}
+        />
+      )}
+
       {/* Update To All Results Modal */}
       {showUpdateAllModal && updateAllResults && (
         <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-60">
@@ -1460,4 +1646,234 @@ const FileHistoryPanel = ({ history, onRollback, onClose, isUpdating }) => {
   );
 };
 
+// Update To All Plan Panel Component (dry-run review)
+const UpdateAllPlanPanel = ({ plan, onToggle, onConfirm, onClose, isUpdating, approvalRequired, onReasonChange }) => {
+  const strategyClass = (strategy) => {
+    switch (strategy) {
+      case 'id':
+      case 'exact': return 'bg-green-600';
+      case 'normalized': return 'bg-blue-600';
+      case 'contains': return 'bg-yellow-600';
+      case 'fuzzy': return 'bg-red-600';
+      default: return 'bg-gray-600';
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-60">
+      <div className="bg-gray-900 rounded-lg p-4 max-w-4xl w-full mx-4 max-h-[80vh] overflow-hidden flex flex-col">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-white font-semibold">Update to All - Dry Run: {plan.fileName}</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-white">
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+        <p className="text-xs text-gray-400 mb-3">
+          Nothing has been written yet. Check the file matched on each instance; contains and fuzzy matches are not selected by default.
+        </p>
+
+        <div className="flex-1 overflow-y-auto space-y-2">
+          {(plan.results || []).map((r, idx) => (
+            <div key={idx} className="p-3 rounded border border-gray-700 bg-gray-800">
+              <div className="flex items-center justify-between">
+                <label className="flex items-center space-x-3 text-sm text-gray-200">
+                  <input
+                    type="checkbox"
+                    disabled={!r.willUpdate || isUpdating}
+                    checked={plan.selected.includes(String(r.instance))}
+                    onChange={() => onToggle(r.instance)}
+                  />
+                  <div>
+                    <div><strong>Instance:</strong> {r.instance}</div>
+                    <div className="text-xs text-gray-400">URL: {r.url || 'N/A'}</div>
+                  </div>
+                </label>
+                {r.willUpdate ? (
+                  <span className={`px-2 py-0.5 text-white rounded text-xs ${strategyClass(r.match?.strategy)}`}>
+                    {r.match?.strategy}{r.match?.distance ? ` (distance ${r.match.distance})` : ''}
+                  </span>
+                ) : (
+                  <span className="px-2 py-0.5 bg-gray-600 text-white rounded text-xs">Skipped</span>
+                )}
+              </div>
+              <div className="mt-2 text-xs text-gray-300">
+                {r.willUpdate ? (
+                  <>
+                    Would overwrite <strong>{r.target?.name}</strong> (file ID {r.target?.id}, DB {r.target?.configId || 'N/A'}):{' '}
+                    <span className="text-green-400">+{r.diff?.summary.added}</span>{' '}
+                    <span className="text-red-400">-{r.diff?.summary.removed}</span>{' '}
+                    <span className="text-yellow-400">~{r.diff?.summary.changed}</span>{' '}
+                    rows ({r.diff?.summary.remoteRows} &rarr; {r.diff?.summary.localRows})
+                  </>
+                ) : (
+                  r.message || r.error || 'No matching file'
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {approvalRequired && (
+          <div className="mt-3">
+            <p className="text-xs text-yellow-300 mb-1">
+              Updating all instances requires approval: the plan is submitted as a change request and runs once another user approves it.
+            </p>
+            <input
+              type="text"
+              value={plan.reason || ''}
+              onChange={(e) => onReasonChange(e.target.value)}
+              placeholder="Reason for this change (shown to the approver)"
+              className="w-full px-3 py-1.5 bg-gray-800 border border-gray-600 rounded text-sm text-white"
+            />
+          </div>
+        )}
+
+        <div className="mt-4 flex justify-end space-x-3">
+          <button onClick={onClose} className="px-3 py-1.5 bg-gray-600 text-white rounded hover:bg-gray-700">Cancel</button>
+          <button
+            onClick={onConfirm}
+            disabled={isUpdating || plan.selected.length === 0}
+            className="px-3 py-1.5 bg-green-600 text-white rounded hover:bg-green-700 disabled:opacity-50"
+          >
+            {isUpdating
+              ? (approvalRequired ? 'Submitting...' : 'Updating...')
+              : `${approvalRequired ? 'Submit for Approval' : 'Confirm Update'} on ${plan.selected.length} Instance(s)`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Diff Preview Panel Component
+const DIFF_PREVIEW_LIMIT = 500;
+
+const DiffPreviewPanel = ({ preview, fileName, onConfirm, onClose, isUpdating }) => {
+  const { loading, data, error } = preview;
+  const diff = data?.diff;
+  const hasDifferences = diff && (diff.summary.added + diff.summary.removed + diff.summary.changed > 0 || diff.headersChanged);
+
+  const formatRow = (row, columns) => columns.map(col => row[col] ?? '').join(', ');
+
+  const renderRows = (title, entries, colorClass, symbol) => {
+    if (!entries || entries.length === 0) return null;
+    return (
+      <div className="mb-4">
+        <h4 className={`text-sm font-semibold mb-2 ${colorClass}`}>{title} ({entries.length})</h4>
+        <div className="bg-gray-900 rounded border border-gray-700 font-mono text-xs max-h-60 overflow-y-auto">
+          {entries.slice(0, DIFF_PREVIEW_LIMIT).map((entry, index) => (
+            <div key={`${title}-${index}`} className={`px-3 py-1 border-b border-gray-800 ${colorClass}`}>
+              {symbol} {formatRow(entry.row, Object.keys(entry.row))}
+            </div>
+          ))}
+          {entries.length > DIFF_PREVIEW_LIMIT && (
+            <div className="px-3 py-1 text-gray-400">...and {entries.length - DIFF_PREVIEW_LIMIT} more</div>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-gray-800 rounded-lg p-6 max-w-4xl w-full mx-4 max-h-[80vh] overflow-hidden flex flex-col">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold text-white">Review Changes{fileName ? `: ${fileName}` : ''}</h3>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-white transition-colors"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto">
+          {loading && (
+            <p className="text-gray-300 text-center py-8">Comparing with the current file on ProSBC...</p>
+          )}
+
+          {error && (
+            <div className="p-3 bg-red-900/40 border border-red-600 rounded text-red-200 text-sm">
+              Could not load the current file from ProSBC: {error}
+            </div>
+          )}
+
+          {diff && (
+            <>
+              {!data.remoteExists && (
+                <p className="text-sm text-blue-300 mb-3">This file does not exist on ProSBC yet; every row will be added.</p>
+              )}
+              <div className="flex flex-wrap gap-2 mb-4 text-xs">
+                <span className="px-2 py-1 rounded bg-green-600 text-white">+{diff.summary.added} added</span>
+                <span className="px-2 py-1 rounded bg-red-600 text-white">-{diff.summary.removed} removed</span>
+                <span className="px-2 py-1 rounded bg-yellow-600 text-white">~{diff.summary.changed} changed</span>
+                <span className="px-2 py-1 rounded bg-gray-600 text-gray-200">{diff.summary.unchanged} unchanged</span>
+                <span className="px-2 py-1 text-gray-400">
+                  {diff.summary.remoteRows} rows on ProSBC &rarr; {diff.summary.localRows} rows after save (matched on {diff.keyColumns.join(', ')})
+                </span>
+              </div>
+
+              {diff.headersChanged && (
+                <div className="p-3 mb-4 bg-yellow-900/40 border border-yellow-600 rounded text-yellow-200 text-sm">
+                  Header changes from <code>{diff.headers.remote.join(',') || '(none)'}</code> to <code>{diff.headers.local.join(',')}</code>
+                </div>
+              )}
+
+              {!hasDifferences && (
+                <p className="text-gray-300 text-center py-4">No differences from the file on ProSBC.</p>
+              )}
+
+              {renderRows('Added rows', diff.added, 'text-green-400', '+')}
+              {renderRows('Removed rows', diff.removed, 'text-red-400', '-')}
+
+              {diff.changed.length > 0 && (
+                <div className="mb-4">
+                  <h4 className="text-sm font-semibold mb-2 text-yellow-400">Changed rows ({diff.changed.length})</h4>
+                  <div className="bg-gray-900 rounded border border-gray-700 font-mono text-xs max-h-60 overflow-y-auto">
+                    {diff.changed.slice(0, DIFF_PREVIEW_LIMIT).map((entry, index) => (
+                      <div key={`changed-${index}`} className="px-3 py-1 border-b border-gray-800 text-yellow-300">
+                        ~ {entry.key}:{' '}
+                        {entry.fields.map(field => (
+                          <span key={field} className="mr-3">
+                            {field} <span className="text-red-400 line-through">{entry.before[field] || '(empty)'}</span>
+                            {' '}&rarr;{' '}
+                            <span className="text-green-400">{entry.after[field] || '(empty)'}</span>
+                          </span>
+                        ))}
+                      </div>
+                    ))}
+                    {diff.changed.length > DIFF_PREVIEW_LIMIT && (
+                      <div className="px-3 py-1 text-gray-400">...and {diff.changed.length - DIFF_PREVIEW_LIMIT} more</div>
+                    )}
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="flex space-x-3 mt-4">
+          <button
+            onClick={onClose}
+            className="flex-1 px-4 py-2 bg-gray-600 text-white rounded hover:bg-gray-700 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={onConfirm}
+            className="flex-1 px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 transition-colors disabled:opacity-50"
+            disabled={loading || isUpdating || (diff && !hasDifferences)}
+          >
+            {error ? 'Save Without Preview' : 'Confirm & Save to ProSBC'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
 export default CSVEditorTable;
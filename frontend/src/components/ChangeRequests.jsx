@@ -0,0 +1,339 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  fetchChangeApprovalSettings,
+  setChangeApprovalRequired,
+  listChangeRequests,
+  getChangeRequest,
+  reviewChangeRequest
+} from '../utils/changeRequests';
+
+const FILTERS = [
+  { id: 'pending', label: 'Pending', status: 'pending' },
+  { id: 'running', label: 'Approved / running', status: 'approved,executing' },
+  { id: 'done', label: 'Done', status: 'succeeded,partial,failed,rejected,cancelled' },
+  { id: 'all', label: 'All', status: '' }
+];
+
+const STATUS_CLASSES = {
+  pending: 'bg-yellow-600',
+  approved: 'bg-blue-600',
+  executing: 'bg-blue-600',
+  succeeded: 'bg-green-600',
+  partial: 'bg-orange-600',
+  failed: 'bg-red-600',
+  rejected: 'bg-red-800',
+  cancelled: 'bg-gray-600'
+};
+
+const FILE_TYPE_LABELS = { routesets_definitions: 'DF', routesets_digitmaps: 'DM' };
+
+const DIFF_ROWS_LIMIT = 200;
+
+const formatRow = (row) => Object.values(row || {}).join(', ');
+
+const DiffSummary = ({ diff }) => (
+  <span className="text-xs">
+    <span className="text-green-400">+{diff.summary.added}</span>{' '}
+    <span className="text-red-400">-{diff.summary.removed}</span>{' '}
+    <span className="text-yellow-400">~{diff.summary.changed}</span>{' '}
+    <span className="text-gray-400">rows ({diff.summary.remoteRows} &rarr; {diff.summary.localRows})</span>
+    {diff.headersChanged && <span className="text-yellow-300"> · headers change</span>}
+  </span>
+);
+
+// Row diff of one instance, as the update to all dry run showed it to the requester
+const TargetDiff = ({ diff }) => {
+  const entries = [
+    ...diff.added.map(entry => ({ symbol: '+', className: 'text-green-400', text: formatRow(entry.row) })),
+    ...diff.removed.map(entry => ({ symbol: '-', className: 'text-red-400', text: formatRow(entry.row) })),
+    ...diff.changed.map(entry => ({
+      symbol: '~',
+      className: 'text-yellow-400',
+      text: `${entry.key}: ${entry.fields.map(field => `${field} ${entry.before[field] ?? ''} → ${entry.after[field] ?? ''}`).join('; ')}`
+    }))
+  ];
+  if (entries.length === 0) return <div className="text-xs text-gray-500 mt-1">No row changes.</div>;
+  return (
+    <div className="mt-2 bg-gray-900 rounded border border-gray-700 font-mono text-xs max-h-60 overflow-y-auto">
+      {entries.slice(0, DIFF_ROWS_LIMIT).map((entry, index) => (
+        <div key={index} className={`px-3 py-0.5 border-b border-gray-800 ${entry.className}`}>{entry.symbol} {entry.text}</div>
+      ))}
+      {entries.length > DIFF_ROWS_LIMIT && <div className="px-3 py-1 text-gray-400">...and {entries.length - DIFF_ROWS_LIMIT} more</div>}
+    </div>
+  );
+};
+
+// Full view of one change request with its review actions
+const ChangeRequestDetails = ({ request, currentUser, canApprove, onAction, busy }) => {
+  const [comment, setComment] = useState('');
+  const [showContent, setShowContent] = useState(false);
+  const isOwn = request.requestedBy === currentUser?.username;
+  const isPending = request.status === 'pending';
+  const resultsByInstance = Object.fromEntries((request.results || []).map(result => [String(result.instance), result]));
+
+  return (
+    <div className="bg-gray-900 border border-gray-700 rounded-lg p-4 space-y-4 text-sm text-gray-300">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+        <div><span className="text-gray-500">Requested by</span> {request.requestedBy} · {new Date(request.createdAt).toLocaleString()}</div>
+        <div><span className="text-gray-500">Content</span> <span className="font-mono text-xs">{request.contentChecksum.slice(0, 12)}</span> · {request.rows} rows</div>
+        <div className="md:col-span-2"><span className="text-gray-500">Reason</span> {request.reason || '—'}</div>
+        {request.reviewedBy && (
+          <div className="md:col-span-2">
+            <span className="text-gray-500">{request.status === 'rejected' ? 'Rejected' : 'Approved'} by</span> {request.reviewedBy} · {new Date(request.reviewedAt).toLocaleString()}
+            {request.reviewComment && <span className="italic"> — “{request.reviewComment}”</span>}
+          </div>
+        )}
+        {request.jobId && <div><span className="text-gray-500">Job</span> #{request.jobId}</div>}
+        {request.error && <div className="md:col-span-2 text-red-300">{request.error}</div>}
+      </div>
+
+      {request.conflictCheck?.conflicts?.length > 0 && (
+        <div className="p-2 rounded border border-yellow-700 bg-yellow-900/30 text-yellow-200 text-xs">
+          {request.conflictCheck.conflicts.length} number conflict(s) with other DM files{request.allowConflicts ? ', accepted by the requester' : ''}.
+        </div>
+      )}
+
+      <div>
+        <h4 className="text-white font-semibold mb-2">
+          {request.kind === 'update-to-all' ? 'Files overwritten' : 'Upload of a new file'} on {request.targets.length} instance(s)
+        </h4>
+        <div className="space-y-2">
+          {request.targets.map(target => {
+            const result = resultsByInstance[String(target.instanceId)] || resultsByInstance[String(target.name)];
+            return (
+              <div key={target.instanceId} className="p-3 rounded border border-gray-700 bg-gray-800">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <span className="text-white">{target.name || `Instance ${target.instanceId}`}</span>
+                    {target.target && <span className="text-gray-400"> · {target.target.name} (file ID {target.target.id})</span>}
+                    {target.url && <div className="text-xs text-gray-500">{target.url}</div>}
+                  </div>
+                  {result && (
+                    <span className={result.success ? 'text-green-400' : 'text-red-400'}>
+                      {result.success ? 'Done' : `Failed${result.error ? `: ${result.error}` : ''}`}
+                    </span>
+                  )}
+                </div>
+                {target.diff && (
+                  <>
+                    <DiffSummary diff={target.diff} />
+                    {target.diff.added && <TargetDiff diff={target.diff} />}
+                  </>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      {request.kind === 'upload-all' && (
+        <div>
+          <button onClick={() => setShowContent(!showContent)} className="text-blue-400 hover:text-blue-300 text-xs">
+            {showContent ? 'Hide file content' : 'Show file content'}
+          </button>
+          {showContent && (
+            <pre className="mt-2 bg-gray-950 border border-gray-700 rounded p-2 text-xs max-h-72 overflow-auto">{request.content}</pre>
+          )}
+        </div>
+      )}
+
+      {isPending && (
+        <div className="border-t border-gray-700 pt-3 space-y-2">
+          {canApprove && !isOwn && (
+            <>
+              <input
+                value={comment}
+                onChange={(e) => setComment(e.target.value)}
+                placeholder="Review comment (optional)"
+                className="w-full bg-gray-800 border border-gray-600 rounded-lg px-3 py-2 text-white text-sm"
+              />
+              <div className="flex gap-2 justify-end">
+                <button disabled={busy} onClick={() => onAction('reject', comment)} className="bg-red-600 hover:bg-red-700 disabled:opacity-50 text-white px-4 py-2 rounded-lg">
+                  Reject
+                </button>
+                <button disabled={busy} onClick={() => onAction('approve', comment)} className="bg-green-600 hover:bg-green-700 disabled:opacity-50 text-white px-4 py-2 rounded-lg">
+                  Approve and push
+                </button>
+              </div>
+            </>
+          )}
+          {isOwn && (
+            <div className="flex items-center justify-between">
+              <span className="text-gray-400 text-xs">Waiting for another user with approver rights.</span>
+              <button disabled={busy} onClick={() => onAction('cancel')} className="bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-white px-4 py-2 rounded-lg">
+                Withdraw
+              </button>
+            </div>
+          )}
+          {!isOwn && !canApprove && <div className="text-gray-400 text-xs">Only users with approver rights can review this change.</div>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Queue of pushes to every ProSBC instance waiting for, or done after, a second user's approval
+const ChangeRequests = ({ currentUser }) => {
+  const [filter, setFilter] = useState('pending');
+  const [requests, setRequests] = useState([]);
+  const [settings, setSettings] = useState({ requireChangeApproval: false, canApprove: false, pending: 0 });
+  const [expanded, setExpanded] = useState(null);
+  const [details, setDetails] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const fetchRequests = useCallback(async () => {
+    try {
+      const status = FILTERS.find(f => f.id === filter).status;
+      const [list, loadedSettings] = await Promise.all([listChangeRequests({ status }), fetchChangeApprovalSettings()]);
+      setRequests(list);
+      setSettings(loadedSettings);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [filter]);
+
+  useEffect(() => {
+    fetchRequests();
+  }, [fetchRequests]);
+
+  // Follow approved requests until their push has finished
+  const hasRunning = requests.some(request => ['approved', 'executing'].includes(request.status));
+  useEffect(() => {
+    if (!hasRunning) return undefined;
+    const timer = setInterval(fetchRequests, 5000);
+    return () => clearInterval(timer);
+  }, [hasRunning, fetchRequests]);
+
+  const openRequest = async (id) => {
+    if (expanded === id) {
+      setExpanded(null);
+      return;
+    }
+    setExpanded(id);
+    setDetails(null);
+    try {
+      setDetails(await getChangeRequest(id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const runAction = async (action, comment) => {
+    if (action === 'approve' && !window.confirm(`Push ${details.fileName} to ${details.targets.length} instance(s) now?`)) return;
+    setBusy(true);
+    try {
+      const updated = await reviewChangeRequest(details.id, action, comment);
+      setMessage(action === 'approve'
+        ? `Change request #${updated.id} approved; the push runs as job #${updated.jobId}.`
+        : `Change request #${updated.id} ${updated.status}.`);
+      setDetails(await getChangeRequest(details.id));
+      await fetchRequests();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const toggleApprovalRequired = async () => {
+    try {
+      const result = await setChangeApprovalRequired(!settings.requireChangeApproval);
+      setSettings({ ...settings, requireChangeApproval: result.requireChangeApproval });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-xl border border-gray-700 p-6">
+      <div className="flex items-start justify-between mb-6 gap-4">
+        <div>
+          <h2 className="text-2xl font-semibold text-white">Change Requests</h2>
+          <p className="text-gray-400 text-sm">
+            Pushes to every ProSBC instance, staged by one user and approved by another before they run.
+          </p>
+          <p className="text-sm mt-1">
+            {settings.requireChangeApproval
+              ? <span className="text-green-400">Approval is required for update to all and upload to all.</span>
+              : <span className="text-yellow-400">Approval is currently optional: pushes to all instances run directly.</span>}
+          </p>
+        </div>
+        {currentUser?.role === 'admin' && (
+          <label className="flex items-center gap-2 text-sm text-gray-300 shrink-0">
+            <input type="checkbox" checked={settings.requireChangeApproval} onChange={toggleApprovalRequired} />
+            Require approval
+          </label>
+        )}
+      </div>
+
+      <div className="flex gap-2 mb-4">
+        {FILTERS.map(f => (
+          <button
+            key={f.id}
+            onClick={() => { setFilter(f.id); setExpanded(null); }}
+            className={`px-3 py-1.5 rounded-lg text-sm ${filter === f.id ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+          >
+            {f.label}{f.id === 'pending' && settings.pending > 0 ? ` (${settings.pending})` : ''}
+          </button>
+        ))}
+      </div>
+
+      {error && <div className="bg-red-900/30 border border-red-700 text-red-300 rounded-lg p-3 mb-4">{error}</div>}
+      {message && <div className="bg-green-900/30 border border-green-700 text-green-300 rounded-lg p-3 mb-4">{message}</div>}
+
+      <table className="w-full text-left text-sm">
+        <thead>
+          <tr className="text-gray-400 border-b border-gray-700">
+            <th className="py-2">#</th>
+            <th className="py-2">File</th>
+            <th className="py-2">Change</th>
+            <th className="py-2">Instances</th>
+            <th className="py-2">Requested by</th>
+            <th className="py-2">Requested</th>
+            <th className="py-2">Status</th>
+          </tr>
+        </thead>
+        <tbody>
+          {requests.length === 0 && (
+            <tr><td colSpan={7} className="py-4 text-gray-500">No change requests.</td></tr>
+          )}
+          {requests.map(request => (
+            <React.Fragment key={request.id}>
+              <tr
+                className="border-b border-gray-700 text-gray-300 cursor-pointer hover:bg-gray-700/40"
+                onClick={() => openRequest(request.id)}
+              >
+                <td className="py-2">{request.id}</td>
+                <td className="py-2 break-all">
+                  <span className="text-xs text-gray-500 mr-1">{FILE_TYPE_LABELS[request.fileType] || request.fileType}</span>
+                  {request.fileName}
+                </td>
+                <td className="py-2">{request.kind === 'update-to-all' ? 'Update to all' : 'Upload to all'}</td>
+                <td className="py-2">{request.targets.length}</td>
+                <td className="py-2">{request.requestedBy}</td>
+                <td className="py-2 whitespace-nowrap">{new Date(request.createdAt).toLocaleString()}</td>
+                <td className="py-2">
+                  <span className={`px-2 py-0.5 rounded text-xs text-white ${STATUS_CLASSES[request.status] || 'bg-gray-600'}`}>{request.status}</span>
+                </td>
+              </tr>
+              {expanded === request.id && (
+                <tr className="border-b border-gray-700">
+                  <td colSpan={7} className="py-3">
+                    {details?.id === request.id
+                      ? <ChangeRequestDetails request={details} currentUser={currentUser} canApprove={settings.canApprove} onAction={runAction} busy={busy} />
+                      : <div className="text-gray-400">Loading…</div>}
+                  </td>
+                </tr>
+              )}
+            </React.Fragment>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default ChangeRequests;
@@ -1,5 +1,12 @@
 import React, { useState, useEffect } from 'react';
 import { useProSBCInstance } from '../contexts/ProSBCInstanceContext';
+import { useBackgroundJob } from '../hooks/useBackgroundJob';
+import { runJob } from '../utils/backgroundJobs';
+import JobProgress from './JobProgress';
+import SnapshotSchedulePanel from './SnapshotSchedulePanel';
+import CustomerTrendAnalytics from './CustomerTrendAnalytics';
+import InstanceTargetSelector from './InstanceTargetSelector';
+import { EMPTY_SELECTOR, matchesSelector, selectorFields, describeSelector } from '../utils/instanceSelector';
 
 const CustomerCounts = ({ configId }) => {
   const { selectedInstance, instances } = useProSBCInstance();
@@ -22,6 +29,12 @@ const CustomerCounts = ({ configId }) => {
   const [syncProgress, setSyncProgress] = useState({ current: 0, total: 0 });
   const [runInBackground, setRunInBackground] = useState(false);
   const [isProcessing, setIsProcessing] = useState(false);
+  // Group/tag that Replace All Data and Record Number Counts are limited to
+  const [countTargets, setCountTargets] = useState(EMPTY_SELECTOR);
+  const targetInstances = (instances || []).filter(instance => instance.isActive !== false && matchesSelector(instance, countTargets));
+  // DM sync and monthly snapshots run as backend jobs so progress survives long runs
+  const syncJob = useBackgroundJob();
+  const recordJob = useBackgroundJob();
 
   const fetchCounts = async () => {
     if (!configId || !selectedInstance) return;
@@ -112,22 +125,13 @@ const CustomerCounts = ({ configId }) => {
     setSyncing(true);
     setSyncResult(null);
     try {
-      const token = localStorage.getItem('dashboard_token');
-      const response = await fetch('/backend/api/dm-files/sync', {
-        method: 'POST',
+      const data = await syncJob.run('/backend/api/dm-files/sync', {
         headers: {
-          'Authorization': token ? `Bearer ${token}` : '',
           'X-ProSBC-Instance-ID': selectedInstance.id.toString(),
           'Content-Type': 'application/json'
         },
         body: JSON.stringify({ configId })
       });
-
-      if (!response.ok) {
-        throw new Error(`Sync failed: ${response.statusText}`);
-      }
-
-      const data = await response.json();
       setSyncResult(data);
     } catch (err) {
       setSyncResult({ success: false, error: err.message });
@@ -137,12 +141,12 @@ const CustomerCounts = ({ configId }) => {
   };
 
   const replaceDMFiles = async () => {
-    if (!configId || instances.length === 0) return;
+    if (!configId || targetInstances.length === 0) return;
 
     setIsProcessing(true);
     if (!runInBackground) setSyncing(true);
     setSyncResult(null);
-    setSyncProgress({ current: 0, total: instances.length });
+    setSyncProgress({ current: 0, total: targetInstances.length });
     const results = { successes: [], failures: [] };
 
     try {
@@ -165,28 +169,20 @@ const CustomerCounts = ({ configId }) => {
           }
 
           // Sync new data for this instance
-          const syncResponse = await fetch('/backend/api/dm-files/sync', {
-            method: 'POST',
+          const data = await runJob('/backend/api/dm-files/sync', {
             headers: {
-              'Authorization': token ? `Bearer ${token}` : '',
               'X-ProSBC-Instance-ID': instance.id.toString(),
               'Content-Type': 'application/json'
             },
             body: JSON.stringify({ configId })
           });
-
-          if (!syncResponse.ok) {
-            throw new Error(`Sync failed for instance ${instance.id}: ${syncResponse.statusText}`);
-          }
-
-          const data = await syncResponse.json();
           return { success: true, instanceId: instance.id, ...data };
         } catch (err) {
           return { success: false, instanceId: instance.id, error: err.message };
         }
       };
 
-      const promises = instances.map(processInstance);
+      const promises = targetInstances.map(processInstance);
       const settledResults = await Promise.allSettled(promises);
 
       // Process results
@@ -285,23 +281,18 @@ const CustomerCounts = ({ configId }) => {
     setRecordingCounts(true);
     setRecordResult(null);
     try {
-      const token = localStorage.getItem('dashboard_token');
-      const response = await fetch('/backend/api/customer-counts/create-monthly', {
-        method: 'POST',
+      const data = await recordJob.run('/backend/api/customer-counts/create-monthly', {
         headers: {
-          'Authorization': token ? `Bearer ${token}` : '',
           'X-ProSBC-Instance-ID': selectedInstance.id.toString(),
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ configId })
+        body: JSON.stringify({ configId, ...selectorFields(countTargets) })
+      });
+      setRecordResult({
+        success: true,
+        message: `Monthly historical counts creation completed for ${describeSelector(countTargets)}`,
+        results: data?.results
       });
-
-      if (!response.ok) {
-        throw new Error(`Failed to record counts: ${response.statusText}`);
-      }
-
-      const data = await response.json();
-      setRecordResult(data);
       // Refresh the counts to show the new historical data
       fetchCounts();
     } catch (err) {
@@ -379,6 +370,8 @@ const CustomerCounts = ({ configId }) => {
             Run in background (allows other operations while processing)
           </label>
         </div>
+        {/* Instances of Replace All Data and Record Number Counts */}
+        <InstanceTargetSelector value={countTargets} onChange={setCountTargets} disabled={isProcessing || recordingCounts} className="mb-4" />
         <div className="flex gap-4 items-center mb-4">
           <button
             onClick={syncDMFiles}
@@ -389,7 +382,7 @@ const CustomerCounts = ({ configId }) => {
           </button>
           <button
             onClick={replaceDMFiles}
-            disabled={(!runInBackground && syncing) || !configId || instances.length === 0}
+            disabled={(!runInBackground && syncing) || !configId || targetInstances.length === 0}
             className="bg-red-600 hover:bg-red-700 disabled:bg-red-400 text-white px-6 py-3 rounded-lg font-medium transition-colors"
           >
             {(!runInBackground && syncing) ? 'Replacing...' : 'Replace All Data'}
@@ -429,6 +422,8 @@ const CustomerCounts = ({ configId }) => {
             </div>
           </div>
         )}
+        <JobProgress job={syncJob.job} title="Sync DM Files" onCancel={syncJob.cancel} onClose={syncJob.reset} />
+        <JobProgress job={recordJob.job} title="Record Number Counts" onCancel={recordJob.cancel} onClose={recordJob.reset} />
         <p className="text-gray-400 text-sm mb-4">
           Sync adds new files. Replace clears all existing data and syncs fresh data. Cleanup fixes malformed JSON data. Debug shows data format and validation results. Record Number Counts creates monthly historical records for current customer counts.
         </p>
@@ -545,6 +540,8 @@ const CustomerCounts = ({ configId }) => {
         </div>
       )}
 
+      <SnapshotSchedulePanel onSnapshotRecorded={fetchCounts} />
+
       {/* Search Bar */}
       <div className="mb-6">
         <div className="relative">
@@ -561,6 +558,8 @@ const CustomerCounts = ({ configId }) => {
         </div>
       </div>
 
+      <CustomerTrendAnalytics instances={instances} searchTerm={searchTerm} />
+
       <div className="grid grid-cols-1 xl:grid-cols-2 gap-8">
         {/* Live Counts */}
         <div className="bg-gray-800 rounded-xl p-6 shadow-lg">
@@ -0,0 +1,326 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+
+const RANGE_OPTIONS = [
+  { value: 6, label: 'Last 6 months' },
+  { value: 12, label: 'Last 12 months' },
+  { value: 24, label: 'Last 24 months' },
+  { value: 0, label: 'All time' }
+];
+
+const COLUMNS = [
+  { key: 'customerName', label: 'Customer' },
+  { key: 'previous', label: 'Previous' },
+  { key: 'current', label: 'Current' },
+  { key: 'delta', label: 'Change' },
+  { key: 'growthPct', label: 'Growth %' },
+  { key: 'peak', label: 'Peak' }
+];
+
+// First month (YYYY-MM) of a window ending this month
+const monthsAgo = (months) => {
+  const date = new Date();
+  date.setDate(1);
+  date.setMonth(date.getMonth() - (months - 1));
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+const formatDelta = (value) => (value > 0 ? `+${value.toLocaleString()}` : (value || 0).toLocaleString());
+const formatPct = (value) => (value === null || value === undefined ? '—' : `${value > 0 ? '+' : ''}${value}%`);
+const deltaClass = (value) => (value > 0 ? 'text-green-400' : value < 0 ? 'text-red-400' : 'text-gray-400');
+
+const Sparkline = ({ values, width = 100, height = 24 }) => {
+  if (values.length < 2) return <span className="text-gray-500 text-xs">—</span>;
+  const max = Math.max(...values, 1);
+  const step = width / (values.length - 1);
+  const points = values.map((value, index) => `${index * step},${height - (value / max) * (height - 2) - 1}`).join(' ');
+  const trend = values[values.length - 1] - values[values.length - 2];
+  return (
+    <svg width={width} height={height} className="inline-block">
+      <polyline
+        points={points}
+        fill="none"
+        strokeWidth="1.5"
+        className={trend > 0 ? 'stroke-green-400' : trend < 0 ? 'stroke-red-400' : 'stroke-gray-400'}
+      />
+    </svg>
+  );
+};
+
+// Total numbers per month, with active customers as bars behind the line
+const TotalsChart = ({ totals }) => {
+  const width = 640;
+  const height = 200;
+  const padding = { top: 10, right: 10, bottom: 30, left: 60 };
+  const innerWidth = width - padding.left - padding.right;
+  const innerHeight = height - padding.top - padding.bottom;
+
+  if (totals.length === 0) {
+    return <div className="text-gray-400 text-sm py-8 text-center">No snapshots recorded yet</div>;
+  }
+
+  const maxCount = Math.max(...totals.map(point => point.count), 1);
+  const maxCustomers = Math.max(...totals.map(point => point.activeCustomers), 1);
+  const slot = innerWidth / totals.length;
+  const x = (index) => padding.left + slot * index + slot / 2;
+  const y = (count) => padding.top + innerHeight - (count / maxCount) * innerHeight;
+  const linePoints = totals.map((point, index) => `${x(index)},${y(point.count)}`).join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-56">
+      {[0, 0.5, 1].map(fraction => (
+        <g key={fraction}>
+          <line
+            x1={padding.left}
+            x2={width - padding.right}
+            y1={y(maxCount * fraction)}
+            y2={y(maxCount * fraction)}
+            className="stroke-gray-700"
+          />
+          <text x={padding.left - 6} y={y(maxCount * fraction) + 4} textAnchor="end" className="fill-gray-400 text-[10px]">
+            {Math.round(maxCount * fraction).toLocaleString()}
+          </text>
+        </g>
+      ))}
+      {totals.map((point, index) => (
+        <g key={point.month}>
+          <rect
+            x={x(index) - slot * 0.3}
+            width={slot * 0.6}
+            y={padding.top + innerHeight - (point.activeCustomers / maxCustomers) * innerHeight * 0.5}
+            height={(point.activeCustomers / maxCustomers) * innerHeight * 0.5}
+            className="fill-blue-900/60"
+          >
+            <title>{`${point.month}: ${point.activeCustomers} active customers`}</title>
+          </rect>
+          <text x={x(index)} y={height - 10} textAnchor="middle" className="fill-gray-400 text-[10px]">
+            {point.month}
+          </text>
+        </g>
+      ))}
+      <polyline points={linePoints} fill="none" strokeWidth="2" className="stroke-blue-400" />
+      {totals.map((point, index) => (
+        <circle key={point.month} cx={x(index)} cy={y(point.count)} r="3" className="fill-blue-300">
+          <title>{`${point.month}: ${point.count.toLocaleString()} numbers (${formatPct(point.growthPct)})`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+// Horizontal bars for the top gainers or losers
+const DeltaBars = ({ title, items, positive }) => {
+  const maxDelta = Math.max(...items.map(item => Math.abs(item.delta)), 1);
+  return (
+    <div className="bg-gray-900/50 rounded-lg p-4">
+      <h4 className="text-white font-medium mb-3">{title}</h4>
+      {items.length === 0 ? (
+        <div className="text-gray-400 text-sm">None this month</div>
+      ) : (
+        <div className="space-y-2">
+          {items.map(item => (
+            <div key={item.customerName} className="text-sm">
+              <div className="flex justify-between text-gray-300">
+                <span className="truncate mr-2" title={item.customerName}>{item.customerName}</span>
+                <span className={deltaClass(item.delta)}>
+                  {formatDelta(item.delta)} ({formatPct(item.growthPct)})
+                </span>
+              </div>
+              <div className="w-full bg-gray-700 rounded h-1.5 mt-1">
+                <div
+                  className={`${positive ? 'bg-green-500' : 'bg-red-500'} h-1.5 rounded`}
+                  style={{ width: `${(Math.abs(item.delta) / maxDelta) * 100}%` }}
+                />
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Month-over-month customer growth across ProSBC instances
+const CustomerTrendAnalytics = ({ instances = [], searchTerm = '' }) => {
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [scope, setScope] = useState('all');
+  const [range, setRange] = useState(12);
+  const [sort, setSort] = useState({ key: 'delta', direction: 'desc' });
+
+  const fetchAnalytics = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const token = localStorage.getItem('dashboard_token');
+      const params = new URLSearchParams();
+      if (scope !== 'all') params.set('instanceId', scope);
+      if (range > 0) params.set('from', monthsAgo(range));
+      const response = await fetch(`/backend/api/customer-counts/analytics?${params}`, {
+        headers: { 'Authorization': token ? `Bearer ${token}` : '' }
+      });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Failed to load analytics');
+      setAnalytics(data.analytics);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [scope, range]);
+
+  useEffect(() => {
+    fetchAnalytics();
+  }, [fetchAnalytics]);
+
+  const rows = useMemo(() => {
+    if (!analytics) return [];
+    const term = searchTerm.toLowerCase();
+    const filtered = analytics.customers.filter(customer => customer.customerName.toLowerCase().includes(term));
+    const direction = sort.direction === 'asc' ? 1 : -1;
+    return filtered.sort((a, b) => {
+      const left = a[sort.key];
+      const right = b[sort.key];
+      if (typeof left === 'string') return left.localeCompare(right) * direction;
+      // Customers without a growth % (new ones) always sort last
+      if (left === null || right === null) return left === right ? 0 : left === null ? 1 : -1;
+      return (left - right) * direction;
+    });
+  }, [analytics, searchTerm, sort]);
+
+  const toggleSort = (key) => {
+    setSort(prev => ({
+      key,
+      direction: prev.key === key && prev.direction === 'desc' ? 'asc' : 'desc'
+    }));
+  };
+
+  const summary = analytics?.summary;
+
+  return (
+    <div className="mb-6 bg-gray-800 border border-gray-600 rounded-lg p-6">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h2 className="text-xl font-semibold text-white">Customer Growth Trends</h2>
+        <div className="flex gap-2">
+          <select
+            value={scope}
+            onChange={(e) => setScope(e.target.value)}
+            className="px-3 py-1 bg-gray-700 border border-gray-600 rounded text-white text-sm"
+          >
+            <option value="all">All instances</option>
+            {instances.map(instance => (
+              <option key={instance.id} value={instance.id.toString().replace('prosbc', '')}>
+                ProSBC {instance.id}
+              </option>
+            ))}
+          </select>
+          <select
+            value={range}
+            onChange={(e) => setRange(Number(e.target.value))}
+            className="px-3 py-1 bg-gray-700 border border-gray-600 rounded text-white text-sm"
+          >
+            {RANGE_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <button
+            onClick={fetchAnalytics}
+            disabled={loading}
+            className="px-3 py-1 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400 text-white rounded text-sm"
+          >
+            {loading ? 'Loading...' : 'Refresh'}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="p-3 mb-4 bg-red-900 border border-red-700 text-red-100 rounded-lg text-sm">{error}</div>
+      )}
+
+      {summary && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+            <div className="bg-gray-900/50 rounded-lg p-3">
+              <div className="text-xs text-gray-400">Total numbers ({analytics.currentMonth || '—'})</div>
+              <div className="text-2xl font-bold text-white">{summary.currentTotal.toLocaleString()}</div>
+            </div>
+            <div className="bg-gray-900/50 rounded-lg p-3">
+              <div className="text-xs text-gray-400">Change vs {analytics.previousMonth || 'previous month'}</div>
+              <div className={`text-2xl font-bold ${deltaClass(summary.delta)}`}>
+                {formatDelta(summary.delta)} <span className="text-sm">{formatPct(summary.growthPct)}</span>
+              </div>
+            </div>
+            <div className="bg-gray-900/50 rounded-lg p-3">
+              <div className="text-xs text-gray-400">Active customers</div>
+              <div className="text-2xl font-bold text-white">{summary.activeCustomers} / {summary.customers}</div>
+            </div>
+            <div className="bg-gray-900/50 rounded-lg p-3">
+              <div className="text-xs text-gray-400">Dropped to zero / new</div>
+              <div className="text-2xl font-bold">
+                <span className="text-red-400">{analytics.droppedToZero.length}</span>
+                <span className="text-gray-500"> / </span>
+                <span className="text-green-400">{analytics.newCustomers.length}</span>
+              </div>
+            </div>
+          </div>
+
+          <TotalsChart totals={analytics.totals} />
+
+          <div className="grid md:grid-cols-2 gap-4 my-4">
+            <DeltaBars title="Top gainers" items={analytics.topGainers} positive />
+            <DeltaBars title="Top losers" items={analytics.topLosers} positive={false} />
+          </div>
+
+          {analytics.droppedToZero.length > 0 && (
+            <div className="p-3 mb-4 bg-red-900/30 border border-red-700 rounded-lg text-sm text-red-200">
+              <span className="font-medium">Dropped to zero in {analytics.currentMonth}: </span>
+              {analytics.droppedToZero.map(customer => `${customer.customerName} (was ${customer.previous.toLocaleString()})`).join(', ')}
+            </div>
+          )}
+
+          <div className="overflow-x-auto max-h-96 overflow-y-auto">
+            <table className="w-full text-sm text-left">
+              <thead className="sticky top-0 bg-gray-800">
+                <tr className="text-gray-400">
+                  {COLUMNS.map(column => (
+                    <th
+                      key={column.key}
+                      onClick={() => toggleSort(column.key)}
+                      className="py-2 px-2 cursor-pointer select-none hover:text-white"
+                    >
+                      {column.label}
+                      {sort.key === column.key && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+                    </th>
+                  ))}
+                  <th className="py-2 px-2">Trend</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(customer => (
+                  <tr key={customer.customerName} className="border-t border-gray-700 text-gray-300">
+                    <td className="py-1 px-2" title={customer.instances.join(', ')}>{customer.customerName}</td>
+                    <td className="py-1 px-2">{customer.previous.toLocaleString()}</td>
+                    <td className="py-1 px-2">{customer.current.toLocaleString()}</td>
+                    <td className={`py-1 px-2 ${deltaClass(customer.delta)}`}>{formatDelta(customer.delta)}</td>
+                    <td className={`py-1 px-2 ${deltaClass(customer.delta)}`}>{formatPct(customer.growthPct)}</td>
+                    <td className="py-1 px-2">{customer.peak.toLocaleString()}</td>
+                    <td className="py-1 px-2"><Sparkline values={customer.series.map(point => point.count)} /></td>
+                  </tr>
+                ))}
+                {rows.length === 0 && (
+                  <tr>
+                    <td colSpan={COLUMNS.length + 1} className="py-6 text-center text-gray-400">
+                      {searchTerm ? 'No customers match your search' : 'No customer count history yet'}
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CustomerTrendAnalytics;
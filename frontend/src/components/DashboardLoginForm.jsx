@@ -1,6 +1,38 @@
 import React, { useState } from 'react';
+import TwoFactorSetup, { TwoFactorCodeInput, RecoveryCodes } from './TwoFactorSetup';
 
-const DashboardLoginForm = ({ onLogin, isLoading, error }) => {
+// Second login step: code for enrolled users, enrollment when the role requires 2FA
+const TwoFactorStep = ({ challenge, onVerifyCode, onCancel, isLoading, error }) => (
+  <div className="bg-gray-900 border border-gray-700 rounded-xl p-6 shadow-2xl">
+    <h2 className="text-2xl font-bold text-white">Two-Factor Authentication</h2>
+    <p className="text-gray-300 mt-1 mb-4 text-sm">
+      {challenge.recoveryCodes
+        ? 'Two-factor authentication is now enabled for your account.'
+        : challenge.setup
+          ? 'Your role requires two-factor authentication. Set it up to continue.'
+          : 'Enter the code from your authenticator app.'}
+    </p>
+    {challenge.recoveryCodes ? (
+      <RecoveryCodes codes={challenge.recoveryCodes} onDone={challenge.onDone} />
+    ) : challenge.setup ? (
+      <TwoFactorSetup setup={challenge.setup} onSubmit={onVerifyCode} isLoading={isLoading} />
+    ) : (
+      <TwoFactorCodeInput onSubmit={onVerifyCode} isLoading={isLoading} allowRecovery />
+    )}
+    {error && (
+      <div className="mt-4 bg-red-900/30 border border-red-700 text-red-300 text-sm px-3 py-2 rounded">
+        {error}
+      </div>
+    )}
+    {!challenge.recoveryCodes && (
+      <button type="button" onClick={onCancel} className="mt-4 text-sm text-gray-400 hover:text-white">
+        ← Back to login
+      </button>
+    )}
+  </div>
+);
+
+const DashboardLoginForm = ({ onLogin, isLoading, error, challenge, onVerifyCode, onCancelChallenge }) => {
   const [credentials, setCredentials] = useState({
     username: '',
     password: ''
@@ -19,6 +51,20 @@ const DashboardLoginForm = ({ onLogin, isLoading, error }) => {
     onLogin(credentials);
   };
 
+  if (challenge) {
+    return (
+      <div className="w-full max-w-md mx-auto">
+        <TwoFactorStep
+          challenge={challenge}
+          onVerifyCode={onVerifyCode}
+          onCancel={onCancelChallenge}
+          isLoading={isLoading}
+          error={error}
+        />
+      </div>
+    );
+  }
+
   return (
     <div className="w-full max-w-md mx-auto">
       <form onSubmit={handleSubmit} className="bg-gray-900 border border-gray-700 rounded-xl p-6 shadow-2xl">
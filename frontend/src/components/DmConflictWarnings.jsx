@@ -0,0 +1,74 @@
+import React from 'react';
+
+const KIND_LABELS = {
+  'multiple-customers': 'Another customer',
+  'multiple-instances': 'Other instance',
+  'multiple-routesets': 'Routeset differs',
+  'duplicate-in-file': 'Duplicate in file'
+};
+
+const MAX_ROWS = 20;
+
+// Numbers a DM upload or edit would share with other customers (see /dm-files/conflicts/check)
+const DmConflictWarnings = ({ conflictCheck, onOverride, onDismiss }) => {
+  if (!conflictCheck || !conflictCheck.conflicts || conflictCheck.conflicts.length === 0) return null;
+
+  const { conflicts, blocked } = conflictCheck;
+  const sorted = [...conflicts].sort((a, b) => (a.severity === 'block' ? 0 : 1) - (b.severity === 'block' ? 0 : 1));
+
+  return (
+    <div className={`rounded-xl border p-4 my-4 text-sm ${blocked ? 'bg-red-900/20 border-red-700' : 'bg-yellow-900/20 border-yellow-700'}`}>
+      <div className="flex items-center justify-between mb-3">
+        <span className={`font-semibold ${blocked ? 'text-red-300' : 'text-yellow-300'}`}>
+          {blocked
+            ? `Upload blocked: ${conflictCheck.blocking} number${conflictCheck.blocking === 1 ? '' : 's'} already belong to another customer`
+            : `${conflicts.length} number conflict${conflicts.length === 1 ? '' : 's'} found`}
+        </span>
+        {onDismiss && (
+          <button onClick={onDismiss} className="text-gray-400 hover:text-white">✕</button>
+        )}
+      </div>
+
+      <table className="w-full text-left">
+        <thead>
+          <tr className="text-gray-400">
+            <th className="py-1">Number</th>
+            <th className="py-1">Conflict</th>
+            <th className="py-1">Used by</th>
+          </tr>
+        </thead>
+        <tbody>
+          {sorted.slice(0, MAX_ROWS).map((conflict, index) => (
+            <tr key={`${conflict.number}-${conflict.kind}-${index}`} className="border-t border-gray-700 text-gray-300">
+              <td className="py-1 font-mono text-white">{conflict.number}</td>
+              <td className={`py-1 ${conflict.severity === 'block' ? 'text-red-300' : 'text-yellow-300'}`}>
+                {KIND_LABELS[conflict.kind] || conflict.kind}{conflict.existing ? ' (already existed)' : ''}
+              </td>
+              <td className="py-1">
+                {conflict.kind === 'duplicate-in-file'
+                  ? `${conflict.count} rows in this file`
+                  : conflict.locations.map(location =>
+                    `${location.file_name} on ${location.prosbc_instance_name || location.prosbc_instance_id}${location.routeset_name ? ` → ${location.routeset_name}` : ''}`
+                  ).join(', ')}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {conflicts.length > MAX_ROWS && (
+        <div className="text-gray-400 mt-2">…and {conflicts.length - MAX_ROWS} more</div>
+      )}
+
+      {blocked && onOverride && (
+        <button
+          onClick={onOverride}
+          className="mt-3 bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg"
+        >
+          Upload anyway
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default DmConflictWarnings;
@@ -0,0 +1,442 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useBackgroundJob } from '../hooks/useBackgroundJob';
+import JobProgress from './JobProgress';
+import DmConflictWarnings from './DmConflictWarnings';
+import { hasRole } from '../utils/permissions';
+import { DRIFT_ANALYZE_URL, fetchLatestDriftReport, previewDriftSync, syncDriftFile } from '../utils/drift';
+import InstanceTargetSelector from './InstanceTargetSelector';
+import { EMPTY_SELECTOR, selectorFields } from '../utils/instanceSelector';
+
+const FILE_TYPE_LABELS = { routesets_definitions: 'DF', routesets_digitmaps: 'DM' };
+
+const STATUS_CLASSES = {
+  'in-sync': 'bg-green-600',
+  drift: 'bg-orange-600',
+  missing: 'bg-red-700'
+};
+
+// One color per distinct content of a file; the baseline (majority) content is always green
+const VARIANT_CLASSES = [
+  'bg-green-900/40 border-green-700',
+  'bg-orange-900/40 border-orange-700',
+  'bg-purple-900/40 border-purple-700',
+  'bg-blue-900/40 border-blue-700',
+  'bg-pink-900/40 border-pink-700'
+];
+
+const DIFF_ROWS_LIMIT = 200;
+
+const formatRow = (row) => Object.values(row || {}).join(', ');
+
+// Keep a matrix row consistent after "make target match source" without re-running the analysis
+function applySync(file, sourceId, targetId) {
+  const cells = { ...file.cells, [targetId]: { ...file.cells[sourceId] } };
+  const instanceIds = Object.keys(cells).filter(id => cells[id].present !== null);
+  const missingOn = instanceIds.filter(id => cells[id].present === false);
+  const differsOn = instanceIds.filter(id => cells[id].diff);
+  const variants = new Set(instanceIds.map(id => cells[id].checksum).filter(Boolean)).size;
+  return {
+    ...file,
+    cells,
+    missingOn,
+    differsOn,
+    variants,
+    status: differsOn.length > 0 ? 'drift' : missingOn.length > 0 ? 'missing' : 'in-sync'
+  };
+}
+
+const summarize = (files) => ({
+  files: files.length,
+  inSync: files.filter(file => file.status === 'in-sync').length,
+  drift: files.filter(file => file.status === 'drift').length,
+  missing: files.filter(file => file.status === 'missing').length
+});
+
+const RowDiff = ({ diff }) => {
+  const entries = [
+    ...diff.added.map(entry => ({ symbol: '+', className: 'text-green-400', text: formatRow(entry.row) })),
+    ...diff.removed.map(entry => ({ symbol: '-', className: 'text-red-400', text: formatRow(entry.row) })),
+    ...diff.changed.map(entry => ({
+      symbol: '~',
+      className: 'text-yellow-400',
+      text: `${entry.key}: ${entry.fields.map(field => `${field} ${entry.before[field] ?? ''} → ${entry.after[field] ?? ''}`).join('; ')}`
+    }))
+  ];
+  if (entries.length === 0) return <div className="text-xs text-gray-500 mt-1">No row changes.</div>;
+  return (
+    <div className="mt-2 bg-gray-900 rounded border border-gray-700 font-mono text-xs max-h-60 overflow-y-auto">
+      {entries.slice(0, DIFF_ROWS_LIMIT).map((entry, index) => (
+        <div key={index} className={`px-3 py-0.5 border-b border-gray-800 ${entry.className}`}>{entry.symbol} {entry.text}</div>
+      ))}
+      {entries.length > DIFF_ROWS_LIMIT && <div className="px-3 py-1 text-gray-400">...and {entries.length - DIFF_ROWS_LIMIT} more</div>}
+    </div>
+  );
+};
+
+// "Make <target> match <source>" for one file: preview the row changes, then overwrite or upload
+const SyncDialog = ({ file, targetId, instances, onClose, onSynced }) => {
+  const sources = instances.filter(instance => instance.id !== targetId && file.cells[instance.id]?.checksum);
+  const defaultSource = sources.some(instance => instance.id === file.baselineInstanceId) ? file.baselineInstanceId : sources[0]?.id;
+  const [sourceId, setSourceId] = useState(defaultSource || '');
+  const [preview, setPreview] = useState(null);
+  const [reason, setReason] = useState('');
+  const [conflictCheck, setConflictCheck] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const nameOf = (id) => instances.find(instance => instance.id === id)?.name || id;
+
+  useEffect(() => {
+    if (!sourceId) return undefined;
+    let cancelled = false;
+    setPreview(null);
+    setError(null);
+    setConflictCheck(null);
+    previewDriftSync({ fileType: file.fileType, fileName: file.fileName, sourceInstanceId: sourceId, targetInstanceId: targetId })
+      .then(result => { if (!cancelled) setPreview(result); })
+      .catch(err => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [file.fileType, file.fileName, sourceId, targetId]);
+
+  const sync = async (allowConflicts = false) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const result = await syncDriftFile({
+        fileType: file.fileType,
+        fileName: file.fileName,
+        sourceInstanceId: sourceId,
+        targetInstanceId: targetId,
+        reason: reason || undefined,
+        allowConflicts
+      });
+      onSynced(sourceId, result);
+    } catch (err) {
+      if (err.response?.conflictCheck) {
+        setConflictCheck(err.response.conflictCheck);
+      } else {
+        setError(err.message);
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const unchanged = preview && preview.targetExists && preview.sourceChecksum === preview.targetChecksum;
+
+  return (
+    <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50 p-4">
+      <div className="bg-gray-800 border border-gray-700 rounded-xl p-6 w-full max-w-3xl max-h-[90vh] overflow-y-auto text-sm text-gray-300">
+        <div className="flex items-start justify-between mb-4">
+          <div>
+            <h3 className="text-lg font-semibold text-white">Make {nameOf(targetId)} match</h3>
+            <div className="text-gray-400">
+              <span className="text-xs text-gray-500 mr-1">{FILE_TYPE_LABELS[file.fileType]}</span>{file.fileName}
+            </div>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-white">✕</button>
+        </div>
+
+        {sources.length === 0 ? (
+          <div className="text-gray-400">No other instance has a readable copy of this file.</div>
+        ) : (
+          <>
+            <label className="block mb-3">
+              <span className="text-gray-400">Copy from</span>
+              <select
+                value={sourceId}
+                onChange={(e) => setSourceId(e.target.value)}
+                className="ml-2 bg-gray-700 border border-gray-600 rounded px-2 py-1 text-white"
+              >
+                {sources.map(instance => (
+                  <option key={instance.id} value={instance.id}>
+                    {instance.name}{instance.id === file.baselineInstanceId ? ' (baseline)' : ''}
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            {!preview && !error && <div className="text-gray-400">Loading changes…</div>}
+            {preview && (
+              <div className="mb-4">
+                {!preview.targetExists && <div className="text-yellow-300">{nameOf(targetId)} does not have this file; it will be uploaded ({preview.diff.summary.localRows} rows).</div>}
+                {unchanged && <div className="text-green-400">Both instances already have the same content.</div>}
+                {preview.targetExists && !unchanged && (
+                  <>
+                    <div>
+                      Changes on {nameOf(targetId)}:{' '}
+                      <span className="text-green-400">+{preview.diff.summary.added}</span>{' '}
+                      <span className="text-red-400">-{preview.diff.summary.removed}</span>{' '}
+                      <span className="text-yellow-400">~{preview.diff.summary.changed}</span>{' '}
+                      <span className="text-gray-400">rows ({preview.diff.summary.remoteRows} &rarr; {preview.diff.summary.localRows})</span>
+                      {preview.diff.headersChanged && <span className="text-yellow-300"> · headers change</span>}
+                    </div>
+                    <RowDiff diff={preview.diff} />
+                  </>
+                )}
+              </div>
+            )}
+
+            <DmConflictWarnings conflictCheck={conflictCheck} onOverride={() => sync(true)} onDismiss={() => setConflictCheck(null)} />
+            {error && <div className="bg-red-900/30 border border-red-700 text-red-300 rounded-lg p-3 mb-4">{error}</div>}
+
+            <input
+              type="text"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder="Reason (optional)"
+              className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white mb-4"
+            />
+            <div className="flex justify-end gap-2">
+              <button onClick={onClose} className="px-4 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 text-white">Cancel</button>
+              <button
+                onClick={() => sync(false)}
+                disabled={busy || !preview || unchanged}
+                className="px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white"
+              >
+                {busy ? 'Applying…' : preview?.targetExists === false ? `Upload to ${nameOf(targetId)}` : `Overwrite on ${nameOf(targetId)}`}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const DriftCell = ({ cell, variantIndex, isBaseline, canSync, onClick }) => {
+  if (!cell || cell.present === null) {
+    return <td className="px-2 py-1.5 text-center text-gray-500 text-xs" title="Instance unreachable">?</td>;
+  }
+  if (cell.present === false) {
+    return (
+      <td className="px-2 py-1.5 text-center">
+        <button
+          onClick={onClick}
+          disabled={!canSync}
+          className="w-full rounded border border-dashed border-red-700 text-red-400 text-xs py-1 disabled:cursor-default hover:bg-red-900/30"
+          title="Missing on this instance"
+        >
+          —
+        </button>
+      </td>
+    );
+  }
+  if (cell.error) {
+    return <td className="px-2 py-1.5 text-center text-red-400 text-xs" title={cell.error}>error</td>;
+  }
+  return (
+    <td className="px-2 py-1.5">
+      <button
+        onClick={onClick}
+        disabled={!canSync}
+        className={`w-full rounded border px-2 py-1 text-left text-xs disabled:cursor-default ${VARIANT_CLASSES[variantIndex % VARIANT_CLASSES.length]}`}
+        title={`${cell.rows} rows, sha256 ${cell.checksum}`}
+      >
+        <span className="font-mono text-gray-200">{cell.checksum.slice(0, 8)}</span>
+        {isBaseline && <span className="ml-1 text-gray-400">baseline</span>}
+        {cell.diff && (
+          <span className="ml-1">
+            <span className="text-green-400">+{cell.diff.added}</span>{' '}
+            <span className="text-red-400">-{cell.diff.removed}</span>{' '}
+            <span className="text-yellow-400">~{cell.diff.changed}</span>
+          </span>
+        )}
+      </button>
+    </td>
+  );
+};
+
+// Matrix of DF/DM files × ProSBC instances: presence, content hash and row differences
+const DriftReport = ({ currentUser }) => {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [typeFilter, setTypeFilter] = useState('all');
+  const [onlyDifferences, setOnlyDifferences] = useState(true);
+  const [search, setSearch] = useState('');
+  // Group/tag the next analysis compares
+  const [analyzeTargets, setAnalyzeTargets] = useState(EMPTY_SELECTOR);
+  const [selected, setSelected] = useState(null);
+  const analyzeJob = useBackgroundJob();
+
+  useEffect(() => {
+    fetchLatestDriftReport()
+      .then(setReport)
+      .catch(err => setError(err.message))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const analyze = async () => {
+    setError(null);
+    setMessage(null);
+    try {
+      const result = await analyzeJob.run(DRIFT_ANALYZE_URL, {
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ fileType: typeFilter === 'all' ? undefined : typeFilter, ...selectorFields(analyzeTargets) })
+      });
+      setReport(result);
+    } catch (err) {
+      if (!err.cancelled) setError(err.message);
+    }
+  };
+
+  const files = useMemo(() => (report?.files || []).filter(file =>
+    (typeFilter === 'all' || file.fileType === typeFilter) &&
+    (!onlyDifferences || file.status !== 'in-sync') &&
+    (!search || file.fileName.toLowerCase().includes(search.toLowerCase()))
+  ), [report, typeFilter, onlyDifferences, search]);
+
+  const handleSynced = (sourceId, result) => {
+    const { file, targetId } = selected;
+    const updatedFiles = report.files.map(candidate => (candidate === file ? applySync(candidate, sourceId, targetId) : candidate));
+    setReport({ ...report, files: updatedFiles, summary: summarize(updatedFiles) });
+    const targetName = report.instances.find(instance => instance.id === targetId)?.name || targetId;
+    setMessage(result.action === 'none'
+      ? `${file.fileName} already matched on ${targetName}.`
+      : `${file.fileName} ${result.action === 'uploaded' ? 'uploaded to' : 'updated on'} ${targetName}.`);
+    setSelected(null);
+  };
+
+  // Variant colors: the baseline content first, then in order of appearance
+  const variantIndexes = (file) => {
+    const order = [file.cells[file.baselineInstanceId]?.checksum];
+    for (const instance of report.instances) {
+      const checksum = file.cells[instance.id]?.checksum;
+      if (checksum && !order.includes(checksum)) order.push(checksum);
+    }
+    return (checksum) => order.indexOf(checksum);
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-xl border border-gray-700 p-6">
+      <div className="flex items-start justify-between mb-6 gap-4">
+        <div>
+          <h2 className="text-2xl font-semibold text-white">Configuration Drift</h2>
+          <p className="text-gray-400 text-sm">
+            DF and DM files compared across every ProSBC instance. Click a cell to make that instance match another one.
+          </p>
+          {report && (
+            <p className="text-sm mt-1 text-gray-400">
+              Analyzed {new Date(report.generatedAt).toLocaleString()} ·{' '}
+              <span className="text-green-400">{report.summary.inSync} in sync</span> ·{' '}
+              <span className="text-orange-400">{report.summary.drift} drifted</span> ·{' '}
+              <span className="text-red-400">{report.summary.missing} missing somewhere</span>
+              {report.selector && (
+                <> · limited to {[
+                  ...(report.selector.groups || []).map(group => `group ${group}`),
+                  ...(report.selector.tags || []).map(tag => `tag ${tag}`)
+                ].join(', ')}</>
+              )}
+            </p>
+          )}
+        </div>
+        <div className="flex items-center gap-4 shrink-0">
+          <InstanceTargetSelector value={analyzeTargets} onChange={setAnalyzeTargets} />
+          <button
+            onClick={analyze}
+            disabled={analyzeJob.job?.status === 'running' || analyzeJob.job?.status === 'queued'}
+            className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-4 py-2 rounded-lg shrink-0"
+          >
+            {report ? 'Re-analyze' : 'Analyze'}
+          </button>
+        </div>
+      </div>
+
+      <JobProgress job={analyzeJob.job} title="Drift analysis" onCancel={analyzeJob.cancel} onClose={analyzeJob.reset} />
+
+      {error && <div className="bg-red-900/30 border border-red-700 text-red-300 rounded-lg p-3 mb-4">{error}</div>}
+      {message && <div className="bg-green-900/30 border border-green-700 text-green-300 rounded-lg p-3 mb-4">{message}</div>}
+
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        {['all', 'routesets_definitions', 'routesets_digitmaps'].map(type => (
+          <button
+            key={type}
+            onClick={() => setTypeFilter(type)}
+            className={`px-3 py-1.5 rounded-lg text-sm ${typeFilter === type ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+          >
+            {type === 'all' ? 'All files' : `${FILE_TYPE_LABELS[type]} files`}
+          </button>
+        ))}
+        <label className="flex items-center gap-2 text-sm text-gray-300 ml-2">
+          <input type="checkbox" checked={onlyDifferences} onChange={(e) => setOnlyDifferences(e.target.checked)} />
+          Only differences
+        </label>
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search file name"
+          className="ml-auto bg-gray-700 border border-gray-600 rounded-lg px-3 py-1.5 text-sm text-white"
+        />
+      </div>
+
+      {loading && <div className="text-gray-400">Loading…</div>}
+      {!loading && !report && (
+        <div className="text-gray-400">No drift analysis yet. Run one to compare the instances.</div>
+      )}
+      {report && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-left text-sm">
+            <thead>
+              <tr className="text-gray-400 border-b border-gray-700">
+                <th className="py-2 pr-2">File</th>
+                <th className="py-2 pr-2">Status</th>
+                {report.instances.map(instance => (
+                  <th key={instance.id} className="py-2 px-2 whitespace-nowrap" title={instance.error || undefined}>
+                    {instance.name}
+                    {!instance.reachable && <span className="ml-1 text-red-400">(unreachable)</span>}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {files.length === 0 && (
+                <tr><td colSpan={report.instances.length + 2} className="py-4 text-gray-500">No files match.</td></tr>
+              )}
+              {files.map(file => {
+                const variantOf = variantIndexes(file);
+                return (
+                  <tr key={`${file.fileType}/${file.fileName}`} className="border-b border-gray-700 text-gray-300">
+                    <td className="py-1.5 pr-2 break-all">
+                      <span className="text-xs text-gray-500 mr-1">{FILE_TYPE_LABELS[file.fileType]}</span>
+                      {file.fileName}
+                    </td>
+                    <td className="py-1.5 pr-2">
+                      <span className={`px-2 py-0.5 rounded text-xs text-white whitespace-nowrap ${STATUS_CLASSES[file.status]}`}>{file.status}</span>
+                    </td>
+                    {report.instances.map(instance => {
+                      const cell = file.cells[instance.id];
+                      return (
+                        <DriftCell
+                          key={instance.id}
+                          cell={cell}
+                          variantIndex={cell?.checksum ? variantOf(cell.checksum) : 0}
+                          isBaseline={instance.id === file.baselineInstanceId && file.variants > 1}
+                          canSync={hasRole(currentUser, 'operator', instance.id)}
+                          onClick={() => setSelected({ file, targetId: instance.id })}
+                        />
+                      );
+                    })}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {selected && (
+        <SyncDialog
+          file={selected.file}
+          targetId={selected.targetId}
+          instances={report.instances}
+          onClose={() => setSelected(null)}
+          onSynced={handleSynced}
+        />
+      )}
+    </div>
+  );
+};
+
+export default DriftReport;
@@ -9,6 +9,17 @@ import InlineLoadingAnimation from './InlineLoadingAnimation';
 import { useProSBCInstance } from '../contexts/ProSBCInstanceContext';
 import { useInstanceAPI } from '../hooks/useInstanceAPI.jsx';
 import { useInstanceRefresh } from '../hooks/useInstanceRefresh';
+import { runJob } from '../utils/backgroundJobs';
+import { describeReplication } from '../utils/replication';
+import NumberPatternResults from './NumberPatternResults';
+
+// Number search modes of /dm-files/search
+const SEARCH_MODES = [
+  { value: 'exact', label: 'Exact', placeholder: 'Enter the phone numbers' },
+  { value: 'prefix', label: 'Prefix', placeholder: 'Prefixes or NPA-NXX blocks, e.g. 833770 or 855-702' },
+  { value: 'range', label: 'Range', placeholder: 'Ranges, e.g. 8557021400-8557021499' },
+  { value: 'pattern', label: 'Pattern', placeholder: 'Patterns: * any digits, ? or X one digit, e.g. 833770XXXX' }
+];
 
 function FileManagement({ onAuthError, configId }) {
   const { selectedInstance, hasSelectedInstance, instances } = useProSBCInstance();
@@ -66,6 +77,7 @@ function FileManagement({ onAuthError, configId }) {
 
   // Database number search functionality
   const [numberSearch, setNumberSearch] = useState('');
+  const [searchMode, setSearchMode] = useState('exact');
   const [searchResult, setSearchResult] = useState(null);
   const [searching, setSearching] = useState(false);
 
@@ -181,12 +193,14 @@ function FileManagement({ onAuthError, configId }) {
         },
         body: JSON.stringify({
           numbers: numbersArray,
-          instanceId: selectedInstance?.id
+          instanceId: selectedInstance?.id,
+          mode: searchMode
         })
       });
 
       if (!response.ok) {
-        throw new Error(`Search failed: ${response.statusText}`);
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `Search failed: ${response.statusText}`);
       }
 
       const data = await response.json();
@@ -596,7 +610,7 @@ function FileManagement({ onAuthError, configId }) {
           message += '\n🔄 Fallback method was used for update';
         }
         
-        setMessage(message);
+        setMessage(message + describeReplication(result.replication));
         loadFiles();
         setShowUpdateModal(false);
         setUpdateTarget(null);
@@ -1119,11 +1133,9 @@ function FileManagement({ onAuthError, configId }) {
         console.log('[Save Edit] File not found in database, attempting to sync/create...');
 
         try {
-          // First, try to sync the file to database
-          const syncRes = await fetch('/backend/api/dm-files/sync', {
-            method: 'POST',
+          // First, try to sync the file to database (runs as a background job)
+          const syncResult = await runJob('/backend/api/dm-files/sync', {
             headers: {
-              ...getAuthHeaders(),
               'Content-Type': 'application/json',
               'X-ProSBC-Instance-ID': selectedInstance.id.toString()
             },
@@ -1132,31 +1144,28 @@ function FileManagement({ onAuthError, configId }) {
             })
           });
 
-          if (syncRes.ok) {
-            const syncResult = await syncRes.json();
-            if (syncResult.success) {
-              console.log('[Save Edit] Sync completed, looking for file in database...');
+          if (syncResult?.success) {
+            console.log('[Save Edit] Sync completed, looking for file in database...');
 
-              // Now try to find the file in database again
-              const dbResponse = await fetch(`/backend/api/dm-files?instanceId=${selectedInstance.id}`, {
-                headers: {
-                  ...getAuthHeaders(),
-                  'Content-Type': 'application/json'
-                }
-              });
-
-              if (dbResponse.ok) {
-                const dbResult = await dbResponse.json();
-                if (dbResult.success) {
-                  const dbFile = dbResult.files.find(dbFile =>
-                    dbFile.prosbc_file_id === fileInfo.prosbcFileId?.toString() ||
-                    (dbFile.file_name === fileInfo.name && dbFile.prosbc_instance_id === selectedInstance.id.toString())
-                  );
-
-                  if (dbFile) {
-                    databaseFileId = dbFile.id;
-                    console.log('[Save Edit] Found file in database after sync:', databaseFileId);
-                  }
+            // Now try to find the file in database again
+            const dbResponse = await fetch(`/backend/api/dm-files?instanceId=${selectedInstance.id}`, {
+              headers: {
+                ...getAuthHeaders(),
+                'Content-Type': 'application/json'
+              }
+            });
+
+            if (dbResponse.ok) {
+              const dbResult = await dbResponse.json();
+              if (dbResult.success) {
+                const dbFile = dbResult.files.find(dbFile =>
+                  dbFile.prosbc_file_id === fileInfo.prosbcFileId?.toString() ||
+                  (dbFile.file_name === fileInfo.name && dbFile.prosbc_instance_id === selectedInstance.id.toString())
+                );
+
+                if (dbFile) {
+                  databaseFileId = dbFile.id;
+                  console.log('[Save Edit] Found file in database after sync:', databaseFileId);
                 }
               }
             }
@@ -1225,7 +1234,7 @@ function FileManagement({ onAuthError, configId }) {
 
         const result = await res.json();
         if (result.success) {
-          setMessage(`✅ ${fileInfo.name} saved successfully in database and ProSBC!`);
+          setMessage(`✅ ${fileInfo.name} saved successfully in database and ProSBC!${describeReplication(result.replication)}`);
           
           // Refresh the file list
           setTimeout(() => {
@@ -1281,7 +1290,7 @@ function FileManagement({ onAuthError, configId }) {
       }
 
       if (result.success) {
-        setMessage(`✅ ${originalFile.name} saved successfully on ProSBC!`);
+        setMessage(`✅ ${originalFile.name} saved successfully on ProSBC!${describeReplication(result.replication)}`);
         
         // Refresh the file list
         setTimeout(() => {
@@ -1516,22 +1525,14 @@ function FileManagement({ onAuthError, configId }) {
             throw new Error(`Clear failed for instance ${instance.id}: ${clearResponse.statusText}`);
           }
 
-          // Sync new data for this instance
-          const syncResponse = await fetch('/backend/api/dm-files/sync', {
-            method: 'POST',
+          // Sync new data for this instance (runs as a background job)
+          const data = await runJob('/backend/api/dm-files/sync', {
             headers: {
-              'Authorization': token ? `Bearer ${token}` : '',
               'X-ProSBC-Instance-ID': instance.id.toString(),
               'Content-Type': 'application/json'
             },
             body: JSON.stringify({ configId })
           });
-
-          if (!syncResponse.ok) {
-            throw new Error(`Sync failed for instance ${instance.id}: ${syncResponse.statusText}`);
-          }
-
-          const data = await syncResponse.json();
           return { success: true, instanceId: instance.id, ...data };
         } catch (err) {
           return { success: false, instanceId: instance.id, error: err.message };
@@ -1711,9 +1712,21 @@ function FileManagement({ onAuthError, configId }) {
         <div className="bg-gray-800 border border-gray-700 rounded-2xl shadow-xl mb-8 p-6 backdrop-blur-sm">
           <h2 className="text-2xl font-bold text-white mb-4">🔍 Database Number Search</h2>
           <div className="flex gap-4">
+            <select
+              value={searchMode}
+              onChange={(e) => {
+                setSearchMode(e.target.value);
+                setSearchResult(null);
+              }}
+              className="bg-gray-900 border border-gray-600 rounded-lg px-3 py-3 text-white h-fit"
+            >
+              {SEARCH_MODES.map(mode => (
+                <option key={mode.value} value={mode.value}>{mode.label}</option>
+              ))}
+            </select>
             <div className="flex-1">
               <textarea
-                placeholder="Enter the phone numbers"
+                placeholder={SEARCH_MODES.find(mode => mode.value === searchMode)?.placeholder}
                 value={numberSearch}
                 onChange={(e) => setNumberSearch(e.target.value)}
                 rows={3}
@@ -1730,10 +1743,13 @@ function FileManagement({ onAuthError, configId }) {
           </div>
           <p className="text-gray-400 text-sm mt-2">
             Search for phone numbers in the stored DM files database. Shows which file and ProSBC instance each number belongs to.
+            Prefix, range and pattern searches count the matches per file and instance; enter one query per line.
           </p>
           {searchResult && (
             <div className="mt-4">
-              {searchResult.success && searchResult.results ? (
+              {searchResult.success && searchResult.mode && searchResult.mode !== 'exact' ? (
+                <NumberPatternResults results={searchResult.results} />
+              ) : searchResult.success && searchResult.results ? (
                 <div>
                   {(() => {
                     // Filter results based on selected filter
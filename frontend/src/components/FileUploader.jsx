@@ -1,8 +1,18 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useProSBCInstance } from '../contexts/ProSBCInstanceContext';
 import { prosbcFileAPI } from '../utils/prosbcFileApi';
 import { ClientDatabaseService } from '../services/apiClient.js';
 import { useInstanceAPI } from '../hooks/useInstanceAPI.jsx';
+import { useBackgroundJob } from '../hooks/useBackgroundJob';
+import JobProgress from './JobProgress';
+import DmConflictWarnings from './DmConflictWarnings';
+import InstanceTargetSelector from './InstanceTargetSelector';
+import RolloutOptions from './RolloutOptions';
+import RolloutSummary from './RolloutSummary';
+import { EMPTY_SELECTOR, hasSelector, appendSelector, describeSelector } from '../utils/instanceSelector';
+import { fetchChangeApprovalSettings, submitUploadChangeRequest, isApprovalRequiredError } from '../utils/changeRequests';
+import { DEFAULT_ROLLOUT_OPTIONS, appendRolloutOptions, describeRolloutResult, rolloutRevertUrl } from '../utils/rollouts';
+import { isJobFinished } from '../utils/backgroundJobs';
 
 function FileUploader({ onAuthError, configId }) {
   const { selectedInstance, hasSelectedInstance } = useProSBCInstance();
@@ -19,6 +29,29 @@ function FileUploader({ onAuthError, configId }) {
   const [dmFile, setDmFile] = useState(null);
   const [dmFileName, setDmFileName] = useState("");
 
+  // Upload-to-all runs as a background job with live per-instance progress
+  const uploadAllJob = useBackgroundJob();
+
+  // Upload-to-all can be staged: canary, then waves (backend_new/services/rolloutService.js)
+  const [rolloutOptions, setRolloutOptions] = useState(DEFAULT_ROLLOUT_OPTIONS);
+  const [rolloutResult, setRolloutResult] = useState(null);
+  const revertJob = useBackgroundJob();
+
+  // Group/tag the upload-to-all is limited to; empty for every active instance
+  const [uploadTargets, setUploadTargets] = useState(EMPTY_SELECTOR);
+
+  // Number conflicts reported by the DM pre-check, and which upload to repeat when overriding
+  const [dmConflicts, setDmConflicts] = useState(null);
+
+  // With change approval on, uploads to all ProSBCs are submitted as change requests
+  const [approvalRequired, setApprovalRequired] = useState(false);
+
+  useEffect(() => {
+    fetchChangeApprovalSettings()
+      .then(settings => setApprovalRequired(settings.requireChangeApproval))
+      .catch(error => console.warn('Could not load change approval settings:', error.message));
+  }, []);
+
   // Helper to get auth headers with instance information
   const getAuthHeaders = () => {
     const token = localStorage.getItem('dashboard_token');
@@ -156,7 +189,7 @@ function FileUploader({ onAuthError, configId }) {
   };
 
   // Upload DM file
-  const handleDmUpload = async () => {
+  const handleDmUpload = async (overrideConflicts = false) => {
     if (!dmFile) {
       setMessage("❌ Please select a DM file first");
       return;
@@ -177,11 +210,13 @@ function FileUploader({ onAuthError, configId }) {
 
     setIsLoading(true);
     setMessage("🔄 Uploading DM file...");
+    setDmConflicts(null);
 
     try {
       // Upload DM file to instance-aware backend endpoint
       const formData = new FormData();
       formData.append('file', dmFile, dmFileName);
+      if (overrideConflicts) formData.append('allowConflicts', 'true');
       
       const response = await fetch('/backend/api/prosbc-files/dm/upload-form', {
         method: 'POST',
@@ -195,6 +230,12 @@ function FileUploader({ onAuthError, configId }) {
 
       let result = null;
       const contentType = response.headers.get('content-type') || '';
+      if (response.status === 409) {
+        const blocked = await response.json();
+        setDmConflicts({ check: blocked.conflictCheck, retry: 'single' });
+        setMessage(`❌ ${blocked.error}`);
+        return;
+      }
       if (response.ok && contentType.includes('application/json')) {
         result = await response.json();
       } else {
@@ -209,6 +250,9 @@ function FileUploader({ onAuthError, configId }) {
           successMessage += '\n📌 Note: Upload completed but redirect confirmation was blocked by browser security.';
         }
         setMessage(successMessage);
+        if (result.conflictCheck?.conflicts?.length) {
+          setDmConflicts({ check: result.conflictCheck });
+        }
         // Record file upload in database
         try {
           const dbService = new ClientDatabaseService();
@@ -248,6 +292,44 @@ function FileUploader({ onAuthError, configId }) {
     }
   };
 
+  // Stage the upload to all ProSBCs for another user to approve
+  const submitUploadForApproval = async (kind, overrideConflicts = false) => {
+    const fileName = kind === 'df' ? dfFileName : dmFileName;
+    const reason = window.prompt(`Reason for uploading ${fileName} to ${describeSelector(uploadTargets)} (shown to the approver)`, '');
+    if (reason === null) {
+      setMessage('Change request not submitted');
+      return;
+    }
+    setMessage('🔄 Submitting change request...');
+    const changeRequest = await submitUploadChangeRequest({
+      kind,
+      file: kind === 'df' ? dfFile : dmFile,
+      fileName,
+      reason,
+      selector: uploadTargets,
+      allowConflicts: overrideConflicts
+    });
+    setMessage(`📝 Change request #${changeRequest.id} submitted. ${fileName} is uploaded to ${describeSelector(uploadTargets)} once another user approves it on the Change Requests page.`);
+  };
+
+  // Restore the previous content on the instances a halted rollout already updated
+  const handleRolloutRevert = async () => {
+    if (!window.confirm(`Revert rollout #${rolloutResult.rolloutId} on the instances it updated?`)) return;
+    setMessage(`🔄 Reverting rollout #${rolloutResult.rolloutId}...`);
+    try {
+      const result = await revertJob.run(rolloutRevertUrl(rolloutResult.rolloutId), { headers: getAuthHeaders() });
+      setRolloutResult(result);
+      setMessage(result.status === 'reverted'
+        ? `✅ Rollout #${result.rolloutId} reverted`
+        : `❌ Revert of rollout #${result.rolloutId} failed on some instances`);
+    } catch (error) {
+      setMessage(`❌ Failed to revert rollout #${rolloutResult.rolloutId}: ${error.message}`);
+    }
+  };
+
+  const approvalRequiredMessage = '🔒 Uploading to all ProSBCs now requires approval. Click again to submit a change request.';
+  const uploadAllLabel = hasSelector(uploadTargets) ? `Upload to ${describeSelector(uploadTargets)}` : 'Upload to All ProSBCs';
+
   // Upload DF file to all ProSBCs
   const handleDfUploadAll = async () => {
     if (!dfFile) {
@@ -255,17 +337,25 @@ function FileUploader({ onAuthError, configId }) {
       return;
     }
     setIsLoading(true);
-    setMessage("🔄 Uploading DF file to all ProSBCs...");
+    setMessage(`🔄 Uploading DF file to ${describeSelector(uploadTargets)}...`);
     try {
+      if (approvalRequired) {
+        await submitUploadForApproval('df');
+        return;
+      }
       const formData = new FormData();
       formData.append('file', dfFile, dfFileName);
-      const response = await fetch('/backend/api/prosbc-upload/df/all', {
-        method: 'POST',
+      appendSelector(formData, uploadTargets);
+      appendRolloutOptions(formData, rolloutOptions);
+      setRolloutResult(null);
+      const result = await uploadAllJob.run('/backend/api/prosbc-upload/df/all', {
         headers: getAuthHeaders(),
         body: formData
       });
-      const result = await response.json();
-      if (result.success) {
+      if (result?.rolloutId) {
+        setRolloutResult(result);
+        setMessage(describeRolloutResult(result));
+      } else if (result?.results) {
         const details = result.results.map(r => {
           let msg = `${r.instance}: ${r.success ? 'Success' : 'Failed'}`;
           if (!r.success && r.error) msg += `\n  Error: ${r.error}`;
@@ -273,35 +363,50 @@ function FileUploader({ onAuthError, configId }) {
           if (r.details && r.details.data && typeof r.details.data === 'string') msg += `\n  Data: ${r.details.data.substring(0, 200)}`;
           return msg;
         }).join('\n\n');
-        setMessage(`✅ DF file uploaded to all ProSBCs!\n\n${details}`);
+        setMessage(`✅ DF file uploaded to ${describeSelector(uploadTargets)}!\n\n${details}`);
       } else {
-        throw new Error(result.message || 'Upload failed');
+        throw new Error('Upload failed');
       }
     } catch (error) {
-      setMessage(`❌ Failed to upload DF file to all: ${error.message}`);
+      if (isApprovalRequiredError(error)) {
+        setApprovalRequired(true);
+        setMessage(approvalRequiredMessage);
+        return;
+      }
+      setMessage(`❌ Failed to upload DF file to ${describeSelector(uploadTargets)}: ${error.message}`);
     } finally {
       setIsLoading(false);
     }
   };
 
   // Upload DM file to all ProSBCs
-  const handleDmUploadAll = async () => {
+  const handleDmUploadAll = async (overrideConflicts = false) => {
     if (!dmFile) {
       setMessage("❌ Please select a DM file first");
       return;
     }
     setIsLoading(true);
-    setMessage("🔄 Uploading DM file to all ProSBCs...");
+    setMessage(`🔄 Uploading DM file to ${describeSelector(uploadTargets)}...`);
+    setDmConflicts(null);
     try {
+      if (approvalRequired) {
+        await submitUploadForApproval('dm', overrideConflicts);
+        return;
+      }
       const formData = new FormData();
       formData.append('file', dmFile, dmFileName);
-      const response = await fetch('/backend/api/prosbc-upload/dm/all', {
-        method: 'POST',
+      if (overrideConflicts) formData.append('allowConflicts', 'true');
+      appendSelector(formData, uploadTargets);
+      appendRolloutOptions(formData, rolloutOptions);
+      setRolloutResult(null);
+      const result = await uploadAllJob.run('/backend/api/prosbc-upload/dm/all', {
         headers: getAuthHeaders(),
         body: formData
       });
-      const result = await response.json();
-      if (result.success) {
+      if (result?.rolloutId) {
+        setRolloutResult(result);
+        setMessage(describeRolloutResult(result));
+      } else if (result?.results) {
         const details = result.results.map(r => {
           let msg = `${r.instance}: ${r.success ? 'Success' : 'Failed'}`;
           if (!r.success && r.error) msg += `\n  Error: ${r.error}`;
@@ -309,12 +414,20 @@ function FileUploader({ onAuthError, configId }) {
           if (r.details && r.details.data && typeof r.details.data === 'string') msg += `\n  Data: ${r.details.data.substring(0, 200)}`;
           return msg;
         }).join('\n\n');
-        setMessage(`✅ DM file uploaded to all ProSBCs!\n\n${details}`);
+        setMessage(`✅ DM file uploaded to ${describeSelector(uploadTargets)}!\n\n${details}`);
       } else {
-        throw new Error(result.message || 'Upload failed');
+        throw new Error('Upload failed');
       }
     } catch (error) {
-      setMessage(`❌ Failed to upload DM file to all: ${error.message}`);
+      if (isApprovalRequiredError(error)) {
+        setApprovalRequired(true);
+        setMessage(approvalRequiredMessage);
+        return;
+      }
+      if (error.status === 409) {
+        setDmConflicts({ check: error.response?.conflictCheck, retry: 'all' });
+      }
+      setMessage(`❌ Failed to upload DM file to ${describeSelector(uploadTargets)}: ${error.message}`);
     } finally {
       setIsLoading(false);
     }
@@ -424,6 +537,10 @@ function FileUploader({ onAuthError, configId }) {
                   )}
                 </div>
 
+                {/* Instances the upload to all goes to */}
+                <InstanceTargetSelector value={uploadTargets} onChange={setUploadTargets} disabled={isLoading} className="justify-center" />
+                <RolloutOptions value={rolloutOptions} onChange={setRolloutOptions} selector={uploadTargets} disabled={isLoading} />
+
                 {/* Upload Button */}
                 <div className="flex justify-center">
                   <button
@@ -450,7 +567,7 @@ function FileUploader({ onAuthError, configId }) {
                     className="ml-4 px-8 py-4 rounded-xl font-semibold text-white bg-blue-600 hover:bg-blue-700 flex items-center space-x-3"
                   >
                     <span className="text-xl">🌐</span>
-                    <span>{isLoading ? 'Uploading to All...' : 'Upload to All ProSBCs'}</span>
+                    <span>{isLoading ? 'Uploading to All...' : approvalRequired ? 'Submit Upload to All for Approval' : uploadAllLabel}</span>
                   </button>
                 </div>
               </div>
@@ -499,10 +616,14 @@ function FileUploader({ onAuthError, configId }) {
                   )}
                 </div>
 
+                {/* Instances the upload to all goes to */}
+                <InstanceTargetSelector value={uploadTargets} onChange={setUploadTargets} disabled={isLoading} className="justify-center" />
+                <RolloutOptions value={rolloutOptions} onChange={setRolloutOptions} selector={uploadTargets} disabled={isLoading} />
+
                 {/* Upload Button */}
                 <div className="flex justify-center">
                   <button
-                    onClick={handleDmUpload}
+                    onClick={() => handleDmUpload()}
                     disabled={isLoading || !dmFile}
                     className={`px-8 py-4 rounded-xl font-semibold text-white transition-all duration-200 flex items-center space-x-3 ${
                       isLoading || !dmFile
@@ -520,12 +641,12 @@ function FileUploader({ onAuthError, configId }) {
 
                   {/* Upload to All ProSBCs Button (DM) */}
                   <button
-                    onClick={handleDmUploadAll}
+                    onClick={() => handleDmUploadAll()}
                     disabled={isLoading || !dmFile}
                     className="ml-4 px-8 py-4 rounded-xl font-semibold text-white bg-blue-600 hover:bg-blue-700 flex items-center space-x-3"
                   >
                     <span className="text-xl">🌐</span>
-                    <span>{isLoading ? 'Uploading to All...' : 'Upload to All ProSBCs'}</span>
+                    <span>{isLoading ? 'Uploading to All...' : approvalRequired ? 'Submit Upload to All for Approval' : uploadAllLabel}</span>
                   </button>
                 </div>
               </div>
@@ -533,6 +654,29 @@ function FileUploader({ onAuthError, configId }) {
           )}
         </div>
 
+        {/* Upload-to-all job progress */}
+        <JobProgress
+          job={uploadAllJob.job}
+          title={`Upload to ${describeSelector(uploadTargets)}`}
+          onCancel={uploadAllJob.cancel}
+          onClose={uploadAllJob.reset}
+        />
+
+        {/* Staged rollout outcome and its revert */}
+        <RolloutSummary
+          rollout={rolloutResult}
+          onRevert={handleRolloutRevert}
+          reverting={!!revertJob.job && !isJobFinished(revertJob.job)}
+          onClose={() => setRolloutResult(null)}
+        />
+
+        {/* DM number conflicts from the upload pre-check */}
+        <DmConflictWarnings
+          conflictCheck={dmConflicts?.check}
+          onOverride={dmConflicts?.retry ? () => (dmConflicts.retry === 'all' ? handleDmUploadAll(true) : handleDmUpload(true)) : undefined}
+          onDismiss={() => setDmConflicts(null)}
+        />
+
         {/* Status Message */}
         {message && (
           <div className="bg-gray-800 rounded-2xl p-8 shadow-lg border border-gray-700">
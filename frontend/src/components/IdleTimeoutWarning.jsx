@@ -0,0 +1,38 @@
+import React, { useState, useEffect } from 'react';
+
+const formatCountdown = (ms) => {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// Shown shortly before an idle dashboard session is signed out
+const IdleTimeoutWarning = ({ signOutAt, onStay, onSignOut }) => {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-[60]">
+      <div className="bg-gray-800 border border-gray-700 p-6 rounded-xl shadow-2xl max-w-sm w-full">
+        <h3 className="text-lg font-semibold text-white mb-2">Are you still there?</h3>
+        <p className="text-gray-300 text-sm mb-4">
+          You will be signed out in <span className="font-mono text-yellow-400">{formatCountdown(signOutAt - now)}</span> because of inactivity.
+          Unsaved editor changes are kept and can be restored after signing in again.
+        </p>
+        <div className="flex justify-end gap-2">
+          <button onClick={onSignOut} className="bg-gray-700 hover:bg-gray-600 text-white px-4 py-2 rounded-lg text-sm">
+            Sign out
+          </button>
+          <button onClick={onStay} className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm">
+            Stay signed in
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default IdleTimeoutWarning;
@@ -1,8 +1,69 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { useProSBCInstance } from '../contexts/ProSBCInstanceContext';
+import { fetchInstanceHealth } from '../utils/instanceHealth';
 import './InstanceStatusDisplay.css';
 
+const HEALTH_REFRESH_MS = 60000;
+
+const HEALTH_INDICATOR = { up: 'active', degraded: 'warning', down: 'error' };
+
+// Latency line over the last 24h; gaps where no probe succeeded
+const Sparkline = ({ values, slowMs, width = 96, height = 20 }) => {
+  const max = Math.max(...values.filter(value => value != null), slowMs || 0, 1);
+  const step = values.length > 1 ? width / (values.length - 1) : width;
+  const segments = [];
+  let current = [];
+  values.forEach((value, index) => {
+    if (value == null) {
+      if (current.length) segments.push(current);
+      current = [];
+      return;
+    }
+    current.push(`${(index * step).toFixed(1)},${(height - 1 - (value / max) * (height - 2)).toFixed(1)}`);
+  });
+  if (current.length) segments.push(current);
+
+  return (
+    <svg className="health-sparkline" width={width} height={height} viewBox={`0 0 ${width} ${height}`}>
+      {slowMs > 0 && slowMs < max && (
+        <line className="slow-line" x1="0" x2={width} y1={height - 1 - (slowMs / max) * (height - 2)} y2={height - 1 - (slowMs / max) * (height - 2)} />
+      )}
+      {segments.map((points, index) => (
+        points.length === 1
+          ? <circle key={index} cx={points[0].split(',')[0]} cy={points[0].split(',')[1]} r="1" />
+          : <polyline key={index} points={points.join(' ')} />
+      ))}
+    </svg>
+  );
+};
+
+const formatMs = (ms) => (ms == null ? '–' : ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`);
+
+const lastValue = (series, key) => [...series].reverse().find(point => point[key] != null)?.[key] ?? null;
+
 const InstanceStatusDisplay = ({ compact = false }) => {
+  const [health, setHealth] = useState(null);
+
+  // Health samples come from the backend poller; refresh at its default interval
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      if (!localStorage.getItem('dashboard_token')) return;
+      try {
+        const result = await fetchInstanceHealth();
+        if (!cancelled) setHealth(result);
+      } catch {
+        // Keep the last known health; the instance status below still shows
+      }
+    };
+    load();
+    const timer = setInterval(load, HEALTH_REFRESH_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, []);
+
   let contextData;
   
   try {
@@ -69,9 +130,16 @@ const InstanceStatusDisplay = ({ compact = false }) => {
     );
   }
 
+  const instanceHealth = health?.instances?.find(item => String(item.instanceId) === String(selectedInstance.id));
+  const healthStatus = instanceHealth?.status;
+  const indicator = healthStatus ? HEALTH_INDICATOR[healthStatus] : (isInstanceActive ? 'active' : 'inactive');
+
   return (
-    <div className={`instance-status success ${compact ? 'compact' : ''}`}>
-      <div className={`status-indicator ${isInstanceActive ? 'active' : 'inactive'}`}>
+    <div
+      className={`instance-status ${healthStatus === 'down' ? 'error' : healthStatus === 'degraded' ? 'warning' : 'success'} ${compact ? 'compact' : ''}`}
+      title={instanceHealth?.lastError ? `Last probe failed: ${instanceHealth.lastError}` : undefined}
+    >
+      <div className={`status-indicator ${indicator}`}>
         <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
           <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
         </svg>
@@ -80,7 +148,25 @@ const InstanceStatusDisplay = ({ compact = false }) => {
         <div className="instance-info">
           <span className="instance-name">{selectedInstance.name}</span>
           <span className="instance-status-text">
-            {isInstanceActive ? 'Active' : 'Inactive'} • {selectedInstance.host}:{selectedInstance.port}
+            {isInstanceActive ? 'Active' : 'Inactive'} • {selectedInstance.location || selectedInstance.baseUrl}
+          </span>
+        </div>
+      )}
+      {!compact && instanceHealth?.samples > 0 && (
+        <div className="instance-health">
+          <span className={`health-uptime ${healthStatus}`}>
+            {instanceHealth.uptimePct}% up
+            <span className="health-label">24h</span>
+          </span>
+          <span className="health-latency" title={`Login latency, average ${formatMs(instanceHealth.avgLoginMs)}`}>
+            <span className="health-label">login</span>
+            <Sparkline values={instanceHealth.series.map(point => point.loginMs)} slowMs={health.slowMs} />
+            {formatMs(lastValue(instanceHealth.series, 'loginMs'))}
+          </span>
+          <span className="health-latency" title={`Config list latency, average ${formatMs(instanceHealth.avgConfigListMs)}`}>
+            <span className="health-label">configs</span>
+            <Sparkline values={instanceHealth.series.map(point => point.configListMs)} slowMs={health.slowMs} />
+            {formatMs(lastValue(instanceHealth.series, 'configListMs'))}
           </span>
         </div>
       )}
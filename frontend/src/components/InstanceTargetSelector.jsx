@@ -0,0 +1,42 @@
+import React, { useMemo } from 'react';
+import { useProSBCInstance } from '../contexts/ProSBCInstanceContext';
+import { groupsAndTagsOf, matchesSelector } from '../utils/instanceSelector';
+
+// Group/tag picker for the actions that run on every ProSBC; value is { group, tag }
+const InstanceTargetSelector = ({ value, onChange, disabled = false, className = '' }) => {
+  const { instances } = useProSBCInstance();
+  const active = useMemo(() => (instances || []).filter(instance => instance.isActive !== false), [instances]);
+  const { groups, tags } = useMemo(() => groupsAndTagsOf(active), [active]);
+  const matching = active.filter(instance => matchesSelector(instance, value));
+
+  if (groups.length === 0 && tags.length === 0) return null;
+
+  const selectClass = 'ml-2 bg-gray-700 border border-gray-600 rounded px-2 py-1 text-white';
+  return (
+    <div className={`flex flex-wrap items-center gap-4 text-sm text-gray-300 ${className}`}>
+      {groups.length > 0 && (
+        <label>
+          Group
+          <select value={value.group} onChange={(e) => onChange({ ...value, group: e.target.value })} disabled={disabled} className={selectClass}>
+            <option value="">All groups</option>
+            {groups.map(group => <option key={group} value={group}>{group}</option>)}
+          </select>
+        </label>
+      )}
+      {tags.length > 0 && (
+        <label>
+          Tag
+          <select value={value.tag} onChange={(e) => onChange({ ...value, tag: e.target.value })} disabled={disabled} className={selectClass}>
+            <option value="">Any tag</option>
+            {tags.map(tag => <option key={tag} value={tag}>{tag}</option>)}
+          </select>
+        </label>
+      )}
+      <span className={matching.length === 0 ? 'text-red-400' : 'text-gray-400'} title={matching.map(instance => instance.name).join(', ')}>
+        {matching.length} of {active.length} active instance{active.length === 1 ? '' : 's'}
+      </span>
+    </div>
+  );
+};
+
+export default InstanceTargetSelector;
@@ -0,0 +1,89 @@
+import React from 'react';
+import { isJobFinished } from '../utils/backgroundJobs';
+
+const STATUS_STYLES = {
+  queued: 'text-gray-300',
+  running: 'text-blue-300',
+  succeeded: 'text-green-300',
+  failed: 'text-red-300',
+  cancelled: 'text-yellow-300'
+};
+
+const STEP_ICONS = {
+  running: '🔄',
+  succeeded: '✅',
+  failed: '❌'
+};
+
+// Live progress of a background job (see hooks/useBackgroundJob.js)
+const JobProgress = ({ job, title = 'Background job', onCancel, onClose }) => {
+  if (!job) return null;
+
+  const finished = isJobFinished(job);
+  const barColor = job.status === 'failed' ? 'bg-red-500'
+    : job.status === 'cancelled' ? 'bg-yellow-500'
+    : job.status === 'succeeded' ? 'bg-green-500'
+    : 'bg-blue-500';
+
+  return (
+    <div className="bg-gray-800 border border-gray-600 rounded-lg p-4 my-4 text-left">
+      <div className="flex items-center justify-between mb-2">
+        <div>
+          <span className="font-semibold text-white">{title}</span>
+          <span className="ml-2 text-xs text-gray-400">#{job.id}</span>
+        </div>
+        <span className={`text-sm font-medium ${STATUS_STYLES[job.status] || 'text-gray-300'}`}>
+          {job.status}{job.attempts > 1 ? ` (attempt ${job.attempts}/${job.maxAttempts})` : ''}
+        </span>
+      </div>
+
+      <div className="w-full bg-gray-700 rounded-full h-2 mb-2">
+        <div
+          className={`${barColor} h-2 rounded-full transition-all duration-300`}
+          style={{ width: `${job.status === 'succeeded' ? 100 : job.progress || 0}%` }}
+        />
+      </div>
+
+      <div className="flex items-center justify-between text-sm text-gray-300">
+        <span>{job.error && finished ? job.error : job.message}</span>
+        <span>{job.status === 'succeeded' ? 100 : job.progress || 0}%</span>
+      </div>
+
+      {job.steps && job.steps.length > 0 && (
+        <ul className="mt-3 space-y-1 text-sm">
+          {job.steps.map((step, index) => (
+            <li key={index} className="flex items-start gap-2 text-gray-300">
+              <span>{STEP_ICONS[step.status] || '•'}</span>
+              <span className="flex-1">
+                {step.name}
+                {step.error && <span className="block text-xs text-red-300">{step.error}</span>}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="mt-3 flex justify-end gap-2">
+        {!finished && onCancel && (
+          <button
+            onClick={onCancel}
+            disabled={job.cancelRequested}
+            className="px-3 py-1 text-sm rounded bg-red-700 hover:bg-red-600 disabled:opacity-50 text-white"
+          >
+            {job.cancelRequested ? 'Cancelling...' : 'Cancel'}
+          </button>
+        )}
+        {finished && onClose && (
+          <button
+            onClick={onClose}
+            className="px-3 py-1 text-sm rounded bg-gray-600 hover:bg-gray-500 text-white"
+          >
+            Dismiss
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default JobProgress;
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { getDBHealth } from '../services/apiClient.js';
 import InstanceStatusDisplay from './InstanceStatusDisplay';
+import NotificationBell from './NotificationBell';
 import './Navbar.css';
 
 const Navbar = ({ onLoginClick, isDashboardAuth, onLogout, onShowProfile }) => {
@@ -25,6 +26,12 @@ const Navbar = ({ onLoginClick, isDashboardAuth, onLogout, onShowProfile }) => {
 
           {/* Login/Logout Button and Profile */}
           <div className="flex items-center space-x-4">
+            {isDashboardAuth && (
+              <>
+                <InstanceStatusDisplay />
+                <NotificationBell />
+              </>
+            )}
             {!isDashboardAuth ? (
               <button
                 className="ml-4 px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 transition"
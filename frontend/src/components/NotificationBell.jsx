@@ -0,0 +1,83 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { fetchNotifications, getNotificationsSeenAt, markNotificationsSeen } from '../utils/instanceHealth';
+
+const REFRESH_MS = 60000;
+
+const SEVERITY_COLORS = {
+  critical: 'text-red-400',
+  warning: 'text-yellow-400',
+  info: 'text-green-400'
+};
+
+// Instance down/recovered notifications; the badge counts the ones not seen since the list was last opened
+const NotificationBell = () => {
+  const [notifications, setNotifications] = useState([]);
+  const [seenAt, setSeenAt] = useState(getNotificationsSeenAt);
+  const [isOpen, setIsOpen] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      setNotifications(await fetchNotifications());
+    } catch {
+      // Try again on the next refresh
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+    const timer = setInterval(load, REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [load]);
+
+  const unread = notifications.filter(notification => !seenAt || new Date(notification.createdAt) > new Date(seenAt)).length;
+
+  const toggle = () => {
+    if (!isOpen) {
+      load();
+      const now = new Date().toISOString();
+      markNotificationsSeen(now);
+      setSeenAt(now);
+    }
+    setIsOpen(!isOpen);
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={toggle}
+        className="relative text-gray-300 hover:text-white rounded-full p-2 transition-all duration-200 hover:bg-gray-700 focus:outline-none"
+        title="Notifications"
+      >
+        <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 20 20">
+          <path d="M10 2a6 6 0 00-6 6v3.586l-.707.707A1 1 0 004 14h12a1 1 0 00.707-1.707L16 11.586V8a6 6 0 00-6-6zM10 18a3 3 0 01-3-3h6a3 3 0 01-3 3z" />
+        </svg>
+        {unread > 0 && (
+          <span className="absolute top-0 right-0 min-w-[1.1rem] px-1 text-xs font-bold text-white bg-red-600 rounded-full">
+            {unread > 9 ? '9+' : unread}
+          </span>
+        )}
+      </button>
+      {isOpen && (
+        <>
+          <div className="fixed inset-0 z-40" onClick={() => setIsOpen(false)}></div>
+          <div className="absolute right-0 mt-2 w-96 max-h-96 overflow-y-auto z-50 bg-gray-800 border border-gray-700 rounded-lg shadow-xl">
+            <div className="px-4 py-2 border-b border-gray-700 text-sm font-semibold text-white">Notifications</div>
+            {notifications.length === 0 ? (
+              <div className="px-4 py-6 text-sm text-gray-400 text-center">No notifications</div>
+            ) : notifications.map(notification => (
+              <div key={notification.id} className="px-4 py-2 border-b border-gray-700 last:border-b-0">
+                <div className={`text-sm font-medium ${SEVERITY_COLORS[notification.severity] || 'text-gray-200'}`}>
+                  {notification.title}
+                </div>
+                {notification.message && <div className="text-xs text-gray-300 break-words">{notification.message}</div>}
+                <div className="text-xs text-gray-500">{new Date(notification.createdAt).toLocaleString()}</div>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+
+// Results of a prefix/range/pattern search: counts per instance and file plus the matching numbers
+const NumberPatternResults = ({ results }) => {
+  const [expanded, setExpanded] = useState({});
+
+  if (!results || results.length === 0) return null;
+
+  return (
+    <div className="space-y-4">
+      {results.map((result, index) => (
+        <div key={`${result.query}-${index}`} className="bg-gray-900 rounded-lg border border-gray-700 p-4">
+          <div className="flex justify-between items-center mb-3">
+            <span className="text-white font-mono font-semibold">{result.query}</span>
+            {result.found ? (
+              <span className="text-green-400 font-semibold">
+                {result.total.toLocaleString()} number{result.total === 1 ? '' : 's'} in {result.files.length} file{result.files.length === 1 ? '' : 's'}
+              </span>
+            ) : (
+              <span className="text-red-400 font-semibold">Not Found</span>
+            )}
+          </div>
+
+          {result.found && (
+            <>
+              <div className="flex flex-wrap gap-2 mb-3">
+                {result.instances.map(instance => (
+                  <span key={instance.prosbc_instance_id} className="bg-purple-900 text-purple-200 text-sm px-3 py-1 rounded-full">
+                    {instance.prosbc_instance_name || instance.prosbc_instance_id}: {instance.count.toLocaleString()}
+                  </span>
+                ))}
+              </div>
+
+              <table className="w-full text-sm mb-3">
+                <thead>
+                  <tr className="text-gray-400 text-left">
+                    <th className="py-1">File</th>
+                    <th className="py-1">Instance</th>
+                    <th className="py-1 text-right">Matches</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.files.map(file => (
+                    <tr key={`${file.prosbc_instance_id}-${file.dm_file_id}`} className="border-t border-gray-700">
+                      <td className="py-1 text-blue-400">{file.file_name}</td>
+                      <td className="py-1 text-gray-300">{file.prosbc_instance_name}</td>
+                      <td className="py-1 text-right text-white">{file.count.toLocaleString()}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <button
+                onClick={() => setExpanded(prev => ({ ...prev, [index]: !prev[index] }))}
+                className="text-sm text-blue-400 hover:text-blue-300"
+              >
+                {expanded[index] ? 'Hide numbers' : `Show numbers${result.truncated ? ` (first ${result.matches.length})` : ''}`}
+              </button>
+              {expanded[index] && (
+                <div className="mt-2 max-h-64 overflow-y-auto grid grid-cols-1 md:grid-cols-2 gap-1 text-sm">
+                  {result.matches.map((match, matchIndex) => (
+                    <div key={matchIndex} className="text-gray-300">
+                      <span className="font-mono text-white">{match.raw_number || match.number}</span>
+                      <span className="text-gray-500"> {match.file_name}{match.routeset_name ? ` → ${match.routeset_name}` : ''}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default NumberPatternResults;
@@ -1,6 +1,18 @@
 import React, { useState, useEffect } from 'react';
 import './ProSBCInstanceManager.css';
 
+const EMPTY_INSTANCE = {
+  name: '',
+  baseUrl: '',
+  username: '',
+  password: '',
+  location: '',
+  description: '',
+  group: '',
+  tags: '',
+  isActive: true
+};
+
 const ProSBCInstanceManager = () => {
   const [instances, setInstances] = useState([]);
   const [selectedInstanceId, setSelectedInstanceId] = useState(null);
@@ -10,16 +22,9 @@ const ProSBCInstanceManager = () => {
   const [showAddForm, setShowAddForm] = useState(false);
   const [operationStatus, setOperationStatus] = useState(null);
 
-  // New instance form state
-  const [newInstance, setNewInstance] = useState({
-    name: '',
-    baseUrl: '',
-    username: '',
-    password: '',
-    location: '',
-    description: '',
-    isActive: true
-  });
+  // New instance form state; editingId is set when the form edits an existing instance
+  const [newInstance, setNewInstance] = useState(EMPTY_INSTANCE);
+  const [editingId, setEditingId] = useState(null);
 
   // Helper function to get auth headers
   const getAuthHeaders = () => {
@@ -59,35 +64,61 @@ const ProSBCInstanceManager = () => {
     setSelectedInstance(instance);
   };
 
+  const openAddForm = () => {
+    setEditingId(null);
+    setNewInstance(EMPTY_INSTANCE);
+    setShowAddForm(true);
+  };
+
+  // Tags are edited as a comma separated list; the password is only sent when changed
+  const openEditForm = (instance) => {
+    setEditingId(instance.id);
+    setNewInstance({
+      ...EMPTY_INSTANCE,
+      name: instance.name || '',
+      baseUrl: instance.baseUrl || '',
+      username: instance.username || '',
+      location: instance.location || '',
+      description: instance.description || '',
+      group: instance.group || '',
+      tags: (instance.tags || []).join(', '),
+      isActive: instance.isActive !== false
+    });
+    setShowAddForm(true);
+  };
+
+  const closeForm = () => {
+    setShowAddForm(false);
+    setEditingId(null);
+  };
+
   const handleAddInstance = async (e) => {
     e.preventDefault();
     
     try {
-      setOperationStatus({ type: 'loading', message: 'Adding instance...' });
-      
-      const response = await fetch('/backend/api/prosbc-instances', {
-        method: 'POST',
+      setOperationStatus({ type: 'loading', message: editingId ? 'Saving instance...' : 'Adding instance...' });
+
+      const { password, ...fields } = newInstance;
+      const payload = {
+        ...fields,
+        tags: newInstance.tags.split(',').map(tag => tag.trim()).filter(Boolean),
+        ...(password ? { password } : {})
+      };
+      const response = await fetch(editingId ? `/backend/api/prosbc-instances/${editingId}` : '/backend/api/prosbc-instances', {
+        method: editingId ? 'PUT' : 'POST',
         headers: getAuthHeaders(),
-        body: JSON.stringify(newInstance),
+        body: JSON.stringify(payload),
       });
       
       const result = await response.json();
       
       if (result.success) {
-        setOperationStatus({ type: 'success', message: 'Instance added successfully!' });
-        setShowAddForm(false);
-        setNewInstance({
-          name: '',
-          baseUrl: '',
-          username: '',
-          password: '',
-          location: '',
-          description: '',
-          isActive: true
-        });
+        setOperationStatus({ type: 'success', message: editingId ? 'Instance saved successfully!' : 'Instance added successfully!' });
+        closeForm();
+        setNewInstance(EMPTY_INSTANCE);
         fetchInstances();
       } else {
-        throw new Error(result.message || 'Failed to add instance');
+        throw new Error(result.error || result.message || 'Failed to save instance');
       }
     } catch (err) {
       setOperationStatus({ type: 'error', message: err.message });
@@ -205,7 +236,7 @@ const ProSBCInstanceManager = () => {
         <div className="action-buttons">
           <button 
             className="btn btn-primary"
-            onClick={() => setShowAddForm(true)}
+            onClick={openAddForm}
           >
             ➕ Add New Instance
           </button>
@@ -233,10 +264,10 @@ const ProSBCInstanceManager = () => {
         <div className="modal-overlay">
           <div className="modal-content">
             <div className="modal-header">
-              <h3>Add New ProSBC Instance</h3>
+              <h3>{editingId ? `Edit ${newInstance.name || editingId}` : 'Add New ProSBC Instance'}</h3>
               <button 
                 className="close-modal"
-                onClick={() => setShowAddForm(false)}
+                onClick={closeForm}
               >
                 ×
               </button>
@@ -290,17 +321,39 @@ const ProSBCInstanceManager = () => {
                 </div>
                 
                 <div className="form-group">
-                  <label>Password *</label>
+                  <label>Password {editingId ? '' : '*'}</label>
                   <input
                     type="password"
                     value={newInstance.password}
                     onChange={(e) => setNewInstance({...newInstance, password: e.target.value})}
-                    placeholder="••••••••"
-                    required
+                    placeholder={editingId ? 'Unchanged' : '••••••••'}
+                    required={!editingId}
                   />
                 </div>
               </div>
               
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Group</label>
+                  <input
+                    type="text"
+                    value={newInstance.group}
+                    onChange={(e) => setNewInstance({...newInstance, group: e.target.value})}
+                    placeholder="e.g., east-coast"
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label>Tags</label>
+                  <input
+                    type="text"
+                    value={newInstance.tags}
+                    onChange={(e) => setNewInstance({...newInstance, tags: e.target.value})}
+                    placeholder="e.g., lab, staging"
+                  />
+                </div>
+              </div>
+
               <div className="form-group">
                 <label>Description</label>
                 <textarea
@@ -324,11 +377,11 @@ const ProSBCInstanceManager = () => {
               </div>
               
               <div className="form-actions">
-                <button type="button" className="btn btn-secondary" onClick={() => setShowAddForm(false)}>
+                <button type="button" className="btn btn-secondary" onClick={closeForm}>
                   Cancel
                 </button>
                 <button type="submit" className="btn btn-primary">
-                  Add Instance
+                  {editingId ? 'Save Instance' : 'Add Instance'}
                 </button>
               </div>
             </form>
@@ -369,6 +422,14 @@ const ProSBCInstanceManager = () => {
                       {instance.isActive ? '🔴' : '🟢'}
                     </button>
                     
+                    <button
+                      className="toggle-btn"
+                      onClick={() => openEditForm(instance)}
+                      title="Edit instance"
+                    >
+                      ✏️
+                    </button>
+
                     <button
                       className="delete-btn"
                       onClick={() => handleDeleteInstance(instance.id, instance.name)}
@@ -385,6 +446,15 @@ const ProSBCInstanceManager = () => {
                     <span className="value">{instance.location || 'Not specified'}</span>
                   </div>
                   
+                  {(instance.group || instance.tags?.length > 0) && (
+                    <div className="info-item">
+                      <span className="label">Group / tags:</span>
+                      <span className="value">
+                        {[instance.group, ...(instance.tags || []).map(tag => `#${tag}`)].filter(Boolean).join(' ')}
+                      </span>
+                    </div>
+                  )}
+
                   <div className="info-item">
                     <span className="label">URL:</span>
                     <span className="value url">{instance.baseUrl}</span>
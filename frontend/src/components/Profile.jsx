@@ -1,6 +1,8 @@
 // Helper to get auth headers
 
 import React, { useState } from 'react';
+import TwoFactorSettings from './TwoFactorSettings';
+import SessionsPanel from './SessionsPanel';
 
 const Profile = ({ user, onUpdate }) => {
   const [editing, setEditing] = useState(false);
@@ -58,7 +60,7 @@ const getAuthHeaders = () => {
           </div>
           <div>
             <h2 className="text-xl font-bold text-white">Profile</h2>
-            <div className="text-xs text-gray-400">Dashboard User</div>
+            <div className="text-xs text-gray-400">{user.role ? `Dashboard ${user.role}` : 'Dashboard User'}</div>
           </div>
         </div>
         <div className="mb-4">
@@ -86,6 +88,8 @@ const getAuthHeaders = () => {
             <button className="bg-blue-600 text-white px-3 py-1.5 rounded hover:bg-blue-700 text-sm" onClick={handleEdit}>Edit</button>
           )}
         </div>
+        <TwoFactorSettings />
+        <SessionsPanel />
         {/* Add close button at top right of card */}
         <button
           className="absolute top-2 right-2 text-gray-400 hover:text-white text-xl"
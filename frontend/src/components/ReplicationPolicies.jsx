@@ -0,0 +1,416 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useProSBCInstance } from '../contexts/ProSBCInstanceContext';
+import { hasRole } from '../utils/permissions';
+import {
+  listReplicationPolicies,
+  saveReplicationPolicy,
+  deleteReplicationPolicy,
+  listReplicationRuns,
+  retryReplicationRun,
+  listReplicationConflicts,
+  dismissReplicationConflict
+} from '../utils/replication';
+
+const FILE_TYPE_LABELS = { routesets_definitions: 'DF', routesets_digitmaps: 'DM' };
+
+const RUN_STATUS_CLASSES = {
+  queued: 'bg-gray-600',
+  running: 'bg-blue-600',
+  succeeded: 'bg-green-600',
+  partial: 'bg-orange-600',
+  failed: 'bg-red-600'
+};
+
+const TARGET_STATUS_CLASSES = {
+  pending: 'border-gray-600 text-gray-300',
+  running: 'border-blue-600 text-blue-300',
+  succeeded: 'border-green-700 text-green-300',
+  failed: 'border-red-700 text-red-300',
+  conflict: 'border-yellow-600 text-yellow-300',
+  skipped: 'border-gray-700 text-gray-500'
+};
+
+const CONFLICT_KIND_LABELS = {
+  'replica-edit': 'Saved on the replica',
+  diverged: 'Changed on ProSBC'
+};
+
+const POLL_INTERVAL_MS = 5000;
+
+const EMPTY_POLICY = { name: '', description: '', sourceInstanceId: '', sourceConfigId: '', targets: [], filePatterns: '*_DM.csv', enabled: true };
+
+// Create or edit a policy (admin)
+const PolicyForm = ({ policy, instances, onSave, onCancel }) => {
+  const [form, setForm] = useState({
+    ...policy,
+    sourceConfigId: policy.sourceConfigId || '',
+    targets: policy.targets.map(target => target.instanceId),
+    filePatterns: Array.isArray(policy.filePatterns) ? policy.filePatterns.join(', ') : policy.filePatterns
+  });
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const toggleTarget = (instanceId) => setForm(current => ({
+    ...current,
+    targets: current.targets.includes(instanceId)
+      ? current.targets.filter(id => id !== instanceId)
+      : [...current.targets, instanceId]
+  }));
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    try {
+      await onSave({
+        ...form,
+        sourceConfigId: form.sourceConfigId || null,
+        // A replica keeps the configuration it had on the policy
+        targets: form.targets.map(instanceId => policy.targets.find(target => target.instanceId === instanceId) || { instanceId }),
+        filePatterns: form.filePatterns.split(',').map(pattern => pattern.trim()).filter(Boolean)
+      });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={submit} className="bg-gray-900 border border-gray-700 rounded-lg p-4 mb-4 space-y-3 text-sm text-gray-300">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <label className="block">
+          <span className="text-gray-400">Name</span>
+          <input
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            className="mt-1 w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+            required
+          />
+        </label>
+        <label className="block">
+          <span className="text-gray-400">File name patterns (comma separated)</span>
+          <input
+            value={form.filePatterns}
+            onChange={(e) => setForm({ ...form, filePatterns: e.target.value })}
+            placeholder="*_DM.csv, CS1_DF.csv"
+            className="mt-1 w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white font-mono"
+            required
+          />
+        </label>
+        <label className="block">
+          <span className="text-gray-400">Primary instance</span>
+          <select
+            value={form.sourceInstanceId}
+            onChange={(e) => setForm({ ...form, sourceInstanceId: e.target.value, targets: form.targets.filter(id => id !== e.target.value) })}
+            className="mt-1 w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+            required
+          >
+            <option value="">Select…</option>
+            {instances.map(instance => <option key={instance.id} value={String(instance.id)}>{instance.name}</option>)}
+          </select>
+        </label>
+        <label className="block">
+          <span className="text-gray-400">Primary configuration (empty: any)</span>
+          <input
+            value={form.sourceConfigId}
+            onChange={(e) => setForm({ ...form, sourceConfigId: e.target.value })}
+            className="mt-1 w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+          />
+        </label>
+      </div>
+      <div>
+        <span className="text-gray-400">Replicas</span>
+        <div className="flex flex-wrap gap-3 mt-1">
+          {instances.filter(instance => String(instance.id) !== form.sourceInstanceId).map(instance => (
+            <label key={instance.id} className="flex items-center gap-2">
+              <input type="checkbox" checked={form.targets.includes(String(instance.id))} onChange={() => toggleTarget(String(instance.id))} />
+              {instance.name}
+            </label>
+          ))}
+        </div>
+      </div>
+      <label className="block">
+        <span className="text-gray-400">Description</span>
+        <input
+          value={form.description || ''}
+          onChange={(e) => setForm({ ...form, description: e.target.value })}
+          className="mt-1 w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+        />
+      </label>
+      <label className="flex items-center gap-2">
+        <input type="checkbox" checked={form.enabled} onChange={(e) => setForm({ ...form, enabled: e.target.checked })} />
+        Enabled
+      </label>
+      {error && <div className="bg-red-900/30 border border-red-700 text-red-300 rounded-lg p-3">{error}</div>}
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className="px-4 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 text-white">Cancel</button>
+        <button type="submit" disabled={saving} className="px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white">
+          {saving ? 'Saving…' : 'Save policy'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Primary/replica replication: policies, recent runs with per-replica status, and replica conflicts
+const ReplicationPolicies = ({ currentUser }) => {
+  const { instances } = useProSBCInstance();
+  const [policies, setPolicies] = useState([]);
+  const [runs, setRuns] = useState([]);
+  const [conflicts, setConflicts] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const isAdmin = currentUser?.role === 'admin';
+
+  const nameOf = useCallback((instanceId) =>
+    instances.find(instance => String(instance.id) === String(instanceId))?.name || instanceId, [instances]);
+
+  const load = useCallback(async () => {
+    try {
+      const [policyList, runList, conflictList] = await Promise.all([
+        listReplicationPolicies(),
+        listReplicationRuns(),
+        listReplicationConflicts()
+      ]);
+      setPolicies(policyList.policies);
+      setRuns(runList);
+      setConflicts(conflictList);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // Follow runs that are still replicating
+  const hasActiveRuns = runs.some(run => ['queued', 'running'].includes(run.status));
+  useEffect(() => {
+    if (!hasActiveRuns) return undefined;
+    const timer = setInterval(load, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [hasActiveRuns, load]);
+
+  const act = async (action, successMessage) => {
+    setError(null);
+    setMessage(null);
+    try {
+      await action();
+      setMessage(successMessage);
+      await load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const savePolicy = async (policy) => {
+    await saveReplicationPolicy(policy);
+    setEditing(null);
+    setMessage(`Policy "${policy.name}" saved.`);
+    await load();
+  };
+
+  const removePolicy = (policy) => {
+    if (!window.confirm(`Delete the replication policy "${policy.name}"? Files are no longer copied to its replicas.`)) return;
+    act(() => deleteReplicationPolicy(policy.id), `Policy "${policy.name}" deleted.`);
+  };
+
+  const retry = (run, target, force = false) => {
+    if (force && !window.confirm(`Overwrite ${run.fileName} on ${nameOf(target.instanceId)}? Its own changes are lost.`)) return;
+    act(
+      () => retryReplicationRun(run.id, { instanceId: target?.instanceId, force }),
+      target ? `Retrying ${run.fileName} on ${nameOf(target.instanceId)}.` : `Retrying run #${run.id}.`
+    );
+  };
+
+  // The newest run of a file, for overwriting a conflicting replica from the conflicts list
+  const latestRunOf = (conflict) => runs.find(run =>
+    run.policyId === conflict.policyId && run.fileName === conflict.fileName && run.fileType === conflict.fileType);
+
+  const policyName = (policyId) => policies.find(policy => policy.id === policyId)?.name || `#${policyId}`;
+
+  return (
+    <div className="bg-gray-800 rounded-xl border border-gray-700 p-6 space-y-8">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h2 className="text-2xl font-semibold text-white">Replication</h2>
+          <p className="text-gray-400 text-sm">
+            Files saved on a primary instance are copied to its replicas. Edits made directly on a replica are reported as conflicts
+            and are not overwritten until someone decides.
+          </p>
+        </div>
+        {isAdmin && !editing && (
+          <button onClick={() => setEditing(EMPTY_POLICY)} className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg shrink-0">
+            New policy
+          </button>
+        )}
+      </div>
+
+      {error && <div className="bg-red-900/30 border border-red-700 text-red-300 rounded-lg p-3">{error}</div>}
+      {message && <div className="bg-green-900/30 border border-green-700 text-green-300 rounded-lg p-3">{message}</div>}
+
+      <section>
+        <h3 className="text-lg font-semibold text-white mb-3">Policies</h3>
+        {editing && <PolicyForm policy={editing} instances={instances} onSave={savePolicy} onCancel={() => setEditing(null)} />}
+        <table className="w-full text-left text-sm">
+          <thead>
+            <tr className="text-gray-400 border-b border-gray-700">
+              <th className="py-2">Name</th>
+              <th className="py-2">Primary</th>
+              <th className="py-2">Replicas</th>
+              <th className="py-2">Files</th>
+              <th className="py-2">Status</th>
+              {isAdmin && <th className="py-2" />}
+            </tr>
+          </thead>
+          <tbody>
+            {policies.length === 0 && (
+              <tr><td colSpan={6} className="py-4 text-gray-500">No replication policies.</td></tr>
+            )}
+            {policies.map(policy => (
+              <tr key={policy.id} className="border-b border-gray-700 text-gray-300">
+                <td className="py-2">
+                  {policy.name}
+                  {policy.description && <div className="text-xs text-gray-500">{policy.description}</div>}
+                </td>
+                <td className="py-2">
+                  {nameOf(policy.sourceInstanceId)}
+                  {policy.sourceConfigId && <span className="text-xs text-gray-500"> · config {policy.sourceConfigId}</span>}
+                </td>
+                <td className="py-2">{policy.targets.map(target => nameOf(target.instanceId)).join(', ')}</td>
+                <td className="py-2 font-mono text-xs">{policy.filePatterns.join(', ')}</td>
+                <td className="py-2">{policy.enabled ? <span className="text-green-400">enabled</span> : <span className="text-gray-500">disabled</span>}</td>
+                {isAdmin && (
+                  <td className="py-2 text-right whitespace-nowrap">
+                    <button onClick={() => setEditing(policy)} className="text-blue-400 hover:text-blue-300 mr-3">Edit</button>
+                    <button onClick={() => removePolicy(policy)} className="text-red-400 hover:text-red-300">Delete</button>
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+
+      <section>
+        <h3 className="text-lg font-semibold text-white mb-3">
+          Conflicts {conflicts.length > 0 && <span className="text-yellow-400">({conflicts.length} open)</span>}
+        </h3>
+        {conflicts.length === 0 ? (
+          <div className="text-gray-500 text-sm">Every replica holds what replication last wrote.</div>
+        ) : (
+          <table className="w-full text-left text-sm">
+            <thead>
+              <tr className="text-gray-400 border-b border-gray-700">
+                <th className="py-2">Replica</th>
+                <th className="py-2">File</th>
+                <th className="py-2">Policy</th>
+                <th className="py-2">Found</th>
+                <th className="py-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {conflicts.map(conflict => {
+                const run = latestRunOf(conflict);
+                const canWrite = hasRole(currentUser, 'operator', conflict.instanceId);
+                return (
+                  <tr key={conflict.id} className="border-b border-gray-700 text-gray-300">
+                    <td className="py-2">{nameOf(conflict.instanceId)}</td>
+                    <td className="py-2 break-all">
+                      <span className="text-xs text-gray-500 mr-1">{FILE_TYPE_LABELS[conflict.fileType]}</span>{conflict.fileName}
+                    </td>
+                    <td className="py-2">{policyName(conflict.policyId)}</td>
+                    <td className="py-2">
+                      {CONFLICT_KIND_LABELS[conflict.kind]}
+                      {conflict.detectedBy && conflict.detectedBy !== 'replication' && <span className="text-gray-500"> by {conflict.detectedBy}</span>}
+                      <div className="text-xs text-gray-500">{new Date(conflict.updatedAt).toLocaleString()}</div>
+                    </td>
+                    <td className="py-2 text-right whitespace-nowrap">
+                      {canWrite && run && (
+                        <button onClick={() => retry(run, { instanceId: conflict.instanceId }, true)} className="text-orange-400 hover:text-orange-300 mr-3">
+                          Overwrite from primary
+                        </button>
+                      )}
+                      {canWrite && (
+                        <button
+                          onClick={() => act(() => dismissReplicationConflict(conflict.id), `Kept the replica's ${conflict.fileName}.`)}
+                          className="text-gray-300 hover:text-white"
+                        >
+                          Keep replica
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </section>
+
+      <section>
+        <h3 className="text-lg font-semibold text-white mb-3">Recent runs</h3>
+        <table className="w-full text-left text-sm">
+          <thead>
+            <tr className="text-gray-400 border-b border-gray-700">
+              <th className="py-2">#</th>
+              <th className="py-2">File</th>
+              <th className="py-2">Policy</th>
+              <th className="py-2">Saved by</th>
+              <th className="py-2">Status</th>
+              <th className="py-2">Replicas</th>
+            </tr>
+          </thead>
+          <tbody>
+            {runs.length === 0 && (
+              <tr><td colSpan={6} className="py-4 text-gray-500">Nothing replicated yet.</td></tr>
+            )}
+            {runs.map(run => (
+              <tr key={run.id} className="border-b border-gray-700 text-gray-300 align-top">
+                <td className="py-2">{run.id}</td>
+                <td className="py-2 break-all">
+                  <span className="text-xs text-gray-500 mr-1">{FILE_TYPE_LABELS[run.fileType]}</span>{run.fileName}
+                  <div className="text-xs text-gray-500">{new Date(run.createdAt).toLocaleString()}</div>
+                </td>
+                <td className="py-2">{policyName(run.policyId)}</td>
+                <td className="py-2">{run.triggeredBy || '—'}</td>
+                <td className="py-2">
+                  <span className={`px-2 py-0.5 rounded text-xs text-white ${RUN_STATUS_CLASSES[run.status] || 'bg-gray-600'}`}>{run.status}</span>
+                </td>
+                <td className="py-2">
+                  <div className="flex flex-wrap gap-2">
+                    {run.targets.map(target => {
+                      const canRetry = ['failed', 'conflict'].includes(target.status) && !['queued', 'running'].includes(run.status) &&
+                        hasRole(currentUser, 'operator', target.instanceId);
+                      return (
+                        <div key={target.instanceId} className={`border rounded px-2 py-1 text-xs ${TARGET_STATUS_CLASSES[target.status] || ''}`} title={target.error || undefined}>
+                          {nameOf(target.instanceId)}: {target.status}
+                          {target.action === 'uploaded' && ' (uploaded)'}
+                          {target.attempts > 1 && ` · ${target.attempts} attempts`}
+                          {canRetry && (
+                            <button
+                              onClick={() => retry(run, target, target.status === 'conflict')}
+                              className="ml-2 underline hover:text-white"
+                            >
+                              {target.status === 'conflict' ? 'Overwrite' : 'Retry'}
+                            </button>
+                          )}
+                          {target.error && <div className="text-gray-400 max-w-xs">{target.error}</div>}
+                        </div>
+                      );
+                    })}
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+    </div>
+  );
+};
+
+export default ReplicationPolicies;
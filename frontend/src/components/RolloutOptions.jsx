@@ -0,0 +1,55 @@
+import React, { useMemo } from 'react';
+import { useProSBCInstance } from '../contexts/ProSBCInstanceContext';
+import { matchesSelector } from '../utils/instanceSelector';
+
+// Staged rollout settings for the upload to all; value is DEFAULT_ROLLOUT_OPTIONS shaped
+const RolloutOptions = ({ value, onChange, selector, disabled = false }) => {
+  const { instances } = useProSBCInstance();
+  const targets = useMemo(
+    () => (instances || []).filter(instance => instance.isActive !== false && matchesSelector(instance, selector)),
+    [instances, selector]
+  );
+  const set = (field) => (e) => onChange({ ...value, [field]: e.target.type === 'checkbox' ? e.target.checked : e.target.value });
+  const setNumber = (field, min) => (e) => onChange({ ...value, [field]: Math.max(parseInt(e.target.value, 10) || min, min) });
+
+  const rest = Math.max(targets.length - 1, 0);
+  const waves = Math.ceil(rest / Math.max(value.waveSize, 1));
+  const inputClass = 'ml-2 bg-gray-700 border border-gray-600 rounded px-2 py-1 text-white';
+
+  return (
+    <div className="text-sm text-gray-300 space-y-3">
+      <label className="flex items-center justify-center gap-2">
+        <input type="checkbox" checked={value.enabled} onChange={set('enabled')} disabled={disabled} />
+        Staged rollout: canary first, then waves, halting on failures
+      </label>
+      {value.enabled && (
+        <div className="flex flex-wrap items-center justify-center gap-4 bg-gray-900/40 border border-gray-700 rounded-lg p-3">
+          <label>
+            Canary
+            <select value={value.canaryInstanceId} onChange={set('canaryInstanceId')} disabled={disabled} className={inputClass}>
+              <option value="">{targets[0] ? `First (${targets[0].name})` : 'First instance'}</option>
+              {targets.map(instance => <option key={instance.id} value={instance.id}>{instance.name}</option>)}
+            </select>
+          </label>
+          <label>
+            Wave size
+            <input type="number" min="1" value={value.waveSize} onChange={setNumber('waveSize', 1)} disabled={disabled} className={`${inputClass} w-16`} />
+          </label>
+          <label title="Failed instances tolerated before the rollout halts; a failed canary always halts it">
+            Max failures
+            <input type="number" min="0" value={value.maxFailures} onChange={setNumber('maxFailures', 0)} disabled={disabled} className={`${inputClass} w-16`} />
+          </label>
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={value.autoRevert} onChange={set('autoRevert')} disabled={disabled} />
+            Revert automatically when halted
+          </label>
+          <span className="text-gray-400">
+            1 canary + {rest} instance{rest === 1 ? '' : 's'} in {waves} wave{waves === 1 ? '' : 's'}
+          </span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RolloutOptions;
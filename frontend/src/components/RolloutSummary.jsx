@@ -0,0 +1,58 @@
+import React from 'react';
+
+const STATUS_COLORS = {
+  succeeded: 'text-green-400',
+  failed: 'text-red-400',
+  skipped: 'text-gray-500',
+  reverted: 'text-yellow-400',
+  'revert-failed': 'text-red-400'
+};
+
+// Per-instance outcome of a staged rollout, with the revert it offers once halted
+const RolloutSummary = ({ rollout, onRevert, reverting = false, onClose }) => {
+  if (!rollout) return null;
+  const waves = [...new Set(rollout.targets.map(target => target.wave))].sort((a, b) => a - b);
+
+  return (
+    <div className="bg-gray-800 rounded-2xl p-6 shadow-lg border border-gray-700 mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-white">
+          Rollout #{rollout.rolloutId}: <span className={rollout.status === 'succeeded' ? 'text-green-400' : 'text-red-400'}>{rollout.status}</span>
+        </h3>
+        <div className="flex gap-2">
+          {rollout.revertable && onRevert && (
+            <button
+              onClick={onRevert}
+              disabled={reverting}
+              className="px-4 py-2 rounded bg-yellow-600 hover:bg-yellow-700 text-white text-sm disabled:opacity-50"
+            >
+              {reverting ? 'Reverting...' : 'Revert updated instances'}
+            </button>
+          )}
+          {onClose && (
+            <button onClick={onClose} className="px-3 py-2 rounded bg-gray-700 hover:bg-gray-600 text-gray-200 text-sm">Close</button>
+          )}
+        </div>
+      </div>
+      {rollout.haltReason && <p className="text-sm text-red-300 mb-3">{rollout.haltReason}</p>}
+      <div className="space-y-2">
+        {waves.map(wave => (
+          <div key={wave} className="text-sm">
+            <div className="text-gray-400 mb-1">{wave === 0 ? 'Canary' : `Wave ${wave}`}</div>
+            {rollout.targets.filter(target => target.wave === wave).map(target => (
+              <div key={target.instanceId} className="flex gap-3 pl-3">
+                <span className="text-gray-200 w-40 truncate">{target.name}</span>
+                <span className={STATUS_COLORS[target.status] || 'text-gray-300'}>{target.status}</span>
+                {target.action === 'none' && <span className="text-gray-500">already up to date</span>}
+                {target.error && <span className="text-red-300 break-words">{target.error}</span>}
+                {target.revertError && <span className="text-red-300 break-words">Revert: {target.revertError}</span>}
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default RolloutSummary;
@@ -1,6 +1,8 @@
 
 import React, { useState, useEffect } from 'react';
 import { useProSBCInstance } from '../contexts/ProSBCInstanceContext.jsx';
+import { useBackgroundJob } from '../hooks/useBackgroundJob';
+import JobProgress from './JobProgress';
 
 const RoutesetMapping = ({ onAuthError }) => {
   const [mappings, setMappings] = useState([]);
@@ -11,6 +13,7 @@ const RoutesetMapping = ({ onAuthError }) => {
   const [availableFiles, setAvailableFiles] = useState({ definitions: [], digitmaps: [] });
   const [saving, setSaving] = useState(false);
   const [generating, setGenerating] = useState(false);
+  const generateJob = useBackgroundJob();
   const [successMessage, setSuccessMessage] = useState('');
   
   // Configuration management state
@@ -213,17 +216,15 @@ const RoutesetMapping = ({ onAuthError }) => {
       setError(null);
       setSuccessMessage('');
       console.log('Starting routing database generation...');
-      const res = await fetch('/backend/api/routeset-mapping/generate-database', { method: 'POST', headers: getAuthHeaders() });
-      if (!res.ok) throw new Error(await res.text());
-      const result = await res.json();
-      if (result.success) {
+      const result = await generateJob.run('/backend/api/routeset-mapping/generate-database', { headers: getAuthHeaders() });
+      if (result?.success) {
         setSuccessMessage(result.message || 'Route database was generated successfully');
         console.log('Generation completed successfully:', result);
         if (result.response) {
           console.log('Server response:', result.response);
         }
       } else {
-        throw new Error(result.message || 'Generation failed with unknown error');
+        throw new Error(result?.message || 'Generation failed with unknown error');
       }
       setTimeout(() => setSuccessMessage(''), 5000);
     } catch (err) {
@@ -720,6 +721,8 @@ const RoutesetMapping = ({ onAuthError }) => {
               </span>
             )}
           </p>
+
+          <JobProgress job={generateJob.job} title="Generate Routing Database" onCancel={generateJob.cancel} onClose={generateJob.reset} />
         </div>
       </div>
 
@@ -0,0 +1,139 @@
+import React, { useState, useEffect, useCallback } from 'react';
+
+const getAuthHeaders = () => {
+  const token = localStorage.getItem('dashboard_token');
+  return {
+    'Authorization': token ? `Bearer ${token}` : '',
+    'Content-Type': 'application/json'
+  };
+};
+
+// /auth answers { message } on errors, /users answers { success, error }
+const request = async (url, options = {}) => {
+  const response = await fetch(url, { ...options, headers: getAuthHeaders() });
+  const data = await response.json();
+  if (!response.ok || data.success === false) throw new Error(data.error || data.message || `Request failed (${response.status})`);
+  return data;
+};
+
+const timeAgo = (value) => {
+  const minutes = Math.round((Date.now() - new Date(value).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 24 * 60) return `${Math.round(minutes / 60)} h ago`;
+  return new Date(value).toLocaleDateString();
+};
+
+// Active dashboard sessions: the user's own (profile card) or everyone's (allUsers, admins)
+const SessionsPanel = ({ allUsers = false }) => {
+  const [sessions, setSessions] = useState([]);
+  const [error, setError] = useState(null);
+  const base = allUsers ? '/backend/api/users/sessions' : '/backend/api/auth/sessions';
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const data = await request(base);
+      setSessions(data.sessions);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [base]);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const run = async (action) => {
+    try {
+      await action();
+      await fetchSessions();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const revoke = (session) => run(() => request(`${base}/${session.id}`, { method: 'DELETE' }));
+  const revokeOthers = () => run(() => request('/backend/api/auth/sessions/revoke-others', { method: 'POST' }));
+
+  const rename = (session) => {
+    const name = window.prompt('Session name', session.name || '');
+    if (name && name.trim()) {
+      run(() => request(`${base}/${session.id}`, { method: 'PUT', body: JSON.stringify({ name }) }));
+    }
+  };
+
+  if (allUsers) {
+    return (
+      <div className="mt-8">
+        <h3 className="text-lg font-semibold text-white mb-3">Active sessions</h3>
+        {error && <div className="text-red-400 mb-2 text-sm">{error}</div>}
+        <table className="w-full text-left text-sm">
+          <thead>
+            <tr className="text-gray-400 border-b border-gray-700">
+              <th className="py-2">User</th>
+              <th className="py-2">Session</th>
+              <th className="py-2">IP</th>
+              <th className="py-2">Signed in</th>
+              <th className="py-2">Last seen</th>
+              <th className="py-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {sessions.length === 0 && (
+              <tr><td colSpan={6} className="py-4 text-gray-500">No active sessions.</td></tr>
+            )}
+            {sessions.map(session => (
+              <tr key={session.id} className="border-b border-gray-700 text-gray-300">
+                <td className="py-2 text-white">{session.username}</td>
+                <td className="py-2" title={session.userAgent || ''}>
+                  {session.name}{session.current && <span className="ml-2 text-xs text-green-400">(this session)</span>}
+                </td>
+                <td className="py-2">{session.ip || '—'}</td>
+                <td className="py-2">{new Date(session.loginTime).toLocaleString()}</td>
+                <td className="py-2">{timeAgo(session.lastSeenAt)}</td>
+                <td className="py-2 text-right">
+                  {!session.current && (
+                    <button onClick={() => revoke(session)} className="text-red-400 hover:text-red-300">Revoke</button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-700 text-sm">
+      <div className="flex items-center justify-between mb-2">
+        <span className="text-gray-400">Sessions</span>
+        {sessions.length > 1 && (
+          <button onClick={revokeOthers} className="text-red-400 hover:text-red-300 text-xs">Sign out other sessions</button>
+        )}
+      </div>
+      {error && <div className="text-red-400 mb-2">{error}</div>}
+      <ul className="space-y-2 max-h-48 overflow-y-auto">
+        {sessions.map(session => (
+          <li key={session.id} className="flex items-start justify-between gap-2">
+            <div className="min-w-0">
+              <button onClick={() => rename(session)} className="text-white hover:text-blue-300 text-left truncate" title={session.userAgent || 'Rename'}>
+                {session.name}
+              </button>
+              <div className="text-xs text-gray-500">
+                {session.current ? <span className="text-green-400">This session</span> : timeAgo(session.lastSeenAt)}
+                {session.ip && ` · ${session.ip}`}
+              </div>
+            </div>
+            {!session.current && (
+              <button onClick={() => revoke(session)} className="text-red-400 hover:text-red-300 text-xs shrink-0">Revoke</button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default SessionsPanel;
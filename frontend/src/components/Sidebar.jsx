@@ -6,8 +6,9 @@ import ProSBCInstanceSelector from './ProSBCInstanceSelector';
 import { useInstanceRefresh } from '../hooks/useInstanceRefresh';
 import { useProSBCInstance } from '../contexts/ProSBCInstanceContext';
 import { cleanConfigs, cleanConfigName } from '../utils/htmlUtils';
+import { canOpenSection } from '../utils/permissions';
 
-const Sidebar = ({ isCollapsed, onCollapseToggle, activeSection, onSectionChange, onConfigChange }) => {
+const Sidebar = ({ isCollapsed, onCollapseToggle, activeSection, onSectionChange, onConfigChange, user }) => {
   const { hasSelectedInstance, selectedInstance } = useProSBCInstance();
   const [configs, setConfigs] = useState([]);
   const [selectedConfig, setSelectedConfig] = useState('');
@@ -277,6 +278,66 @@ const Sidebar = ({ isCollapsed, onCollapseToggle, activeSection, onSectionChange
       ),
       subtitle: 'Count numbers assigned to customers'
     },
+    {
+      id: 'drift-report',
+      title: 'Configuration Drift',
+      icon: (
+        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7h12m0 0l-4-4m4 4l-4 4m0 6H4m0 0l4 4m-4-4l4-4" />
+        </svg>
+      ),
+      subtitle: 'Compare files across instances'
+    },
+    {
+      id: 'replication',
+      title: 'Replication',
+      icon: (
+        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z" />
+        </svg>
+      ),
+      subtitle: 'Copy files from primary to replicas'
+    },
+    {
+      id: 'change-requests',
+      title: 'Change Requests',
+      icon: (
+        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z" />
+        </svg>
+      ),
+      subtitle: 'Approve pushes to all instances'
+    },
+    {
+      id: 'api-tokens',
+      title: 'API Tokens',
+      icon: (
+        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 7a2 2 0 012 2m4 0a6 6 0 01-7.743 5.743L11 17H9v2H7v2H4a1 1 0 01-1-1v-2.586a1 1 0 01.293-.707l5.964-5.964A6 6 0 1121 9z" />
+        </svg>
+      ),
+      subtitle: 'Tokens for scripts and automation'
+    },
+    {
+      id: 'user-management',
+      title: 'User Management',
+      icon: (
+        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4.354a4 4 0 110 5.292M15 21H3v-1a6 6 0 0112 0v1zm0 0h6v-1a6 6 0 00-9-5.197M13 7a4 4 0 11-8 0 4 4 0 018 0z" />
+        </svg>
+      ),
+      subtitle: 'Accounts, roles and access'
+    },
+    {
+      id: 'audit-trail',
+      title: 'Audit Trail',
+      icon: (
+        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-3 7h3m-3 4h3m-6-4h.01M9 16h.01" />
+        </svg>
+      ),
+      subtitle: 'Who changed what on ProSBC'
+    },
     
  
    
@@ -405,7 +466,7 @@ const Sidebar = ({ isCollapsed, onCollapseToggle, activeSection, onSectionChange
       {/* Menu Items */}
       <nav className="mt-4 px-2">
         <ul className="space-y-2">
-          {menuItems.map((item) => (
+          {menuItems.filter(item => canOpenSection(user, item.id, selectedInstance?.id)).map((item) => (
             <li key={item.id}>
               <button
                 onClick={() => onSectionChange?.(item.id)}
@@ -0,0 +1,201 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { followJob, isJobFinished } from '../utils/backgroundJobs';
+import JobProgress from './JobProgress';
+
+const TASK_NAME = 'monthly-customer-counts';
+
+const RUN_STATUS_STYLES = {
+  queued: 'text-gray-300',
+  running: 'text-blue-300',
+  succeeded: 'text-green-300',
+  failed: 'text-red-300',
+  cancelled: 'text-yellow-300'
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const getAuthHeaders = () => {
+  const token = localStorage.getItem('dashboard_token');
+  return {
+    'Authorization': token ? `Bearer ${token}` : '',
+    'Content-Type': 'application/json'
+  };
+};
+
+// Schedule and run history of the automatic monthly customer count snapshot
+const SnapshotSchedulePanel = ({ onSnapshotRecorded }) => {
+  const [task, setTask] = useState(null);
+  const [runs, setRuns] = useState([]);
+  const [cronExpression, setCronExpression] = useState('');
+  const [preview, setPreview] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [snapshotJob, setSnapshotJob] = useState(null);
+
+  const fetchSchedule = useCallback(async () => {
+    try {
+      const response = await fetch('/backend/api/schedules', { headers: getAuthHeaders() });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Failed to load schedule');
+      const snapshotTask = data.tasks.find(t => t.name === TASK_NAME);
+      setTask(snapshotTask || null);
+      if (snapshotTask) {
+        setCronExpression(snapshotTask.cronExpression);
+        const runsResponse = await fetch(`/backend/api/schedules/${snapshotTask.id}/runs?limit=6`, { headers: getAuthHeaders() });
+        const runsData = await runsResponse.json();
+        setRuns(runsData.success ? runsData.runs : []);
+      }
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSchedule();
+  }, [fetchSchedule]);
+
+  // Show the next occurrences while the expression is being edited
+  useEffect(() => {
+    if (!cronExpression || cronExpression === task?.cronExpression) {
+      setPreview([]);
+      return undefined;
+    }
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch(`/backend/api/schedules/preview?cron=${encodeURIComponent(cronExpression)}`, { headers: getAuthHeaders() });
+        const data = await response.json();
+        setPreview(data.success ? data.nextRuns : []);
+        setError(data.success ? null : data.error);
+      } catch (err) {
+        setError(err.message);
+      }
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [cronExpression, task]);
+
+  const updateTask = async (fields) => {
+    setSaving(true);
+    try {
+      const response = await fetch(`/backend/api/schedules/${task.id}`, {
+        method: 'PUT',
+        headers: getAuthHeaders(),
+        body: JSON.stringify(fields)
+      });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Failed to update schedule');
+      await fetchSchedule();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const runNow = async () => {
+    try {
+      const response = await fetch(`/backend/api/schedules/${task.id}/run`, {
+        method: 'POST',
+        headers: getAuthHeaders()
+      });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Failed to start snapshot');
+      await fetchSchedule();
+      if (data.jobId) {
+        const job = await followJob(data.jobId, { onUpdate: setSnapshotJob });
+        if (job.status === 'succeeded') onSnapshotRecorded?.();
+        await fetchSchedule();
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (!task) {
+    return error ? (
+      <div className="mb-6 p-4 bg-red-900 border border-red-700 text-red-100 rounded-lg text-sm">
+        Snapshot schedule unavailable: {error}
+      </div>
+    ) : null;
+  }
+
+  return (
+    <div className="mb-6 p-4 bg-gray-800 border border-gray-600 rounded-lg">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-semibold text-white">Automatic Monthly Snapshot</h3>
+        <label className="flex items-center text-sm text-gray-300">
+          <input
+            type="checkbox"
+            checked={task.enabled}
+            disabled={saving}
+            onChange={(e) => updateTask({ enabled: e.target.checked })}
+            className="mr-2"
+          />
+          Enabled
+        </label>
+      </div>
+
+      <div className="flex flex-wrap gap-3 items-end mb-3">
+        <div>
+          <label className="block text-xs text-gray-400 mb-1">Cron expression (minute hour day month weekday)</label>
+          <input
+            type="text"
+            value={cronExpression}
+            onChange={(e) => setCronExpression(e.target.value)}
+            className="px-3 py-2 bg-gray-700 border border-gray-600 rounded text-white font-mono text-sm"
+          />
+        </div>
+        <button
+          onClick={() => updateTask({ cronExpression })}
+          disabled={saving || cronExpression === task.cronExpression}
+          className="bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400 text-white px-4 py-2 rounded text-sm"
+        >
+          {saving ? 'Saving...' : 'Save Schedule'}
+        </button>
+        <button
+          onClick={runNow}
+          disabled={snapshotJob && !isJobFinished(snapshotJob)}
+          className="bg-green-600 hover:bg-green-700 disabled:bg-green-400 text-white px-4 py-2 rounded text-sm"
+        >
+          Run Now
+        </button>
+      </div>
+
+      <div className="text-sm text-gray-300 space-y-1">
+        <div>Next run: {task.enabled ? formatDate(task.nextRunAt) : 'disabled'}</div>
+        <div>Last run: {formatDate(task.lastRunAt)}</div>
+        {preview.length > 0 && (
+          <div className="text-xs text-gray-400">New schedule would run at: {preview.map(formatDate).join(', ')}</div>
+        )}
+        {error && <div className="text-red-300">{error}</div>}
+      </div>
+
+      <JobProgress job={snapshotJob} title="Customer count snapshot" onClose={() => setSnapshotJob(null)} />
+
+      {runs.length > 0 && (
+        <table className="w-full mt-3 text-sm text-left">
+          <thead>
+            <tr className="text-gray-400">
+              <th className="py-1">Scheduled for</th>
+              <th className="py-1">Trigger</th>
+              <th className="py-1">Status</th>
+              <th className="py-1">Finished</th>
+            </tr>
+          </thead>
+          <tbody>
+            {runs.map(run => (
+              <tr key={run.id} className="border-t border-gray-700 text-gray-300">
+                <td className="py-1">{formatDate(run.scheduledFor)}</td>
+                <td className="py-1">{run.trigger}{run.triggeredBy ? ` (${run.triggeredBy})` : ''}</td>
+                <td className={`py-1 ${RUN_STATUS_STYLES[run.status] || ''}`} title={run.error || ''}>{run.status}</td>
+                <td className="py-1">{formatDate(run.finishedAt)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default SnapshotSchedulePanel;
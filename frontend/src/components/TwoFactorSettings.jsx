@@ -0,0 +1,115 @@
+import React, { useState, useEffect } from 'react';
+import TwoFactorSetup, { TwoFactorCodeInput, RecoveryCodes } from './TwoFactorSetup';
+
+const getAuthHeaders = () => {
+  const token = localStorage.getItem('dashboard_token');
+  return {
+    'Authorization': token ? `Bearer ${token}` : '',
+    'Content-Type': 'application/json'
+  };
+};
+
+const post = async (url, body = {}) => {
+  const response = await fetch(url, { method: 'POST', headers: getAuthHeaders(), body: JSON.stringify(body) });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.message || 'Request failed');
+  return data;
+};
+
+// Two-factor section of the profile card: enroll, disable, new recovery codes
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null);
+  // null | 'setup' | 'disable' | 'regenerate' | 'codes'
+  const [mode, setMode] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetch('/backend/api/auth/2fa', { headers: getAuthHeaders() })
+      .then(response => response.json())
+      .then(setStatus)
+      .catch(err => setError(err.message));
+  }, []);
+
+  const run = async (action) => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const startSetup = () => run(async () => {
+    setSetup(await post('/backend/api/auth/2fa/setup'));
+    setMode('setup');
+  });
+
+  const confirmSetup = (code) => run(async () => {
+    const data = await post('/backend/api/auth/2fa/enable', { code });
+    setStatus({ enabled: data.enabled, required: data.required, recoveryCodesLeft: data.recoveryCodesLeft });
+    setRecoveryCodes(data.recoveryCodes);
+    setSetup(null);
+    setMode('codes');
+  });
+
+  const disable = (code, isRecoveryCode) => run(async () => {
+    setStatus(await post('/backend/api/auth/2fa/disable', isRecoveryCode ? { recoveryCode: code } : { code }));
+    setMode(null);
+  });
+
+  const regenerate = (code) => run(async () => {
+    const data = await post('/backend/api/auth/2fa/recovery-codes', { code });
+    setRecoveryCodes(data.recoveryCodes);
+    setStatus({ ...status, recoveryCodesLeft: data.recoveryCodes.length });
+    setMode('codes');
+  });
+
+  if (!status) return null;
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-700 text-sm">
+      <div className="flex items-center justify-between mb-2">
+        <span className="text-gray-400">Two-factor authentication</span>
+        <span className={status.enabled ? 'text-green-400' : status.required ? 'text-red-400' : 'text-gray-500'}>
+          {status.enabled ? 'On' : status.required ? 'Required' : 'Off'}
+        </span>
+      </div>
+
+      {mode === 'setup' && setup && <TwoFactorSetup setup={setup} onSubmit={confirmSetup} isLoading={isLoading} />}
+      {mode === 'codes' && <RecoveryCodes codes={recoveryCodes} onDone={() => setMode(null)} />}
+      {mode === 'disable' && <TwoFactorCodeInput onSubmit={disable} isLoading={isLoading} submitLabel="Turn off" allowRecovery />}
+      {mode === 'regenerate' && <TwoFactorCodeInput onSubmit={regenerate} isLoading={isLoading} submitLabel="New recovery codes" />}
+
+      {error && <div className="text-red-400 mt-2">{error}</div>}
+
+      {!mode && (
+        <div className="flex flex-wrap gap-2 justify-end">
+          {status.enabled ? (
+            <>
+              <span className="text-gray-500 mr-auto self-center">{status.recoveryCodesLeft} recovery codes left</span>
+              <button className="bg-gray-700 text-white px-3 py-1.5 rounded hover:bg-gray-600" onClick={() => setMode('regenerate')}>New codes</button>
+              {!status.required && (
+                <button className="bg-red-700 text-white px-3 py-1.5 rounded hover:bg-red-600" onClick={() => setMode('disable')}>Turn off</button>
+              )}
+            </>
+          ) : (
+            <button className="bg-blue-600 text-white px-3 py-1.5 rounded hover:bg-blue-700" onClick={startSetup} disabled={isLoading}>
+              Set up
+            </button>
+          )}
+        </div>
+      )}
+      {mode && mode !== 'codes' && (
+        <button className="mt-2 text-gray-400 hover:text-white" onClick={() => { setMode(null); setError(null); }}>Cancel</button>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+
+const inputClass = 'w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+// Input for a 6 digit authenticator code, or a recovery code when allowRecovery is set
+export const TwoFactorCodeInput = ({ onSubmit, isLoading, submitLabel = 'Verify', allowRecovery = false }) => {
+  const [code, setCode] = useState('');
+  const [useRecovery, setUseRecovery] = useState(false);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit(code.trim(), useRecovery);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <input
+        type="text"
+        autoFocus
+        autoComplete="one-time-code"
+        inputMode={useRecovery ? 'text' : 'numeric'}
+        value={code}
+        onChange={e => setCode(e.target.value)}
+        placeholder={useRecovery ? 'Recovery code (xxxxx-xxxxx)' : '6-digit code'}
+        required
+        className={inputClass}
+      />
+      <button
+        type="submit"
+        disabled={isLoading}
+        className={`w-full px-4 py-2 rounded font-medium text-white ${isLoading ? 'bg-gray-600 cursor-not-allowed' : 'bg-blue-600 hover:bg-blue-700'}`}
+      >
+        {isLoading ? 'Checking...' : submitLabel}
+      </button>
+      {allowRecovery && (
+        <button
+          type="button"
+          onClick={() => { setUseRecovery(!useRecovery); setCode(''); }}
+          className="text-sm text-blue-400 hover:text-blue-300"
+        >
+          {useRecovery ? 'Use authenticator code' : 'Use a recovery code'}
+        </button>
+      )}
+    </form>
+  );
+};
+
+// Recovery codes are only returned once, right after enrollment or regeneration
+export const RecoveryCodes = ({ codes, onDone }) => (
+  <div className="space-y-3">
+    <p className="text-sm text-yellow-300">
+      Save these recovery codes somewhere safe. Each one can be used once to sign in without your authenticator app.
+      They will not be shown again.
+    </p>
+    <div className="grid grid-cols-2 gap-2 bg-gray-800 border border-gray-600 rounded p-3 font-mono text-sm text-white">
+      {codes.map(code => <span key={code}>{code}</span>)}
+    </div>
+    <div className="flex gap-2">
+      <button
+        type="button"
+        onClick={() => navigator.clipboard?.writeText(codes.join('\n'))}
+        className="px-3 py-2 rounded bg-gray-700 hover:bg-gray-600 text-white text-sm"
+      >
+        Copy
+      </button>
+      <button type="button" onClick={onDone} className="flex-1 px-3 py-2 rounded bg-blue-600 hover:bg-blue-700 text-white text-sm">
+        I have saved them
+      </button>
+    </div>
+  </div>
+);
+
+// QR code and manual key for enrolling an authenticator app, then the confirmation code
+const TwoFactorSetup = ({ setup, onSubmit, isLoading }) => (
+  <div className="space-y-3">
+    <p className="text-sm text-gray-300">
+      Scan this QR code with an authenticator app (Google Authenticator, Authy, 1Password, ...) and enter the code it shows.
+    </p>
+    <img src={setup.qrCode} alt="Two-factor QR code" className="mx-auto bg-white p-2 rounded w-44 h-44" />
+    <div className="text-xs text-gray-400 break-all">
+      Or enter this key manually: <span className="font-mono text-gray-200">{setup.secret}</span>
+    </div>
+    <TwoFactorCodeInput onSubmit={onSubmit} isLoading={isLoading} submitLabel="Confirm" />
+  </div>
+);
+
+export default TwoFactorSetup;
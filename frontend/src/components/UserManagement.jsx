@@ -0,0 +1,369 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useProSBCInstance } from '../contexts/ProSBCInstanceContext';
+import { ROLES } from '../utils/permissions';
+import SessionsPanel from './SessionsPanel';
+
+const EMPTY_USER = { username: '', email: '', password: '', role: 'viewer' };
+
+const getAuthHeaders = () => {
+  const token = localStorage.getItem('dashboard_token');
+  return {
+    'Authorization': token ? `Bearer ${token}` : '',
+    'Content-Type': 'application/json'
+  };
+};
+
+const request = async (url, options = {}) => {
+  const response = await fetch(url, { ...options, headers: getAuthHeaders() });
+  const data = await response.json();
+  if (!data.success) throw new Error(data.error || `Request failed (${response.status})`);
+  return data;
+};
+
+// Admin screen for dashboard accounts: create, roles, instance access, disable, password reset, forced logout
+const UserManagement = ({ currentUser }) => {
+  const { instances } = useProSBCInstance();
+  const [users, setUsers] = useState([]);
+  const [minPasswordLength, setMinPasswordLength] = useState(8);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [showCreate, setShowCreate] = useState(false);
+  const [newUser, setNewUser] = useState(EMPTY_USER);
+  const [passwordFor, setPasswordFor] = useState(null);
+  const [newPassword, setNewPassword] = useState('');
+  const [accessFor, setAccessFor] = useState(null);
+  const [accessDraft, setAccessDraft] = useState({});
+  const [twoFactorRoles, setTwoFactorRoles] = useState([]);
+  // Bumped after every action so the sessions list reloads too
+  const [sessionsVersion, setSessionsVersion] = useState(0);
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      const data = await request('/backend/api/users');
+      setUsers(data.users);
+      setMinPasswordLength(data.minPasswordLength || 8);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchUsers();
+    request('/backend/api/users/security-policy')
+      .then(data => setTwoFactorRoles(data.policy.requireTwoFactorRoles))
+      .catch(err => setError(err.message));
+  }, [fetchUsers]);
+
+  // Run an action, then show its message and reload the list
+  const runAction = async (action, message) => {
+    try {
+      const data = await action();
+      setStatus(typeof message === 'function' ? message(data) : message);
+      setError(null);
+      await fetchUsers();
+      setSessionsVersion(version => version + 1);
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const created = await runAction(
+      () => request('/backend/api/users', { method: 'POST', body: JSON.stringify(newUser) }),
+      `User ${newUser.username} created`
+    );
+    if (created) {
+      setNewUser(EMPTY_USER);
+      setShowCreate(false);
+    }
+  };
+
+  const updatePermissions = (user, fields) => runAction(
+    () => request(`/backend/api/users/${user.id}/permissions`, { method: 'PUT', body: JSON.stringify(fields) }),
+    `Permissions of ${user.username} updated`
+  );
+
+  const toggleDisabled = (user) => {
+    if (!user.disabled && !window.confirm(`Disable ${user.username}? Their sessions will be ended.`)) return;
+    runAction(
+      () => request(`/backend/api/users/${user.id}/${user.disabled ? 'enable' : 'disable'}`, { method: 'POST' }),
+      `${user.username} ${user.disabled ? 'enabled' : 'disabled'}`
+    );
+  };
+
+  const handleResetPassword = async (e, user) => {
+    e.preventDefault();
+    const reset = await runAction(
+      () => request(`/backend/api/users/${user.id}/reset-password`, { method: 'POST', body: JSON.stringify({ password: newPassword }) }),
+      `Password of ${user.username} reset`
+    );
+    if (reset) {
+      setPasswordFor(null);
+      setNewPassword('');
+    }
+  };
+
+  const toggleTwoFactorRole = (role) => {
+    const roles = twoFactorRoles.includes(role) ? twoFactorRoles.filter(r => r !== role) : [...twoFactorRoles, role];
+    runAction(async () => {
+      const data = await request('/backend/api/users/security-policy', { method: 'PUT', body: JSON.stringify({ requireTwoFactorRoles: roles }) });
+      setTwoFactorRoles(data.policy.requireTwoFactorRoles);
+      return data;
+    }, roles.length ? `Two-factor authentication required for ${roles.join(', ')}` : 'Two-factor authentication is optional for every role');
+  };
+
+  const resetTwoFactor = (user) => {
+    if (!window.confirm(`Reset two-factor authentication of ${user.username}? They will be logged out and must enroll again.`)) return;
+    runAction(() => request(`/backend/api/users/${user.id}/reset-2fa`, { method: 'POST' }), `Two-factor authentication of ${user.username} reset`);
+  };
+
+  const forceLogout = (user) => runAction(
+    () => request(`/backend/api/users/${user.id}/logout`, { method: 'POST' }),
+    data => `${data.sessionsEnded} session${data.sessionsEnded === 1 ? '' : 's'} of ${user.username} ended`
+  );
+
+  const deleteUser = (user) => {
+    if (!window.confirm(`Delete ${user.username}? This cannot be undone.`)) return;
+    runAction(() => request(`/backend/api/users/${user.id}`, { method: 'DELETE' }), `User ${user.username} deleted`);
+  };
+
+  const openAccessEditor = (user) => {
+    setAccessFor(accessFor === user.id ? null : user.id);
+    setAccessDraft(user.instancePermissions || {});
+  };
+
+  const saveAccess = async (user) => {
+    const instancePermissions = Object.fromEntries(Object.entries(accessDraft).filter(([, role]) => role));
+    if (await updatePermissions(user, { instancePermissions })) setAccessFor(null);
+  };
+
+  const describeAccess = (user) => {
+    const listed = Object.keys(user.instancePermissions || {});
+    if (user.role === 'admin' || listed.length === 0) return 'All instances';
+    return `${listed.length} instance${listed.length === 1 ? '' : 's'}`;
+  };
+
+  if (loading) {
+    return <div className="text-gray-300 p-6">Loading users...</div>;
+  }
+
+  return (
+    <div className="bg-gray-800 rounded-xl border border-gray-700 p-6">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h2 className="text-2xl font-semibold text-white">User Management</h2>
+          <p className="text-gray-400 text-sm">Dashboard accounts, roles and instance access</p>
+        </div>
+        <button
+          onClick={() => setShowCreate(!showCreate)}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg"
+        >
+          {showCreate ? 'Cancel' : 'Add User'}
+        </button>
+      </div>
+
+      {error && <div className="bg-red-900/30 border border-red-700 text-red-300 rounded-lg p-3 mb-4">{error}</div>}
+      {status && !error && <div className="bg-green-900/30 border border-green-700 text-green-300 rounded-lg p-3 mb-4">{status}</div>}
+
+      <div className="flex flex-wrap items-center gap-4 bg-gray-900 rounded-lg p-4 mb-6 text-sm">
+        <span className="text-gray-300">Require two-factor authentication for:</span>
+        {ROLES.map(role => (
+          <label key={role} className="flex items-center gap-2 text-white">
+            <input type="checkbox" checked={twoFactorRoles.includes(role)} onChange={() => toggleTwoFactorRole(role)} />
+            {role}
+          </label>
+        ))}
+        <span className="text-gray-500">Users of these roles enroll at their next login.</span>
+      </div>
+
+      {showCreate && (
+        <form onSubmit={handleCreate} className="grid grid-cols-1 md:grid-cols-5 gap-3 bg-gray-900 rounded-lg p-4 mb-6">
+          <input
+            required
+            value={newUser.username}
+            onChange={e => setNewUser({ ...newUser, username: e.target.value })}
+            placeholder="Username"
+            className="bg-gray-800 border border-gray-600 rounded-lg px-3 py-2 text-white"
+          />
+          <input
+            type="email"
+            value={newUser.email}
+            onChange={e => setNewUser({ ...newUser, email: e.target.value })}
+            placeholder="Email (optional)"
+            className="bg-gray-800 border border-gray-600 rounded-lg px-3 py-2 text-white"
+          />
+          <input
+            required
+            type="password"
+            minLength={minPasswordLength}
+            value={newUser.password}
+            onChange={e => setNewUser({ ...newUser, password: e.target.value })}
+            placeholder={`Password (${minPasswordLength}+ characters)`}
+            className="bg-gray-800 border border-gray-600 rounded-lg px-3 py-2 text-white"
+          />
+          <select
+            value={newUser.role}
+            onChange={e => setNewUser({ ...newUser, role: e.target.value })}
+            className="bg-gray-800 border border-gray-600 rounded-lg px-3 py-2 text-white"
+          >
+            {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+          </select>
+          <button type="submit" className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg">
+            Create
+          </button>
+        </form>
+      )}
+
+      <table className="w-full text-left text-sm">
+        <thead>
+          <tr className="text-gray-400 border-b border-gray-700">
+            <th className="py-2">User</th>
+            <th className="py-2">Role</th>
+            <th className="py-2">Instances</th>
+            <th className="py-2">Status</th>
+            <th className="py-2">Sessions</th>
+            <th className="py-2 text-right">Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {users.map(user => {
+            const isSelf = currentUser && String(currentUser.id) === String(user.id);
+            // Directory accounts get their password and role from the directory
+            const isDirectoryUser = user.authProvider && user.authProvider !== 'local';
+            return (
+              <React.Fragment key={user.id}>
+                <tr className="border-b border-gray-700 text-gray-300">
+                  <td className="py-2">
+                    <div className="text-white font-medium">
+                      {user.username}{isSelf ? ' (you)' : ''}
+                      {isDirectoryUser && <span className="ml-2 text-xs bg-purple-900 text-purple-200 px-2 py-0.5 rounded-full uppercase">{user.authProvider}</span>}
+                    </div>
+                    <div className="text-gray-500">{user.email || '—'}</div>
+                  </td>
+                  <td className="py-2">
+                    <select
+                      value={user.role}
+                      onChange={e => updatePermissions(user, { role: e.target.value })}
+                      disabled={isDirectoryUser}
+                      title={isDirectoryUser ? 'Set by directory groups at each login' : undefined}
+                      className="bg-gray-900 border border-gray-600 rounded px-2 py-1 text-white disabled:text-gray-400"
+                    >
+                      {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                    </select>
+                    <label className="flex items-center gap-1 mt-1 text-xs text-gray-400" title="May approve other users' change requests">
+                      <input
+                        type="checkbox"
+                        checked={user.role === 'admin' || user.canApprove}
+                        disabled={user.role === 'admin'}
+                        onChange={() => updatePermissions(user, { canApprove: !user.canApprove })}
+                      />
+                      Approver
+                    </label>
+                  </td>
+                  <td className="py-2">
+                    <button
+                      onClick={() => openAccessEditor(user)}
+                      disabled={user.role === 'admin'}
+                      className="text-blue-400 hover:text-blue-300 disabled:text-gray-500"
+                    >
+                      {describeAccess(user)}
+                    </button>
+                  </td>
+                  <td className="py-2">
+                    <span className={user.disabled ? 'text-red-400' : 'text-green-400'}>
+                      {user.disabled ? 'Disabled' : 'Active'}
+                    </span>
+                    {user.totpEnabled && <span className="ml-2 text-xs bg-blue-900 text-blue-200 px-2 py-0.5 rounded-full">2FA</span>}
+                  </td>
+                  <td className="py-2">{user.activeSessions}</td>
+                  <td className="py-2 text-right space-x-3 whitespace-nowrap">
+                    {!isDirectoryUser && (
+                      <button onClick={() => setPasswordFor(passwordFor === user.id ? null : user.id)} className="text-blue-400 hover:text-blue-300">
+                        Reset password
+                      </button>
+                    )}
+                    {user.totpEnabled && (
+                      <button onClick={() => resetTwoFactor(user)} className="text-blue-400 hover:text-blue-300">
+                        Reset 2FA
+                      </button>
+                    )}
+                    <button onClick={() => forceLogout(user)} disabled={!user.activeSessions} className="text-yellow-400 hover:text-yellow-300 disabled:text-gray-500">
+                      Log out
+                    </button>
+                    <button onClick={() => toggleDisabled(user)} disabled={isSelf} className="text-orange-400 hover:text-orange-300 disabled:text-gray-500">
+                      {user.disabled ? 'Enable' : 'Disable'}
+                    </button>
+                    <button onClick={() => deleteUser(user)} disabled={isSelf} className="text-red-400 hover:text-red-300 disabled:text-gray-500">
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+
+                {passwordFor === user.id && (
+                  <tr className="border-b border-gray-700">
+                    <td colSpan={6} className="py-3">
+                      <form onSubmit={e => handleResetPassword(e, user)} className="flex items-center gap-3">
+                        <input
+                          required
+                          autoFocus
+                          type="password"
+                          minLength={minPasswordLength}
+                          value={newPassword}
+                          onChange={e => setNewPassword(e.target.value)}
+                          placeholder={`New password for ${user.username}`}
+                          className="bg-gray-900 border border-gray-600 rounded-lg px-3 py-2 text-white"
+                        />
+                        <button type="submit" className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg">Set password</button>
+                        <span className="text-gray-500">The user will be logged out.</span>
+                      </form>
+                    </td>
+                  </tr>
+                )}
+
+                {accessFor === user.id && (
+                  <tr className="border-b border-gray-700">
+                    <td colSpan={6} className="py-3">
+                      <p className="text-gray-400 mb-2">
+                        Leave every instance unset to give {user.username} their {user.role} role on all instances.
+                        Once one instance is set, only the listed instances are accessible.
+                      </p>
+                      <div className="grid grid-cols-1 md:grid-cols-3 gap-2 mb-3">
+                        {instances.map(instance => (
+                          <label key={instance.id} className="flex items-center justify-between bg-gray-900 rounded-lg px-3 py-2">
+                            <span className="text-white">{instance.name}</span>
+                            <select
+                              value={accessDraft[String(instance.id)] || ''}
+                              onChange={e => setAccessDraft({ ...accessDraft, [String(instance.id)]: e.target.value })}
+                              className="bg-gray-800 border border-gray-600 rounded px-2 py-1 text-white"
+                            >
+                              <option value="">{Object.values(accessDraft).some(Boolean) ? 'No access' : 'Default'}</option>
+                              {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                            </select>
+                          </label>
+                        ))}
+                      </div>
+                      <button onClick={() => saveAccess(user)} className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg">
+                        Save access
+                      </button>
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <SessionsPanel allUsers key={sessionsVersion} />
+    </div>
+  );
+};
+
+export default UserManagement;
@@ -1,4 +1,5 @@
 import React, { createContext, useContext, useState, useEffect, useRef, useCallback } from 'react';
+import { dashboardSession } from '../utils/sessionManager';
 
 // Create the context
 const ProSBCInstanceContext = createContext();
@@ -62,8 +63,8 @@ export const ProSBCInstanceProvider = ({ children }) => {
     const handleStorageChange = (e) => {
       if (e.key === 'dashboard_token') {
         if (e.newValue) {
-          // Token added - fetch instances
-          fetchInstances();
+          // Token added - fetch instances (a refreshed token replaces an existing one)
+          if (!e.oldValue) fetchInstances();
         } else {
           // Token removed - clear instances
           setInstances([]);
@@ -140,8 +141,7 @@ export const ProSBCInstanceProvider = ({ children }) => {
             errorData && typeof errorData.message === 'string' &&
             errorData.message.toLowerCase().includes('session expired')
           ) {
-            localStorage.removeItem('dashboard_token');
-            window.location.href = '/login';
+            dashboardSession.expire('expired');
             return;
           }
           if (errorData.error) {
@@ -322,8 +322,7 @@ export const ProSBCInstanceProvider = ({ children }) => {
         errorData && typeof errorData.message === 'string' &&
         errorData.message.toLowerCase().includes('session expired')
       ) {
-        localStorage.removeItem('dashboard_token');
-        window.location.href = '/login';
+        dashboardSession.expire('expired');
         return;
       }
       throw new Error(errorData.message || `API call failed: ${response.status}`);
@@ -0,0 +1,36 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { runJob, cancelJob, isJobFinished } from '../utils/backgroundJobs';
+
+/**
+ * Run a backend operation as a background job and keep its live state.
+ * Unmounting stops following the stream; the job itself keeps running on the server.
+ * @returns {{ job: Object|null, run: Function, cancel: Function, reset: Function }}
+ */
+export const useBackgroundJob = () => {
+  const [job, setJob] = useState(null);
+  const controllerRef = useRef(null);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  // run(url, fetchOptions) resolves with the job result
+  const run = useCallback(async (url, options = {}) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setJob(null);
+    return runJob(url, options, { onUpdate: setJob, signal: controller.signal });
+  }, []);
+
+  const cancel = useCallback(async () => {
+    if (!job || isJobFinished(job)) return;
+    try {
+      setJob(await cancelJob(job.id));
+    } catch (error) {
+      console.error('Failed to cancel job:', error);
+    }
+  }, [job]);
+
+  const reset = useCallback(() => setJob(null), []);
+
+  return { job, run, cancel, reset };
+};
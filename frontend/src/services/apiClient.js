@@ -27,6 +27,17 @@ apiClient.interceptors.request.use(
         config.headers['Authorization'] = `Bearer ${prosbcToken}`;
       }
     }
+    // Add dashboard auth and the selected ProSBC instance for our own backend
+    if (config.url && config.url.startsWith('/backend/api')) {
+      const dashboardToken = localStorage.getItem('dashboard_token');
+      if (dashboardToken && !config.headers['Authorization']) {
+        config.headers['Authorization'] = `Bearer ${dashboardToken}`;
+      }
+      const instanceId = localStorage.getItem('prosbc_selected_instance_id');
+      if (instanceId && !config.headers['X-ProSBC-Instance-ID']) {
+        config.headers['X-ProSBC-Instance-ID'] = instanceId;
+      }
+    }
     return config;
   },
   (error) => {
@@ -358,9 +369,9 @@ export const fileService = {
     }
   },
   
-  // Get file by ID (digit-maps or dial-formats)
-  async getById(type, id) {
-    const response = await apiClient.get(`/api/files/${type}/${id}`);
+  // Get file by ID (content of the latest recorded revision)
+  async getById(type, id, params = {}) {
+    const response = await apiClient.get(`/backend/api/files/${type}/${id}`, { params });
     return response.data;
   },
 
@@ -467,15 +478,27 @@ export const fileService = {
     }
   },
 
-  // Get file history
-  async getHistory(type, id) {
-    const response = await apiClient.get(`/api/files/${type}/${id}/history`);
+  // Row diff between the file currently on ProSBC and edited content
+  async getDiff(type, fileName, content, configId = null, fileId = null) {
+    const response = await apiClient.post('/backend/api/prosbc-files/diff', {
+      fileType: type,
+      fileName,
+      fileId,
+      configId,
+      content
+    });
+    return response.data;
+  },
+
+  // Get file history (pass { fileName } since id may be a ProSBC or database ID)
+  async getHistory(type, id, params = {}) {
+    const response = await apiClient.get(`/backend/api/files/${type}/${id}/history`, { params });
     return response.data;
   },
 
   // Rollback to previous version
   async rollback(type, id, historyId, reason) {
-    const response = await apiClient.post(`/api/files/${type}/${id}/rollback`, {
+    const response = await apiClient.post(`/backend/api/files/${type}/${id}/rollback`, {
       history_id: historyId,
       reason
     });
@@ -484,7 +507,7 @@ export const fileService = {
 
   // Get specific version content
   async getVersion(type, id, versionId) {
-    const response = await apiClient.get(`/api/files/${type}/${id}/versions/${versionId}`);
+    const response = await apiClient.get(`/backend/api/files/${type}/${id}/versions/${versionId}`);
     return response.data;
   },
 
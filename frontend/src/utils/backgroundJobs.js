@@ -0,0 +1,141 @@
+// Client for backend background jobs (/backend/api/jobs).
+// Progress is read from the job's Server-Sent Events stream with fetch, so the
+// dashboard token goes in the Authorization header instead of the URL.
+
+const JOBS_URL = '/backend/api/jobs';
+const RECONNECT_DELAY_MS = 2000;
+
+export const FINAL_JOB_STATES = ['succeeded', 'failed', 'cancelled'];
+
+export const isJobFinished = (job) => !!job && FINAL_JOB_STATES.includes(job.status);
+
+const getAuthHeaders = () => {
+  const token = localStorage.getItem('dashboard_token');
+  const instanceId = localStorage.getItem('prosbc_selected_instance_id');
+  return {
+    ...(token && { 'Authorization': `Bearer ${token}` }),
+    ...(instanceId && { 'X-ProSBC-Instance-ID': instanceId })
+  };
+};
+
+const wait = (ms, signal) => new Promise((resolve) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    resolve();
+  }, { once: true });
+});
+
+// Read one SSE connection, calling onEvent for every `job` event. Returns the last job seen.
+async function readJobStream(jobId, onEvent, signal) {
+  const response = await fetch(`${JOBS_URL}/${jobId}/events`, {
+    headers: { ...getAuthHeaders(), 'Accept': 'text/event-stream' },
+    signal
+  });
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(body.error || body.message || `Job stream failed: ${response.status}`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let lastJob = null;
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line; comments (heartbeats) start with ':'
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      const data = rawEvent
+        .split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trim())
+        .join('\n');
+      if (!data) continue;
+      lastJob = JSON.parse(data);
+      onEvent(lastJob);
+    }
+  }
+  return lastJob;
+}
+
+/**
+ * Follow a job until it reaches a final state. Reconnects if the stream drops
+ * (proxy timeout, backend restart). Resolves with the final job snapshot.
+ */
+export async function followJob(jobId, { onUpdate, signal } = {}) {
+  let latest = null;
+  const handleEvent = (job) => {
+    latest = job;
+    onUpdate?.(job);
+  };
+
+  while (!isJobFinished(latest)) {
+    if (signal?.aborted) throw new DOMException('Stopped following job', 'AbortError');
+    try {
+      await readJobStream(jobId, handleEvent, signal);
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      console.warn(`[Jobs] Stream for job ${jobId} interrupted:`, error.message);
+    }
+    if (!isJobFinished(latest)) {
+      await wait(RECONNECT_DELAY_MS, signal);
+    }
+  }
+  return latest;
+}
+
+// Start a long operation as a background job; `url` is the normal endpoint
+export async function startJob(url, { method = 'POST', headers = {}, body } = {}) {
+  const separator = url.includes('?') ? '&' : '?';
+  const response = await fetch(`${url}${separator}background=true`, {
+    method,
+    headers: { ...getAuthHeaders(), ...headers },
+    body
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok || !result.success || !result.job) {
+    const error = new Error(result.error || result.message || `Failed to start job: ${response.status}`);
+    error.status = response.status;
+    error.response = result;
+    throw error;
+  }
+  return result.job;
+}
+
+/**
+ * Start a job and wait for it. Resolves with the job result when it succeeds,
+ * throws with the job error when it fails or is cancelled.
+ */
+export async function runJob(url, options = {}, { onUpdate, signal } = {}) {
+  const started = await startJob(url, options);
+  onUpdate?.(started);
+  const job = await followJob(started.id, { onUpdate, signal });
+  if (job.status === 'cancelled') {
+    const error = new Error(job.message || 'Job cancelled');
+    error.cancelled = true;
+    throw error;
+  }
+  if (job.status === 'failed') {
+    throw new Error(job.error || 'Job failed');
+  }
+  return job.result;
+}
+
+export async function cancelJob(jobId) {
+  const response = await fetch(`${JOBS_URL}/${jobId}/cancel`, {
+    method: 'POST',
+    headers: getAuthHeaders()
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok || !result.success) {
+    throw new Error(result.error || `Failed to cancel job ${jobId}`);
+  }
+  return result.job;
+}
@@ -0,0 +1,75 @@
+// Change Requests - pushes to every ProSBC instance that wait for a second user's approval
+// (backend_new/routes/changeRequests.js)
+import { appendSelector } from './instanceSelector';
+
+const CHANGE_REQUESTS_URL = '/backend/api/change-requests';
+
+const authHeaders = () => {
+  const token = localStorage.getItem('dashboard_token');
+  return token ? { 'Authorization': `Bearer ${token}` } : {};
+};
+
+// Errors carry the HTTP status and body, e.g. the conflictCheck of a blocked DM file
+const send = async (url, options = {}) => {
+  const response = await fetch(url, { ...options, headers: { ...authHeaders(), ...options.headers } });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok || result.success === false) {
+    const error = new Error(result.error || result.message || `Request failed (${response.status})`);
+    error.status = response.status;
+    error.response = result;
+    throw error;
+  }
+  return result;
+};
+
+// A push-to-all route refused because it needs an approved change request
+export const isApprovalRequiredError = (error) => error?.status === 409 && !!error.response?.approvalRequired;
+
+// { requireChangeApproval, canApprove, pending }
+export const fetchChangeApprovalSettings = () => send(`${CHANGE_REQUESTS_URL}/settings`);
+
+export const setChangeApprovalRequired = (requireChangeApproval) => send(`${CHANGE_REQUESTS_URL}/settings`, {
+  method: 'PUT',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({ requireChangeApproval })
+});
+
+// Stage a DF/DM upload to every instance (kind 'df' or 'dm'), or to the { group, tag } selector's
+export const submitUploadChangeRequest = async ({ kind, file, fileName, reason, selector, allowConflicts = false }) => {
+  const formData = new FormData();
+  formData.append('file', file, fileName);
+  formData.append('kind', kind);
+  if (reason) formData.append('reason', reason);
+  if (allowConflicts) formData.append('allowConflicts', 'true');
+  appendSelector(formData, selector);
+  const result = await send(`${CHANGE_REQUESTS_URL}/upload`, { method: 'POST', body: formData });
+  return result.changeRequest;
+};
+
+// Stage an update-to-all dry run plan for the selected instances
+export const submitPlanChangeRequest = async ({ planId, instances, reason, allowConflicts = false }) => {
+  const result = await send(CHANGE_REQUESTS_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ planId, instances, reason, allowConflicts })
+  });
+  return result.changeRequest;
+};
+
+export const listChangeRequests = async ({ status } = {}) => {
+  const query = status ? `?status=${encodeURIComponent(status)}` : '';
+  const result = await send(`${CHANGE_REQUESTS_URL}${query}`);
+  return result.changeRequests;
+};
+
+export const getChangeRequest = async (id) => (await send(`${CHANGE_REQUESTS_URL}/${id}`)).changeRequest;
+
+// action: approve, reject or cancel
+export const reviewChangeRequest = async (id, action, comment) => {
+  const result = await send(`${CHANGE_REQUESTS_URL}/${id}/${action}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ comment })
+  });
+  return result.changeRequest;
+};
@@ -0,0 +1,38 @@
+// Configuration drift between ProSBC instances (backend_new/routes/drift.js)
+const DRIFT_URL = '/backend/api/drift';
+
+const authHeaders = () => {
+  const token = localStorage.getItem('dashboard_token');
+  return token ? { 'Authorization': `Bearer ${token}` } : {};
+};
+
+// Errors carry the HTTP status and body, e.g. the conflictCheck of a blocked DM file
+const send = async (url, options = {}) => {
+  const response = await fetch(url, { ...options, headers: { ...authHeaders(), ...options.headers } });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok || result.success === false) {
+    const error = new Error(result.error || result.message || `Request failed (${response.status})`);
+    error.status = response.status;
+    error.response = result;
+    throw error;
+  }
+  return result;
+};
+
+// Runs through useBackgroundJob().run, which resolves with the report
+export const DRIFT_ANALYZE_URL = `${DRIFT_URL}/analyze`;
+
+// Latest finished report, or null before the first analysis
+export const fetchLatestDriftReport = async () => (await send(`${DRIFT_URL}/report`)).report;
+
+// What making the target match the source would change on the target
+export const previewDriftSync = ({ fileType, fileName, sourceInstanceId, targetInstanceId }) => {
+  const query = new URLSearchParams({ fileType, fileName, sourceInstanceId, targetInstanceId });
+  return send(`${DRIFT_URL}/diff?${query}`);
+};
+
+export const syncDriftFile = ({ fileType, fileName, sourceInstanceId, targetInstanceId, reason, allowConflicts = false }) => send(`${DRIFT_URL}/sync`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({ fileType, fileName, sourceInstanceId, targetInstanceId, reason, allowConflicts })
+});
@@ -0,0 +1,56 @@
+// Editor Drafts - Unsaved CSV editor changes kept in localStorage
+// so they survive a re-login, a reload or a closed tab until they are saved or discarded.
+const DRAFT_PREFIX = 'csv_editor_draft:';
+const DRAFT_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Short fingerprint of the file content a draft was based on
+export const contentFingerprint = (text = '') => {
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  }
+  return `${text.length}:${(hash >>> 0).toString(16)}`;
+};
+
+// One draft per instance and file
+export const draftKey = (instanceId, fileInfo) => {
+  const fileType = fileInfo?.fileType || fileInfo?.type || 'file';
+  const fileName = fileInfo?.name || fileInfo?.fileName || fileInfo?.id;
+  if (!fileName) return null;
+  return `${DRAFT_PREFIX}${instanceId || 'default'}:${fileType}:${fileName}`;
+};
+
+export const saveDraft = (key, { headers, rows, baseContent }) => {
+  if (!key) return;
+  try {
+    localStorage.setItem(key, JSON.stringify({
+      headers,
+      rows,
+      baseFingerprint: contentFingerprint(baseContent),
+      savedAt: Date.now()
+    }));
+  } catch (error) {
+    // Quota exceeded for very large files: the draft only lives in memory
+    console.warn('Could not store editor draft:', error.message);
+  }
+};
+
+// The draft for a file, or null when there is none or it is too old
+export const loadDraft = (key) => {
+  if (!key) return null;
+  try {
+    const draft = JSON.parse(localStorage.getItem(key));
+    if (!draft || !Array.isArray(draft.headers) || !Array.isArray(draft.rows)) return null;
+    if (Date.now() - draft.savedAt > DRAFT_MAX_AGE) {
+      localStorage.removeItem(key);
+      return null;
+    }
+    return draft;
+  } catch {
+    return null;
+  }
+};
+
+export const clearDraft = (key) => {
+  if (key) localStorage.removeItem(key);
+};
@@ -0,0 +1,37 @@
+// Instance health history and notifications (backend_new/routes/instanceHealth.js, routes/notifications.js)
+const HEALTH_URL = '/backend/api/instance-health';
+const NOTIFICATIONS_URL = '/backend/api/notifications';
+
+const authHeaders = () => {
+  const token = localStorage.getItem('dashboard_token');
+  return token ? { 'Authorization': `Bearer ${token}` } : {};
+};
+
+const send = async (url, options = {}) => {
+  const response = await fetch(url, { ...options, headers: { ...authHeaders(), ...options.headers } });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok || result.success === false) {
+    const error = new Error(result.error || result.message || `Request failed (${response.status})`);
+    error.status = response.status;
+    throw error;
+  }
+  return result;
+};
+
+// { enabled, intervalMs, slowMs, instances: [{ instanceId, status, uptimePct, avgLoginMs, series, ... }] }
+export const fetchInstanceHealth = ({ hours = 24, points = 48 } = {}) =>
+  send(`${HEALTH_URL}?${new URLSearchParams({ hours, points })}`);
+
+export const pollInstanceHealthNow = () => send(`${HEALTH_URL}/poll`, { method: 'POST' });
+
+export const fetchNotifications = async ({ since, limit = 30 } = {}) => {
+  const query = new URLSearchParams({ limit, ...(since ? { since } : {}) });
+  return (await send(`${NOTIFICATIONS_URL}?${query}`)).notifications;
+};
+
+// The bell counts notifications newer than the last time its list was opened
+const SEEN_KEY = 'notifications_seen_at';
+
+export const getNotificationsSeenAt = () => localStorage.getItem(SEEN_KEY);
+
+export const markNotificationsSeen = (at = new Date().toISOString()) => localStorage.setItem(SEEN_KEY, at);
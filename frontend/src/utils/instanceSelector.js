@@ -0,0 +1,37 @@
+// Instance selectors limit a push to every ProSBC to one group and/or tag
+// (backend_new/utils/instanceSelector.js). An empty selector means every active instance.
+export const EMPTY_SELECTOR = { group: '', tag: '' };
+
+export const hasSelector = (selector) => !!(selector?.group || selector?.tag);
+
+const sameText = (a, b) => String(a || '').toLowerCase() === String(b || '').toLowerCase();
+
+export const matchesSelector = (instance, selector) =>
+  (!selector?.group || sameText(instance.group, selector.group)) &&
+  (!selector?.tag || (instance.tags || []).some(tag => sameText(tag, selector.tag)));
+
+// Groups and tags in use on the given instances, for the pickers
+export const groupsAndTagsOf = (instances = []) => ({
+  groups: [...new Set(instances.map(instance => instance.group).filter(Boolean))].sort(),
+  tags: [...new Set(instances.flatMap(instance => instance.tags || []))].sort()
+});
+
+// Fields for a JSON body; empty when every instance is targeted
+export const selectorFields = (selector) => ({
+  ...(selector?.group ? { group: selector.group } : {}),
+  ...(selector?.tag ? { tag: selector.tag } : {})
+});
+
+export const appendSelector = (formData, selector) => {
+  Object.entries(selectorFields(selector)).forEach(([key, value]) => formData.append(key, value));
+  return formData;
+};
+
+// "all ProSBCs" or "ProSBCs in group east-coast tagged lab", for messages
+export const describeSelector = (selector) => {
+  if (!hasSelector(selector)) return 'all ProSBCs';
+  const parts = ['ProSBCs'];
+  if (selector.group) parts.push(`in group ${selector.group}`);
+  if (selector.tag) parts.push(`tagged ${selector.tag}`);
+  return parts.join(' ');
+};
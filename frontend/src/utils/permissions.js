@@ -0,0 +1,41 @@
+// Client side mirror of backend_new/middleware/permissions.js, used to hide what a role cannot use.
+// The backend enforces the same rules; this only keeps the UI honest.
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+// Minimum role for each sidebar section
+export const SECTION_ROLES = {
+  'dm-df-upload': 'operator',
+  'dm-df-management': 'viewer',
+  'routeset-mapping': 'viewer',
+  'activation-generation': 'operator',
+  'customer-counts': 'viewer',
+  'drift-report': 'viewer',
+  'replication': 'viewer',
+  'prosbc-instances': 'admin',
+  'change-requests': 'viewer',
+  'api-tokens': 'viewer',
+  'user-management': 'admin',
+  'audit-trail': 'admin'
+};
+
+const rank = (role) => ROLES.indexOf(role);
+
+// Effective role on an instance, or null when the user has no access to it
+export function roleForInstance(user, instanceId) {
+  if (!user?.role) return null;
+  const instancePermissions = user.instancePermissions || {};
+  if (user.role === 'admin' || !instanceId || Object.keys(instancePermissions).length === 0) return user.role;
+  const listed = instancePermissions[String(instanceId)];
+  if (!listed) return null;
+  return rank(listed) < rank(user.role) ? listed : user.role;
+}
+
+// While the profile is still loading everything is shown; the backend has the final say
+export function hasRole(user, minRole, instanceId) {
+  if (!user) return true;
+  const role = roleForInstance(user, instanceId);
+  return !!role && rank(role) >= rank(minRole);
+}
+
+export const canOpenSection = (user, sectionId, instanceId) =>
+  hasRole(user, SECTION_ROLES[sectionId] || 'viewer', instanceId);
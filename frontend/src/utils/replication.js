@@ -0,0 +1,68 @@
+// Replication policies - files saved on a primary instance copied to its replicas
+// (backend_new/routes/replication.js)
+const REPLICATION_URL = '/backend/api/replication';
+
+const authHeaders = () => {
+  const token = localStorage.getItem('dashboard_token');
+  return token ? { 'Authorization': `Bearer ${token}` } : {};
+};
+
+const send = async (url, options = {}) => {
+  const response = await fetch(url, { ...options, headers: { ...authHeaders(), ...options.headers } });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok || result.success === false) {
+    const error = new Error(result.error || result.message || `Request failed (${response.status})`);
+    error.status = response.status;
+    error.response = result;
+    throw error;
+  }
+  return result;
+};
+
+const sendJson = (url, method, body) => send(url, {
+  method,
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body || {})
+});
+
+// { policies, openConflicts }
+export const listReplicationPolicies = () => send(`${REPLICATION_URL}/policies`);
+
+export const saveReplicationPolicy = async (policy) => {
+  const result = policy.id
+    ? await sendJson(`${REPLICATION_URL}/policies/${policy.id}`, 'PUT', policy)
+    : await sendJson(`${REPLICATION_URL}/policies`, 'POST', policy);
+  return result.policy;
+};
+
+export const deleteReplicationPolicy = (id) => send(`${REPLICATION_URL}/policies/${id}`, { method: 'DELETE' });
+
+export const listReplicationRuns = async ({ policyId, status, limit = 50 } = {}) => {
+  const query = new URLSearchParams({ limit: String(limit) });
+  if (policyId) query.set('policyId', policyId);
+  if (status) query.set('status', status);
+  return (await send(`${REPLICATION_URL}/runs?${query}`)).runs;
+};
+
+// Retry the failed/conflicting replicas of a run, or only instanceId; force overwrites replica edits
+export const retryReplicationRun = (id, { instanceId, force = false } = {}) =>
+  sendJson(`${REPLICATION_URL}/runs/${id}/retry`, 'POST', { instanceId, force });
+
+export const listReplicationConflicts = async ({ all = false } = {}) =>
+  (await send(`${REPLICATION_URL}/conflicts${all ? '?all=true' : ''}`)).conflicts;
+
+export const dismissReplicationConflict = (id) => sendJson(`${REPLICATION_URL}/conflicts/${id}/dismiss`, 'POST');
+
+// One line for the save message of the file editors (the `replication` field of a save response)
+export const describeReplication = (replication) => {
+  if (!replication) return '';
+  const lines = [];
+  for (const entry of replication.queued || []) {
+    lines.push(`🔁 Replicating to ${entry.targets} replica${entry.targets === 1 ? '' : 's'} (${entry.policy}, run #${entry.runId})`);
+  }
+  for (const entry of replication.conflicts || []) {
+    lines.push(`⚠️ This instance is a replica in "${entry.policy}": the edit is reported as a replication conflict`);
+  }
+  if (replication.error) lines.push(`⚠️ Replication could not be queued: ${replication.error}`);
+  return lines.length > 0 ? `\n${lines.join('\n')}` : '';
+};
@@ -0,0 +1,31 @@
+// Staged rollouts: upload to all as canary + waves, halting on failures (backend_new/routes/rollouts.js)
+export const DEFAULT_ROLLOUT_OPTIONS = { enabled: false, canaryInstanceId: '', waveSize: 1, maxFailures: 0, autoRevert: false };
+
+// Fields added to the /prosbc-upload/{df,dm}/all form; nothing for the plain parallel upload
+export const appendRolloutOptions = (formData, options) => {
+  if (!options?.enabled) return formData;
+  formData.append('mode', 'rollout');
+  if (options.canaryInstanceId) formData.append('canaryInstanceId', options.canaryInstanceId);
+  formData.append('waveSize', String(options.waveSize));
+  formData.append('maxFailures', String(options.maxFailures));
+  if (options.autoRevert) formData.append('autoRevert', 'true');
+  return formData;
+};
+
+// Runs through useBackgroundJob().run, which resolves with the rollout summary
+export const rolloutRevertUrl = (rolloutId) => `/backend/api/rollouts/${rolloutId}/revert`;
+
+// One line for the upload message
+export const describeRolloutResult = (result) => {
+  const count = (status) => result.targets.filter(target => target.status === status).length;
+  switch (result.status) {
+    case 'succeeded':
+      return `✅ Rollout finished: ${count('succeeded')} of ${result.targets.length} instances updated and verified${count('failed') ? `, ${count('failed')} failed` : ''}`;
+    case 'halted':
+      return `❌ Rollout halted: ${result.haltReason}`;
+    case 'reverted':
+      return `❌ Rollout halted and reverted: ${result.haltReason || 'reverted on request'}`;
+    default:
+      return `❌ Rollout ${result.status}${result.haltReason ? `: ${result.haltReason}` : ''}`;
+  }
+};
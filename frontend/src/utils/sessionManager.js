@@ -264,4 +264,192 @@ export const clearSession = () => sessionManager.clearSession();
 export const getSessionInfo = () => sessionManager.getSessionInfo();
 export const validateSession = (apiClient) => sessionManager.validateSession(apiClient);
 export const refreshSession = (apiClient) => sessionManager.refreshSession(apiClient);
-export const getStatusSummary = () => sessionManager.getStatusSummary();
\ No newline at end of file
+export const getStatusSummary = () => sessionManager.getStatusSummary();
+
+// Dashboard Session Manager - Keeps the dashboard login alive while the user works
+// Renews the short-lived access token with the rotating refresh token before it expires,
+// and signs out after a period without keyboard or mouse activity (shared by all tabs).
+const DASHBOARD_KEYS = {
+  token: 'dashboard_token',
+  refreshToken: 'dashboard_refresh_token',
+  expiresAt: 'dashboard_token_expires_at',
+  idleTimeout: 'dashboard_idle_timeout_minutes',
+  lastActivity: 'dashboard_last_activity'
+};
+const ACTIVITY_EVENTS = ['mousedown', 'keydown', 'scroll', 'touchstart'];
+
+export class DashboardSessionManager {
+  constructor() {
+    this.checkInterval = 15 * 1000; // how often idle time and token expiry are checked
+    this.refreshMargin = 60 * 1000; // refresh this long before the access token expires
+    this.warningWindow = 2 * 60 * 1000; // idle warning shown this long before sign-out
+    this.activityWriteInterval = 10 * 1000; // lastActivity is written at most this often
+    this.listeners = new Set();
+    this.timer = null;
+    this.refreshing = null;
+    this.warningShown = false;
+    this.lastActivityWrite = 0;
+    this.handleActivity = this.handleActivity.bind(this);
+    this.handleVisibility = this.handleVisibility.bind(this);
+  }
+
+  // Store the tokens of a login or refresh response
+  storeTokens({ token, refreshToken, expiresIn, idleTimeoutMinutes }) {
+    localStorage.setItem(DASHBOARD_KEYS.token, token);
+    if (refreshToken) localStorage.setItem(DASHBOARD_KEYS.refreshToken, refreshToken);
+    if (expiresIn) localStorage.setItem(DASHBOARD_KEYS.expiresAt, String(Date.now() + expiresIn * 1000));
+    if (idleTimeoutMinutes) localStorage.setItem(DASHBOARD_KEYS.idleTimeout, String(idleTimeoutMinutes));
+  }
+
+  // Forget the tokens (logout)
+  clear() {
+    Object.values(DASHBOARD_KEYS).forEach(key => localStorage.removeItem(key));
+    this.warningShown = false;
+  }
+
+  // Start watching the session; tokens come from a fresh login, otherwise from localStorage
+  start(tokens = null) {
+    if (tokens) this.storeTokens(tokens);
+    this.recordActivity(true);
+    this.warningShown = false;
+    if (this.timer) return;
+    ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, this.handleActivity, { passive: true }));
+    document.addEventListener('visibilitychange', this.handleVisibility);
+    this.timer = setInterval(() => this.check(), this.checkInterval);
+    this.check();
+  }
+
+  stop() {
+    ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, this.handleActivity));
+    document.removeEventListener('visibilitychange', this.handleVisibility);
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // listener({ type: 'idle-warning', signOutAt } | { type: 'active' } | { type: 'expired', reason: 'idle' | 'expired' })
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  emit(event) {
+    this.listeners.forEach(listener => listener(event));
+  }
+
+  getIdleTimeout() {
+    return (Number(localStorage.getItem(DASHBOARD_KEYS.idleTimeout)) || 30) * 60 * 1000;
+  }
+
+  getLastActivity() {
+    return Number(localStorage.getItem(DASHBOARD_KEYS.lastActivity)) || Date.now();
+  }
+
+  recordActivity(force = false) {
+    const now = Date.now();
+    if (!force && now - this.lastActivityWrite < this.activityWriteInterval) return;
+    this.lastActivityWrite = now;
+    localStorage.setItem(DASHBOARD_KEYS.lastActivity, String(now));
+  }
+
+  // While the idle warning is open only the "Stay signed in" button counts as activity
+  handleActivity() {
+    if (!this.warningShown) this.recordActivity();
+  }
+
+  // Timers are throttled in background tabs and stop while the computer sleeps
+  handleVisibility() {
+    if (document.visibilityState === 'visible') this.check();
+  }
+
+  // "Stay signed in" from the idle warning
+  async keepAlive() {
+    this.recordActivity(true);
+    await this.check();
+  }
+
+  async check() {
+    if (!localStorage.getItem(DASHBOARD_KEYS.token)) {
+      // Signed out in another tab
+      this.expire('expired');
+      return;
+    }
+
+    const idleFor = Date.now() - this.getLastActivity();
+    const idleTimeout = this.getIdleTimeout();
+    if (idleFor >= idleTimeout) {
+      this.expire('idle');
+      return;
+    }
+    if (idleFor >= idleTimeout - this.warningWindow) {
+      if (!this.warningShown) {
+        this.warningShown = true;
+        this.emit({ type: 'idle-warning', signOutAt: this.getLastActivity() + idleTimeout });
+      }
+      return;
+    }
+    if (this.warningShown) {
+      // Activity in another tab
+      this.warningShown = false;
+      this.emit({ type: 'active' });
+    }
+
+    const expiresAt = Number(localStorage.getItem(DASHBOARD_KEYS.expiresAt));
+    if (expiresAt && expiresAt - Date.now() < this.refreshMargin) {
+      await this.refresh();
+    }
+  }
+
+  // Swap the refresh token for a new token pair; concurrent calls share one request
+  refresh() {
+    if (!this.refreshing) {
+      this.refreshing = this.performRefresh().finally(() => { this.refreshing = null; });
+    }
+    return this.refreshing;
+  }
+
+  async performRefresh() {
+    const refreshToken = localStorage.getItem(DASHBOARD_KEYS.refreshToken);
+    if (!refreshToken) return false; // logged in before refresh tokens existed
+
+    try {
+      const response = await fetch('/backend/api/auth/refresh', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken })
+      });
+
+      if (response.status === 409) {
+        // Another tab rotated the token first and stores the new pair
+        return true;
+      }
+      const data = await response.json().catch(() => ({}));
+      if (response.status === 401) {
+        this.expire('expired');
+        return false;
+      }
+      if (!response.ok) throw new Error(data.message || `Refresh failed (${response.status})`);
+
+      this.storeTokens(data);
+      console.log('Dashboard session refreshed');
+      return true;
+    } catch (error) {
+      // Network trouble: try again on the next check
+      console.error('Dashboard session refresh error:', error);
+      return false;
+    }
+  }
+
+  // The session ended; the app asks the user to sign in again without losing the page
+  expire(reason) {
+    if (!this.timer) return;
+    this.stop();
+    const token = localStorage.getItem(DASHBOARD_KEYS.token);
+    if (reason === 'idle' && token) {
+      fetch('/backend/api/auth/logout', { method: 'POST', headers: { 'Authorization': `Bearer ${token}` } }).catch(() => {});
+    }
+    this.clear();
+    this.emit({ type: 'expired', reason });
+  }
+}
+
+export const dashboardSession = new DashboardSessionManager();